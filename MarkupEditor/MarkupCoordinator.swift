@@ -89,9 +89,14 @@ public class MarkupCoordinator: NSObject, WKScriptMessageHandler {
         case "loadedUserFiles":
             //Logger.coordinator.debug("loadedUserFiles")
             // After the user css and js are loaded, we set the top-level "editor" attributes,
-            // and load the initial HTML, which will result in the MarkupDelegate.markupLoaded call.
+            // the undo mode, and the input rules, and load the initial HTML, which will result
+            // in the MarkupDelegate.markupLoaded call.
             webView.setTopLevelAttributes() {
-                webView.loadInitialHtml()
+                webView.setUndoConfiguration() {
+                    webView.setInputRules() {
+                        webView.loadInitialHtml()
+                    }
+                }
             }
         case "updateHeight":
             updateHeight()
@@ -134,11 +139,6 @@ public class MarkupCoordinator: NSObject, WKScriptMessageHandler {
             //Logger.coordinator.debug("click")
             webView.becomeFirstResponder()
             markupDelegate?.markupClicked(webView)
-        case "undoSet":
-            //Logger.coordinator.debug("undoSet")
-            markupDelegate?.markupUndoSet(webView)
-        case "searched":
-            webView.makeSelectionVisible()  // Scroll to what we found and selected
         case "activateSearch":
             markupDelegate?.markupActivateSearch(webView)
         case "deactivateSearch":
@@ -243,6 +243,14 @@ public class MarkupCoordinator: NSObject, WKScriptMessageHandler {
             } else {
                 markupDelegate?.markupImageDeleted(url: url)
             }
+        case "undoSet":
+            //Logger.coordinator.debug("undoSet")
+            let canUndo = messageData["canUndo"] as? Bool ?? false
+            let canRedo = messageData["canRedo"] as? Bool ?? false
+            markupDelegate?.markupUndoSet(webView, canUndo: canUndo, canRedo: canRedo)
+        case "searched":
+            webView.makeSelectionVisible()  // Scroll to what we found and selected
+            markupDelegate?.markupSearched(webView, results: SearchResults(from: messageData))
         case "buttonClicked":
             guard
                 let id = messageData["id"] as? String,
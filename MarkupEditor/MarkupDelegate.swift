@@ -58,6 +58,9 @@ public protocol MarkupDelegate {
     /// Called when an operation on the view pushed something onto the undo stack managed by Undoer
     func markupUndoSet(_ view: MarkupWKWebView)
     
+    /// Called when the undo stack changed because an operation was pushed, undone, or redone, with whether anything is left to undo or redo
+    func markupUndoSet(_ view: MarkupWKWebView, canUndo: Bool, canRedo: Bool)
+    
     /// Take action when the user selects a link.
     func markupLinkSelected(_ view: MarkupWKWebView?, selectionState: SelectionState)
     
@@ -142,6 +145,10 @@ public protocol MarkupDelegate {
     /// The toolbar really should be re-enabled.
     func markupDeactivateSearch(_ view: MarkupWKWebView)
     
+    /// The `view` searched, producing `results` that hold the number of matches, which one is selected,
+    /// and a snippet and heading for each, so you can show "3 of 17" or a list of results.
+    func markupSearched(_ view: MarkupWKWebView, results: SearchResults)
+    
 }
 
 extension MarkupDelegate {
@@ -195,6 +202,16 @@ extension MarkupDelegate {
     /// on the Swift side.
     public func markupUndoSet(_ view: MarkupWKWebView) {}
     
+    /// The undo stack changed, and `canUndo` and `canRedo` indicate what is left in it.
+    ///
+    /// Note that unless `scriptedUndo` was set in the MarkupWKWebViewConfiguration, typing is undone by
+    /// the browser and isn't reflected in `canUndo` or `canRedo`.
+    ///
+    /// The default is to invoke `markupUndoSet(_:)`, so existing delegates continue to be notified.
+    public func markupUndoSet(_ view: MarkupWKWebView, canUndo: Bool, canRedo: Bool) {
+        markupUndoSet(view)
+    }
+    
     /// A link was selected, and selectionState contains information about it.
     ///
     /// This function is used by UIKit and SwiftUI apps, but we just use the UIApplication.shared here for simplicity.
@@ -355,4 +372,6 @@ extension MarkupDelegate {
         MarkupEditor.searchActive.value = false
     }
     
+    public func markupSearched(_ view: MarkupWKWebView, results: SearchResults) {}
+    
 }
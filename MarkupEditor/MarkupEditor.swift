@@ -91,6 +91,74 @@ public struct MarkupEditor {
         case none
     }
 
+    /// Enum to identify which cells of a table are aligned or shaded.
+    ///
+    /// Case "cell" means the selected cells, and "row" and "col" mean the rows or columns they are in.
+    public enum TableScope: String {
+        case cell = "CELL"
+        case row = "ROW"
+        case col = "COL"
+    }
+
+    /// Enum to identify the horizontal alignment of table cells.
+    public enum CellAlignment: String {
+        case left
+        case center
+        case right
+    }
+
+    /// Enum to identify the vertical alignment of table cells.
+    public enum CellVerticalAlignment: String {
+        case top
+        case middle
+        case bottom
+    }
+
+    /// Enum to identify the background shade of table cells.
+    ///
+    /// The shades are translucent, so they work in both light and dark mode.
+    public enum CellShade: String {
+        case gray
+        case red
+        case orange
+        case yellow
+        case green
+        case blue
+        case purple
+    }
+
+    /// Enum to identify the order to sort table rows in.
+    public enum TableSortDirection: String {
+        case ascending = "ASCENDING"
+        case descending = "DESCENDING"
+    }
+
+    /// Enum to identify how to compare the cells when sorting table rows.
+    public enum TableSortType: String {
+        case text = "TEXT"
+        case number = "NUMBER"
+        case date = "DATE"
+    }
+
+    /// Enum to identify the format of the table data returned by `getTableData`.
+    public enum TableDataFormat: String {
+        case csv = "CSV"
+        case tsv = "TSV"
+        case json = "JSON"
+        case markdown = "MARKDOWN"
+    }
+
+    /// Enum to identify how the items in an ordered list are numbered.
+    ///
+    /// The raw values are the values of the `type` attribute of an `<OL>`.
+    public enum ListNumbering: String {
+        case decimal = "1"
+        case lowerAlpha = "a"
+        case upperAlpha = "A"
+        case lowerRoman = "i"
+        case upperRoman = "I"
+    }
+
     /// Emum used to control the toolbar location when using the MarkupEditorView and MarkupEditorUIView
     @MainActor
     public enum ToolbarLocation {
@@ -157,6 +225,91 @@ public class SearchActive: ObservableObject {
     }
 }
 
+/// The results of a search, as reported to `MarkupDelegate.markupSearched(_:results:)`.
+///
+/// The `index` identifies which of the `matches` is selected, and is nil when nothing was found.
+public struct SearchResults {
+    
+    /// A single match in the document, with enough context to show it in a list of results.
+    public struct Match {
+        /// The text around the match within its paragraph.
+        public let snippet: String
+        /// The location of the match within `snippet`, in UTF-16 units as used by NSString.
+        public let range: NSRange
+        /// The text of the heading the match falls under, or nil if no heading precedes it.
+        public let heading: String?
+        /// The id of the contenteditable div the match is in, which is "editor" unless you used `addDiv`.
+        public let divId: String?
+    }
+    
+    public let count: Int
+    public let index: Int?
+    public let matches: [Match]
+    
+    public init(count: Int = 0, index: Int? = nil, matches: [Match] = []) {
+        self.count = count
+        self.index = index
+        self.matches = matches
+    }
+    
+    /// Create SearchResults from the JSON-decoded message sent from JavaScript.
+    init(from messageData: [String : Any]) {
+        let results = messageData["results"] as? [[String : Any]] ?? []
+        let matches = results.map { result in
+            Match(
+                snippet: result["snippet"] as? String ?? "",
+                range: NSRange(location: result["offset"] as? Int ?? 0, length: result["length"] as? Int ?? 0),
+                heading: result["heading"] as? String,
+                divId: result["divId"] as? String
+            )
+        }
+        self.init(count: messageData["count"] as? Int ?? matches.count, index: messageData["index"] as? Int, matches: matches)
+    }
+}
+
+/// The operations in the undo stack, as returned by `MarkupWKWebView.getUndoHistory(handler:)`.
+///
+/// The `index` identifies which of the `entries` will be undone next, and is -1 when there is nothing to undo.
+public struct UndoHistory {
+    
+    /// A single operation in the undo stack.
+    public struct Entry {
+        /// The name of the operation in markup.js, such as "format" or "typing".
+        public let operation: String
+        /// A description of the operation suitable for showing to the user, such as "Format B".
+        public let description: String
+    }
+    
+    public let entries: [Entry]
+    public let index: Int
+    public let canUndo: Bool
+    public let canRedo: Bool
+    
+    public init(entries: [Entry] = [], index: Int = -1, canUndo: Bool = false, canRedo: Bool = false) {
+        self.entries = entries
+        self.index = index
+        self.canUndo = canUndo
+        self.canRedo = canRedo
+    }
+    
+    /// Create UndoHistory from the JSON-decoded dictionary returned from JavaScript.
+    init(from historyData: [String : Any]) {
+        let entryData = historyData["entries"] as? [[String : Any]] ?? []
+        let entries = entryData.map { entry in
+            Entry(
+                operation: entry["operation"] as? String ?? "",
+                description: entry["description"] as? String ?? ""
+            )
+        }
+        self.init(
+            entries: entries,
+            index: historyData["index"] as? Int ?? -1,
+            canUndo: historyData["canUndo"] as? Bool ?? false,
+            canRedo: historyData["canRedo"] as? Bool ?? false
+        )
+    }
+}
+
 /// The observable object containing the type of popover that should be shown or nil for none.
 ///
 /// The value is used by the InsertToolbar to show the default TableSizer and TableToolbar.
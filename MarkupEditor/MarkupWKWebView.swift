@@ -386,6 +386,46 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         }
     }
     
+    /// Set whether undo and redo are managed by script rather than using the native undo stack,
+    /// and the maximum number of operations that can be undone.
+    ///
+    /// The default is to use the native undo stack with no limit, so there is nothing to do unless
+    /// `scriptedUndo` or `undoLimit` is specified.
+    public func setUndoConfiguration(_ handler: (()->Void)? = nil) {
+        var script = ""
+        if markupConfiguration?.scriptedUndo ?? false {
+            script += "MU.setScriptedUndo(true);"
+        }
+        if let undoLimit = markupConfiguration?.undoLimit {
+            script += "MU.setUndoLimit(\(undoLimit));"
+        }
+        guard !script.isEmpty else {
+            handler?()
+            return
+        }
+        evaluateJavaScript(script) { result, error in
+            handler?()
+        }
+    }
+    
+    /// Enable or disable the Markdown-style input rules.
+    ///
+    /// All of the rules are enabled by default, so there is nothing to do unless `inputRules` is changed.
+    public func setInputRules(_ handler: (()->Void)? = nil) {
+        guard
+            let inputRules = markupConfiguration?.inputRules,
+            inputRules != .all,
+            let jsonData = try? JSONSerialization.data(withJSONObject: inputRules.options),
+            let jsonString = String(data: jsonData, encoding: .utf8)
+        else {
+            handler?()
+            return
+        }
+        evaluateJavaScript("MU.setInputRules('\(jsonString)')") { result, error in
+            handler?()
+        }
+    }
+    
     /// Invoke `loadUserFiles` with the `userScriptFile` and `userCssFile` regardless of whether either is
     /// specified. The result will be a callback to `loadedUserFiles`, which causes `loadInitialHtml` and the
     /// call to MarkupDelegate.markupLoaded to happen.
@@ -679,6 +719,13 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         }
     }
     
+    /// Post a message using a stand-in for the parent window, returning the targetOrigin it was posted to.
+    public func testPostToParent(_ message: String, handler: ((String?)->Void)? = nil) {
+        evaluateJavaScript("MU.testPostToParent('\(message.escaped)')") { result, error in
+            handler?(result as? String)
+        }
+    }
+    
     /// Invoke the \_undoOperation directly.
     ///
     /// Delay to allow the async operation being done to have completed.
@@ -707,6 +754,23 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         evaluateJavaScript("MU.testListEnter()") { result, error in handler?() }
     }
     
+    /// Invoke the \_doVerticalCell operation directly, as when pressing the up or down arrow key, returning whether the selection moved.
+    public func testVerticalCell(up: Bool, handler: ((Bool)->Void)? = nil) {
+        evaluateJavaScript("MU.testVerticalCell('\(up ? "UP" : "DOWN")')") { result, error in
+            handler?(result as? Bool ?? false)
+        }
+    }
+    
+    /// Resize the selected image to `width` and `height` as if one of its handles was dragged.
+    public func testResizeImage(width: Int, height: Int, handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.testResizeImage(\(width), \(height))") { result, error in handler?() }
+    }
+    
+    /// Insert text at the selection as if the user typed it, so input rules are applied.
+    public func testInput(_ text: String, handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.testInput('\(text.escaped)')") { result, error in handler?() }
+    }
+    
     /// Ensure extractContents behaves as expected, since we depend on it.
     public func testExtractContents(handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.testExtractContents()") { result, error in handler?() }
@@ -733,7 +797,25 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
     public func getRawHtml(divID: String? = nil, _ handler: ((String?)->Void)?) {
         getHtml(pretty: false, divID: divID, handler)
     }
-    
+
+    /// Return the contents of this MarkupWKWebView as Markdown.
+    ///
+    /// Constructs that have no Markdown equivalent are returned as inline HTML. See `MU.getMarkdown` in markup.js for details.
+    public func getMarkdown(divID: String? = nil, _ handler: ((String?)->Void)?) {
+        let argString = divID == nil ? "" : "'\(divID!)'"
+        evaluateJavaScript("MU.getMarkdown(\(argString))") { result, error in
+            handler?(result as? String)
+        }
+    }
+
+    /// Get the data in the table at the selection, or in all the tables in divID, as a String in format.
+    public func getTableData(format: MarkupEditor.TableDataFormat = .csv, divID: String? = nil, _ handler: ((String?)->Void)?) {
+        let argString = divID == nil ? "'\(format.rawValue)'" : "'\(format.rawValue)', '\(divID!)'"
+        evaluateJavaScript("MU.getTableData(\(argString))") { result, error in
+            handler?(result as? String)
+        }
+    }
+
     public func emptyDocument(handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.emptyDocument()") { result, error in
             handler?()
@@ -764,6 +846,18 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
             handler?()
         }
     }
+
+    /// Set the contents of this MarkupWKWebView from Markdown.
+    ///
+    /// The Markdown is converted to the same normalized HTML that the MarkupEditor produces.
+    /// See `MU.setMarkdown` in markup.js for details.
+    public func setMarkdown(_ markdown: String, handler: (()->Void)? = nil) {
+        // Backslash escapes are common in Markdown, so they have to survive the JavaScript string literal
+        let markdownLiteral = markdown.replacingOccurrences(of: "\\", with: "\\\\").escaped
+        evaluateJavaScript("MU.setMarkdown('\(markdownLiteral)', \(selectAfterLoad))") { result, error in
+            handler?()
+        }
+    }
     
     /// Set the CSS padding-block bottom so that the padding fills the frame height.
     public func padBottom(handler: (()->Void)? = nil) {
@@ -891,22 +985,20 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
     /// when you're done searching. When `activate: true` is specified, on the JavaScript side a search becomes "active",
     /// and subsequent input of Enter in the MarkupWKWebView will search for the next occurrence of `text` in the `direction`
     /// specified until `deactivateSearch` or `cancelSearch` is called.
-    public func search(for text: String, direction: FindDirection, activate: Bool = false, handler: (()->Void)? = nil) {
+    ///
+    /// By default, search is case-insensitive and matches `text` anywhere, even across formatting. Use
+    /// `caseSensitive` to match case exactly, `wholeWord` to only match `text` that begins and ends on word
+    /// boundaries, and `regex` to interpret `text` as a JavaScript regular expression. An invalid regular
+    /// expression finds nothing and is reported to the MarkupDelegate as an InvalidSearchRegExp error.
+    ///
+    /// Search covers all the contenteditable divs in the view, including ones added using `addDiv`, unless you
+    /// specify a `divId` to search in. When the next match is in a different div, that div takes focus.
+    public func search(for text: String, direction: FindDirection, activate: Bool = false, caseSensitive: Bool = false, wholeWord: Bool = false, regex: Bool = false, divId: String? = nil, handler: (()->Void)? = nil) {
         startModalInput() {
             self.becomeFirstResponder()
-            // Remove the "smartquote" stuff that happens when inputting search into a TextField.
-            // On the Swift side, replace the search string characters with the proper equivalents
-            // for the MarkupEditor. To pass mixed apostrophes and quotes in the JavaScript call,
-            // replace all apostrophe/quote-like things with "&quot;"/"&apos;", which we will
-            // replace with "\"" and "'" on the JavaScript side before doing a search.
-            let patchedText = text
-                .replacingOccurrences(of: "\u{0027}", with: "&apos;")   // '
-                .replacingOccurrences(of: "\u{2018}", with: "&apos;")   // ‘
-                .replacingOccurrences(of: "\u{2019}", with: "&apos;")   // ‘
-                .replacingOccurrences(of: "\u{0022}", with: "&quot;")   // "
-                .replacingOccurrences(of: "\u{201C}", with: "&quot;")   // “
-                .replacingOccurrences(of: "\u{201D}", with: "&quot;")   // ”
-            self.evaluateJavaScript("MU.searchFor(\"\(patchedText)\", \"\(direction)\", \"\(activate)\")") { result, error in
+            let patchedText = self.searchLiteral(text)
+            let options = self.searchOptions(caseSensitive: caseSensitive, wholeWord: wholeWord, regex: regex, divId: divId)
+            self.evaluateJavaScript("MU.searchFor(\"\(patchedText)\", \"\(direction)\", \"\(activate)\", \(options))") { result, error in
                 if let error {
                     Logger.webview.error("Error: \(error)")
                 }
@@ -915,6 +1007,59 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         }
     }
     
+    /// Replace the text that was last found using `search(for:direction:...)` with `replacement`, and select
+    /// the next occurrence in the same direction. The replacement can be undone.
+    public func replaceCurrent(with replacement: String, handler: (()->Void)? = nil) {
+        let replacementLiteral = replacement.replacingOccurrences(of: "\\", with: "\\\\").escaped
+        evaluateJavaScript("MU.replaceCurrent('\(replacementLiteral)')") { result, error in
+            if let error {
+                Logger.webview.error("Error: \(error)")
+            }
+            handler?()
+        }
+    }
+    
+    /// Replace every occurrence of `text` with `replacement`, using the same options as `search(for:direction:...)`,
+    /// and return the number of replacements in the handler. A single undo reverts all of the replacements.
+    ///
+    /// When `regex` is true, `replacement` can refer to groups in `text` like JavaScript's `String.replace`; e.g., `$1`.
+    public func replaceAll(_ text: String, with replacement: String, caseSensitive: Bool = false, wholeWord: Bool = false, regex: Bool = false, divId: String? = nil, handler: ((Int)->Void)? = nil) {
+        let patchedText = searchLiteral(text)
+        let replacementLiteral = replacement.replacingOccurrences(of: "\\", with: "\\\\").escaped
+        let options = searchOptions(caseSensitive: caseSensitive, wholeWord: wholeWord, regex: regex, divId: divId)
+        evaluateJavaScript("MU.replaceAll(\"\(patchedText)\", '\(replacementLiteral)', \(options))") { result, error in
+            if let error {
+                Logger.webview.error("Error: \(error)")
+            }
+            handler?(result as? Int ?? 0)
+        }
+    }
+    
+    /// Return text for use as a search string in a JavaScript call.
+    ///
+    /// Remove the "smartquote" stuff that happens when inputting search into a TextField.
+    /// On the Swift side, replace the search string characters with the proper equivalents
+    /// for the MarkupEditor. To pass mixed apostrophes and quotes in the JavaScript call,
+    /// replace all apostrophe/quote-like things with "&quot;"/"&apos;", which we will
+    /// replace with "\"" and "'" on the JavaScript side before doing a search.
+    /// Escape backslashes first so regular expressions arrive intact.
+    private func searchLiteral(_ text: String) -> String {
+        text
+            .replacingOccurrences(of: "\\", with: "\\\\")
+            .replacingOccurrences(of: "\u{0027}", with: "&apos;")   // '
+            .replacingOccurrences(of: "\u{2018}", with: "&apos;")   // ‘
+            .replacingOccurrences(of: "\u{2019}", with: "&apos;")   // ‘
+            .replacingOccurrences(of: "\u{0022}", with: "&quot;")   // "
+            .replacingOccurrences(of: "\u{201C}", with: "&quot;")   // “
+            .replacingOccurrences(of: "\u{201D}", with: "&quot;")   // ”
+    }
+    
+    /// Return the JavaScript object literal for the search options.
+    private func searchOptions(caseSensitive: Bool, wholeWord: Bool, regex: Bool, divId: String?) -> String {
+        let divIdLiteral = divId == nil ? "null" : "'\(divId!.escaped)'"
+        return "{caseSensitive: \(caseSensitive), wholeWord: \(wholeWord), regex: \(regex), divId: \(divIdLiteral)}"
+    }
+    
     /// Stop intercepting Enter to invoke searchForNext().
     public func deactivateSearch(handler: (()->Void)? = nil) {
         endModalInput() {
@@ -979,7 +1124,8 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
     /// Invoke the undo function from the undo button, same as occurs with Command-S.
     ///
     /// Note that this operation interleaves the browser-native undo (e.g., undoing typing)
-    /// with the _undoOperation implemented in markup.js.
+    /// with the _undoOperation implemented in markup.js, unless `scriptedUndo` was set
+    /// in the MarkupWKWebViewConfiguration, in which case markup.js undos typing, too.
     public func undo(handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.undo()") { result, error in handler?() }
     }
@@ -987,11 +1133,78 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
     /// Invoke the undo function from the undo button, same as occurs with Command-Shift-S.
     ///
     /// Note that this operation interleaves the browser-native redo (e.g., redoing typing)
-    /// with the _redoOperation implemented in markup.js.
+    /// with the _redoOperation implemented in markup.js, unless `scriptedUndo` was set
+    /// in the MarkupWKWebViewConfiguration, in which case markup.js redos typing, too.
     public func redo(handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.redo()") { result, error in handler?() }
     }
     
+    /// Begin a group of operations that are undone and redone as one, such as inserting a table,
+    /// filling in its header, and setting its border.
+    ///
+    /// Every call to `beginUndoGroup` must be balanced by a call to `endUndoGroup`, which pushes the
+    /// group onto the undo stack. Groups can be nested, but only the outermost group is pushed.
+    /// Undo and redo end any group that is still open, so that it can be undone.
+    public func beginUndoGroup(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.beginUndoGroup()") { result, error in handler?() }
+    }
+    
+    /// End the group of operations begun with `beginUndoGroup`, so they are undone as one.
+    public func endUndoGroup(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.endUndoGroup()") { result, error in handler?() }
+    }
+    
+    /// Get the UndoHistory, which holds the operations that can be undone and redone.
+    ///
+    /// Unless `scriptedUndo` was set in the MarkupWKWebViewConfiguration, typing is undone by the
+    /// browser and is not included.
+    public func getUndoHistory(handler: @escaping (UndoHistory?)->Void) {
+        evaluateJavaScript("MU.getUndoHistory()") { result, error in
+            guard
+                error == nil,
+                let historyString = result as? String,
+                let data = historyString.data(using: .utf8),
+                let historyDictionary = try? JSONSerialization.jsonObject(with: data, options: []) as? [String : Any]
+            else {
+                if let error {
+                    Logger.webview.error("Error: \(error)")
+                }
+                handler(nil)
+                return
+            }
+            handler(UndoHistory(from: historyDictionary))
+        }
+    }
+    
+    /// Get a string that holds the undo stack, which you can save along with the HTML from `getHtml`.
+    ///
+    /// After loading the same HTML again, even in a different MarkupWKWebView, use `setUndoState`
+    /// to restore the undo stack, so the user can undo what they did before.
+    public func getUndoState(handler: @escaping (String?)->Void) {
+        evaluateJavaScript("MU.getUndoState()") { result, error in
+            if let error {
+                Logger.webview.error("Error: \(error)")
+            }
+            handler(result as? String)
+        }
+    }
+    
+    /// Restore the undo stack from `state` that was produced by `getUndoState` for the HTML that
+    /// is now loaded.
+    ///
+    /// The handler receives false if `state` doesn't belong to the document or isn't a state from
+    /// `getUndoState`, in which case the undo stack is unchanged. Unless `scriptedUndo` was set in the MarkupWKWebViewConfiguration, only
+    /// the operations that can be undone are restored, not the ones that could be redone.
+    public func setUndoState(_ state: String, handler: ((Bool)->Void)? = nil) {
+        let stateLiteral = state.replacingOccurrences(of: "\\", with: "\\\\").escaped
+        evaluateJavaScript("MU.setUndoState('\(stateLiteral)')") { result, error in
+            if let error {
+                Logger.webview.error("Error: \(error)")
+            }
+            handler?(result as? Bool ?? false)
+        }
+    }
+    
     //MARK: Table editing
     
     public func nextCell(handler: (()->Void)? = nil) {
@@ -1032,23 +1245,101 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         evaluateJavaScript("MU.deleteCol()") { result, error in handler?() }
     }
     
+    /// Merge the selected cells in the body of the table into a single cell that spans their rows and columns.
+    public func mergeCells(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.mergeCells()") { result, error in handler?() }
+    }
+
+    /// Split the body cell at the selection that spans rows or columns back into separate cells.
+    public func splitCell(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.splitCell()") { result, error in handler?() }
+    }
+
+    /// Clear the contents of the selected cells, leaving the table's rows and columns in place.
+    public func clearCells(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.clearCells()") { result, error in handler?() }
+    }
+
     public func addHeader(colspan: Bool = true, handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.addHeader(\(colspan))") { result, error in handler?() }
     }
     
+    /// Add a caption holding `text` to the table at the selection, if it doesn't have one.
+    public func addCaption(_ text: String = "", handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.addCaption('\(text.escaped)')") { result, error in handler?() }
+    }
+    
+    public func removeCaption(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.removeCaption()") { result, error in handler?() }
+    }
+    
+    /// Make the cells in the first column of the table body into row headers.
+    public func addHeaderColumn(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.addHeaderColumn()") { result, error in handler?() }
+    }
+    
+    public func removeHeaderColumn(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.removeHeaderColumn()") { result, error in handler?() }
+    }
+    
     public func deleteTable(handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.deleteTable()") { result, error in handler?() }
     }
     
+    /// Sort the rows of the table body by the cells in column `col`, leaving the header alone.
+    ///
+    /// Rows with empty cells or cells that can't be read as `type` go last. Tables with cells
+    /// that span rows in the body can't be sorted.
+    public func sortTable(col: Int, direction: TableSortDirection = .ascending, type: TableSortType = .text, handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.sortTable(\(col), '\(direction.rawValue)', '\(type.rawValue)')") { result, error in handler?() }
+    }
+    
+    /// Replace the table at the selection with a paragraph for each row, with the contents of its cells separated by `delimiter`.
+    public func convertTableToParagraphs(delimiter: String = "\t", handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.convertTableToParagraphs('\(delimiter.escaped)')") { result, error in handler?() }
+    }
+    
+    /// Replace the list at the selection with a table that has a row for each item, with the items of its sublist in the following columns.
+    public func convertListToTable(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.convertListToTable()") { result, error in handler?() }
+    }
+    
+    /// Replace the paragraphs the selection spans with a table that has a row for each, split into cells at `delimiter`.
+    public func convertSelectionToTable(delimiter: String = "\t", handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.convertSelectionToTable('\(delimiter.escaped)')") { result, error in handler?() }
+    }
+    
     public func borderTable(_ border: TableBorder, handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.borderTable(\"\(border)\")")  { result, error in handler?() }
     }
     
+    /// Align the text of the cells in scope horizontally, or return them to the default alignment when nil.
+    public func alignCells(_ alignment: CellAlignment?, scope: TableScope = .cell, handler: (()->Void)? = nil) {
+        let alignmentArg = alignment == nil ? "null" : "'\(alignment!.rawValue)'"
+        evaluateJavaScript("MU.alignCells(\(alignmentArg), '\(scope.rawValue)')") { result, error in handler?() }
+    }
+    
+    /// Align the text of the cells in scope vertically, or return them to the default alignment when nil.
+    public func valignCells(_ alignment: CellVerticalAlignment?, scope: TableScope = .cell, handler: (()->Void)? = nil) {
+        let alignmentArg = alignment == nil ? "null" : "'\(alignment!.rawValue)'"
+        evaluateJavaScript("MU.valignCells(\(alignmentArg), '\(scope.rawValue)')") { result, error in handler?() }
+    }
+    
+    /// Shade the background of the cells in scope, or remove their shading when nil.
+    public func shadeCells(_ shade: CellShade?, scope: TableScope = .cell, handler: (()->Void)? = nil) {
+        let shadeArg = shade == nil ? "null" : "'\(shade!.rawValue)'"
+        evaluateJavaScript("MU.shadeCells(\(shadeArg), '\(scope.rawValue)')") { result, error in handler?() }
+    }
+    
     //MARK: Image editing
     
-    public func modifyImage(src: String?, alt: String?, handler: (()->Void)?) {
+    /// Modify the selected image, which can be undone as a single operation.
+    ///
+    /// The `scale` is a percentage of the image's natural size, such as 80. When nil, the
+    /// image's size is left as-is.
+    public func modifyImage(src: String?, alt: String?, scale: Int? = nil, handler: (()->Void)?) {
         // If src is nil, then no arguments are passed and the image will be removed
-        // Otherwise, the src and alt will be applied to the selected image
+        // Otherwise, the src, alt, and scale will be applied to the selected image
         var args = ""
         if let src = src {
             args += "'\(src)'"
@@ -1057,6 +1348,9 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
             } else {
                 args += ", null"
             }
+            if let scale = scale {
+                args += ", \(scale)"
+            }
         }
         evaluateJavaScript("MU.modifyImage(\(args))") { result, error in
             handler?()
@@ -1283,6 +1577,8 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         selectionState.tbody = stateDictionary["tbody"] as? Bool ?? false
         selectionState.header = stateDictionary["header"] as? Bool ?? false
         selectionState.colspan = stateDictionary["colspan"] as? Bool ?? false
+        selectionState.caption = stateDictionary["caption"] as? Bool ?? false
+        selectionState.headerColumn = stateDictionary["headerColumn"] as? Bool ?? false
         selectionState.rows = stateDictionary["rows"] as? Int ?? 0
         selectionState.cols = stateDictionary["cols"] as? Int ?? 0
         selectionState.row = stateDictionary["row"] as? Int ?? 0
@@ -1292,6 +1588,26 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         } else {
             selectionState.border = .cell
         }
+        if let rawValue = stateDictionary["align"] as? String {
+            selectionState.align = CellAlignment(rawValue: rawValue)
+        } else {
+            selectionState.align = nil
+        }
+        if let rawValue = stateDictionary["valign"] as? String {
+            selectionState.valign = CellVerticalAlignment(rawValue: rawValue)
+        } else {
+            selectionState.valign = nil
+        }
+        if let rawValue = stateDictionary["shade"] as? String {
+            selectionState.shade = CellShade(rawValue: rawValue)
+        } else {
+            selectionState.shade = nil
+        }
+        selectionState.cellSelection = stateDictionary["cellSelection"] as? Bool ?? false
+        selectionState.startRow = stateDictionary["startRow"] as? Int ?? 0
+        selectionState.startCol = stateDictionary["startCol"] as? Int ?? 0
+        selectionState.endRow = stateDictionary["endRow"] as? Int ?? 0
+        selectionState.endCol = stateDictionary["endCol"] as? Int ?? 0
         // Styles
         if let tag = stateDictionary["style"] as? String {
             selectionState.style = StyleContext.with(tag: tag)
@@ -1304,6 +1620,7 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
             selectionState.list = ListContext.Undefined
         }
         selectionState.li = stateDictionary["li"] as? Bool ?? false
+        selectionState.checked = stateDictionary["checked"] as? Bool ?? false
         selectionState.quote = stateDictionary["quote"] as? Bool ?? false
         // Formats
         selectionState.bold = stateDictionary["bold"] as? Bool ?? false
@@ -1401,6 +1718,24 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         }
     }
     
+    /// Move the paragraph at the selection above the one that precedes it.
+    ///
+    /// In a list, move the list item and any sublist it holds among its siblings.
+    public func moveBlockUp(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.moveBlockUp()") { result, error in
+            handler?()
+        }
+    }
+    
+    /// Move the paragraph at the selection below the one that follows it.
+    ///
+    /// In a list, move the list item and any sublist it holds among its siblings.
+    public func moveBlockDown(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.moveBlockDown()") { result, error in
+            handler?()
+        }
+    }
+    
     @objc public func bullets() {
         toggleListItem(type: .UL)
     }
@@ -1409,6 +1744,48 @@ public class MarkupWKWebView: WKWebView, ObservableObject {
         toggleListItem(type: .OL)
     }
     
+    @objc public func checklist() {
+        toggleListItem(type: .CHECKLIST)
+    }
+    
+    /// Set the numbering of the ordered list at the selection.
+    ///
+    /// Arguments that are nil are left as-is. Use a start of 1 and a type of `.decimal` to return
+    /// to the default numbering.
+    public func setListAttributes(start: Int? = nil, type: MarkupEditor.ListNumbering? = nil, reversed: Bool? = nil, handler: (()->Void)? = nil) {
+        var attributes: [String : Any] = [:]
+        if let start { attributes["start"] = start }
+        if let type { attributes["type"] = type.rawValue }
+        if let reversed { attributes["reversed"] = reversed }
+        guard
+            let jsonData = try? JSONSerialization.data(withJSONObject: attributes),
+            let jsonString = String(data: jsonData, encoding: .utf8)
+        else {
+            handler?()
+            return
+        }
+        evaluateJavaScript("MU.setListAttributes('\(jsonString)')") { result, error in
+            handler?()
+        }
+    }
+    
+    /// Set whether an ordered list that is split in two continues its numbering after the split,
+    /// rather than starting over.
+    public func setContinueListNumbering(_ continues: Bool, handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.setContinueListNumbering(\(continues))") { result, error in
+            handler?()
+        }
+    }
+    
+    /// Toggle whether the checklist item at the selection is checked.
+    ///
+    /// The user can also click on the checkbox of an item to check or uncheck it.
+    public func toggleChecked(handler: (()->Void)? = nil) {
+        evaluateJavaScript("MU.toggleChecked()") { result, error in
+            handler?()
+        }
+    }
+    
     /// Switch between ordered and unordered list styles.
     public func toggleListItem(type: ListContext, handler: (()->Void)? = nil) {
         evaluateJavaScript("MU.toggleListItem('\(type.tag)')") { result, error in
@@ -22,6 +22,15 @@ import Foundation
 /// is editable, but will not perform spell check. Autocorrect is enabled by default because without it,
 /// the iOS keyboard will not supply suggestions.
 ///
+/// * Whether undo and redo are managed entirely by `markup.js` rather than by the browser's native undo stack.
+/// By default, the native undo stack is used, and typing is undone by the browser. With `scriptedUndo`, typing
+/// is recorded alongside every other operation, so undo does not depend on focus or the native undo stack.
+///
+/// * The maximum number of operations that can be undone. By default, there is no limit.
+///
+/// * The Markdown-style shortcuts that are converted as the user types, like "# " at the beginning of a paragraph
+/// to make it a header or "**bold**" to make "bold" bold. By default, all of the `InputRules` are enabled.
+///
 /// You create a MarkupWKWebViewConfiguration object in your code, configure its properties, and pass it to the initializer
 /// of your WKWebView object. The web view incorporates your configuration settings only at creation time; you cannot change
 /// those settings dynamically later.
@@ -30,6 +39,58 @@ public class MarkupWKWebViewConfiguration {
     public var userScriptFile: String? = nil
     public var userCssFile: String? = nil
     public var topLevelAttributes = EditableAttributes.standard
+    public var scriptedUndo: Bool = false
+    public var undoLimit: Int? = nil
+    public var inputRules = InputRules.all
     
     public init() {}
 }
+
+/// The Markdown-style shortcuts that are converted as the user types them.
+///
+/// Block rules apply when the marker followed by a space is typed at the beginning of a paragraph, and
+/// inline rules apply when the closing marker is typed. The markers are removed, and a single undo restores them.
+public struct InputRules: @unchecked Sendable, OptionSet {
+    public let rawValue: Int
+    
+    public static let h1 = InputRules(rawValue: 1 << 0)             // "# "
+    public static let h2 = InputRules(rawValue: 1 << 1)             // "## "
+    public static let h3 = InputRules(rawValue: 1 << 2)             // "### "
+    public static let h4 = InputRules(rawValue: 1 << 3)             // "#### "
+    public static let h5 = InputRules(rawValue: 1 << 4)             // "##### "
+    public static let h6 = InputRules(rawValue: 1 << 5)             // "###### "
+    public static let bulletList = InputRules(rawValue: 1 << 6)     // "- " or "* "
+    public static let numberedList = InputRules(rawValue: 1 << 7)   // "1. "
+    public static let blockquote = InputRules(rawValue: 1 << 8)     // "> "
+    public static let bold = InputRules(rawValue: 1 << 9)           // "**bold**"
+    public static let italic = InputRules(rawValue: 1 << 10)        // "_italic_"
+    public static let code = InputRules(rawValue: 1 << 11)          // "`code`"
+    
+    public static let headers: InputRules = [.h1, .h2, .h3, .h4, .h5, .h6]
+    public static let blocks: InputRules = [.headers, .bulletList, .numberedList, .blockquote]
+    public static let inline: InputRules = [.bold, .italic, .code]
+    public static let all: InputRules = [.blocks, .inline]
+    public static let none: InputRules = []
+    
+    public init(rawValue: Int) {
+        self.rawValue = rawValue
+    }
+    
+    /// Return a dictionary of the rules keyed by the names used in `markup.js`, and whether each is enabled.
+    public var options: [String : Bool] {
+        var options: [String : Bool] = [:]
+        options["H1"] = contains(.h1)
+        options["H2"] = contains(.h2)
+        options["H3"] = contains(.h3)
+        options["H4"] = contains(.h4)
+        options["H5"] = contains(.h5)
+        options["H6"] = contains(.h6)
+        options["UL"] = contains(.bulletList)
+        options["OL"] = contains(.numberedList)
+        options["BLOCKQUOTE"] = contains(.blockquote)
+        options["B"] = contains(.bold)
+        options["I"] = contains(.italic)
+        options["CODE"] = contains(.code)
+        return options
+    }
+}
@@ -16,7 +16,8 @@
  *
  * 1. Replacement of all execCommand usage, with the exception of a very narrow
  *      case to support undo/redo.
- * 2. Use of window.webkit.messageHandlers for all callbacks to Swift.
+ * 2. Use of window.webkit.messageHandlers for all callbacks to Swift, now via
+ *      a host bridge that also supports Android and plain browser hosts.
  * 3. Use of selectionState to capture the state of document.getSelection()
  *      for usage on the Swift side.
  * 4. Extensive use of event listeners to call back into Swift when things
@@ -54,20 +55,102 @@ let _selectedID;
 MU.selectedDiv = (_selectedID) ? document.getElementById(_selectedID) : null;
 
 /**
- * Callback into Swift.
- * The message is handled by the WKScriptMessageHandler.
+ * A JavaScript function registered using MU.setMessageListener, which takes
+ * precedence over any other host when non-null.
+ */
+let _messageListener = null;
+
+/**
+ * Register a function to receive every message that would otherwise be posted to
+ * the host. Pass null to unregister it and fall back to host detection.
+ *
+ * This is useful for hosting markup.js in a plain browser (e.g., a preview or tests),
+ * where there is no native side to receive messages.
+ *
+ * @param {Function | null} listener    A function that takes the message String as its argument.
+ */
+MU.setMessageListener = function(listener) {
+    _messageListener = (typeof listener === 'function') ? listener : null;
+};
+
+/**
+ * The targetOrigin used when posting messages to the parent window. By default,
+ * messages are only delivered to a parent with the same origin as markup.js.
+ */
+let _hostOrigin = '/';
+
+/**
+ * Set the origin of the parent window that markup.js posts messages to when it is
+ * loaded in an iframe. Messages contain document contents, so they are never posted
+ * to an origin other than this one. Pass null to restore the same-origin default.
+ *
+ * @param {String | null} origin    The origin (e.g., 'https://example.com') of the embedding page.
+ */
+MU.setHostOrigin = function(origin) {
+    _hostOrigin = origin ?? '/';
+};
+
+/**
+ * Return a function that posts a message to parent at _hostOrigin.
+ *
+ * @param {Window} parent   The parent window or a stand-in for it.
+ * @return {Function}       A function that takes the message String as its argument.
+ */
+const _parentBridge = function(parent) {
+    return function(message) { parent.postMessage(message, _hostOrigin) };
+};
+
+/**
+ * Return a function that posts a message to whatever host markup.js is running in,
+ * or null if no host can be found. The host is identified on every call, because the
+ * native side might inject its interface or a listener might be registered after
+ * this script loads. In order of precedence, the host is:
+ *
+ * 1. A listener registered using MU.setMessageListener.
+ * 2. WebKit, when window.webkit.messageHandlers.markup exists (the MarkupWKWebView).
+ * 3. An Android WebView, when an @JavascriptInterface object named 'markup' was added
+ *      using addJavascriptInterface and has a postMessage(String) method.
+ * 4. The parent window, when markup.js is loaded in an iframe. The message is posted
+ *      as-is using window.parent.postMessage to the origin set using MU.setHostOrigin.
+ *
+ * @return {Function | null}    A function that takes the message String as its argument.
+ */
+const _hostBridge = function() {
+    if (_messageListener) {
+        return _messageListener;
+    };
+    const webkitHandler = window.webkit?.messageHandlers?.markup;
+    if (webkitHandler) {
+        return function(message) { webkitHandler.postMessage(message) };
+    };
+    const androidInterface = window.markup;
+    if (androidInterface && (typeof androidInterface.postMessage === 'function')) {
+        return function(message) { androidInterface.postMessage(message) };
+    };
+    if (window.parent && (window.parent !== window)) {
+        return _parentBridge(window.parent);
+    };
+    return null;
+};
+
+/**
+ * Callback into Swift or whatever other host is identified by _hostBridge.
+ * In the MarkupWKWebView, the message is handled by the WKScriptMessageHandler.
  * In our case, the WKScriptMessageHandler is the MarkupCoordinator,
  * and the userContentController(_ userContentController:didReceive:)
  * function receives message as a WKScriptMessage.
  *
+ * If no host can be found, the message is dropped so that editing still works.
+ *
  * @param {String} message     The message, which might be a JSONified string
  */
 const _callback = function(message) {
-    window.webkit.messageHandlers.markup.postMessage(message);
+    const postMessage = _hostBridge();
+    if (postMessage) { postMessage(message) };
 };
 
 const _callbackInput = function() {
-    window.webkit.messageHandlers.markup.postMessage('input' + (_selectedID ?? ''));
+    _callback('input' + (_selectedID ?? ''));
 }
 
 /**
@@ -167,8 +250,10 @@ window.addEventListener('error', function(ev) {
 
 /**
  * If the window is resized, let the Swift side know so that it can adjust its height tracking if needed.
+ * The column resize handles of the selected table have to move with its borders.
  */
 window.addEventListener('resize', function() {
+    resizableTable.positionHandles();
     _callback('updateHeight');
 });
 
@@ -195,6 +280,9 @@ class MUError {
     static CantUndoListEnter = new MUError('CantUndoListEnter', 'Child node could not be found in childNodeIndices.');
     static CantInsertHtml = new MUError('CantInsertHtml', 'Top-level element could not be found from selection point.');
     static CantInsertInList = new MUError('CantInsertInList', 'Selection prior to insertList is not collapsed inside of a TEXT_NODE.');
+    static CantSortTable = new MUError('CantSortTable', 'Table rows cannot be sorted when cells in the table body span rows.');
+    static CantConvertToTable = new MUError('CantConvertToTable', 'Only paragraphs that are not in lists, blockquotes, or tables can be converted to a table.');
+    static InvalidDelimiter = new MUError('InvalidDelimiter', 'The delimiter to split paragraphs into cells at must not be empty.', null, false);
     static CantFindElement = new MUError('CantFindElement', 'The element id could not be found.', null, false);
     static CantFindContainer = new MUError('CantFindContainer', 'The startContainer or endContainer for a range could not be found.', null, false);
     static InvalidFillEmpty = new MUError('InvalidFillEmpty', 'The node was not an ELEMENT_NODE or was not empty.');
@@ -211,6 +299,10 @@ class MUError {
     static NotInList = new MUError('NotInList', 'Selection is not in a list or listItem.');
     static PatchFormatNodeNotEmpty = new MUError('PatchFormatNodeNotEmpty', 'Neither the anchorNode nor focusNode is empty.');
     static PatchFormatNodeNotSiblings = new MUError('PatchFormatNodeNotSiblings', 'The anchorNode and focusNode are not siblings.')
+    static InvalidSearchRegExp = new MUError('InvalidSearchRegExp', 'The search string is not a valid regular expression.', null, false);
+    static InvalidUndoState = new MUError('InvalidUndoState', 'The undo state could not be restored for this document.');
+    static InvalidInputRules = new MUError('InvalidInputRules', 'The input rules are not a stringified dictionary of rule names.', null, false);
+    static InvalidListAttributes = new MUError('InvalidListAttributes', 'The list attributes are not a stringified dictionary with an integer or null start.', null, false);
     
     constructor(name, message, info, alert=true) {
         this.name = name;
@@ -247,12 +339,16 @@ class Searcher {
         this._searchString = null;      // what we are searching for
         this._direction = 'forward';    // direction we are searching in
         this._caseSensitive = false;    // whether the search is case sensitive
+        this._wholeWord = false;        // whether matches must begin and end on word boundaries
+        this._regex = false;            // whether searchString is a JavaScript regular expression
+        this._divID = null;             // the id of the contenteditable div to search in, or null for all of them
         this._foundRangeIndex = null;   // null if never searched; else, last searched index into foundRanges
         this._foundRanges = [];         // ranges that contain searchString
-        this._foundIndices = [];        // index arrays below editor for each startContainer of foundRanges
+        this._foundResults = [];        // snippet, heading, and divId for each of foundRanges, reported to Swift
         this._forceIndexing = true;     // true === rebuild foundRanges before use; false === use foundRanges
         this._searching = 'searching';  // the CSS class for the overlay div, presence means we are in "search mode"
         this._outlineDiv = null;        // the overlay div outlining the selection
+        this._snippetContext = 40;      // max characters on either side of a match in its snippet
     };
     
     /**
@@ -262,18 +358,32 @@ class Searcher {
      * The text is passed from the Swift side with smartquote nonsense removed and '&quot;'
      * instead of quotes and '&apos;' instead of apostrophes, so that we can search on text
      * that includes them and pass them from Swift to JavaScript consistently.
+     *
+     * The options can contain caseSensitive, wholeWord, and regex, all of which default
+     * to false. When regex is true, text is used as the source of a JavaScript RegExp.
+     * The options can also contain divId to limit the search to one contenteditable div
+     * (e.g., one added using MU.addDiv); otherwise, all contenteditable divs are searched.
      */
-    searchFor(text, direction='forward', searchOnEnter=false) {
+    searchFor(text, direction='forward', searchOnEnter=false, options={}) {
         if (!text || (text.length === 0)) {
             this.cancel()
             return null;
         }
         text = text.replaceAll('&quot;', '"')       // Fix the hack for quotes in the call
         text = text.replaceAll('&apos;', "'")       // Fix the hack for apostrophes in the call
-        // Rebuild the index if forced or if the search string changed
-        if (this._forceIndexing || (text !== this._searchString)) {
+        const caseSensitive = options.caseSensitive === true;
+        const wholeWord = options.wholeWord === true;
+        const regex = options.regex === true;
+        const divID = options.divId ?? null;
+        const optionsChanged = (caseSensitive !== this._caseSensitive) || (wholeWord !== this._wholeWord) || (regex !== this._regex) || (divID !== this._divID);
+        // Rebuild the index if forced or if the search string or options changed
+        if (this._forceIndexing || optionsChanged || (text !== this._searchString)) {
             this._createOutlineDiv();
             this._searchString = text;
+            this._caseSensitive = caseSensitive;
+            this._wholeWord = wholeWord;
+            this._regex = regex;
+            this._divID = divID;
             this._buildIndex();
             this._highlightRanges();
         };
@@ -336,7 +446,7 @@ class Searcher {
      */
     cancel() {
         this.deactivate()
-        CSS.highlights?.clear();
+        CSS.highlights?.delete('search-results');
         this._destroyOutlineDiv();
         this._resetIndex();
         this._resetSelection;
@@ -364,7 +474,7 @@ class Searcher {
             this._foundRangeIndex = this._nextIndex(this._foundRangeIndex, direction);
             const foundRange = this._foundRanges[this._foundRangeIndex];
             this.selectRange(foundRange);
-            _callback('searched')
+            this.searchedCallback();
         };
     };
     
@@ -372,9 +482,19 @@ class Searcher {
      * Select the range and backup/update the selection. This will also scroll the view as needed.
      * Draw an outline around the range afterward, so it is more easily seen compared to the
      * rest of the foundRanges from the search.
+     *
+     * When the range is in a different contenteditable div than the one that is selected,
+     * focus on its div first, so that _selectedID identifies the div we are searching in.
      */
     selectRange(range) {
         if (range) {
+            const div = _findContentEditable(range.startContainer);
+            if (div && (div.id !== _selectedID)) {
+                muteFocusBlur();
+                div.focus({ preventScroll: true });
+                unmuteFocusBlur();
+                _selectedID = div.id;
+            };
             const sel = document.getSelection();
             sel.removeAllRanges();
             sel.addRange(range);
@@ -384,6 +504,22 @@ class Searcher {
         };
     };
     
+    /**
+     * Let the Swift side know the result of searching, which includes the number of ranges
+     * found, the index of the selected one (or null), and the snippet and heading for each.
+     * Once search is cancelled, the index is stale, so we report that nothing was found.
+     */
+    searchedCallback() {
+        const results = this._forceIndexing ? [] : this._foundResults;
+        const searched = {
+            'messageType' : 'searched',
+            'count' : results.length,
+            'index' : (results.length > 0) ? this._foundRangeIndex : null,
+            'results' : results
+        };
+        _callback(JSON.stringify(searched));
+    };
+    
     /**
      * Draw an outline around the range, so we can tell which one is selected more easily.
      */
@@ -435,61 +571,168 @@ class Searcher {
     };
     
     /**
-     * Use XPath to build an array of ranges in _foundRanges.
+     * Build an array of ranges in _foundRanges that match _searchString.
      *
      * Note we only search within elements inside of a contenteditable div. This is
      * because the "search mode" of intercepting Enter to move to the next node doesn't
      * work for non-contenteditable areas. There might be cases where a someone wants to
      * search non-contenteditable areas, too, but we are not supporting that here for now.
      *
-     * While we identify the foundRanges, we also track the childNodeIndices for the text nodes the
-     * ranges are in. This gives us a relatively easy way to tell, given the selection, which range
-     * comes before or after the selection point.
+     * The text nodes are gathered into runs that share the same block (e.g., a paragraph
+     * or table cell), and the search is done against the text of each run. This way, we
+     * find "foo" even when "fo" is bolded, and the resulting range starts in one text
+     * node and ends in another.
+     *
+     * The text nodes can be in any contenteditable div within editor (e.g., ones added using
+     * MU.addDiv), unless _divID limits the search to one of them.
      */
     _buildIndex() {
         this._foundRanges = [];
-        this._foundIndices = [];
-        let xPathExpression;
-        let onlyContentEditable = " and ancestor::*[@contenteditable]"
-        if (!this._caseSensitive) {// Just remove all the special characters from the text to translate to lowercase
-            let translateText = this._xPathTranslateString(this._searchString);
-            xPathExpression = "//*[contains(translate(., '" + translateText.toUpperCase() + "', '" + translateText.toLowerCase() + "'), " + this._xPathSearchString(this._searchString.toLowerCase()) + ")" + onlyContentEditable + "]";
-        } else {
-            xPathExpression = "//*[contains(., " + this._xPathSearchString(this._searchString) + ")" + onlyContentEditable + "]";
-        }
-        const contextNodes = document.evaluate(xPathExpression, editor, null, XPathResult.ORDERED_NODE_ITERATOR_TYPE);
-        let contextNode = contextNodes.iterateNext();
-        while (contextNode) {
-            if (_isElementNode(contextNode)) {
-                const textNodes = _allChildNodesWithNames(contextNode, ['#text']).nodes;
-                for (let i = 0; i < textNodes.length; i++) {
-                    const textNode = textNodes[i];
-                    const offsets = this._getOffsetsOf(this._searchString, textNode.textContent, this._caseSensitive);
-                    for (let j = 0; j < offsets.length; j++) {
-                        const range = document.createRange();
-                        range.setStart(textNode, offsets[j]);
-                        range.setEnd(textNode, offsets[j] + this._searchString.length);
-                        this._foundRanges.push(range);
-                        this._foundIndices.push(_childNodeIndicesByParent(textNode, editor));
-                    };
-                };
-            } else if (_isTextNode(contextNode)) {
-                // TBH, not sure this will ever occur
-                const offsets = this._getOffsetsOf(this._searchString, contextNode.textContent, this._caseSensitive);
-                for (let j = 0; j < offsets.length; j++) {
+        this._foundResults = [];
+        const regExp = this._searchRegExp();
+        if (regExp) {
+            const runs = this._textRuns();
+            for (let i = 0; i < runs.length; i++) {
+                const run = runs[i];
+                const text = run.segments.map(segment => segment.node.textContent).join('');
+                for (const match of text.matchAll(regExp)) {
+                    if (match[0].length === 0) { continue };    // Nothing to select, e.g., for /^/
+                    const start = this._runPosition(run.segments, match.index, true);
+                    const end = this._runPosition(run.segments, match.index + match[0].length, false);
                     const range = document.createRange();
-                    range.setStart(contextNode, offsets[j]);
-                    range.setEnd(contextNode, offsets[j] + this._searchString.length);
+                    range.setStart(start.node, start.offset);
+                    range.setEnd(end.node, end.offset);
                     this._foundRanges.push(range);
-                    this._foundIndices.push(_childNodeIndicesByParent(contextNode, editor));
+                    this._foundResults.push(this._resultFor(text, match.index, match[0].length, run));
                 };
             };
-            contextNode = contextNodes.iterateNext();
         };
         this._forceIndexing = false;
         this._foundRangeIndex = null;     // Forces search from beginning
     };
     
+    /**
+     * Return the global RegExp to search with based on _searchString and the search options,
+     * or null if _searchString is not a valid regular expression.
+     *
+     * When _wholeWord is true, the match cannot be preceded or followed by a letter, digit,
+     * or underscore, which works for non-ASCII text, unlike the RegExp \b.
+     */
+    _searchRegExp() {
+        let source = this._regex ? this._searchString : this._searchString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (this._wholeWord) {
+            source = '(?<![\\p{L}\\p{N}_])(?:' + source + ')(?![\\p{L}\\p{N}_])';
+        };
+        const flags = this._caseSensitive ? 'gu' : 'giu';
+        try {
+            return new RegExp(source, flags);
+        } catch(error) {
+            const muError = MUError.InvalidSearchRegExp;
+            muError.setInfo(error.message);
+            muError.callback();
+            return null;
+        };
+    };
+    
+    /**
+     * Return an array of runs of text nodes in document order. Each run holds the segments
+     * for the text nodes that share the same block, as {node, offset}, where offset is where
+     * the node's text begins in the run's text. A BR breaks a run. Each run also holds the
+     * text of the heading it falls under, or null if there is no heading before it, and
+     * the id of the contenteditable div it is in.
+     *
+     * When _divID is set, only runs within that div are returned, but headings before it
+     * still count.
+     */
+    _textRuns() {
+        const runs = [];
+        let run = null;
+        let runBlock = null;
+        let runLength = 0;
+        let heading = null;
+        const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        let node = walker.nextNode();
+        while (node) {
+            if (_isTextNode(node)) {
+                const div = _findContentEditable(node);
+                const block = div && this._textRunBlock(node);
+                if (block && (node.textContent.length > 0) && (!this._divID || (div.id === this._divID))) {
+                    if (block !== runBlock) {
+                        run = {segments: [], heading: heading ? heading.textContent : null, divId: div.id};
+                        runs.push(run);
+                        runBlock = block;
+                        runLength = 0;
+                    };
+                    run.segments.push({node: node, offset: runLength});
+                    runLength += node.textContent.length;
+                };
+            } else if (node.nodeName === 'BR') {
+                runBlock = null;
+            } else if (_headingTags.includes(node.nodeName)) {
+                heading = node;
+            };
+            node = walker.nextNode();
+        };
+        return runs;
+    };
+    
+    /**
+     * Return the block that textNode's text belongs to, skipping over inline elements
+     * like formatting, links, and spans.
+     */
+    _textRunBlock(textNode) {
+        let block = textNode.parentNode;
+        while (block && (block !== editor) && (_isFormatElement(block) || ['A', 'SPAN'].includes(block.nodeName))) {
+            block = block.parentNode;
+        };
+        return block;
+    };
+    
+    /**
+     * Return the {node, offset} for position in the text of a run's segments.
+     *
+     * A position at the boundary between two text nodes is placed at the end of the earlier
+     * one if it ends a match, and at the beginning of the later one if it starts a match.
+     */
+    _runPosition(segments, position, isStart) {
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const segmentEnd = segment.offset + segment.node.textContent.length;
+            if ((position < segmentEnd) || (!isStart && (position === segmentEnd))) {
+                return {node: segment.node, offset: position - segment.offset};
+            };
+        };
+        const last = segments[segments.length - 1];
+        return {node: last.node, offset: last.node.textContent.length};
+    };
+    
+    /**
+     * Return the {snippet, offset, length, heading, divId} reported to Swift for a match of
+     * length at offset in the text of run. The snippet holds the match with up to _snippetContext
+     * characters of the surrounding text on either side, broken at whitespace when possible,
+     * and offset locates the match within the snippet.
+     */
+    _resultFor(text, offset, length, run) {
+        const context = this._snippetContext;
+        let start = Math.max(0, offset - context);
+        let end = Math.min(text.length, offset + length + context);
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if ((space >= 0) && (space < offset)) { start = space + 1 };
+        };
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space >= offset + length) { end = space };
+        };
+        return {
+            'snippet' : text.substring(start, end),
+            'offset' : offset - start,
+            'length' : length,
+            'heading' : run.heading,
+            'divId' : run.divId
+        };
+    };
+    
     /**
      * If the CSS Custom Highlight API is supported, then highlight all the ranges
      * in foundRanges. We also draw an outline around the range, so even if the
@@ -502,7 +745,7 @@ class Searcher {
     _highlightRanges() {
         if (!CSS.highlights) { return };
         if (this._foundRanges.length === 0) {
-            CSS.highlights.clear();
+            CSS.highlights.delete('search-results');
         } else {
             const searchResultsHighlight = new Highlight(...this._foundRanges);
             CSS.highlights.set('search-results', searchResultsHighlight);
@@ -531,124 +774,188 @@ class Searcher {
         this._outlineDiv = null;
     };
     
-    /*
-     * Return the quoted string that works properly as an XPath search string when
-     * it has embedded apostrophes and/or quotes. See https://stackoverflow.com/a/38254661/8968411
+    /**
+     * Replace the text of the current range in _foundRanges with replacement, and then
+     * select the next range in _direction, rebuilding the index since offsets have changed.
+     *
+     * Return the array of changes to text nodes as produced by _replaceText, which is
+     * empty if there was no current range to replace.
      */
-    _xPathSearchString(str) {
-        if (!str.includes("'")) {
-            return '\'' + str + '\'';
-        } else if (!str.includes('"')) {
-            return '"' + str + '"'
-        }
-        return "concat('" + str.replaceAll("'", "',\"'\",'") + "')";
+    replaceCurrent(replacement) {
+        const range = (this._foundRangeIndex !== null) ? this._foundRanges[this._foundRangeIndex] : null;
+        if (!range) { return [] };
+        const match = this._matchFor(range);
+        const replacementText = this._replacementFor(match.text, replacement);
+        const changes = this._replaceText(match, replacementText);
+        const replacedRange = document.createRange();
+        replacedRange.setStart(match.startContainer, match.startOffset);
+        replacedRange.setEnd(match.startContainer, match.startOffset + replacementText.length);
+        this._buildIndex();
+        this._highlightRanges();
+        if (this._foundRanges.length === 0) {
+            const sel = document.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(replacedRange);
+            this.cancel();
+        } else {
+            this._foundRangeIndex = this._indexFrom(replacedRange, this._direction);
+            this.selectRange(this._foundRanges[this._foundRangeIndex]);
+        };
+        return changes;
+    };
+    
+    /**
+     * Replace all ranges that match text using options with replacement. The selection is
+     * left at the end of the first replacement, and search is cancelled afterward.
+     *
+     * Return the array of changes to text nodes as produced by _replaceText.
+     */
+    replaceAll(text, replacement, options={}) {
+        const changes = [];
+        if (!text || (text.length === 0)) { return changes };
+        text = text.replaceAll('&quot;', '"')       // Fix the hack for quotes in the call
+        text = text.replaceAll('&apos;', "'")       // Fix the hack for apostrophes in the call
+        this._searchString = text;
+        this._caseSensitive = options.caseSensitive === true;
+        this._wholeWord = options.wholeWord === true;
+        this._regex = options.regex === true;
+        this._divID = options.divId ?? null;
+        this._buildIndex();
+        // Capture the matches before changing anything, since the ranges change with the text.
+        // Replace them last-to-first so the offsets of earlier matches in the same text node hold.
+        const matches = this._foundRanges.map(range => this._matchFor(range));
+        const replacements = matches.map(match => this._replacementFor(match.text, replacement));
+        for (let i = matches.length - 1; i >= 0; i--) {
+            changes.push(...this._replaceText(matches[i], replacements[i]));
+        };
+        if (matches.length > 0) {
+            const first = matches[0];
+            const range = document.createRange();
+            range.setStart(first.startContainer, first.startOffset + replacements[0].length);
+            const sel = document.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
+        };
+        this.cancel();
+        return changes;
     };
     
     /**
-     * Return a string without characters that interfere with translation
+     * Return the boundaries and text of range, which stay fixed when range itself
+     * changes because of changes to its text nodes.
      */
-    _xPathTranslateString(str) {
-        return str
-            .replaceAll('&', '')
-            .replaceAll("'", '')
-            .replaceAll('"', '')
-            .replaceAll('<', '')
-            .replaceAll('>', '');
+    _matchFor(range) {
+        return {
+            startContainer: range.startContainer,
+            startOffset: range.startOffset,
+            endContainer: range.endContainer,
+            endOffset: range.endOffset,
+            text: range.toString()
+        };
     };
     
     /**
-     * Return an array of offsets into searchStr that locate str
+     * Return the text to replace matchText with.
+     *
+     * For a regex search, the replacement can use the same patterns as String.replace,
+     * like $1 or $<name>, so long as the search matches matchText on its own.
      */
-    _getOffsetsOf(searchStr, str, caseSensitive=false) {
-        // https://stackoverflow.com/a/3410557/8968411
-        let searchStrLen = searchStr.length;
-        if (searchStrLen == 0) {
-            return [];
-        }
-        let startOffset = 0, offset, offsets = [];
-        if (!caseSensitive) {
-            str = str.toLowerCase();
-            searchStr = searchStr.toLowerCase();
-        }
-        while ((offset = str.indexOf(searchStr, startOffset)) > -1) {
-            offsets.push(offset);
-            startOffset = offset + searchStrLen;
-        }
-        return offsets;
+    _replacementFor(matchText, replacement) {
+        if (!this._regex) { return replacement };
+        const regExp = this._searchRegExp();
+        const stickyRegExp = regExp && new RegExp(regExp.source, regExp.flags.replace('g', '') + 'y');
+        const match = stickyRegExp && stickyRegExp.exec(matchText);
+        if (!match || (match[0].length !== matchText.length)) { return replacement };
+        stickyRegExp.lastIndex = 0;     // Because exec advanced it
+        return matchText.replace(stickyRegExp, replacement);
+    };
+    
+    /**
+     * Replace the text between the boundaries of match with replacement, and return an array
+     * of {indices, offset, oldText, newText, startsMatch} for each text node that was changed.
+     *
+     * The replacement goes into the text node the match starts in, so it takes on the formatting
+     * found there, and the matched text is removed from the text nodes after it. No nodes are added
+     * or removed, so the indices below editor stay valid for undo and redo.
+     */
+    _replaceText(match, replacement) {
+        const startNode = match.startContainer;
+        const endNode = match.endContainer;
+        const textNodes = [startNode];
+        if (startNode !== endNode) {
+            const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+            walker.currentNode = startNode;
+            let textNode = walker.nextNode();
+            while (textNode) {
+                textNodes.push(textNode);
+                if (textNode === endNode) { break };
+                textNode = walker.nextNode();
+            };
+        };
+        const changes = [];
+        for (let i = 0; i < textNodes.length; i++) {
+            const textNode = textNodes[i];
+            const oldText = textNode.textContent;
+            let newText;
+            if (textNode === startNode) {
+                const suffix = (startNode === endNode) ? oldText.substring(match.endOffset) : '';
+                newText = oldText.substring(0, match.startOffset) + replacement + suffix;
+            } else if (textNode === endNode) {
+                newText = oldText.substring(match.endOffset);
+            } else {
+                newText = '';
+            };
+            changes.push({
+                indices: _childNodeIndicesByParent(textNode, editor),
+                offset: (textNode === startNode) ? match.startOffset : 0,
+                oldText: oldText,
+                newText: newText,
+                startsMatch: textNode === startNode
+            });
+            textNode.textContent = newText;
+        };
+        return changes;
+    };
+    
+    /**
+     * Return the index into _foundRanges of the first range that starts at or after range
+     * when direction is 'forward', or the last range that ends at or before range when
+     * direction is 'backward', wrapping around if there is none.
+     */
+    _indexFrom(range, direction) {
+        if (direction === 'forward') {
+            const index = this._foundRanges.findIndex(foundRange => {
+                return foundRange.compareBoundaryPoints(Range.END_TO_START, range) >= 0
+            });
+            return (index < 0) ? 0 : index;
+        } else {
+            const index = this._foundRanges.findLastIndex(foundRange => {
+                return foundRange.compareBoundaryPoints(Range.START_TO_END, range) <= 0
+            });
+            return (index < 0) ? this._foundRanges.length - 1 : index;
+        };
     };
     
     /**
      * Given the selection, return the index into this._foundRanges that identifies
      * the next range to select in the specified direction.
+     *
+     * Moving forward, that is the first range that starts at or after the start of the
+     * selection. Moving backward, it is the last range that ends at or before the end
+     * of the selection. Ranges are in document order across all contenteditable divs,
+     * so we can compare them to the selection directly.
      */
     _elementIndexAtSelection(direction='forward') {
         const sel = document.getSelection();
         if (sel.rangeCount === 0) { return null };
         const selRange = sel.getRangeAt(0);
-        const selStartContainer = selRange.startContainer;
-        const selStartOffset = selRange.startOffset;
-        const selEndOffset = selRange.endOffset;
-        let startTextNode;
-        if (_isTextNode(selStartContainer)) {
-            startTextNode = selStartContainer;
-        } else {
-            if (direction === 'forward') {
-                startTextNode = _firstTextNodeAfter(selStartContainer);
-            } else {
-                startTextNode = _firstTextNodeBefore(selStartContainer);
-            };
-        };
-        if (!startTextNode) { return null };
-        const selectionIndex = _childNodeIndicesByParent(startTextNode, editor);
-        // _compareIndicesDepthwise(foundIndex, selectionIndex) returns:
-        //      -1 if foundIndex comes before selectionIndex
-        //      1 if foundIndex comes after selectionIndex
-        //      0 if they are the same
-        let elementIndex;
+        const range = document.createRange();
         if (direction === 'forward') {
-            elementIndex = this._foundIndices.findIndex(foundIndex => {
-                return _compareIndicesDepthwise(foundIndex, selectionIndex) >= 0
-            })
+            range.setStart(selRange.startContainer, selRange.startOffset);
         } else {
-            elementIndex = this._foundIndices.reverse().findIndex(foundIndex => {
-                return _compareIndicesDepthwise(foundIndex, selectionIndex) <= 0
-            })
-        };
-        let foundRange = this._foundRanges[elementIndex];
-        let foundRangeContainer = foundRange.startContainer;
-        if (foundRangeContainer === selStartContainer) {
-            // We found a range in the same container as the selection, but we don't know
-            // if it is before or after the selection until we check.
-            if (direction === 'forward') {
-                if (foundRange.startOffset >= selStartOffset) {
-                    return elementIndex;    // The index points to the next range at/after selection
-                } else {
-                    elementIndex = this._nextIndex(elementIndex, direction);
-                    while (this._foundRanges[elementIndex].startContainer === selStartContainer) {
-                        if (this._foundRanges[elementIndex].startOffset >= selStartOffset) {
-                            return elementIndex;    // The index points to the next range at/after selection
-                        } else {
-                            elementIndex = this._nextIndex(elementIndex, direction);
-                        };
-                    };
-                };
-            } else {
-                if (foundRange.endOffset <= selEndOffset) {
-                    return elementIndex;    // The index points to the next range at/before selection
-                } else {
-                    elementIndex = this._nextIndex(elementIndex, direction);
-                    while (this._foundRanges[elementIndex].startContainer === selStartContainer) {
-                        if (this._foundRanges[elementIndex].startOffset <= selStartOffset) {
-                            return elementIndex;    // The index points to the next range at/before selection
-                        } else {
-                            elementIndex = this._nextIndex(elementIndex, direction);
-                        };
-                    };
-                };
-            };
+            range.setStart(selRange.endContainer, selRange.endOffset);
         };
-        // We found a range in a different container than the selection
-        return elementIndex;
+        return this._indexFrom(range, direction);
     };
 
 };
@@ -664,14 +971,23 @@ const searcher = new Searcher();
  *
  * When text is empty, search is canceled.
  *
+ * The options are an object or its JSON string from the Swift side, with optional
+ * boolean properties caseSensitive, wholeWord, and regex.
+ *
  * CAUTION: Search must be cancelled once started, or Enter will be intercepted
  * to mean searcher.searchForward()/searchBackward()
+ *
+ * @param {String}              text        The string or regular expression to search for.
+ * @param {String}              direction   Either 'forward' or 'backward'.
+ * @param {String}              activate    'true' to intercept Enter for searching.
+ * @param {Object | String}     options     The search options, or their JSON string.
  */
-MU.searchFor = function(text, direction, activate) {
+MU.searchFor = function(text, direction, activate, options) {
     const searchOnEnter = activate === 'true';
-    const range = searcher.searchFor(text, direction, searchOnEnter);
+    const searchOptions = ((typeof options === 'string') ? JSON.parse(options) : options) ?? {};
+    const range = searcher.searchFor(text, direction, searchOnEnter, searchOptions);
     searcher.selectRange(range);
-    _callback('searched')
+    searcher.searchedCallback();
 };
 
 MU.deactivateSearch = function() {
@@ -682,6 +998,97 @@ MU.cancelSearch = function() {
     searcher.cancel()
 }
 
+/**
+ * Replace the text of the range that was last found by MU.searchFor with replacement,
+ * and select the next range in the same direction.
+ *
+ * The replacement is undoable.
+ *
+ * @param {String}  replacement     The text to replace the found text with.
+ */
+MU.replaceCurrent = function(replacement) {
+    const changes = searcher.replaceCurrent(replacement);
+    if (changes.length === 0) { return };
+    _backupSelection();
+    const undoerData = _undoerData('replace', {changes: changes});
+    undoer.push(undoerData);
+    _restoreSelection();
+    _callbackInput();
+    searcher.searchedCallback();
+};
+
+/**
+ * Replace every occurrence of search with replacement, using the same options as
+ * MU.searchFor, and return the number of replacements.
+ *
+ * The replacements are undone together in a single undo.
+ *
+ * @param {String}              search          The string or regular expression to search for.
+ * @param {String}              replacement     The text to replace each occurrence with.
+ * @param {Object | String}     options         The search options, or their JSON string.
+ * @return {Number}                             The number of replacements.
+ */
+MU.replaceAll = function(search, replacement, options) {
+    const searchOptions = ((typeof options === 'string') ? JSON.parse(options) : options) ?? {};
+    const changes = searcher.replaceAll(search, replacement, searchOptions);
+    if (changes.length === 0) { return 0 };
+    _backupSelection();
+    const undoerData = _undoerData('replace', {changes: changes});
+    undoer.push(undoerData);
+    _restoreSelection();
+    _callbackInput();
+    _callback('selectionChange');
+    return changes.filter(change => change.startsMatch).length;
+};
+
+/**
+ * Undo a replacement by restoring the old text in each changed text node, in the
+ * opposite order they were changed in, and leave the selection where the first
+ * replacement started.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _undoReplace = function(undoerData) {
+    const changes = undoerData.data.changes;
+    for (let i = changes.length - 1; i >= 0; i--) {
+        _childNodeIn(editor, changes[i].indices).textContent = changes[i].oldText;
+    };
+    _selectReplaceChange(changes);
+};
+
+/**
+ * Redo a replacement by setting the new text in each changed text node, and leave
+ * the selection where the first replacement started.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _redoReplace = function(undoerData) {
+    const changes = undoerData.data.changes;
+    for (let i = 0; i < changes.length; i++) {
+        _childNodeIn(editor, changes[i].indices).textContent = changes[i].newText;
+    };
+    _selectReplaceChange(changes);
+};
+
+/**
+ * Collapse the selection where the first replacement starts. Because replacements are
+ * made last-to-first, that is the last change that starts a match. The search ranges
+ * no longer reflect the text, so cancel search, too.
+ *
+ * @param {Array}   changes     The changes held in undoerData for a replace.
+ */
+const _selectReplaceChange = function(changes) {
+    const change = changes.findLast(change => change.startsMatch);
+    searcher.cancel();
+    const range = document.createRange();
+    range.setStart(_childNodeIn(editor, change.indices), change.offset);
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    _backupSelection();
+    _callbackInput();
+};
+
 /*
  * The Undoer class below was adopted from https://github.com/samthor/undoer
  * under the Apache 2.0 license found
@@ -696,6 +1103,12 @@ MU.cancelSearch = function() {
  * changed to an InputElement, I also opted to track the _index into the _stack directly
  * using the Undoer state rather than the value of the InputElement (formerly the
  * textContent of the div).
+ *
+ * The round trip through _ctrl depends on focus and on the browser's native undo stack,
+ * both of which have broken on new OS releases. MU.setScriptedUndo(true) switches the
+ * Undoer to a "scripted" mode, where push just places data on the _stack, and undo()
+ * and redo() invoke the callbacks directly. In scripted mode, the native undo stack is
+ * never used, so typing is recorded in the _stack, too, using a TypingRecorder.
  */
 class Undoer {
     
@@ -708,6 +1121,12 @@ class Undoer {
         this._duringUpdate = false;
         this._stack = [];
         this._index = -1;    // Pointer into this._stack to find the operation
+        this._scripted = false;
+        this._limit = null;  // The maximum number of operations in this._stack, or null for no limit
+        this._group = null;  // The operations pushed since beginGroup, which are pushed as one at endGroup
+        this._groupDepth = 0;
+        this._undoCallback = undoCallback;
+        this._redoCallback = redoCallback;
         
         this._ctrl = document.createElement('input');
         this._ctrl.setAttribute('aria-hidden', 'true');
@@ -738,7 +1157,13 @@ class Undoer {
                 if (ev.inputType === 'historyUndo') {
                     // The _index points to the operation that needs to be undone.
                     // When done, reset it to one less, leaving the _stack alone so
-                    // we can redo.
+                    // we can redo. If the operation was dropped from the _stack because
+                    // of its limit, the native undo stack still holds it, so we just
+                    // refocus and leave the _stack alone.
+                    if (this._index < 0) {
+                        _focusOn(MU.editor).then( () => { _restoreSelection() });
+                        return;
+                    };
                     const data = this._stack[this._index];
                     //_consoleLog('\nUNDOING...')
                     //_consoleLog(' data.operation: ' + data.operation);
@@ -750,9 +1175,9 @@ class Undoer {
                     //_consoleLog(' data.data: ' + JSON.stringify(data.data));
                     _focusOn(MU.editor).then( () => {
                         undoCallback(this._stack[this._index]);
-                        //_consoleLog('calling undoSet')
-                        _callback('undoSet');
                         this._index--;
+                        //_consoleLog('calling undoSet')
+                        this.undoSetCallback();
                         //_consoleLog(_rangeString(data.range, " data.range (after undo): "))
                         //_consoleLog("UNDOING DONE.")
                     });
@@ -761,6 +1186,10 @@ class Undoer {
                     // redone. Increment _index and then redo the operation at that _index,
                     // leaving the _stack alone. When done, the _index points at the operation
                     // we just redid, so it can be undone.
+                    if (!this.canRedo) {
+                        _focusOn(MU.editor).then( () => { _restoreSelection() });
+                        return;
+                    };
                     this._index++;
                     const data = this._stack[this._index];
                     //_consoleLog('\nREDOING...')
@@ -774,7 +1203,7 @@ class Undoer {
                     //_consoleLog(' data.data: ' + JSON.stringify(data.data));
                     _focusOn(MU.editor).then( () => {
                         redoCallback(this._stack[this._index]);
-                        _callback('undoSet');
+                        this.undoSetCallback();
                         //_consoleLog("REDOING DONE.")
                     });
                 };
@@ -802,6 +1231,41 @@ class Undoer {
         return this._duringUpdate;
     };
     
+    /**
+     * @return {Boolean}    Whether there is an operation in the _stack to undo
+     */
+    get canUndo() {
+        return this._index >= 0;
+    };
+    
+    /**
+     * @return {Boolean}    Whether there is an operation in the _stack to redo
+     */
+    get canRedo() {
+        return this._index < this._stack.length - 1;
+    };
+    
+    /**
+     * @return {Array}      The operations in the _stack, for inspection
+     */
+    get stack() {
+        return this._stack;
+    };
+    
+    /**
+     * @return {Int}        The index in the _stack of the operation that will be undone next, or -1
+     */
+    get index() {
+        return this._index;
+    };
+    
+    /**
+     * @return {Boolean}    Whether undo and redo are managed by script rather than the native undo stack
+     */
+    get isScripted() {
+        return this._scripted;
+    };
+    
     /**
      * Enable the undoer by making it part of the document body.
      */
@@ -809,6 +1273,19 @@ class Undoer {
         document.body.appendChild(this._ctrl);
     };
     
+    /**
+     * Set whether undo and redo are managed by script. Since the native undo stack and the _stack
+     * cannot be kept in sync across the switch, the _stack is emptied either way.
+     *
+     * @param {Boolean} scripted    True to manage undo and redo by script; false to use the native undo stack.
+     */
+    setScripted(scripted) {
+        this._scripted = scripted;
+        this._stack = [];
+        this._index = -1;
+        this.undoSetCallback();
+    };
+    
     /**
      * Pushes a new undoable event. Adds to the browser's native undo/redo stack.
      *
@@ -822,8 +1299,20 @@ class Undoer {
         // Increment _index, splice it along with the data into _stack, and then update the
         // contents of _ctrl so that the native undo stack has an operation to undo. This
         // causes an input event for _ctrl that we handle by just refocusing on MU.editor.
+        // When scripted, the _stack is all there is, so we are done once data is on it.
+        // Any typing being recorded is dropped, since data holds the change being made.
+        // Between beginGroup and endGroup, data is only collected, to be pushed as part of
+        // a single operation at endGroup.
+        if (this._scripted) { typingRecorder.discard() };
+        if (this._group) {
+            this._group.push(data);
+            return;
+        };
         this._index++;
         this._stack.splice(this._index, this._stack.length - this._index, data);
+        this._trim();
+        this.undoSetCallback();
+        if (this._scripted) { return };
         this._ctrl.style.visibility = null;
         // Avoid letting the MarkupEditor know about the focus-blur dance going on with _ctrl
         // When MU.editor gets the focus event, it will always reset so other focus events are not muted.
@@ -836,33 +1325,149 @@ class Undoer {
         this._ctrl.style.visibility = 'hidden';
     };
     
-    testUndo() {
-        _undoOperation(this._stack[this._index]);
-        this._index--;
-        _callback('undoSet');
+    /**
+     * Set the maximum number of operations held in the _stack. When more are pushed, the oldest
+     * are dropped and can no longer be undone.
+     *
+     * @param {Int | null}  limit   The maximum number of operations, or null for no limit.
+     */
+    setLimit(limit) {
+        this._limit = (limit > 0) ? limit : null;
+        if (this._trim()) { this.undoSetCallback() };
     };
     
-    testRedo() {
-        this._index++;
-        _redoOperation(this._stack[this._index]);
-        _callback('undoSet');
+    /**
+     * Drop the oldest operations from the _stack so it holds no more than _limit.
+     *
+     * @return {Boolean}    Whether any operations were dropped.
+     */
+    _trim() {
+        if (!this._limit || (this._stack.length <= this._limit)) { return false };
+        const excess = this._stack.length - this._limit;
+        this._stack.splice(0, excess);
+        this._index = Math.max(this._index - excess, -1);
+        return true;
     };
-
-};
-
-/**
- * A ResizableImage tracks a specific image element, and the imageContainer it is
- * contained in. The displaystyle of the container is handled in markup.css.
- *
- * As a resizing handle is dragged, the image size is adjusted. The underlying image
- * is never actually resized or changed.
- *
- * There should only be one ResizableImage in the document, which represents the image
- * that is currently selected. When the ResizableImage's imageElement is null, there is
- * no selected image element, and the imageContainer is also null.
- *
- * The manipulators of ResizableImage need to deal with the selection and caret visibility.
- * When caret visibility is embedded in the ResizableImage code, there are just too many UI
+    
+    /**
+     * @return {Boolean}    Whether operations are being collected into a group rather than pushed
+     */
+    get isGrouping() {
+        return this._group !== null;
+    };
+    
+    /**
+     * Start collecting the operations that are pushed, so they are pushed as a single
+     * operation by endGroup. Groups can be nested, but only the outermost group is pushed.
+     */
+    beginGroup() {
+        if (this._groupDepth === 0) { this._group = [] };
+        this._groupDepth++;
+    };
+    
+    /**
+     * Stop collecting operations that are pushed, and return what was collected since
+     * the outermost beginGroup, or null if this ends a nested group.
+     *
+     * @return {Array | null}   The data that was pushed since beginGroup.
+     */
+    endGroup() {
+        if (this._groupDepth === 0) { return null };
+        this._groupDepth--;
+        if (this._groupDepth > 0) { return null };
+        const group = this._group;
+        this._group = null;
+        return group;
+    };
+    
+    /**
+     * Replace the _stack with stack, making the operation at index the next to be undone.
+     *
+     * When scripted, that is all there is to it. Otherwise, the browser's native undo stack has to
+     * hold an entry for every operation that can be undone, so we push the operations up to and
+     * including index again. The operations after index can't be redone in that case, because the
+     * native undo stack has no way to hold them without undoing them.
+     *
+     * Note: Caller needs to handle backing up selection before call and restoring it afterward.
+     *
+     * @param {Array}   stack   The operations to replace the _stack with
+     * @param {Int}     index   The index in stack of the operation that will be undone next, or -1
+     */
+    restore(stack, index) {
+        if (this._scripted) {
+            this._stack = stack;
+            this._index = index;
+            this._trim();
+        } else {
+            this._stack = [];
+            this._index = -1;
+            for (let i = 0; i <= index; i++) {
+                this.push(stack[i]);
+            };
+        };
+        this.undoSetCallback();
+    };
+    
+    /**
+     * Let the Swift side know that the _stack or _index changed, whether because of a push,
+     * undo, redo, or replacing the _stack, and whether there is anything left to undo or redo.
+     */
+    undoSetCallback() {
+        const undoSet = {
+            'messageType' : 'undoSet',
+            'canUndo' : this.canUndo,
+            'canRedo' : this.canRedo
+        };
+        _callback(JSON.stringify(undoSet));
+    };
+    
+    /**
+     * Undo the operation at _index when scripted, leaving the _stack alone so we can redo.
+     */
+    undo() {
+        if (this._index < 0) { return };
+        this._undoCallback(this._stack[this._index]);
+        this._index--;
+        this.undoSetCallback();
+    };
+    
+    /**
+     * Redo the operation after _index when scripted, leaving _index pointing at it so it can be undone.
+     */
+    redo() {
+        if (this._index >= this._stack.length - 1) { return };
+        this._index++;
+        this._redoCallback(this._stack[this._index]);
+        this.undoSetCallback();
+    };
+    
+    testUndo() {
+        _undoOperation(this._stack[this._index]);
+        this._index--;
+        this.undoSetCallback();
+    };
+    
+    testRedo() {
+        this._index++;
+        _redoOperation(this._stack[this._index]);
+        this.undoSetCallback();
+    };
+
+};
+
+/**
+ * A ResizableImage tracks a specific image element, and the imageContainer it is
+ * contained in. The displaystyle of the container is handled in markup.css.
+ *
+ * As a resizing handle is dragged, the image size is adjusted. The underlying image
+ * is never actually resized or changed.
+ *
+ * There should only be one ResizableImage in the document, which represents the image
+ * that is currently selected. When the ResizableImage's imageElement is null, there is
+ * no selected image element, and the imageContainer is also null.
+ *
+ * The manipulators of ResizableImage need to deal with the selection and caret visibility.
+ * When caret visibility is embedded in the ResizableImage code, there are just too many UI
  * issues that can come up depending on how it's used. The exception here is in handling
  * input when the ResizableImage is selected. In general, though when the imageElement
  * is set, and the resizeContainer is present and visible along with the resize handles,
@@ -1218,12 +1823,29 @@ class ResizableImage {
         if (resizableImage._touchCache.length === 1) {
             resizableImage._startDx = -1;
             resizableImage._startDy = -1;
-            const startDimensions = resizableImage.startDimensions;
-            const undoerData = _undoerData('resizeImage', {imageElement: resizableImage.imageElement, startDimensions: startDimensions});
-            resizableImage._startDimensions = resizableImage.currentDimensions;
-            undoer.push(undoerData);
+            resizableImage.pushResize();
         };
     };
+    
+    /**
+     * Push the resizeImage operation onto the undo stack once resizing by pinching or by
+     * dragging a handle is done, and reset the startDimensions for the next resize.
+     *
+     * When the operation at the top of the undo stack already resized the same image, it already
+     * holds the startDimensions we need to undo to, so we don't push anything. This way, repeatedly
+     * resizing an image is undone in one step.
+     */
+    pushResize() {
+        const startDimensions = resizableImage.startDimensions;
+        const currentDimensions = resizableImage.currentDimensions;
+        resizableImage._startDimensions = currentDimensions;
+        if ((startDimensions.width === currentDimensions.width) && (startDimensions.height === currentDimensions.height)) { return };
+        const lastUndoerData = undoer.data;
+        const coalesce = lastUndoerData && !undoer.canRedo && (lastUndoerData.operation === 'resizeImage') && (lastUndoerData.data.imageElement === resizableImage.imageElement);
+        if (coalesce) { return };
+        const undoerData = _undoerData('resizeImage', {imageElement: resizableImage.imageElement, startDimensions: startDimensions});
+        undoer.push(undoerData);
+    };
    
     /**
      * Start resize on mousedown in this resizableImage
@@ -1244,10 +1866,7 @@ class ResizableImage {
         resizableImage.preventNextClick = true;   // Avoid the MU.editor click event default action on mouseup
         window.removeEventListener('mousemove', resizableImage.resizing);
         window.removeEventListener('mouseup', resizableImage.endResize);
-        const startDimensions = resizableImage.startDimensions;
-        const undoerData = _undoerData('resizeImage', {imageElement: resizableImage.imageElement, startDimensions: startDimensions});
-        resizableImage._startDimensions = resizableImage.currentDimensions;
-        undoer.push(undoerData);
+        resizableImage.pushResize();
     };
     
     resizing(ev) {
@@ -1457,6 +2076,178 @@ class ResizableImage {
 const resizableImage = new ResizableImage();
 const minImageSize = 20;
 
+/**
+ * A ResizableTable tracks the table the selection is in, and shows a resize handle
+ * over each border between its columns. Dragging a handle moves the border, widening
+ * the column on one side and narrowing the one on the other, so the table as a whole
+ * stays the same width.
+ *
+ * The handles are divs overlayed on the body rather than elements within the table,
+ * so they never become part of the HTML we return from MU.getHTML. The column widths
+ * themselves are held as percentages in the width attribute of COL elements in a
+ * COLGROUP at the beginning of the table, which is created on the first resize. We use
+ * the width attribute rather than style, because style attributes are removed when we
+ * clean up the HTML after deletions and paste.
+ *
+ * There should only be one ResizableTable in the document. When its table is null,
+ * the selection is not in a table, and there are no handles.
+ */
+class ResizableTable {
+    
+    constructor() {
+        this._table = null;
+        this._handles = [];
+        this._startX = null;                // The clientX where dragging a handle started
+        this._startWidths = [];             // The column widths in percent when dragging started
+        this._startHTML = null;             // The table outerHTML when dragging started, for undo
+        this._col = null;                   // The column to the left of the handle being dragged
+    };
+    
+    get table() {
+        return this._table;
+    };
+    
+    get isResizing() {
+        return this._col !== null;
+    };
+    
+    /**
+     * Show the handles for table, or remove them if table is null.
+     *
+     * The handles are replaced when the table changes or its number of columns does,
+     * and are repositioned otherwise, since the table may have changed size.
+     */
+    select(table) {
+        if (this.isResizing) { return };
+        const cols = (table) ? _getRowsCols(table)[1] : 0;
+        if ((table !== this._table) || (cols - 1 !== this._handles.length)) {
+            this.deselect();
+            if (!table || (cols < 2)) { return };
+            for (let col=0; col<cols-1; col++) {
+                const handle = document.createElement('div');
+                handle.setAttribute('class', 'column-resize-handle');
+                handle.addEventListener('mousedown', this.startResize);
+                handle.addEventListener('touchstart', this.startResize);
+                document.body.appendChild(handle);
+                this._handles.push(handle);
+            };
+            this._table = table;
+        };
+        this.positionHandles();
+    };
+    
+    /**
+     * Remove the handles, leaving the table alone.
+     */
+    deselect() {
+        this._handles.forEach(handle => {
+            handle.removeEventListener('mousedown', this.startResize);
+            handle.removeEventListener('touchstart', this.startResize);
+            handle.parentNode.removeChild(handle);
+        });
+        this._handles = [];
+        this._table = null;
+    };
+    
+    /**
+     * Place each handle over the border on the right of its column, offset by the
+     * window scrollX/Y like the search outline. Because the table is laid out with
+     * fixed column widths, each border is at the sum of the widths to its left.
+     */
+    positionHandles() {
+        const table = this._table;
+        if (!table) { return };
+        const rect = table.getBoundingClientRect();
+        const widths = _columnWidths(table);
+        let left = 0;
+        for (let col=0; col<this._handles.length; col++) {
+            left += widths[col];
+            const style = this._handles[col].style;
+            style.left = (rect.left + window.scrollX + (rect.width * left / 100)).toString() + 'px';
+            style.top = (rect.top + window.scrollY).toString() + 'px';
+            style.height = (rect.height).toString() + 'px';
+        };
+    };
+    
+    /**
+     * Start dragging the handle that received mousedown or touchstart.
+     */
+    startResize(ev) {
+        ev.preventDefault();
+        const col = resizableTable._handles.indexOf(ev.currentTarget);
+        if (col < 0) { return };
+        MU.editor.style.webkitUserSelect = 'none';  // Prevent selection of text as the handle moves
+        // Use window to receive events even when the handle goes outside of MU.editor
+        window.addEventListener('mousemove', resizableTable.resizing);
+        window.addEventListener('mouseup', resizableTable.endResize);
+        window.addEventListener('touchmove', resizableTable.resizing, {passive: false});
+        window.addEventListener('touchend', resizableTable.endResize);
+        window.addEventListener('touchcancel', resizableTable.endResize);
+        resizableTable._col = col;
+        resizableTable._startX = resizableTable.clientX(ev);
+        resizableTable._startWidths = _columnWidths(resizableTable._table);
+        resizableTable._startHTML = resizableTable._table.outerHTML;
+    };
+    
+    /**
+     * Move the border between the column and the one to its right by the distance
+     * the handle was dragged, keeping both at least minColumnWidth wide.
+     */
+    resizing(ev) {
+        ev.preventDefault();
+        const col = resizableTable._col;
+        const table = resizableTable._table;
+        const widths = resizableTable._startWidths.slice();
+        const pairWidth = widths[col] + widths[col+1];
+        const dx = 100 * (resizableTable.clientX(ev) - resizableTable._startX) / table.getBoundingClientRect().width;
+        const width = Math.min(Math.max(widths[col] + dx, minColumnWidth), pairWidth - minColumnWidth);
+        widths[col] = width;
+        widths[col+1] = pairWidth - width;
+        _setColumnWidths(table, widths);
+        resizableTable.positionHandles();
+    };
+    
+    /**
+     * Stop dragging, and push a restoreTable operation onto the undo stack if the
+     * widths changed, so the resize is undone like any other change to the table.
+     */
+    endResize(ev) {
+        ev.preventDefault();
+        MU.editor.style.webkitUserSelect = 'text';  // Restore selection of text now that we are done
+        window.removeEventListener('mousemove', resizableTable.resizing);
+        window.removeEventListener('mouseup', resizableTable.endResize);
+        window.removeEventListener('touchmove', resizableTable.resizing);
+        window.removeEventListener('touchend', resizableTable.endResize);
+        window.removeEventListener('touchcancel', resizableTable.endResize);
+        const outerHTML = resizableTable._startHTML;
+        resizableTable._col = null;
+        resizableTable._startX = null;
+        resizableTable._startWidths = [];
+        resizableTable._startHTML = null;
+        if (outerHTML === resizableTable._table.outerHTML) { return };
+        const tableElements = _getTableElementsAtSelection();
+        if (tableElements['table'] === resizableTable._table) {
+            const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: tableElements['thead'] != null, outerHTML: outerHTML});
+            undoer.push(undoerData);
+        };
+        _callbackInput();
+    };
+    
+    /**
+     * Return the clientX of a mouse event, or of the touch that changed in a touch event.
+     */
+    clientX(ev) {
+        return (ev.changedTouches) ? ev.changedTouches[0].clientX : ev.clientX;
+    };
+    
+};
+
+/*
+ * There is a singleton resizableTable which may or may not be tracking a table.
+ */
+const resizableTable = new ResizableTable();
+const minColumnWidth = 5;   // Percent of the table width
+
 /********************************************************************************
  * Undo/Redo
  */
@@ -1466,18 +2257,99 @@ const minImageSize = 20;
  * Without any api-level access to undo/redo, we are forced to use the execCommand to cause the
  * event to be triggered from Swift. Note that the _undoOperation gets called when it has
  * been placed in the stack with undoer.push (for example, for formatting or pasting).
+ *
+ * When the undoer is scripted, we don't need the execCommand and just undo directly.
  */
 MU.undo = function() {
-    document.execCommand('undo', false, null);
+    _endUndoGroups();
+    if (undoer.isScripted) {
+        typingRecorder.finish();
+        undoer.undo();
+    } else {
+        document.execCommand('undo', false, null);
+    };
 };
 
 /**
  * Without any api-level access to undo/redo, we are forced to use the execCommand to cause the
  * event to be triggered from Swift. Note that the _redoOperation gets called when it has
  * been placed in the stack with undoer.push (for example, for formatting or pasting).
+ *
+ * When the undoer is scripted, we don't need the execCommand and just redo directly.
  */
 MU.redo = function() {
-    document.execCommand('redo', false, null);
+    _endUndoGroups();
+    if (undoer.isScripted) {
+        typingRecorder.finish();
+        undoer.redo();
+    } else {
+        document.execCommand('redo', false, null);
+    };
+};
+
+/**
+ * Set whether undo/redo is managed entirely by script instead of using the browser's native
+ * undo stack. The default is false. When true, typing is recorded as a 'typing' operation in
+ * the undoer alongside all other operations, and MU.undo/MU.redo don't depend on focus.
+ *
+ * Changing the mode empties the undo stack.
+ *
+ * @param {Boolean} scripted    True to manage undo/redo by script.
+ */
+MU.setScriptedUndo = function(scripted) {
+    typingRecorder.finish();
+    undoer.setScripted(scripted === true);
+};
+
+/**
+ * Set the maximum number of operations that can be undone. By default, there is no limit,
+ * but operations like those on tables hold onto a lot of HTML, so a long editing session
+ * can use a lot of memory without one.
+ *
+ * @param {Int | null}  limit   The maximum number of operations, or null for no limit.
+ */
+MU.setUndoLimit = function(limit) {
+    undoer.setLimit(limit);
+};
+
+/**
+ * Begin a group of operations that will be undone and redone as a single operation once
+ * MU.endUndoGroup is called. For example, you can insert a table, fill in its header, and
+ * set its border, and then undo all of it in one step.
+ *
+ * Groups can be nested, but only the outermost MU.endUndoGroup pushes the group. Undo and
+ * redo end any group that is still open, so a missing MU.endUndoGroup can't keep every
+ * later operation off the undo stack.
+ */
+MU.beginUndoGroup = function() {
+    typingRecorder.finish();
+    undoer.beginGroup();
+};
+
+/**
+ * End the group of operations started with MU.beginUndoGroup and push them onto the undo
+ * stack as a single 'group' operation. A group holding only one operation is pushed as-is,
+ * and an empty group is not pushed at all.
+ */
+MU.endUndoGroup = function() {
+    typingRecorder.finish();
+    const group = undoer.endGroup();
+    if (!group || (group.length === 0)) { return };
+    _backupSelection();
+    if (group.length === 1) {
+        undoer.push(group[0]);
+    } else {
+        undoer.push(_undoerData('group', {undoerDatas: group}));
+    };
+    _restoreSelection();
+};
+
+/**
+ * End every group left open by MU.beginUndoGroup without a matching MU.endUndoGroup,
+ * pushing whatever it collected so that it can be undone.
+ */
+const _endUndoGroups = function() {
+    while (undoer.isGrouping) { MU.endUndoGroup() };
 };
 
 /**
@@ -1566,7 +2438,7 @@ const _undoOperation = function(undoerData) {
             _undoInsertImage(undoerData);
             break;
         case 'modifyImage':
-            _redoInsertImage(undoerData);
+            _undoRedoModifyImage(undoerData, true);
             break;
         case 'resizeImage':
             _undoRedoResizeImage(undoerData);
@@ -1595,6 +2467,30 @@ const _undoOperation = function(undoerData) {
         case 'enter':
             _undoEnter(undoerData);
             break;
+        case 'replace':
+            _undoReplace(undoerData);
+            break;
+        case 'typing':
+            _undoTyping(undoerData);
+            break;
+        case 'inputRule':
+            _undoInputRule(undoerData);
+            break;
+        case 'checked':
+            _undoRedoChecked(undoerData);
+            break;
+        case 'listAttributes':
+            _undoRedoListAttributes(undoerData, true);
+            break;
+        case 'moveBlock':
+            _undoRedoMoveBlock(undoerData, true);
+            break;
+        case 'convert':
+            _undoRedoConvert(undoerData, true);
+            break;
+        case 'group':
+            _undoGroup(undoerData);
+            break;
         default:
             _consoleLog('Error: Unknown undoOperation ' + undoerData.operation);
     };
@@ -1630,7 +2526,7 @@ const _redoOperation = function(undoerData) {
             break;
         case 'list':
             _restoreSelection();
-            MU.toggleListItem(data.newListType, false);
+            MU.toggleListItem(data.newListType, false, false);
             _backupSelection();
             break;
         case 'multiList':
@@ -1662,7 +2558,7 @@ const _redoOperation = function(undoerData) {
             _redoInsertImage(undoerData);
             break;
         case 'modifyImage':
-            _redoModifyImage(undoerData);
+            _undoRedoModifyImage(undoerData, false);
             break;
         case 'resizeImage':
             _undoRedoResizeImage(undoerData);
@@ -1691,11 +2587,59 @@ const _redoOperation = function(undoerData) {
         case 'enter':
             _doEnter(false);
             break;
+        case 'replace':
+            _redoReplace(undoerData);
+            break;
+        case 'typing':
+            _redoTyping(undoerData);
+            break;
+        case 'inputRule':
+            _redoInputRule(undoerData);
+            break;
+        case 'checked':
+            _undoRedoChecked(undoerData);
+            break;
+        case 'listAttributes':
+            _undoRedoListAttributes(undoerData, false);
+            break;
+        case 'moveBlock':
+            _undoRedoMoveBlock(undoerData, false);
+            break;
+        case 'convert':
+            _undoRedoConvert(undoerData, false);
+            break;
+        case 'group':
+            _redoGroup(undoerData);
+            break;
         default:
             _consoleLog('Error: Unknown redoOperation ' + undoerData.operation);
     };
 };
 
+/**
+ * Undo the operations in a group that was pushed by MU.endUndoGroup, last-to-first.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _undoGroup = function(undoerData) {
+    const undoerDatas = undoerData.data.undoerDatas;
+    for (let i = undoerDatas.length - 1; i >= 0; i--) {
+        _undoOperation(undoerDatas[i]);
+    };
+};
+
+/**
+ * Redo the operations in a group that was pushed by MU.endUndoGroup, first-to-last.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _redoGroup = function(undoerData) {
+    const undoerDatas = undoerData.data.undoerDatas;
+    for (let i = 0; i < undoerDatas.length; i++) {
+        _redoOperation(undoerDatas[i]);
+    };
+};
+
 /**
  * The undoer is the singleton that handles undo/redo.
  * The _undoOperation/_redoOperation are the functions we
@@ -1762,7154 +2706,11053 @@ const _backupUndoerRange = function(undoerData) {
 };
 
 /********************************************************************************
- * Event Listeners
- */
-//MARK: Event Listeners
+ * Undo History
+ */
+//MARK: Undo History
+
+/**
+ * The descriptions of operations in the undoer's stack, by operation name.
+ */
+const _undoDescriptions = {
+    pasteHTML: 'Paste',
+    format: 'Format',
+    multiFormat: 'Format',
+    style: 'Paragraph Style',
+    multiStyle: 'Paragraph Style',
+    list: 'List',
+    multiList: 'List',
+    indent: 'Indent',
+    multiIndent: 'Indent',
+    outdent: 'Outdent',
+    multiOutdent: 'Outdent',
+    insertLink: 'Insert Link',
+    deleteLink: 'Delete Link',
+    insertImage: 'Insert Image',
+    modifyImage: 'Modify Image',
+    resizeImage: 'Resize Image',
+    deleteImage: 'Delete Image',
+    insertTable: 'Insert Table',
+    deleteTable: 'Delete Table',
+    restoreTable: 'Change Table',
+    borderTable: 'Table Border',
+    listEnter: 'New Line',
+    blockquoteEnter: 'New Line',
+    enter: 'New Line',
+    replace: 'Replace',
+    typing: 'Typing',
+    inputRule: 'Markdown Shortcut',
+    checked: 'Check Item',
+    listAttributes: 'List Numbering',
+    moveBlock: 'Move',
+    convert: 'Convert',
+    group: 'Multiple Changes'
+};
+
+/**
+ * Return a description of the operation in undoerData suitable for showing to the user,
+ * such as "Format B" or "List UL".
+ */
+const _undoDescription = function(undoerData) {
+    const operation = undoerData.operation;
+    const data = undoerData.data;
+    const description = _undoDescriptions[operation] ?? operation;
+    let detail;
+    switch (operation) {
+        case 'format':
+            detail = data.type;
+            break;
+        case 'multiFormat':
+            detail = data.newFormat;
+            break;
+        case 'style':
+        case 'multiStyle':
+            detail = data.newStyle;
+            break;
+        case 'list':
+        case 'multiList':
+            detail = data.newListType;
+            break;
+        case 'moveBlock':
+            detail = data.up ? 'Up' : 'Down';
+            break;
+    };
+    return detail ? description + ' ' + detail : description;
+};
 
 /**
- * Cancel searching for any click within the body.
+ * Return the operations in the undoer's stack, along with where we are in it.
+ *
+ * The index identifies the entry that will be undone next, and is -1 when there is nothing
+ * to undo. When the undoer is not scripted, typing is held by the browser's native undo stack
+ * and is not included.
+ *
+ * @return {String}      The stringified dictionary of the history.
  */
-document.body.addEventListener('mousedown', function() {
-    searcher.cancel()
-});
+MU.getUndoHistory = function() {
+    const entries = undoer.stack.map(undoerData => {
+        return {operation: undoerData.operation, description: _undoDescription(undoerData)}
+    });
+    const history = {
+        entries: entries,
+        index: undoer.index,
+        canUndo: undoer.canUndo,
+        canRedo: undoer.canRedo
+    };
+    return JSON.stringify(history);
+};
 
 /**
- * Cancel searching for any touch within the body.
+ * Return a string that holds the undoer's stack, so it can be restored using MU.setUndoState
+ * after the same document is loaded using MU.setHTML, even in a new web view.
+ *
+ * The undoerData in the stack hold onto ranges and nodes that only exist in this document.
+ * Ranges and nodes within MU.editor are held as positions that survive the round trip through
+ * MU.getHTML and MU.setHTML, and nodes that are not in MU.editor (e.g., what was deleted) are
+ * held as a description from which a copy can be rebuilt.
+ *
+ * @return {String}      The stringified undo state.
  */
-document.body.addEventListener('touchstart', function() {
-    searcher.cancel()
-});
+MU.getUndoState = function() {
+    typingRecorder.finish();
+    const detached = new Map();     // Serialized detached root nodes, by node
+    const stack = undoer.stack.map(undoerData => _undoValueJSON(undoerData, detached));
+    const state = {
+        text: _undoStateText(),
+        index: undoer.index,
+        stack: stack,
+        detached: [...detached.values()].map(root => root.json)
+    };
+    return JSON.stringify(state);
+};
 
 /**
- * The selectionChange callback is expensive on the Swift side, because it
- * tells us we need to getSelectionState to update the toolbar. This is okay
- * when we're clicking-around a document, but we need to mute the callback
- * in two situations:
- *
- * 1. We don't want to hear about the selection changing as the mouse moves
- *    during a drag-select. We track when the mouse is down. If mouse movement
- *    occurs while down, we mute. Then, when the mouse comes back up, we callback
- *    to let the Swift side know the selection changes, and then unmute.
- *    The net effect is to get one selectionChange event when the mouse
- *    comes back up after a drag-select, and avoid any selectionChange events while
- *    the mouse is down.
- *
- * 2. We purposely set the selection at many points; for example, after an insert
- *    operation of some kind. From here: https://developer.mozilla.org/en-US/docs/Web/API/Selection,
- *    it's clear that the selectionChange occurs multiple times as we do things like
- *    Range.setStart(), Range.setEnd(), and Selection.setRange(). So, whenever we're
- *    setting the selection, we try to encapsulate it so that we can mute the
- *    selectionChange callback until it matters.
+ * Restore the undoer's stack from a string produced by MU.getUndoState, which must have
+ * come from the same document as is now loaded.
  *
+ * @param  {String}     jsonString      The stringified undo state from MU.getUndoState.
+ * @return {Boolean}                    True if the undo state was restored.
  */
-let _muteChanges = false;
-const muteChanges = function() { _muteChanges = true };
-const unmuteChanges = function() { _muteChanges = false };
+MU.setUndoState = function(jsonString) {
+    typingRecorder.finish();
+    let state, stack;
+    try {
+        state = JSON.parse(jsonString);
+        const valid = state && Array.isArray(state.stack) && Array.isArray(state.detached) &&
+            Number.isInteger(state.index) && (state.index >= -1) && (state.text === _undoStateText());
+        if (valid) {
+            const detached = state.detached.map(json => _nodeFromJSON(json));
+            stack = state.stack.map(json => _undoValueFromJSON(json, detached));
+        };
+    } catch(error) {
+        stack = null;
+    };
+    if (!stack) {
+        MUError.InvalidUndoState.callback();
+        return false;
+    };
+    _backupSelection();
+    undoer.restore(stack, Math.min(state.index, stack.length - 1));
+    _restoreSelection();
+    return true;
+};
 
 /**
- * Mute selectionChange notifications when mouse is down.
- *
- * Cancel the searcher, so Enter is no longer intercepted to invoke
- * searchForward()/searchBackward().
+ * Return the text of MU.editor without whitespace, which identifies whether a document
+ * is the same as one that was passed through MU.getHTML and MU.setHTML.
  */
-MU.editor.addEventListener('mousedown', function() {
-    muteChanges();
-});
+const _undoStateText = function() {
+    return MU.editor.textContent.replace(/\s/g, '');
+};
 
 /**
- * Mute selectionChange notifications when touch starts.
+ * Return a JSON-compatible version of value, which can be any part of undoerData.
  *
- * Cancel the searcher, so Enter is no longer intercepted to invoke
- * searchForward()/searchBackward().
+ * Ranges and nodes are replaced with objects that identify them by a single key, '@range',
+ * '@node', or '@detached'. Detached nodes are held by the index of their root in detached,
+ * so that nodes sharing a root are rebuilt in the same tree.
  */
-MU.editor.addEventListener('touchstart', function() {
-    muteChanges();
-});
+const _undoValueJSON = function(value, detached) {
+    if ((value === null) || (value === undefined) || (typeof value !== 'object')) {
+        return value ?? null;
+    } else if (Array.isArray(value)) {
+        return value.map(item => _undoValueJSON(item, detached));
+    } else if (value instanceof Range) {
+        const start = _undoPosition(value.startContainer, value.startOffset);
+        const end = _undoPosition(value.endContainer, value.endOffset);
+        return {'@range': (start && end) ? {start: start, end: end} : null};
+    } else if (value instanceof Node) {
+        const path = MU.editor.contains(value) ? _undoPath(value) : null;
+        if (path) {
+            return {'@node': path};
+        };
+        const root = _detachedRoot(value);
+        if (!detached.has(root)) {
+            detached.set(root, {index: detached.size, json: _nodeJSON(root)});
+        };
+        return {'@detached': {root: detached.get(root).index, indices: _childNodeIndicesByParent(value, root)}};
+    } else {
+        const json = {};
+        for (const [key, item] of Object.entries(value)) {
+            json[key] = _undoValueJSON(item, detached);
+        };
+        return json;
+    };
+};
 
 /**
- * Unmute selectionChange on mouseup.
- *
- * When changes are muted, we want to callback selectionChange to update the
- * selection on the Swift side, so we see one selectionChange notification.
+ * Return the value that was held as json by _undoValueJSON, locating ranges and nodes in
+ * MU.editor and in the detached nodes that have been rebuilt.
  */
-MU.editor.addEventListener('mouseup', function() {
-    if (_muteChanges) { _callback('selectionChange') };
-    unmuteChanges();
-});
+const _undoValueFromJSON = function(json, detached) {
+    if ((json === null) || (typeof json !== 'object')) {
+        return json;
+    } else if (Array.isArray(json)) {
+        return json.map(item => _undoValueFromJSON(item, detached));
+    } else if ('@range' in json) {
+        const rangeJSON = json['@range'];
+        const start = rangeJSON && _undoPositionFromJSON(rangeJSON.start);
+        const end = rangeJSON && _undoPositionFromJSON(rangeJSON.end);
+        if (!start || !end) { return null };
+        const range = document.createRange();
+        range.setStart(start.container, start.offset);
+        range.setEnd(end.container, end.offset);
+        return range;
+    } else if ('@node' in json) {
+        return _undoNodeFromPath(json['@node']) ?? null;
+    } else if ('@detached' in json) {
+        const detachedJSON = json['@detached'];
+        return _childNodeIn(detached[detachedJSON.root], detachedJSON.indices) ?? null;
+    } else {
+        const value = {};
+        for (const [key, item] of Object.entries(json)) {
+            value[key] = _undoValueFromJSON(item, detached);
+        };
+        return value;
+    };
+};
 
 /**
- * Unmute selectionChange on touch ends.
- *
- * When changes are muted, we want to callback selectionChange to update the
- * selection on the Swift side, so we see one selectionChange notification.
+ * Return the topmost node above node when it is not in the document, or node itself if it
+ * is in the document but could not be located using _undoPath.
  */
-MU.editor.addEventListener('touchend', function() {
-    if (_muteChanges) { _callback('selectionChange') };
-    unmuteChanges();
-});
+const _detachedRoot = function(node) {
+    if (node.isConnected) { return node };
+    let root = node;
+    while (root.parentNode) {
+        root = root.parentNode;
+    };
+    return root;
+};
 
 /**
- * Unmute selectionChange on touch cancels.
+ * Return the nodes in element's childNodes grouped the way they will be after the HTML of
+ * element is parsed again: adjacent text nodes are joined, and text that is only whitespace
+ * is removed, as it is by MU.setHTML.
  *
- * When changes are muted, we want to callback selectionChange to update the
- * selection on the Swift side, so we see one selectionChange notification.
+ * @param   {HTML Element}  element     The element whose childNodes we group.
+ * @return  {Array}                     Arrays of childNodes, each of which holds an element or adjacent text nodes.
  */
-MU.editor.addEventListener('touchcancel', function() {
-    if (_muteChanges) { _callback('selectionChange') };
-    unmuteChanges();
-});
+const _undoGroups = function(element) {
+    const groups = [];
+    let textGroup = null;
+    element.childNodes.forEach(childNode => {
+        if (_isTextNode(childNode)) {
+            if (!textGroup) {
+                textGroup = [];
+                groups.push(textGroup);
+            };
+            textGroup.push(childNode);
+        } else {
+            textGroup = null;
+            groups.push([childNode]);
+        };
+    });
+    return groups.filter(group => !_isTextNode(group[0]) || !_isEmpty(_joinedTextNode(group)));
+};
 
 /**
- * Let Swift know the selection has changed so it can getSelectionState.
- * The eventListener has to be done at the document level, not MU.editor.
+ * Return a text node holding the text of the text nodes in group, without changing the document.
  */
-document.addEventListener('selectionchange', function(ev) {
-    if (_muteChanges) {
-        ev.preventDefault();
-//        _consoleLog(' (muted selectionchange)')
-    } else {
-//        _consoleLog('selectionchange')
-        _callback('selectionChange');
-    };
-});
-
-MU.editor.addEventListener('input', function() {
-    _updatePlaceholder();
-    _backupSelection();
-    _callbackInput();
-});
+const _joinedTextNode = function(group) {
+    return document.createTextNode(group.map(textNode => textNode.textContent).join(''));
+};
 
 /**
- * A blur/focus cycle occurs when the undoer is used, but we don't want that to
- * be noticable by the MarkupEditor in Swift. We use mute/unmute to track the
- * whether the focus and blur callbacks should be made, as determined in the Undoer.
- * We also don't want selectionchange events to trigger callbacks during the cycle.
+ * Return an object that locates node in MU.editor regardless of how its text nodes have
+ * been split up, or null if node won't exist after the HTML is parsed again.
+ *
+ * The indices are into the groups from _undoGroups at each level below MU.editor. For a
+ * text node, textOffset is the offset of node's text within the text of its group.
  */
-let _muteFocusBlur = false;
-const muteFocusBlur = function() {
-    _muteFocusBlur = true;
-    muteChanges();
-};
-const unmuteFocusBlur = function() {
-    unmuteChanges();
-    _muteFocusBlur = false;
+const _undoPath = function(node) {
+    const indices = [];
+    let textOffset = 0;
+    let child = node;
+    while (child !== MU.editor) {
+        const parent = child.parentNode;
+        if (!parent) { return null };
+        const groups = _undoGroups(parent);
+        const index = groups.findIndex(group => group.includes(child));
+        if (index < 0) { return null };
+        if (child === node) {
+            const group = groups[index];
+            for (let i = 0; group[i] !== child; i++) {
+                textOffset += group[i].textContent.length;
+            };
+        };
+        indices.unshift(index);
+        child = parent;
+    };
+    return {indices: indices, textOffset: textOffset};
 };
 
 /**
- * Restore the range captured on blur and then let Swift know focus happened.
+ * Return the node in MU.editor identified by path from _undoPath, or null if it can't be found.
+ *
+ * When the text node identified by path was joined with others, split it off again so it is
+ * the same as the node that path came from.
  */
-MU.editor.addEventListener('focus', function(ev) {
-    if (MU.currentSelection) { _restoreSelection() };   // No need if nothing to restore
-    if (!_muteFocusBlur) {
-        _selectedID = _findContentEditableID(document.getSelection()?.focusNode);
-        _callback('focus');
-    //} else {
-    //    _consoleLog(" (muted focused: " + ev.target.id + ")")
+const _undoNodeFromPath = function(path) {
+    let node = MU.editor;
+    let group = [node];
+    for (let i = 0; i < path.indices.length; i++) {
+        if ((group.length > 1) || !_isElementNode(node)) { return null };
+        group = _undoGroups(node)[path.indices[i]];
+        if (!group) { return null };
+        node = group[0];
     };
-    // Always unmute after focus happens, since it should only happen once for
-    // the undoer.push operation
-    unmuteFocusBlur();
-});
+    if (!_isTextNode(node)) { return node };
+    let offset = path.textOffset;
+    for (let i = 0; i < group.length; i++) {
+        const textNode = group[i];
+        const length = textNode.textContent.length;
+        if (offset === 0) {
+            return textNode;
+        } else if (offset < length) {
+            return textNode.splitText(offset);
+        };
+        offset -= length;
+    };
+    return null;
+};
 
 /**
- * Capture the current selection using backupSelection and then let Swift know blur happened.
- * The blur during the undoer.push operation will always be followed by a focus, where
- * _muteFocusBlur will be reset.
+ * Return an object that locates the boundary point at offset in container using _undoPath.
+ *
+ * For an element, the offset is into its childNodes, so we identify the childNode instead, or
+ * null if the boundary point is after its last childNode.
  */
-MU.editor.addEventListener('blur', function(ev) {
-    // A blur/focus cycle occurs when the undoer is used, but we don't want that to
-    // be noticable by the MarkupEditor in Swift.
-    //if (!_muteFocusBlur) {
-    //    _consoleLog("blurred: " + ev.target.id);
-    //} else {
-    //    _consoleLog(" (muted blurred: " + ev.target.id +")");
-    //}
-    //if (ev.relatedTarget) {
-    //    _consoleLog(" will focus: " + ev.relatedTarget.id);
-    //} else {
-    //    _consoleLog(" will focus: null");
-    //}
-    if (!undoer || (ev.relatedTarget && undoer && !undoer.pushingUndo)) {
-        // If we are blurring MU.editor because a change happened in the
-        // undoer's _ctrl (i.e., user pressed undo/CTRL+X), then we need
-        // to ensure we have backed up the selection to we can restore
-        // it when the undoer refocuses on MU.editor
-        //_consoleLog('backing up selection in blur')
-        _backupSelection();
-    };
-    if (!_muteFocusBlur) {
-        _callback('blur');
+const _undoPosition = function(container, offset) {
+    if (_isTextNode(container)) {
+        const path = _undoPath(container);
+        return path && {path: path, offset: offset};
     };
-});
+    const childNode = container.childNodes[offset];
+    const path = childNode ? _undoPath(childNode) : _undoPath(container);
+    return path && (childNode ? {before: path} : {after: path});
+};
 
 /**
- * Notify Swift on single-click (e.g., for following links)
- * Handle the case of multiple clicks being received without
- * doing selection.
- * TODO - Maybe remove the _multiClickSelect call
+ * Return the container and offset of the boundary point identified by json from _undoPosition,
+ * or null if it can't be found.
  */
-MU.editor.addEventListener('click', function(ev) {
-    const target = ev.target;   // The element that triggered the event
-    // If we click somewhere outside of the resizableImage, then
-    // we need to clear it and notify the Swift side that the selection
-    // changed and the contents of MU.editor changed as a result. However, we
-    // also get a click event when the mouseup happens after resizing, and we
-    // don't want that to deselect the image. We prevent this latter behavior
-    // using the preventNextClick state of resizableImage, which is set to
-    // true when the endResize is triggered. Basically, resizableImage.preventNextClick
-    // is only true after the mouseUp happens after resizing and before the click
-    // event is received here.
-    if (resizableImage.preventNextClick) {
-        resizableImage.preventNextClick = false;
-        ev.preventDefault();
-        _callbackInput();     // Because the html changed to indicate a new size
-    } else if (!_isResizableImage(target) && resizableImage.isSelected && !_isImageElement(target)) {
-        ev.preventDefault();
-        resizableImage.deselect();
-        _showCaret();
-        _callback('selectionChange')
-        _callbackInput();
+const _undoPositionFromJSON = function(json) {
+    if (json.path) {
+        const container = _undoNodeFromPath(json.path);
+        return container && {container: container, offset: json.offset};
+    } else if (json.before) {
+        const childNode = _undoNodeFromPath(json.before);
+        return childNode && {container: childNode.parentNode, offset: _childNodeIndex(childNode)};
     } else {
-        const nclicks = ev.detail;
-        if (nclicks === 1) {
-            _callback('click');
-        } else {
-            //_multiClickSelect(nclicks);
-        };
+        const container = _undoNodeFromPath(json.after);
+        return container && {container: container, offset: container.childNodes.length};
     };
-});
+};
 
 /**
- * Track keystrokes combined with modifiers using the keyModifier (e.g., 'Shift') as key
- * and the key-pressed as the value.
- * On keydown of any key that is pressed at the same time as a keyModifier, populate the
- * _hotKeyDown. On keyup of any keyModifier, clear it.
- * Note that the keydown event is triggered for every keystroke unless somehow intercepted
- * at a lower level, but if a modifierKey is pressed, the keyup does not occur except when
- * the modifierKey comes up. For example pressing Shift and then ] triggers keydown both for
- * Shift and ], but keyup is never triggered when the ] key is let go as long as Shift is
- * still being held. So, Shift+[ triggers keydown for both, but when you let go of [ and
- * press ], the only event that is triggered is keydown on ]. The keyup on [ never happens.
- * Keyup is triggered when the Shift key is let go. And because we only want to track a single
- * key combined with one or more of the modifiers, this is the reason to key _hotKeyDown by the
- * keyModifier, not by the ev.key itself. We end up with _hotKeyDown['Shift'] = ']' for Shift+].
- * If we hold Shift and Meta and then press ], we end up with _hotKeyDown['Shift'] = ']'
- * AND _hotKeyDown['Meta'] = ']'. This approach precludes key combos other than the modifier
- * keys (i.e., no Control+P+Q).
- *
- * Be aware that while the the keydown event is always received for Shift, Meta, Alt, and Control,
- * the accompanying printable character hotkey keydown event is not received at all when it is
- * mapped (and enabled) on the Swift side to a UIKeyCommand in a menu.
+ * Return a JSON-compatible description of node from which _nodeFromJSON can build a copy
+ * that has exactly the same childNodes, unlike HTML which would join adjacent text nodes.
  */
-let _hotKeyDown = {};
-const keyModifiers = ['Shift', 'Meta', 'Alt', 'Control'];
-const _trackHotKeyDown = function(ev) {
-    const key = ev.key;
-    if (keyModifiers.includes(key)) { return };     // If not pressing one of the modifiers, nothing to do
-    _hotKeyDown['Shift'] = (ev.shiftKey) ? key : null;
-    _hotKeyDown['Meta'] = (ev.metaKey) ? key : null;
-    _hotKeyDown['Alt'] = (ev.altKey) ? key : null;
-    _hotKeyDown['Control'] = (ev.ctrlKey) ? key : null;
-    //if (_hotKeyDown['Shift']) { _consoleLog("Setting Shift to " + _hotKeyDown['Shift']) }
-    //if (_hotKeyDown['Meta']) { _consoleLog("Setting Meta to " + _hotKeyDown['Meta']) }
-    //if (_hotKeyDown['Alt']) { _consoleLog("Setting Alt to " + _hotKeyDown['Alt']) }
-    //if (_hotKeyDown['Control']) { _consoleLog("Setting Control to " + _hotKeyDown['Control']) }
-};
-const _trackModifierKeyUp = function(ev) {
-    const key = ev.key;
-    if (!keyModifiers.includes(key)) { return };    // If not releasing a modifier, nothing to do
-    //if ((key === 'Shift') && _hotKeyDown['Shift']) { _consoleLog("Clearing Shift, was " + _hotKeyDown['Shift']) }
-    //if ((key === 'Meta') && _hotKeyDown['Meta']) { _consoleLog("Clearing Meta, was " + _hotKeyDown['Meta']) }
-    //if ((key === 'Alt') && _hotKeyDown['Alt']) { _consoleLog("Clearing Alt, was " + _hotKeyDown['Alt']) }
-    //if ((key === 'Control') && _hotKeyDown['Control']) { _consoleLog("Clearing Control, was " + _hotKeyDown['Control']) }
-    _hotKeyDown[key] = null;
+const _nodeJSON = function(node) {
+    if (_isTextNode(node)) {
+        return {text: node.textContent};
+    };
+    const json = {name: node.nodeName, childNodes: [...node.childNodes].map(childNode => _nodeJSON(childNode))};
+    if (_isElementNode(node)) {
+        json.attributes = {};
+        for (const attribute of node.attributes) {
+            json.attributes[attribute.name] = attribute.value;
+        };
+    };
+    return json;
 };
-MU.editor.addEventListener('keydown', _trackHotKeyDown);
-MU.editor.addEventListener('keyup', _trackModifierKeyUp);
 
 /**
- * Return true if the key is down together with the modifier
+ * Return a new node built from json that was produced by _nodeJSON.
  */
-const _keyModified = function(modifier, key) {
-    return _hotKeyDown[modifier] === key;
+const _nodeFromJSON = function(json) {
+    if ('text' in json) {
+        return document.createTextNode(json.text);
+    };
+    let node;
+    if (json.attributes) {
+        node = document.createElement(json.name);
+        _setAttributes(node, json.attributes);
+    } else {
+        node = document.createDocumentFragment();
+    };
+    json.childNodes.forEach(childJSON => node.appendChild(_nodeFromJSON(childJSON)));
+    return node;
 };
 
 /**
- * Monitor certain keydown events for special handling.
- * This event is fired after, and in addition to, the one that tracks _hotKeyDown,
- * so we can examine the state of _hotKeyDown to determine what to do depending
- * on the context.
+ * The TypingRecorder records the DOM changes that the browser makes as the user types,
+ * so that typing can be undone and redone when the undoer is scripted. Without it, typing
+ * could only be undone using the browser's native undo stack.
  *
- * Whenever we do special handling of keystrokes, we also have to deal with
- * undo.
+ * A MutationObserver watches MU.editor from each beforeinput event to its input event.
+ * The mutation records are held as changes in the undoerData for a 'typing' operation.
+ * Consecutive input of the same kind (e.g., inserting text or deleting it) extends the
+ * 'typing' operation at the top of the undoer's stack, as long as the selection was not
+ * moved in between, so that undo removes a run of typing rather than a single character.
  *
- * Note that when hotkeys are identified as part of menus and *are not disabled*,
- * the keydown is never received here. For example, when Meta+] is a hotkey for
- * indenting, then we receive keydown for Meta, but not for ] while Meta is down.
- * Similarly, if Meta+[ is a hotkey for outdenting, but it is disabled because
- * we are at the leftmost margin, then it *is* received here. Thus, the logic here
- * only executes when the corresponding hot-keys are not defined or are disabled.
- * Also note that Tab is still received and handled here, never on the Swift side.
+ * Because the changes hold onto the nodes that were added and removed, undo and redo
+ * restore the same nodes, and the ranges held by other operations in the stack stay valid.
  */
-MU.editor.addEventListener('keydown', function(ev) {
-    let sib;
-    const key = ev.key;
-    switch (key) {
-        case 'Enter':
-            // Seems super easy to get repeat Enter events, which I am declaring to
-            // be non-useful to avoid expensive processing in lists, etc.
-            if (ev.repeat) {
-                ev.preventDefault();
-                return;
-            }
-            const sel = document.getSelection()
-            const selNode = (sel) ? sel.anchorNode : null;
-            if (!selNode) { return };
-            if (searcher.isActive) {
-                ev.preventDefault();
-                if (_keyModified('Shift', 'Enter')) {
-                    searcher.searchBackward();
-                } else {
-                    searcher.searchForward();
-                }
-                return;
-            };
-            const inList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL']);
-            const inBlockQuote = _findFirstParentElementInNodeNames(selNode, ['BLOCKQUOTE']);
-            if ((inList && _doListEnter()) || (inBlockQuote && _doBlockquoteEnter()) || (!inList && _doEnter())) {
-                ev.preventDefault();
-            };
-            break;
-        case 'Tab':
-            ev.preventDefault();
-            if (_keyModified('Shift', 'Tab')) {
-                _doPrevCell();
-            } else {
-                _doNextCell();
-            };
-            break;
-        case 'ArrowLeft':
-            // Note ArrowLeft is handled by ResizableImage if it's selected
-            if (resizableImage.isSelected) { break };
-            sib = _siblingAtSelection('BEFORE');
-            if (_isImageElement(sib)) {
-                ev.preventDefault();
-                ev.stopPropagation();
-                resizableImage.select(sib);
-                _hideCaret();
-                _callbackInput();
-                _callback('selectionChange');
-            };
-            break;
-        case 'ArrowRight':
-            // Note ArrowRight is handled by ResizableImage if it's selected
-            if (resizableImage.isSelected) { break };
-            sib = _siblingAtSelection('AFTER');
-            if (_isImageElement(sib)) {
-                ev.preventDefault();
-                ev.stopPropagation();
-                resizableImage.select(sib);
-                _hideCaret();
-                _callbackInput();
-                _callback('selectionChange');
-            };
-            break;
-        case 'Backspace':
-            // Note Backspace is handled by ResizableImage if it's selected
-            if (resizableImage.isSelected) { break };
-            sib = _siblingAtSelection('BEFORE');
-            if (_isImageElement(sib)) {
-                ev.preventDefault();
-                resizableImage.select(sib);
-                // Altho we deleted the image BEFORE the selection,
-                // we want to pass 'AFTER' here to indicate where
-                // the cursor should be positioned on undo.
-                _deleteSelectedResizableImage('AFTER');
-            };
-            // Avoid deleting the <p> when MU.editor is empty
-            if (_isEmptyEditor()) {
-                ev.preventDefault();
-                break;
-            }
-            break;
-        case 'Delete':
-            // Note Delete is handled by ResizableImage if it's selected
-            if (resizableImage.isSelected) { break };
-            sib = _siblingAtSelection('AFTER');
-            if (_isImageElement(sib)) {
-                ev.preventDefault();
-                resizableImage.select(sib);
-                // Altho we deleted the image AFTER the selection,
-                // we want to pass 'BEFORE' here to indicate where
-                // the cursor should be positioned on undo.
-                _deleteSelectedResizableImage('BEFORE');
-            };
-            break;
-        case 'Shift':
-            // To support Shift+Enter while searching...
-            return;
+class TypingRecorder {
+    
+    constructor() {
+        this._observer = new MutationObserver(() => {});   // We only use takeRecords
+        this._undoerData = null;    // The 'typing' undoerData being extended, which is at the top of the stack
+        this._inputKind = null;     // The kind of input in _undoerData, e.g., 'insert' or 'delete'
+        this._pending = null;       // The inputKind and range before the change we are observing
     };
-    // Always cancel search if we fall thru
-    searcher.cancel()
-});
-
-/**
- * Handle the Enter key to avoid <div> being inserted instead of <p>
- *
- * @returns {HTML Paragraph Element || null}    The newly created P to preventDefault handling; else, null.
- */
-const _doEnter = function(undoable=true) {
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode || !sel.isCollapsed) { return null };
-    const existingRange = sel.getRangeAt(0);
-    const selectionAtEnd = _isTextNode(selNode) && (existingRange.endOffset === selNode.textContent.length);
-    const nextSiblingIsEmpty = (!selNode.nextSibling) || _isEmpty(selNode.nextSibling);
-    const parent = _findFirstParentElementInNodeNames(selNode, _paragraphStyleTags);
-    if (selectionAtEnd && nextSiblingIsEmpty && parent) {
-        // We are at the end of the last text node in some element, so we want to
-        // create a new <P> to keep typing. Note this means we get <p> when hitting return
-        // at the end of, say, <H3>. I believe this is the "expected" behavior.
-        const p = document.createElement('p');
-        p.appendChild(document.createElement('br'));
-        parent.parentNode.insertBefore(p, parent.nextSibling);
-        const range = document.createRange();
-        // And leave selection in the newElement
-        range.setStart(p, 0);
-        range.setEnd(p, 0);
-        sel.removeAllRanges();
-        sel.addRange(range);
-        if (undoable) {
-            _backupSelection();
-            const undoerData = _undoerData('enter');
-            undoer.push(undoerData);
-            _restoreSelection();
-        }
-        _callbackInput();
-        return p;   // To preventDefault() on Enter
+    
+    /**
+     * Start observing the change about to be made for the beforeinput event.
+     */
+    begin(ev) {
+        this._takeChanges();
+        const sel = document.getSelection();
+        const range = (sel && (sel.rangeCount > 0)) ? sel.getRangeAt(0) : null;
+        this._pending = {inputKind: this._inputKindFor(ev.inputType), rangeIndices: range && _rangeIndices(range)};
+        this._observer.observe(MU.editor, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            characterDataOldValue: true,
+            attributes: true,
+            attributeOldValue: true
+        });
     };
-    return null;    // Let the MarkupWKWebView do its normal thing
+    
+    /**
+     * Stop observing the change made for the input event, and place it on the undoer's stack.
+     */
+    end() {
+        this._takeChanges();
+    };
+    
+    /**
+     * Stop extending the 'typing' operation at the top of the undoer's stack, so the next
+     * input starts a new one. This must happen when anything else is pushed onto the stack
+     * or when undo or redo happens.
+     */
+    finish() {
+        this._takeChanges();
+        this._undoerData = null;
+        this._inputKind = null;
+    };
+    
+    /**
+     * Stop observing without recording anything. This happens when an operation that the
+     * undoer knows how to undo is pushed while observing, such as when we handle a paste
+     * ourselves after its beforeinput event.
+     */
+    discard() {
+        if (!this._pending) { return };
+        this._pending = null;
+        this._observer.takeRecords();
+        this._observer.disconnect();
+    };
+    
+    /**
+     * Return the kind of input for inputType, used to decide whether input extends the
+     * current 'typing' operation.
+     */
+    _inputKindFor(inputType) {
+        if (inputType.startsWith('delete')) {
+            return 'delete';
+        } else if (inputType.startsWith('insert') && (inputType !== 'insertParagraph')) {
+            return 'insert';
+        } else {
+            return inputType;
+        };
+    };
+    
+    /**
+     * Take the changes that were observed since begin, if any, and either add them to the
+     * 'typing' operation at the top of the undoer's stack or push a new one.
+     */
+    _takeChanges() {
+        const pending = this._pending;
+        if (!pending) { return };
+        this._pending = null;
+        const records = this._observer.takeRecords();
+        this._observer.disconnect();
+        if (records.length === 0) { return };
+        const changes = _typingChanges(records);
+        const sel = document.getSelection();
+        const range = (sel && (sel.rangeCount > 0)) ? sel.getRangeAt(0) : null;
+        const rangeIndices = range && _rangeIndices(range);
+        const undoerData = this._undoerData;
+        const extending = undoerData && (undoer.data === undoerData) && (pending.inputKind === this._inputKind) && _sameRangeIndices(pending.rangeIndices, undoerData.data.endRangeIndices);
+        if (extending) {
+            undoerData.data.changes.push(...changes);
+            undoerData.data.endRangeIndices = rangeIndices;
+        } else {
+            const newUndoerData = _undoerData('typing', {changes: changes, startRangeIndices: pending.rangeIndices, endRangeIndices: rangeIndices});
+            undoer.push(newUndoerData);
+            this._undoerData = newUndoerData;
+            this._inputKind = pending.inputKind;
+        };
+    };
+    
 };
 
 /**
- * Undo Enter that was handled by _doEnter.
- *
- * By definition, _doEnter only preventsDefault when we are not in a list,
- * the selection is collapsed, and we are at the end of a styled element.
- * The behavior then always inserts a new paragraph. So, we restore the
- * selection from the undoerData, find the paragraph and delete it, restoring
- * the selection to the text element before it.
+ * The typingRecorder is the singleton that records typing when the undoer is scripted.
  */
-const _undoEnter = function(undoerData) {
-    _restoreUndoerRange(undoerData);
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode || !sel.isCollapsed) { return null };
-    const existingP = _findFirstParentElementInNodeNames(selNode, ['P'])
-    if (!existingP) { return null };
-    _deleteAndResetSelection(existingP, 'BEFORE');
-};
+const typingRecorder = new TypingRecorder();
 
 /**
- * Monitor certain keyup events that follow actions that mess up simple HTML formatting.
- * Clean up formatting if needed.
+ * Return an array of changes from MutationRecords, where each change holds what we need
+ * to reverse it for undo and reapply it for redo.
+ *
+ * A MutationRecord only holds the oldValue for characterData and attributes, so the newValue
+ * for each change is the oldValue of the next change to the same target and attribute, or
+ * the current value if there is none.
  */
-MU.editor.addEventListener('keyup', function(ev) {
-    const key = ev.key;
-    if ((key === 'Backspace') || (key === 'Delete')) {
-        if (!resizableImage.isSelected) {
-            _cleanUpSpans();
-            _cleanUpAttributes('style');
+const _typingChanges = function(records) {
+    const changes = records.map(record => {
+        return {
+            type: record.type,
+            target: record.target,
+            attributeName: record.attributeName,
+            oldValue: record.oldValue,
+            newValue: null,
+            addedNodes: [...record.addedNodes],
+            removedNodes: [...record.removedNodes],
+            nextSibling: record.nextSibling
+        };
+    });
+    const latest = new Map();   // The latest change for a target (and attributeName) as we go backward
+    for (let i = changes.length - 1; i >= 0; i--) {
+        const change = changes[i];
+        if (change.type === 'childList') { continue };
+        const key = change.attributeName ?? '#text';
+        const targetChanges = latest.get(change.target) ?? {};
+        const next = targetChanges[key];
+        if (next) {
+            change.newValue = next.oldValue;
+        } else if (change.type === 'characterData') {
+            change.newValue = change.target.data;
+        } else {
+            change.newValue = change.target.getAttribute(change.attributeName);
         };
+        targetChanges[key] = change;
+        latest.set(change.target, targetChanges);
     };
-});
+    return changes;
+};
 
 /**
- * Prevent all default paste events. Paste is invoked from the Swift side.
+ * Return whether two rangeIndices identify the same range.
  */
-MU.editor.addEventListener('paste', function(ev) {
-    ev.preventDefault();
-});
+const _sameRangeIndices = function(a, b) {
+    if (!a || !b) { return false };
+    return (a.ancestor === b.ancestor) &&
+        (a.startOffset === b.startOffset) &&
+        (a.endOffset === b.endOffset) &&
+        (_compareIndicesDepthwise(a.startIndices, b.startIndices) === 0) &&
+        (_compareIndicesDepthwise(a.endIndices, b.endIndices) === 0);
+};
 
-/********************************************************************************
- * Paste
+/**
+ * Undo typing by reversing its changes, last-to-first, and restoring the selection
+ * from before the typing.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-//MARK: Paste
+const _undoTyping = function(undoerData) {
+    const changes = undoerData.data.changes;
+    for (let i = changes.length - 1; i >= 0; i--) {
+        const change = changes[i];
+        switch (change.type) {
+            case 'characterData':
+                change.target.data = change.oldValue;
+                break;
+            case 'attributes':
+                _setTypingAttribute(change.target, change.attributeName, change.oldValue);
+                break;
+            case 'childList':
+                change.addedNodes.forEach(node => node.remove());
+                change.removedNodes.forEach(node => change.target.insertBefore(node, change.nextSibling));
+                break;
+        };
+    };
+    _selectTypingRange(undoerData.data.startRangeIndices);
+};
 
 /**
- * Do a custom paste operation of "text only", which we will extract from the html
- * ourselves. The pasteboard text has newlines removed and we want something
- * prettier that behaves well in the MarkupEditor.
+ * Redo typing by reapplying its changes, first-to-last, and restoring the selection
+ * from after the typing.
  *
- * The trick here is that we want to use the same code to paste text as we do for
- * HTML, but we want to paste something that is the MarkupEditor-equivalent of
- * unformatted text.
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-MU.pasteText = function(html) {
-    const fragment = _patchPasteHTML(html);             // Remove all the cruft first, leaving BRs
-    const minimalHTML = _minimalHTML(fragment);         // Reduce to MarkupEditor-equivalent of "plain" text
-    _pasteHTML(minimalHTML);
+const _redoTyping = function(undoerData) {
+    const changes = undoerData.data.changes;
+    for (let i = 0; i < changes.length; i++) {
+        const change = changes[i];
+        switch (change.type) {
+            case 'characterData':
+                change.target.data = change.newValue;
+                break;
+            case 'attributes':
+                _setTypingAttribute(change.target, change.attributeName, change.newValue);
+                break;
+            case 'childList':
+                change.removedNodes.forEach(node => node.remove());
+                change.addedNodes.forEach(node => change.target.insertBefore(node, change.nextSibling));
+                break;
+        };
+    };
+    _selectTypingRange(undoerData.data.endRangeIndices);
 };
 
 /**
- * Do a custom paste operation of html.
+ * Set the attribute on element to value, removing it if value is null.
  */
-MU.pasteHTML = function(html) {
-    const fragment = _patchPasteHTML(html);             // Remove all the cruft first, leaving BRs
-    const fragmentHTML = _fragmentHTML(fragment)        // Extract html again from cleaned up fragment
-    _pasteHTML(fragmentHTML);
+const _setTypingAttribute = function(element, attributeName, value) {
+    if (value === null) {
+        element.removeAttribute(attributeName);
+    } else {
+        element.setAttribute(attributeName, value);
+    };
 };
 
 /**
- * Return the innerHTML string contained in fragment
+ * Select the range identified by rangeIndices after undoing or redoing typing.
  */
-const _fragmentHTML = function(fragment) {
-    const div = document.createElement('div');
-    div.appendChild(fragment);
-    return div.innerHTML;
+const _selectTypingRange = function(rangeIndices) {
+    const range = rangeIndices && _rangeFromIndices(rangeIndices);
+    if (range) {
+        const sel = document.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    };
+    _backupSelection();
+    _updatePlaceholder();
+    _callbackInput();
 };
 
 /**
- * Return a minimal "unformatted equivalent" version of the HTML that is in fragment.
- *
- * This equivalent is derived by making all top-level nodes into <P> and removing
- * formatting and links. However, we leave TABLE, UL, and OL alone, so they still
- * come in as tables and lists, but with formatting removed.
+ * When the undoer is scripted, record the changes the browser makes for input from the
+ * user, and intercept the browser's own undo and redo to use the undoer instead.
  */
-const _minimalHTML = function(fragment) {
-    // Create a div to hold fragment so that we can getElementsByTagName on it
-    const div = document.createElement('div');
-    div.appendChild(fragment);
-    // Then run thru the various minimization steps on the div
-    _minimalStyle(div);
-    _minimalFormat(div);
-    _minimalLink(div);
-    return div.innerHTML;
-};
+MU.editor.addEventListener('beforeinput', function(ev) {
+    if (!undoer.isScripted) { return };
+    if (ev.inputType === 'historyUndo') {
+        ev.preventDefault();
+        MU.undo();
+    } else if (ev.inputType === 'historyRedo') {
+        ev.preventDefault();
+        MU.redo();
+    } else {
+        typingRecorder.begin(ev);
+    };
+});
+
+MU.editor.addEventListener('input', function() {
+    if (!undoer.isScripted) { return };
+    typingRecorder.end();
+});
 
 /**
- * Replace all styles in the div with 'P'.
+ * A beforeinput event that was cancelled (e.g., by a listener the app added) is never
+ * followed by an input event, so stop observing once the event reaches the window.
  */
-const _minimalStyle = function(div) {
-    _minimalStyleTags.forEach(tag => {
-        // Reset elements using getElementsByTagName as we go along or the
-        // replaceWith potentially messes the up loop over elements.
-        let elements = div.getElementsByTagName(tag);
-        let element = (elements.length > 0) ? elements[0] : null;
-        while (element) {
-            let newElement = document.createElement('P');
-            newElement.innerHTML = element.innerHTML;
-            element.replaceWith(newElement);
-            elements = div.getElementsByTagName(tag);
-            element = (elements.length > 0) ? elements[0] : null;
+window.addEventListener('beforeinput', function(ev) {
+    if (ev.defaultPrevented) { typingRecorder.discard() };
+});
+
+/********************************************************************************
+ * Input Rules
+ */
+//MARK: Input Rules
+
+/**
+ * The input rules convert Markdown-style shortcuts as the user types them.
+ *
+ * A 'block' rule applies when its marker is typed followed by a space at the beginning of
+ * a paragraph. For example, typing "# " turns the paragraph into an H1. An 'inline' rule
+ * applies when typing the closing marker around some text. For example, typing "**bold**"
+ * makes "bold" bold. In both cases the markers are removed.
+ *
+ * The conversion is done by the same functions used by the toolbar, so it can be undone.
+ * The removal of the markers is pushed along with it as an 'inputRule' operation in an
+ * undo group, so a single undo leaves the markers just as they were typed.
+ *
+ * Each rule is identified by the tag it produces and can be enabled or disabled using
+ * MU.setInputRules.
+ */
+const _inputRules = [
+    {name: 'H1', type: 'block', pattern: /^#[ \u00A0]$/, enabled: true},
+    {name: 'H2', type: 'block', pattern: /^#{2}[ \u00A0]$/, enabled: true},
+    {name: 'H3', type: 'block', pattern: /^#{3}[ \u00A0]$/, enabled: true},
+    {name: 'H4', type: 'block', pattern: /^#{4}[ \u00A0]$/, enabled: true},
+    {name: 'H5', type: 'block', pattern: /^#{5}[ \u00A0]$/, enabled: true},
+    {name: 'H6', type: 'block', pattern: /^#{6}[ \u00A0]$/, enabled: true},
+    {name: 'UL', type: 'block', pattern: /^[-*][ \u00A0]$/, enabled: true},
+    {name: 'OL', type: 'block', pattern: /^1\.[ \u00A0]$/, enabled: true},
+    {name: 'BLOCKQUOTE', type: 'block', pattern: /^>[ \u00A0]$/, enabled: true},
+    {name: 'B', type: 'inline', marker: '**', pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, enabled: true},
+    {name: 'I', type: 'inline', marker: '_', pattern: /(?<![\p{L}\p{N}_])_([^_\s](?:[^_]*[^_\s])?)_$/u, enabled: true},
+    {name: 'CODE', type: 'inline', marker: '`', pattern: /`([^`]+)`$/, enabled: true}
+];
+
+/**
+ * Enable or disable input rules by name. Rules that are not named are left as-is.
+ *
+ * For example, MU.setInputRules('{"UL": false, "I": false}') leaves all the rules enabled
+ * except the ones for bulleted lists and italic.
+ *
+ * @param {String}  jsonString  A stringified dictionary of rule names and whether each is enabled.
+ */
+MU.setInputRules = function(jsonString) {
+    let enabledRules;
+    try {
+        enabledRules = JSON.parse(jsonString);
+    } catch(error) {
+        enabledRules = null;
+    };
+    if (!enabledRules || (typeof enabledRules !== 'object') || Array.isArray(enabledRules)) {
+        MUError.InvalidInputRules.callback();
+        return;
+    };
+    _inputRules.forEach(rule => {
+        if (rule.name in enabledRules) {
+            rule.enabled = enabledRules[rule.name] === true;
         };
     });
 };
 
 /**
- * Replace all formats in the div with unformatted text
+ * Apply the first enabled input rule that matches the text before the selection after
+ * the user typed text.
+ *
+ * @param {InputEvent}  ev  The input event after the user typed text.
  */
-const _minimalFormat = function(div) {
-    _formatTags.forEach(tag => {
-        // Reset elements using getElementsByTagName as we go along or the
-        // replaceWith potentially messes the up loop over elements.
-        let elements = div.getElementsByTagName(tag);
-        let element = (elements.length > 0) ? elements[0] : null;
-        while (element) {
-            let template = document.createElement('template');
-            template.innerHTML = element.innerHTML;
-            const newElement = template.content;
-            element.replaceWith(newElement);
-            elements = div.getElementsByTagName(tag);
-            element = (elements.length > 0) ? elements[0] : null;
+const _applyInputRules = function(ev) {
+    if ((ev.inputType !== 'insertText') || ev.isComposing || !ev.data) { return };
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0) || !sel.isCollapsed) { return };
+    const textNode = sel.anchorNode;
+    if (!_isTextNode(textNode)) { return };
+    const textBefore = textNode.textContent.substring(0, sel.anchorOffset);
+    for (const rule of _inputRules) {
+        if (!rule.enabled) { continue };
+        const match = textBefore.match(rule.pattern);
+        if (!match) { continue };
+        if ((rule.type === 'block') && _canApplyBlockRule(textNode)) {
+            _applyBlockRule(rule, textNode, textBefore.length);
+            return;
+        } else if (rule.type === 'inline') {
+            _applyInlineRule(rule, textNode, textBefore.length, match[1]);
+            return;
         };
-    });
+    };
 };
 
 /**
- * Replace all links with their text only
+ * Return whether textNode starts a paragraph that a block rule can be applied to.
+ *
+ * Block rules only apply to a P that is not in a list, since the other styles, lists,
+ * and blockquotes are all made from a P.
  */
-const _minimalLink = function(div) {
-    // Reset elements using getElementsByTagName as we go along or the
-    // replaceWith potentially messes the up loop over elements.
-    let elements = div.getElementsByTagName('A');
-    let element = (elements.length > 0) ? elements[0] : null;
-    while (element) {
-        if (element.getAttribute('href')) {
-            element.replaceWith(document.createTextNode(element.text));
-        } else {
-            // This link has no href and is therefore not allowed
-            element.parentNode.removeChild(element);
+const _canApplyBlockRule = function(textNode) {
+    const paragraph = textNode.parentNode;
+    if (!paragraph || (paragraph.nodeName !== 'P') || (paragraph.firstChild !== textNode)) { return false };
+    return !_findFirstParentElementInNodeNames(paragraph, ['LI', 'TABLE']);
+};
+
+/**
+ * Remove the marker that ends at offset in textNode, and then change the paragraph it is in
+ * as identified by the rule, all as a single operation that can be undone.
+ */
+const _applyBlockRule = function(rule, textNode, offset) {
+    MU.beginUndoGroup();
+    try {
+        _removeInputRuleMarkers(textNode, offset, [{start: 0, end: offset}]);
+        switch (rule.name) {
+            case 'UL':
+            case 'OL':
+                MU.toggleListItem(rule.name);
+                break;
+            case 'BLOCKQUOTE':
+                _increaseQuoteLevel();
+                break;
+            default:
+                MU.replaceStyle('P', rule.name);
+                break;
         };
-        elements = div.getElementsByTagName('A');
-        element = (elements.length > 0) ? elements[0] : null;
+    } finally {
+        MU.endUndoGroup();
     };
 };
 
-const _pasteHTML = function(html, oldUndoerData, undoable=true) {
-    const redoing = !undoable && (oldUndoerData !== null);
-    let sel = document.getSelection();
-    let anchorNode = (sel) ? sel.anchorNode : null;
-    if (!anchorNode) {
-        MUError.NoSelection.callback();
-        return null;
-    };
-    let selRange = sel.getRangeAt(0);
-    // If sel is not collapsed, delete the entire selection and reset before continuing.
-    // Track the deletedFragment.
-    let deletedFragment;
-    if (resizableImage.isSelected) {
-        selRange = resizableImage.range;
-        anchorNode = selRange.startContainer;
-        const imageRange = document.createRange();
-        imageRange.selectNode(resizableImage.imageElement);
-        deletedFragment = imageRange.extractContents();
-        if (redoing) {
-            oldUndoerData.data.deletedFragment = deletedFragment;
-        };
-        selRange = resizableImage.deleteImage();
+/**
+ * Remove the markers around text that ends at offset in textNode, and then format text
+ * as identified by the rule, all as a single operation that can be undone.
+ *
+ * The selection is left after the formatted text, so that continued typing is not formatted.
+ */
+const _applyInlineRule = function(rule, textNode, offset, text) {
+    const markerLength = rule.marker.length;
+    const start = offset - text.length - (2 * markerLength);
+    MU.beginUndoGroup();
+    try {
+        _removeInputRuleMarkers(textNode, offset, [
+            {start: start, end: start + markerLength},
+            {start: offset - markerLength, end: offset}
+        ]);
+        const sel = document.getSelection();
+        const range = document.createRange();
+        range.setStart(textNode, start);
+        range.setEnd(textNode, start + text.length);
         sel.removeAllRanges();
-        sel.addRange(selRange);
-        _showCaret();
-    } else if (!sel.isCollapsed) {
-        deletedFragment = selRange.extractContents();
-        if (redoing) {
-            oldUndoerData.data.deletedFragment = deletedFragment;
+        sel.addRange(range);
+        _toggleFormat(rule.name);
+        const formatElement = _findFirstParentElementInNodeNames(sel.focusNode, [rule.name]);
+        const nextNode = formatElement && formatElement.nextSibling;
+        if (formatElement && _isTextNode(nextNode) && (nextNode.textContent.length > 0)) {
+            range.setStart(nextNode, 0);
+            range.setEnd(nextNode, 0);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        } else if (formatElement) {
+            // Collapse the selection at the end of the formatted text and toggle the format
+            // without undo, which leaves the selection after a zero width char outside of it.
+            const lastText = formatElement.lastChild;
+            range.setStart(lastText, lastText.textContent.length);
+            range.setEnd(lastText, lastText.textContent.length);
+            sel.removeAllRanges();
+            sel.addRange(range);
+            _toggleFormat(rule.name, false);
         };
-        sel = document.getSelection();
-        anchorNode = sel.anchorNode;
-        selRange = sel.getRangeAt(0);
+    } finally {
+        MU.endUndoGroup();
     };
-    // At this point, sel is collapsed and the document contents are the same as if we had
-    // hit Backspace (but not paste yet) on the original non-collapsed selection.
-    //
-    // DEBUGGING TIP:
-    // By executing an 'input' callback and returning true at this point, we can debug the
-    // result ensure it is the same as hitting Backspace.
-    //_callbackInput();
-    //return true;
-    const newElement = _fragmentFrom(html)
-    const anchorIsElement = _isElementNode(anchorNode);
-    const firstChildIsElement = newElement.firstChild && (_isElementNode(newElement.firstChild));
-    const firstChildIsStyle = newElement.firstChild && (_isParagraphStyleElement(newElement.firstChild));
-    const anchorIsEmpty = _isEmpty(anchorNode);
-    let pasteRange = selRange.cloneRange();
-    let newSelRange, rootName, replacedEmpty;
-    // If the anchorNode is text, and the fragment's first child is a paragraph syle element, then we want
-    // to modify the fragment's contents to contain the contents of the first child. Copy/paste of a word of text
-    // in a paragraph comes into this method as <P>word</P>, but we can't insert a <P> inside of the top-level
-    // element the text anchorNode is in, and we don't want to break the existing paragraph. The contents of
-    // the fragment ends up being inserted into the containing paragraph using the same style.
-    if (_isTextNode(anchorNode) && firstChildIsStyle) {
-        const newFirstChild = _fragmentFrom(newElement.firstChild.innerHTML);
-        newElement.firstChild.replaceWith(newFirstChild);
+};
+
+/**
+ * Remove the ranges of text in textNode identified in markers, and push an 'inputRule'
+ * operation so that undo restores them with the selection at offset, where it was after
+ * the user typed them.
+ *
+ * When the markers were all of textNode, remove it and leave a BR in its place if one isn't
+ * already there, so the element holding it doesn't collapse.
+ *
+ * @param {Text}    textNode    The text node holding the markers.
+ * @param {Int}     offset      The offset in textNode of the selection after typing the markers.
+ * @param {Array}   markers     The start and end offsets of the markers in textNode, in order.
+ */
+const _removeInputRuleMarkers = function(textNode, offset, markers) {
+    const oldText = textNode.textContent;
+    let newText = '';
+    let index = 0;
+    markers.forEach(marker => {
+        newText += oldText.substring(index, marker.start);
+        index = marker.end;
+    });
+    newText += oldText.substring(index);
+    const range = document.createRange();
+    range.setStart(textNode, offset);
+    range.setEnd(textNode, offset);
+    const nextSibling = textNode.nextSibling;
+    const change = {
+        oldText: oldText,
+        newText: newText,
+        addBR: (newText.length === 0) && !(nextSibling && (nextSibling.nodeName === 'BR')),
+        rangeIndices: _rangeIndices(range)
     };
-    if (anchorIsElement && firstChildIsElement && anchorIsEmpty) {
-        // We are in an empty paragraph, typically, like <p><br></p>. Replace it with the newElement
-        // manually by replacing the anchor with the firstChild, followed by all of its siblings.
-        // Unfortunately, we have no way to know if we did this on undo unless we track it in
-        // undoerData, which we do by placing the anchorNode.nodeName in replacedEmpty.
-        replacedEmpty = anchorNode.nodeName;
-        let offset = 0;
-        let lastChild = newElement.firstChild;
-        let nextSib = lastChild.nextSibling;
-        const beforeTarget = anchorNode.nextElementSibling;
-        const insertTarget = beforeTarget?.parentNode ?? anchorNode.parentNode ?? MU.editor;
-        anchorNode.replaceWith(lastChild);
-        // Now we need put the rest of the newElement fragment in as siblings,
-        // tracking lastChild as we go thru them.
-        while (nextSib) {
-            lastChild = nextSib;
-            insertTarget.insertBefore(nextSib, beforeTarget);
-            nextSib = newElement.firstChild;
+    const undoerData = _undoerData('inputRule', change);
+    _redoInputRule(undoerData);
+    undoer.push(undoerData);
+};
+
+/**
+ * Undo the removal of markers by an input rule, leaving the selection after the markers.
+ *
+ * The text node is found by its indices rather than held onto, because operations like
+ * toggleListItem that follow it in a group replace the nodes they move.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _undoInputRule = function(undoerData) {
+    const change = undoerData.data;
+    const rangeIndices = change.rangeIndices;
+    if (change.newText.length === 0) {
+        const textNode = document.createTextNode(change.oldText);
+        const startIndices = rangeIndices.startIndices;
+        if (change.addBR) {
+            _childNodeIn(rangeIndices.ancestor, startIndices).replaceWith(textNode);
+        } else {
+            const parent = _childNodeIn(rangeIndices.ancestor, startIndices.slice(0, -1));
+            parent.insertBefore(textNode, parent.childNodes[startIndices[startIndices.length - 1]]);
         };
-        newSelRange = document.createRange();
-        const lastSelectableLocation = _lastSelectableLocation(lastChild);
-        if (lastSelectableLocation) {
-            newSelRange.setStart(lastSelectableLocation.container, lastSelectableLocation.offset);
-            newSelRange.setEnd(lastSelectableLocation.container, lastSelectableLocation.offset);
-            pasteRange.setEnd(lastSelectableLocation.container, lastSelectableLocation.offset);
-        } else {    // A backup plan
-            if (lastChild && (lastChild.nodeType === Node.TEXT_NODE)) {
-                offset = lastChild.textContent.length;
-            } else if (lastChild && (lastChild.nodeType === Node.ELEMENT_NODE)) {
-                offset = lastChild.childNodes.length;
-            };
-            newSelRange.setStart(lastChild, offset);
-            newSelRange.setEnd(lastChild, offset);
-            pasteRange.setEnd(lastChild, offset);
-        }
-        rootName = null;
     } else {
-        const insertResults = _insertHTML(newElement);
-        if (insertResults) {
-            pasteRange = insertResults.insertedRange;
-            rootName = insertResults.rootName;
-        } else {
-            return null;        // Something went wrong in insertHTML, so let default happen.
-        }
-        replacedEmpty = null;
-        newSelRange = document.getSelection().getRangeAt(0);
+        _childNodeIn(rangeIndices.ancestor, rangeIndices.startIndices).textContent = change.oldText;
+    };
+    const range = _rangeFromIndices(rangeIndices);
+    if (range) {
+        const sel = document.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
     };
-    // As we patch up the results of pasting later, the offsets in the undoerData.range get
-    // set to zero, even tho the startContainer and endContainer remain valid. We hold onto
-    // them separately in undoerData so we can restore them later.
-    if (redoing) {
-        oldUndoerData.range = pasteRange;
-        oldUndoerData.data.rootName = rootName;
-        oldUndoerData.data.replacedEmpty = replacedEmpty;
-        //_consoleLog(_rangeString(pasteRange, "redo"));
-    }
-    sel.removeAllRanges();
-    sel.addRange(newSelRange);
     _backupSelection();
-    if (undoable) {
-        // html - What was pasted, probably contains spans, styles and other cruft
-        // deletedFragment - What (if anything) we deleted before pasting
-        // rootName - The name of the node we splitText up to, or null if we didn't splitText
-        // replacedEmpty - The name of the empty node we replaced, or null if we didn't
-        // pasteRange - (saved as undoerData.range) Range that contains what we pasted
-        //_consoleLog(_rangeString(pasteRange, "do"));
-        const undoerData = _undoerData('pasteHTML', {html: html, deletedFragment: deletedFragment, rootName: rootName, replacedEmpty: replacedEmpty}, pasteRange);
-        undoer.push(undoerData);
-    }
     _callbackInput();
-    return true;
 };
 
 /**
- * Patch html by removing all of the spans, etc, so that a template created from it
- * is "clean" by MarkupEditor standards.
+ * Remove the markers for an input rule, leaving the selection where the text typed after them ended.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-const _patchPasteHTML = function(html) {
-    
-    // We need a document fragment from the html so we can use its dom for cleaning up.
-    const element = _fragmentFrom(html);
-    
-    // Sometimes (e.g., iOS Note) the fragment is an entire HTML document.
-    // In this case, we only want the body, but let's clean up these items
-    // that should be outside of it just in case something wacky is going on.
-    _cleanUpTypesWithin(['head', 'meta', 'title', 'style'], element);
-    const body = element.body ?? element;
-    
-    // Now do the extensive clean up required for the body
-    _cleanUpSpansWithin(body);
-    _cleanUpDivsWithin(body);
-    _cleanUpTypesWithin(['label', 'button'], body)
-    _cleanUpAttributesWithin('style', body);
-    _cleanUpAttributesWithin('class', body);
-    _cleanUpEmptyTextNodes(body);
-    _cleanUpPREs(body);
-    _cleanUpOrphanNodes(body);
-    _cleanUpBRs(body);
-    _cleanUpNewlines(body);
-    _cleanUpTabs(body);
-    _cleanUpAliases(body);
-    _prepImages(body);
-    return body;
+const _redoInputRule = function(undoerData) {
+    const change = undoerData.data;
+    const rangeIndices = change.rangeIndices;
+    const textNode = _childNodeIn(rangeIndices.ancestor, rangeIndices.startIndices);
+    const range = document.createRange();
+    if (change.newText.length === 0) {
+        const parent = textNode.parentNode;
+        const index = _childNodeIndex(textNode);
+        if (change.addBR) {
+            textNode.replaceWith(document.createElement('br'));
+        } else {
+            textNode.remove();
+        };
+        range.setStart(parent, index);
+    } else {
+        // All of the markers precede the selection after typing them
+        textNode.textContent = change.newText;
+        range.setStart(textNode, rangeIndices.startOffset - (change.oldText.length - change.newText.length));
+    };
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    _backupSelection();
 };
 
+MU.editor.addEventListener('input', _applyInputRules);
+
+/********************************************************************************
+ * Event Listeners
+ */
+//MARK: Event Listeners
+
 /**
- * Return a document fragment element derived from the html.
+ * Cancel searching for any click within the body.
  */
-const _fragmentFrom = function(html) {
-    const template = document.createElement('template');
-    template.innerHTML = html;
-    return template.content;
-};
+document.body.addEventListener('mousedown', function() {
+    searcher.cancel()
+});
 
 /**
- * Insert the fragment at the current selection point.
+ * Cancel searching for any touch within the body.
+ */
+document.body.addEventListener('touchstart', function() {
+    searcher.cancel()
+});
+
+/**
+ * The selectionChange callback is expensive on the Swift side, because it
+ * tells us we need to getSelectionState to update the toolbar. This is okay
+ * when we're clicking-around a document, but we need to mute the callback
+ * in two situations:
+ *
+ * 1. We don't want to hear about the selection changing as the mouse moves
+ *    during a drag-select. We track when the mouse is down. If mouse movement
+ *    occurs while down, we mute. Then, when the mouse comes back up, we callback
+ *    to let the Swift side know the selection changes, and then unmute.
+ *    The net effect is to get one selectionChange event when the mouse
+ *    comes back up after a drag-select, and avoid any selectionChange events while
+ *    the mouse is down.
+ *
+ * 2. We purposely set the selection at many points; for example, after an insert
+ *    operation of some kind. From here: https://developer.mozilla.org/en-US/docs/Web/API/Selection,
+ *    it's clear that the selectionChange occurs multiple times as we do things like
+ *    Range.setStart(), Range.setEnd(), and Selection.setRange(). So, whenever we're
+ *    setting the selection, we try to encapsulate it so that we can mute the
+ *    selectionChange callback until it matters.
  *
- * Return a range containing the fragment that was inserted and whether the selection
- * was split into multiple elements using _splitTextNode. If so, then on undo, we
- * can tell whether we should unsplit them.
  */
-const _insertHTML = function(fragment) {
-    //_consoleLog("* _insertHTML")
-    let sel = document.getSelection();
-    let anchorNode = (sel) ? sel.anchorNode : null;
-    if (!anchorNode) {
-        MUError.NoSelection.callback();
-        return null;
+let _muteChanges = false;
+const muteChanges = function() { _muteChanges = true };
+const unmuteChanges = function() { _muteChanges = false };
+
+/**
+ * Mute selectionChange notifications when mouse is down.
+ *
+ * Cancel the searcher, so Enter is no longer intercepted to invoke
+ * searchForward()/searchBackward().
+ */
+MU.editor.addEventListener('mousedown', function() {
+    muteChanges();
+});
+
+/**
+ * Mute selectionChange notifications when touch starts.
+ *
+ * Cancel the searcher, so Enter is no longer intercepted to invoke
+ * searchForward()/searchBackward().
+ */
+MU.editor.addEventListener('touchstart', function() {
+    muteChanges();
+});
+
+/**
+ * Unmute selectionChange on mouseup.
+ *
+ * When changes are muted, we want to callback selectionChange to update the
+ * selection on the Swift side, so we see one selectionChange notification.
+ */
+MU.editor.addEventListener('mouseup', function() {
+    if (_muteChanges) { _callback('selectionChange') };
+    unmuteChanges();
+});
+
+/**
+ * Unmute selectionChange on touch ends.
+ *
+ * When changes are muted, we want to callback selectionChange to update the
+ * selection on the Swift side, so we see one selectionChange notification.
+ */
+MU.editor.addEventListener('touchend', function() {
+    if (_muteChanges) { _callback('selectionChange') };
+    unmuteChanges();
+});
+
+/**
+ * Unmute selectionChange on touch cancels.
+ *
+ * When changes are muted, we want to callback selectionChange to update the
+ * selection on the Swift side, so we see one selectionChange notification.
+ */
+MU.editor.addEventListener('touchcancel', function() {
+    if (_muteChanges) { _callback('selectionChange') };
+    unmuteChanges();
+});
+
+/**
+ * Let Swift know the selection has changed so it can getSelectionState.
+ * The eventListener has to be done at the document level, not MU.editor.
+ *
+ * The cell selection highlighting is updated even when changes are muted,
+ * so it follows the mouse while dragging across table cells. The column
+ * resize handles follow the selection into and out of tables.
+ */
+document.addEventListener('selectionchange', function(ev) {
+    _highlightCellSelection();
+    resizableTable.select(_getTableElementsAtSelection()['table'] ?? null);
+    if (_muteChanges) {
+        ev.preventDefault();
+//        _consoleLog(' (muted selectionchange)')
+    } else {
+//        _consoleLog('selectionchange')
+        _callback('selectionChange');
     };
-    let selRange = sel.getRangeAt(0);
-    let direction = null;
-    // Remove any empty leading or trailing children and identify the direction to
-    // reset selection afterward. If we deleted a leading fragment because it was
-    // empty, this indicates we want the selection at the beginning of trailingText
-    // after we splitTextNode (direction='BEFORE'); else, we will put it at the end
-    // of the anchorNode (direction='AFTER'). If direction is not null, then we will
-    // force flow thru splitTextNode.
-    let firstFragEl = (fragment.firstChild && (fragment.firstChild.nodeType === Node.ELEMENT_NODE)) ? fragment.firstChild : null;
-    if (firstFragEl && _isEmpty(firstFragEl)) {
-        fragment.removeChild(firstFragEl);
-        firstFragEl = (fragment.firstChild && (fragment.firstChild.nodeType === Node.ELEMENT_NODE)) ? fragment.firstChild : null;
-        direction = 'AFTER';
+});
+
+MU.editor.addEventListener('input', function() {
+    _updatePlaceholder();
+    _backupSelection();
+    _callbackInput();
+});
+
+/**
+ * A blur/focus cycle occurs when the undoer is used, but we don't want that to
+ * be noticable by the MarkupEditor in Swift. We use mute/unmute to track the
+ * whether the focus and blur callbacks should be made, as determined in the Undoer.
+ * We also don't want selectionchange events to trigger callbacks during the cycle.
+ */
+let _muteFocusBlur = false;
+const muteFocusBlur = function() {
+    _muteFocusBlur = true;
+    muteChanges();
+};
+const unmuteFocusBlur = function() {
+    unmuteChanges();
+    _muteFocusBlur = false;
+};
+
+/**
+ * Restore the range captured on blur and then let Swift know focus happened.
+ */
+MU.editor.addEventListener('focus', function(ev) {
+    if (MU.currentSelection) { _restoreSelection() };   // No need if nothing to restore
+    if (!_muteFocusBlur) {
+        _selectedID = _findContentEditableID(document.getSelection()?.focusNode);
+        _callback('focus');
+    //} else {
+    //    _consoleLog(" (muted focused: " + ev.target.id + ")")
     };
-    let lastFragEl = (fragment.lastChild && (fragment.lastChild.nodeType === Node.ELEMENT_NODE)) ? fragment.lastChild : null;
-    if (lastFragEl && _isEmpty(lastFragEl)) {
-        fragment.removeChild(lastFragEl);
-        direction = direction || 'BEFORE';  // Only reset if we didn't already set
+    // Always unmute after focus happens, since it should only happen once for
+    // the undoer.push operation
+    unmuteFocusBlur();
+});
+
+/**
+ * Capture the current selection using backupSelection and then let Swift know blur happened.
+ * The blur during the undoer.push operation will always be followed by a focus, where
+ * _muteFocusBlur will be reset.
+ */
+MU.editor.addEventListener('blur', function(ev) {
+    // A blur/focus cycle occurs when the undoer is used, but we don't want that to
+    // be noticable by the MarkupEditor in Swift.
+    //if (!_muteFocusBlur) {
+    //    _consoleLog("blurred: " + ev.target.id);
+    //} else {
+    //    _consoleLog(" (muted blurred: " + ev.target.id +")");
+    //}
+    //if (ev.relatedTarget) {
+    //    _consoleLog(" will focus: " + ev.relatedTarget.id);
+    //} else {
+    //    _consoleLog(" will focus: null");
+    //}
+    if (!undoer || (ev.relatedTarget && undoer && !undoer.pushingUndo)) {
+        // If we are blurring MU.editor because a change happened in the
+        // undoer's _ctrl (i.e., user pressed undo/CTRL+X), then we need
+        // to ensure we have backed up the selection to we can restore
+        // it when the undoer refocuses on MU.editor
+        //_consoleLog('backing up selection in blur')
+        _backupSelection();
     };
-    // We will need to define a new range for selection and track the insertedRange
-    let newSelRange = document.createRange();       // Collapsed at the end of the fragment
-    const insertedRange = document.createRange();   // Spanning the fragment
-    // Handle specially if fragment is "simple" (i.e., has noChildElements or noTopLevelChildren).
-    // TODO: Could just use noTopLevelChildren
-    // However, not sure if this is really right in cases with things like lists included, which
-    // don't work properly now anyway.
-    const noChildElements = fragment.childElementCount === 0;
-    let noTopLevelChildren = true;
-    if (!noChildElements) {
-        const fragChildren = fragment.children;
-        for (let i=0; i < fragChildren.length; i++) {
-            if (_topLevelTags.includes(fragChildren[i].nodeName)) {
-                noTopLevelChildren = false;
-                break;
-            };
-        };
+    if (!_muteFocusBlur) {
+        _callback('blur');
     };
-    if (((direction === null) || (direction === 'BEFORE')) && (noChildElements || noTopLevelChildren)) {
-        //_consoleLog("Simple")
-        const firstFragChild = fragment.firstChild;
-        const lastFragChild = fragment.lastChild;
-        const shouldJoin = _isTextNode(anchorNode) && !_isTextNode(firstFragChild) && (anchorNode.parentNode.nodeName === firstFragChild.nodeName)
-        if (shouldJoin) {
-            //_consoleLog(" Joining")
-            // Fragment is merged in with anchorNode
-            const originalAnchorLength = anchorNode.textContent.length;
-            _joinTextNodes(anchorNode.parentNode, firstFragChild, anchorNode.parentNode.nodeName);
+});
+
+/**
+ * Notify Swift on single-click (e.g., for following links)
+ * Handle the case of multiple clicks being received without
+ * doing selection.
+ * TODO - Maybe remove the _multiClickSelect call
+ */
+MU.editor.addEventListener('click', function(ev) {
+    const target = ev.target;   // The element that triggered the event
+    // If we click somewhere outside of the resizableImage, then
+    // we need to clear it and notify the Swift side that the selection
+    // changed and the contents of MU.editor changed as a result. However, we
+    // also get a click event when the mouseup happens after resizing, and we
+    // don't want that to deselect the image. We prevent this latter behavior
+    // using the preventNextClick state of resizableImage, which is set to
+    // true when the endResize is triggered. Basically, resizableImage.preventNextClick
+    // is only true after the mouseUp happens after resizing and before the click
+    // event is received here.
+    if (resizableImage.preventNextClick) {
+        resizableImage.preventNextClick = false;
+        ev.preventDefault();
+        _callbackInput();     // Because the html changed to indicate a new size
+    } else if (!_isResizableImage(target) && resizableImage.isSelected && !_isImageElement(target)) {
+        ev.preventDefault();
+        resizableImage.deselect();
+        _showCaret();
+        _callback('selectionChange')
+        _callbackInput();
+    } else if (_isChecklistItem(target) && (ev.offsetX < parseFloat(getComputedStyle(target).paddingLeft))) {
+        // The checkbox is drawn in the left padding of the checklist item. A click elsewhere
+        // in an item whose contents are bare text also targets the item, so it doesn't count.
+        _toggleChecked(target);
+    } else {
+        const nclicks = ev.detail;
+        if (nclicks === 1) {
+            _callback('click');
+        } else {
+            //_multiClickSelect(nclicks);
+        };
+    };
+});
+
+/**
+ * Track keystrokes combined with modifiers using the keyModifier (e.g., 'Shift') as key
+ * and the key-pressed as the value.
+ * On keydown of any key that is pressed at the same time as a keyModifier, populate the
+ * _hotKeyDown. On keyup of any keyModifier, clear it.
+ * Note that the keydown event is triggered for every keystroke unless somehow intercepted
+ * at a lower level, but if a modifierKey is pressed, the keyup does not occur except when
+ * the modifierKey comes up. For example pressing Shift and then ] triggers keydown both for
+ * Shift and ], but keyup is never triggered when the ] key is let go as long as Shift is
+ * still being held. So, Shift+[ triggers keydown for both, but when you let go of [ and
+ * press ], the only event that is triggered is keydown on ]. The keyup on [ never happens.
+ * Keyup is triggered when the Shift key is let go. And because we only want to track a single
+ * key combined with one or more of the modifiers, this is the reason to key _hotKeyDown by the
+ * keyModifier, not by the ev.key itself. We end up with _hotKeyDown['Shift'] = ']' for Shift+].
+ * If we hold Shift and Meta and then press ], we end up with _hotKeyDown['Shift'] = ']'
+ * AND _hotKeyDown['Meta'] = ']'. This approach precludes key combos other than the modifier
+ * keys (i.e., no Control+P+Q).
+ *
+ * Be aware that while the the keydown event is always received for Shift, Meta, Alt, and Control,
+ * the accompanying printable character hotkey keydown event is not received at all when it is
+ * mapped (and enabled) on the Swift side to a UIKeyCommand in a menu.
+ */
+let _hotKeyDown = {};
+const keyModifiers = ['Shift', 'Meta', 'Alt', 'Control'];
+const _trackHotKeyDown = function(ev) {
+    const key = ev.key;
+    if (keyModifiers.includes(key)) { return };     // If not pressing one of the modifiers, nothing to do
+    _hotKeyDown['Shift'] = (ev.shiftKey) ? key : null;
+    _hotKeyDown['Meta'] = (ev.metaKey) ? key : null;
+    _hotKeyDown['Alt'] = (ev.altKey) ? key : null;
+    _hotKeyDown['Control'] = (ev.ctrlKey) ? key : null;
+    //if (_hotKeyDown['Shift']) { _consoleLog("Setting Shift to " + _hotKeyDown['Shift']) }
+    //if (_hotKeyDown['Meta']) { _consoleLog("Setting Meta to " + _hotKeyDown['Meta']) }
+    //if (_hotKeyDown['Alt']) { _consoleLog("Setting Alt to " + _hotKeyDown['Alt']) }
+    //if (_hotKeyDown['Control']) { _consoleLog("Setting Control to " + _hotKeyDown['Control']) }
+};
+const _trackModifierKeyUp = function(ev) {
+    const key = ev.key;
+    if (!keyModifiers.includes(key)) { return };    // If not releasing a modifier, nothing to do
+    //if ((key === 'Shift') && _hotKeyDown['Shift']) { _consoleLog("Clearing Shift, was " + _hotKeyDown['Shift']) }
+    //if ((key === 'Meta') && _hotKeyDown['Meta']) { _consoleLog("Clearing Meta, was " + _hotKeyDown['Meta']) }
+    //if ((key === 'Alt') && _hotKeyDown['Alt']) { _consoleLog("Clearing Alt, was " + _hotKeyDown['Alt']) }
+    //if ((key === 'Control') && _hotKeyDown['Control']) { _consoleLog("Clearing Control, was " + _hotKeyDown['Control']) }
+    _hotKeyDown[key] = null;
+};
+MU.editor.addEventListener('keydown', _trackHotKeyDown);
+MU.editor.addEventListener('keyup', _trackModifierKeyUp);
+
+/**
+ * Return true if the key is down together with the modifier
+ */
+const _keyModified = function(modifier, key) {
+    return _hotKeyDown[modifier] === key;
+};
+
+/**
+ * Monitor certain keydown events for special handling.
+ * This event is fired after, and in addition to, the one that tracks _hotKeyDown,
+ * so we can examine the state of _hotKeyDown to determine what to do depending
+ * on the context.
+ *
+ * Whenever we do special handling of keystrokes, we also have to deal with
+ * undo.
+ *
+ * Note that when hotkeys are identified as part of menus and *are not disabled*,
+ * the keydown is never received here. For example, when Meta+] is a hotkey for
+ * indenting, then we receive keydown for Meta, but not for ] while Meta is down.
+ * Similarly, if Meta+[ is a hotkey for outdenting, but it is disabled because
+ * we are at the leftmost margin, then it *is* received here. Thus, the logic here
+ * only executes when the corresponding hot-keys are not defined or are disabled.
+ * Also note that Tab is still received and handled here, never on the Swift side.
+ */
+MU.editor.addEventListener('keydown', function(ev) {
+    let sib;
+    const key = ev.key;
+    switch (key) {
+        case 'Enter':
+            // Seems super easy to get repeat Enter events, which I am declaring to
+            // be non-useful to avoid expensive processing in lists, etc.
+            if (ev.repeat) {
+                ev.preventDefault();
+                return;
+            }
+            const sel = document.getSelection()
+            const selNode = (sel) ? sel.anchorNode : null;
+            if (!selNode) { return };
+            if (searcher.isActive) {
+                ev.preventDefault();
+                if (_keyModified('Shift', 'Enter')) {
+                    searcher.searchBackward();
+                } else {
+                    searcher.searchForward();
+                }
+                return;
+            };
+            const inList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL']);
+            const inBlockQuote = _findFirstParentElementInNodeNames(selNode, ['BLOCKQUOTE']);
+            if ((inList && _doListEnter()) || (inBlockQuote && _doBlockquoteEnter()) || (!inList && _doEnter())) {
+                ev.preventDefault();
+            };
+            break;
+        case 'Tab':
+            ev.preventDefault();
+            if (_keyModified('Shift', 'Tab')) {
+                _doPrevCell();
+            } else {
+                _doNextCell();
+            };
+            break;
+        case 'ArrowLeft':
+            // Note ArrowLeft is handled by ResizableImage if it's selected
+            if (resizableImage.isSelected) { break };
+            if (_keyModified('Shift', key) && _extendCellSelection(key)) {
+                ev.preventDefault();
+                break;
+            };
+            sib = _siblingAtSelection('BEFORE');
+            if (_isImageElement(sib)) {
+                ev.preventDefault();
+                ev.stopPropagation();
+                resizableImage.select(sib);
+                _hideCaret();
+                _callbackInput();
+                _callback('selectionChange');
+            };
+            break;
+        case 'ArrowRight':
+            // Note ArrowRight is handled by ResizableImage if it's selected
+            if (resizableImage.isSelected) { break };
+            if (_keyModified('Shift', key) && _extendCellSelection(key)) {
+                ev.preventDefault();
+                break;
+            };
+            sib = _siblingAtSelection('AFTER');
+            if (_isImageElement(sib)) {
+                ev.preventDefault();
+                ev.stopPropagation();
+                resizableImage.select(sib);
+                _hideCaret();
+                _callbackInput();
+                _callback('selectionChange');
+            };
+            break;
+        case 'ArrowUp':
+        case 'ArrowDown':
+            // Note ArrowUp and ArrowDown are handled by ResizableImage if it's selected
+            if (resizableImage.isSelected) { break };
+            if (_keyModified('Shift', key)) {
+                if (_extendCellSelection(key)) { ev.preventDefault() };
+                break;
+            };
+            // Leave Meta+arrow and Alt+arrow to the browser, which uses them to move by document and paragraph
+            if (_keyModified('Meta', key) || _keyModified('Alt', key)) { break };
+            // Control+arrow moves between cells from any line of a multi-line cell
+            if (_doVerticalCell((key === 'ArrowUp') ? 'UP' : 'DOWN', _keyModified('Control', key))) {
+                ev.preventDefault();
+            };
+            break;
+        case 'Backspace':
+            // Note Backspace is handled by ResizableImage if it's selected
+            if (resizableImage.isSelected) { break };
+            // Clear the cells rather than deleting across them when cells are selected
+            if (_selectedCellRange()) {
+                ev.preventDefault();
+                MU.clearCells();
+                break;
+            };
+            sib = _siblingAtSelection('BEFORE');
+            if (_isImageElement(sib)) {
+                ev.preventDefault();
+                resizableImage.select(sib);
+                // Altho we deleted the image BEFORE the selection,
+                // we want to pass 'AFTER' here to indicate where
+                // the cursor should be positioned on undo.
+                _deleteSelectedResizableImage('AFTER');
+            };
+            // Avoid deleting the <p> when MU.editor is empty
+            if (_isEmptyEditor()) {
+                ev.preventDefault();
+                break;
+            }
+            break;
+        case 'Delete':
+            // Note Delete is handled by ResizableImage if it's selected
+            if (resizableImage.isSelected) { break };
+            if (_selectedCellRange()) {
+                ev.preventDefault();
+                MU.clearCells();
+                break;
+            };
+            sib = _siblingAtSelection('AFTER');
+            if (_isImageElement(sib)) {
+                ev.preventDefault();
+                resizableImage.select(sib);
+                // Altho we deleted the image AFTER the selection,
+                // we want to pass 'BEFORE' here to indicate where
+                // the cursor should be positioned on undo.
+                _deleteSelectedResizableImage('BEFORE');
+            };
+            break;
+        case 'Shift':
+            // To support Shift+Enter while searching...
+            return;
+    };
+    // Always cancel search if we fall thru
+    searcher.cancel()
+});
+
+/**
+ * Handle the Enter key to avoid <div> being inserted instead of <p>
+ *
+ * @returns {HTML Paragraph Element || null}    The newly created P to preventDefault handling; else, null.
+ */
+const _doEnter = function(undoable=true) {
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode || !sel.isCollapsed) { return null };
+    const existingRange = sel.getRangeAt(0);
+    const selectionAtEnd = _isTextNode(selNode) && (existingRange.endOffset === selNode.textContent.length);
+    const nextSiblingIsEmpty = (!selNode.nextSibling) || _isEmpty(selNode.nextSibling);
+    const parent = _findFirstParentElementInNodeNames(selNode, _paragraphStyleTags);
+    if (selectionAtEnd && nextSiblingIsEmpty && parent) {
+        // We are at the end of the last text node in some element, so we want to
+        // create a new <P> to keep typing. Note this means we get <p> when hitting return
+        // at the end of, say, <H3>. I believe this is the "expected" behavior.
+        const p = document.createElement('p');
+        p.appendChild(document.createElement('br'));
+        parent.parentNode.insertBefore(p, parent.nextSibling);
+        const range = document.createRange();
+        // And leave selection in the newElement
+        range.setStart(p, 0);
+        range.setEnd(p, 0);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        if (undoable) {
+            _backupSelection();
+            const undoerData = _undoerData('enter');
+            undoer.push(undoerData);
+            _restoreSelection();
+        }
+        _callbackInput();
+        return p;   // To preventDefault() on Enter
+    };
+    return null;    // Let the MarkupWKWebView do its normal thing
+};
+
+/**
+ * Undo Enter that was handled by _doEnter.
+ *
+ * By definition, _doEnter only preventsDefault when we are not in a list,
+ * the selection is collapsed, and we are at the end of a styled element.
+ * The behavior then always inserts a new paragraph. So, we restore the
+ * selection from the undoerData, find the paragraph and delete it, restoring
+ * the selection to the text element before it.
+ */
+const _undoEnter = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode || !sel.isCollapsed) { return null };
+    const existingP = _findFirstParentElementInNodeNames(selNode, ['P'])
+    if (!existingP) { return null };
+    _deleteAndResetSelection(existingP, 'BEFORE');
+};
+
+/**
+ * Monitor certain keyup events that follow actions that mess up simple HTML formatting.
+ * Clean up formatting if needed.
+ */
+MU.editor.addEventListener('keyup', function(ev) {
+    const key = ev.key;
+    if ((key === 'Backspace') || (key === 'Delete')) {
+        if (!resizableImage.isSelected) {
+            _cleanUpSpans();
+            _cleanUpAttributes('style');
+        };
+    };
+});
+
+/**
+ * Prevent all default paste events. Paste is invoked from the Swift side.
+ */
+MU.editor.addEventListener('paste', function(ev) {
+    ev.preventDefault();
+});
+
+/********************************************************************************
+ * Paste
+ */
+//MARK: Paste
+
+/**
+ * Do a custom paste operation of "text only", which we will extract from the html
+ * ourselves. The pasteboard text has newlines removed and we want something
+ * prettier that behaves well in the MarkupEditor.
+ *
+ * The trick here is that we want to use the same code to paste text as we do for
+ * HTML, but we want to paste something that is the MarkupEditor-equivalent of
+ * unformatted text.
+ *
+ * Tab- or comma-separated text, as copied from a spreadsheet, is pasted as a table.
+ * When the selection is already in a table, it fills the cells starting at the
+ * selected one instead.
+ */
+MU.pasteText = function(html) {
+    const rows = _delimitedRows(html);
+    if (rows && _getTableElementsAtSelection()['table']) {
+        _pasteRowsInTable(rows);
+        return;
+    };
+    // Remove all the cruft first, leaving BRs, unless we made a clean table ourselves
+    const fragment = (rows) ? _delimitedTable(rows) : _patchPasteHTML(html);
+    const minimalHTML = _minimalHTML(fragment);         // Reduce to MarkupEditor-equivalent of "plain" text
+    _pasteHTML(minimalHTML);
+};
+
+/**
+ * Return the rows of fields in text if it is tab- or comma-separated, or null if it isn't.
+ *
+ * Text is tab-separated if every line has a tab in it, unless every line starts with
+ * one, like indented code. Text is comma-separated if it has more than one line, every
+ * line has the same number of fields and at least two that aren't empty, and no field
+ * but the first on a line starts with a space, as it would in sentences. Lines that end
+ * in a comma, like those in a letter, are not comma-separated, and neither are lines that
+ * hold one number with commas between its thousands, like 12,750, or text that ends in
+ * such a number, like Total: 1,250. Either way, fields in double quotes can hold the
+ * delimiter, newlines, and doubled double quotes, and text that contains HTML tags is
+ * never delimited, since pasteText is also used for HTML.
+ *
+ * @param {String}  text    The text being pasted.
+ * @return {[[String]] | null}  The fields of each row, or null if text is not delimited.
+ */
+const _delimitedRows = function(text) {
+    if (/<\/?[a-zA-Z][^>]*>/.test(text)) { return null };
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+    const tabRows = _parseDelimited(lines, '\t')?.rows;
+    if (tabRows && tabRows.every(row => row.length > 1) && !tabRows.every(row => row[0].length === 0)) {
+        return tabRows;
+    };
+    const parsed = _parseDelimited(lines, ',');
+    if (!parsed || (parsed.rows.length < 2)) { return null };
+    const commaRows = parsed.rows;
+    const cols = commaRows[0].length;
+    const isCSV = commaRows.every((row, i) => {
+        return (row.length === cols) &&
+            (row.filter(field => field.length > 0).length > 1) &&
+            row.slice(1).every(field => !/^\s/.test(field)) &&
+            !_endsInThousands(row, parsed.quoted[i]);
+    });
+    const isNumbers = commaRows.every((row, i) => _isThousands(row, parsed.quoted[i]));
+    return (isCSV && !isNumbers) ? commaRows : null;
+};
+
+/**
+ * Return whether row is one number split at the commas between its thousands, as
+ * 12,750 is.
+ *
+ * @param {[String]}    row     The fields of a line split at commas.
+ * @param {[Boolean]}   quoted  Whether each field in row was in double quotes.
+ * @return {Boolean}            True if the unquoted fields joined by commas are a number.
+ */
+const _isThousands = function(row, quoted) {
+    return !quoted.some(isQuoted => isQuoted) && /^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(row.join(','));
+};
+
+/**
+ * Return whether row splits text that ends in a number at the commas between its
+ * thousands, as Total: 1,250 is. A field that is only a number, like the 1 in 1,200,
+ * is a field of its own.
+ *
+ * @param {[String]}    row     The fields of a line split at commas.
+ * @param {[Boolean]}   quoted  Whether each field in row was in double quotes.
+ * @return {Boolean}            True if an unquoted field that starts with three digits follows an
+ *                              unquoted field of other text that ends in one to three digits.
+ */
+const _endsInThousands = function(row, quoted) {
+    return row.some((field, i) => {
+        if ((i === 0) || quoted[i] || quoted[i-1]) { return false };
+        const previous = row[i-1];
+        return /^\d{3}(?!\d)/.test(field) && /\D\d{1,3}$/.test(previous) && !/^-?\d{1,3}$/.test(previous);
+    });
+};
+
+/**
+ * Return the rows of fields in text separated by delimiter, along with whether each field
+ * was in double quotes, or null if a quoted field is never closed.
+ *
+ * @param {String}  text        The text with newlines between rows.
+ * @param {String}  delimiter   The character between fields, either a tab or comma.
+ * @return {Object | null}      The fields of each row in rows, and whether each was quoted in quoted.
+ */
+const _parseDelimited = function(text, delimiter) {
+    const rows = [];
+    const quotedRows = [];
+    let row = [];
+    let quotedRow = [];
+    let field = '';
+    let wasQuoted = false;
+    let quoted = false;
+    for (let i=0; i<text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if ((char === '"') && (text[i+1] === '"')) {
+                field += char;
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            };
+        } else if ((char === '"') && (field.length === 0)) {
+            quoted = true;
+            wasQuoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            quotedRow.push(wasQuoted);
+            field = '';
+            wasQuoted = false;
+        } else if (char === '\n') {
+            row.push(field);
+            quotedRow.push(wasQuoted);
+            rows.push(row);
+            quotedRows.push(quotedRow);
+            row = [];
+            quotedRow = [];
+            field = '';
+            wasQuoted = false;
+        } else {
+            field += char;
+        };
+    };
+    if (quoted) { return null };
+    row.push(field);
+    quotedRow.push(wasQuoted);
+    rows.push(row);
+    quotedRows.push(quotedRow);
+    return {rows: rows, quoted: quotedRows};
+};
+
+/**
+ * Return a fragment holding a table made from rows, with as many columns as the
+ * longest row.
+ *
+ * @param {[[String]]}  rows    The fields of each row.
+ * @return {DocumentFragment}   A fragment holding the new table.
+ */
+const _delimitedTable = function(rows) {
+    const cols = Math.max(...rows.map(row => row.length));
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        for (let col=0; col<cols; col++) {
+            const td = _emptyTd();
+            _setCellText(td, row[col] ?? '');
+            tr.appendChild(td);
+        };
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(table);
+    return fragment;
+};
+
+/**
+ * Do a custom paste operation of html.
+ */
+MU.pasteHTML = function(html) {
+    const fragment = _patchPasteHTML(html);             // Remove all the cruft first, leaving BRs
+    const fragmentHTML = _fragmentHTML(fragment)        // Extract html again from cleaned up fragment
+    _pasteHTML(fragmentHTML);
+};
+
+/**
+ * Return the innerHTML string contained in fragment
+ */
+const _fragmentHTML = function(fragment) {
+    const div = document.createElement('div');
+    div.appendChild(fragment);
+    return div.innerHTML;
+};
+
+/**
+ * Return a minimal "unformatted equivalent" version of the HTML that is in fragment.
+ *
+ * This equivalent is derived by making all top-level nodes into <P> and removing
+ * formatting and links. However, we leave TABLE, UL, and OL alone, so they still
+ * come in as tables and lists, but with formatting removed.
+ */
+const _minimalHTML = function(fragment) {
+    // Create a div to hold fragment so that we can getElementsByTagName on it
+    const div = document.createElement('div');
+    div.appendChild(fragment);
+    // Then run thru the various minimization steps on the div
+    _minimalStyle(div);
+    _minimalFormat(div);
+    _minimalLink(div);
+    return div.innerHTML;
+};
+
+/**
+ * Replace all styles in the div with 'P'.
+ */
+const _minimalStyle = function(div) {
+    _minimalStyleTags.forEach(tag => {
+        // Reset elements using getElementsByTagName as we go along or the
+        // replaceWith potentially messes the up loop over elements.
+        let elements = div.getElementsByTagName(tag);
+        let element = (elements.length > 0) ? elements[0] : null;
+        while (element) {
+            let newElement = document.createElement('P');
+            newElement.innerHTML = element.innerHTML;
+            element.replaceWith(newElement);
+            elements = div.getElementsByTagName(tag);
+            element = (elements.length > 0) ? elements[0] : null;
+        };
+    });
+};
+
+/**
+ * Replace all formats in the div with unformatted text
+ */
+const _minimalFormat = function(div) {
+    _formatTags.forEach(tag => {
+        // Reset elements using getElementsByTagName as we go along or the
+        // replaceWith potentially messes the up loop over elements.
+        let elements = div.getElementsByTagName(tag);
+        let element = (elements.length > 0) ? elements[0] : null;
+        while (element) {
+            let template = document.createElement('template');
+            template.innerHTML = element.innerHTML;
+            const newElement = template.content;
+            element.replaceWith(newElement);
+            elements = div.getElementsByTagName(tag);
+            element = (elements.length > 0) ? elements[0] : null;
+        };
+    });
+};
+
+/**
+ * Replace all links with their text only
+ */
+const _minimalLink = function(div) {
+    // Reset elements using getElementsByTagName as we go along or the
+    // replaceWith potentially messes the up loop over elements.
+    let elements = div.getElementsByTagName('A');
+    let element = (elements.length > 0) ? elements[0] : null;
+    while (element) {
+        if (element.getAttribute('href')) {
+            element.replaceWith(document.createTextNode(element.text));
+        } else {
+            // This link has no href and is therefore not allowed
+            element.parentNode.removeChild(element);
+        };
+        elements = div.getElementsByTagName('A');
+        element = (elements.length > 0) ? elements[0] : null;
+    };
+};
+
+const _pasteHTML = function(html, oldUndoerData, undoable=true) {
+    const redoing = !undoable && (oldUndoerData !== null);
+    let sel = document.getSelection();
+    let anchorNode = (sel) ? sel.anchorNode : null;
+    if (!anchorNode) {
+        MUError.NoSelection.callback();
+        return null;
+    };
+    let selRange = sel.getRangeAt(0);
+    // If sel is not collapsed, delete the entire selection and reset before continuing.
+    // Track the deletedFragment.
+    let deletedFragment;
+    if (resizableImage.isSelected) {
+        selRange = resizableImage.range;
+        anchorNode = selRange.startContainer;
+        const imageRange = document.createRange();
+        imageRange.selectNode(resizableImage.imageElement);
+        deletedFragment = imageRange.extractContents();
+        if (redoing) {
+            oldUndoerData.data.deletedFragment = deletedFragment;
+        };
+        selRange = resizableImage.deleteImage();
+        sel.removeAllRanges();
+        sel.addRange(selRange);
+        _showCaret();
+    } else if (!sel.isCollapsed) {
+        deletedFragment = selRange.extractContents();
+        if (redoing) {
+            oldUndoerData.data.deletedFragment = deletedFragment;
+        };
+        sel = document.getSelection();
+        anchorNode = sel.anchorNode;
+        selRange = sel.getRangeAt(0);
+    };
+    // At this point, sel is collapsed and the document contents are the same as if we had
+    // hit Backspace (but not paste yet) on the original non-collapsed selection.
+    //
+    // DEBUGGING TIP:
+    // By executing an 'input' callback and returning true at this point, we can debug the
+    // result ensure it is the same as hitting Backspace.
+    //_callbackInput();
+    //return true;
+    const newElement = _fragmentFrom(html)
+    const anchorIsElement = _isElementNode(anchorNode);
+    const firstChildIsElement = newElement.firstChild && (_isElementNode(newElement.firstChild));
+    const firstChildIsStyle = newElement.firstChild && (_isParagraphStyleElement(newElement.firstChild));
+    const anchorIsEmpty = _isEmpty(anchorNode);
+    let pasteRange = selRange.cloneRange();
+    let newSelRange, rootName, replacedEmpty;
+    // If the anchorNode is text, and the fragment's first child is a paragraph syle element, then we want
+    // to modify the fragment's contents to contain the contents of the first child. Copy/paste of a word of text
+    // in a paragraph comes into this method as <P>word</P>, but we can't insert a <P> inside of the top-level
+    // element the text anchorNode is in, and we don't want to break the existing paragraph. The contents of
+    // the fragment ends up being inserted into the containing paragraph using the same style.
+    if (_isTextNode(anchorNode) && firstChildIsStyle) {
+        const newFirstChild = _fragmentFrom(newElement.firstChild.innerHTML);
+        newElement.firstChild.replaceWith(newFirstChild);
+    };
+    if (anchorIsElement && firstChildIsElement && anchorIsEmpty) {
+        // We are in an empty paragraph, typically, like <p><br></p>. Replace it with the newElement
+        // manually by replacing the anchor with the firstChild, followed by all of its siblings.
+        // Unfortunately, we have no way to know if we did this on undo unless we track it in
+        // undoerData, which we do by placing the anchorNode.nodeName in replacedEmpty.
+        replacedEmpty = anchorNode.nodeName;
+        let offset = 0;
+        let lastChild = newElement.firstChild;
+        let nextSib = lastChild.nextSibling;
+        const beforeTarget = anchorNode.nextElementSibling;
+        const insertTarget = beforeTarget?.parentNode ?? anchorNode.parentNode ?? MU.editor;
+        anchorNode.replaceWith(lastChild);
+        // Now we need put the rest of the newElement fragment in as siblings,
+        // tracking lastChild as we go thru them.
+        while (nextSib) {
+            lastChild = nextSib;
+            insertTarget.insertBefore(nextSib, beforeTarget);
+            nextSib = newElement.firstChild;
+        };
+        newSelRange = document.createRange();
+        const lastSelectableLocation = _lastSelectableLocation(lastChild);
+        if (lastSelectableLocation) {
+            newSelRange.setStart(lastSelectableLocation.container, lastSelectableLocation.offset);
+            newSelRange.setEnd(lastSelectableLocation.container, lastSelectableLocation.offset);
+            pasteRange.setEnd(lastSelectableLocation.container, lastSelectableLocation.offset);
+        } else {    // A backup plan
+            if (lastChild && (lastChild.nodeType === Node.TEXT_NODE)) {
+                offset = lastChild.textContent.length;
+            } else if (lastChild && (lastChild.nodeType === Node.ELEMENT_NODE)) {
+                offset = lastChild.childNodes.length;
+            };
+            newSelRange.setStart(lastChild, offset);
+            newSelRange.setEnd(lastChild, offset);
+            pasteRange.setEnd(lastChild, offset);
+        }
+        rootName = null;
+    } else {
+        const insertResults = _insertHTML(newElement);
+        if (insertResults) {
+            pasteRange = insertResults.insertedRange;
+            rootName = insertResults.rootName;
+        } else {
+            return null;        // Something went wrong in insertHTML, so let default happen.
+        }
+        replacedEmpty = null;
+        newSelRange = document.getSelection().getRangeAt(0);
+    };
+    // As we patch up the results of pasting later, the offsets in the undoerData.range get
+    // set to zero, even tho the startContainer and endContainer remain valid. We hold onto
+    // them separately in undoerData so we can restore them later.
+    if (redoing) {
+        oldUndoerData.range = pasteRange;
+        oldUndoerData.data.rootName = rootName;
+        oldUndoerData.data.replacedEmpty = replacedEmpty;
+        //_consoleLog(_rangeString(pasteRange, "redo"));
+    }
+    sel.removeAllRanges();
+    sel.addRange(newSelRange);
+    _backupSelection();
+    if (undoable) {
+        // html - What was pasted, probably contains spans, styles and other cruft
+        // deletedFragment - What (if anything) we deleted before pasting
+        // rootName - The name of the node we splitText up to, or null if we didn't splitText
+        // replacedEmpty - The name of the empty node we replaced, or null if we didn't
+        // pasteRange - (saved as undoerData.range) Range that contains what we pasted
+        //_consoleLog(_rangeString(pasteRange, "do"));
+        const undoerData = _undoerData('pasteHTML', {html: html, deletedFragment: deletedFragment, rootName: rootName, replacedEmpty: replacedEmpty}, pasteRange);
+        undoer.push(undoerData);
+    }
+    _callbackInput();
+    return true;
+};
+
+/**
+ * Patch html by removing all of the spans, etc, so that a template created from it
+ * is "clean" by MarkupEditor standards.
+ */
+const _patchPasteHTML = function(html) {
+    
+    // We need a document fragment from the html so we can use its dom for cleaning up.
+    const element = _fragmentFrom(html);
+    
+    // Sometimes (e.g., iOS Note) the fragment is an entire HTML document.
+    // In this case, we only want the body, but let's clean up these items
+    // that should be outside of it just in case something wacky is going on.
+    _cleanUpTypesWithin(['head', 'meta', 'title', 'style'], element);
+    const body = element.body ?? element;
+    
+    // Now do the extensive clean up required for the body
+    _cleanUpSpansWithin(body);
+    _cleanUpDivsWithin(body);
+    _cleanUpTypesWithin(['label', 'button'], body)
+    _cleanUpAttributesWithin('style', body);
+    _cleanUpAttributesWithin('class', body);
+    _cleanUpEmptyTextNodes(body);
+    _cleanUpPREs(body);
+    _cleanUpOrphanNodes(body);
+    _cleanUpBRs(body);
+    _cleanUpNewlines(body);
+    _cleanUpTabs(body);
+    _cleanUpAliases(body);
+    _prepImages(body);
+    return body;
+};
+
+/**
+ * Return a document fragment element derived from the html.
+ */
+const _fragmentFrom = function(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+};
+
+/**
+ * Insert the fragment at the current selection point.
+ *
+ * Return a range containing the fragment that was inserted and whether the selection
+ * was split into multiple elements using _splitTextNode. If so, then on undo, we
+ * can tell whether we should unsplit them.
+ */
+const _insertHTML = function(fragment) {
+    //_consoleLog("* _insertHTML")
+    let sel = document.getSelection();
+    let anchorNode = (sel) ? sel.anchorNode : null;
+    if (!anchorNode) {
+        MUError.NoSelection.callback();
+        return null;
+    };
+    let selRange = sel.getRangeAt(0);
+    let direction = null;
+    // Remove any empty leading or trailing children and identify the direction to
+    // reset selection afterward. If we deleted a leading fragment because it was
+    // empty, this indicates we want the selection at the beginning of trailingText
+    // after we splitTextNode (direction='BEFORE'); else, we will put it at the end
+    // of the anchorNode (direction='AFTER'). If direction is not null, then we will
+    // force flow thru splitTextNode.
+    let firstFragEl = (fragment.firstChild && (fragment.firstChild.nodeType === Node.ELEMENT_NODE)) ? fragment.firstChild : null;
+    if (firstFragEl && _isEmpty(firstFragEl)) {
+        fragment.removeChild(firstFragEl);
+        firstFragEl = (fragment.firstChild && (fragment.firstChild.nodeType === Node.ELEMENT_NODE)) ? fragment.firstChild : null;
+        direction = 'AFTER';
+    };
+    let lastFragEl = (fragment.lastChild && (fragment.lastChild.nodeType === Node.ELEMENT_NODE)) ? fragment.lastChild : null;
+    if (lastFragEl && _isEmpty(lastFragEl)) {
+        fragment.removeChild(lastFragEl);
+        direction = direction || 'BEFORE';  // Only reset if we didn't already set
+    };
+    // We will need to define a new range for selection and track the insertedRange
+    let newSelRange = document.createRange();       // Collapsed at the end of the fragment
+    const insertedRange = document.createRange();   // Spanning the fragment
+    // Handle specially if fragment is "simple" (i.e., has noChildElements or noTopLevelChildren).
+    // TODO: Could just use noTopLevelChildren
+    // However, not sure if this is really right in cases with things like lists included, which
+    // don't work properly now anyway.
+    const noChildElements = fragment.childElementCount === 0;
+    let noTopLevelChildren = true;
+    if (!noChildElements) {
+        const fragChildren = fragment.children;
+        for (let i=0; i < fragChildren.length; i++) {
+            if (_topLevelTags.includes(fragChildren[i].nodeName)) {
+                noTopLevelChildren = false;
+                break;
+            };
+        };
+    };
+    if (((direction === null) || (direction === 'BEFORE')) && (noChildElements || noTopLevelChildren)) {
+        //_consoleLog("Simple")
+        const firstFragChild = fragment.firstChild;
+        const lastFragChild = fragment.lastChild;
+        const shouldJoin = _isTextNode(anchorNode) && !_isTextNode(firstFragChild) && (anchorNode.parentNode.nodeName === firstFragChild.nodeName)
+        if (shouldJoin) {
+            //_consoleLog(" Joining")
+            // Fragment is merged in with anchorNode
+            const originalAnchorLength = anchorNode.textContent.length;
+            _joinTextNodes(anchorNode.parentNode, firstFragChild, anchorNode.parentNode.nodeName);
             insertedRange.setStart(anchorNode, originalAnchorLength);
             insertedRange.setEnd(anchorNode, anchorNode.textContent.length);
             newSelRange.setStart(anchorNode, anchorNode.textContent.length);
             newSelRange.setEnd(anchorNode, anchorNode.textContent.length);
         } else {
-            //_consoleLog(" Inserting")
-            // Remove the BR in an empty anchorNode before insert
-            if (_isEmptyElement(anchorNode)) {
-                let firstChild = anchorNode.firstChild;
-                if (_isBRElement(firstChild)) {
-                    anchorNode.removeChild(firstChild);
+            //_consoleLog(" Inserting")
+            // Remove the BR in an empty anchorNode before insert
+            if (_isEmptyElement(anchorNode)) {
+                let firstChild = anchorNode.firstChild;
+                if (_isBRElement(firstChild)) {
+                    anchorNode.removeChild(firstChild);
+                };
+            };
+            // Fragment becomes anchorNode's nextSibling, selection set to end
+            selRange.insertNode(fragment);
+            _stripZeroWidthChars(anchorNode.parentNode);
+            _removeEmptyTextNodes(selRange);
+            sel = document.getSelection();
+            selRange = sel.getRangeAt(0);
+            anchorNode = sel.anchorNode;
+            insertedRange.setStart(firstFragChild, 0);
+            if (_isTextNode(lastFragChild)) {
+                newSelRange.setStart(lastFragChild, lastFragChild.textContent.length);
+                newSelRange.setEnd(lastFragChild, lastFragChild.textContent.length);
+                insertedRange.setEnd(lastFragChild, lastFragChild.textContent.length);
+            } else if (_isImageElement(lastFragChild)) {
+                // When we inserted an image via html, then we need to set both the
+                // newSelRange and insertedRange based on its parent, one right after
+                // the image, and the other surrounding the image.
+                const childNodeIndex = _childNodeIndex(lastFragChild);
+                newSelRange.setStart(lastFragChild.parentNode, childNodeIndex + 1);
+                newSelRange.setEnd(lastFragChild.parentNode, childNodeIndex + 1);
+                insertedRange.setStart(lastFragChild.parentNode, childNodeIndex);
+                insertedRange.setEnd(lastFragChild.parentNode, childNodeIndex + 1);
+            } else {
+                newSelRange.setStart(lastFragChild, lastFragChild.childNodes.length);
+                newSelRange.setEnd(lastFragChild, lastFragChild.childNodes.length);
+                insertedRange.setEnd(lastFragChild, lastFragChild.childNodes.length);
+            };
+        };
+        sel.removeAllRanges();
+        sel.addRange(newSelRange);
+        //_consoleLog("* Done _insertHTML (simple)")
+        return {insertedRange: insertedRange, rootName: null};
+    };
+    // Selection is within a text node that needs to be split and then merged with the fragment.
+    // See _splitTextNode comments, but it recreates the node heirarchy at the selection up
+    // to and including the topLevelNode, leaving the selection set in the direction specified.
+    // Like splitText, _splitTextNode returns the trailingText and leaves anchorNode containing
+    // the textNode before the selection.
+    const topLevelNode = _findFirstParentElementInNodeNames(anchorNode, _topLevelTags);
+    if (!topLevelNode) {
+        MUError.CantInsertHtml.callback();
+        return null;
+    };
+    //_consoleLog(" Complex")
+    // Remove the BR in an empty anchorNode before insert
+    if (_isEmptyElement(anchorNode)) {
+        let firstChild = anchorNode.firstChild;
+        if (_isBRElement(firstChild)) {
+            anchorNode.removeChild(firstChild);
+        };
+    };
+    const rootName = topLevelNode.nodeName;
+    let trailingText = _splitTextNode(anchorNode, selRange.startOffset, rootName, direction);
+    // Regardless of what we do now to insert the fragment, the trailingText and anchorNode define
+    // the span of the fragment which will sit between those points. However, if the trailingText
+    // is empty, then we won't be able to set selection properly into it. In that case,
+    // we will adjust it later after we insert the fragment.
+    insertedRange.setStart(anchorNode, anchorNode.textContent.length);
+    insertedRange.setEnd(trailingText, 0);
+    // Now the selection has been split and left at the beginning of trailingText, which is
+    // where we generally want to paste the fragment contents.
+    // FIRST, insert all of the firstElFrag's childNodes at the end of anchorNode
+    // if the nodeNames match. So, for example, if the firstElFrag is
+    // <h5 id="h5">ted <i id="i">item</i> 1.</h5>, the "ted <i id="i">item</i> 1."
+    // gets put at the end of the anchorNode.
+    const anchorNodeParent = anchorNode.parentNode;
+    const anchorNodeParentName = anchorNodeParent.nodeName;
+    let rejoinedText = false;
+    if (firstFragEl && (firstFragEl.nodeName === anchorNodeParentName)) {
+        let firstElChild = firstFragEl.firstChild;
+        let firstChild = firstElChild;
+        let lastChild;
+        while (firstElChild) {
+            lastChild = firstElChild;
+            anchorNodeParent.appendChild(firstElChild);
+            firstElChild = firstFragEl.firstChild;
+        };
+        fragment.removeChild(firstFragEl);
+        // At this point, if fragment is empty, then we should re-join the trailingText
+        // to the anchorNode and use the lastChild and inserted*Offsets
+        if (_isEmpty(fragment) && lastChild) {
+            let lastChildRange = document.createRange()
+            if (_isTextNode(lastChild)) {
+                lastChildRange.setStart(lastChild, lastChild.textContent.length);
+                lastChildRange.setEnd(lastChild, lastChild.textContent.length);
+            } else {
+                lastChildRange.setStart(lastChild, lastChild.children.length);
+                lastChildRange.setEnd(lastChild, lastChild.children.length);
+            };
+            // JoinTextNodes uses the current selection, so we need to set it properly.
+            // Afterward, document.getSelection() is set properly for the joined nodes
+            document.getSelection().removeAllRanges();
+            document.getSelection().addRange(lastChildRange);
+            let lastEndOffset = lastChild.textContent.length;   // Offset to end of lastChild before joining
+            _joinTextNodes(lastChild, trailingText, rootName);
+            // But, we still need to track the insertedRange, which we now need to
+            // determine *after* joinTextNodes
+            insertedRange.setStart(firstChild, 0);
+            insertedRange.setEnd(lastChild, lastEndOffset)
+            trailingText = lastChild; // This will be where trailingText ended up
+            rejoinedText = true;
+        }
+    };
+    // SECOND, all the siblings of firstFragEl need to be added as siblings of anchorNode.parentNode.
+    // The siblings start with what is now fragment.firstChild. If the nodeTypes didn't match, then
+    // this will be the same as firstFragEl.
+    // TODO: Determine if this works properly in a list
+    let nextFragSib = fragment.firstChild;
+    const existingTopLevelItem = _findFirstParentElementInNodeNames(trailingText, _topLevelTags);
+    while (nextFragSib) {
+        if (_topLevelTags.includes(nextFragSib.nodeName)) {
+            //_consoleLog(" inserting " + _textString(nextFragSib) + " before " + _textString(existingTopLevelItem) + " in " + _textString(existingTopLevelItem.parentNode));
+            existingTopLevelItem.parentNode.insertBefore(nextFragSib, existingTopLevelItem)
+        } else {
+            //_consoleLog(" inserting " + _textString(nextFragSib) + " before " + _textString(trailingText) + " in " + _textString(trailingText.parentNode));
+            trailingText.parentNode.insertBefore(nextFragSib, trailingText);
+        }
+        nextFragSib = fragment.firstChild;
+    };
+    if (rejoinedText) {
+        // After rejoining, the selection has been set properly, so just grab it here
+        newSelRange = document.getSelection().getRangeAt(0);
+    } else {
+        if (_isEmpty(trailingText)) {
+            // When trailingText is empty, we need to reset selection properly and remove it.
+            // Ideally, we put selection at the end of trailingText's previousSibling, but when
+            // that is nil, we should put it at the end of trailingText's parentNode. But what
+            // about when that is also empty except for the empty trailingText?
+            let startContainer, offset;
+            const firstSelectableLocationBefore = _firstSelectableLocationBefore(trailingText);
+            if (firstSelectableLocationBefore) {
+                startContainer = firstSelectableLocationBefore.container;
+                offset = firstSelectableLocationBefore.offset;
+            } else { // A backup plan
+                const firstSelectableLocationAfter = _firstSelectableLocationAfter(trailingText);
+                if (firstSelectableLocationAfter) {
+                    startContainer = firstSelectableLocationAfter.container;
+                    offset = firstSelectableLocationAfter.offset;
+                } else {
+                    //TODO: Nothing selectable in the document!? What to do?
+                    _consoleLog("WTF")
+                };
+            };
+            newSelRange.setStart(startContainer, offset);
+            newSelRange.setEnd(startContainer, offset);
+            insertedRange.setEnd(startContainer, offset);
+            if (_isEmpty(trailingText.parentNode)) {
+                trailingText.parentNode.parentNode.removeChild(trailingText.parentNode);
+            } else {
+                trailingText.parentNode.removeChild(trailingText);
+            };
+        } else {
+            if (_isEmpty(anchorNode)) {
+                const nodeToDelete = (_isEmpty(anchorNode.parentNode)) ? anchorNode.parentNode : anchorNode;
+                nodeToDelete.parentNode.removeChild(nodeToDelete);
+            }
+            newSelRange.setStart(trailingText, 0);
+            newSelRange.setEnd(trailingText, 0);
+        };
+    };
+    sel.removeAllRanges();
+    sel.addRange(newSelRange);
+    //_consoleLog("* Done _insertHTML")
+    return {insertedRange: insertedRange, rootName: rootName};
+};
+
+/**
+ * Fill an empty element with a br and patch up the selection if needed.
+ *
+ * Return a range that selects the empty element. Selection won't be affected
+ * unless the changes to element necessitate it.
+ *
+ * In cases where element is empty, we cannot select inside of it. For example,
+ * <p></p> is valid html, but we cannot set the selection inside of it. Instead,
+ * when we want to select inside of it, we have to populate it with a <BR> and
+ * then select.
+ */
+const _fillEmpty = function(element) {
+    if (!_isElementNode(element)) {
+        MUError.InvalidFillEmpty.callback();
+        return null;
+    };
+    if (!_isEmpty(element) || (element.childNodes.length > 1)) { return null };
+    const sel = document.getSelection();
+    let resetStart = false;
+    let resetEnd = false;
+    let startContainer, startOffset, endContainer, endOffset;
+    if (sel && (sel.rangeCount > 0)) {
+        const range = sel.getRangeAt(0);
+        startContainer = range.startContainer;
+        startOffset = range.startOffset;
+        endContainer = range.endContainer;
+        endOffset = range.endOffset;
+        resetStart = (element === startContainer) || (element.firstChild === startContainer);
+        resetEnd = (element === endContainer) || (element.firstChild === endContainer);
+    };
+    const br = document.createElement('br');
+    if (element.childNodes.length === 1) {
+        element.childNodes[0].replaceWith(br);
+    } else {
+        element.appendChild(br);
+    };
+    const newRange = document.createRange();
+    if (resetStart || resetEnd) {
+        if (elementIsStart) {
+            newRange.setStart(element, 0);
+        } else {
+            newRange.setStart(startContainer, startOffset);
+        }
+        if (elementIsEnd) {
+            newRange.setEnd(element, 0);
+        } else {
+            newRange.setEnd(endContainer, endOffset);
+        }
+        sel.removeAllRanges();
+        sel.addRange(newRange);
+    } else {
+        newRange.setStart(element, 0);
+        newRange.setEnd(element, 0);
+    }
+    return newRange;
+};
+
+const _undoPasteHTML = function(undoerData) {
+    // The undoerData contains:
+    //  html - What was pasted, probably contains spans, styles and other cruft
+    //  deletedFragment - What (if anything) we deleted before pasting
+    //  rootName - The name of the node we splitText up to, or null if we didn't splitText
+    //  replacedEmpty - The name of the empty node we replaced, or null if we didn't
+    //  pasteRange - (saved as undoerData.range) Range that contains what we pasted
+    //_consoleLog("* _undoPasteHTML")
+    const pasteRange = undoerData.range;
+    const rootName = undoerData.data.rootName;
+    const replacedEmpty = undoerData.data.replacedEmpty;
+    const deletedFragment = undoerData.data.deletedFragment;
+    _deleteRange(pasteRange, rootName);
+    const sel = document.getSelection();
+    let newRange = _minimizedRangeFrom(sel.getRangeAt(0));
+    if (replacedEmpty) {
+        // We need to re-insert an empty paragraph after the current selection.
+        // The selection is probably at the end of a text node, so we need to
+        // find the selection's top-level node and place it in that node's parent
+        // after that node.
+        const newEmptyElement = document.createElement(replacedEmpty);
+        const br = document.createElement('br');
+        newEmptyElement.appendChild(br);
+        const startContainer = newRange.startContainer;
+        const startNode = (_isTextNode(startContainer)) ? startContainer : startContainer.children[newRange.startOffset];
+        if (!startNode) {
+            startContainer.appendChild(newEmptyElement)
+            newRange.setStart(newEmptyElement, 0);
+            newRange.setEnd(newEmptyElement, 0);
+        } else {
+            const topLevelNode = _findFirstParentElementInNodeNames(startNode, _topLevelTags);
+            if (topLevelNode) {
+                if (_isEmptyPlaceholder(topLevelNode)) {
+                    topLevelNode.replaceWith(newEmptyElement);
+                } else {
+                    if (topLevelNode.nextSibling) {
+                        topLevelNode.parentNode.insertBefore(newEmptyElement, topLevelNode);
+                    } else { // We are at the end of the document
+                        _findContentEditable(topLevelNode).insertBefore(newEmptyElement, null);
+                    };
+                };
+                newRange.setStart(newEmptyElement, 0);
+                newRange.setEnd(newEmptyElement, 0);
+            };
+        };
+    };
+    // At this point, what was pasted-in is gone, and the document looks like if it had
+    // never been pasted-in, except for the deletedFragment if there was one.
+    if (deletedFragment) {
+        // We previously had deleted some selected text when pasting.
+        // Re-insert the deletedFragment. This will reset the selection
+        // and return a range that surrounds the now-inserted deletedFragment,
+        // which is what we want to select when done.
+        const insertResults = _insertHTML(deletedFragment);
+        if (insertResults) {
+            newRange = insertResults.insertedRange;
+        };
+    };
+    sel.removeAllRanges();
+    sel.addRange(newRange);
+    undoerData.range = newRange;
+    _backupSelection();
+    _callbackInput();
+};
+
+const _redoPasteHTML = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    _pasteHTML(undoerData.data.html, undoerData, false);
+};
+
+const _rangeFor = function(node, direction='START') {
+    const range = document.createRange();
+    let startOffset, endOffset;
+    if (direction === 'START') {
+        startOffset = 0;
+        endOffset = 0;
+    } else if (direction === 'END'){
+        if (node.nodeType === Node.TEXT_NODE) {
+            startOffset = node.textContent.length;
+        } else {
+            startOffset = node.childNodes.length;
+        };
+        endOffset = startOffset;
+    } else {    // Range across node
+        startOffset = 0;
+        if (node.nodeType === Node.TEXT_NODE) {
+            endOffset = node.textContent.length;
+        } else {
+            endOffset = node.childNodes.length;
+        };
+    }
+    range.setStart(node, startOffset);
+    range.setEnd(node, endOffset);
+    return range;
+};
+
+/**
+ * Delete the range and reset selection if needed.
+ *
+ * If the selection anchorNode is empty after deleting range, then
+ * delete the anchorNode and reset the selection to the nearest sibling,
+ * preferring the end of the previousSibling if it exists.
+ *
+ * If rootName is not null, then it identifies the nodeName that was split
+ * up-to when range was inserted. For example, in <p>Hello <b>bo|ld</b> world</p>
+ * when split at |, we ended up with <p>Hello <b>bo</b></p><p><b>ld</b> world</p>,
+ * and the range would span from the end of <b>bo</b> to the beginning of <b>ld</b>.
+ * Then we pasted in some fragment, which we are now deleting. After we delete range,
+ * we end up with <p>Hello <b>bo</b></p><p><b>ld</b> world</p> when what we want is
+ * <p>Hello <b>bo|ld</b> world</p>. If rootName is specified as 'P', then this
+ * tells us we need to combine the P that <b>bo</b> is in with the P that <b>ld</b>
+ * is in. This is kind of like the _splitTextNode equivalent of normalize()
+ * for _splitText.
+ */
+const _deleteRange = function(range, rootName) {
+    //_consoleLog("* _deleteRange(" + _rangeString(range) + ", " + rootName +")");
+    let leadingNode = range.startContainer;
+    let trailingNode = range.endContainer;
+    let startOffset = range.startOffset;
+    let endOffset = range.endOffset;
+    range.deleteContents();
+    let startContainer = leadingNode;
+    let endContainer = trailingNode;
+    // When we do deleteContents, the range contains empty text nodes so that
+    // it still remains valid. If the deletion wiped out the selection, then
+    // we need to put it back in place in the nearest non-empty text node.
+    // Note that a deleted style node will be replaced later based on replacedEmpty
+    // being present in undoerData.
+    const leadingWasDeleted = (_isEmpty(leadingNode) && (leadingNode !== MU.editor));
+    const trailingWasDeleted = (_isEmpty(trailingNode) && (leadingNode !== trailingNode) && (trailingNode !== MU.editor));
+    let startLocation, endLocation;
+    if (leadingWasDeleted && trailingWasDeleted) {
+        if (leadingNode.previousSibling) {
+            startLocation = _firstSelectableLocationBefore(leadingNode) ?? _firstSelectableLocationAfter(trailingNode);
+        } else if (trailingNode.nextSibling) {
+            startLocation = _firstSelectableLocationAfter(trailingNode) ?? _firstSelectableLocationBefore(leadingNode);
+        };
+        startContainer = startLocation.container;
+        startOffset = startLocation.offset;
+        endContainer = startContainer;
+        endOffset = startOffset;
+    } else if (leadingWasDeleted) {
+        startLocation = _firstSelectableLocationAfter(leadingNode) ?? _firstSelectableLocationBefore(leadingNode);
+        if (startLocation) {
+            startContainer = startLocation.container;
+            startOffset = startLocation.offset;
+        } else {    // A backup plan
+            startContainer = MU.editor;
+            startOffset = 0;
+        };
+        if (leadingNode === trailingNode) { // Because trailingWasDelete is never executed if true
+            endContainer = startContainer;
+            endOffset = startOffset;
+        };
+    } else if (trailingWasDeleted) {
+        endLocation = _firstSelectableLocationBefore(trailingNode) ?? _firstSelectableLocationAfter(trailingNode);
+        if (endLocation) {
+            endContainer = endLocation.container;
+            endOffset = endLocation.offset;
+        } else {    // A backup plan
+            endContainer = MU.editor;
+            endOffset = 0;
+        };
+    } else {
+        endOffset = 0;  // Because we deleted up to the original endOffset
+    };
+    // We have as many empty text nodes as once existed in the range we deleted, and the
+    // trailingNode may not be the same or even the nextSibling of leadingNode.
+    // For example, in a range across the leading and trailing text nodes of 
+    // <p>Hello <b>bold</b> world</p>, we end up with three empty text nodes.
+    const sharedParent = leadingNode && trailingNode && (leadingNode.parentNode === trailingNode.parentNode);
+    if (leadingWasDeleted && trailingWasDeleted) {
+        if (leadingNode === trailingNode) {
+            endContainer = startContainer;
+            endOffset = startOffset;
+            leadingNode.parentNode.removeChild(leadingNode);
+        } else {
+            if (sharedParent) {
+                let parent = leadingNode.parentNode;
+                let child = leadingNode;
+                while (child) {
+                    let nextChild = child.nextSibling;
+                    child.parentNode.removeChild(child);
+                    if (nextChild && (nextChild !== trailingNode)) {
+                        child = nextChild
+                    } else {
+                        child = null;
+                    };
+                }
+            } else {
+                leadingNode.parentNode.removeChild(leadingNode);
+                trailingNode.parentNode.removeChild(trailingNode);
+            };
+        };
+    } else if (leadingWasDeleted) {
+        leadingNode.parentNode.removeChild(leadingNode);
+    } else if (trailingWasDeleted) {
+        const topLevelNode = _topLevelElementContaining(trailingNode);
+        if (topLevelNode && _isEmpty(topLevelNode)) {
+            // We are left with an empty top-level node (like a table or p), so delete it.
+            // If it's a table, list, or blockquote, then we treat it specially, because
+            // the selection was inside of the topLevelElement and should be left before it.
+            if (_isTableElement(topLevelNode) || _isListElement(topLevelNode) || _isBlockquoteElement(topLevelNode)) {
+                _deleteAndResetSelection(topLevelNode, 'BEFORE');
+            } else {
+                _deleteAndResetSelection(topLevelNode, 'AFTER');
+            };
+            return; // Our work is done and selection is set properly.
+        } else {
+            trailingNode.parentNode.removeChild(trailingNode);
+        };
+    };
+    if (rootName && _isTextNode(leadingNode) && _isTextNode(trailingNode) && (leadingNode !== trailingNode) && !leadingWasDeleted && !trailingWasDeleted) {
+        _joinTextNodes(leadingNode, trailingNode, rootName);
+    } else {
+        const newRange = document.createRange();
+        newRange.setStart(startContainer, startOffset);
+        newRange.setEnd(endContainer, endOffset);
+        const minimizedRange = _minimizedRangeFrom(newRange);
+        const sel = document.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(minimizedRange);
+    };
+};
+
+const _topLevelElementContaining = function(node) {
+    let child = node;
+    while (child) {
+        if (child.parentNode === MU.editor) {
+            if (_isTopLevelElement(child)) {
+                return child;
+            } else {
+                return null;
+            };
+        } else {
+            child = child.parentNode;
+        };
+    };
+    return null;
+};
+
+const _firstNonEmptyNextSibling = function(node) {
+    let sib = node.nextSibling;
+    while (sib && _isEmpty(sib)) {
+        sib = sib.nextSibling;
+    };
+    return sib;
+};
+
+const _firstNonEmptyPreviousSibling = function(node) {
+    let sib = node.previousSibling;
+    while (sib && _isEmpty(sib)) {
+        sib = sib.previousSibling;
+    };
+    return sib;
+};
+
+/********************************************************************************
+ * Getting and setting document contents
+ */
+//MARK: Getting and Setting Document Contents
+
+/**
+ * Clean out the MU.editor and replace it with an empty paragraph
+ */
+MU.emptyDocument = function() {
+    while (MU.editor.firstChild) {
+        MU.editor.removeChild(MU.editor.firstChild);
+    };
+    const p = document.createElement('p');
+    p.appendChild(document.createElement('br'));
+    MU.editor.appendChild(p);
+    const sel = document.getSelection();
+    const range = document.createRange();
+    range.setStart(p, 1);
+    range.setEnd(p, 1);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    _backupSelection();
+    _updatePlaceholder();
+};
+
+/**
+ * Set the contents of the editor element
+ *
+ * @param {String} contents The HTML for the editor element
+ */
+MU.setHTML = function(contents, select=true) {
+    // Note for history:
+    // Originally this method used a div tempWrapper and just assigned contents to its innerHTML.
+    // In doing so, the image.onload method would fire, but I could never get an event listener to
+    // fire for the image. I fixed this by using a template, which presumably preserves the actual
+    // image element so that image that I assign the event listener to is preserved.
+    const template = document.createElement('template');
+    // When contents is empty, replace it with valid minimal HTML for a properly behaved
+    // MarkupEditor document. A lot of the editing functions in MarkupEditor depend on content
+    // being held in "style" elements. Without them, things will display properly, but the behavior
+    // is going to be unpredictable. The intervention on contents here is similar to what happens in
+    // MU.emptyDocument, but doing it here avoids having selection change.
+    if ((contents.trim().length === 0) && (MU.editor.isContentEditable)) {
+        contents = '<p><br></p>';
+    };
+    template.innerHTML = contents;
+    const element = template.content;
+    _cleanUpEmptyTextNodes(element);
+    _setContents(element, select);
+};
+
+/**
+ * Replace the contents of the editor element with the contents of element,
+ * which has already been cleaned up.
+ *
+ * @param {HTML Fragment}   element     The contents for the editor element.
+ * @param {Boolean}         select      Whether to initialize the selection.
+ */
+const _setContents = function(element, select) {
+    _prepImages(element);
+    MU.editor.innerHTML = '';   // Clean it out!
+    MU.editor.appendChild(element);
+    // By default, we initialize range to point to the first element. In cases where you are
+    // using multiple MarkupWKWebViews, you may want to explicitly prevent the range from
+    // being initialized and the first element being selected by passing select=false. Otherwise,
+    // each of your views will receive a multiple selectionChange events after they load,
+    // which in turn will propagate calls to the MarkupDelegate about that change, and potentially
+    // update the MarkupToolbar when all you wanted to do was to load the content and deal
+    // with selection later.
+    if (select) {
+        _initializeRange();                                         // Causes a selectionChange event
+    };
+    _updatePlaceholder()
+    _callback('updateHeight');
+};
+
+/**
+ * Return the height of the editor element that encloses the text.
+ *
+ * The padding-block is set in CSS to allow touch selection outside of text on iOS.
+ * An unfortunate side-effect of that setting is that getBoundingClientRect() returns
+ * a height that has nothing to do with the actual text, because it's been padded.
+ * A workaround for this is to get the computed style for editor using
+ * window.getComputedStyle(editor, null), and then asking that for the height. It does
+ * not include padding. This kind of works, except that I found the height changed as
+ * soon as I add a single character to the text. So, for example, it shows 21px when it
+ * opens with just a single <p>Foo</p>, but once you add a character to the text, the
+ * height shows up as 36px. If you remove padding-block, then the behavior goes away.
+ * To work around the problem, we set the padding block to 0 before getting height, and
+ * then set it back afterward. With this change, both the touch-outside-of-text works
+ * and the height is reported accurately. Height needs to be reported accurately for
+ * auto-sizing of a WKWebView based on its contents.
+ */
+MU.getHeight = function() {
+    const editor = MU.editor;
+    const paddingBlockStart = editor.style.getPropertyValue('padding-block-start');
+    const paddingBlockEnd = editor.style.getPropertyValue('padding-block-end');
+    editor.style['padding-block-start'] = '0px';
+    editor.style['padding-block-end'] = '0px';
+    const style = window.getComputedStyle(editor, null);
+    const height = parseInt(style.getPropertyValue('height'));
+    editor.style['padding-block-start'] = paddingBlockStart;
+    editor.style['padding-block-end'] = paddingBlockEnd;
+    return height;
+};
+
+/*
+ * Pad the bottom of the text in editor to fill fullHeight.
+ *
+ * Setting padBottom pads the editor all the way to the bottom, so that the
+ * focus area occupies the entire view. This allows long-press on iOS to bring up the
+ * context menu anywhere on the screen, even when text only occupies a small portion
+ * of the screen.
+ */
+MU.padBottom = function(fullHeight) {
+    const editor = MU.editor;
+    const padHeight = fullHeight - MU.getHeight();
+    if (padHeight > 0) {
+        editor.style.setProperty('--padBottom', padHeight+'px');
+    } else {
+        editor.style.setProperty('--padBottom', '0');
+    };
+};
+
+/**
+ * Focus immediately, leaving range alone
+ */
+MU.focus = function() {
+    _focusOn(MU.editor);    // Does async after a delay, else caret sometimes is hidden
+};
+
+/**
+ * Reset the selection to the beginning of the document
+ */
+MU.resetSelection = function() {
+    _initializeRange();
+};
+
+/**
+ * Get the contents of the editor element.
+ *
+ * If pretty, then the text will be nicely formatted for reading.
+ * If clean, the spans and empty text nodes will be removed first.
+ *
+ * Note: Clean is needed to avoid the selected ResizableImage from being
+ * passed-back with spans around it, which is what are used internally to
+ * represent the resizing handles and box around the selected image.
+ * However, this content of the DOM is only for visualization within the
+ * MarkupEditor and should not be included with the HTML contents. It is
+ * left here as an option in case it's needed for debugging.
+ *
+ * @return {string} The HTML for the editor element
+ */
+MU.getHTML = function(pretty="true", clean="true", divID) {
+    const prettyHTML = pretty === "true";
+    const cleanHTML = clean === "true";
+    const div = (divID) ? document.getElementById(divID) : MU.editor;
+    if (!div) {
+        MUError.NoDiv.callback();
+        return "";
+    }
+    let editor, text;
+    if (cleanHTML) {
+        const template = document.createElement('template');
+        template.innerHTML = div.innerHTML;
+        editor = template.content;
+        _cleanUpDivsWithin(editor);
+        _cleanUpSpansWithin(editor);
+        _cleanUpEmptyTextNodes(editor);
+    } else {
+        editor = div;
+    };
+    if (prettyHTML) {
+        text = _allPrettyHTML(editor);
+    } else {
+        text = MU.editor.innerHTML;
+        //text = _isFragment(editor) ? _fragmentString(editor) : editor.innerHTML;
+    };
+    return text;
+};
+
+/**
+ * Return a pretty version of editor contents.
+ *
+ * Insert a newline between each top-level element so they are distinct
+ * visually and each top-level element is in a contiguous text block vertically.
+ *
+ * @return {String}     A string showing the raw HTML with tags, etc.
+ */
+const _allPrettyHTML = function(editor) {
+    let text = '';
+    const childNodes = editor.childNodes;
+    const childNodesLength = childNodes.length;
+    for (let i = 0; i < childNodesLength; i++) {
+        let topLevelNode = childNodes[i];
+        text += _prettyHTML(topLevelNode, '', '', i === 0);
+        if (i < childNodesLength - 1) { text += '\n' };
+    }
+    return text;
+};
+
+/**
+ * Return a decently formatted/indented version of node's HTML.
+ *
+ * The inlined parameter forces whether to put a newline at the beginning
+ * of the text. By passing it in rather than computing it from node, we
+ * can avoid putting a newline in front of the first element in _allPrettyHTML.
+ */
+const _prettyHTML = function(node, indent, text, inlined) {
+    const nodeName = node.nodeName.toLowerCase();
+    const nodeIsTopLevel = indent.length === 0;
+    const nodeIsText = _isTextNode(node);
+    const nodeIsElement = _isElementNode(node);
+    const nodeIsInlined = inlined || _isInlined(node);  // allow inlined to force it
+    const nodeHasTerminator = !_isVoidNode(node);
+    const nodeIsEmptyElement = nodeIsElement && (node.childNodes.length === 0);
+    if (nodeIsText) {
+        text += _replaceAngles(node.textContent);
+    } else if (nodeIsElement) {
+        const terminatorIsInlined = nodeIsEmptyElement || (_isInlined(node.firstChild) && _isInlined(node.lastChild));
+        if (!nodeIsInlined) { text += '\n' + indent };
+        text += '<' + nodeName;
+        const attributes = node.attributes;
+        for (let i = 0; i < attributes.length; i++) {
+            const attribute = attributes[i];
+            text += ' ' + attribute.name + '=\"' + attribute.value + '\"';
+        };
+        text += '>';
+        node.childNodes.forEach(childNode => {
+            text = _prettyHTML(childNode, indent + '    ', text, _isInlined(childNode));
+        });
+        if (nodeHasTerminator) {
+            if (!terminatorIsInlined) { text += '\n' + indent };
+            text += '</' + nodeName + '>';
+        };
+        if (!nodeIsInlined && !terminatorIsInlined) {
+            indent = indent.slice(0, -4);
+        };
+    };
+    return text;
+};
+
+/**
+ * Return a new string that has all < replaced with &lt; and all > replaced with &gt;
+ */
+const _replaceAngles = function(textContent) {
+    return textContent.replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+};
+
+/**
+ * Return whether node should be inlined during the prettyHTML assembly. An inlined node
+ * like <I> in a <P> ends up looking like <P>This is an <I>italic</I> node</P>.
+ */
+const _isInlined = function(node) {
+    return _isTextNode(node) || _isFormatElement(node) || _isLinkNode(node) || _isVoidNode(node)
+};
+
+/**
+ * Make sure selection is set to something reasonable when starting
+ * or setting HTML.
+ * Something reasonable here means the front of the first text node
+ * or absent that, the firstChild in MU.editor. As a backup,
+ * we will create an empty document if neither of those exist.
+ * We make the contentEditable editor have focus when done. From a
+ * the iOS perspective, this doesn't mean we becomeFirstResponder.
+ * This should be done at the application level when the MarkupDelegate
+ * signals contentDidLoad, because with more than one MarkupWKWebView,
+ * the application has to decide when to becomeFirstResponder.
+ */
+const _initializeRange = function() {
+    const firstChild = _firstEditorElement();
+    if (firstChild) {
+        const selection = document.getSelection();
+        selection.removeAllRanges();
+        const range = document.createRange();
+        range.setStart(firstChild, 0);
+        range.setEnd(firstChild, 0);
+        selection.addRange(range);
+        _backupSelection();
+    } else {
+        if (MU.editor.isContentEditable) { MU.emptyDocument() }
+    };
+    // Caller has to do _focusOn and/or callback to updateHeight if needed
+};
+
+/**
+ * Return the first text node within MU.editor if possible, else its first child
+ */
+const _firstEditorElement = function() {
+    const firstTextNode = _getFirstChildOfTypeWithin(MU.editor, Node.TEXT_NODE);
+    return firstTextNode ? firstTextNode : MU.editor.firstChild;
+};
+
+/********************************************************************************
+ * Markdown
+ */
+//MARK: Markdown
+
+/**
+ * Return the contents of the editor element, or of the div identified by divID, as Markdown.
+ *
+ * The Markdown is CommonMark plus the GFM extensions for strikethrough, tables, and task
+ * lists. The divs and spans are cleaned up first, as in MU.getHTML. Paragraph styles, lists,
+ * blockquotes, links, and B, I, DEL, and CODE formats all have Markdown equivalents, and
+ * checklists are written as task lists, whose items start with [ ] or [x].
+ * Everything else falls back to inline HTML, which CommonMark passes through as-is:
+ *
+ * 1. U, SUB, and SUP are written as <u>, <sub>, and <sup> tags around Markdown contents.
+ * 2. Images with width or height (which _prepImage always sets) are written as <img> tags,
+ *      and images without them as ![alt](src).
+ * 3. Tables are written as GFM tables unless they have cells that span columns or rows or
+ *      cells containing something other than paragraph styles, in which case they are
+ *      written as HTML. A table without a THEAD gets an empty GFM header row, which
+ *      MU.setMarkdown recognizes and drops.
+ * 4. Any other element is written using its outerHTML if it is a block, or using its
+ *      tags around Markdown contents if it is inline.
+ *
+ * Empty paragraphs have no Markdown equivalent and are dropped. A paragraph holding only
+ * a CODE element with multiple lines is written as a fenced code block.
+ *
+ * @param {String}  divID   The id of the div to get Markdown from; MU.editor if not specified.
+ * @return {String}         The Markdown for the div.
+ */
+MU.getMarkdown = function(divID) {
+    const div = (divID) ? document.getElementById(divID) : MU.editor;
+    if (!div) {
+        MUError.NoDiv.callback();
+        return "";
+    };
+    const template = document.createElement('template');
+    template.innerHTML = div.innerHTML;
+    const editor = template.content;
+    _cleanUpDivsWithin(editor);
+    _cleanUpSpansWithin(editor);
+    // Unlike MU.getHTML, we leave empty text nodes in place, since they may hold the
+    // spaces between inline elements. They are dropped when between blocks.
+    return _markdownBlocks(editor.childNodes);
+};
+
+/**
+ * Return the Markdown for an array of block-level nodes, separated by blank lines.
+ *
+ * Runs of inline nodes (e.g., text or a B element that is not in a paragraph) are
+ * treated as a paragraph so their contents are not lost.
+ *
+ * @param {[HTML Node]} nodes   The nodes to serialize, typically the childNodes of an element.
+ * @return {String}             The Markdown for the nodes.
+ */
+const _markdownBlocks = function(nodes) {
+    const blocks = [];
+    let inlineNodes = [];
+    const flushInlineNodes = function() {
+        if (inlineNodes.length > 0) {
+            const block = _markdownParagraph(inlineNodes);
+            if (block.length > 0) { blocks.push(block) };
+            inlineNodes = [];
+        };
+    };
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if ((_isTextNode(node) || _isInlined(node)) && (node.nodeName !== 'HR')) {
+            inlineNodes.push(node);
+        } else {
+            flushInlineNodes();
+            const block = _markdownBlock(node);
+            if (block.length > 0) { blocks.push(block) };
+        };
+    };
+    flushInlineNodes();
+    return blocks.join('\n\n');
+};
+
+/**
+ * Return the Markdown for a single block-level element.
+ *
+ * @param {HTML Element}    element     A top-level element or one nested in a list or blockquote.
+ * @return {String}                     The Markdown for the element, or an empty string if it is empty.
+ */
+const _markdownBlock = function(element) {
+    const nodeName = element.nodeName;
+    if ((nodeName === 'P') && _isCodeBlock(element)) {
+        return _markdownCodeBlock(element.firstChild);
+    } else if (nodeName === 'P') {
+        return _markdownParagraph(element.childNodes);
+    } else if (_paragraphStyleTags.includes(nodeName)) {
+        const level = parseInt(nodeName.substring(1));
+        const contents = _markdownInlines(element.childNodes).trim();
+        return '#'.repeat(level) + ((contents.length > 0) ? ' ' + contents : '');
+    } else if (nodeName === 'BLOCKQUOTE') {
+        const contents = _markdownBlocks(element.childNodes);
+        return _markdownPrefixLines(contents, '> ', '> ');
+    } else if (_isListElement(element)) {
+        return _markdownList(element);
+    } else if (nodeName === 'TABLE') {
+        return _markdownTable(element);
+    } else if (nodeName === 'HR') {
+        return '---';
+    } else {
+        return element.outerHTML;
+    };
+};
+
+/**
+ * Return whether paragraph holds only a CODE element with multiple lines, which is
+ * how MU.setMarkdown and paste represent a code block.
+ */
+const _isCodeBlock = function(paragraph) {
+    const code = paragraph.firstChild;
+    return (paragraph.childNodes.length === 1) && (code.nodeName === 'CODE') && (code.querySelector('br') !== null);
+};
+
+/**
+ * Return the Markdown for a fenced code block holding the lines in code, which are separated by BRs.
+ */
+const _markdownCodeBlock = function(code) {
+    const lines = [''];
+    code.childNodes.forEach(child => {
+        if (_isBRElement(child)) {
+            lines.push('');
+        } else {
+            lines[lines.length - 1] += child.textContent.replaceAll('\u00A0', ' ');
+        };
+    });
+    const runs = code.textContent.match(/`{3,}/g) ?? [];
+    const longestRun = runs.reduce((longest, run) => Math.max(longest, run.length), 2);
+    const fence = '`'.repeat(longestRun + 1);
+    return fence + '\n' + lines.join('\n') + '\n' + fence;
+};
+
+/**
+ * Return the Markdown for the inline contents of a paragraph.
+ *
+ * Characters at the beginning of each line that would otherwise be interpreted as the
+ * start of a heading, list, or blockquote, or as a thematic break or setext underline,
+ * are escaped.
+ *
+ * @param {[HTML Node]} nodes   The inline nodes that make up the paragraph.
+ * @return {String}             The Markdown for the paragraph, or an empty string if it is empty.
+ */
+const _markdownParagraph = function(nodes) {
+    const contents = _markdownInlines(nodes).trim();
+    return contents.split('\n').map(line => {
+        return line
+            .replace(/^(#{1,6}|[+-])(?=\s|$)/, '\\$1')
+            .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+            .replace(/^(=+|-+)(?=\s*$)/, '\\$1');
+    }).join('\n');
+};
+
+/**
+ * Return the Markdown for a list, including any nested lists.
+ *
+ * Each LI's first block follows its marker, and any subsequent blocks (e.g., nested lists)
+ * are indented by the width of the marker so they belong to the LI. The items of a checklist
+ * are GFM task list items, whose [ ] or [x] is part of the first block, not the marker.
+ *
+ * @param {HTML List Element}   list    A UL or OL element.
+ * @return {String}                     The Markdown for the list.
+ */
+const _markdownList = function(list) {
+    const ordered = list.nodeName === 'OL';
+    const checklist = _listType(list) === 'CHECKLIST';
+    let number = (ordered && list.hasAttribute('start')) ? _numberAttribute(list, 'start') ?? 1 : 1;
+    const items = [];
+    const children = list.children;
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        if (_isListItemElement(child)) {
+            const marker = ordered ? (number++).toString() + '. ' : '- ';
+            const indent = ' '.repeat(marker.length);
+            const task = checklist ? (child.classList.contains('checked') ? '[x] ' : '[ ] ') : '';
+            const contents = _markdownListItem(child);
+            items.push(_markdownPrefixLines((contents.length > 0) ? task + contents : task.trimEnd(), marker, indent));
+        } else {
+            items.push(_markdownBlock(child));
+        };
+    };
+    return items.join('\n');
+};
+
+/**
+ * Return the Markdown for the contents of a list item, without its marker.
+ *
+ * Nested lists follow the preceding block directly so that the list stays tight.
+ *
+ * @param {HTML List Item Element}  listItem    The LI to serialize.
+ * @return {String}                             The Markdown for the LI contents.
+ */
+const _markdownListItem = function(listItem) {
+    let text = '';
+    let previousWasList = false;
+    const childNodes = listItem.childNodes;
+    let inlineNodes = [];
+    const blocks = [];
+    for (let i = 0; i < childNodes.length; i++) {
+        const child = childNodes[i];
+        if (_isTextNode(child) || _isInlined(child)) {
+            inlineNodes.push(child);
+        } else {
+            if (inlineNodes.length > 0) {
+                blocks.push({markdown: _markdownParagraph(inlineNodes), isList: false});
+                inlineNodes = [];
+            };
+            blocks.push({markdown: _markdownBlock(child), isList: _isListElement(child)});
+        };
+    };
+    if (inlineNodes.length > 0) {
+        blocks.push({markdown: _markdownParagraph(inlineNodes), isList: false});
+    };
+    blocks.filter(block => block.markdown.length > 0).forEach((block, index) => {
+        if (index > 0) {
+            text += (block.isList || previousWasList) ? '\n' : '\n\n';
+        };
+        text += block.markdown;
+        previousWasList = block.isList;
+    });
+    return text;
+};
+
+/**
+ * Return the table as a GFM table, or as HTML if it can't be expressed as a GFM table.
+ *
+ * @param {HTML Table Element}  table   The table to serialize.
+ * @return {String}                     The Markdown for the table.
+ */
+const _markdownTable = function(table) {
+    const [, cols, header] = _getRowsCols(table);
+    if ((cols === 0) || !_isMarkdownTable(table)) {
+        return table.outerHTML;
+    };
+    const rowText = function(cells) {
+        const texts = [];
+        for (let col = 0; col < cols; col++) {
+            texts.push(cells[col] ? _markdownTableCell(cells[col]) : '');
+        };
+        return '| ' + texts.join(' | ') + ' |';
+    };
+    const lines = [];
+    const thead = _getSection(table, 'THEAD');
+    const headerCells = (header && thead.children[0]) ? thead.children[0].children : [];
+    lines.push(rowText(headerCells));
+    lines.push('|' + ' --- |'.repeat(cols));
+    const tbody = _getSection(table, 'TBODY');
+    if (tbody) {
+        const trs = tbody.children;
+        for (let row = 0; row < trs.length; row++) {
+            lines.push(rowText(trs[row].children));
+        };
+    };
+    return lines.join('\n');
+};
+
+/**
+ * Return whether every cell in table spans a single row and column and holds only
+ * paragraph styles and inline nodes, which is all a GFM table cell can hold.
+ */
+const _isMarkdownTable = function(table) {
+    const cells = table.querySelectorAll('td, th');
+    for (let i = 0; i < cells.length; i++) {
+        if ((cells[i].colSpan > 1) || (cells[i].rowSpan > 1)) { return false };
+        const childNodes = cells[i].childNodes;
+        for (let j = 0; j < childNodes.length; j++) {
+            const child = childNodes[j];
+            if (!_isTextNode(child) && !_isInlined(child) && !_isParagraphStyleElement(child)) {
+                return false;
+            };
+        };
+    };
+    return true;
+};
+
+/**
+ * Return the Markdown for a table cell, with multiple paragraphs and line breaks
+ * separated by <br> and any pipes escaped so they don't end the cell.
+ */
+const _markdownTableCell = function(cell) {
+    const paragraphs = [];
+    let inlineNodes = [];
+    const childNodes = cell.childNodes;
+    for (let i = 0; i < childNodes.length; i++) {
+        const child = childNodes[i];
+        if (_isParagraphStyleElement(child)) {
+            if (inlineNodes.length > 0) {
+                paragraphs.push(_markdownInlines(inlineNodes).trim());
+                inlineNodes = [];
+            };
+            paragraphs.push(_markdownInlines(child.childNodes).trim());
+        } else {
+            inlineNodes.push(child);
+        };
+    };
+    if (inlineNodes.length > 0) {
+        paragraphs.push(_markdownInlines(inlineNodes).trim());
+    };
+    const text = paragraphs.filter(paragraph => paragraph.length > 0).join('<br>');
+    return text.replaceAll('\\\n', '<br>').replaceAll('\n', ' ').replaceAll('|', '\\|');
+};
+
+/**
+ * Return the Markdown for an array of inline nodes.
+ *
+ * A BR that ends the nodes is only there to make an empty paragraph selectable, so it
+ * is ignored. Otherwise, a BR becomes a hard line break.
+ *
+ * @param {[HTML Node]} nodes   The inline nodes to serialize.
+ * @return {String}             The Markdown for the nodes.
+ */
+const _markdownInlines = function(nodes) {
+    let text = '';
+    const nodesArray = Array.from(nodes);
+    nodesArray.forEach((node, index) => {
+        if (_isBRElement(node)) {
+            if (index < nodesArray.length - 1) { text += '\\\n' };
+        } else {
+            text += _markdownInline(node);
+        };
+    });
+    return text;
+};
+
+/**
+ * Return the Markdown for a single inline node.
+ *
+ * @param {HTML Node}   node    A text node or inline element.
+ * @return {String}             The Markdown for node.
+ */
+const _markdownInline = function(node) {
+    if (_isTextNode(node)) {
+        return _markdownEscape(node.textContent.replace(/[ \t\n\r]+/g, ' '));
+    } else if (!_isElementNode(node)) {
+        return '';
+    };
+    const nodeName = node.nodeName;
+    switch (nodeName) {
+        case 'B':
+        case 'STRONG':
+            return _markdownDelimited(node, '**');
+        case 'I':
+        case 'EM':
+            return _markdownDelimited(node, '*');
+        case 'DEL':
+        case 'S':
+            return _markdownDelimited(node, '~~');
+        case 'CODE':
+            return _markdownCode(node.textContent);
+        case 'A':
+            return _markdownLink(node);
+        case 'IMG':
+            return _markdownImage(node);
+        case 'BR':
+            return '\\\n';
+        default:
+            return _markdownHTMLWrapped(node, _markdownInlines(node.childNodes));
+    };
+};
+
+/**
+ * Return the Markdown for element's contents surrounded by delimiter (e.g., '**' for bold).
+ *
+ * Leading and trailing whitespace is moved outside of the delimiters, because CommonMark
+ * won't recognize a delimiter run that is followed or preceded by whitespace.
+ */
+const _markdownDelimited = function(element, delimiter) {
+    const contents = _markdownInlines(element.childNodes);
+    const match = contents.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (match[2].length === 0) { return contents };
+    return match[1] + delimiter + match[2] + delimiter + match[3];
+};
+
+/**
+ * Return text as a code span, using a backtick string longer than any in text.
+ */
+const _markdownCode = function(text) {
+    const runs = text.match(/`+/g) ?? [];
+    const longestRun = runs.reduce((longest, run) => Math.max(longest, run.length), 0);
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = (text.startsWith('`') || text.endsWith('`')) ? ' ' : '';
+    return fence + padding + text + padding + fence;
+};
+
+/**
+ * Return the Markdown for a link, using <> around the destination if it contains
+ * characters that would otherwise end it.
+ */
+const _markdownLink = function(link) {
+    const href = link.getAttribute('href') ?? '';
+    const contents = _markdownInlines(link.childNodes);
+    const title = link.getAttribute('title');
+    const titleText = title ? ' "' + title.replaceAll('"', '\\"') + '"' : '';
+    return '[' + contents + '](' + _markdownDestination(href) + titleText + ')';
+};
+
+/**
+ * Return the Markdown for an image, falling back to an <img> tag if it has dimensions.
+ */
+const _markdownImage = function(img) {
+    const src = img.getAttribute('src') ?? '';
+    const alt = img.getAttribute('alt') ?? '';
+    const width = img.getAttribute('width');
+    const height = img.getAttribute('height');
+    if (width || height) {
+        let text = '<img src="' + _escapeAttribute(src) + '"';
+        if (alt) { text += ' alt="' + _escapeAttribute(alt) + '"' };
+        if (width) { text += ' width="' + width + '"' };
+        if (height) { text += ' height="' + height + '"' };
+        return text + '>';
+    };
+    return '![' + _markdownEscape(alt) + '](' + _markdownDestination(src) + ')';
+};
+
+/**
+ * Return the link or image destination, enclosed in <> if it contains spaces or
+ * unbalanced parentheses.
+ */
+const _markdownDestination = function(destination) {
+    const opens = (destination.match(/\(/g) ?? []).length;
+    const closes = (destination.match(/\)/g) ?? []).length;
+    if (/[\s<>]/.test(destination) || (opens !== closes)) {
+        return '<' + destination.replaceAll('<', '%3C').replaceAll('>', '%3E') + '>';
+    };
+    return destination;
+};
+
+/**
+ * Return contents wrapped in the start and end tags of element, including its attributes.
+ */
+const _markdownHTMLWrapped = function(element, contents) {
+    const nodeName = element.nodeName.toLowerCase();
+    let startTag = '<' + nodeName;
+    const attributes = element.attributes;
+    for (let i = 0; i < attributes.length; i++) {
+        const attribute = attributes[i];
+        startTag += ' ' + attribute.name + '="' + _escapeAttribute(attribute.value) + '"';
+    };
+    startTag += '>';
+    if (_isVoidNode(element)) { return startTag };
+    return startTag + contents + '</' + nodeName + '>';
+};
+
+/**
+ * Return value with the characters that can't appear in a double-quoted attribute escaped.
+ */
+const _escapeAttribute = function(value) {
+    return value.replaceAll('&', '&amp;').replaceAll('"', '&quot;').replaceAll('<', '&lt;');
+};
+
+/**
+ * Return text with backslash escapes for characters that Markdown would otherwise interpret.
+ */
+const _markdownEscape = function(text) {
+    return text.replace(/[\\`*_[\]<>~]/g, '\\$&');
+};
+
+/**
+ * Return text with firstPrefix in front of its first line and prefix in front of the rest.
+ *
+ * Empty lines only get the prefix with trailing whitespace removed, so that
+ * a blank line in a blockquote becomes '>'.
+ */
+const _markdownPrefixLines = function(text, firstPrefix, prefix) {
+    return text.split('\n').map((line, index) => {
+        const linePrefix = (index === 0) ? firstPrefix : prefix;
+        return (line.length > 0) ? linePrefix + line : linePrefix.trimEnd();
+    }).join('\n');
+};
+
+/**
+ * Replace the contents of the editor element with the HTML equivalent of the Markdown in text.
+ *
+ * The Markdown is parsed as CommonMark plus GFM tables, strikethrough, and task lists, which
+ * become checklists, and the resulting HTML is normalized the same way the MarkupEditor produces it: every top-level node is one
+ * of the _topLevelTags, list items and table cells hold paragraphs, and empty blocks hold
+ * a BR so they are selectable. The HTML is then set using MU.setHTML, so images are prepped
+ * the same way. A few constructs don't have a MarkupEditor equivalent:
+ *
+ * 1. Code blocks become a paragraph holding a CODE element, with a BR between lines.
+ * 2. Thematic breaks (e.g., ---) become an HR, as MU.getMarkdown writes them.
+ * 3. HTML blocks are kept as-is, except that anything other than a comment that is not in a
+ *      top-level element is put in a paragraph, and DIV, PRE, STRONG, and EM are replaced as
+ *      they are on paste.
+ * 4. A GFM table whose header row is empty (as produced by MU.getMarkdown for a table
+ *      without a THEAD) is given no THEAD.
+ *
+ * @param {String}  text    The Markdown to replace the editor contents with.
+ * @param {Boolean} select  Whether to initialize the selection as in MU.setHTML.
+ */
+MU.setMarkdown = function(text, select=true) {
+    // As in MU.setHTML, empty text becomes valid minimal HTML for a MarkupEditor document
+    if ((text.trim().length === 0) && (MU.editor.isContentEditable)) {
+        text = '<p><br></p>';
+    };
+    _setContents(_markdownFragment(text), select);
+};
+
+/**
+ * Return a fragment holding the normalized HTML equivalent of the Markdown in text.
+ *
+ * Unlike MU.setHTML, we only remove empty text nodes that are not between inline nodes,
+ * because the spaces between formatted text, links, and code are significant in Markdown.
+ *
+ * @param {String}  text    The Markdown to convert.
+ * @return {HTML Fragment}  The fragment holding the HTML.
+ */
+const _markdownFragment = function(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => _expandTabs(line));
+    const definitions = {};
+    const blocks = _parseMarkdownBlocks(lines, definitions);
+    const html = _markdownBlocksHTML(blocks, definitions);
+    // Normalize anything that came in from HTML blocks
+    const fragment = _fragmentFrom(html);
+    _cleanUpDivsWithin(fragment);
+    _cleanUpEmptyTextNodesBetweenBlocks(fragment);
+    _cleanUpPREs(fragment);
+    _cleanUpOrphanNodes(fragment);
+    _cleanUpAliases(fragment);
+    for (let i = 0; i < fragment.childNodes.length; i++) {
+        const child = fragment.childNodes[i];
+        if (_isParagraphStyleElement(child) && (child.childNodes.length === 0)) {
+            child.appendChild(document.createElement('br'));
+        } else if ((child.nodeName === 'P') && (child.childNodes.length === 1) && (child.firstChild.nodeName === 'HR')) {
+            // Keep a thematic break at the top level, the way MU.setHTML leaves an HR
+            fragment.replaceChild(child.firstChild, child);
+        } else if ((child.nodeName === 'P') && (child.childNodes.length > 0) && Array.from(child.childNodes).every(node => node.nodeType === Node.COMMENT_NODE)) {
+            // Keep the comments of an HTML block at the top level, the way MU.setHTML leaves them
+            i += child.childNodes.length - 1;
+            child.replaceWith(...child.childNodes);
+        };
+    };
+    return fragment;
+};
+
+/**
+ * Remove empty text nodes within node, except those between two inline nodes.
+ */
+const _cleanUpEmptyTextNodesBetweenBlocks = function(node) {
+    let child = node.firstChild;
+    while (child) {
+        let nextChild = child.nextSibling;
+        if (_isElementNode(child)) {
+            _cleanUpEmptyTextNodesBetweenBlocks(child);
+        } else if (_isTextNode(child) && _isEmpty(child)) {
+            const previousChild = child.previousSibling;
+            if (!previousChild || !nextChild || !_isInlined(previousChild) || !_isInlined(nextChild)) {
+                child.parentNode.removeChild(child);
+            };
+        };
+        child = nextChild;
+    };
+};
+
+/**
+ * Return line with tabs replaced by spaces up to the next tab stop, every 4 columns.
+ */
+const _expandTabs = function(line) {
+    if (!line.includes('\t')) { return line };
+    let expanded = '';
+    for (const c of line) {
+        if (c === '\t') {
+            expanded += ' '.repeat(4 - (expanded.length % 4));
+        } else {
+            expanded += c;
+        };
+    };
+    return expanded;
+};
+
+/**
+ * Tags that start an HTML block which ends at a blank line (type 6 in the CommonMark spec).
+ */
+const _markdownBlockTags = ['ADDRESS', 'ARTICLE', 'ASIDE', 'BASE', 'BASEFONT', 'BLOCKQUOTE', 'BODY', 'CAPTION', 'CENTER', 'COL', 'COLGROUP', 'DD', 'DETAILS', 'DIALOG', 'DIR', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'FRAME', 'FRAMESET', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEAD', 'HEADER', 'HR', 'HTML', 'IFRAME', 'LEGEND', 'LI', 'LINK', 'MAIN', 'MENU', 'MENUITEM', 'NAV', 'NOFRAMES', 'OL', 'OPTGROUP', 'OPTION', 'P', 'PARAM', 'SECTION', 'SOURCE', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TITLE', 'TR', 'TRACK', 'UL'];
+
+const _markdownPatterns = {
+    blank: /^\s*$/,
+    atxHeading: /^ {0,3}(#{1,6})(?=\s|$)(.*)$/,
+    setextUnderline: /^ {0,3}(=+|-+)\s*$/,
+    thematicBreak: /^ {0,3}((\*\s*){3,}|(-\s*){3,}|(_\s*){3,})$/,
+    fence: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+    blockquote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)/,
+    taskItem: /^\[([ xX])\](?:[ \t]+|$)/,
+    tableDelimiter: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+    htmlComment: /^ {0,3}<!--/,
+    htmlRaw: /^ {0,3}<(script|pre|style|textarea)(\s|>|$)/i,
+    htmlBlockTag: /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(\s|\/?>|$)/,
+    htmlCompleteTag: /^ {0,3}(<[a-zA-Z][a-zA-Z0-9-]*(\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(\s*=\s*([^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<\/[a-zA-Z][a-zA-Z0-9-]*\s*>)\s*$/,
+    definition: /^ {0,3}\[((?:[^\\\[\]]|\\.){1,999})\]:\s*(<[^<>\n]*>|\S+)(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/,
+};
+
+/**
+ * Return the type of HTML block that line starts, or null if it doesn't start one.
+ *
+ * The type is 'raw' for blocks that end at their closing tag, 'comment' for blocks that
+ * end at '-->', 'block' for blocks that end at a blank line, and 'tag' for blocks that
+ * also end at a blank line but that can't interrupt a paragraph.
+ */
+const _markdownHTMLBlockType = function(line) {
+    if (_markdownPatterns.htmlComment.test(line)) { return 'comment' };
+    if (_markdownPatterns.htmlRaw.test(line)) { return 'raw' };
+    const match = line.match(_markdownPatterns.htmlBlockTag);
+    if (match && _markdownBlockTags.includes(match[1].toUpperCase())) { return 'block' };
+    if (_markdownPatterns.htmlCompleteTag.test(line)) { return 'tag' };
+    return null;
+};
+
+/**
+ * Return whether line starts a block that can interrupt a paragraph.
+ */
+const _markdownInterruptsParagraph = function(line) {
+    if (_markdownPatterns.atxHeading.test(line) || _markdownPatterns.thematicBreak.test(line)) { return true };
+    if (_markdownPatterns.fence.test(line) || _markdownPatterns.blockquote.test(line)) { return true };
+    const listMatch = line.match(_markdownPatterns.listItem);
+    if (listMatch) {
+        // Only non-empty bullets or lists starting at 1 can interrupt a paragraph
+        const isEmpty = _markdownPatterns.blank.test(line.substring(listMatch[0].length));
+        const startsAtOne = !listMatch[3] || (parseInt(listMatch[3]) === 1);
+        if (!isEmpty && startsAtOne) { return true };
+    };
+    const htmlBlockType = _markdownHTMLBlockType(line);
+    return (htmlBlockType !== null) && (htmlBlockType !== 'tag');
+};
+
+/**
+ * Return the number of leading spaces in line.
+ */
+const _markdownIndent = function(line) {
+    return line.match(/^ */)[0].length;
+};
+
+/**
+ * Parse lines into an array of block objects, recursing into blockquotes and list items.
+ *
+ * Each block object has a type of 'paragraph', 'heading', 'code', 'blockquote', 'list',
+ * 'table', or 'html'. Link reference definitions are removed from paragraphs and
+ * added to definitions, keyed by their normalized label.
+ *
+ * @param {[String]}            lines           The lines to parse, with tabs expanded.
+ * @param {String : Object}     definitions     The link reference definitions found so far.
+ * @return {[Object]}                           The blocks in lines.
+ */
+const _parseMarkdownBlocks = function(lines, definitions) {
+    const blocks = [];
+    const patterns = _markdownPatterns;
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+        if (patterns.blank.test(line)) {
+            i++;
+        } else if (_markdownIndent(line) >= 4) {
+            // Indented code block, which can't interrupt a paragraph so is checked first
+            const codeLines = [];
+            while ((i < lines.length) && (patterns.blank.test(lines[i]) || (_markdownIndent(lines[i]) >= 4))) {
+                codeLines.push(lines[i].substring(4));
+                i++;
+            };
+            while ((codeLines.length > 0) && patterns.blank.test(codeLines[codeLines.length - 1])) {
+                codeLines.pop();
+            };
+            blocks.push({type: 'code', lines: codeLines});
+        } else if ((match = line.match(patterns.atxHeading))) {
+            const contents = match[2].replace(/(^|\s+)#+\s*$/, '').trim();
+            blocks.push({type: 'heading', level: match[1].length, text: contents});
+            i++;
+        } else if (patterns.thematicBreak.test(line)) {
+            blocks.push({type: 'hr'});
+            i++;
+        } else if ((match = line.match(patterns.fence))) {
+            const indent = match[1].length;
+            const fence = match[2];
+            const codeLines = [];
+            i++;
+            while (i < lines.length) {
+                const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+                if (closing && (closing[1][0] === fence[0]) && (closing[1].length >= fence.length)) {
+                    i++;
+                    break;
                 };
+                codeLines.push(lines[i].replace(new RegExp('^ {0,' + indent + '}'), ''));
+                i++;
             };
-            // Fragment becomes anchorNode's nextSibling, selection set to end
-            selRange.insertNode(fragment);
-            _stripZeroWidthChars(anchorNode.parentNode);
-            _removeEmptyTextNodes(selRange);
-            sel = document.getSelection();
-            selRange = sel.getRangeAt(0);
-            anchorNode = sel.anchorNode;
-            insertedRange.setStart(firstFragChild, 0);
-            if (_isTextNode(lastFragChild)) {
-                newSelRange.setStart(lastFragChild, lastFragChild.textContent.length);
-                newSelRange.setEnd(lastFragChild, lastFragChild.textContent.length);
-                insertedRange.setEnd(lastFragChild, lastFragChild.textContent.length);
-            } else if (_isImageElement(lastFragChild)) {
-                // When we inserted an image via html, then we need to set both the
-                // newSelRange and insertedRange based on its parent, one right after
-                // the image, and the other surrounding the image.
-                const childNodeIndex = _childNodeIndex(lastFragChild);
-                newSelRange.setStart(lastFragChild.parentNode, childNodeIndex + 1);
-                newSelRange.setEnd(lastFragChild.parentNode, childNodeIndex + 1);
-                insertedRange.setStart(lastFragChild.parentNode, childNodeIndex);
-                insertedRange.setEnd(lastFragChild.parentNode, childNodeIndex + 1);
+            blocks.push({type: 'code', lines: codeLines});
+        } else if (patterns.blockquote.test(line)) {
+            const quoteLines = [];
+            let lazy = false;
+            while (i < lines.length) {
+                const quoteLine = lines[i];
+                if (patterns.blockquote.test(quoteLine)) {
+                    const stripped = quoteLine.replace(patterns.blockquote, '');
+                    quoteLines.push(stripped);
+                    lazy = !patterns.blank.test(stripped) && !patterns.fence.test(stripped);
+                } else if (lazy && !patterns.blank.test(quoteLine) && !_markdownInterruptsParagraph(quoteLine)) {
+                    quoteLines.push(quoteLine);
+                } else {
+                    break;
+                };
+                i++;
+            };
+            blocks.push({type: 'blockquote', children: _parseMarkdownBlocks(quoteLines, definitions)});
+        } else if ((match = line.match(patterns.listItem))) {
+            i = _parseMarkdownList(lines, i, blocks, definitions);
+        } else if (_markdownHTMLBlockType(line)) {
+            i = _parseMarkdownHTMLBlock(lines, i, blocks);
+        } else if ((i + 1 < lines.length) && line.includes('|') && patterns.tableDelimiter.test(lines[i + 1]) && (_markdownTableCells(line).length === _markdownTableCells(lines[i + 1]).length)) {
+            i = _parseMarkdownTable(lines, i, blocks);
+        } else {
+            i = _parseMarkdownParagraph(lines, i, blocks, definitions);
+        };
+    };
+    return blocks;
+};
+
+/**
+ * Parse the paragraph starting at lines[start], adding it to blocks as a paragraph or, if it
+ * is followed by a setext underline, as a heading. Return the index of the line after it.
+ */
+const _parseMarkdownParagraph = function(lines, start, blocks, definitions) {
+    const patterns = _markdownPatterns;
+    const paragraphLines = [lines[start].trimStart()];  // Trailing spaces may be a hard break
+    let i = start + 1;
+    let level = null;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (patterns.blank.test(line)) { break };
+        const setext = line.match(patterns.setextUnderline);
+        if (setext && (_markdownIndent(line) < 4)) {
+            level = (setext[1][0] === '=') ? 1 : 2;
+            i++;
+            break;
+        };
+        if ((_markdownIndent(line) < 4) && _markdownInterruptsParagraph(line)) { break };
+        paragraphLines.push(line.replace(/^\s+/, ''));
+        i++;
+    };
+    let text = paragraphLines.join('\n');
+    let match;
+    while ((match = text.match(patterns.definition))) {
+        const label = _markdownLabel(match[1]);
+        let destination = match[2];
+        if (destination.startsWith('<')) { destination = destination.slice(1, -1) };
+        const title = match[3] ? match[3].slice(1, -1) : null;
+        if (!definitions[label]) {
+            definitions[label] = {destination: _markdownUnescape(destination), title: title ? _markdownUnescape(title) : null};
+        };
+        text = text.substring(match[0].length);
+    };
+    text = text.trim();
+    if (text.length > 0) {
+        if (level) {
+            blocks.push({type: 'heading', level: level, text: text});
+        } else {
+            blocks.push({type: 'paragraph', text: text});
+        };
+    };
+    return i;
+};
+
+/**
+ * Parse the list starting at lines[start], adding it to blocks. Return the index of the line after it.
+ *
+ * The list continues as long as items use the same bullet character or ordered delimiter.
+ * Lines belong to an item when they are indented at least to its contents, are blank, or
+ * are lazy continuations of a paragraph. A bulleted list whose items all start with [ ] or
+ * [x] is a GFM task list, which becomes a checklist.
+ */
+const _parseMarkdownList = function(lines, start, blocks, definitions) {
+    const patterns = _markdownPatterns;
+    const firstMatch = lines[start].match(patterns.listItem);
+    const ordered = firstMatch[3] !== undefined;
+    const marker = ordered ? firstMatch[4] : firstMatch[2];
+    const list = {type: 'list', ordered: ordered, start: ordered ? parseInt(firstMatch[3]) : null, items: [], checked: null};
+    const itemLinesList = [];
+    let i = start;
+    while (i < lines.length) {
+        const match = lines[i].match(patterns.listItem);
+        if (!match || patterns.thematicBreak.test(lines[i])) { break };
+        const itemOrdered = match[3] !== undefined;
+        const itemMarker = itemOrdered ? match[4] : match[2];
+        if ((itemOrdered !== ordered) || (itemMarker !== marker)) { break };
+        const rest = lines[i].substring(match[0].length);
+        const markerWidth = match[1].length + match[2].length;
+        let contentIndent;
+        if (patterns.blank.test(rest) || (match[5].length > 4)) {
+            contentIndent = markerWidth + 1;
+        } else {
+            contentIndent = match[0].length;
+        };
+        const itemLines = [lines[i].length > contentIndent ? lines[i].substring(contentIndent) : ''];
+        let lazy = !patterns.blank.test(itemLines[0]);
+        i++;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (patterns.blank.test(line)) {
+                itemLines.push('');
+                lazy = false;
+            } else if (_markdownIndent(line) >= contentIndent) {
+                itemLines.push(line.substring(contentIndent));
+                lazy = true;
+            } else if (lazy && !patterns.listItem.test(line) && !_markdownInterruptsParagraph(line)) {
+                itemLines.push(line.trim());
             } else {
-                newSelRange.setStart(lastFragChild, lastFragChild.childNodes.length);
-                newSelRange.setEnd(lastFragChild, lastFragChild.childNodes.length);
-                insertedRange.setEnd(lastFragChild, lastFragChild.childNodes.length);
+                break;
             };
+            i++;
         };
-        sel.removeAllRanges();
-        sel.addRange(newSelRange);
-        //_consoleLog("* Done _insertHTML (simple)")
-        return {insertedRange: insertedRange, rootName: null};
+        itemLinesList.push(itemLines);
     };
-    // Selection is within a text node that needs to be split and then merged with the fragment.
-    // See _splitTextNode comments, but it recreates the node heirarchy at the selection up
-    // to and including the topLevelNode, leaving the selection set in the direction specified.
-    // Like splitText, _splitTextNode returns the trailingText and leaves anchorNode containing
-    // the textNode before the selection.
-    const topLevelNode = _findFirstParentElementInNodeNames(anchorNode, _topLevelTags);
-    if (!topLevelNode) {
-        MUError.CantInsertHtml.callback();
-        return null;
+    const tasks = itemLinesList.map(itemLines => ordered ? null : itemLines[0].match(patterns.taskItem));
+    if (tasks.every(task => task !== null)) {
+        list.checked = tasks.map(task => task[1] !== ' ');
+        itemLinesList.forEach((itemLines, index) => itemLines[0] = itemLines[0].substring(tasks[index][0].length));
     };
-    //_consoleLog(" Complex")
-    // Remove the BR in an empty anchorNode before insert
-    if (_isEmptyElement(anchorNode)) {
-        let firstChild = anchorNode.firstChild;
-        if (_isBRElement(firstChild)) {
-            anchorNode.removeChild(firstChild);
+    itemLinesList.forEach(itemLines => list.items.push(_parseMarkdownBlocks(itemLines, definitions)));
+    blocks.push(list);
+    return i;
+};
+
+/**
+ * Parse the HTML block starting at lines[start], adding it to blocks. Return the index of the line after it.
+ */
+const _parseMarkdownHTMLBlock = function(lines, start, blocks) {
+    const type = _markdownHTMLBlockType(lines[start]);
+    const htmlLines = [];
+    let i = start;
+    if ((type === 'comment') || (type === 'raw')) {
+        const end = (type === 'comment') ? /-->/ : /<\/(script|pre|style|textarea)>/i;
+        while (i < lines.length) {
+            htmlLines.push(lines[i]);
+            i++;
+            if (end.test(htmlLines[htmlLines.length - 1])) { break };
+        };
+    } else {
+        while ((i < lines.length) && !_markdownPatterns.blank.test(lines[i])) {
+            htmlLines.push(lines[i]);
+            i++;
         };
     };
-    const rootName = topLevelNode.nodeName;
-    let trailingText = _splitTextNode(anchorNode, selRange.startOffset, rootName, direction);
-    // Regardless of what we do now to insert the fragment, the trailingText and anchorNode define
-    // the span of the fragment which will sit between those points. However, if the trailingText
-    // is empty, then we won't be able to set selection properly into it. In that case,
-    // we will adjust it later after we insert the fragment.
-    insertedRange.setStart(anchorNode, anchorNode.textContent.length);
-    insertedRange.setEnd(trailingText, 0);
-    // Now the selection has been split and left at the beginning of trailingText, which is
-    // where we generally want to paste the fragment contents.
-    // FIRST, insert all of the firstElFrag's childNodes at the end of anchorNode
-    // if the nodeNames match. So, for example, if the firstElFrag is
-    // <h5 id="h5">ted <i id="i">item</i> 1.</h5>, the "ted <i id="i">item</i> 1."
-    // gets put at the end of the anchorNode.
-    const anchorNodeParent = anchorNode.parentNode;
-    const anchorNodeParentName = anchorNodeParent.nodeName;
-    let rejoinedText = false;
-    if (firstFragEl && (firstFragEl.nodeName === anchorNodeParentName)) {
-        let firstElChild = firstFragEl.firstChild;
-        let firstChild = firstElChild;
-        let lastChild;
-        while (firstElChild) {
-            lastChild = firstElChild;
-            anchorNodeParent.appendChild(firstElChild);
-            firstElChild = firstFragEl.firstChild;
+    blocks.push({type: 'html', html: htmlLines.join('\n')});
+    return i;
+};
+
+/**
+ * Parse the GFM table starting at lines[start], whose next line is the delimiter row,
+ * adding it to blocks. Return the index of the line after it.
+ */
+const _parseMarkdownTable = function(lines, start, blocks) {
+    const patterns = _markdownPatterns;
+    const header = _markdownTableCells(lines[start]);
+    const cols = header.length;
+    const rows = [];
+    let i = start + 2;
+    while ((i < lines.length) && !patterns.blank.test(lines[i]) && !_markdownInterruptsParagraph(lines[i])) {
+        const cells = _markdownTableCells(lines[i]).slice(0, cols);
+        while (cells.length < cols) { cells.push('') };
+        rows.push(cells);
+        i++;
+    };
+    const hasHeader = header.some(cell => cell.length > 0);
+    blocks.push({type: 'table', header: hasHeader ? header : null, rows: rows});
+    return i;
+};
+
+/**
+ * Return the trimmed contents of the cells in a GFM table row, splitting on unescaped pipes.
+ */
+const _markdownTableCells = function(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) { row = row.substring(1) };
+    if (row.endsWith('|') && !row.endsWith('\\|')) { row = row.slice(0, -1) };
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+        const c = row[i];
+        if ((c === '\\') && (row[i + 1] === '|')) {
+            cell += '|';
+            i++;
+        } else if (c === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += c;
+        };
+    };
+    cells.push(cell.trim());
+    return cells;
+};
+
+/**
+ * Return the normalized form of a link label, used to match references with definitions.
+ */
+const _markdownLabel = function(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Return text with backslash escapes removed and entities decoded.
+ */
+const _markdownUnescape = function(text) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = text.replace(/\\([!-/:-@[-`{-~])/g, '$1').replaceAll('<', '&lt;');
+    return textarea.value;
+};
+
+/**
+ * Return text with the characters that are special in HTML replaced by entities.
+ */
+const _escapeHTML = function(text) {
+    return text.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+};
+
+/**
+ * Return the normalized HTML for an array of blocks produced by _parseMarkdownBlocks.
+ */
+const _markdownBlocksHTML = function(blocks, definitions) {
+    const emptyParagraph = '<p><br></p>';
+    let html = '';
+    blocks.forEach(block => {
+        switch (block.type) {
+            case 'paragraph':
+                html += '<p>' + _markdownInlinesHTML(block.text, definitions) + '</p>';
+                break;
+            case 'heading': {
+                const tag = 'h' + block.level;
+                const contents = _markdownInlinesHTML(block.text, definitions);
+                html += '<' + tag + '>' + ((contents.length > 0) ? contents : '<br>') + '</' + tag + '>';
+                break;
+            }
+            case 'hr':
+                html += '<hr>';
+                break;
+            case 'code':
+                if (block.lines.length === 0) {
+                    html += emptyParagraph;
+                } else {
+                    // Keep indentation by replacing runs of spaces with non-breaking spaces
+                    const codeLines = block.lines.map(line => _escapeHTML(line).replace(/ {2,}|^ /g, spaces => '&nbsp;'.repeat(spaces.length)));
+                    html += '<p><code>' + codeLines.join('<br>') + '</code></p>';
+                };
+                break;
+            case 'blockquote': {
+                const contents = _markdownBlocksHTML(block.children, definitions);
+                html += '<blockquote>' + ((contents.length > 0) ? contents : emptyParagraph) + '</blockquote>';
+                break;
+            }
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = (block.ordered && (block.start !== 1)) ? ' start="' + block.start + '"' : '';
+                const checklist = block.checked ? ' class="checklist"' : '';
+                html += '<' + tag + start + checklist + '>';
+                block.items.forEach((item, index) => {
+                    const contents = _markdownBlocksHTML(item, definitions);
+                    const checked = (block.checked && block.checked[index]) ? ' class="checked"' : '';
+                    html += '<li' + checked + '>' + ((contents.length > 0) ? contents : emptyParagraph) + '</li>';
+                });
+                html += '</' + tag + '>';
+                break;
+            }
+            case 'table': {
+                const cellHTML = function(tag, text) {
+                    const contents = _markdownInlinesHTML(text, definitions);
+                    return '<' + tag + '>' + ((contents.length > 0) ? '<p>' + contents + '</p>' : emptyParagraph) + '</' + tag + '>';
+                };
+                html += '<table>';
+                if (block.header) {
+                    html += '<thead><tr>' + block.header.map(cell => cellHTML('th', cell)).join('') + '</tr></thead>';
+                };
+                if (block.rows.length > 0) {
+                    html += '<tbody>';
+                    block.rows.forEach(row => {
+                        html += '<tr>' + row.map(cell => cellHTML('td', cell)).join('') + '</tr>';
+                    });
+                    html += '</tbody>';
+                };
+                html += '</table>';
+                break;
+            }
+            case 'html':
+                html += block.html;
+                break;
         };
-        fragment.removeChild(firstFragEl);
-        // At this point, if fragment is empty, then we should re-join the trailingText
-        // to the anchorNode and use the lastChild and inserted*Offsets
-        if (_isEmpty(fragment) && lastChild) {
-            let lastChildRange = document.createRange()
-            if (_isTextNode(lastChild)) {
-                lastChildRange.setStart(lastChild, lastChild.textContent.length);
-                lastChildRange.setEnd(lastChild, lastChild.textContent.length);
+    });
+    return html;
+};
+
+/**
+ * Return the HTML for the inline Markdown in text.
+ *
+ * This follows the CommonMark algorithm: text is scanned into an array of nodes, with
+ * brackets resolved into links and images as they close, and then emphasis delimiters
+ * are matched by _markdownEmphasis.
+ *
+ * @param {String}              text            The inline Markdown, possibly with newlines.
+ * @param {String : Object}     definitions     The link reference definitions in the document.
+ * @return {String}                             The HTML for text.
+ */
+const _markdownInlinesHTML = function(text, definitions) {
+    const nodes = [];
+    const brackets = [];
+    let buffer = '';
+    const flush = function() {
+        if (buffer.length > 0) {
+            nodes.push({type: 'text', text: buffer});
+            buffer = '';
+        };
+    };
+    let pos = 0;
+    while (pos < text.length) {
+        const c = text[pos];
+        const rest = text.substring(pos);
+        let match;
+        if (c === '\\') {
+            const next = text[pos + 1];
+            if (next === '\n') {
+                flush();
+                nodes.push({type: 'html', html: '<br>'});
+                pos += 2;
+            } else if (next && /[!-/:-@[-`{-~]/.test(next)) {
+                buffer += next;
+                pos += 2;
             } else {
-                lastChildRange.setStart(lastChild, lastChild.children.length);
-                lastChildRange.setEnd(lastChild, lastChild.children.length);
+                buffer += c;
+                pos++;
             };
-            // JoinTextNodes uses the current selection, so we need to set it properly.
-            // Afterward, document.getSelection() is set properly for the joined nodes
-            document.getSelection().removeAllRanges();
-            document.getSelection().addRange(lastChildRange);
-            let lastEndOffset = lastChild.textContent.length;   // Offset to end of lastChild before joining
-            _joinTextNodes(lastChild, trailingText, rootName);
-            // But, we still need to track the insertedRange, which we now need to
-            // determine *after* joinTextNodes
-            insertedRange.setStart(firstChild, 0);
-            insertedRange.setEnd(lastChild, lastEndOffset)
-            trailingText = lastChild; // This will be where trailingText ended up
-            rejoinedText = true;
-        }
-    };
-    // SECOND, all the siblings of firstFragEl need to be added as siblings of anchorNode.parentNode.
-    // The siblings start with what is now fragment.firstChild. If the nodeTypes didn't match, then
-    // this will be the same as firstFragEl.
-    // TODO: Determine if this works properly in a list
-    let nextFragSib = fragment.firstChild;
-    const existingTopLevelItem = _findFirstParentElementInNodeNames(trailingText, _topLevelTags);
-    while (nextFragSib) {
-        if (_topLevelTags.includes(nextFragSib.nodeName)) {
-            //_consoleLog(" inserting " + _textString(nextFragSib) + " before " + _textString(existingTopLevelItem) + " in " + _textString(existingTopLevelItem.parentNode));
-            existingTopLevelItem.parentNode.insertBefore(nextFragSib, existingTopLevelItem)
+        } else if (c === '`') {
+            const run = rest.match(/^`+/)[0];
+            const closing = new RegExp('(^|[^`])(' + run + ')(?!`)');
+            const closingMatch = text.substring(pos + run.length).match(closing);
+            if (closingMatch) {
+                const end = pos + run.length + closingMatch.index + closingMatch[1].length;
+                let code = text.substring(pos + run.length, end).replaceAll('\n', ' ');
+                if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) { code = code.slice(1, -1) };
+                flush();
+                nodes.push({type: 'code', text: code});
+                pos = end + run.length;
+            } else {
+                buffer += run;
+                pos += run.length;
+            };
+        } else if ((c === '<') && (match = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/))) {
+            flush();
+            nodes.push({type: 'link', destination: match[1], title: null, children: [{type: 'text', text: match[1]}]});
+            pos += match[0].length;
+        } else if ((c === '<') && (match = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/))) {
+            flush();
+            nodes.push({type: 'link', destination: 'mailto:' + match[1], title: null, children: [{type: 'text', text: match[1]}]});
+            pos += match[0].length;
+        } else if ((c === '<') && (match = rest.match(/^(<[a-zA-Z][a-zA-Z0-9-]*(\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(\s*=\s*([^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<\/[a-zA-Z][a-zA-Z0-9-]*\s*>|<!--[\s\S]*?-->)/))) {
+            flush();
+            nodes.push({type: 'html', html: match[0]});
+            pos += match[0].length;
+        } else if ((c === '&') && (match = rest.match(/^&(#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/))) {
+            flush();
+            nodes.push({type: 'html', html: match[0]});
+            pos += match[0].length;
+        } else if ((c === '*') || (c === '_') || (c === '~')) {
+            const run = rest.match(/^(\*+|_+|~+)/)[0];
+            if ((c === '~') && (run.length > 2)) {
+                buffer += run;
+            } else {
+                flush();
+                nodes.push(_markdownDelimiter(text, pos, run));
+            };
+            pos += run.length;
+        } else if ((c === '[') || ((c === '!') && (text[pos + 1] === '['))) {
+            flush();
+            const image = c === '!';
+            const length = image ? 2 : 1;
+            nodes.push({type: 'text', text: text.substring(pos, pos + length)});
+            brackets.push({index: nodes.length - 1, image: image, active: true, textStart: pos + length});
+            pos += length;
+        } else if ((c === ']') && (brackets.length > 0)) {
+            const opener = brackets.pop();
+            const target = opener.active ? _markdownLinkTarget(text, pos, opener, definitions) : null;
+            if (target) {
+                flush();
+                const children = nodes.splice(opener.index + 1);
+                _markdownEmphasis(children);
+                nodes[opener.index] = {type: opener.image ? 'image' : 'link', destination: target.destination, title: target.title, children: children};
+                if (!opener.image) {
+                    brackets.forEach(bracket => { if (!bracket.image) { bracket.active = false } });
+                };
+                pos = target.end;
+            } else {
+                buffer += c;
+                pos++;
+            };
+        } else if (c === '\n') {
+            // A hard break if preceded by two or more spaces, else a soft break
+            const trailingSpaces = buffer.match(/ *$/)[0].length;
+            buffer = buffer.substring(0, buffer.length - trailingSpaces);
+            if (trailingSpaces >= 2) {
+                flush();
+                nodes.push({type: 'html', html: '<br>'});
+            } else {
+                buffer += ' ';
+            };
+            pos++;
+            while (text[pos] === ' ') { pos++ };
         } else {
-            //_consoleLog(" inserting " + _textString(nextFragSib) + " before " + _textString(trailingText) + " in " + _textString(trailingText.parentNode));
-            trailingText.parentNode.insertBefore(nextFragSib, trailingText);
-        }
-        nextFragSib = fragment.firstChild;
+            buffer += c;
+            pos++;
+        };
     };
-    if (rejoinedText) {
-        // After rejoining, the selection has been set properly, so just grab it here
-        newSelRange = document.getSelection().getRangeAt(0);
-    } else {
-        if (_isEmpty(trailingText)) {
-            // When trailingText is empty, we need to reset selection properly and remove it.
-            // Ideally, we put selection at the end of trailingText's previousSibling, but when
-            // that is nil, we should put it at the end of trailingText's parentNode. But what
-            // about when that is also empty except for the empty trailingText?
-            let startContainer, offset;
-            const firstSelectableLocationBefore = _firstSelectableLocationBefore(trailingText);
-            if (firstSelectableLocationBefore) {
-                startContainer = firstSelectableLocationBefore.container;
-                offset = firstSelectableLocationBefore.offset;
-            } else { // A backup plan
-                const firstSelectableLocationAfter = _firstSelectableLocationAfter(trailingText);
-                if (firstSelectableLocationAfter) {
-                    startContainer = firstSelectableLocationAfter.container;
-                    offset = firstSelectableLocationAfter.offset;
+    flush();
+    _markdownEmphasis(nodes);
+    return _markdownNodesHTML(nodes);
+};
+
+/**
+ * Return a delimiter node for the run of '*', '_', or '~' at pos in text, identifying
+ * whether it can open and/or close emphasis based on the characters around it.
+ */
+const _markdownDelimiter = function(text, pos, run) {
+    const before = (pos > 0) ? text[pos - 1] : ' ';
+    const after = (pos + run.length < text.length) ? text[pos + run.length] : ' ';
+    const isWhitespace = (c) => /\s/.test(c);
+    const isPunctuation = (c) => /[!-/:-@[-`{-~\p{P}\p{S}]/u.test(c);
+    const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+    const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (run[0] === '_') {
+        canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+        canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+    };
+    return {type: 'delimiter', char: run[0], count: run.length, original: run.length, canOpen: canOpen, canClose: canClose};
+};
+
+/**
+ * Return the link or image target for the bracket that closes at text[pos], or null if
+ * there isn't one. The target is either inline, as in [text](destination "title"), or a
+ * full, collapsed, or shortcut reference to one of the definitions.
+ *
+ * @return {Object | null}      The destination, title, and end position in text after the target.
+ */
+const _markdownLinkTarget = function(text, pos, opener, definitions) {
+    if (text[pos + 1] === '(') {
+        const inline = text.substring(pos + 1).match(/^\(\s*(<(?:[^<>\n\\]|\\.)*>|(?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*)(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/);
+        if (inline) {
+            let destination = inline[1];
+            if (destination.startsWith('<')) { destination = destination.slice(1, -1) };
+            const title = inline[2] ? _markdownUnescape(inline[2].slice(1, -1)) : null;
+            return {destination: _markdownUnescape(destination), title: title, end: pos + 1 + inline[0].length};
+        };
+    };
+    let label = text.substring(opener.textStart, pos);
+    let end = pos + 1;
+    const reference = text.substring(pos + 1).match(/^\[((?:[^\\\[\]]|\\.)*)\]/);
+    if (reference) {
+        if (reference[1].trim().length > 0) { label = reference[1] };
+        end += reference[0].length;
+    };
+    const definition = definitions[_markdownLabel(label)];
+    if (!definition) { return null };
+    return {destination: definition.destination, title: definition.title, end: end};
+};
+
+/**
+ * Replace matching emphasis delimiters in nodes with B, I, and DEL element nodes, in place.
+ *
+ * Closers are processed left to right, each matched with the nearest preceding opener
+ * of the same character. Unmatched delimiters are left in place and become text.
+ */
+const _markdownEmphasis = function(nodes) {
+    let closerIndex = 0;
+    while (closerIndex < nodes.length) {
+        const closer = nodes[closerIndex];
+        if ((closer.type !== 'delimiter') || !closer.canClose) {
+            closerIndex++;
+            continue;
+        };
+        let openerIndex = closerIndex - 1;
+        while (openerIndex >= 0) {
+            const opener = nodes[openerIndex];
+            if ((opener.type === 'delimiter') && (opener.char === closer.char) && opener.canOpen) {
+                if (closer.char === '~') {
+                    if (opener.count === closer.count) { break };
                 } else {
-                    //TODO: Nothing selectable in the document!? What to do?
-                    _consoleLog("WTF")
+                    // The "rule of 3" in the CommonMark spec
+                    const oddMatch = (opener.canClose || closer.canOpen) && ((opener.original + closer.original) % 3 === 0) && !((opener.original % 3 === 0) && (closer.original % 3 === 0));
+                    if (!oddMatch) { break };
                 };
             };
-            newSelRange.setStart(startContainer, offset);
-            newSelRange.setEnd(startContainer, offset);
-            insertedRange.setEnd(startContainer, offset);
-            if (_isEmpty(trailingText.parentNode)) {
-                trailingText.parentNode.parentNode.removeChild(trailingText.parentNode);
-            } else {
-                trailingText.parentNode.removeChild(trailingText);
-            };
+            openerIndex--;
+        };
+        if (openerIndex < 0) {
+            closerIndex++;
+            continue;
+        };
+        const opener = nodes[openerIndex];
+        let tag, used;
+        if (closer.char === '~') {
+            tag = 'del';
+            used = closer.count;
         } else {
-            if (_isEmpty(anchorNode)) {
-                const nodeToDelete = (_isEmpty(anchorNode.parentNode)) ? anchorNode.parentNode : anchorNode;
-                nodeToDelete.parentNode.removeChild(nodeToDelete);
+            used = ((opener.count >= 2) && (closer.count >= 2)) ? 2 : 1;
+            tag = (used === 2) ? 'b' : 'i';
+        };
+        opener.count -= used;
+        closer.count -= used;
+        const children = nodes.slice(openerIndex + 1, closerIndex);
+        nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, {type: 'element', tag: tag, children: children});
+        closerIndex = openerIndex + 2;
+        if (opener.count === 0) {
+            nodes.splice(openerIndex, 1);
+            closerIndex--;
+        };
+        if (closer.count === 0) {
+            nodes.splice(closerIndex, 1);
+        };
+    };
+};
+
+/**
+ * Return the HTML for the nodes produced by _markdownInlinesHTML.
+ */
+const _markdownNodesHTML = function(nodes) {
+    let html = '';
+    nodes.forEach(node => {
+        switch (node.type) {
+            case 'text':
+                html += _escapeHTML(node.text);
+                break;
+            case 'delimiter':
+                html += node.char.repeat(node.count);
+                break;
+            case 'code':
+                html += '<code>' + _escapeHTML(node.text) + '</code>';
+                break;
+            case 'html':
+                html += node.html;
+                break;
+            case 'element':
+                html += '<' + node.tag + '>' + _markdownNodesHTML(node.children) + '</' + node.tag + '>';
+                break;
+            case 'link': {
+                const title = node.title ? ' title="' + _escapeAttribute(node.title) + '"' : '';
+                html += '<a href="' + _escapeAttribute(node.destination) + '"' + title + '>' + _markdownNodesHTML(node.children) + '</a>';
+                break;
+            }
+            case 'image': {
+                const alt = _markdownNodesText(node.children);
+                html += '<img src="' + _escapeAttribute(node.destination) + '" alt="' + _escapeAttribute(alt) + '">';
+                break;
             }
-            newSelRange.setStart(trailingText, 0);
-            newSelRange.setEnd(trailingText, 0);
         };
+    });
+    return html;
+};
+
+/**
+ * Return the plain text for the nodes produced by _markdownInlinesHTML, used for image alt text.
+ */
+const _markdownNodesText = function(nodes) {
+    let text = '';
+    nodes.forEach(node => {
+        if ((node.type === 'text') || (node.type === 'code')) {
+            text += node.text;
+        } else if (node.type === 'delimiter') {
+            text += node.char.repeat(node.count);
+        } else if (node.children) {
+            text += _markdownNodesText(node.children);
+        };
+    });
+    return text;
+};
+
+/********************************************************************************
+ * DIV and Button-related functionality in support of DIVS defining
+ * separate editable (or non-editable) styled areas within the MU.editor.
+ */
+//MARK: DIV and Button Support
+
+/**
+ * Add a div with id to parentId.
+ *
+ * Return a string indicating what happened if there was a problem; else nil.
+ */
+MU.addDiv = function(id, parentId, cssClass, jsonAttributes, htmlContents) {
+    const parent = document.getElementById(parentId);
+    if (!parent) {
+        return 'Cannot find parent ' + parentId + ' to add div ' + id;
+    };
+    if (document.getElementById(id)) {
+        return 'Div with id ' + id + ' already exists';
+    };
+    const div = document.createElement('div');
+    div.setAttribute('id', id);
+    div.setAttribute('class', cssClass);
+    div.addEventListener('focus', function(ev) {
+        _selectedID = ev.target.id;
+    });
+    div.addEventListener('blur', function(ev) {
+        if (!_muteFocusBlur) {
+            _selectedID = null;
+        };
+    });
+    let contenteditable;
+    if (jsonAttributes) {
+        const editableAttributes = JSON.parse(jsonAttributes);
+        if (editableAttributes) {
+            contenteditable = editableAttributes.contenteditable;
+            _setAttributes(div, editableAttributes);
+        };
+    };
+    if (htmlContents) {
+        const template = document.createElement('template');
+        template.innerHTML = htmlContents;
+        const newElement = template.content;
+        div.appendChild(newElement);
+    } else if (contenteditable === true) {
+        // Always make the empty div contents selectable. Note we do not send an 'input'
+        // callback, so we won't signal any change has occurred to the contents
+        // until there is some actual change.
+        const p = document.createElement('p');
+        p.appendChild(document.createElement('br'));
+        div.appendChild(p);
+    };
+    parent.appendChild(div);
+};
+
+MU.removeDiv = function(id) {
+    const element = document.getElementById(id);
+    if (_isDiv(element)) {
+        element.parentNode.removeChild(element);
+    } else {
+        if (element) {
+            _consoleLog("Element to remove with id " + id + " is not a DIV");
+        } else {
+            _consoleLog("Element to remove with id " + id + " does not exist");
+        };
+    };
+};
+
+MU.addButton = function(id, parentId, cssClass, label) {
+    const button = document.createElement('button');
+    button.setAttribute('id', id);
+    button.setAttribute('class', cssClass);
+    button.setAttribute('type', 'button');
+    button.appendChild(document.createTextNode(label));
+    button.addEventListener('click', function() {
+        _callback(
+            JSON.stringify({
+                'messageType' : 'buttonClicked',
+                'id' : id,
+                'rect' : _getButtonRect(button)
+            })
+        )
+    });
+    const div = document.getElementById(parentId);
+    if (div) {
+        div.appendChild(button);
+    } else {
+        MU.editor.appendChild(button);
+    };
+};
+
+MU.removeButton = function(id) {
+    const element = document.getElementById(id);
+    if (_isButton(element)) {
+        element.parentNode.removeChild(element);
+    };
+};
+
+const _getButtonRect = function(button) {
+    const boundingRect = button.getBoundingClientRect();
+    const buttonRect = {
+        'x' : boundingRect.left,
+        'y' : boundingRect.top,
+        'width' : boundingRect.width,
+        'height' : boundingRect.height
+    };
+    return buttonRect;
+};
+
+MU.focusOn = function(id) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.focus();
+    } else {
+        _consoleLog("Element to focus on does not exist: " + id);
+    };
+};
+
+MU.scrollIntoView = function(id) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } else {
+        _consoleLog("Element to scroll into view does not exist: " + id);
     };
-    sel.removeAllRanges();
-    sel.addRange(newSelRange);
-    //_consoleLog("* Done _insertHTML")
-    return {insertedRange: insertedRange, rootName: rootName};
 };
 
 /**
- * Fill an empty element with a br and patch up the selection if needed.
- *
- * Return a range that selects the empty element. Selection won't be affected
- * unless the changes to element necessitate it.
- *
- * In cases where element is empty, we cannot select inside of it. For example,
- * <p></p> is valid html, but we cannot set the selection inside of it. Instead,
- * when we want to select inside of it, we have to populate it with a <BR> and
- * then select.
+ * Remove all child divs of MU.editor
  */
-const _fillEmpty = function(element) {
-    if (!_isElementNode(element)) {
-        MUError.InvalidFillEmpty.callback();
-        return null;
-    };
-    if (!_isEmpty(element) || (element.childNodes.length > 1)) { return null };
-    const sel = document.getSelection();
-    let resetStart = false;
-    let resetEnd = false;
-    let startContainer, startOffset, endContainer, endOffset;
-    if (sel && (sel.rangeCount > 0)) {
-        const range = sel.getRangeAt(0);
-        startContainer = range.startContainer;
-        startOffset = range.startOffset;
-        endContainer = range.endContainer;
-        endOffset = range.endOffset;
-        resetStart = (element === startContainer) || (element.firstChild === startContainer);
-        resetEnd = (element === endContainer) || (element.firstChild === endContainer);
-    };
-    const br = document.createElement('br');
-    if (element.childNodes.length === 1) {
-        element.childNodes[0].replaceWith(br);
-    } else {
-        element.appendChild(br);
+MU.removeAllDivs = function() {
+    const divs = [].filter.call(MU.editor.childNodes, function(el) { return _isDiv(el) });
+    for (const div of divs) {
+        div.remove();
     };
-    const newRange = document.createRange();
-    if (resetStart || resetEnd) {
-        if (elementIsStart) {
-            newRange.setStart(element, 0);
-        } else {
-            newRange.setStart(startContainer, startOffset);
-        }
-        if (elementIsEnd) {
-            newRange.setEnd(element, 0);
-        } else {
-            newRange.setEnd(endContainer, endOffset);
-        }
-        sel.removeAllRanges();
-        sel.addRange(newRange);
-    } else {
-        newRange.setStart(element, 0);
-        newRange.setEnd(element, 0);
-    }
-    return newRange;
+}
+
+
+/********************************************************************************
+ * Formatting
+ * 1. Formats (B, I, U, DEL, CODE, SUB, SUP) are toggled off and on
+ * 2. Formats can be nested, but not inside themselves; e.g., B cannot be within B
+ */
+//MARK: Formatting
+
+MU.toggleBold = function() {
+    _toggleFormat('B');
 };
 
-const _undoPasteHTML = function(undoerData) {
-    // The undoerData contains:
-    //  html - What was pasted, probably contains spans, styles and other cruft
-    //  deletedFragment - What (if anything) we deleted before pasting
-    //  rootName - The name of the node we splitText up to, or null if we didn't splitText
-    //  replacedEmpty - The name of the empty node we replaced, or null if we didn't
-    //  pasteRange - (saved as undoerData.range) Range that contains what we pasted
-    //_consoleLog("* _undoPasteHTML")
-    const pasteRange = undoerData.range;
-    const rootName = undoerData.data.rootName;
-    const replacedEmpty = undoerData.data.replacedEmpty;
-    const deletedFragment = undoerData.data.deletedFragment;
-    _deleteRange(pasteRange, rootName);
-    const sel = document.getSelection();
-    let newRange = _minimizedRangeFrom(sel.getRangeAt(0));
-    if (replacedEmpty) {
-        // We need to re-insert an empty paragraph after the current selection.
-        // The selection is probably at the end of a text node, so we need to
-        // find the selection's top-level node and place it in that node's parent
-        // after that node.
-        const newEmptyElement = document.createElement(replacedEmpty);
-        const br = document.createElement('br');
-        newEmptyElement.appendChild(br);
-        const startContainer = newRange.startContainer;
-        const startNode = (_isTextNode(startContainer)) ? startContainer : startContainer.children[newRange.startOffset];
-        if (!startNode) {
-            startContainer.appendChild(newEmptyElement)
-            newRange.setStart(newEmptyElement, 0);
-            newRange.setEnd(newEmptyElement, 0);
-        } else {
-            const topLevelNode = _findFirstParentElementInNodeNames(startNode, _topLevelTags);
-            if (topLevelNode) {
-                if (_isEmptyPlaceholder(topLevelNode)) {
-                    topLevelNode.replaceWith(newEmptyElement);
-                } else {
-                    if (topLevelNode.nextSibling) {
-                        topLevelNode.parentNode.insertBefore(newEmptyElement, topLevelNode);
-                    } else { // We are at the end of the document
-                        _findContentEditable(topLevelNode).insertBefore(newEmptyElement, null);
-                    };
-                };
-                newRange.setStart(newEmptyElement, 0);
-                newRange.setEnd(newEmptyElement, 0);
-            };
-        };
-    };
-    // At this point, what was pasted-in is gone, and the document looks like if it had
-    // never been pasted-in, except for the deletedFragment if there was one.
-    if (deletedFragment) {
-        // We previously had deleted some selected text when pasting.
-        // Re-insert the deletedFragment. This will reset the selection
-        // and return a range that surrounds the now-inserted deletedFragment,
-        // which is what we want to select when done.
-        const insertResults = _insertHTML(deletedFragment);
-        if (insertResults) {
-            newRange = insertResults.insertedRange;
-        };
-    };
-    sel.removeAllRanges();
-    sel.addRange(newRange);
-    undoerData.range = newRange;
-    _backupSelection();
-    _callbackInput();
+MU.toggleItalic = function() {
+    _toggleFormat('I');
 };
 
-const _redoPasteHTML = function(undoerData) {
-    _restoreUndoerRange(undoerData);
-    _pasteHTML(undoerData.data.html, undoerData, false);
+MU.toggleUnderline = function() {
+    _toggleFormat('U');
 };
 
-const _rangeFor = function(node, direction='START') {
-    const range = document.createRange();
-    let startOffset, endOffset;
-    if (direction === 'START') {
-        startOffset = 0;
-        endOffset = 0;
-    } else if (direction === 'END'){
-        if (node.nodeType === Node.TEXT_NODE) {
-            startOffset = node.textContent.length;
-        } else {
-            startOffset = node.childNodes.length;
+MU.toggleStrike = function() {
+    _toggleFormat('DEL');
+};
+
+MU.toggleCode = function() {
+    _toggleFormat('CODE');
+};
+
+MU.toggleSubscript = function() {
+    _toggleFormat('SUB');
+};
+
+MU.toggleSuperscript = function() {
+    _toggleFormat('SUP');
+};
+
+/**
+ * Turn the format tag off and on for selection.
+ * Called directly on undo/redo so that nothing new is pushed onto the undo stack
+ *
+ * type must be called using uppercase
+ */
+const _toggleFormat = function(type, undoable=true) {
+    const cellRange = (undoable) ? _selectedCellRange() : null;
+    if (cellRange) {
+        return _toggleCellFormat(type, cellRange);
+    };
+    if (_selectionSpansTextNodes() && undoable) {
+        return _multiFormat(type, undoable);
+    };
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (!sel || !selNode || !sel.rangeCount) { return };
+    const range = sel.getRangeAt(0);
+    let tagRange;
+    let existingElement = _findFirstParentElementInNodeNames(selNode, [type]);
+    const ancestor = MU.editor;
+    let toggledOn;
+    if (existingElement) {
+        toggledOn = false;
+        //_consoleLog("\nTOGGLING " + type + " OFF")
+        // The selection can be within a single text node but only encompass part of it.
+        // In this case, we will split that text node and reassign existingElement
+        // before proceeding.
+        if (!sel.isCollapsed && undoable) {
+            existingElement = _selectedSubTextElement(sel, type);
         };
-        endOffset = startOffset;
-    } else {    // Range across node
-        startOffset = 0;
-        if (node.nodeType === Node.TEXT_NODE) {
-            endOffset = node.textContent.length;
+        let newRange;
+        const nextNode = existingElement.nextSibling;
+        const endOfNode = sel.isCollapsed && _isTextNode(selNode) && !(selNode.nextSibling) && (range.endOffset === selNode.textContent.length);
+        const emptyNextNode = !nextNode || (nextNode && _isTextNode(nextNode) && (nextNode.textContent.length === 0));
+        const placeholderChar = '\u200B';  // A zero width char (where '\u00A0' would be space)
+        if (endOfNode && emptyNextNode && range.collapsed) {
+            // We are at the end of a formatted piece of text, with nothing ahead of us.
+            // We want to allow continued typing in unformatted text.
+            // Append a zero width char and select after it. If we continue to type, text will be unformatted.
+            // The downside is that navigation with arrow keys knows there is a character there, but the user
+            // cannot see it (as is the case on inserting an empty formatting element like <b></b>. An
+            // alternative is to insert a space, which works okay, but would probably be unexpected by a user.
+            newRange = document.createRange();
+            const emptyTextNode = document.createTextNode(placeholderChar);
+            existingElement.parentNode.insertBefore(emptyTextNode, nextNode);
+            newRange.setStart(emptyTextNode, 1);
+            newRange.setEnd(emptyTextNode, 1);
+            sel.removeAllRanges();
+            sel.addRange(newRange);
+            undoable = false;       // Doesn't make sense to undo this operation
+        } else if (!endOfNode) {
+            tagRange = _unsetTag(existingElement, sel, true);
         } else {
-            endOffset = node.childNodes.length;
+            // The existingNode can contain only the placeholderChar, and if so, we need to unset it.
+            // This also ensures that undo works properly.
+            const textNode = existingElement.firstChild;
+            const cleanText = existingElement.textContent.replace(placeholderChar, '');
+            if (cleanText.length === 0) {
+                textNode.textContent = '';
+                newRange = document.createRange();
+                newRange.setStart(textNode, 0);
+                newRange.setEnd(textNode, 0);
+                sel.removeAllRanges();
+                sel.addRange(newRange);
+                tagRange = _unsetTag(existingElement, sel, true);
+            } else {
+                tagRange = _unsetTag(existingElement, sel, true);
+            };
         };
+    } else {
+        //_consoleLog("\nTOGGLING " + type + " ON")
+        toggledOn = true;
+        tagRange = _setTag(type, sel);
+    };
+    _backupSelection();
+    if (undoable) {
+        // Both _setTag and _unsetTag reset the selection when they're done;
+        // however, the selection should be left in a way that undoing is accomplished
+        // by just re-executing the _toggleFormat. So, for example, _toggleFormat while
+        // selected between characters in a word will toggleFormat for the word, but leave
+        // the selection at the same place in that word. Also, toggleFormat when a word
+        // has a range selected will leave the same range selected.
+        const tagRangeIndices = _rangeIndices(tagRange);
+        const undoerData = _undoerData('format', {type: type, tagRangeIndices: tagRangeIndices, ancestor: ancestor, toggledOn: toggledOn});
+        //_consoleLog(_rangeString(tagRange, "tagRange: "))
+        //_consoleLog("undoerData.data: " + JSON.stringify(undoerData.data));
+        undoer.push(undoerData);
     }
-    range.setStart(node, startOffset);
-    range.setEnd(node, endOffset);
-    return range;
+    _callbackInput();
+    return tagRange;
 };
 
 /**
- * Delete the range and reset selection if needed.
+ * Undo or redo of the toggleFormat operation.
  *
- * If the selection anchorNode is empty after deleting range, then
- * delete the anchorNode and reset the selection to the nearest sibling,
- * preferring the end of the previousSibling if it exists.
+ * The tagRange tells us what we need to select before using toggleFormat
+ * to undo an earlier toggleFormat operation.
  *
- * If rootName is not null, then it identifies the nodeName that was split
- * up-to when range was inserted. For example, in <p>Hello <b>bo|ld</b> world</p>
- * when split at |, we ended up with <p>Hello <b>bo</b></p><p><b>ld</b> world</p>,
- * and the range would span from the end of <b>bo</b> to the beginning of <b>ld</b>.
- * Then we pasted in some fragment, which we are now deleting. After we delete range,
- * we end up with <p>Hello <b>bo</b></p><p><b>ld</b> world</p> when what we want is
- * <p>Hello <b>bo|ld</b> world</p>. If rootName is specified as 'P', then this
- * tells us we need to combine the P that <b>bo</b> is in with the P that <b>ld</b>
- * is in. This is kind of like the _splitTextNode equivalent of normalize()
- * for _splitText.
+ * The difficult part is restoring the selection across undo/redo/undo.
+ * At "do" time, we set the indices and offsets that were present before we
+ * perform the operation. So, for example, if we have selected a point in the
+ * middle of a word, then the tagRange encompasses the word, while the indices
+ * and offsets tell us how to set the selection *before* the operation is
+ * performed. For undo and redo, then we select the tag range and when done,
+ * we use the indices and offsets to set the selection. This leaves the
+ * selection in the place it started before ever "did" the operation. Consider:
+ *
+ *  <p>Hello <b>bold and <i>ita|lic</i> world</b></p>
+ *
+ * Now "do" untag of ita|lic. We end up with:
+ *
+ *  <p>Hello <b>bold and ita|lic world</b></p>
+ *
+ * The tagRange was returned from the _unsetTag method. It captures
+ * the range to be used later in the undo of untag. When performing the untag,
+ * we set the undoerData with a tagRange of "italic" *after* the untag.
+ * In contrast, indices and offsets measured are from <p> to locate <i>ita|lic</i>
+ * in the original *before* the untag.
  */
-const _deleteRange = function(range, rootName) {
-    //_consoleLog("* _deleteRange(" + _rangeString(range) + ", " + rootName +")");
-    let leadingNode = range.startContainer;
-    let trailingNode = range.endContainer;
-    let startOffset = range.startOffset;
-    let endOffset = range.endOffset;
-    range.deleteContents();
-    let startContainer = leadingNode;
-    let endContainer = trailingNode;
-    // When we do deleteContents, the range contains empty text nodes so that
-    // it still remains valid. If the deletion wiped out the selection, then
-    // we need to put it back in place in the nearest non-empty text node.
-    // Note that a deleted style node will be replaced later based on replacedEmpty
-    // being present in undoerData.
-    const leadingWasDeleted = (_isEmpty(leadingNode) && (leadingNode !== MU.editor));
-    const trailingWasDeleted = (_isEmpty(trailingNode) && (leadingNode !== trailingNode) && (trailingNode !== MU.editor));
-    let startLocation, endLocation;
-    if (leadingWasDeleted && trailingWasDeleted) {
-        if (leadingNode.previousSibling) {
-            startLocation = _firstSelectableLocationBefore(leadingNode) ?? _firstSelectableLocationAfter(trailingNode);
-        } else if (trailingNode.nextSibling) {
-            startLocation = _firstSelectableLocationAfter(trailingNode) ?? _firstSelectableLocationBefore(leadingNode);
-        };
-        startContainer = startLocation.container;
-        startOffset = startLocation.offset;
-        endContainer = startContainer;
-        endOffset = startOffset;
-    } else if (leadingWasDeleted) {
-        startLocation = _firstSelectableLocationAfter(leadingNode) ?? _firstSelectableLocationBefore(leadingNode);
-        if (startLocation) {
-            startContainer = startLocation.container;
-            startOffset = startLocation.offset;
-        } else {    // A backup plan
-            startContainer = MU.editor;
-            startOffset = 0;
-        };
-        if (leadingNode === trailingNode) { // Because trailingWasDelete is never executed if true
-            endContainer = startContainer;
-            endOffset = startOffset;
-        };
-    } else if (trailingWasDeleted) {
-        endLocation = _firstSelectableLocationBefore(trailingNode) ?? _firstSelectableLocationAfter(trailingNode);
-        if (endLocation) {
-            endContainer = endLocation.container;
-            endOffset = endLocation.offset;
-        } else {    // A backup plan
-            endContainer = MU.editor;
-            endOffset = 0;
-        };
+
+const _undoRedoToggleFormat = function(undoerData) {
+    //_consoleLog("\nundoRedoToggleFormat...")
+    //_consoleLog("undoerData.data: " + JSON.stringify(undoerData.data));
+    // We are going to redo the toggle of this type of element at the selection in the undoerData
+    const type = undoerData.data.type;
+    // Start by setting the selection to the tagRange, which encompasses
+    // the area to _toggleFormat on.
+    const sel = document.getSelection();
+    const tagRangeIndices = undoerData.data.tagRangeIndices;
+    const tagRange = _rangeFromIndices(tagRangeIndices);
+    //_consoleLog(_rangeString(tagRange, "tagRange: "))
+    sel.removeAllRanges();
+    sel.addRange(tagRange);
+    // Now tag or untag the format across the tagRange and update undoerData
+    // based on whether we previously toggledOn or not
+    const toggledOn = undoerData.data.toggledOn;
+    let newTagRange;
+    if (toggledOn) {
+        const existingElement = _findFirstParentElementInNodeNames(sel.focusNode, [type]);
+        newTagRange = _unsetTagInRange(existingElement, tagRange, true);
+        undoerData.data.toggledOn = false;
+        //_consoleLog("toggled off")
     } else {
-        endOffset = 0;  // Because we deleted up to the original endOffset
+        newTagRange = _setTagInRange(type, tagRange);
+        undoerData.data.toggledOn = true;
+        //_consoleLog("toggled on")
     };
-    // We have as many empty text nodes as once existed in the range we deleted, and the
-    // trailingNode may not be the same or even the nextSibling of leadingNode.
-    // For example, in a range across the leading and trailing text nodes of 
-    // <p>Hello <b>bold</b> world</p>, we end up with three empty text nodes.
-    const sharedParent = leadingNode && trailingNode && (leadingNode.parentNode === trailingNode.parentNode);
-    if (leadingWasDeleted && trailingWasDeleted) {
-        if (leadingNode === trailingNode) {
-            endContainer = startContainer;
-            endOffset = startOffset;
-            leadingNode.parentNode.removeChild(leadingNode);
+    //_consoleLog(_rangeString(newTagRange, "newTagRange: "))
+    undoerData.data.tagRangeIndices = _rangeIndices(newTagRange);
+    // At this point, we can just reselect the tagRange. For history, tagRange
+    // in the case of word tagging starting from a collapsed selection would
+    // encompass the word itself. However, to properly support undo of that kind
+    // of tagging, the tagSelection is the collapsed selection. This works now
+    // because the undo/redo deals with word selection the same way as the original
+    // toggleFormat works.
+    sel.removeAllRanges();
+    sel.addRange(newTagRange);
+    //_consoleLog("undoerData.data after undo/redo: " + JSON.stringify(undoerData.data));
+};
+
+/**
+ * Make all text elements within a selection that spans text nodes into newFormat.
+ *
+ * Elements that are already in newFormat are not changed. The net effect
+ * is that everything is set to newFormat, whether it started that way or not.
+ * Then, when turning off formatting, it's all turned off. Therefore if
+ * user selects across text that has various embedded bolds and then bolds once,
+ * everything is bolded, but selecting bold again unbolds everything. This is the
+ * way other text editors work to allow easy "format everything" and "remove
+ * all formatting" across a selection (as opposed to toggling the items in the
+ * selection).
+ */
+const _multiFormat = function(newFormat, undoable=true) {
+    // Find all the text nodes within the selection
+    const selectedTextNodes = _selectedTextNodes();
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) {
+        MUError.NoSelection.callback();
+        return;
+    };
+    const range = sel.getRangeAt(0);
+    const startContainer = range.startContainer;
+    const startOffset = range.startOffset;
+    const endContainer = range.endContainer;
+    const endOffset = range.endOffset;
+    let commonAncestor = MU.editor;
+    // If commonAncestor has a _formatTag, we might be mucking with it as we use _subTextElementInRange
+    // later in such a way that it is no longer a common ancestor of elements across the range. To prevent
+    // any problems, use the style above it if commonAncestor has a _formatTag.
+    if (_isFormatElement(commonAncestor)) {
+        const styleParent = _findFirstParentElementInNodeNames(commonAncestor, _paragraphStyleTags);
+        commonAncestor = styleParent ?? MU.editor;     // MU.editor as a last ditch attempt to avoid problems
+    };
+    let oldFormats = [];
+    let indices = []
+    let newStartContainer, newEndContainer;
+    const formattedElements = selectedTextNodes.filter( textNode => _findFirstParentElementInNodeNames(textNode, [newFormat]) );
+    // If all nodes are of the same newFormat already, then unsetAll===true; otherwise,
+    // unsetAll===false indicates that all nodes will be set to newFormat, with the ones
+    // that are already in newFormat left alone. We need to know what unsetAll was in undo also.
+    const unsetAll = formattedElements.length === selectedTextNodes.length;
+    for (let i = 0; i < selectedTextNodes.length; i++) {
+        const selectedTextNode = selectedTextNodes[i];
+        // If the selectedTextNode is not within newFormat, then track its format at #text,
+        // signifying that it will be inserted into a newFormat block. If it is within
+        // the newFormat, then put that into the oldFormats array.
+        const existingFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
+        const existingFormat = (existingFormatElement) ? existingFormatElement.nodeName : selectedTextNode.nodeName;
+        let tagRange = document.createRange();
+        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
+        const newEndContainer = (i === selectedTextNodes.length - 1) && (selectedTextNode === endContainer);
+        if (newStartContainer) {
+            tagRange.setStart(selectedTextNode, startOffset);
         } else {
-            if (sharedParent) {
-                let parent = leadingNode.parentNode;
-                let child = leadingNode;
-                while (child) {
-                    let nextChild = child.nextSibling;
-                    child.parentNode.removeChild(child);
-                    if (nextChild && (nextChild !== trailingNode)) {
-                        child = nextChild
-                    } else {
-                        child = null;
-                    };
-                }
-            } else {
-                leadingNode.parentNode.removeChild(leadingNode);
-                trailingNode.parentNode.removeChild(trailingNode);
-            };
+            tagRange.setStart(selectedTextNode, 0);
         };
-    } else if (leadingWasDeleted) {
-        leadingNode.parentNode.removeChild(leadingNode);
-    } else if (trailingWasDeleted) {
-        const topLevelNode = _topLevelElementContaining(trailingNode);
-        if (topLevelNode && _isEmpty(topLevelNode)) {
-            // We are left with an empty top-level node (like a table or p), so delete it.
-            // If it's a table, list, or blockquote, then we treat it specially, because
-            // the selection was inside of the topLevelElement and should be left before it.
-            if (_isTableElement(topLevelNode) || _isListElement(topLevelNode) || _isBlockquoteElement(topLevelNode)) {
-                _deleteAndResetSelection(topLevelNode, 'BEFORE');
-            } else {
-                _deleteAndResetSelection(topLevelNode, 'AFTER');
-            };
-            return; // Our work is done and selection is set properly.
+        if (newEndContainer) {
+            tagRange.setEnd(selectedTextNode, endOffset);
         } else {
-            trailingNode.parentNode.removeChild(trailingNode);
+            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
+        };
+        sel.removeAllRanges();
+        sel.addRange(tagRange);
+        let formattedTagRange = tagRange;
+        let newStartOffset = tagRange.startOffset;
+        let newEndOffset = tagRange.endOffset;
+        if (unsetAll) {
+            // We may need to select a part of the selectedTextNode (or perhaps all of it,
+            // depending on tagRange). If necessary, _selectedSubTextElement subdivides
+            // selectedTextNode into 2 nodes while leaving sel set to the subnode that needs
+            // to be untagged.
+            const newFormatElement = _subTextElementInRange(tagRange, newFormat);
+            formattedTagRange = document.createRange();
+            formattedTagRange.selectNode(newFormatElement);
+            formattedTagRange = _unsetTagInRange(newFormatElement, formattedTagRange);   // Don't merge text nodes
+            newStartOffset = 0;
+        } else if (!existingFormatElement) {
+            // Set tags using tagRange, not the selection.
+            // When the selection includes leading or trailing blanks, the startOffset and endOffsets
+            // from document.getSelection are inset from the ends. So, we can't rely on it being
+            // correct when looping over elements. If we rely on the selection, then the insets
+            // can end up removing blanks between words.
+            formattedTagRange = _setTagInRange(newFormat, tagRange);
+            newStartOffset = 0;
         };
-    };
-    if (rootName && _isTextNode(leadingNode) && _isTextNode(trailingNode) && (leadingNode !== trailingNode) && !leadingWasDeleted && !trailingWasDeleted) {
-        _joinTextNodes(leadingNode, trailingNode, rootName);
-    } else {
-        const newRange = document.createRange();
-        newRange.setStart(startContainer, startOffset);
-        newRange.setEnd(endContainer, endOffset);
-        const minimizedRange = _minimizedRangeFrom(newRange);
-        const sel = document.getSelection();
-        sel.removeAllRanges();
-        sel.addRange(minimizedRange);
-    };
-};
-
-const _topLevelElementContaining = function(node) {
-    let child = node;
-    while (child) {
-        if (child.parentNode === MU.editor) {
-            if (_isTopLevelElement(child)) {
-                return child;
+        let newSelectedTextNode;
+        if (_isTextNode(formattedTagRange.startContainer)) {
+            newSelectedTextNode = formattedTagRange.startContainer;
+        } else {
+            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
+            if (_isTextNode(startChild)) {
+                newSelectedTextNode = startChild;
             } else {
-                return null;
+                newSelectedTextNode = _firstTextNodeChild(startChild);
             };
-        } else {
-            child = child.parentNode;
+        };
+        // After we set or unset the tag, we need to track the oldFormat and indices, since they
+        // are changed when we set the tag.
+        oldFormats.push(existingFormat);
+        indices.push(_childNodeIndicesByParent(newSelectedTextNode, commonAncestor));
+        if (newStartContainer) {
+            range.setStart(newSelectedTextNode, newStartOffset);
+        };
+        if (newEndContainer) {
+            range.setEnd(newSelectedTextNode, newEndOffset);
         };
     };
-    return null;
-};
-
-const _firstNonEmptyNextSibling = function(node) {
-    let sib = node.nextSibling;
-    while (sib && _isEmpty(sib)) {
-        sib = sib.nextSibling;
-    };
-    return sib;
-};
-
-const _firstNonEmptyPreviousSibling = function(node) {
-    let sib = node.previousSibling;
-    while (sib && _isEmpty(sib)) {
-        sib = sib.previousSibling;
+    sel.removeAllRanges();
+    sel.addRange(range);
+    if (undoable) {
+        _backupSelection()
+        const undoerData = _undoerData('multiFormat', {commonAncestor: commonAncestor, newFormat: newFormat, oldFormats: oldFormats, indices: indices, unsetAll: unsetAll}, range);
+        undoer.push(undoerData);
+        _restoreSelection()
     };
-    return sib;
+    _callbackInput();
+    return range;
 };
 
-/********************************************************************************
- * Getting and setting document contents
- */
-//MARK: Getting and Setting Document Contents
-
 /**
- * Clean out the MU.editor and replace it with an empty paragraph
+ * Undo the previous multiFormat operation.
  */
-MU.emptyDocument = function() {
-    while (MU.editor.firstChild) {
-        MU.editor.removeChild(MU.editor.firstChild);
-    };
-    const p = document.createElement('p');
-    p.appendChild(document.createElement('br'));
-    MU.editor.appendChild(p);
+const _undoMultiFormat = function(undoerData) {
     const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) {
+        MUError.NoSelection.callback();
+        return;
+    };
+    const oldRange = undoerData.range;
+    const startContainer = oldRange.startContainer;
+    const startOffset = oldRange.startOffset;
+    const endContainer = oldRange.endContainer;
+    const endOffset = oldRange.endOffset;
+    const commonAncestor = undoerData.data.commonAncestor;
+    const oldFormats = undoerData.data.oldFormats;
+    const newFormat = undoerData.data.newFormat;
+    const indices = undoerData.data.indices;
+    const unsetAll = undoerData.data.unsetAll;
+    const selectedTextNodes = [];
+    indices.forEach(index => {;
+        selectedTextNodes.push(_childNodeIn(commonAncestor, index))
+    });
     const range = document.createRange();
-    range.setStart(p, 1);
-    range.setEnd(p, 1);
+    for (let i = 0; i < selectedTextNodes.length; i++) {
+        const selectedTextNode = selectedTextNodes[i];
+        const oldFormat = oldFormats[i];    // oldFormat was what the selectedTextNode was before formatting
+        const newFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
+        let tagRange = document.createRange();
+        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
+        const newEndContainer = (i === indices.length - 1) && (selectedTextNode === endContainer);
+        if (newStartContainer) {
+            tagRange.setStart(selectedTextNode, startOffset);
+        } else {
+            tagRange.setStart(selectedTextNode, 0);
+        };
+        if (newEndContainer) {
+            tagRange.setEnd(selectedTextNode, endOffset);
+        } else {
+            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
+        };
+        sel.removeAllRanges();
+        sel.addRange(tagRange);
+        // If !unsetAll, then we only setTag for elements that were not already in newFormat,
+        // and now we want to untag only those elements.
+        // If unsetAll, then we toggled all elements off, and now we need to make all of them newFormat.
+        const untag = !unsetAll && newFormatElement && (oldFormat !== newFormat);
+        let formattedTagRange = tagRange;
+        const newStartOffset = tagRange.startOffset;
+        const newEndOffset = tagRange.endOffset;
+        if (untag) {
+            formattedTagRange = _unsetTagInRange(newFormatElement, tagRange);
+        } else if (unsetAll) {
+            formattedTagRange = _setTagInRange(newFormat, tagRange);
+        };
+        let newSelectedTextNode;
+        if (_isTextNode(formattedTagRange.startContainer)) {
+            newSelectedTextNode = formattedTagRange.startContainer;
+        } else {
+            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
+            if (_isTextNode(startChild)) {
+                newSelectedTextNode = startChild;
+            } else {
+                newSelectedTextNode = _firstTextNodeChild(startChild);
+            };
+        };
+        // Why update undoerData after the undo? Because on redo, we use the undoerData again, but
+        // untagging or tagging may change the indices. Plus unsetAll has the opposite meaning for
+        // redo.
+        undoerData.data.indices[i] = _childNodeIndicesByParent(newSelectedTextNode, commonAncestor);
+        if (newStartContainer) {
+            range.setStart(newSelectedTextNode, newStartOffset);
+        };
+        if (newEndContainer) {
+            range.setEnd(newSelectedTextNode, newEndOffset);
+        };
+    };
     sel.removeAllRanges();
     sel.addRange(range);
-    _backupSelection();
-    _updatePlaceholder();
-};
-
-/**
- * Set the contents of the editor element
- *
- * @param {String} contents The HTML for the editor element
- */
-MU.setHTML = function(contents, select=true) {
-    // Note for history:
-    // Originally this method used a div tempWrapper and just assigned contents to its innerHTML.
-    // In doing so, the image.onload method would fire, but I could never get an event listener to
-    // fire for the image. I fixed this by using a template, which presumably preserves the actual
-    // image element so that image that I assign the event listener to is preserved.
-    const template = document.createElement('template');
-    // When contents is empty, replace it with valid minimal HTML for a properly behaved
-    // MarkupEditor document. A lot of the editing functions in MarkupEditor depend on content
-    // being held in "style" elements. Without them, things will display properly, but the behavior
-    // is going to be unpredictable. The intervention on contents here is similar to what happens in
-    // MU.emptyDocument, but doing it here avoids having selection change.
-    if ((contents.trim().length === 0) && (MU.editor.isContentEditable)) {
-        contents = '<p><br></p>';
-    };
-    template.innerHTML = contents;
-    const element = template.content;
-    _cleanUpEmptyTextNodes(element);
-    _prepImages(element);
-    MU.editor.innerHTML = '';   // Clean it out!
-    MU.editor.appendChild(element);
-    // By default, we initialize range to point to the first element. In cases where you are
-    // using multiple MarkupWKWebViews, you may want to explicitly prevent the range from
-    // being initialized and the first element being selected by passing select=false. Otherwise,
-    // each of your views will receive a multiple selectionChange events after they load,
-    // which in turn will propagate calls to the MarkupDelegate about that change, and potentially
-    // update the MarkupToolbar when all you wanted to do was to load the content and deal
-    // with selection later.
-    if (select) {
-        _initializeRange();                                         // Causes a selectionChange event
-    };
-    _updatePlaceholder()
-    _callback('updateHeight');
-};
-
-/**
- * Return the height of the editor element that encloses the text.
- *
- * The padding-block is set in CSS to allow touch selection outside of text on iOS.
- * An unfortunate side-effect of that setting is that getBoundingClientRect() returns
- * a height that has nothing to do with the actual text, because it's been padded.
- * A workaround for this is to get the computed style for editor using
- * window.getComputedStyle(editor, null), and then asking that for the height. It does
- * not include padding. This kind of works, except that I found the height changed as
- * soon as I add a single character to the text. So, for example, it shows 21px when it
- * opens with just a single <p>Foo</p>, but once you add a character to the text, the
- * height shows up as 36px. If you remove padding-block, then the behavior goes away.
- * To work around the problem, we set the padding block to 0 before getting height, and
- * then set it back afterward. With this change, both the touch-outside-of-text works
- * and the height is reported accurately. Height needs to be reported accurately for
- * auto-sizing of a WKWebView based on its contents.
- */
-MU.getHeight = function() {
-    const editor = MU.editor;
-    const paddingBlockStart = editor.style.getPropertyValue('padding-block-start');
-    const paddingBlockEnd = editor.style.getPropertyValue('padding-block-end');
-    editor.style['padding-block-start'] = '0px';
-    editor.style['padding-block-end'] = '0px';
-    const style = window.getComputedStyle(editor, null);
-    const height = parseInt(style.getPropertyValue('height'));
-    editor.style['padding-block-start'] = paddingBlockStart;
-    editor.style['padding-block-end'] = paddingBlockEnd;
-    return height;
-};
-
-/*
- * Pad the bottom of the text in editor to fill fullHeight.
- *
- * Setting padBottom pads the editor all the way to the bottom, so that the
- * focus area occupies the entire view. This allows long-press on iOS to bring up the
- * context menu anywhere on the screen, even when text only occupies a small portion
- * of the screen.
- */
-MU.padBottom = function(fullHeight) {
-    const editor = MU.editor;
-    const padHeight = fullHeight - MU.getHeight();
-    if (padHeight > 0) {
-        editor.style.setProperty('--padBottom', padHeight+'px');
-    } else {
-        editor.style.setProperty('--padBottom', '0');
-    };
-};
-
-/**
- * Focus immediately, leaving range alone
- */
-MU.focus = function() {
-    _focusOn(MU.editor);    // Does async after a delay, else caret sometimes is hidden
+    undoerData.range = range;
+    _callbackInput();
 };
 
 /**
- * Reset the selection to the beginning of the document
+ * Redo the previous multiFormat operation.
  */
-MU.resetSelection = function() {
-    _initializeRange();
+const _redoMultiFormat = function(undoerData) {
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) {
+        MUError.NoSelection.callback();
+        return;
+    };
+    const oldRange = undoerData.range;
+    const startContainer = oldRange.startContainer;
+    const startOffset = oldRange.startOffset;
+    const endContainer = oldRange.endContainer;
+    const endOffset = oldRange.endOffset;
+    const commonAncestor = undoerData.data.commonAncestor;
+    const oldFormats = undoerData.data.oldFormats;
+    const newFormat = undoerData.data.newFormat;
+    const indices = undoerData.data.indices;
+    const selectedTextNodes = [];
+    indices.forEach(index => {
+        selectedTextNodes.push(_childNodeIn(commonAncestor, index));
+    });
+    const formattedElements = selectedTextNodes.filter( textNode => _findFirstParentElementInNodeNames(textNode, [newFormat]) );
+    // If all nodes are of the same newFormat already, then unsetAll===true; otherwise,
+    // unsetAll===false indicates that all nodes will be set to newFormat, with the ones
+    // that are already in newFormat left alone. We need to know what unsetAll was in undo also.
+    const unsetAll = formattedElements.length === selectedTextNodes.length;
+    const range = document.createRange();
+    for (let i = 0; i < indices.length; i++) {
+        const selectedTextNode = selectedTextNodes[i];
+        const oldFormat = oldFormats[i];    // oldFormat was what the selectedTextNode was before formatting
+        const existingFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
+        let tagRange = document.createRange();
+        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
+        const newEndContainer = (i === indices.length - 1) && (selectedTextNode === endContainer);
+        if (newStartContainer) {
+            tagRange.setStart(selectedTextNode, startOffset);
+        } else {
+            tagRange.setStart(selectedTextNode, 0);
+        };
+        if (newEndContainer) {
+            tagRange.setEnd(selectedTextNode, endOffset);
+        } else {
+            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
+        };
+        sel.removeAllRanges();
+        sel.addRange(tagRange);
+        // If unsetAll, then all elements identified by indices need to be put back in
+        // newFormat.
+        // If !unsetAll, only the elements in newFormat need to be untagged.
+        let formattedTagRange = tagRange;
+        const newStartOffset = tagRange.startOffset;
+        const newEndOffset = tagRange.endOffset;
+        if (unsetAll) {
+            // We may need to select a part of the selectedTextNode (or perhaps all of it,
+            // depending on tagRange). If necessary, _selectedSubTextElement subdivides
+            // selectedTextNode into 2 nodes while leaving sel set to the subnode that needs
+            // to be untagged.
+            const newFormatElement = _subTextElementInRange(tagRange, newFormat);
+            tagRange = document.getSelection().getRangeAt(0);
+            formattedTagRange = _unsetTagInRange(newFormatElement, tagRange);
+        } else if (!existingFormatElement) {
+            // Set tags using tagRange, not the selection.
+            // When the selection includes leading or trailing blanks, the startOffset and endOffsets
+            // from document.getSelection are inset from the ends. So, we can't rely on it being
+            // correct when looping over elements. If we rely on the selection, then the insets
+            // can end up removing blanks between words.
+            formattedTagRange = _setTagInRange(newFormat, tagRange);
+        };
+        let newSelectedTextNode;
+        if (_isTextNode(formattedTagRange.startContainer)) {
+            newSelectedTextNode = formattedTagRange.startContainer;
+        } else {
+            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
+            if (_isTextNode(startChild)) {
+                newSelectedTextNode = startChild;
+            } else {
+                newSelectedTextNode = _firstTextNodeChild(startChild);
+            };
+        };
+        // Why update undoerData after the redo? Because on undo, we use the undoerData again, but
+        // untagging or tagging may change the indices. Plus unsetAll has the opposite meaning for
+        // undo.
+        undoerData.data.indices[i] = _childNodeIndicesByParent(newSelectedTextNode, commonAncestor);
+        undoerData.data.unsetAll = unsetAll;
+        if (newStartContainer) {
+            range.setStart(newSelectedTextNode, newStartOffset);
+        };
+        if (newEndContainer) {
+            range.setEnd(newSelectedTextNode, newEndOffset);
+        };
+    };
+    sel.removeAllRanges();
+    sel.addRange(range);
+    undoerData.range = range;
+    _callbackInput();
 };
 
 /**
- * Get the contents of the editor element.
- *
- * If pretty, then the text will be nicely formatted for reading.
- * If clean, the spans and empty text nodes will be removed first.
- *
- * Note: Clean is needed to avoid the selected ResizableImage from being
- * passed-back with spans around it, which is what are used internally to
- * represent the resizing handles and box around the selected image.
- * However, this content of the DOM is only for visualization within the
- * MarkupEditor and should not be included with the HTML contents. It is
- * left here as an option in case it's needed for debugging.
- *
- * @return {string} The HTML for the editor element
+ * Return whether the selection contains multiple text nodes
  */
-MU.getHTML = function(pretty="true", clean="true", divID) {
-    const prettyHTML = pretty === "true";
-    const cleanHTML = clean === "true";
-    const div = (divID) ? document.getElementById(divID) : MU.editor;
-    if (!div) {
-        MUError.NoDiv.callback();
-        return "";
-    }
-    let editor, text;
-    if (cleanHTML) {
-        const template = document.createElement('template');
-        template.innerHTML = div.innerHTML;
-        editor = template.content;
-        _cleanUpDivsWithin(editor);
-        _cleanUpSpansWithin(editor);
-        _cleanUpEmptyTextNodes(editor);
-    } else {
-        editor = div;
-    };
-    if (prettyHTML) {
-        text = _allPrettyHTML(editor);
-    } else {
-        text = MU.editor.innerHTML;
-        //text = _isFragment(editor) ? _fragmentString(editor) : editor.innerHTML;
-    };
-    return text;
+const _selectionSpansTextNodes = function() {
+    return _selectedTextNodes().length > 1;
 };
 
 /**
- * Return a pretty version of editor contents.
- *
- * Insert a newline between each top-level element so they are distinct
- * visually and each top-level element is in a contiguous text block vertically.
+ * Return an array of text nodes that the selection spans, including ones it
+ * only partially encompasses.
  *
- * @return {String}     A string showing the raw HTML with tags, etc.
+ * If the selection is collapsed or resides within a single text node, then return
+ * an empty array. We do this because the "normal" formatting logic applies within
+ * a single text node, whereas we use this method to deal with selection that
+ * spans across multiple text nodes. The text nodes we return may already reside
+ * in formatting elements (e.g., <B>, <I>, etc).
  */
-const _allPrettyHTML = function(editor) {
-    let text = '';
-    const childNodes = editor.childNodes;
-    const childNodesLength = childNodes.length;
-    for (let i = 0; i < childNodesLength; i++) {
-        let topLevelNode = childNodes[i];
-        text += _prettyHTML(topLevelNode, '', '', i === 0);
-        if (i < childNodesLength - 1) { text += '\n' };
-    }
-    return text;
+const _selectedTextNodes = function() {
+    const nodes = _selectedNodesNamed('#text');
+    return nodes.filter(textNode => !_isEmpty(textNode));
 };
 
 /**
- * Return a decently formatted/indented version of node's HTML.
+ * Return a text node that the range contains or null if the range is
+ * not within a single text node or is collapsed.
  *
- * The inlined parameter forces whether to put a newline at the beginning
- * of the text. By passing it in rather than computing it from node, we
- * can avoid putting a newline in front of the first element in _allPrettyHTML.
+ * When the range is within a single text node but only encompasses part of it,
+ * we need to split it into multiple text nodes and return the one that contains
+ * the range. We do this for formatting.
+ *
+ * Consider:
+ *      <b>Hello <u>bold |and| underline</u> world</b>
+ * where we want to unbold "and". We use _splitTextNode twice to produce:
+ *      <b>Hello <u>bold </u></b><b><u>and</u></b><u><b> underline</u> world</b>
+ * in the document. We need to return the text node "and" without the tag "type" so
+ * that it is unformatted without affecting the surrounding text formatting.
  */
-const _prettyHTML = function(node, indent, text, inlined) {
-    const nodeName = node.nodeName.toLowerCase();
-    const nodeIsTopLevel = indent.length === 0;
-    const nodeIsText = _isTextNode(node);
-    const nodeIsElement = _isElementNode(node);
-    const nodeIsInlined = inlined || _isInlined(node);  // allow inlined to force it
-    const nodeHasTerminator = !_isVoidNode(node);
-    const nodeIsEmptyElement = nodeIsElement && (node.childNodes.length === 0);
-    if (nodeIsText) {
-        text += _replaceAngles(node.textContent);
-    } else if (nodeIsElement) {
-        const terminatorIsInlined = nodeIsEmptyElement || (_isInlined(node.firstChild) && _isInlined(node.lastChild));
-        if (!nodeIsInlined) { text += '\n' + indent };
-        text += '<' + nodeName;
-        const attributes = node.attributes;
-        for (let i = 0; i < attributes.length; i++) {
-            const attribute = attributes[i];
-            text += ' ' + attribute.name + '=\"' + attribute.value + '\"';
-        };
-        text += '>';
-        node.childNodes.forEach(childNode => {
-            text = _prettyHTML(childNode, indent + '    ', text, _isInlined(childNode));
-        });
-        if (nodeHasTerminator) {
-            if (!terminatorIsInlined) { text += '\n' + indent };
-            text += '</' + nodeName + '>';
-        };
-        if (!nodeIsInlined && !terminatorIsInlined) {
-            indent = indent.slice(0, -4);
+const _subTextElementInRange = function(range, type) {
+    const startContainer = range.startContainer;
+    const startOffset = range.startOffset;
+    const endContainer = range.endContainer;
+    const endOffset = range.endOffset;
+    if ((range.collapsed) || (startContainer !== endContainer) || (!_isTextNode(startContainer))) { return null };
+    const splitLeading = startOffset !== 0;
+    const splitTrailing = endOffset !== endContainer.textContent.length;
+    let leadingTextNode = range.startContainer;
+    let subTextNode = leadingTextNode;
+    if (splitLeading) {
+        // The startOffset is after the beginning of an existingElement, so we need
+        // to split at startOffset and get the trailingTextNode
+        const trailingTextNode = _splitTextNode(leadingTextNode, startOffset, type, 'BEFORE');
+        if (splitTrailing) {
+            // The endOffset is before the end of an existingElement, so we need to
+            // split the trailingTextNode, too.
+            _splitTextNode(trailingTextNode, endOffset - startOffset, type, 'AFTER');
         };
-    };
-    return text;
-};
+        // The trailingTextNode now contains only the text that was selected
+        subTextNode = trailingTextNode;
+    } else if (splitTrailing) {
+        // The endOffset is before the end of an existingElement, so split the
+        // leadingTextNode, and what is left in leadingTextNode is what need to be untagged.
+        _splitTextNode(leadingTextNode, endOffset, type, 'AFTER');
+        subTextNode = leadingTextNode;
+    } else {
+        subTextNode = startContainer;
+    }
+    range.setStart(subTextNode, 0);
+    range.setEnd(subTextNode, subTextNode.textContent.length);
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return _unNest(subTextNode, type);
+}
 
 /**
- * Return a new string that has all < replaced with &lt; and all > replaced with &gt;
+ * Return a text node that the selection contains or null if the selection is
+ * not within a single text node or is collapsed.
+ *
+ * When the selection is within a single text node but only encompasses part of it,
+ * we need to split it into multiple text nodes and return the one that contains
+ * the selection. We do this for formatting.
  */
-const _replaceAngles = function(textContent) {
-    return textContent.replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+const _selectedSubTextElement = function(sel, type) {
+    const range = sel.getRangeAt(0);
+    return _subTextElementInRange(range, type);
 };
 
 /**
- * Return whether node should be inlined during the prettyHTML assembly. An inlined node
- * like <I> in a <P> ends up looking like <P>This is an <I>italic</I> node</P>.
+ * Un-nest the textNode from within nested formatting.
+ *
+ * Consider:
+ *      <p><b><u>Wo|rd 1</u><u> Word 2 </u><u>Wo|rd 3</u></b></p>
+ *
+ * In this case, there are originally three text nodes which are all bolded because
+ * of the outer <b>, but are individually underlined. We might want to unbold or ununderline.
+ * To do this, we have to split "Word 1" into two text nodes like:
+ *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u><u>Wo|rd 3</u></b></p>
+ * Now we can change the format of "rd 1". For "Word 2", we don't need to split the text
+ * node itself, but we do need to "un-nest" the bolding to get:
+ *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u></b><b><u>Wo|rd 3</u></b></p>
+ * and then we need to split the "Word 3" text node:
+ *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u></b><b><u>Wo</u></b><b><u>rd 3</u></b></p>
+ * so that the "Wo" portion-only can be formatted.
  */
-const _isInlined = function(node) {
-    return _isTextNode(node) || _isFormatElement(node) || _isLinkNode(node) || _isVoidNode(node)
+const _unNest = function(textNode, type) {
+    //_consoleLog("* _unNest(" + _textString(textNode) + ", " + type + ")");
+    const formatTags = _tagsMatching(textNode, _formatTags);
+    const inNestedTags = (formatTags.length > 1) && (formatTags[0] !== type);
+    const formatFollows = _isFormatElement(textNode.nextSibling);
+    const formatPrecedes = _isFormatElement(textNode.previousSibling);
+    let existingElement;
+    if (inNestedTags) {
+        // The selection is of type, but type is in an outer element. The leadingTextNode is
+        // part of a different format element. We need to split the existingElement of type
+        // into two elements starting after the innermost formatElement selection is in.
+        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
+        const childFormatElement = _findFirstParentElementInNodeNames(textNode, [formatTags[0]]); // The innermost tag
+        _splitFormatElement(existingElement, childFormatElement);
+    } else if (formatFollows) {
+        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
+        const sibFormatElement = textNode.nextSibling;
+        _splitFormatElement(existingElement, sibFormatElement, 'BEFORE');
+    } else if (formatPrecedes) {
+        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
+        const sibFormatElement = textNode.previousSibling;
+        _splitFormatElement(existingElement, sibFormatElement, 'AFTER');
+    } else {
+        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
+    }
+    //_consoleLog("* Done _unNest (returning " + _textString(existingElement) + ")");
+    return existingElement;
 };
 
 /**
- * Make sure selection is set to something reasonable when starting
- * or setting HTML.
- * Something reasonable here means the front of the first text node
- * or absent that, the firstChild in MU.editor. As a backup,
- * we will create an empty document if neither of those exist.
- * We make the contentEditable editor have focus when done. From a
- * the iOS perspective, this doesn't mean we becomeFirstResponder.
- * This should be done at the application level when the MarkupDelegate
- * signals contentDidLoad, because with more than one MarkupWKWebView,
- * the application has to decide when to becomeFirstResponder.
+ * Split a format element that contains a child of a different format.
+ *
+ * See the comments in unNest and subTextElementInRange for context.
  */
-const _initializeRange = function() {
-    const firstChild = _firstEditorElement();
-    if (firstChild) {
-        const selection = document.getSelection();
-        selection.removeAllRanges();
-        const range = document.createRange();
-        range.setStart(firstChild, 0);
-        range.setEnd(firstChild, 0);
-        selection.addRange(range);
-        _backupSelection();
+const _splitFormatElement = function(parentFormatElement, childFormatElement, direction='AFTER') {
+    //_consoleLog("* _splitFormatElement(" + _textString(parentFormatElement) + ", " + _textString(childFormatElement) + ", \'" + direction + "\')");
+    const parentName = parentFormatElement.nodeName;
+    const insertTarget = parentFormatElement.nextSibling;
+    let element;
+    if (direction === 'AFTER') {
+        element = childFormatElement.nextElementSibling ?? childFormatElement.nextSibling;
     } else {
-        if (MU.editor.isContentEditable) { MU.emptyDocument() }
+        element = childFormatElement;
     };
-    // Caller has to do _focusOn and/or callback to updateHeight if needed
-};
-
-/**
- * Return the first text node within MU.editor if possible, else its first child
- */
-const _firstEditorElement = function() {
-    const firstTextNode = _getFirstChildOfTypeWithin(MU.editor, Node.TEXT_NODE);
-    return firstTextNode ? firstTextNode : MU.editor.firstChild;
+    // Element can be null, in which case we don't split anything
+    while (element) {
+        const newFormatElement = document.createElement(parentName);
+        let nextElement = element.nextElementSibling;
+        let nextChild = element.nextSibling;
+        newFormatElement.appendChild(element);
+        parentFormatElement.parentNode.insertBefore(newFormatElement, insertTarget);
+        while (nextChild && !_isFormatElement(nextChild)) {
+            let nextNextChild = nextChild.nextSibling;
+            newFormatElement.appendChild(nextChild);
+            nextChild = nextNextChild;
+        };
+        element = nextElement;
+    };
+    //_consoleLog("* Done _splitFormatElement (with parentFormatElement now: " + _textString(parentFormatElement) + ")")
 };
 
 /********************************************************************************
- * DIV and Button-related functionality in support of DIVS defining
- * separate editable (or non-editable) styled areas within the MU.editor.
+ * Styling
+ * 1. Styles (P, H1-H6) are applied to blocks
+ * 2. Unlike formats, styles are never nested (so toggling makes no sense)
+ * 3. Every block should have some style
  */
-//MARK: DIV and Button Support
+//MARK: Styling
 
 /**
- * Add a div with id to parentId.
+ * Find/verify the oldStyle for the selection and replace it with newStyle.
+ * Replacement for execCommand(formatBlock).
  *
- * Return a string indicating what happened if there was a problem; else nil.
+ * @param {String}  oldStyle    One of the styles P or H1-H6 that exists at selection.
+ * @param {String}  newStyle    One of the styles P or H1-H6 to replace oldStyle with.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.addDiv = function(id, parentId, cssClass, jsonAttributes, htmlContents) {
-    const parent = document.getElementById(parentId);
-    if (!parent) {
-        return 'Cannot find parent ' + parentId + ' to add div ' + id;
-    };
-    if (document.getElementById(id)) {
-        return 'Div with id ' + id + ' already exists';
-    };
-    const div = document.createElement('div');
-    div.setAttribute('id', id);
-    div.setAttribute('class', cssClass);
-    div.addEventListener('focus', function(ev) {
-        _selectedID = ev.target.id;
-    });
-    div.addEventListener('blur', function(ev) {
-        if (!_muteFocusBlur) {
-            _selectedID = null;
-        };
-    });
-    let contenteditable;
-    if (jsonAttributes) {
-        const editableAttributes = JSON.parse(jsonAttributes);
-        if (editableAttributes) {
-            contenteditable = editableAttributes.contenteditable;
-            _setAttributes(div, editableAttributes);
-        };
-    };
-    if (htmlContents) {
-        const template = document.createElement('template');
-        template.innerHTML = htmlContents;
-        const newElement = template.content;
-        div.appendChild(newElement);
-    } else if (contenteditable === true) {
-        // Always make the empty div contents selectable. Note we do not send an 'input'
-        // callback, so we won't signal any change has occurred to the contents
-        // until there is some actual change.
-        const p = document.createElement('p');
-        p.appendChild(document.createElement('br'));
-        div.appendChild(p);
+MU.replaceStyle = function(oldStyle, newStyle, undoable=true) {
+    if (!newStyle) {
+        MUError.NoNewTag.callback();
+        return;
     };
-    parent.appendChild(div);
-};
-
-MU.removeDiv = function(id) {
-    const element = document.getElementById(id);
-    if (_isDiv(element)) {
-        element.parentNode.removeChild(element);
-    } else {
-        if (element) {
-            _consoleLog("Element to remove with id " + id + " is not a DIV");
-        } else {
-            _consoleLog("Element to remove with id " + id + " does not exist");
-        };
+    // Each selected cell has its own paragraph style to replace
+    const cellRange = (undoable) ? _selectedCellRange() : null;
+    if (cellRange) {
+        _doInSelectedCells(cellRange, function() {
+            MU.replaceStyle(_getParagraphStyle(), newStyle, false);
+        });
+        return;
     };
-};
-
-MU.addButton = function(id, parentId, cssClass, label) {
-    const button = document.createElement('button');
-    button.setAttribute('id', id);
-    button.setAttribute('class', cssClass);
-    button.setAttribute('type', 'button');
-    button.appendChild(document.createTextNode(label));
-    button.addEventListener('click', function() {
-        _callback(
-            JSON.stringify({
-                'messageType' : 'buttonClicked',
-                'id' : id,
-                'rect' : _getButtonRect(button)
-            })
-        )
-    });
-    const div = document.getElementById(parentId);
-    if (div) {
-        div.appendChild(button);
-    } else {
-        MU.editor.appendChild(button);
+    if (_selectionSpansStyles()) {
+        _multiStyle(newStyle, undoable);
+        return;
     };
-};
-
-MU.removeButton = function(id) {
-    const element = document.getElementById(id);
-    if (_isButton(element)) {
-        element.parentNode.removeChild(element);
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (!sel || !selNode) { return };
+    let existingElement = null;
+    if (oldStyle) {
+        // There can only be an existing element if oldStyle is non-null
+        existingElement = _findFirstParentElementInNodeNames(selNode, [oldStyle.toUpperCase()]);
     };
-};
-
-const _getButtonRect = function(button) {
-    const boundingRect = button.getBoundingClientRect();
-    const buttonRect = {
-        'x' : boundingRect.left,
-        'y' : boundingRect.top,
-        'width' : boundingRect.width,
-        'height' : boundingRect.height
+    if (existingElement) {
+        _replaceTag(existingElement, newStyle);
+        _backupSelection();
+        if (undoable) {
+            const undoerData = _undoerData('style', {oldStyle: oldStyle, newStyle: newStyle});
+            undoer.push(undoerData);
+        }
+        _callbackInput();
+    } else if (selNode.nodeType === Node.TEXT_NODE) {
+        // We occasionally (e.g., in lists) select unstyled text nodes.
+        // In these cases, we need to select the entire text node, set the style,
+        // and then reset the selection afterward. We can only do this when the
+        // selNode is not within a style already, since styles cannot be nested.
+        const rangeProxy = _rangeProxy()
+        let range = document.createRange();
+        range.setStart(selNode, 0);
+        range.setEnd(selNode, selNode.textContent.length);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        _setTag(newStyle, sel);
+        range = document.createRange();
+        range.setStart(range.startContainer, rangeProxy.startOffset);
+        range.setEnd(range.endContainer, rangeProxy.endOffset);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        if (undoable) {
+            // Pass the oldStyle as null since on undo we want to remove the style completely.
+            const undoerData = _undoerData('style', {oldStyle: null, newStyle: newStyle});
+            undoer.push(undoerData);
+        }
+        _callbackInput();
     };
-    return buttonRect;
 };
 
-MU.focusOn = function(id) {
-    const element = document.getElementById(id);
-    if (element) {
-        element.focus();
-    } else {
-        _consoleLog("Element to focus on does not exist: " + id);
+/**
+ * Make all styled elements within a selection that spans paragraph styles into newStyle.
+ *
+ * For undo, capture the commonAncestor, the newStyle, all the oldStyles that
+ * existed before changing to newStyle. For each paragraph element (e.g., <p>, <h1>-<h6>),
+ * capture the indices to reach that element from commonAncestor (which will not
+ * change).
+ */
+const _multiStyle = function(newStyle, undoable=true) {
+    const selectedStyleElements = _selectedStyles();
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) { return }
+    const range = sel.getRangeAt(0);
+    const commonAncestor = range.commonAncestorContainer;
+    let oldStyles = [];
+    let indices = []
+    for (let i = 0; i < selectedStyleElements.length; i++) {
+        const selectedStyleElement = selectedStyleElements[i]
+        oldStyles.push(selectedStyleElement.nodeName);
+        indices.push(_childNodeIndicesByParent(selectedStyleElement, commonAncestor));
+        _replaceTag(selectedStyleElement, newStyle.toUpperCase());
     };
-};
-
-MU.scrollIntoView = function(id) {
-    const element = document.getElementById(id);
-    if (element) {
-        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    } else {
-        _consoleLog("Element to scroll into view does not exist: " + id);
+    if (undoable) {
+        _backupSelection()
+        const undoerData = _undoerData('multiStyle', {commonAncestor: commonAncestor, newStyle: newStyle, oldStyles: oldStyles, indices: indices});
+        undoer.push(undoerData);
+        _restoreSelection()
     };
+    _callbackInput();
 };
 
 /**
- * Remove all child divs of MU.editor
+ * Undo the previous multiStyle operation.
+ *
+ * From undoerData, use the indices to find the element below
+ * commonAncestor, then just replaceTag to the oldStyle.
  */
-MU.removeAllDivs = function() {
-    const divs = [].filter.call(MU.editor.childNodes, function(el) { return _isDiv(el) });
-    for (const div of divs) {
-        div.remove();
+const _undoMultiStyle = function(undoerData) {
+    const commonAncestor = undoerData.data.commonAncestor;
+    const oldStyles = undoerData.data.oldStyles;
+    const indices = undoerData.data.indices;
+    for (let i = 0; i < indices.length; i++) {
+        const selectedParagraph = _childNodeIn(commonAncestor, indices[i]);
+        _replaceTag(selectedParagraph, oldStyles[i].toUpperCase());
     };
-}
-
-
-/********************************************************************************
- * Formatting
- * 1. Formats (B, I, U, DEL, CODE, SUB, SUP) are toggled off and on
- * 2. Formats can be nested, but not inside themselves; e.g., B cannot be within B
- */
-//MARK: Formatting
-
-MU.toggleBold = function() {
-    _toggleFormat('B');
-};
-
-MU.toggleItalic = function() {
-    _toggleFormat('I');
-};
-
-MU.toggleUnderline = function() {
-    _toggleFormat('U');
-};
-
-MU.toggleStrike = function() {
-    _toggleFormat('DEL');
-};
-
-MU.toggleCode = function() {
-    _toggleFormat('CODE');
-};
-
-MU.toggleSubscript = function() {
-    _toggleFormat('SUB');
-};
-
-MU.toggleSuperscript = function() {
-    _toggleFormat('SUP');
 };
 
 /**
- * Turn the format tag off and on for selection.
- * Called directly on undo/redo so that nothing new is pushed onto the undo stack
+ * Redo the previous multiStyle operation.
  *
- * type must be called using uppercase
+ * From undoerData, use the indices to find the element below
+ * commonAncestor, then just replaceTag to the newStyle.
  */
-const _toggleFormat = function(type, undoable=true) {
-    if (_selectionSpansTextNodes() && undoable) {
-        return _multiFormat(type, undoable);
-    };
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    if (!sel || !selNode || !sel.rangeCount) { return };
-    const range = sel.getRangeAt(0);
-    let tagRange;
-    let existingElement = _findFirstParentElementInNodeNames(selNode, [type]);
-    const ancestor = MU.editor;
-    let toggledOn;
-    if (existingElement) {
-        toggledOn = false;
-        //_consoleLog("\nTOGGLING " + type + " OFF")
-        // The selection can be within a single text node but only encompass part of it.
-        // In this case, we will split that text node and reassign existingElement
-        // before proceeding.
-        if (!sel.isCollapsed && undoable) {
-            existingElement = _selectedSubTextElement(sel, type);
-        };
-        let newRange;
-        const nextNode = existingElement.nextSibling;
-        const endOfNode = sel.isCollapsed && _isTextNode(selNode) && !(selNode.nextSibling) && (range.endOffset === selNode.textContent.length);
-        const emptyNextNode = !nextNode || (nextNode && _isTextNode(nextNode) && (nextNode.textContent.length === 0));
-        const placeholderChar = '\u200B';  // A zero width char (where '\u00A0' would be space)
-        if (endOfNode && emptyNextNode && range.collapsed) {
-            // We are at the end of a formatted piece of text, with nothing ahead of us.
-            // We want to allow continued typing in unformatted text.
-            // Append a zero width char and select after it. If we continue to type, text will be unformatted.
-            // The downside is that navigation with arrow keys knows there is a character there, but the user
-            // cannot see it (as is the case on inserting an empty formatting element like <b></b>. An
-            // alternative is to insert a space, which works okay, but would probably be unexpected by a user.
-            newRange = document.createRange();
-            const emptyTextNode = document.createTextNode(placeholderChar);
-            existingElement.parentNode.insertBefore(emptyTextNode, nextNode);
-            newRange.setStart(emptyTextNode, 1);
-            newRange.setEnd(emptyTextNode, 1);
-            sel.removeAllRanges();
-            sel.addRange(newRange);
-            undoable = false;       // Doesn't make sense to undo this operation
-        } else if (!endOfNode) {
-            tagRange = _unsetTag(existingElement, sel, true);
-        } else {
-            // The existingNode can contain only the placeholderChar, and if so, we need to unset it.
-            // This also ensures that undo works properly.
-            const textNode = existingElement.firstChild;
-            const cleanText = existingElement.textContent.replace(placeholderChar, '');
-            if (cleanText.length === 0) {
-                textNode.textContent = '';
-                newRange = document.createRange();
-                newRange.setStart(textNode, 0);
-                newRange.setEnd(textNode, 0);
-                sel.removeAllRanges();
-                sel.addRange(newRange);
-                tagRange = _unsetTag(existingElement, sel, true);
-            } else {
-                tagRange = _unsetTag(existingElement, sel, true);
-            };
-        };
-    } else {
-        //_consoleLog("\nTOGGLING " + type + " ON")
-        toggledOn = true;
-        tagRange = _setTag(type, sel);
+const _redoMultiStyle = function(undoerData) {
+    const commonAncestor = undoerData.data.commonAncestor;
+    const newStyle = undoerData.data.newStyle;
+    const indices = undoerData.data.indices;
+    for (let i = 0; i < indices.length; i++) {
+        const selectedParagraph = _childNodeIn(commonAncestor, indices[i]);
+        _replaceTag(selectedParagraph, newStyle.toUpperCase());
     };
-    _backupSelection();
-    if (undoable) {
-        // Both _setTag and _unsetTag reset the selection when they're done;
-        // however, the selection should be left in a way that undoing is accomplished
-        // by just re-executing the _toggleFormat. So, for example, _toggleFormat while
-        // selected between characters in a word will toggleFormat for the word, but leave
-        // the selection at the same place in that word. Also, toggleFormat when a word
-        // has a range selected will leave the same range selected.
-        const tagRangeIndices = _rangeIndices(tagRange);
-        const undoerData = _undoerData('format', {type: type, tagRangeIndices: tagRangeIndices, ancestor: ancestor, toggledOn: toggledOn});
-        //_consoleLog(_rangeString(tagRange, "tagRange: "))
-        //_consoleLog("undoerData.data: " + JSON.stringify(undoerData.data));
-        undoer.push(undoerData);
-    }
-    _callbackInput();
-    return tagRange;
 };
 
 /**
- * Undo or redo of the toggleFormat operation.
- *
- * The tagRange tells us what we need to select before using toggleFormat
- * to undo an earlier toggleFormat operation.
- *
- * The difficult part is restoring the selection across undo/redo/undo.
- * At "do" time, we set the indices and offsets that were present before we
- * perform the operation. So, for example, if we have selected a point in the
- * middle of a word, then the tagRange encompasses the word, while the indices
- * and offsets tell us how to set the selection *before* the operation is
- * performed. For undo and redo, then we select the tag range and when done,
- * we use the indices and offsets to set the selection. This leaves the
- * selection in the place it started before ever "did" the operation. Consider:
- *
- *  <p>Hello <b>bold and <i>ita|lic</i> world</b></p>
- *
- * Now "do" untag of ita|lic. We end up with:
- *
- *  <p>Hello <b>bold and ita|lic world</b></p>
+ * Return true if the selection spans _paragraphStyleTags.
  *
- * The tagRange was returned from the _unsetTag method. It captures
- * the range to be used later in the undo of untag. When performing the untag,
- * we set the undoerData with a tagRange of "italic" *after* the untag.
- * In contrast, indices and offsets measured are from <p> to locate <i>ita|lic</i>
- * in the original *before* the untag.
- */
-
-const _undoRedoToggleFormat = function(undoerData) {
-    //_consoleLog("\nundoRedoToggleFormat...")
-    //_consoleLog("undoerData.data: " + JSON.stringify(undoerData.data));
-    // We are going to redo the toggle of this type of element at the selection in the undoerData
-    const type = undoerData.data.type;
-    // Start by setting the selection to the tagRange, which encompasses
-    // the area to _toggleFormat on.
-    const sel = document.getSelection();
-    const tagRangeIndices = undoerData.data.tagRangeIndices;
-    const tagRange = _rangeFromIndices(tagRangeIndices);
-    //_consoleLog(_rangeString(tagRange, "tagRange: "))
-    sel.removeAllRanges();
-    sel.addRange(tagRange);
-    // Now tag or untag the format across the tagRange and update undoerData
-    // based on whether we previously toggledOn or not
-    const toggledOn = undoerData.data.toggledOn;
-    let newTagRange;
-    if (toggledOn) {
-        const existingElement = _findFirstParentElementInNodeNames(sel.focusNode, [type]);
-        newTagRange = _unsetTagInRange(existingElement, tagRange, true);
-        undoerData.data.toggledOn = false;
-        //_consoleLog("toggled off")
-    } else {
-        newTagRange = _setTagInRange(type, tagRange);
-        undoerData.data.toggledOn = true;
-        //_consoleLog("toggled on")
-    };
-    //_consoleLog(_rangeString(newTagRange, "newTagRange: "))
-    undoerData.data.tagRangeIndices = _rangeIndices(newTagRange);
-    // At this point, we can just reselect the tagRange. For history, tagRange
-    // in the case of word tagging starting from a collapsed selection would
-    // encompass the word itself. However, to properly support undo of that kind
-    // of tagging, the tagSelection is the collapsed selection. This works now
-    // because the undo/redo deals with word selection the same way as the original
-    // toggleFormat works.
-    sel.removeAllRanges();
-    sel.addRange(newTagRange);
-    //_consoleLog("undoerData.data after undo/redo: " + JSON.stringify(undoerData.data));
+ * It's possible (due to pasting) that we end up with a selection in a text
+ * node that is not inside of a paragraph style tag. Since we are only going to
+ * apply multiple operations at the paragraph style level, we will return
+ * false here in that case.
+ */
+const _selectionSpansStyles = function() {
+    const styles = _selectionStyles();
+    const startStyle = styles.startStyle;
+    const endStyle = styles.endStyle;
+    return startStyle && endStyle && (startStyle !== endStyle)
 };
 
 /**
- * Make all text elements within a selection that spans text nodes into newFormat.
+ * Return the paragraph style elements the selection starts in and ends in.
  *
- * Elements that are already in newFormat are not changed. The net effect
- * is that everything is set to newFormat, whether it started that way or not.
- * Then, when turning off formatting, it's all turned off. Therefore if
- * user selects across text that has various embedded bolds and then bolds once,
- * everything is bolded, but selecting bold again unbolds everything. This is the
- * way other text editors work to allow easy "format everything" and "remove
- * all formatting" across a selection (as opposed to toggling the items in the
- * selection).
+ * Note the difference with _selectedStyles, which returns the style elements within
+ * the selection.
  */
-const _multiFormat = function(newFormat, undoable=true) {
-    // Find all the text nodes within the selection
-    const selectedTextNodes = _selectedTextNodes();
+const _selectionStyles = function() {
     const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) {
-        MUError.NoSelection.callback();
-        return;
-    };
+    if (!sel || (sel.rangeCount === 0)) { return {} };
     const range = sel.getRangeAt(0);
     const startContainer = range.startContainer;
-    const startOffset = range.startOffset;
+    const startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
     const endContainer = range.endContainer;
-    const endOffset = range.endOffset;
-    let commonAncestor = MU.editor;
-    // If commonAncestor has a _formatTag, we might be mucking with it as we use _subTextElementInRange
-    // later in such a way that it is no longer a common ancestor of elements across the range. To prevent
-    // any problems, use the style above it if commonAncestor has a _formatTag.
-    if (_isFormatElement(commonAncestor)) {
-        const styleParent = _findFirstParentElementInNodeNames(commonAncestor, _paragraphStyleTags);
-        commonAncestor = styleParent ?? MU.editor;     // MU.editor as a last ditch attempt to avoid problems
+    const endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
+    return {startStyle: startStyle, endStyle: endStyle};
+};
+
+/**
+ * Return an array of paragraph-styled Elements that the selection spans, including ones it
+ * only partially encompasses.
+ *
+ * If the selection doesn't span paragraph styles, return an empty array. We do this even though
+ * the selection is within a paragraph. This is because the function is used for operations
+ * that span paragraphs.
+ */
+const _selectedStyles = function() {
+    if (!_selectionSpansStyles()) { return [] };
+    const styles = _selectionStyles();
+    const startStyle = styles.startStyle;
+    const endStyle = styles.endStyle;
+    const styleRange = document.createRange();
+    styleRange.setStart(startStyle, 0);
+    styleRange.setEnd(endStyle, 0);
+    return _nodesWithNamesInRange(styleRange, _paragraphStyleTags);
+};
+
+/********************************************************************************
+ * Lists
+ */
+//MARK: Lists
+
+/**
+ * Turn the list tag off and on for selection, doing the right thing
+ * for different cases of selections.
+ * If the selection is in a list type that is different than newListTyle,
+ * we need to create a new list and make the selection appear in it.
+ * The list types are 'UL', 'OL', and 'CHECKLIST', which is a UL whose
+ * items can be checked using MU.toggleChecked.
+ *
+ * @param {String}  newListType     The kind of list we want the list item to be in if we are turning it on or changing it.
+ * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ */
+MU.toggleListItem = function(newListType, restoreContainingList=false, undoable=true) {
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (!sel || !selNode || !sel.rangeCount) { return };
+    if (_selectionSpansListables()) {
+        _multiList(newListType, undoable);
+        return;
     };
-    let oldFormats = [];
-    let indices = []
-    let newStartContainer, newEndContainer;
-    const formattedElements = selectedTextNodes.filter( textNode => _findFirstParentElementInNodeNames(textNode, [newFormat]) );
-    // If all nodes are of the same newFormat already, then unsetAll===true; otherwise,
-    // unsetAll===false indicates that all nodes will be set to newFormat, with the ones
-    // that are already in newFormat left alone. We need to know what unsetAll was in undo also.
-    const unsetAll = formattedElements.length === selectedTextNodes.length;
-    for (let i = 0; i < selectedTextNodes.length; i++) {
-        const selectedTextNode = selectedTextNodes[i];
-        // If the selectedTextNode is not within newFormat, then track its format at #text,
-        // signifying that it will be inserted into a newFormat block. If it is within
-        // the newFormat, then put that into the oldFormats array.
-        const existingFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
-        const existingFormat = (existingFormatElement) ? existingFormatElement.nodeName : selectedTextNode.nodeName;
-        let tagRange = document.createRange();
-        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
-        const newEndContainer = (i === selectedTextNodes.length - 1) && (selectedTextNode === endContainer);
-        if (newStartContainer) {
-            tagRange.setStart(selectedTextNode, startOffset);
+    // Capture the range settings for the selection
+    const range = sel.getRangeAt(0).cloneRange();
+    const oldStartContainer = range.startContainer;
+    const oldStartOffset = range.startOffset;
+    const oldEndContainer = range.endContainer;
+    const oldEndOffset = range.endOffset;
+    const selectionState = _getSelectionState();
+    const styleType = selectionState['style'];
+    const oldListType = selectionState['list'];
+    const isInListItem = selectionState['li'];
+    // We will capture the newSelNode for restoring the selection along the way
+    let newSelNode = null;
+    // Track whether we removed a list containing a list so we can restore on undo
+    let removedContainingList = false;
+    if (oldListType) {
+        // TOP-LEVEL CASE: We selected something in a list
+        const listElement = _findFirstParentListOfType(selNode, oldListType);
+        const listItemElementCount = _childrenWithNodeNameCount(listElement, 'LI');
+        if (isInListItem) {
+            // CASE: We selected a list item inside of a list
+            const listItemElement = _findFirstParentElementInNodeNames(selNode, ['LI']);
+            if (oldListType === newListType) {
+                // We need to determine if we are in a node whose enclosing LI should be toggled
+                // off or on. This is made more complicated by the fact that selNode is not necessarily
+                // inside of any style tag (like <p>).
+                // Consider this case with the selection in 'Bar'. Here styleType will be null,
+                // and oldListType will be 'UL'. 'Bar' is a TEXT_NODE whose parentNode is <OL>, and
+                // we want to put it in an <LI>.
+                //  <ul>
+                //      <li>
+                //          <h5>Foo</h5>
+                //          <ol>
+                //              Bar
+                //              <li>Baz</li>
+                //          </ol>
+                //      </li>
+                //      <li><h5>Fiz</h5></li>
+                //  </ul>
+                // And then this one. Here styleType is 'P'. 'Bar' is a text node whose parentNode
+                // is <P>, and we want to put it in an <LI>
+                //  <ul>
+                //      <li>
+                //          <h5>Foo</h5>
+                //          <ol>
+                //              <p>Bar</p>
+                //              <li>Baz</li>
+                //          </ol>
+                //      </li>
+                //      <li><h5>Fiz</h5></li>
+                //  </ul>
+                // To make both of these cases work, find the parentNode that is in listStyleTags(). If
+                // there is one, then that parentNode is what we want to put in a newListItem. If there
+                // isn't one, then we just want to put selNode into it.
+                // But, now consider the same cases when selecting 'Baz'. The difference between 'Bar'
+                // and 'Baz' is that 'Bar' isn't in a <LI> inside of the <OL> or <UL>, the listElement.
+                // We need a way to determine if selNode is "naked" inside of a list (we know it is in
+                // a list). If it is naked, then the rule above works -- we always want do put it in a
+                // new <LI>. If it's not naked, we might still want to toggle it on, but only if it
+                // has a previousElementSibling, because it is by definition without a visible bullet
+                // or number.
+                const containingBlock = _findFirstParentElementInNodeNames(selNode, _listStyleTags)
+                const liChild = (containingBlock) ? containingBlock : selNode
+                //_consoleLog("liChild.outerHTML: " + liChild.outerHTML);
+                const naked = _isNakedListSelection(liChild);
+                const previousSib = liChild.previousElementSibling;
+                if (previousSib || (naked && (listItemElementCount > 0))) {
+                    //_consoleLog("Toggle on")
+                    //_consoleLog(" previousSib: " + previousSib + ", naked: " + naked + ", listItemElementCount: " + listItemElementCount);
+                    //_consoleLog(" Setting tag for " + liChild);
+                    // We want to make the selNode into a new list item in the existing list.
+                    // But, we also want it to include all of its siblings.
+                    const newListItem = document.createElement('li');
+                    let nextSib = liChild.nextSibling;  // Get nextSib before we put it in the LI and it doesn't have any sibs any more
+                    //_consoleLog(" Appending " + liChild.textContent);
+                    newListItem.appendChild(liChild);
+                    let nextNextSib;
+                    while (nextSib && (nextSib.nodeName !== 'LI')) {
+                        nextNextSib = nextSib.nextSibling;
+                        //_consoleLog(" Appending " + nextSib.textContent);
+                        newListItem.appendChild(nextSib);
+                        nextSib = nextNextSib;
+                    }
+                    if (naked) {
+                        listElement.insertBefore(newListItem, nextSib);
+                    } else {
+                        listElement.insertBefore(newListItem, listItemElement.nextSibling);
+                    }
+                    newSelNode = newListItem;
+                } else {
+                    //_consoleLog("Toggle off")
+                    if (listItemElementCount === 0) {
+                        //_consoleLog(" Unsetting tag for " + listElement.outerHTML);
+                        _unsetTag(listElement, sel);
+                    } else {
+                        //_consoleLog(" Unsetting tag for " + listItemElement.outerHTML);
+                        // We want to toggle it off and remove the list altogether if it's empty afterward
+                        // NOTE: _unsetTag resets the selection properly itself. So, we don't
+                        // set newSelNode in this case
+                        _unsetTag(listItemElement, sel);
+                        if (listItemElementCount === 1) {
+                            // There was only one list item, and we just removed it
+                            // So, unset the list. This seems like the right thing to do,
+                            // because it can be confusing visually to still have some kind
+                            // of list present without any list items in it. We don't have
+                            // to do this, but it just seems less confusing to an end user.
+                            _unsetTag(listElement, sel);
+                            // We need to track that we removed the list so that we can put any contained
+                            // list back in as its child when we undo
+                            removedContainingList = true;
+                        }
+                    }
+                }
+            } else {
+                if (listItemElementCount === 1) {
+                    // If this is the only item in the list, then change the list type rather than
+                    // change the one element.
+                    if (newListType) {
+                        const newList = _replaceList(listElement, newListType);
+                        newSelNode = newList.firstChild;
+                    } else {
+                        // We are unsetting the list for a single-item list, so just remove both so
+                        // the list is removed.
+                        _unsetTag(listItemElement, sel);
+                        _unsetTag(listElement, sel);
+                    }
+                } else {
+                    // We want to replace the existing list item with a newListType list that contains it
+                    newSelNode = _splitList(listItemElement, newListType);
+                }
+            }
+            if (newSelNode) {
+                _collapseList(newSelNode)
+            };
+        } else if (styleType) {
+            // CASE: We selected a styled element in a list, but not in an LI
+            const styledElement = _findFirstParentElementInNodeNames(selNode, [styleType]);
+            if (oldListType === newListType) {
+                // We want the entire styled element to be a list item in the existing list
+                newSelNode = _replaceNodeWithListItem(styledElement);
+            } else {
+                // We want to make the entire styled element the first item in a new newListType list
+                newSelNode = _replaceNodeWithList(newListType, styledElement);
+            }
+        } else if (oldListType === newListType) {
+            // CASE: We selected something in a newListType list that is not an LI and not styled.
+            // Replace selNode with a new LI that contains it
+            newSelNode = _replaceNodeWithListItem(selNode);
+        } else {
+            // CASE: We selected something in a not-newListType list that is not an LI and not styled.
+            // Replace selNode with a newListType list that contains one LI containing selNode
+            newSelNode = _replaceNodeWithList(newListType, selNode);
+        }
+    } else {
+        // TOP-LEVEL CASE: We selected something outside of any list
+        // By definition, we want to put it in a newListType list
+        const styledElement = _findFirstParentElementInNodeNames(selNode, [styleType]);
+        let nextElementSib;
+        if (styledElement) {
+            nextElementSib = styledElement.nextElementSibling;
+            newSelNode = _replaceNodeWithList(newListType, styledElement);
         } else {
-            tagRange.setStart(selectedTextNode, 0);
+            nextElementSib = selNode.nextElementSibling;
+            newSelNode = _replaceNodeWithList(newListType, selNode);
         };
-        if (newEndContainer) {
-            tagRange.setEnd(selectedTextNode, endOffset);
-        } else {
-            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
+        // If the nextElementSibling of what we just put into a list is also a list,
+        // then make it a child of the new list.
+        if (_isListElement(nextElementSib) && restoreContainingList) {
+            newSelNode.appendChild(nextElementSib);
         };
+    };
+    // If we captured the newSelNode, then reset the selection based on it
+    if (newSelNode) {
+        let startContainer, endContainer;
+        startContainer = _firstChildMatchingContainer(newSelNode.parentNode, oldStartContainer);
+        if (oldEndContainer ===  oldStartContainer) {
+            endContainer = startContainer;
+        } else {
+            endContainer = _firstChildMatchingContainer(newSelNode.parentNode, oldEndContainer);
+        }
+        range.setStart(startContainer, oldStartOffset);
+        range.setEnd(endContainer, oldEndOffset);
         sel.removeAllRanges();
-        sel.addRange(tagRange);
-        let formattedTagRange = tagRange;
-        let newStartOffset = tagRange.startOffset;
-        let newEndOffset = tagRange.endOffset;
+        sel.addRange(range);
+    }
+    if (undoable) {
+        _backupSelection();
+        const undoerData = _undoerData('list', {newListType: newListType, oldListType: oldListType, removedContainingList: removedContainingList});
+        undoer.push(undoerData);
+        _restoreSelection();
+    }
+    _callbackInput();
+};
+
+/**
+ * Turn the elements found in _selectedListables into list of type newListType.
+ *
+ * Listables are paragraph elements that are not within lists, and well as lists themselves.
+ * When listables are elementSiblings, we want them to end up in the same list.
+ */
+const _multiList = function(newListType, undoable) {
+    const selectedListables = _selectedListables();
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) { return }
+    const range = sel.getRangeAt(0);
+    const listableElements = selectedListables.filter( listableElement => _findFirstParentListOfType(listableElement, newListType, ['LI']));
+    // If all elements are of the same newListType already, then unsetAll===true; otherwise,
+    // unsetAll===false indicates that all elements will be set to newListType, with the ones
+    // that are already in newListType left alone. We need to know what unsetAll was in undo also.
+    const unsetAll = listableElements.length === selectedListables.length;
+    // Rather than use the range.commonAncestorContainer, we use MU.editor because it's too
+    // easy for the common ancestor to end up being something we change.
+    const commonAncestor = MU.editor;
+    // Record the indices of selectedListables before we modify them, because this tells us how
+    // to reassemble them on undo. The multilist operation may change the number of listables, so
+    // "originalIndices" here refers to what exists when we start. As we loop over selectedListables,
+    // we will be creating newListableElements, and for each of those we track the originalIndices
+    // entry they were derived from in "oldIndices". This tells us the location and depth in the list
+    // they were derived from to use during undo.
+    const originalIndices = [];  // So we can tell how to reassemble on undo
+    for (let i = 0; i < selectedListables.length; i++) {
+        originalIndices[i] = _childNodeIndicesByParent(selectedListables[i], commonAncestor)
+    };
+    // Altho the selectedListables will change position in the DOM, they will still exist,
+    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
+    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
+    const savedRange = _rangeProxy();
+    const tagRange = document.createRange();
+    const newListableElements = [];
+    const oldListables = [];
+    const oldIndices = [];
+    let currentList, currentListItem;
+    for (let i = 0; i < selectedListables.length; i++) {
+        let selectedListable = selectedListables[i];    // A top-level style or a UL or OL
+        const isListElement = _isListElement(selectedListable);
+        const oldIndex = originalIndices[i];
+        const nextListable = (i < selectedListables.length - 1) ? selectedListables[i + 1] : null;
+        const nextIsSibling = nextListable && (selectedListable.nextElementSibling === nextListable);
         if (unsetAll) {
-            // We may need to select a part of the selectedTextNode (or perhaps all of it,
-            // depending on tagRange). If necessary, _selectedSubTextElement subdivides
-            // selectedTextNode into 2 nodes while leaving sel set to the subnode that needs
-            // to be untagged.
-            const newFormatElement = _subTextElementInRange(tagRange, newFormat);
-            formattedTagRange = document.createRange();
-            formattedTagRange.selectNode(newFormatElement);
-            formattedTagRange = _unsetTagInRange(newFormatElement, formattedTagRange);   // Don't merge text nodes
-            newStartOffset = 0;
-        } else if (!existingFormatElement) {
-            // Set tags using tagRange, not the selection.
-            // When the selection includes leading or trailing blanks, the startOffset and endOffsets
-            // from document.getSelection are inset from the ends. So, we can't rely on it being
-            // correct when looping over elements. If we rely on the selection, then the insets
-            // can end up removing blanks between words.
-            formattedTagRange = _setTagInRange(newFormat, tagRange);
-            newStartOffset = 0;
-        };
-        let newSelectedTextNode;
-        if (_isTextNode(formattedTagRange.startContainer)) {
-            newSelectedTextNode = formattedTagRange.startContainer;
+            // Every selectedListable is of newListType, that we are going to remove.
+            // First, eliminate all the list items, which should hold styled elements
+            // and hold onto all the styled elements we end up with in unsetChildren.
+            const unsetChildren = [];
+            let childNode = selectedListable.firstChild;
+            while (childNode) {
+                let nextChildNode = childNode.nextSibling;
+                if (_isListItemElement(childNode)) {
+                    tagRange.selectNode(childNode);
+                    const textNodeRange = _unsetTagInRange(childNode, tagRange);
+                    const styledElement = _findFirstParentElementInNodeNames(textNodeRange.startContainer, _styleTags);
+                    if (styledElement) {
+                        unsetChildren.push(styledElement);
+                    };
+                };
+                childNode = nextChildNode;
+            };
+            // Then, remove the selectedListable by removing its tag.
+            tagRange.selectNode(selectedListable);
+            _unsetTagInRange(selectedListable, tagRange);
+            // And track the unsetChildren (i.e., new top-level paragraph styles) that we have left over
+            // so that we can retag them on undo.
+            for (let j = 0; j < unsetChildren.length; j++) {
+                let unsetChild = unsetChildren[j];
+                oldListables.push(newListType);                 // Remains the same for each child
+                oldIndices.push(oldIndex);                      // Remains the same for each child
+                newListableElements.push(unsetChild);           // Track so we can get indices when done
+            };
         } else {
-            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
-            if (_isTextNode(startChild)) {
-                newSelectedTextNode = startChild;
+            // We are only going to set the ones that are not of newListType, adding them to
+            // the list we are currently in, or creating a new currentList as needed
+            let oldListable = _listableType(selectedListable);
+            if (!currentList) {
+                if (isListElement) {
+                    currentList = selectedListable;
+                    if (oldListable !== newListType) {
+                        selectedListable = _replaceList(selectedListable, newListType);
+                    };
+                } else {
+                    currentList = _createList(newListType);
+                    selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
+                    currentListItem = document.createElement('LI');
+                    currentList.appendChild(currentListItem);
+                    currentListItem.appendChild(selectedListable);
+                };
             } else {
-                newSelectedTextNode = _firstTextNodeChild(startChild);
+                if (isListElement) {
+                    if (oldListable !== newListType) {
+                        selectedListable = _replaceList(selectedListable, newListType);
+                    };
+                    if (currentListItem) {
+                        currentListItem.appendChild(selectedListable);  // Should always be true
+                    } else {
+                        currentList.appendChild(selectedListable);
+                    };
+                } else {
+                    currentListItem = document.createElement('LI');
+                    currentList.appendChild(currentListItem);
+                    currentListItem.appendChild(selectedListable);
+                };
             };
+            // The selectedListable's location in the DOM has likely changed, so push now.
+            // Also worth noting that when the selectedListable is a top-level styled element that
+            // is now embedded in a list, you might logically think the only listable should be
+            // the list it's now embedded in. However, that doesn't let us map them back easily
+            // on undo, so we track the styled element in the list, not the list.
+            oldListables.push(oldListable);
+            oldIndices.push(oldIndex);
+            newListableElements.push(selectedListable);
         };
-        // After we set or unset the tag, we need to track the oldFormat and indices, since they
-        // are changed when we set the tag.
-        oldFormats.push(existingFormat);
-        indices.push(_childNodeIndicesByParent(newSelectedTextNode, commonAncestor));
-        if (newStartContainer) {
-            range.setStart(newSelectedTextNode, newStartOffset);
-        };
-        if (newEndContainer) {
-            range.setEnd(newSelectedTextNode, newEndOffset);
+        // If the next selectedListable we are going to see is a sibling element of currentList,
+        // then leave currentList the same so it gets appended; else set currentList to null
+        // so that the next loop will create a new list as needed.
+        if (!nextIsSibling) {
+            currentList = null;
+            currentListItem = null;
         };
     };
-    sel.removeAllRanges();
-    sel.addRange(range);
+    // Now find indices after looping over all the original selectedListables
+    const indices = [];
+    for (let i = 0; i < newListableElements.length; i++) {
+        indices.push(_childNodeIndicesByParent(newListableElements[i], commonAncestor));
+    };
+    // For posterity, even though it looks visually like OL/UL are at a lower level in a nested list
+    // hierarchy than P, they are not. Consider:
+    //  <p id="p1">Top-level paragraph 1</p>
+    //  <ul id="ul1">
+    //      <li>
+    //          <p id="p2>Unordered list paragraph 1</p>
+    //          <ol id="ol1">
+    //              <li><p>Ordered sublist paragraph</p></li>
+    //          </ol>
+    //      </li>
+    //  </ul>
+    //  <p id="p3">Top-level paragraph 2</p>
+    //  <ol id="ol2">
+    //      <li><p>Ordered list paragraph 1</p></li>
+    //  </ol>
+    // In this arrangement, p1, ul1, p3, and ol2 are siblings, and p2 and ol1 are siblings. This is
+    // structurally true even though ul1 looks like it is indented compared to p1, and even though
+    // ol1 looks like it is indented compared to p2. In the above, the listables are, in breadthwise
+    // order: p1, ul1, p3, ol2, ol1. Now if all of those listables are set to UL using multilist,
+    // we end up with (preserving the ids even though all list types are now UL):
+    //  <ul id="ul0">
+    //      <li>
+    //          <p id="p1">Top-level paragraph 1</p>
+    //          <ul id="ul1">
+    //              <li>
+    //                  <p id="p2">Unordered list paragraph 1</p>
+    //                  <ul id="ol1">
+    //                      <li><p>Ordered sublist paragraph</p></li>
+    //                  </ul>
+    //              </li>
+    //          </ul>
+    //      </li>
+    //      <li>
+    //          <p id="p3">Top-level paragraph 2</p>
+    //          <ul id="ol2">
+    //              <li><p>Ordered list paragraph 1</p></li>
+    //          </ul>
+    //      </li>
+    //  </ul>
+    // Note that p1 and ul1 are now siblings, and p3 and ol2 are now siblings.
+    _restoreRange(savedRange);
     if (undoable) {
-        _backupSelection()
-        const undoerData = _undoerData('multiFormat', {commonAncestor: commonAncestor, newFormat: newFormat, oldFormats: oldFormats, indices: indices, unsetAll: unsetAll}, range);
+        _backupSelection();
+        const undoerData = _undoerData('multiList', {commonAncestor: commonAncestor, newListType: newListType, oldListables: oldListables, oldIndices: oldIndices, indices: indices, unsetAll: unsetAll}, savedRange);
         undoer.push(undoerData);
-        _restoreSelection()
+        _restoreSelection();
     };
     _callbackInput();
-    return range;
 };
 
 /**
- * Undo the previous multiFormat operation.
+ * Undo the previous multiList operation.
  */
-const _undoMultiFormat = function(undoerData) {
+const _undoMultiList = function(undoerData) {
     const sel = document.getSelection();
     if (!sel || sel.rangeCount === 0) {
         MUError.NoSelection.callback();
         return;
     };
-    const oldRange = undoerData.range;
-    const startContainer = oldRange.startContainer;
-    const startOffset = oldRange.startOffset;
-    const endContainer = oldRange.endContainer;
-    const endOffset = oldRange.endOffset;
+    const range = undoerData.range;
+    const startContainer = range.startContainer;
+    const startOffset = range.startOffset;
+    const endContainer = range.endContainer;
+    const endOffset = range.endOffset;
     const commonAncestor = undoerData.data.commonAncestor;
-    const oldFormats = undoerData.data.oldFormats;
-    const newFormat = undoerData.data.newFormat;
+    const oldListables = undoerData.data.oldListables;
+    const oldIndices = undoerData.data.oldIndices;
+    const oldContainerIndices = _containerIndices(oldIndices);    // Points to containing elements in oldIndices
+    const newListType = undoerData.data.newListType;
     const indices = undoerData.data.indices;
     const unsetAll = undoerData.data.unsetAll;
-    const selectedTextNodes = [];
-    indices.forEach(index => {;
-        selectedTextNodes.push(_childNodeIn(commonAncestor, index))
-    });
-    const range = document.createRange();
-    for (let i = 0; i < selectedTextNodes.length; i++) {
-        const selectedTextNode = selectedTextNodes[i];
-        const oldFormat = oldFormats[i];    // oldFormat was what the selectedTextNode was before formatting
-        const newFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
+    // Altho the selectedListables will change position in the DOM, they will still exist,
+    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
+    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
+    const savedRange = _rangeProxy();
+    // Find all the listables first, because once we start mucking around with the list, we won't
+    // be able to find them from indices any more. The "mucking around" involves removing things
+    // from lists, splitting them, etc. While we are mucking around, the listables themselves will
+    // still exist, but their location in the DOM will be changed.
+    const selectedListables = [];
+    for (let i = 0; i < indices.length; i++) {
+        let selectedListable = _childNodeIn(commonAncestor, indices[i]);
+        selectedListables.push(selectedListable);
+    };
+    let currentList, currentListItem;
+    const newSelectedListables = [];
+    for (let i = 0; i < selectedListables.length; i++) {
+        const selectedListable = selectedListables[i];
+        const oldIndex = oldIndices[i];         // oldIndex is what indices to selectedListable were before setting
+        const oldListable = oldListables[i];    // oldListable is what the selectedListable was before setting
+        const isListElement = _isListElement(selectedListable);
+        const nextExists = (i < selectedListables.length - 1);
+        const nextListable = nextExists && selectedListables[i + 1];
+        const nextOldIndex = nextExists && oldIndices[i + 1];
+        const nextOldListable = nextExists && oldListables[i + 1]
+        // When oldContainerIndices[i+1] is non-null, it holds the index into oldIndices where
+        // we will find the array of childNodes to find the element that contains the nextListable
+        const nextIsSubList = nextExists && (oldContainerIndices[i + 1] !== null);
+        // We can end up with a case of the selectedListable being a <P> (i.e., a top-level paragraph),
+        // but the newListType being <UL> or <OL>. In this case, we won't find a newListableElement
+        // or a newListItem, since the selectedListable isn't in a list at all.
+        const newListableElement = _findFirstParentListOfType(selectedListable, newListType);
+        // Since a UL/OL can be within a LI, we need to exclude _listTags when searching upward for the LI
+        let newListItemElement = _findFirstParentElementInNodeNames(selectedListable, ['LI'], _listTags);
         let tagRange = document.createRange();
-        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
-        const newEndContainer = (i === indices.length - 1) && (selectedTextNode === endContainer);
+        const newStartContainer = (i === 0) && (selectedListable === startContainer);
+        const newEndContainer = (i === indices.length - 1) && (selectedListable === endContainer);
         if (newStartContainer) {
-            tagRange.setStart(selectedTextNode, startOffset);
+            tagRange.setStart(selectedListable, startOffset);
         } else {
-            tagRange.setStart(selectedTextNode, 0);
+            tagRange.setStart(selectedListable, 0);
         };
         if (newEndContainer) {
-            tagRange.setEnd(selectedTextNode, endOffset);
+            tagRange.setEnd(selectedListable, endOffset);
         } else {
-            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
+            tagRange.setEnd(selectedListable, _endOffsetFor(selectedListable));
         };
         sel.removeAllRanges();
         sel.addRange(tagRange);
-        // If !unsetAll, then we only setTag for elements that were not already in newFormat,
-        // and now we want to untag only those elements.
-        // If unsetAll, then we toggled all elements off, and now we need to make all of them newFormat.
-        const untag = !unsetAll && newFormatElement && (oldFormat !== newFormat);
-        let formattedTagRange = tagRange;
-        const newStartOffset = tagRange.startOffset;
-        const newEndOffset = tagRange.endOffset;
+        // If !unsetAll, then we only set the new list type for OL or UL that are different
+        // from the oldListable. We use the existing splitList method to do the hard work when
+        // removing a tag altogether. When the tag changes, just replaceTag.
+        // If unsetAll, then we removed all lists at "do" time, and now we need to make all listables
+        // back into lists with the proper nesting.
+        const untag = !unsetAll && newListableElement && newListItemElement && (oldListable !== _listType(newListableElement));
+        const replaceTag = !unsetAll && _isListElement(newListableElement) && (oldListable !== _listType(newListableElement));
         if (untag) {
-            formattedTagRange = _unsetTagInRange(newFormatElement, tagRange);
+            let styleElement = _splitList(newListItemElement);
+            newSelectedListables.push(styleElement);
+        } else if (replaceTag) {
+            let listElement = _replaceList(newListableElement, oldListable);
+            newSelectedListables.push(listElement);
         } else if (unsetAll) {
-            formattedTagRange = _setTagInRange(newFormat, tagRange);
+            // If currentList is null, we have to create it as a top-level list. At the end of the
+            // loop, we set it based on the oldIndices, either to null because we need to create
+            // a new top-level list for the next listable, or to a sublist that we create or have
+            // previously created.
+            if (!currentList) {
+                currentList = _createList(newListType);
+                selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
+                newSelectedListables.push(currentList);     // Track the new list we just created
+            };
+            // When we unsetAll previously, every listable  has to be placed in a new LI in the currentList
+            let currentListItem = document.createElement('LI');
+            currentList.appendChild(currentListItem);
+            currentListItem.appendChild(selectedListable);
+            // If the next selectedListable is a subList, we have to create a new UL or OL to put
+            // in the LI that we already created. That LI is not necessarily currentListItem.
+            // The oldListIndex has the path through commonAncestor childNodes to find that LI.
+            // The last item in oldListIndex is the childNode (OL or OL) we are about to create,
+            // and the path up to that last item gives us the LI it should reside in.
+            if (nextIsSubList) {
+                // The list item we are going to put a new subList into should already exist
+                // because of the ordering we restore the list in.
+                const listItemIndex = nextOldIndex.slice(0, -1);    // Remove the last item
+                const listItem = _childNodeIn(commonAncestor, listItemIndex);
+                const subList = _createList(newListType);
+                listItem.appendChild(subList);
+                currentList = subList;                      // Use the new sublist for the next item
+                newSelectedListables.push(currentList);     // Track the new list we just created
+            };
+        } else {
+            // Do nothing to this element. We still need to track it, though.
+            newSelectedListables.push(selectedListable);
+        }
+        const newRange = sel.getRangeAt(0);
+        if (newStartContainer) {
+            range.setStart(newRange.startContainer, newRange.startOffset);
         };
-        let newSelectedTextNode;
-        if (_isTextNode(formattedTagRange.startContainer)) {
-            newSelectedTextNode = formattedTagRange.startContainer;
+        if (newEndContainer) {
+            range.setEnd(newRange.endContainer, newRange.endOffset);
+        };
+    };
+    // Why update undoerData after the undo? Because on redo, we use the undoerData again, but
+    // the listables, depths, and indices of the elements have changed after undo.
+    undoerData.data.oldListables = [];
+    undoerData.data.indices = [];
+    newSelectedListables.forEach(newSelectedListable => {
+        undoerData.data.oldListables.push(_listableType(newSelectedListable));
+        undoerData.data.indices.push(_childNodeIndicesByParent(newSelectedListable, commonAncestor));
+    });
+    _restoreRange(savedRange);
+    undoerData.range = savedRange;
+    _callbackInput();
+};
+
+/**
+ * Redo the previous undo of the multiList operation.
+ *
+ * Basically similar to _multiList, except the data for the operation is all
+ * derived from the undoerData, not the selection.
+ */
+const _redoMultiList = function(undoerData) {
+    const newListType = undoerData.data.newListType;
+    const commonAncestor = undoerData.data.commonAncestor;
+    const originalIndices = undoerData.data.indices;    // Indices to the results of undo (i.e., what we once started with)
+    const selectedListables = [];
+    for (let i = 0; i < originalIndices.length; i++) {
+        selectedListables[i] = _childNodeIn(commonAncestor, originalIndices[i]);
+    };
+    const listableElements = selectedListables.filter( listableElement => _findFirstParentListOfType(listableElement, newListType, ['LI']));
+    // If all elements are of the same newListType already, then unsetAll===true; otherwise,
+    // unsetAll===false indicates that all elements will be set to newListType, with the ones
+    // that are already in newListType left alone.
+    const unsetAll = listableElements.length === selectedListables.length;
+    _restoreRange(undoerData.range);
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) { return }
+    const range = sel.getRangeAt(0);
+    // Altho the selectedListables will change position in the DOM, they will still exist,
+    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
+    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
+    const savedRange = _rangeProxy();
+    const tagRange = document.createRange();
+    const newListableElements = [];
+    const oldListables = [];
+    const oldIndices = [];
+    let currentList, currentListItem;
+    for (let i = 0; i < selectedListables.length; i++) {
+        let selectedListable = selectedListables[i];    // A top-level style or a UL or OL
+        const isListElement = _isListElement(selectedListable);
+        const oldIndex = originalIndices[i];
+        const nextListable = (i < selectedListables.length - 1) ? selectedListables[i + 1] : null;
+        const nextIsSibling = nextListable && (selectedListable.nextElementSibling === nextListable);
+        if (unsetAll) {
+            // Every selectedListable is of newListType, that we are going to remove.
+            // First, eliminate all the list items, which should hold styled elements
+            // and hold onto all the styled elements we end up with in unsetChildren.
+            const unsetChildren = [];
+            let childNode = selectedListable.firstChild;
+            while (childNode) {
+                let nextChildNode = childNode.nextSibling;
+                if (_isListItemElement(childNode)) {
+                    tagRange.selectNode(childNode);
+                    let styledElementRange = _unsetTagInRange(childNode, tagRange);
+                    let styledElement = styledElementRange.startContainer;
+                    unsetChildren.push(styledElement);
+                };
+                childNode = nextChildNode;
+            };
+            // Then, remove the selectedListable by removing its tag.
+            tagRange.selectNode(selectedListable);
+            _unsetTagInRange(selectedListable, tagRange);
+            // And track the unsetChildren (i.e., new top-level paragraph styles) that we have left over
+            // so that we can retag them on undo.
+            for (let j = 0; j < unsetChildren.length; j++) {
+                let unsetChild = unsetChildren[j];
+                oldListables.push(newListType);                 // Remains the same for each child
+                oldIndices.push(oldIndex);                      // Remains the same for each child
+                newListableElements.push(unsetChild);           // Track so we can get indices when done
+            };
         } else {
-            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
-            if (_isTextNode(startChild)) {
-                newSelectedTextNode = startChild;
+            // We are only going to set the ones that are not of newListType, adding them to
+            // the list we are currently in, or creating a new currentList as needed
+            let oldListable = _listableType(selectedListable);
+            if (!currentList) {
+                if (isListElement) {
+                    currentList = selectedListable;
+                    if (oldListable !== newListType) {
+                        selectedListable = _replaceList(selectedListable, newListType);
+                    };
+                } else {
+                    currentList = _createList(newListType);
+                    selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
+                    currentListItem = document.createElement('LI');
+                    currentList.appendChild(currentListItem);
+                    currentListItem.appendChild(selectedListable);
+                };
             } else {
-                newSelectedTextNode = _firstTextNodeChild(startChild);
+                if (isListElement) {
+                    if (oldListable !== newListType) {
+                        selectedListable = _replaceList(selectedListable, newListType);
+                    };
+                    if (currentListItem) {
+                        currentListItem.appendChild(selectedListable);  // Should always be true
+                    } else {
+                        currentList.appendChild(selectedListable);
+                    };
+                } else {
+                    currentListItem = document.createElement('LI');
+                    currentList.appendChild(currentListItem);
+                    currentListItem.appendChild(selectedListable);
+                };
             };
+            // The selectedListable's location in the DOM has likely changed, so push now.
+            oldListables.push(oldListable);
+            oldIndices.push(oldIndex);
+            newListableElements.push(selectedListable);
+        };
+        // If the next selectedListable we are going to see is a sibling element of currentList,
+        // then leave currentList the same so it gets appended; else set currentList to null
+        // so that the next loop will create a new list as needed.
+        if (!nextIsSibling) {
+            currentList = null;
+            currentListItem = null;
+        };
+    };
+    // Why update undoerData after the redo? Because if we undo again, we use the undoerData again, but
+    // the listables, depths, and indices of the elements have changed after redo.
+    undoerData.data.oldListables = oldListables;
+    undoerData.data.oldIndices = oldIndices;
+    undoerData.data.indices = [];
+    for (let i = 0; i < newListableElements.length; i++) {
+        undoerData.data.indices.push(_childNodeIndicesByParent(newListableElements[i], commonAncestor));
+    };
+    _restoreRange(savedRange);
+    _callbackInput();
+};
+
+/**
+ * Return the type of list a selection is in. If the selection spans listables,
+ * then return the list type they all belong to if they are all the same list type,
+ * or return null if they are different types.
+ *
+ */
+const _selectionListType = function() {
+    if (_selectionSpansListables()) {
+        const selectedListables = _selectedListables();
+        const nListables = selectedListables.length;
+        const liTags = selectedListables.map(listable => _tagsMatching(listable, ['LI']));
+        if (liTags.length !== nListables) {
+            return null;
         };
-        // Why update undoerData after the undo? Because on redo, we use the undoerData again, but
-        // untagging or tagging may change the indices. Plus unsetAll has the opposite meaning for
-        // redo.
-        undoerData.data.indices[i] = _childNodeIndicesByParent(newSelectedTextNode, commonAncestor);
-        if (newStartContainer) {
-            range.setStart(newSelectedTextNode, newStartOffset);
+        // The selectedListables are all list items, so we need to figure out what kind
+        // of lists they are in.
+        const listElements = selectedListables.map(listable => _findFirstParentElementInNodeNames(listable, _listTags)).filter(n => n);
+        if (listElements.length !== nListables) {
+            return null;
         };
-        if (newEndContainer) {
-            range.setEnd(newSelectedTextNode, newEndOffset);
+        const listType = _listType(listElements[0]);
+        if (listElements.every(listElement => _listType(listElement) === listType)) {
+            return listType;
+        } else {
+            return null;
         };
+    } else {
+        const listElement = _firstSelectionNodeMatching(_listTags);
+        return (listElement) ? _listType(listElement) : '';
     };
-    sel.removeAllRanges();
-    sel.addRange(range);
-    undoerData.range = range;
-    _callbackInput();
 };
 
 /**
- * Redo the previous multiFormat operation.
+ * Return whether the selection includes multiple list tags or top-level styles,
+ * both of which can be acted upon in _multiList()
  */
-const _redoMultiFormat = function(undoerData) {
+const _selectionSpansListables = function() {
+    const selectionListables = _selectionListables();
+    const startListable = selectionListables.startList ?? selectionListables.startStyle;
+    const endListable = selectionListables.endList ?? selectionListables.endStyle;
+    let spansListables = startListable && endListable && (startListable !== endListable);
+    if (spansListables) {
+        return true;
+    } else {
+        // We might be in a list with the selection spanning items, and these list items
+        // can themselves contain lists, so if we are in different items, return true
+        // even tho we might be in one UL or OL.
+        const startListItem = selectionListables.startListItem;
+        const endListItem = selectionListables.endListItem;
+        return startListItem && endListItem && (startListItem !== endListItem);
+    };
+};
+
+/**
+ * Return the paragraph style or list element the selection starts in and ends in.
+ *
+ * Note the difference with _selectedListables, which returns the listables within
+ * the selection.
+ *
+ * If we are in a list, we return the list elements we are in (UL or OL) and the
+ * list items we are in. Otherwise, we return the paragraph element we are in.
+ * This gives us the "top level" elements we can change to lists or change from lists,
+ * without including the ones that are already embedded in lists.
+ */
+const _selectionListables = function() {
+    const selectionListables = {};
     const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) {
-        MUError.NoSelection.callback();
-        return;
+    if (!sel || (sel.rangeCount === 0)) { return selectionListables };
+    const range = sel.getRangeAt(0);
+    const startContainer = range.startContainer;
+    selectionListables.startList = _findFirstParentElementInNodeNames(startContainer, _listTags);
+    if (selectionListables.startList) {
+        selectionListables.startListItem = _findFirstParentElementInNodeNames(startContainer, ['LI']);
+    } else {
+        selectionListables.startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
     };
-    const oldRange = undoerData.range;
-    const startContainer = oldRange.startContainer;
-    const startOffset = oldRange.startOffset;
-    const endContainer = oldRange.endContainer;
-    const endOffset = oldRange.endOffset;
-    const commonAncestor = undoerData.data.commonAncestor;
-    const oldFormats = undoerData.data.oldFormats;
-    const newFormat = undoerData.data.newFormat;
-    const indices = undoerData.data.indices;
-    const selectedTextNodes = [];
-    indices.forEach(index => {
-        selectedTextNodes.push(_childNodeIn(commonAncestor, index));
-    });
-    const formattedElements = selectedTextNodes.filter( textNode => _findFirstParentElementInNodeNames(textNode, [newFormat]) );
-    // If all nodes are of the same newFormat already, then unsetAll===true; otherwise,
-    // unsetAll===false indicates that all nodes will be set to newFormat, with the ones
-    // that are already in newFormat left alone. We need to know what unsetAll was in undo also.
-    const unsetAll = formattedElements.length === selectedTextNodes.length;
-    const range = document.createRange();
-    for (let i = 0; i < indices.length; i++) {
-        const selectedTextNode = selectedTextNodes[i];
-        const oldFormat = oldFormats[i];    // oldFormat was what the selectedTextNode was before formatting
-        const existingFormatElement = _findFirstParentElementInNodeNames(selectedTextNode, [newFormat]);
-        let tagRange = document.createRange();
-        const newStartContainer = (i === 0) && (selectedTextNode === startContainer);
-        const newEndContainer = (i === indices.length - 1) && (selectedTextNode === endContainer);
-        if (newStartContainer) {
-            tagRange.setStart(selectedTextNode, startOffset);
-        } else {
-            tagRange.setStart(selectedTextNode, 0);
-        };
-        if (newEndContainer) {
-            tagRange.setEnd(selectedTextNode, endOffset);
-        } else {
-            tagRange.setEnd(selectedTextNode, selectedTextNode.textContent.length);
-        };
-        sel.removeAllRanges();
-        sel.addRange(tagRange);
-        // If unsetAll, then all elements identified by indices need to be put back in
-        // newFormat.
-        // If !unsetAll, only the elements in newFormat need to be untagged.
-        let formattedTagRange = tagRange;
-        const newStartOffset = tagRange.startOffset;
-        const newEndOffset = tagRange.endOffset;
-        if (unsetAll) {
-            // We may need to select a part of the selectedTextNode (or perhaps all of it,
-            // depending on tagRange). If necessary, _selectedSubTextElement subdivides
-            // selectedTextNode into 2 nodes while leaving sel set to the subnode that needs
-            // to be untagged.
-            const newFormatElement = _subTextElementInRange(tagRange, newFormat);
-            tagRange = document.getSelection().getRangeAt(0);
-            formattedTagRange = _unsetTagInRange(newFormatElement, tagRange);
-        } else if (!existingFormatElement) {
-            // Set tags using tagRange, not the selection.
-            // When the selection includes leading or trailing blanks, the startOffset and endOffsets
-            // from document.getSelection are inset from the ends. So, we can't rely on it being
-            // correct when looping over elements. If we rely on the selection, then the insets
-            // can end up removing blanks between words.
-            formattedTagRange = _setTagInRange(newFormat, tagRange);
-        };
-        let newSelectedTextNode;
-        if (_isTextNode(formattedTagRange.startContainer)) {
-            newSelectedTextNode = formattedTagRange.startContainer;
-        } else {
-            const startChild = formattedTagRange.startContainer.childNodes[formattedTagRange.startOffset];
-            if (_isTextNode(startChild)) {
-                newSelectedTextNode = startChild;
-            } else {
-                newSelectedTextNode = _firstTextNodeChild(startChild);
-            };
-        };
-        // Why update undoerData after the redo? Because on undo, we use the undoerData again, but
-        // untagging or tagging may change the indices. Plus unsetAll has the opposite meaning for
-        // undo.
-        undoerData.data.indices[i] = _childNodeIndicesByParent(newSelectedTextNode, commonAncestor);
-        undoerData.data.unsetAll = unsetAll;
-        if (newStartContainer) {
-            range.setStart(newSelectedTextNode, newStartOffset);
-        };
-        if (newEndContainer) {
-            range.setEnd(newSelectedTextNode, newEndOffset);
-        };
+    const endContainer = range.endContainer;
+    selectionListables.endList = _findFirstParentElementInNodeNames(endContainer, _listTags);
+    if (selectionListables.endList) {
+        selectionListables.endListItem = _findFirstParentElementInNodeNames(endContainer, ['LI']);
+    } else {
+        selectionListables.endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
     };
-    sel.removeAllRanges();
-    sel.addRange(range);
-    undoerData.range = range;
-    _callbackInput();
+    return selectionListables;
 };
 
 /**
- * Return whether the selection contains multiple text nodes
+ * Return the elements within the selection that we can perform multiList operations on
  */
-const _selectionSpansTextNodes = function() {
-    return _selectedTextNodes().length > 1;
+const _selectedListables = function() {
+    if (!_selectionSpansListables()) { return [] };
+    const selectionListables = _selectionListables();
+    const startListable = selectionListables.startList ?? selectionListables.startStyle;
+    const endListable = selectionListables.endList ?? selectionListables.endStyle;
+    const listableRange = document.createRange();
+    listableRange.setStart(startListable, 0);
+    listableRange.setEnd(endListable, 0);
+    let lists = _nodesWithNamesInRange(listableRange, _listTags);
+    let styles = _nodesWithNamesInRangeExcluding(listableRange, _paragraphStyleTags, _listTags);
+    // By re-using _nodesWithNamesInRange to get lists and styles separately, the elements
+    // are not interleaved in order they are encountered. This matters because the ordering
+    // determines whether the listables can be combined into the same list or not.
+    // It's quite a hack, but rather than write yet another method to do the traversal,
+    // we use the _childIndices on each element to reassemble them in order.
+    const commonAncestor = listableRange.commonAncestorContainer;
+    return _joinElementArrays(lists, styles, commonAncestor);
 };
 
 /**
- * Return an array of text nodes that the selection spans, including ones it
- * only partially encompasses.
+ * Return true if we don't encounter LI before we hit OL or UL starting at node.
+ * This happens when we have paragraphs or any other element inside of a list but
+ * not separately in an LI. For example, we have multiple paragraphs inside of a
+ * single LI.
+ */
+const _isNakedListSelection = function(node) {
+    return !(_findFirstParentElementInNodeNames(node, ['LI'], ['OL', 'UL']));
+};
+
+/**
+ * Select a range that is wrapped around an inner element if possible.
  *
- * If the selection is collapsed or resides within a single text node, then return
- * an empty array. We do this because the "normal" formatting logic applies within
- * a single text node, whereas we use this method to deal with selection that
- * spans across multiple text nodes. The text nodes we return may already reside
- * in formatting elements (e.g., <B>, <I>, etc).
+ * See comments in _minimizedRangeFrom().
  */
-const _selectedTextNodes = function() {
-    const nodes = _selectedNodesNamed('#text');
-    return nodes.filter(textNode => !_isEmpty(textNode));
+const _minimizedRange = function() {
+    const sel = document.getSelection();
+    const selRange = sel.getRangeAt(0);
+    const range = _minimizedRangeFrom(selRange);
+    sel.removeAllRanges;
+    sel.addRange(range);
+    return range;
+};
+
+/**
+ * Return a range that is wrapped around an inner element if possible.
+ *
+ * For example, selRange looks like:
+ *      startContainer: <TextElement>, content: \"Bulleted \"
+ *      startOffset: 9
+ *      endContainer: <TextElement>, content: \"item\"
+ *      endOffset: 4
+ * when "item" is selected in <p>Bulleted <i>item</i> 1</p>.
+ * we want to set it to be the textElement only.
+ *
+ * Also when selRange is:
+ *      startContainer: <P>, content: \"Bulleted \"
+ *      startOffset: 0
+ *      endContainer: <TextElement>, content: \"Bulleted \"
+ *      endOffset: 0
+ * when "|Bulleted" is selected in <p>Bulleted <i>item</i> 1</p>,
+ * we want to set it to the textElement only.
+ */
+const _minimizedRangeFrom = function(selRange) {
+    const anchor = selRange.startContainer;
+    const anchorOffset = selRange.startOffset;
+    const focus = selRange.endContainer;
+    const focusOffset = selRange.endOffset;
+    const endsAtLength = selRange.collapsed && _isElementNode(focus) && (focusOffset === focus.childNodes.length);
+    const beginsAtZero = selRange.collapsed && _isElementNode(anchor) && (anchorOffset === 0);
+    const range = document.createRange();
+    if (anchor === focus) {
+        if (endsAtLength) {
+            const lastChild = focus.lastChild;
+            if (!lastChild) { return selRange };
+            if (_isTextNode(lastChild)) {
+                range.setStart(lastChild, lastChild.textContent.length);
+                range.setEnd(lastChild, lastChild.textContent.length);
+            } else {
+                range.setStart(lastChild, lastChild.childNodes.length);
+                range.setEnd(lastChild, lastChild.childNodes.length);
+            }
+            return range;
+        } else if (beginsAtZero) {
+            const firstChild = anchor.firstChild;
+            if (!firstChild) { return selRange };
+            range.setStart(firstChild, 0);
+            range.setEnd(firstChild, 0);
+            return range;
+        } else {
+            return selRange;
+        }
+    }
+    if (_isTextNode(anchor) && _isTextNode(focus)) {
+        const moveAnchorToFocusStart = (anchor.nextSibling === focus.parentNode) && (anchorOffset === anchor.length);
+        const moveFocusToAnchorEnd = (focus.previousSibling === anchor.parentNode) && (focusOffset === 0);
+        if (!moveAnchorToFocusStart && !moveFocusToAnchorEnd) { return selRange };
+        if (moveAnchorToFocusStart) {
+            range.setStart(focus, 0);
+            range.setEnd(focus, focusOffset);
+        } else {
+            range.setStart(anchor, anchorOffset);
+            range.setEnd(anchor, anchor.length);
+        }
+    } else if (_isTextNode(focus)) {    // Anchor is an element that might point to focus
+        const anchorNode = (anchor.childNodes.length > 0) && anchor.childNodes[anchorOffset];
+        if ((anchorNode.childNodes.length > 0) && (anchorNode.childNodes[0] === focus)) {
+            range.setStart(focus, 0);
+        };
+    } else {
+        return selRange;
+    }
+    return range;
 };
 
 /**
- * Return a text node that the range contains or null if the range is
- * not within a single text node or is collapsed.
- *
- * When the range is within a single text node but only encompasses part of it,
- * we need to split it into multiple text nodes and return the one that contains
- * the range. We do this for formatting.
+ * Select a range that is wrapped around an outer element if possible.
  *
- * Consider:
- *      <b>Hello <u>bold |and| underline</u> world</b>
- * where we want to unbold "and". We use _splitTextNode twice to produce:
- *      <b>Hello <u>bold </u></b><b><u>and</u></b><u><b> underline</u> world</b>
- * in the document. We need to return the text node "and" without the tag "type" so
- * that it is unformatted without affecting the surrounding text formatting.
+ * See comments in _maximizedRangeFrom()
  */
-const _subTextElementInRange = function(range, type) {
-    const startContainer = range.startContainer;
-    const startOffset = range.startOffset;
-    const endContainer = range.endContainer;
-    const endOffset = range.endOffset;
-    if ((range.collapsed) || (startContainer !== endContainer) || (!_isTextNode(startContainer))) { return null };
-    const splitLeading = startOffset !== 0;
-    const splitTrailing = endOffset !== endContainer.textContent.length;
-    let leadingTextNode = range.startContainer;
-    let subTextNode = leadingTextNode;
-    if (splitLeading) {
-        // The startOffset is after the beginning of an existingElement, so we need
-        // to split at startOffset and get the trailingTextNode
-        const trailingTextNode = _splitTextNode(leadingTextNode, startOffset, type, 'BEFORE');
-        if (splitTrailing) {
-            // The endOffset is before the end of an existingElement, so we need to
-            // split the trailingTextNode, too.
-            _splitTextNode(trailingTextNode, endOffset - startOffset, type, 'AFTER');
-        };
-        // The trailingTextNode now contains only the text that was selected
-        subTextNode = trailingTextNode;
-    } else if (splitTrailing) {
-        // The endOffset is before the end of an existingElement, so split the
-        // leadingTextNode, and what is left in leadingTextNode is what need to be untagged.
-        _splitTextNode(leadingTextNode, endOffset, type, 'AFTER');
-        subTextNode = leadingTextNode;
-    } else {
-        subTextNode = startContainer;
-    }
-    range.setStart(subTextNode, 0);
-    range.setEnd(subTextNode, subTextNode.textContent.length);
+const _maximizedRange = function() {
     const sel = document.getSelection();
+    const selRange = sel.getRangeAt(0);
+    const range = _maximizedRangeFrom(selRange);
     sel.removeAllRanges();
     sel.addRange(range);
-    return _unNest(subTextNode, type);
 }
 
 /**
- * Return a text node that the selection contains or null if the selection is
- * not within a single text node or is collapsed.
+ * Return a range that is wrapped around an outer element if possible.
  *
- * When the selection is within a single text node but only encompasses part of it,
- * we need to split it into multiple text nodes and return the one that contains
- * the selection. We do this for formatting.
+ * For example, selRange looks like:
+ *      startContainer: <I>, content: \"item\"
+ *      startOffset: 0
+ *      endContainer: <I>, content: \"item\"
+ *      endOffset: 1
+ * when "item" is selected in <p>Bulleted <i>item</i> 1</p>.
+ * We want to set it to be:.
+ *      startContainer: <TextElement>, content: \"Bulleted \"
+ *      startOffset: 9
+ *      endContainer: <TextElement>, content: \"item\"
+ *      endOffset: 4
  */
-const _selectedSubTextElement = function(sel, type) {
-    const range = sel.getRangeAt(0);
-    return _subTextElementInRange(range, type);
+const _maximizedRangeFrom = function(selRange) {
+    const anchor = selRange.startContainer;
+    const anchorOffset = selRange.startOffset;
+    const focus = selRange.endContainer;
+    const focusOffset = selRange.endOffset;
+    if (anchor !== focus) { return selRange };
+    if (!_isFormatElement(anchor)) { return selRange };
+    if ((anchorOffset !== 0) || (focusOffset !== anchor.childNodes.length)) { return selRange };
+    // The entire format element was selected, which doesn't happen via normal user interaction.
+    // In _doListEnter, we previously _minimizedRange in this case, so now we want to restore the
+    // selection to select from before the anchor to the end of the text element in the anchor.
+    const range = document.createRange();
+    const startContainer = anchor.previousSibling ?? anchor;
+    const endContainer = anchor.lastChild;
+    const startOffset = _isTextNode(startContainer) ? startContainer.textContent.length : 0;
+    const endOffset = _isTextNode(endContainer) ? endContainer.length : anchor.childNodes.length;
+    range.setStart(startContainer, startOffset);
+    range.setEnd(endContainer, endOffset);
+    return range;
 };
 
 /**
- * Un-nest the textNode from within nested formatting.
+ * We are inside of a list and hit Enter.
  *
- * Consider:
- *      <p><b><u>Wo|rd 1</u><u> Word 2 </u><u>Wo|rd 3</u></b></p>
+ * The default behavior is to put in a div, but we want Enter to produce new list elements
+ * that match the existing selection. We also have to handle the case of the selection not
+ * being collapsed, by capturing the selection as a fragment, removing it, and then reinserting
+ * it on undo.
  *
- * In this case, there are originally three text nodes which are all bolded because
- * of the outer <b>, but are individually underlined. We might want to unbold or ununderline.
- * To do this, we have to split "Word 1" into two text nodes like:
- *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u><u>Wo|rd 3</u></b></p>
- * Now we can change the format of "rd 1". For "Word 2", we don't need to split the text
- * node itself, but we do need to "un-nest" the bolding to get:
- *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u></b><b><u>Wo|rd 3</u></b></p>
- * and then we need to split the "Word 3" text node:
- *      <p><b><u>Wo</u></b><b><u>rd 1</u></b><b><u> Word 2 </u></b><b><u>Wo</u></b><b><u>rd 3</u></b></p>
- * so that the "Wo" portion-only can be formatted.
+ * When we repeat _doListEnter for redo, we set undoable to false, because we don't want to
+ * push anyother item onto the undo stack. However, we still need to patch up some things in
+ * the undoerData if it exists from the previous _doListEnter. For example, we need to replace
+ * the deletedFragment here once we delete it again, and we need to patch up the range.
+ *
+ * @return  {HTML BR Element}   The BR in the newly created LI to preventDefault handling; else, null.
  */
-const _unNest = function(textNode, type) {
-    //_consoleLog("* _unNest(" + _textString(textNode) + ", " + type + ")");
-    const formatTags = _tagsMatching(textNode, _formatTags);
-    const inNestedTags = (formatTags.length > 1) && (formatTags[0] !== type);
-    const formatFollows = _isFormatElement(textNode.nextSibling);
-    const formatPrecedes = _isFormatElement(textNode.previousSibling);
-    let existingElement;
-    if (inNestedTags) {
-        // The selection is of type, but type is in an outer element. The leadingTextNode is
-        // part of a different format element. We need to split the existingElement of type
-        // into two elements starting after the innermost formatElement selection is in.
-        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
-        const childFormatElement = _findFirstParentElementInNodeNames(textNode, [formatTags[0]]); // The innermost tag
-        _splitFormatElement(existingElement, childFormatElement);
-    } else if (formatFollows) {
-        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
-        const sibFormatElement = textNode.nextSibling;
-        _splitFormatElement(existingElement, sibFormatElement, 'BEFORE');
-    } else if (formatPrecedes) {
-        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
-        const sibFormatElement = textNode.previousSibling;
-        _splitFormatElement(existingElement, sibFormatElement, 'AFTER');
+const _doListEnter = function(undoable=true, oldUndoerData) {
+    //_consoleLog("\n* _doListEnter(" + undoable + ")");
+    const redoing = !undoable && (oldUndoerData !== null);
+    //_consoleLog(" redoing: " + redoing);
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode) {
+        MUError.NoSelection.callback();
+        return null;
+    };
+    // If sel is not collapsed, delete the entire selection and reset before continuing.
+    // Track the deletedFragment and whether it came from a selection that spanned list items
+    let deletedFragment, selWithinListItem;
+    if (!sel.isCollapsed) {
+        const selRange = _minimizedRange();
+        if (redoing) {
+            // If we are redoing, join any previously split text nodes using "normalize"
+            if (selRange.startContainer.nodeType === Node.TEXT_NODE) {
+                selRange.startContainer.parentNode.normalize();
+            } else {
+                selRange.startContainer.normalize();
+            };
+            if (selRange.endContainer.nodeType === Node.TEXT_NODE) {
+                selRange.endContainer.parentNode.normalize();
+            } else {
+                selRange.endContainer.normalize();
+            };
+            sel.removeAllRanges();
+            sel.addRange(selRange);
+        }
+        const selStartListItem = _findFirstParentElementInNodeNames(selRange.startContainer, ['LI']);
+        const selEndListItem = _findFirstParentElementInNodeNames(selRange.endContainer, ['LI']);
+        selWithinListItem = selStartListItem && selEndListItem && (selStartListItem === selEndListItem);
+        deletedFragment = _extractContentsRestoreSelection(selRange);
+        if (redoing) {
+            oldUndoerData.data.deletedFragment = deletedFragment;
+        }
+        // The selection at this point is in the element that precedes what was previously selected,
+        // and what was deleted is captured as deletedFragment. Unfortunately, when the selection extends
+        // beyond the list item that the selection starts in, this does not result in the equivalent of
+        // pressing Delete on the selection, which is what we want. So, we need to patch things up a bit.
+        if (!selWithinListItem) {
+            _patchMultiListItemEnter(deletedFragment);
+        }
+        // Even now selection might not be collapsed if, for example, the selection was everything within a
+        // formatting node (like <b>).
+        const collapsedAndEmpty = document.getSelection().isCollapsed && _isEmpty(document.getSelection().anchorNode);
+        if (!document.getSelection().isCollapsed || collapsedAndEmpty) {
+            _patchEmptyFormatNodeEnter();
+        }
+        sel = document.getSelection();
+        selNode = (sel) ? sel.anchorNode : null;
+        // At this point, sel is collapsed and the document contents are the same as if we had
+        // hit Backspace (but not Enter yet) on the original non-collapsed selection.
+        //
+        // DEBUGGING TIP:
+        // By executing an 'input' callback and returning true at this point, we can debug the
+        // result of various _patch* calls and ensure the result is the same as hitting Backspace.
+        //_callbackInput();
+        //return true;
+    }
+    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
+    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
+    if (!existingList || !existingListItem) {
+        MUError.NotInList.callback();
+        return null;
+    };
+    let undoerRange = sel.getRangeAt(0).cloneRange();
+    const startOffset = undoerRange.startOffset;
+    const endOffset = undoerRange.endOffset;
+    const outerHTML = existingList.outerHTML;
+    // Record the child node indices we can traverse from existingList to find selNode
+    // The childNodeIndices also reflect the state *after* a non-collapsed selection has
+    // been extracted into deletedFragment and the dom has been patched-up properly.
+    const childNodeIndices = _childNodeIndicesByName(selNode, existingList.nodeName);
+    // The selNode can be a text node or a list item
+    const textNode = _isTextNode(selNode);
+    const listItem = _isListItemElement(selNode) || (_isListItemElement(selNode.parentNode) && (!selNode.previousSibling))
+    const beginningListNode = (textNode && (startOffset === 0) && (!selNode.previousSibling)) || (listItem && (startOffset === 0))
+    const endOfTextNode = textNode && (endOffset === selNode.textContent.length);
+    const emptyNode = textNode && (selNode.textContent.length === 0);
+    const nextSib = selNode.nextSibling;
+    const nextParentSib = selNode.parentNode.nextSibling;
+    const nextParentSibIsList = (nextParentSib !== null) && ((nextParentSib.nodeName === 'LI') || (nextParentSib.nodeName === 'OL') || (nextParentSib.nodeName === 'UL'));
+    const nextParentSibIsEmpty = (nextParentSib !== null) && ((nextParentSib.nodeType === Node.TEXT_NODE) && (nextParentSib.textContent.trim().length === 0));
+    // If there is no nextParentSib or if it is empty after trim(), then we are at the end of a list element
+    const endOfListElement = endOfTextNode && !nextSib && (nextParentSibIsList || nextParentSibIsEmpty)
+    const endingListNode = (emptyNode && !nextSib) || (!emptyNode && endOfTextNode && !nextSib && !nextParentSib) || endOfListElement;
+    const emptyListItem = beginningListNode && _isEmpty(existingListItem);
+    const newListItem = document.createElement('li');
+    const blockContainer = _findFirstParentElementInNodeNames(selNode, _listStyleTags);
+    let newElement;
+    if (blockContainer) {
+        newElement = document.createElement(blockContainer.nodeName);
     } else {
-        existingElement = _findFirstParentElementInNodeNames(textNode, [type]);
+        newElement = document.createElement('p');
     }
-    //_consoleLog("* Done _unNest (returning " + _textString(existingElement) + ")");
-    return existingElement;
+    if (emptyListItem) {
+        _doListOutdent(undoable);
+        // We return here because we want _doListOutdent to handle all the undoing logic
+        return true;
+    } else if (beginningListNode) {
+        if (redoing) {
+            oldUndoerData.range = undoerRange;
+        };
+        _newListItemBefore(newElement, newListItem, existingListItem, existingList);
+    } else if (endingListNode) {
+        if (redoing) {
+            oldUndoerData.range = undoerRange;
+        };
+        _newListItemAfter(newElement, newListItem, existingListItem, existingList);
+    } else if (selNode.nodeType === Node.TEXT_NODE) {
+        //_consoleLog("- Splitting selNode")
+        // We are somewhere in a list item
+        let sib, nextSib, innerElement, outerElement;
+        // innerElement is always the next sibling of outerElement
+        innerElement = selNode.splitText(startOffset);
+        outerElement = selNode;
+        let innerTextContent = _patchWhiteSpace(innerElement.textContent);
+        let outerTextContent = _patchWhiteSpace(outerElement.textContent);
+        if (innerTextContent.length === 0) { innerTextContent = '\u200B' }
+        if (outerTextContent.length === 0) { outerTextContent = '\u200B' }
+        innerElement.textContent = innerTextContent;
+        outerElement.textContent = outerTextContent;
+        // After patching whitespace, the undoerRange itself has to be patched
+        const selRange = document.createRange();
+        selRange.setStart(outerElement, outerElement.textContent.length);
+        selRange.setEnd(outerElement, outerElement.textContent.length);
+        sel.removeAllRanges();
+        sel.addRange(selRange);
+        undoerRange = selRange;
+        if (redoing) {
+            const redoRange = document.createRange();
+            redoRange.setStart(outerElement, outerElement.textContent.length);
+            redoRange.setEnd(outerElement, outerElement.textContent.length);
+            oldUndoerData.range = redoRange;
+        }
+        // If we split a textNode that is inside of format tags, then we need to patch up
+        // innerElement and outerElement
+        const formatTags = _getFormatTags();
+        for (let i=0; i<formatTags.length; i++) {
+            newElement = document.createElement(formatTags[i]);
+            newElement.appendChild(innerElement);
+            innerElement = newElement;
+        };
+        if (formatTags.length > 0) {
+            const outermostFormatTag = formatTags[formatTags.length - 1];
+            outerElement = _findFirstParentElementInNodeNames(outerElement, [outermostFormatTag]);
+        };
+        if (blockContainer) {
+            // Make the newElement in the same style as its container.
+            newElement = document.createElement(blockContainer.nodeName);
+            newElement.appendChild(innerElement);
+        } else if (!newElement) {
+            // The newElement already exists if we were in formatTags
+            // Otherwise, make the newElement just an unstyled text node like it started.
+            newElement = document.createTextNode(trailingContent);
+        }
+        newListItem.appendChild(newElement);
+        // With trailingContent in newElement which is in newListItem,
+        // append all of selNode's siblings to newElement
+        sib = outerElement.nextSibling;
+        while (sib) {
+            newElement.appendChild(sib);
+            sib = outerElement.nextSibling;
+        }
+        // And then make all of selNode's parentNode's siblings follow it in
+        // the same newListItem. For example, we might have nested lists
+        // below the text node we are splitting.
+        if (blockContainer) {
+            sib = blockContainer.nextSibling;
+            while (sib) {
+                newListItem.appendChild(sib);
+                sib = blockContainer.nextSibling;
+            }
+        };
+        // Then, insert the newListItem with its new children into the list before the next list element.
+        existingList.insertBefore(newListItem, existingListItem.nextElementSibling);
+        const range = document.createRange();
+        // And leave selection in the newElement
+        range.setStart(newElement, 0);
+        range.setEnd(newElement, 0);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    };
+    _backupSelection();
+    if (undoable) {
+        const undoerData = _undoerData(
+                                'listEnter',
+                                {
+                                    outerHTML: outerHTML,
+                                    childNodeIndices: childNodeIndices,
+                                    deletedFragment: deletedFragment,
+                                    selWithinListItem: selWithinListItem
+                                },
+                                undoerRange
+                            );
+        undoer.push(undoerData);
+        _restoreSelection();
+    }
+    _callbackInput();
+    //_consoleLog("* Done _doListEnter")
+    return newElement;      // To preventDefault() on Enter
 };
 
 /**
- * Split a format element that contains a child of a different format.
- *
- * See the comments in unNest and subTextElementInRange for context.
+ * Replace leading and/or trailing blanks with nbsp equivalent
  */
-const _splitFormatElement = function(parentFormatElement, childFormatElement, direction='AFTER') {
-    //_consoleLog("* _splitFormatElement(" + _textString(parentFormatElement) + ", " + _textString(childFormatElement) + ", \'" + direction + "\')");
-    const parentName = parentFormatElement.nodeName;
-    const insertTarget = parentFormatElement.nextSibling;
-    let element;
-    if (direction === 'AFTER') {
-        element = childFormatElement.nextElementSibling ?? childFormatElement.nextSibling;
-    } else {
-        element = childFormatElement;
-    };
-    // Element can be null, in which case we don't split anything
-    while (element) {
-        const newFormatElement = document.createElement(parentName);
-        let nextElement = element.nextElementSibling;
-        let nextChild = element.nextSibling;
-        newFormatElement.appendChild(element);
-        parentFormatElement.parentNode.insertBefore(newFormatElement, insertTarget);
-        while (nextChild && !_isFormatElement(nextChild)) {
-            let nextNextChild = nextChild.nextSibling;
-            newFormatElement.appendChild(nextChild);
-            nextChild = nextNextChild;
-        };
-        element = nextElement;
+const _patchWhiteSpace = function(str, end='BOTH') {
+    let patchedStr;
+    switch (end) {
+        case 'LEADING':
+            patchedStr = str.replace(/ /gy, '\xA0');
+            break;
+        case 'TRAILING':
+            patchedStr = str.replace(/\s+$/g, '\xA0');
+            break;
+        case 'BOTH':
+            patchedStr = str.replace(/ /gy, '\xA0');
+            patchedStr = patchedStr.replace(/\s+$/g, '\xA0');
+            break;
     };
-    //_consoleLog("* Done _splitFormatElement (with parentFormatElement now: " + _textString(parentFormatElement) + ")")
+    return patchedStr;
 };
 
-/********************************************************************************
- * Styling
- * 1. Styles (P, H1-H6) are applied to blocks
- * 2. Unlike formats, styles are never nested (so toggling makes no sense)
- * 3. Every block should have some style
- */
-//MARK: Styling
-
 /**
- * Find/verify the oldStyle for the selection and replace it with newStyle.
- * Replacement for execCommand(formatBlock).
- *
- * @param {String}  oldStyle    One of the styles P or H1-H6 that exists at selection.
- * @param {String}  newStyle    One of the styles P or H1-H6 to replace oldStyle with.
- * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ * The deletedFragment spanned list items. Leave the document looking like
+ * it would if we had pressed Backspace. This means the items at the focusNode
+ * get moved to be in the same list item as the anchorNode. By default, the
+ * contentEditable after extractContents leaves the focusNode in a non-list-element
+ * below the anchorNode list element.
  */
-MU.replaceStyle = function(oldStyle, newStyle, undoable=true) {
-    if (!newStyle) {
-        MUError.NoNewTag.callback();
-        return;
-    };
-    if (_selectionSpansStyles()) {
-        _multiStyle(newStyle, undoable);
-        return;
-    };
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    if (!sel || !selNode) { return };
-    let existingElement = null;
-    if (oldStyle) {
-        // There can only be an existing element if oldStyle is non-null
-        existingElement = _findFirstParentElementInNodeNames(selNode, [oldStyle.toUpperCase()]);
-    };
-    if (existingElement) {
-        _replaceTag(existingElement, newStyle);
-        _backupSelection();
-        if (undoable) {
-            const undoerData = _undoerData('style', {oldStyle: oldStyle, newStyle: newStyle});
-            undoer.push(undoerData);
-        }
-        _callbackInput();
-    } else if (selNode.nodeType === Node.TEXT_NODE) {
-        // We occasionally (e.g., in lists) select unstyled text nodes.
-        // In these cases, we need to select the entire text node, set the style,
-        // and then reset the selection afterward. We can only do this when the
-        // selNode is not within a style already, since styles cannot be nested.
-        const rangeProxy = _rangeProxy()
-        let range = document.createRange();
-        range.setStart(selNode, 0);
-        range.setEnd(selNode, selNode.textContent.length);
-        sel.removeAllRanges();
-        sel.addRange(range);
-        _setTag(newStyle, sel);
-        range = document.createRange();
-        range.setStart(range.startContainer, rangeProxy.startOffset);
-        range.setEnd(range.endContainer, rangeProxy.endOffset);
-        sel.removeAllRanges();
-        sel.addRange(range);
-        if (undoable) {
-            // Pass the oldStyle as null since on undo we want to remove the style completely.
-            const undoerData = _undoerData('style', {oldStyle: null, newStyle: newStyle});
-            undoer.push(undoerData);
-        }
-        _callbackInput();
+const _patchMultiListItemEnter = function(deletedFragment) {
+    // The selection at this point is in the element that precedes what was previously selected,
+    // and what was deleted is captured as deletedFragment. Unfortunately, when the selection extends
+    // beyond the list item that the selection starts in, this does not result in the equivalent of
+    // pressing Delete on the selection, which is what we want. So, we need to patch things up a bit.
+    //_consoleLog("* _patchMultiListItemEnter");
+    //_consoleLog(_fragmentString(deletedFragment, "deletedFragment: "))
+    let sel = document.getSelection();
+    let newSelRange = sel.getRangeAt(0);
+    const newEndContainer = newSelRange.endContainer;
+    const newEndOffset = newSelRange.endOffset;
+    let listItem = _findFirstParentElementInNodeNames(newSelRange.startContainer, ['LI']);
+    const endListItem = _findFirstParentElementInNodeNames(newSelRange.endContainer, ['LI']);
+    let newListItem;
+    while (listItem && _isEmpty(listItem) && (listItem !== endListItem)) {
+        newListItem = listItem.nextElementSibling ?? endListItem;
+        //_consoleLog("Removing " + listItem.outerHTML);
+        listItem.parentNode.removeChild(listItem);
+        listItem = newListItem;
+    }
+    if (newListItem) {
+        newSelRange = document.createRange();
+        const firstChild = newListItem.firstChild;
+        const newStartContainer = firstChild ?? newListItem;
+        newSelRange.setStart(newStartContainer, 0);
+        newSelRange.setEnd(newEndContainer, newEndOffset);
     };
+    //_consoleLog(_rangeString(newSelRange, "after newSelRange"))
+    //_consoleLog("after newSelRange.startContainer.parentNode.outerHTML: " +  newSelRange.startContainer.parentNode.outerHTML)
+    // We want to move the newSelRange endContainer to be a child of the startContainer's parentNode
+    // so that it becomes part of the same list item the startContainer is in.
+    const startContainer = newSelRange.startContainer;
+    let startContainerParent = startContainer.parentNode;
+    const styleParent = _findFirstParentElementInNodeNames(startContainer, _styleTags);
+    if (styleParent) { startContainerParent = styleParent };
+    const formatElement = _outermostFormatElement(startContainer);
+    if (formatElement) { startContainerParent = formatElement.parentNode };
+    let mergedChild = newSelRange.endContainer;
+    const mergedChildParent = mergedChild.parentNode;
+    while (mergedChild && (mergedChild !== startContainer)) {
+        let nextSib = mergedChild.nextSibling;
+        startContainerParent.insertBefore(mergedChild, startContainer.nextSibling);
+        mergedChild = nextSib;
+    }
+    startContainerParent.normalize();
+    // If after merging the mergedChild, its parentNode is empty, then remove the mergedChild parentNode
+    if (mergedChildParent.childNodes.length === 0) {
+        //_consoleLog(" removing " + mergedChildParent.outerHTML)
+        mergedChildParent.parentNode.removeChild(mergedChildParent);
+    }
+    // After we do that, if the existingList item where the selection ends is empty, then we need to remove it
+    // so that we don't end up with an empty list node.
+    const existingListItem = _findFirstParentElementInNodeNames(newSelRange.endContainer, ['LI']);
+    //_consoleLog("existingListItem.outerHTML: " + existingListItem.outerHTML)
+    if (existingListItem.childNodes.length === 0) {
+        newSelRange.endContainer.parentNode.removeChild(newSelRange.endContainer);
+    }
+    const patchRange = document.createRange();
+    patchRange.setStart(newSelRange.startContainer, newSelRange.startOffset);
+    patchRange.setEnd(newSelRange.startContainer, newSelRange.startOffset)
+    sel.removeAllRanges();
+    sel.addRange(patchRange);
+    //_consoleLog(_rangeString(patchRange, "patchRange"))
+    //_consoleLog(_rangeString(document.getSelection().getRangeAt(0), "from getSelection()"))
+    //_consoleLog("* Done _patchMultiListItemEnter")
 };
 
 /**
- * Make all styled elements within a selection that spans paragraph styles into newStyle.
- *
- * For undo, capture the commonAncestor, the newStyle, all the oldStyles that
- * existed before changing to newStyle. For each paragraph element (e.g., <p>, <h1>-<h6>),
- * capture the indices to reach that element from commonAncestor (which will not
- * change).
+ * The deletedFragment contains the entire contents within a format node (like <b>).
+ * We want the Enter to split the format node. To make that happen, insert a non-printing
+ * character inside of the format node, and position selection after it.
+ * Now when splitText happens, we end up with two text nodes and both are formatted
+ * like the original we extracted the deletedFragment from.
  */
-const _multiStyle = function(newStyle, undoable=true) {
-    const selectedStyleElements = _selectedStyles();
+const _patchEmptyFormatNodeEnter = function() {
+    //_consoleLog("* _patchEmptyFormatNodeEnter")
     const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) { return }
-    const range = sel.getRangeAt(0);
-    const commonAncestor = range.commonAncestorContainer;
-    let oldStyles = [];
-    let indices = []
-    for (let i = 0; i < selectedStyleElements.length; i++) {
-        const selectedStyleElement = selectedStyleElements[i]
-        oldStyles.push(selectedStyleElement.nodeName);
-        indices.push(_childNodeIndicesByParent(selectedStyleElement, commonAncestor));
-        _replaceTag(selectedStyleElement, newStyle.toUpperCase());
+    const anchorNode = sel.anchorNode;  // Selection start
+    const focusNode = sel.focusNode;    // Selection end
+    const anchorIsEmpty = anchorNode.textContent.length === 0;
+    const focusIsEmpty = focusNode.textContent.length === 0;
+    const anchorIsInTag = _tagsMatching(anchorNode, _formatTags).length > 0
+    const focusIsInTag = _tagsMatching(focusNode, _formatTags).length > 0
+    if (!anchorIsEmpty && !focusIsEmpty) {
+        MUError.PatchFormatNodeNotEmpty.callback();
+        return;
     };
-    if (undoable) {
-        _backupSelection()
-        const undoerData = _undoerData('multiStyle', {commonAncestor: commonAncestor, newStyle: newStyle, oldStyles: oldStyles, indices: indices});
-        undoer.push(undoerData);
-        _restoreSelection()
+    const anchorParentIsSibling = anchorNode.parentNode.nextSibling !== focusNode.parentNode
+    const focusParentIsSibling = anchorNode.nextSibling !== focusNode.parentNode;
+    if (!anchorParentIsSibling && !focusParentIsSibling) {
+        MUError.PatchFormatNodeNotSiblings.callback();
+        return;
+    }
+    const npc = document.createTextNode('\u200B');
+    const range = document.createRange();
+    // The node that is an empty tag (likely) has an empty text node in it which we
+    // want to replace with the non-printing character pair so we can split them.
+    if (anchorIsInTag) {
+        if (anchorNode.parentNode.childNodes.length === 1) {
+            anchorNode.parentNode.childNodes[0].replaceWith(npc)
+        } else {
+            anchorNode.parentNode.appendChild(npc);
+        }
+        range.setStart(npc, 1);
+        range.setEnd(npc, 1);
+    } else if (focusIsInTag) {
+        if (focusNode.parentNode.childNodes.length === 1) {
+            focusNode.parentNode.childNodes[0].replaceWith(npc)
+        } else {
+            focusNode.parentNode.appendChild(npc);
+        }
+        range.setStart(npc, 1);
+        range.setEnd(npc, 1);
+    } else {
+        _consoleLog("Error - neither anchor nor focus is in a format tag");
+        return;
     };
-    _callbackInput();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    //_consoleLog("* Done _patchEmptyFormatNodeEnter")
 };
 
 /**
- * Undo the previous multiStyle operation.
- *
- * From undoerData, use the indices to find the element below
- * commonAncestor, then just replaceTag to the oldStyle.
+ * We are at the beginning of a list node, so insert the newListItem
  */
-const _undoMultiStyle = function(undoerData) {
-    const commonAncestor = undoerData.data.commonAncestor;
-    const oldStyles = undoerData.data.oldStyles;
-    const indices = undoerData.data.indices;
-    for (let i = 0; i < indices.length; i++) {
-        const selectedParagraph = _childNodeIn(commonAncestor, indices[i]);
-        _replaceTag(selectedParagraph, oldStyles[i].toUpperCase());
-    };
+const _newListItemBefore = function(newElement, newListItem, existingListItem, existingList) {
+    //_consoleLog("- _newListItemBefore");
+    newElement.appendChild(document.createElement('br'));
+    newListItem.appendChild(newElement);
+    existingList.insertBefore(newListItem, existingListItem);
+    // Leave selection alone
 };
 
 /**
- * Redo the previous multiStyle operation.
- *
- * From undoerData, use the indices to find the element below
- * commonAncestor, then just replaceTag to the newStyle.
+ * Insert a new list item after the selection.
+ * We are at the end of a textNode in a list item (e.g., a <p> or just naked text)
+ * First, move all of the siblings of selNode's parentNode to reside in the new list,
+ * leaving selNode itself alone.
  */
-const _redoMultiStyle = function(undoerData) {
-    const commonAncestor = undoerData.data.commonAncestor;
-    const newStyle = undoerData.data.newStyle;
-    const indices = undoerData.data.indices;
-    for (let i = 0; i < indices.length; i++) {
-        const selectedParagraph = _childNodeIn(commonAncestor, indices[i]);
-        _replaceTag(selectedParagraph, newStyle.toUpperCase());
-    };
+const _newListItemAfter = function(newElement, newListItem, existingListItem, existingList) {
+    //_consoleLog("- _newListItemAfter")
+    const sel = document.getSelection();
+    const selNode = sel.anchorNode;
+    newElement.appendChild(document.createElement('br'));
+    newListItem.appendChild(newElement);
+    let sib = selNode.parentNode.nextElementSibling;
+    let nextElementSib;
+    while (sib && (sib.nodeName !== 'LI')) {
+        nextElementSib = sib.nextElementSibling;
+        newListItem.appendChild(sib);
+        sib = nextElementSib;
+    }
+    // Then, insert the newListItem with its new children into the list before the next list element.
+    existingList.insertBefore(newListItem, existingListItem.nextElementSibling);
+    const range = document.createRange();
+    // And leave selection in the newElement
+    range.setStart(newElement, 0);
+    range.setEnd(newElement, 0);
+    sel.removeAllRanges();
+    sel.addRange(range);
 };
 
 /**
- * Return true if the selection spans _paragraphStyleTags.
+ * Undo the _doListEnter operation. Redo is just to _doListEnter again.
  *
- * It's possible (due to pasting) that we end up with a selection in a text
- * node that is not inside of a paragraph style tag. Since we are only going to
- * apply multiple operations at the paragraph style level, we will return
- * false here in that case.
- */
-const _selectionSpansStyles = function() {
-    const styles = _selectionStyles();
-    const startStyle = styles.startStyle;
-    const endStyle = styles.endStyle;
-    return startStyle && endStyle && (startStyle !== endStyle)
-};
-
-/**
- * Return the paragraph style elements the selection starts in and ends in.
+ * We were in a list when we hit Enter, and we end up be in the same list afterward.
+ * The contents of the list changed, and the selection changed. The undoer.outerHTML
+ * contains the list outerHTML before Enter was pressed. To undo, we first
+ * restore the selection from undoer, so we are at the proper position in the list
+ * we started with, before hitting Enter. Then we delete the entire list and replace
+ * it with the outerHTML we captured in undoer. Now how to restore selection properly?
+ * Unlike TABLE, where we hold onto the row and col to reselect, in list we will
+ * identify the element to reselect based on indices into the list that were recorded
+ * at undo time.
  *
- * Note the difference with _selectedStyles, which returns the style elements within
- * the selection.
+ * Because we use insertAdjacentHTML to put the outerHTML in place, we have replaced
+ * the existing list with a new one that looks the same as the one that existed when
+ * Enter was pressed, but is actually a different element. Thus, we need to patch up
+ * the range held in the undoerData when we are done. Remember, the undoerData used
+ * here reflects the state *before* _doListEnter, which is the same state as we are
+ * leaving when we are done undoing in this method.
  */
-const _selectionStyles = function() {
-    const sel = document.getSelection();
-    if (!sel || (sel.rangeCount === 0)) { return {} };
-    const range = sel.getRangeAt(0);
-    const startContainer = range.startContainer;
-    const startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
-    const endContainer = range.endContainer;
-    const endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
-    return {startStyle: startStyle, endStyle: endStyle};
+const _undoListEnter = function(undoerData) {
+    //_consoleLog("\n* _undoListEnter");
+    const oldRange = undoerData.range;
+    const oldStartContainer = oldRange.startContainer;
+    const oldStartOffset = oldRange.startOffset;
+    const oldEndContainer = oldRange.endContainer;
+    const oldEndOffset = oldRange.endOffset;
+    _restoreUndoerRange(undoerData);
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode || !sel.isCollapsed) { return null };
+    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
+    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
+    if (!existingList || !existingListItem) { return null };
+    _deleteAndResetSelection(existingList, 'BEFORE');
+    sel = document.getSelection();
+    selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode) { return null };
+    const targetNode = selNode.parentNode;
+    const parentNode = targetNode.parentNode;
+    targetNode.insertAdjacentHTML('afterend', undoerData.data.outerHTML);
+    // We need the new list that now exists at selection.
+    let newList;
+    if (sel.isCollapsed) {
+        // Normal insertion at a collapsed selection
+        newList = _getFirstChildWithNameWithin(targetNode.nextSibling, existingList.nodeName);
+    } else {
+        // Replacement insertion at a non-collapsed selection
+        // The only reason this happens is that we ended up with nothing to select when we
+        // deleted the list which we are about to undo the deletion of. At that point, we
+        // set selection to span across a single non-printing character in a paragraph.
+        // See the code in _deleteAndResetSelection when _elementAfterDeleting returns null.
+        // To leave just the list again, we need to remove the targetNode.
+        parentNode.removeChild(targetNode);
+        newList = _getFirstChildWithNameWithin(parentNode, existingList.nodeName);
+    };
+    // Find the selected element based on the indices into the list recorded at undo time
+    const selectedElement = _childNodeIn(newList, undoerData.data.childNodeIndices);
+    if (!selectedElement) {
+        MUError.CantUndoListEnter.callback();
+        return;
+    }
+    // And then restore the range
+    let range = document.createRange();
+    range.setStart(selectedElement, oldStartOffset);
+    range.setEnd(selectedElement, oldEndOffset);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    // There is a special case where sel is at the beginning of a list element, but the
+    // initial textNode has blanks in front. In that case the oldStartOffset etc are zero,
+    // but if we check the range selection immediately after setting it, it shows offset
+    // to get to the first non-blank character.
+    // At this point, the document and selection look like the did before hitting Enter,
+    // unless there was a non-collapsed selection when Enter was hit. If so, this selection
+    // is held in deletedFragment, and it may span list items. In any case, we need to put it
+    // back at the current selection and restore the range.
+    const deletedFragment = undoerData.data.deletedFragment;
+    if (deletedFragment) {
+        // After insertNode, the deletedFragment's childNodes will be in the range so we can select them.
+        // Note that these childNodes were extracted from the selection as the deletedFragment.
+        _insertInList(deletedFragment);
+        _backupUndoerRange(undoerData);
+    };
+    _backupSelection();
+    _callbackInput();
+    //_consoleLog("* Done _undoListEnter")
 };
 
 /**
- * Return an array of paragraph-styled Elements that the selection spans, including ones it
- * only partially encompasses.
+ * Insert fragment into the current selection point somewhere inside of a list.
  *
- * If the selection doesn't span paragraph styles, return an empty array. We do this even though
- * the selection is within a paragraph. This is because the function is used for operations
- * that span paragraphs.
- */
-const _selectedStyles = function() {
-    if (!_selectionSpansStyles()) { return [] };
-    const styles = _selectionStyles();
-    const startStyle = styles.startStyle;
-    const endStyle = styles.endStyle;
-    const styleRange = document.createRange();
-    styleRange.setStart(startStyle, 0);
-    styleRange.setEnd(endStyle, 0);
-    return _nodesWithNamesInRange(styleRange, _paragraphStyleTags);
-};
-
-/********************************************************************************
- * Lists
- */
-//MARK: Lists
-
-/**
- * Turn the list tag off and on for selection, doing the right thing
- * for different cases of selections.
- * If the selection is in a list type that is different than newListTyle,
- * we need to create a new list and make the selection appear in it.
+ * When we reach this point, we have undone the Enter that preceded and now need
+ * to re-insert the non-collapsed selection that we extracted and placed in fragment.
  *
- * @param {String}  newListType     The kind of list we want the list item to be in if we are turning it on or changing it.
- * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ * Return the selection range in case it's needed, altho selection
+ * is reset by this function.
  */
-MU.toggleListItem = function(newListType, restoreContainingList=false, undoable=true) {
+const _insertInList = function(fragment) {
+    //_consoleLog("* _insertInList(" + _fragmentString(fragment) + ")")
     const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    if (!sel || !selNode || !sel.rangeCount) { return };
-    if (_selectionSpansListables()) {
-        _multiList(newListType, undoable);
+    const range = sel.getRangeAt(0).cloneRange();
+    const anchorNode = (sel) ? sel.anchorNode : null;   // Selection is collapsed
+    if (!sel.isCollapsed || !anchorNode) {
+        MUError.CantInsertInList.callback();
         return;
     };
-    // Capture the range settings for the selection
-    const range = sel.getRangeAt(0).cloneRange();
-    const oldStartContainer = range.startContainer;
-    const oldStartOffset = range.startOffset;
-    const oldEndContainer = range.endContainer;
-    const oldEndOffset = range.endOffset;
-    const selectionState = _getSelectionState();
-    const styleType = selectionState['style'];
-    const oldListType = selectionState['list'];
-    const isInListItem = selectionState['li'];
-    // We will capture the newSelNode for restoring the selection along the way
-    let newSelNode = null;
-    // Track whether we removed a list containing a list so we can restore on undo
-    let removedContainingList = false;
-    if (oldListType) {
-        // TOP-LEVEL CASE: We selected something in a list
-        const listElement = _findFirstParentElementInNodeNames(selNode, [oldListType]);
-        const listItemElementCount = _childrenWithNodeNameCount(listElement, 'LI');
-        if (isInListItem) {
-            // CASE: We selected a list item inside of a list
-            const listItemElement = _findFirstParentElementInNodeNames(selNode, ['LI']);
-            if (oldListType === newListType) {
-                // We need to determine if we are in a node whose enclosing LI should be toggled
-                // off or on. This is made more complicated by the fact that selNode is not necessarily
-                // inside of any style tag (like <p>).
-                // Consider this case with the selection in 'Bar'. Here styleType will be null,
-                // and oldListType will be 'UL'. 'Bar' is a TEXT_NODE whose parentNode is <OL>, and
-                // we want to put it in an <LI>.
-                //  <ul>
-                //      <li>
-                //          <h5>Foo</h5>
-                //          <ol>
-                //              Bar
-                //              <li>Baz</li>
-                //          </ol>
-                //      </li>
-                //      <li><h5>Fiz</h5></li>
-                //  </ul>
-                // And then this one. Here styleType is 'P'. 'Bar' is a text node whose parentNode
-                // is <P>, and we want to put it in an <LI>
-                //  <ul>
-                //      <li>
-                //          <h5>Foo</h5>
-                //          <ol>
-                //              <p>Bar</p>
-                //              <li>Baz</li>
-                //          </ol>
-                //      </li>
-                //      <li><h5>Fiz</h5></li>
-                //  </ul>
-                // To make both of these cases work, find the parentNode that is in listStyleTags(). If
-                // there is one, then that parentNode is what we want to put in a newListItem. If there
-                // isn't one, then we just want to put selNode into it.
-                // But, now consider the same cases when selecting 'Baz'. The difference between 'Bar'
-                // and 'Baz' is that 'Bar' isn't in a <LI> inside of the <OL> or <UL>, the listElement.
-                // We need a way to determine if selNode is "naked" inside of a list (we know it is in
-                // a list). If it is naked, then the rule above works -- we always want do put it in a
-                // new <LI>. If it's not naked, we might still want to toggle it on, but only if it
-                // has a previousElementSibling, because it is by definition without a visible bullet
-                // or number.
-                const containingBlock = _findFirstParentElementInNodeNames(selNode, _listStyleTags)
-                const liChild = (containingBlock) ? containingBlock : selNode
-                //_consoleLog("liChild.outerHTML: " + liChild.outerHTML);
-                const naked = _isNakedListSelection(liChild);
-                const previousSib = liChild.previousElementSibling;
-                if (previousSib || (naked && (listItemElementCount > 0))) {
-                    //_consoleLog("Toggle on")
-                    //_consoleLog(" previousSib: " + previousSib + ", naked: " + naked + ", listItemElementCount: " + listItemElementCount);
-                    //_consoleLog(" Setting tag for " + liChild);
-                    // We want to make the selNode into a new list item in the existing list.
-                    // But, we also want it to include all of its siblings.
-                    const newListItem = document.createElement('li');
-                    let nextSib = liChild.nextSibling;  // Get nextSib before we put it in the LI and it doesn't have any sibs any more
-                    //_consoleLog(" Appending " + liChild.textContent);
-                    newListItem.appendChild(liChild);
-                    let nextNextSib;
-                    while (nextSib && (nextSib.nodeName !== 'LI')) {
-                        nextNextSib = nextSib.nextSibling;
-                        //_consoleLog(" Appending " + nextSib.textContent);
-                        newListItem.appendChild(nextSib);
-                        nextSib = nextNextSib;
-                    }
-                    if (naked) {
-                        listElement.insertBefore(newListItem, nextSib);
-                    } else {
-                        listElement.insertBefore(newListItem, listItemElement.nextSibling);
-                    }
-                    newSelNode = newListItem;
-                } else {
-                    //_consoleLog("Toggle off")
-                    if (listItemElementCount === 0) {
-                        //_consoleLog(" Unsetting tag for " + listElement.outerHTML);
-                        _unsetTag(listElement, sel);
-                    } else {
-                        //_consoleLog(" Unsetting tag for " + listItemElement.outerHTML);
-                        // We want to toggle it off and remove the list altogether if it's empty afterward
-                        // NOTE: _unsetTag resets the selection properly itself. So, we don't
-                        // set newSelNode in this case
-                        _unsetTag(listItemElement, sel);
-                        if (listItemElementCount === 1) {
-                            // There was only one list item, and we just removed it
-                            // So, unset the list. This seems like the right thing to do,
-                            // because it can be confusing visually to still have some kind
-                            // of list present without any list items in it. We don't have
-                            // to do this, but it just seems less confusing to an end user.
-                            _unsetTag(listElement, sel);
-                            // We need to track that we removed the list so that we can put any contained
-                            // list back in as its child when we undo
-                            removedContainingList = true;
-                        }
-                    }
-                }
+    // Handle specially if fragment contains no elements (i.e., just text nodes).
+    const simpleFragment = fragment.childElementCount === 0;
+    const singleListItemFragment = (fragment.childElementCount === 1) && (fragment.firstElementChild.nodeName !== 'LI');
+    let newRange;
+    if (simpleFragment || singleListItemFragment) {
+        //_consoleLog("* _insertInList (simple)")
+        const firstFragChild = fragment.firstChild;
+        const lastFragChild = fragment.lastChild;
+        range.insertNode(fragment); // fragment becomes anchorNode's nextSibling
+        _stripZeroWidthChars(anchorNode.parentNode);
+        // Setting the selection is a challenge because (at least in a list) when we have
+        // trailing blank characters, we can set to encompass them, but the document.getSelection()
+        // afterward will not include the blank character. Perhaps this has to do with the nature of
+        // lists, but in any case, this forces us to use the locations surrounding the inserted
+        // fragment to set the selection and using normalize to combine text nodes.
+        const textRange = document.createRange();
+        const prevSib = firstFragChild.previousSibling;
+        const nextSib = lastFragChild.nextSibling;
+        if (prevSib) {
+            if (prevSib.nodeType === Node.TEXT_NODE) {
+                textRange.setStart(prevSib, prevSib.textContent.length);
             } else {
-                if (listItemElementCount === 1) {
-                    // If this is the only item in the list, then change the list type rather than
-                    // change the one element.
-                    if (newListType) {
-                        const newList = _replaceTag(listElement, newListType);
-                        newSelNode = newList.firstChild;
-                    } else {
-                        // We are unsetting the list for a single-item list, so just remove both so
-                        // the list is removed.
-                        _unsetTag(listItemElement, sel);
-                        _unsetTag(listElement, sel);
-                    }
+                textRange.setStart(prevSib, prevSib.childNodes.length);
+            };
+        } else {
+            textRange.setStart(firstFragChild, firstFragChild.textContent.length);
+        };
+        if (nextSib) {
+            textRange.setEnd(nextSib, 0);
+        } else {
+            textRange.setEnd(lastFragChild, lastFragChild.textContent.length);
+        }
+        anchorNode.parentNode.normalize();
+        sel.removeAllRanges();
+        sel.addRange(textRange);
+        newRange = _maximizedRange(); // Enclose the element
+        //_consoleLog("* Done _insertInList (simple)")
+        return newRange;
+    }
+    const existingList = _findFirstParentElementInNodeNames(anchorNode, ['UL', 'OL'])
+    const existingListItem = _findFirstParentElementInNodeNames(anchorNode, ['LI'])
+    const firstFragEl = fragment.firstElementChild;
+    const lastFragEl = fragment.lastElementChild;
+    if (range.startOffset === 0) {
+        //_consoleLog("At the beginning of a text node")
+        // Selection is at the beginning of a text node that we need
+        // to insert the fragment into.
+        let fragEl = fragment.firstElementChild;
+        if (_isEmpty(lastFragEl)) {     // It should be an empty placeholder
+            fragment.removeChild(lastFragEl);
+        }
+        while (fragEl) {
+            existingList.insertBefore(fragEl, existingListItem);
+            fragEl = fragment.firstElementChild;
+        }
+        newRange = document.createRange();
+        newRange.setStart(firstFragEl, 0);
+        newRange.setEnd(existingListItem, 0);
+        sel.removeAllRanges();
+        sel.addRange(newRange);
+    } else {
+        //_consoleLog("In the middle of a text node")
+        // Selection starts within a text node that needs to be split
+        // and then merged with the fragment. After splitText,
+        // anchorNode contains the textNode before the selection.
+        let trailingText = anchorNode.splitText(range.startOffset);
+        // We have a case where the selection is at the end of a textNode, so trailingText
+        // ends up with zero length. This means we have to set the target for insertBefore
+        // not to trailingText but to its parentNode's nextSibling.
+        if (trailingText.length === 0) {
+            trailingText = trailingText.parentNode.nextSibling;
+        }
+        // FIRST, insert all of the firstElFrag's childNodes before
+        // the trailingText. So, for example, if the firstElFrag is
+        // <h5 id="h5">ted <i id="i">item</i> 1.</h5>, the "ted <i id="i">item</i> 1."
+        // gets put just after anchorNode (i.e., before trailingText).
+        const anchorNodeParent = anchorNode.parentNode;
+        const anchorNodeParentName = anchorNodeParent.nodeName;
+        let firstElChild = firstFragEl.firstChild;
+        while (firstElChild) {
+            if ((firstElChild.nodeType === Node.ELEMENT_NODE) && (firstElChild.nodeName === anchorNodeParent.nodeName)) {
+                let nextChild = firstElChild.firstChild;
+                while (nextChild) {
+                    anchorNode.parentNode.appendChild(nextChild)
+                    nextChild = firstElChild.firstChild;
+                }
+                firstElChild.parentNode.removeChild(firstElChild);
+            } else {
+                trailingText.parentNode.insertBefore(firstElChild, trailingText)
+            }
+            firstElChild = firstFragEl.firstChild;
+        }
+        firstFragEl.parentNode.removeChild(firstFragEl);
+        // SECOND, all the siblings of firstFragEl need to be added as siblings of anchorNode.parentNode.
+        // The siblings start with what is now fragment.firstChild.
+        let nextFragSib = fragment.firstChild;
+        let nextSib = trailingText.parentNode.nextSibling;
+        const nextListItem = existingListItem.nextSibling;
+        while (nextFragSib) {
+            if (nextFragSib.nodeName === 'LI') {
+                // This is the case when selection spans list items within a single list type
+                existingListItem.parentNode.insertBefore(nextFragSib, nextListItem)
+            } else if ((nextFragSib.nodeName === 'OL') || (nextFragSib.nodeName === 'UL')) {
+                // The selection crosses into another list. So, we were inserting list
+                // items, and now this list item contains another list. Rather than
+                // inserting it before the nextListItem, a sublist needs to be inside
+                // of the current list item.
+                // Handle styling in list item or no styling
+                const styleElement = _findFirstParentElementInNodeNames(anchorNode, _styleTags)
+                let insertBeforeNode;
+                if (styleElement) {
+                    insertBeforeNode = styleElement.nextSibling;
                 } else {
-                    // We want to replace the existing list item with a newListType list that contains it
-                    newSelNode = _splitList(listItemElement, newListType);
+                    insertBeforeNode = anchorNode.nextSibling
                 }
+                existingListItem.insertBefore(nextFragSib, insertBeforeNode);
+            } else {
+                _consoleLog("Error: unexpected nextFragSib")
             }
-            if (newSelNode) {
-                _collapseList(newSelNode)
-            };
-        } else if (styleType) {
-            // CASE: We selected a styled element in a list, but not in an LI
-            const styledElement = _findFirstParentElementInNodeNames(selNode, [styleType]);
-            if (oldListType === newListType) {
-                // We want the entire styled element to be a list item in the existing list
-                newSelNode = _replaceNodeWithListItem(styledElement);
+            nextFragSib = fragment.firstChild;
+        };
+        // THIRD, put the trailingText itself at the end of the lastFragEl along
+        // with all of its parentNode's nextSiblings.
+        let lastChildEl = lastFragEl.lastChild;
+        let appendTrailingTarget;
+        if (lastChildEl.nodeType === Node.TEXT_NODE) {
+            appendTrailingTarget = lastChildEl.parentNode;
+        } else if (lastChildEl.nodeType === Node.ELEMENT_NODE) {
+            const lastChildChild = lastChildEl.lastChild;
+            if (lastChildChild.nodeType === Node.TEXT_NODE) {
+                appendTrailingTarget = lastChildChild.parentNode;
             } else {
-                // We want to make the entire styled element the first item in a new newListType list
-                newSelNode = _replaceNodeWithList(newListType, styledElement);
+                appendTrailingTarget = lastChildChild;
             }
-        } else if (oldListType === newListType) {
-            // CASE: We selected something in a newListType list that is not an LI and not styled.
-            // Replace selNode with a new LI that contains it
-            newSelNode = _replaceNodeWithListItem(selNode);
-        } else {
-            // CASE: We selected something in a not-newListType list that is not an LI and not styled.
-            // Replace selNode with a newListType list that contains one LI containing selNode
-            newSelNode = _replaceNodeWithList(newListType, selNode);
         }
-    } else {
-        // TOP-LEVEL CASE: We selected something outside of any list
-        // By definition, we want to put it in a newListType list
-        const styledElement = _findFirstParentElementInNodeNames(selNode, [styleType]);
-        let nextElementSib;
-        if (styledElement) {
-            nextElementSib = styledElement.nextElementSibling;
-            newSelNode = _replaceNodeWithList(newListType, styledElement);
-        } else {
-            nextElementSib = selNode.nextElementSibling;
-            newSelNode = _replaceNodeWithList(newListType, selNode);
-        };
-        // If the nextElementSibling of what we just put into a list is also a list,
-        // then make it a child of the new list.
-        if (_isListElement(nextElementSib) && restoreContainingList) {
-            newSelNode.appendChild(nextElementSib);
-        };
-    };
-    // If we captured the newSelNode, then reset the selection based on it
-    if (newSelNode) {
-        let startContainer, endContainer;
-        startContainer = _firstChildMatchingContainer(newSelNode.parentNode, oldStartContainer);
-        if (oldEndContainer ===  oldStartContainer) {
-            endContainer = startContainer;
+        // TODO: Maybe have to deal with siblings
+        const startContainer = anchorNode;
+        const startOffset = anchorNode.textContent.length;
+        const previousSib = appendTrailingTarget.lastChild;
+        // If the trailingText and its previous sibling are both
+        // textNodes, then we split them before and they should
+        // be rejoined.
+        let endContainer, endOffset;
+        if (_isTextNode(previousSib)) {
+            endContainer = previousSib;
+            endOffset = previousSib.textContent.length;
+            previousSib.textContent = previousSib.textContent + trailingText.textContent;
+            trailingText.parentNode.removeChild(trailingText);
         } else {
-            endContainer = _firstChildMatchingContainer(newSelNode.parentNode, oldEndContainer);
+            endContainer = trailingText;
+            endOffset = 0;
+            appendTrailingTarget.appendChild(trailingText);
         }
-        range.setStart(startContainer, oldStartOffset);
-        range.setEnd(endContainer, oldEndOffset);
-        sel.removeAllRanges();
-        sel.addRange(range);
-    }
-    if (undoable) {
-        _backupSelection();
-        const undoerData = _undoerData('list', {newListType: newListType, oldListType: oldListType, removedContainingList: removedContainingList});
-        undoer.push(undoerData);
-        _restoreSelection();
-    }
-    _callbackInput();
-};
-
-/**
- * Turn the elements found in _selectedListables into list of type newListType.
- *
- * Listables are paragraph elements that are not within lists, and well as lists themselves.
- * When listables are elementSiblings, we want them to end up in the same list.
- */
-const _multiList = function(newListType, undoable) {
-    const selectedListables = _selectedListables();
-    const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) { return }
-    const range = sel.getRangeAt(0);
-    const listableElements = selectedListables.filter( listableElement => _findFirstParentElementInNodeNames(listableElement, [newListType], ['LI']));
-    // If all elements are of the same newListType already, then unsetAll===true; otherwise,
-    // unsetAll===false indicates that all elements will be set to newListType, with the ones
-    // that are already in newListType left alone. We need to know what unsetAll was in undo also.
-    const unsetAll = listableElements.length === selectedListables.length;
-    // Rather than use the range.commonAncestorContainer, we use MU.editor because it's too
-    // easy for the common ancestor to end up being something we change.
-    const commonAncestor = MU.editor;
-    // Record the indices of selectedListables before we modify them, because this tells us how
-    // to reassemble them on undo. The multilist operation may change the number of listables, so
-    // "originalIndices" here refers to what exists when we start. As we loop over selectedListables,
-    // we will be creating newListableElements, and for each of those we track the originalIndices
-    // entry they were derived from in "oldIndices". This tells us the location and depth in the list
-    // they were derived from to use during undo.
-    const originalIndices = [];  // So we can tell how to reassemble on undo
-    for (let i = 0; i < selectedListables.length; i++) {
-        originalIndices[i] = _childNodeIndicesByParent(selectedListables[i], commonAncestor)
-    };
-    // Altho the selectedListables will change position in the DOM, they will still exist,
-    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
-    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
-    const savedRange = _rangeProxy();
-    const tagRange = document.createRange();
-    const newListableElements = [];
-    const oldListables = [];
-    const oldIndices = [];
-    let currentList, currentListItem;
-    for (let i = 0; i < selectedListables.length; i++) {
-        let selectedListable = selectedListables[i];    // A top-level style or a UL or OL
-        const isListElement = _isListElement(selectedListable);
-        const oldIndex = originalIndices[i];
-        const nextListable = (i < selectedListables.length - 1) ? selectedListables[i + 1] : null;
-        const nextIsSibling = nextListable && (selectedListable.nextElementSibling === nextListable);
-        if (unsetAll) {
-            // Every selectedListable is of newListType, that we are going to remove.
-            // First, eliminate all the list items, which should hold styled elements
-            // and hold onto all the styled elements we end up with in unsetChildren.
-            const unsetChildren = [];
-            let childNode = selectedListable.firstChild;
-            while (childNode) {
-                let nextChildNode = childNode.nextSibling;
-                if (_isListItemElement(childNode)) {
-                    tagRange.selectNode(childNode);
-                    const textNodeRange = _unsetTagInRange(childNode, tagRange);
-                    const styledElement = _findFirstParentElementInNodeNames(textNodeRange.startContainer, _styleTags);
-                    if (styledElement) {
-                        unsetChildren.push(styledElement);
-                    };
-                };
-                childNode = nextChildNode;
-            };
-            // Then, remove the selectedListable by removing its tag.
-            tagRange.selectNode(selectedListable);
-            _unsetTagInRange(selectedListable, tagRange);
-            // And track the unsetChildren (i.e., new top-level paragraph styles) that we have left over
-            // so that we can retag them on undo.
-            for (let j = 0; j < unsetChildren.length; j++) {
-                let unsetChild = unsetChildren[j];
-                oldListables.push(newListType);                 // Remains the same for each child
-                oldIndices.push(oldIndex);                      // Remains the same for each child
-                newListableElements.push(unsetChild);           // Track so we can get indices when done
-            };
-        } else {
-            // We are only going to set the ones that are not of newListType, adding them to
-            // the list we are currently in, or creating a new currentList as needed
-            let oldListable = selectedListable.nodeName;
-            if (!currentList) {
-                if (isListElement) {
-                    currentList = selectedListable;
-                    if (oldListable !== newListType) {
-                        selectedListable = _replaceTag(selectedListable, newListType.toUpperCase());
-                    };
-                } else {
-                    currentList = document.createElement(newListType);
-                    selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
-                    currentListItem = document.createElement('LI');
-                    currentList.appendChild(currentListItem);
-                    currentListItem.appendChild(selectedListable);
-                };
-            } else {
-                if (isListElement) {
-                    if (oldListable !== newListType) {
-                        selectedListable = _replaceTag(selectedListable, newListType.toUpperCase());
-                    };
-                    if (currentListItem) {
-                        currentListItem.appendChild(selectedListable);  // Should always be true
-                    } else {
-                        currentList.appendChild(selectedListable);
-                    };
-                } else {
-                    currentListItem = document.createElement('LI');
-                    currentList.appendChild(currentListItem);
-                    currentListItem.appendChild(selectedListable);
-                };
-            };
-            // The selectedListable's location in the DOM has likely changed, so push now.
-            // Also worth noting that when the selectedListable is a top-level styled element that
-            // is now embedded in a list, you might logically think the only listable should be
-            // the list it's now embedded in. However, that doesn't let us map them back easily
-            // on undo, so we track the styled element in the list, not the list.
-            oldListables.push(oldListable);
-            oldIndices.push(oldIndex);
-            newListableElements.push(selectedListable);
-        };
-        // If the next selectedListable we are going to see is a sibling element of currentList,
-        // then leave currentList the same so it gets appended; else set currentList to null
-        // so that the next loop will create a new list as needed.
-        if (!nextIsSibling) {
-            currentList = null;
-            currentListItem = null;
+        // FINALLY, if we ended up with two lists of the same type as siblings, then merge them
+        const currentList = _findFirstParentElementInNodeNames(lastChildEl, ['OL', 'UL']);
+        const nextList = currentList.nextSibling;
+        if (nextList && (currentList.nodeName === nextList.nodeName)) {
+            let nextListChild = nextList.firstChild;
+            while (nextListChild) {
+                currentList.appendChild(nextListChild);
+                nextListChild = nextList.firstChild;
+            }
+            nextList.parentNode.removeChild(nextList);
         };
+        newRange = document.createRange();
+        newRange.setStart(startContainer, startOffset);
+        newRange.setEnd(endContainer, endOffset);
+        sel.removeAllRanges();
+        sel.addRange(newRange);
     };
-    // Now find indices after looping over all the original selectedListables
-    const indices = [];
-    for (let i = 0; i < newListableElements.length; i++) {
-        indices.push(_childNodeIndicesByParent(newListableElements[i], commonAncestor));
-    };
-    // For posterity, even though it looks visually like OL/UL are at a lower level in a nested list
-    // hierarchy than P, they are not. Consider:
-    //  <p id="p1">Top-level paragraph 1</p>
-    //  <ul id="ul1">
-    //      <li>
-    //          <p id="p2>Unordered list paragraph 1</p>
-    //          <ol id="ol1">
-    //              <li><p>Ordered sublist paragraph</p></li>
-    //          </ol>
-    //      </li>
-    //  </ul>
-    //  <p id="p3">Top-level paragraph 2</p>
-    //  <ol id="ol2">
-    //      <li><p>Ordered list paragraph 1</p></li>
-    //  </ol>
-    // In this arrangement, p1, ul1, p3, and ol2 are siblings, and p2 and ol1 are siblings. This is
-    // structurally true even though ul1 looks like it is indented compared to p1, and even though
-    // ol1 looks like it is indented compared to p2. In the above, the listables are, in breadthwise
-    // order: p1, ul1, p3, ol2, ol1. Now if all of those listables are set to UL using multilist,
-    // we end up with (preserving the ids even though all list types are now UL):
-    //  <ul id="ul0">
-    //      <li>
-    //          <p id="p1">Top-level paragraph 1</p>
-    //          <ul id="ul1">
-    //              <li>
-    //                  <p id="p2">Unordered list paragraph 1</p>
-    //                  <ul id="ol1">
-    //                      <li><p>Ordered sublist paragraph</p></li>
-    //                  </ul>
-    //              </li>
-    //          </ul>
-    //      </li>
-    //      <li>
-    //          <p id="p3">Top-level paragraph 2</p>
-    //          <ul id="ol2">
-    //              <li><p>Ordered list paragraph 1</p></li>
-    //          </ul>
-    //      </li>
-    //  </ul>
-    // Note that p1 and ul1 are now siblings, and p3 and ol2 are now siblings.
-    _restoreRange(savedRange);
-    if (undoable) {
-        _backupSelection();
-        const undoerData = _undoerData('multiList', {commonAncestor: commonAncestor, newListType: newListType, oldListables: oldListables, oldIndices: oldIndices, indices: indices, unsetAll: unsetAll}, savedRange);
-        undoer.push(undoerData);
+    //_consoleLog("* Done _insertInList")
+    return newRange;
+};
+
+/**
+ * We are inside of a list and want to indent the selected item in it.
+ */
+const _doListIndent = function(undoable=true) {
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode) { return null };
+    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
+    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
+    if (!existingList || !existingListItem) { return null };
+    _backupSelection();
+    if (_indentListItem(existingListItem, existingList)) {
         _restoreSelection();
+        if (undoable) {
+            _backupSelection();
+            const undoerData = _undoerData('indent');
+            undoer.push(undoerData);
+            _restoreSelection();
+        }
+        _callbackInput();
     };
-    _callbackInput();
 };
 
 /**
- * Undo the previous multiList operation.
+ * Given an existingListItem in an existingList, indent the existingListItem,
+ * leaving everything else (including existingListItem's sublists) at the same level.
+ *
+ * @return  {HTML Node}   The existingListItem if it could be indented; else, null.
  */
-const _undoMultiList = function(undoerData) {
-    const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) {
-        MUError.NoSelection.callback();
-        return;
-    };
-    const range = undoerData.range;
-    const startContainer = range.startContainer;
-    const startOffset = range.startOffset;
-    const endContainer = range.endContainer;
-    const endOffset = range.endOffset;
-    const commonAncestor = undoerData.data.commonAncestor;
-    const oldListables = undoerData.data.oldListables;
-    const oldIndices = undoerData.data.oldIndices;
-    const oldContainerIndices = _containerIndices(oldIndices);    // Points to containing elements in oldIndices
-    const newListType = undoerData.data.newListType;
-    const indices = undoerData.data.indices;
-    const unsetAll = undoerData.data.unsetAll;
-    // Altho the selectedListables will change position in the DOM, they will still exist,
-    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
-    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
-    const savedRange = _rangeProxy();
-    // Find all the listables first, because once we start mucking around with the list, we won't
-    // be able to find them from indices any more. The "mucking around" involves removing things
-    // from lists, splitting them, etc. While we are mucking around, the listables themselves will
-    // still exist, but their location in the DOM will be changed.
-    const selectedListables = [];
-    for (let i = 0; i < indices.length; i++) {
-        let selectedListable = _childNodeIn(commonAncestor, indices[i]);
-        selectedListables.push(selectedListable);
+const _indentListItem = function(existingListItem, existingList) {
+    const previousListItem = existingListItem.previousElementSibling;
+    if (!previousListItem || (previousListItem.nodeName !== 'LI')) { return null };
+    // The only valid child of UL or OL is LI; however,
+    // LI can have UL or OL children to form sublists. So, indenting
+    // means taking an existing LI putting it in a new UL or OL, and then
+    // appending the new UL or OL as a child of the existing LI's
+    // previousSibling. If previousElementSibling doesn't exist or is not
+    // an LI, then the indent is not allowed. Thus, indenting the 2nd list
+    // item in:
+    //  <UL>
+    //      <LI>List item 1</LI>
+    //      <LI>List item 2</LI>
+    //  </UL>
+    // becomes:
+    //  <UL>
+    //      <LI>List item 1
+    //          <UL>
+    //              <LI>List item 2</LI>
+    //          </UL>
+    //      </LI>
+    //  </UL>
+    //
+    // Check whether to put the newListItem in its own newList, or whether to append it to
+    // the existingList at the level above in the list.
+    // Consider:
+    //  <UL>
+    //      <LI>List item 1
+    //          <UL>
+    //              <LI>Sublist item 1</LI>
+    //          </UL>
+    //      </LI>
+    //      <LI>List item 2</LI>
+    //  </UL>
+    // When indenting List item 2, we want:
+    //  <UL>
+    //      <LI>List item 1
+    //          <UL>
+    //              <LI>Sublist item 1</LI>
+    //              <LI>List item 2</LI>
+    //          </UL>
+    //      </LI>
+    //  </UL>
+    // We don't want:
+    //  <UL>
+    //      <LI>List item 1
+    //          <UL>
+    //              <LI>Sublist item 1</LI>
+    //          </UL>
+    //          <UL>
+    //              <LI>List item 2</LI>
+    //          </UL>
+    //      </LI>
+    //  </UL>
+    const prevListItemLastChild = previousListItem.lastElementChild;
+    if (prevListItemLastChild && (prevListItemLastChild.nodeName === existingList.nodeName)) {
+        // The previous list's last element is a list of the same type, so existingListItem should just be appended to it
+        prevListItemLastChild.appendChild(existingListItem);
+        
+    } else {
+        // We just need to create a newList to contain existingListItem, and then put that list
+        // as a child of previousListItem.
+        const newList = document.createElement(existingList.nodeName);
+        newList.appendChild(existingListItem);
+        previousListItem.appendChild(newList);
     };
-    let currentList, currentListItem;
-    const newSelectedListables = [];
-    for (let i = 0; i < selectedListables.length; i++) {
-        const selectedListable = selectedListables[i];
-        const oldIndex = oldIndices[i];         // oldIndex is what indices to selectedListable were before setting
-        const oldListable = oldListables[i];    // oldListable is what the selectedListable was before setting
-        const isListElement = _isListElement(selectedListable);
-        const nextExists = (i < selectedListables.length - 1);
-        const nextListable = nextExists && selectedListables[i + 1];
-        const nextOldIndex = nextExists && oldIndices[i + 1];
-        const nextOldListable = nextExists && oldListables[i + 1]
-        // When oldContainerIndices[i+1] is non-null, it holds the index into oldIndices where
-        // we will find the array of childNodes to find the element that contains the nextListable
-        const nextIsSubList = nextExists && (oldContainerIndices[i + 1] !== null);
-        // We can end up with a case of the selectedListable being a <P> (i.e., a top-level paragraph),
-        // but the newListType being <UL> or <OL>. In this case, we won't find a newListableElement
-        // or a newListItem, since the selectedListable isn't in a list at all.
-        const newListableElement = _findFirstParentElementInNodeNames(selectedListable, [newListType]);
-        // Since a UL/OL can be within a LI, we need to exclude _listTags when searching upward for the LI
-        let newListItemElement = _findFirstParentElementInNodeNames(selectedListable, ['LI'], _listTags);
-        let tagRange = document.createRange();
-        const newStartContainer = (i === 0) && (selectedListable === startContainer);
-        const newEndContainer = (i === indices.length - 1) && (selectedListable === endContainer);
-        if (newStartContainer) {
-            tagRange.setStart(selectedListable, startOffset);
-        } else {
-            tagRange.setStart(selectedListable, 0);
-        };
-        if (newEndContainer) {
-            tagRange.setEnd(selectedListable, endOffset);
-        } else {
-            tagRange.setEnd(selectedListable, _endOffsetFor(selectedListable));
-        };
-        sel.removeAllRanges();
-        sel.addRange(tagRange);
-        // If !unsetAll, then we only set the new list type for OL or UL that are different
-        // from the oldListable. We use the existing splitList method to do the hard work when
-        // removing a tag altogether. When the tag changes, just replaceTag.
-        // If unsetAll, then we removed all lists at "do" time, and now we need to make all listables
-        // back into lists with the proper nesting.
-        const untag = !unsetAll && newListableElement && newListItemElement && (oldListable !== newListableElement.nodeName);
-        const replaceTag = !unsetAll && _isListElement(newListableElement) && (oldListable !== newListableElement.nodeName);
-        if (untag) {
-            let styleElement = _splitList(newListItemElement);
-            newSelectedListables.push(styleElement);
-        } else if (replaceTag) {
-            let listElement = _replaceTag(newListableElement, oldListable);
-            newSelectedListables.push(listElement);
-        } else if (unsetAll) {
-            // If currentList is null, we have to create it as a top-level list. At the end of the
-            // loop, we set it based on the oldIndices, either to null because we need to create
-            // a new top-level list for the next listable, or to a sublist that we create or have
-            // previously created.
-            if (!currentList) {
-                currentList = document.createElement(newListType);
-                selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
-                newSelectedListables.push(currentList);     // Track the new list we just created
-            };
-            // When we unsetAll previously, every listable  has to be placed in a new LI in the currentList
-            let currentListItem = document.createElement('LI');
-            currentList.appendChild(currentListItem);
-            currentListItem.appendChild(selectedListable);
-            // If the next selectedListable is a subList, we have to create a new UL or OL to put
-            // in the LI that we already created. That LI is not necessarily currentListItem.
-            // The oldListIndex has the path through commonAncestor childNodes to find that LI.
-            // The last item in oldListIndex is the childNode (OL or OL) we are about to create,
-            // and the path up to that last item gives us the LI it should reside in.
-            if (nextIsSubList) {
-                // The list item we are going to put a new subList into should already exist
-                // because of the ordering we restore the list in.
-                const listItemIndex = nextOldIndex.slice(0, -1);    // Remove the last item
-                const listItem = _childNodeIn(commonAncestor, listItemIndex);
-                const subList = document.createElement(newListType);
-                listItem.appendChild(subList);
-                currentList = subList;                      // Use the new sublist for the next item
-                newSelectedListables.push(currentList);     // Track the new list we just created
-            };
-        } else {
-            // Do nothing to this element. We still need to track it, though.
-            newSelectedListables.push(selectedListable);
-        }
-        const newRange = sel.getRangeAt(0);
-        if (newStartContainer) {
-            range.setStart(newRange.startContainer, newRange.startOffset);
+    // But existingListItem's list children now have to be outdented so they stay at the original level in the list
+    let existingChild = existingListItem.firstElementChild;
+    while (existingChild && (existingChild.nodeName === existingList.nodeName)) {
+        let existingSubListItem = existingChild.firstElementChild;
+        while (existingSubListItem) {
+            _outdentListItem(existingSubListItem, existingChild);
+            existingSubListItem = existingChild.firstElementChild;
         };
-        if (newEndContainer) {
-            range.setEnd(newRange.endContainer, newRange.endOffset);
+        existingChild = existingListItem.firstElementChild;
+    };
+    return existingListItem;
+};
+    
+/**
+ * We are inside of a list and want to outdent the selected item in it.
+ * We can only outdent if the list we are in is contained in another list.
+ */
+const _doListOutdent = function(undoable=true) {
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode) { return null };
+    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
+    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
+    if (!(existingList && existingListItem)) { return null };
+    _backupSelection();
+    const outdentedItem = _outdentListItem(existingListItem, existingList);
+    _restoreSelection();
+    // When outdenting to get out of a list, we will always end up in a
+    // paragraph style tag of some kind. If that's the case, then treat the operation
+    // like toggleListItem so we get the proper undo behavior that restores any
+    // previously nested list.
+    const outdentedFromList = outdentedItem && _paragraphStyleTags.includes(outdentedItem.nodeName);
+    if (outdentedItem && undoable) {
+        _backupSelection();
+        let undoerData;
+        if (outdentedFromList) {
+            const removedContainingList = _isListElement(outdentedItem.nextElementSibling);
+            undoerData = _undoerData('list', {newListType: existingList.nodeName, oldListType: existingList.nodeName, removedContainingList: removedContainingList});
+        } else {
+            undoerData = _undoerData('outdent');
         };
+        undoer.push(undoerData);
     };
-    // Why update undoerData after the undo? Because on redo, we use the undoerData again, but
-    // the listables, depths, and indices of the elements have changed after undo.
-    undoerData.data.oldListables = [];
-    undoerData.data.indices = [];
-    newSelectedListables.forEach(newSelectedListable => {
-        undoerData.data.oldListables.push(newSelectedListable.nodeName);
-        undoerData.data.indices.push(_childNodeIndicesByParent(newSelectedListable, commonAncestor));
-    });
-    _restoreRange(savedRange);
-    undoerData.range = savedRange;
     _callbackInput();
 };
 
 /**
- * Redo the previous undo of the multiList operation.
+ * Given an existingListItem in an existingList, outdent the existingListItem,
+ * leaving everything else (including existingListItem's sublists) at the same level.
  *
- * Basically similar to _multiList, except the data for the operation is all
- * derived from the undoerData, not the selection.
+ * @return  {HTML Node}   The existingListItem if it could be outdented; else, null.
  */
-const _redoMultiList = function(undoerData) {
-    const newListType = undoerData.data.newListType;
-    const commonAncestor = undoerData.data.commonAncestor;
-    const originalIndices = undoerData.data.indices;    // Indices to the results of undo (i.e., what we once started with)
-    const selectedListables = [];
-    for (let i = 0; i < originalIndices.length; i++) {
-        selectedListables[i] = _childNodeIn(commonAncestor, originalIndices[i]);
+const _outdentListItem = function(existingListItem, existingList) {
+    // First, determine if we can outdent within an outerList, or if existingListItem
+    // should just not be in a list at all
+    const outerList = (existingList) ? _findFirstParentElementInNodeNames(existingList.parentNode, ['UL', 'OL']) : null;
+    if (!outerList) {
+        // We can't outdent in a list any further, so split the list here and then put
+        // the existingListItem contents outside of the list, and return immediately;
+        return _splitList(existingListItem)
     };
-    const listableElements = selectedListables.filter( listableElement => _findFirstParentElementInNodeNames(listableElement, [newListType], ['LI']));
-    // If all elements are of the same newListType already, then unsetAll===true; otherwise,
-    // unsetAll===false indicates that all elements will be set to newListType, with the ones
-    // that are already in newListType left alone.
-    const unsetAll = listableElements.length === selectedListables.length;
-    _restoreRange(undoerData.range);
-    const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) { return }
-    const range = sel.getRangeAt(0);
-    // Altho the selectedListables will change position in the DOM, they will still exist,
-    // so we can use _rangeProxy() and restoreRange() to preserve selection. We don't use
-    // _backupRange and _restoreRange to avoid issues if they are used by methods we call here.
-    const savedRange = _rangeProxy();
-    const tagRange = document.createRange();
-    const newListableElements = [];
-    const oldListables = [];
-    const oldIndices = [];
-    let currentList, currentListItem;
-    for (let i = 0; i < selectedListables.length; i++) {
-        let selectedListable = selectedListables[i];    // A top-level style or a UL or OL
-        const isListElement = _isListElement(selectedListable);
-        const oldIndex = originalIndices[i];
-        const nextListable = (i < selectedListables.length - 1) ? selectedListables[i + 1] : null;
-        const nextIsSibling = nextListable && (selectedListable.nextElementSibling === nextListable);
-        if (unsetAll) {
-            // Every selectedListable is of newListType, that we are going to remove.
-            // First, eliminate all the list items, which should hold styled elements
-            // and hold onto all the styled elements we end up with in unsetChildren.
-            const unsetChildren = [];
-            let childNode = selectedListable.firstChild;
-            while (childNode) {
-                let nextChildNode = childNode.nextSibling;
-                if (_isListItemElement(childNode)) {
-                    tagRange.selectNode(childNode);
-                    let styledElementRange = _unsetTagInRange(childNode, tagRange);
-                    let styledElement = styledElementRange.startContainer;
-                    unsetChildren.push(styledElement);
-                };
-                childNode = nextChildNode;
-            };
-            // Then, remove the selectedListable by removing its tag.
-            tagRange.selectNode(selectedListable);
-            _unsetTagInRange(selectedListable, tagRange);
-            // And track the unsetChildren (i.e., new top-level paragraph styles) that we have left over
-            // so that we can retag them on undo.
-            for (let j = 0; j < unsetChildren.length; j++) {
-                let unsetChild = unsetChildren[j];
-                oldListables.push(newListType);                 // Remains the same for each child
-                oldIndices.push(oldIndex);                      // Remains the same for each child
-                newListableElements.push(unsetChild);           // Track so we can get indices when done
-            };
+    // Following the comments in _indentListItem, we want to outdent
+    // Sublist item 2 in:
+    //  <UL>
+    //     <LI>List item 1
+    //         <UL>
+    //             <LI>Sublist item 1</LI>
+    //             <LI>Sublist item 2</LI>
+    //             <LI>Sublist item 3</LI>
+    //         </UL>
+    //     </LI>
+    //     <LI>List item 2</LI>
+    //  </UL>
+    // which should produce:
+    //  <UL>
+    //     <LI>List item 1
+    //         <UL>
+    //             <LI>Sublist item 1</LI>
+    //         </UL>
+    //     </LI>
+    //     <LI>Sublist item 2
+    //         <UL>
+    //             <LI>Sublist item 3</LI>
+    //         </UL>
+    //     </LI>
+    //     <LI>List item 2</LI>
+    //  </UL>
+    // To do this, find the existingListItem and the existingList it is inside of.
+    // The existingList's parentNode's nextSibling is what we want to put the
+    // existingListItem before. However, before we do that, move all of existingListItem's
+    // nextElementSiblings to be its children, thereby "moving down" any nodes below it in the
+    // existingList. When done, if existingList is empty, remove it.
+    let nextListItem = existingList.parentNode.nextElementSibling;
+    if (!_isListItemElement(nextListItem)) { nextListItem = null };
+    let sib = existingListItem.nextElementSibling;
+    if (sib) {
+        const newList = document.createElement(existingList.nodeName);
+        while (sib) {
+            newList.appendChild(sib);
+            sib = existingListItem.nextElementSibling;
+        }
+        existingListItem.appendChild(newList);
+    };
+    outerList.insertBefore(existingListItem, nextListItem);
+    if (existingList.children.length === 0) {
+        existingList.parentNode.removeChild(existingList);
+    };
+    return existingListItem;
+}
+
+/**
+ * Given a listItemElement that we want to be in a newListType,
+ * split the list it resides in so that the listItemElement is in
+ * its own list of newListType, and the one it was in has been split
+ * around it. So, for example, if newListType is UL and listItemElement
+ * is in an OL, then we end up with two or three lists depending on
+ * whether the element was in the middle or at the ends of the original.
+ * Note that the listItemElement might contain an Element or a text node,
+ * and it might have children, such an a sublist of UL or OL.
+ * If newListType is null or not specified, then place the contents
+ * of the listItemElement between the split list, but not in a UL
+ * or OL at all. In this case, we need to leave any "bare text" in
+ * a <P>.
+ *
+ * @param   {HTML List Item Element}    listItemElement     The LI currently in a UL or OL.
+ * @param   {String | null}             newListType         OL or UL to indicate what listItemElement should be in, or null.
+ * @return  {HTML List Item Element}                        The listItemElement now residing in a new list of newListType, or null.
+ */
+const _splitList = function(listItemElement, newListType) {
+    const oldList = listItemElement.parentNode;
+    const oldListType = _listType(oldList);
+    const oldListItems = oldList.children;
+    const preList = _createList(oldListType);
+    const postList = _createList(oldListType);
+    // Populate the preList and postList that will surround the new list
+    // containing listItemElement or children of listItemElement
+    let listToPopulate = preList;
+    while (oldListItems.length > 1) {
+        let index = (listToPopulate === preList) ? 0 : 1;
+        let child = oldListItems[index];
+        if (child === listItemElement) {
+            listToPopulate = postList;  // Flip the listToPopulate and skip the listItemElement
+            index = 1;
         } else {
-            // We are only going to set the ones that are not of newListType, adding them to
-            // the list we are currently in, or creating a new currentList as needed
-            let oldListable = selectedListable.nodeName;
-            if (!currentList) {
-                if (isListElement) {
-                    currentList = selectedListable;
-                    if (oldListable !== newListType) {
-                        selectedListable = _replaceTag(selectedListable, newListType.toUpperCase());
-                    };
-                } else {
-                    currentList = document.createElement(newListType);
-                    selectedListable.parentNode.insertBefore(currentList, selectedListable.nextSibling);
-                    currentListItem = document.createElement('LI');
-                    currentList.appendChild(currentListItem);
-                    currentListItem.appendChild(selectedListable);
-                };
-            } else {
-                if (isListElement) {
-                    if (oldListable !== newListType) {
-                        selectedListable = _replaceTag(selectedListable, newListType.toUpperCase());
-                    };
-                    if (currentListItem) {
-                        currentListItem.appendChild(selectedListable);  // Should always be true
-                    } else {
-                        currentList.appendChild(selectedListable);
-                    };
+            listToPopulate.appendChild(child);
+        };
+    };
+    _splitListNumbering(oldList, preList, postList);
+    // Insert the preList and postList before and after the oldList (which now
+    // contains only the listItemElement
+    if (preList.children.length > 0) {
+        oldList.parentNode.insertBefore(preList, oldList)
+    };
+    if (postList.children.length > 0) {
+        oldList.parentNode.insertBefore(postList, oldList.nextSibling);
+    };
+    if (newListType) {
+        // We want listItemElement to be in a list of newListType
+        const newList = _createList(newListType);
+        newList.appendChild(listItemElement);
+        oldList.replaceWith(newList);
+        _updateChecklistItems(newList);
+        return listItemElement;
+    } else {
+        // We want the contents of listItemElement to be embedded
+        // at the right place in the document, which varies depending on
+        // whether there was a postList to mark the location.
+        let insertionPoint;
+        if (postList.children.length > 0) {
+            insertionPoint = postList;
+        } else {
+            insertionPoint = oldList.nextSibling ?? (_findContentEditable(oldList) ?? MU.editor).lastChild;
+        };
+        let child;
+        const firstChild = listItemElement.firstChild;
+        while (child = listItemElement.firstChild) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                if (child.textContent.trim().length > 0) {
+                    // We want any bare text node children to be embedded in <p>
+                    const p = document.createElement('p');
+                    p.appendChild(child);
+                    insertionPoint.parentNode.insertBefore(p, insertionPoint);
                 } else {
-                    currentListItem = document.createElement('LI');
-                    currentList.appendChild(currentListItem);
-                    currentListItem.appendChild(selectedListable);
+                    insertionPoint.parentNode.insertBefore(child, insertionPoint);
                 };
+            } else {
+                // The child could be something like <p> or <h5>, or even a <ul> or <ol>
+                insertionPoint.parentNode.insertBefore(child, insertionPoint);
             };
-            // The selectedListable's location in the DOM has likely changed, so push now.
-            oldListables.push(oldListable);
-            oldIndices.push(oldIndex);
-            newListableElements.push(selectedListable);
-        };
-        // If the next selectedListable we are going to see is a sibling element of currentList,
-        // then leave currentList the same so it gets appended; else set currentList to null
-        // so that the next loop will create a new list as needed.
-        if (!nextIsSibling) {
-            currentList = null;
-            currentListItem = null;
         };
+        // But in any case, the oldList is depopulated by the time we are done, so remove it
+        oldList.parentNode.removeChild(oldList);
+        return (firstChild) ? firstChild : listItemElement; // firstChild should always exist
     };
-    // Why update undoerData after the redo? Because if we undo again, we use the undoerData again, but
-    // the listables, depths, and indices of the elements have changed after redo.
-    undoerData.data.oldListables = oldListables;
-    undoerData.data.oldIndices = oldIndices;
-    undoerData.data.indices = [];
-    for (let i = 0; i < newListableElements.length; i++) {
-        undoerData.data.indices.push(_childNodeIndicesByParent(newListableElements[i], commonAncestor));
-    };
-    _restoreRange(savedRange);
-    _callbackInput();
 };
 
 /**
- * Return the type of list a selection is in. If the selection spans listables,
- * then return the list type they all belong to if they are all the same list type,
- * or return null if they are different types.
+ * Given a listItemElement in a UL or OL list, examine its parent's siblings and collapse
+ * as many as possible into a single list when they are of the same type. For example, if
+ * listItemElement is in a UL list surrounded by two other ULs, then listItemElement's parent
+ * will become be a single UL with the elements of all three ULs combined, and the
+ * other ULs will be removed. Intervening white space and non-list elements are preserved.
  *
+ * @param   {HTML List Item Element}    listItemElement     The LI currently in a UL or OL.
  */
-const _selectionListType = function() {
-    if (_selectionSpansListables()) {
-        const selectedListables = _selectedListables();
-        const nListables = selectedListables.length;
-        const liTags = selectedListables.map(listable => _tagsMatching(listable, ['LI']));
-        if (liTags.length !== nListables) {
-            return null;
-        };
-        // The selectedListables are all list items, so we need to figure out what kind
-        // of lists they are in.
-        const listElements = selectedListables.map(listable => _findFirstParentElementInNodeNames(listable, _listTags)).filter(n => n);
-        if (listElements.length !== nListables) {
-            return null;
-        };
-        const ulTags = listElements.filter(listElement => listElement.nodeName === 'UL');
-        if (ulTags.length === nListables) {
-            return 'UL';
-        } else {
-            const olTags = listElements.filter(listElement => listElement.nodeName === 'OL');
-            if (olTags.length === nListables) {
-                return 'OL';
-            } else {
-                return null;
-            }
+const _collapseList = function(listItemElement) {
+    const list = listItemElement.parentNode;
+    const listType = _listType(list);
+    const firstChild = list.firstChild;
+    // Use previousElementSibling to find the list, but use childNodes
+    // to include intervening non-LI nodes as part of the collapsing process,
+    // taking from prevList and putting before the (unchanging) firstChild of list.
+    let prevList = list.previousElementSibling;
+    while (prevList && (_listType(prevList) === listType)) {
+        // The list now starts where prevList did
+        _copyListNumbering(prevList, list);
+        while (prevList.childNodes.length > 0) {
+            list.insertBefore(prevList.childNodes[0], firstChild);
         };
-    } else {
-        return _firstSelectionTagMatching(['UL', 'OL']);
+        // Now the earlier content has been collapsed into list,
+        // so remove it and move on to the previousElementSibling.
+        prevList.parentNode.removeChild(prevList);
+        prevList = prevList.previousElementSibling;
     };
-};
-
-/**
- * Return whether the selection includes multiple list tags or top-level styles,
- * both of which can be acted upon in _multiList()
- */
-const _selectionSpansListables = function() {
-    const selectionListables = _selectionListables();
-    const startListable = selectionListables.startList ?? selectionListables.startStyle;
-    const endListable = selectionListables.endList ?? selectionListables.endStyle;
-    let spansListables = startListable && endListable && (startListable !== endListable);
-    if (spansListables) {
-        return true;
-    } else {
-        // We might be in a list with the selection spanning items, and these list items
-        // can themselves contain lists, so if we are in different items, return true
-        // even tho we might be in one UL or OL.
-        const startListItem = selectionListables.startListItem;
-        const endListItem = selectionListables.endListItem;
-        return startListItem && endListItem && (startListItem !== endListItem);
+    // Use nextElementSibling to find the list, but use childNodes
+    // to include intervening non-LI nodes as part of the collapsing process,
+    // taking from nextList and putting at the (changing) end of list.
+    let nextList = list.nextElementSibling;
+    while (nextList && (_listType(nextList) === listType)) {
+        while (nextList.childNodes.length > 0) {
+            let lastChild = list.lastChild;
+            list.insertBefore(nextList.childNodes[0], lastChild.nextSibling);
+        };
+        // Now the following content has been collapsed into list,
+        // so remove it and move on to the nextElementSibling.
+        nextList.parentNode.removeChild(nextList);
+        nextList = nextList.nextElementSibling;
     };
 };
 
 /**
- * Return the paragraph style or list element the selection starts in and ends in.
- *
- * Note the difference with _selectedListables, which returns the listables within
- * the selection.
+ * Put the contents of selNode in a list of type newListType.
  *
- * If we are in a list, we return the list elements we are in (UL or OL) and the
- * list items we are in. Otherwise, we return the paragraph element we are in.
- * This gives us the "top level" elements we can change to lists or change from lists,
- * without including the ones that are already embedded in lists.
+ * @param {String}      newListType     The type of list to put selNode's contents in.
+ * @param {HTML Node}   selNode         The node at the selection.
+ * @return {HTML ListElement}           The new list element.
  */
-const _selectionListables = function() {
-    const selectionListables = {};
-    const sel = document.getSelection();
-    if (!sel || (sel.rangeCount === 0)) { return selectionListables };
-    const range = sel.getRangeAt(0);
-    const startContainer = range.startContainer;
-    selectionListables.startList = _findFirstParentElementInNodeNames(startContainer, _listTags);
-    if (selectionListables.startList) {
-        selectionListables.startListItem = _findFirstParentElementInNodeNames(startContainer, ['LI']);
-    } else {
-        selectionListables.startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
-    };
-    const endContainer = range.endContainer;
-    selectionListables.endList = _findFirstParentElementInNodeNames(endContainer, _listTags);
-    if (selectionListables.endList) {
-        selectionListables.endListItem = _findFirstParentElementInNodeNames(endContainer, ['LI']);
+const _replaceNodeWithList = function(newListType, selNode) {
+    const newListElement = _createList(newListType);
+    const newListItemElement = document.createElement('LI');
+    if (selNode.nodeType == Node.TEXT_NODE) {
+        newListItemElement.innerHTML = selNode.textContent;
     } else {
-        selectionListables.endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
-    };
-    return selectionListables;
-};
-
-/**
- * Return the elements within the selection that we can perform multiList operations on
- */
-const _selectedListables = function() {
-    if (!_selectionSpansListables()) { return [] };
-    const selectionListables = _selectionListables();
-    const startListable = selectionListables.startList ?? selectionListables.startStyle;
-    const endListable = selectionListables.endList ?? selectionListables.endStyle;
-    const listableRange = document.createRange();
-    listableRange.setStart(startListable, 0);
-    listableRange.setEnd(endListable, 0);
-    let lists = _nodesWithNamesInRange(listableRange, _listTags);
-    let styles = _nodesWithNamesInRangeExcluding(listableRange, _paragraphStyleTags, _listTags);
-    // By re-using _nodesWithNamesInRange to get lists and styles separately, the elements
-    // are not interleaved in order they are encountered. This matters because the ordering
-    // determines whether the listables can be combined into the same list or not.
-    // It's quite a hack, but rather than write yet another method to do the traversal,
-    // we use the _childIndices on each element to reassemble them in order.
-    const commonAncestor = listableRange.commonAncestorContainer;
-    return _joinElementArrays(lists, styles, commonAncestor);
-};
-
-/**
- * Return true if we don't encounter LI before we hit OL or UL starting at node.
- * This happens when we have paragraphs or any other element inside of a list but
- * not separately in an LI. For example, we have multiple paragraphs inside of a
- * single LI.
- */
-const _isNakedListSelection = function(node) {
-    return !(_findFirstParentElementInNodeNames(node, ['LI'], ['OL', 'UL']));
+        newListItemElement.innerHTML = selNode.outerHTML;
+    }
+    newListElement.appendChild(newListItemElement);
+    selNode.replaceWith(newListElement);
+    return newListItemElement;
 };
 
 /**
- * Select a range that is wrapped around an inner element if possible.
+ * Put the contents of selNode in a list item, and replace selNode with the new list item.
  *
- * See comments in _minimizedRangeFrom().
+ * @param {HTML Node}   selNode     The node at the selection.
+ * @return {HTML ListItemElement}   The new list item element.
  */
-const _minimizedRange = function() {
-    const sel = document.getSelection();
-    const selRange = sel.getRangeAt(0);
-    const range = _minimizedRangeFrom(selRange);
-    sel.removeAllRanges;
-    sel.addRange(range);
-    return range;
+const _replaceNodeWithListItem = function(selNode) {
+    const newListItemElement = document.createElement('LI');
+    if (selNode.nodeType == Node.TEXT_NODE) {
+        newListItemElement.innerHTML = selNode.textContent;
+    } else {
+        newListItemElement.innerHTML = selNode.outerHTML;
+    }
+    selNode.replaceWith(newListItemElement);
+    return newListItemElement;
 };
 
 /**
- * Return a range that is wrapped around an inner element if possible.
- *
- * For example, selRange looks like:
- *      startContainer: <TextElement>, content: \"Bulleted \"
- *      startOffset: 9
- *      endContainer: <TextElement>, content: \"item\"
- *      endOffset: 4
- * when "item" is selected in <p>Bulleted <i>item</i> 1</p>.
- * we want to set it to be the textElement only.
+ * Return the type of list for listElement.
  *
- * Also when selRange is:
- *      startContainer: <P>, content: \"Bulleted \"
- *      startOffset: 0
- *      endContainer: <TextElement>, content: \"Bulleted \"
- *      endOffset: 0
- * when "|Bulleted" is selected in <p>Bulleted <i>item</i> 1</p>,
- * we want to set it to the textElement only.
- */
-const _minimizedRangeFrom = function(selRange) {
-    const anchor = selRange.startContainer;
-    const anchorOffset = selRange.startOffset;
-    const focus = selRange.endContainer;
-    const focusOffset = selRange.endOffset;
-    const endsAtLength = selRange.collapsed && _isElementNode(focus) && (focusOffset === focus.childNodes.length);
-    const beginsAtZero = selRange.collapsed && _isElementNode(anchor) && (anchorOffset === 0);
-    const range = document.createRange();
-    if (anchor === focus) {
-        if (endsAtLength) {
-            const lastChild = focus.lastChild;
-            if (!lastChild) { return selRange };
-            if (_isTextNode(lastChild)) {
-                range.setStart(lastChild, lastChild.textContent.length);
-                range.setEnd(lastChild, lastChild.textContent.length);
-            } else {
-                range.setStart(lastChild, lastChild.childNodes.length);
-                range.setEnd(lastChild, lastChild.childNodes.length);
-            }
-            return range;
-        } else if (beginsAtZero) {
-            const firstChild = anchor.firstChild;
-            if (!firstChild) { return selRange };
-            range.setStart(firstChild, 0);
-            range.setEnd(firstChild, 0);
-            return range;
-        } else {
-            return selRange;
-        }
-    }
-    if (_isTextNode(anchor) && _isTextNode(focus)) {
-        const moveAnchorToFocusStart = (anchor.nextSibling === focus.parentNode) && (anchorOffset === anchor.length);
-        const moveFocusToAnchorEnd = (focus.previousSibling === anchor.parentNode) && (focusOffset === 0);
-        if (!moveAnchorToFocusStart && !moveFocusToAnchorEnd) { return selRange };
-        if (moveAnchorToFocusStart) {
-            range.setStart(focus, 0);
-            range.setEnd(focus, focusOffset);
-        } else {
-            range.setStart(anchor, anchorOffset);
-            range.setEnd(anchor, anchor.length);
-        }
-    } else if (_isTextNode(focus)) {    // Anchor is an element that might point to focus
-        const anchorNode = (anchor.childNodes.length > 0) && anchor.childNodes[anchorOffset];
-        if ((anchorNode.childNodes.length > 0) && (anchorNode.childNodes[0] === focus)) {
-            range.setStart(focus, 0);
-        };
+ * A checklist is a UL with the 'checklist' class, so the list type is not always the
+ * nodeName. It is 'CHECKLIST' for a checklist, and 'UL' or 'OL' otherwise.
+ *
+ * @param {HTML List Element}   listElement     A UL or OL.
+ * @return {String}                             The list type.
+ */
+const _listType = function(listElement) {
+    if ((listElement.nodeName === 'UL') && listElement.classList.contains('checklist')) {
+        return 'CHECKLIST';
     } else {
-        return selRange;
-    }
-    return range;
+        return listElement.nodeName;
+    };
 };
 
 /**
- * Select a range that is wrapped around an outer element if possible.
+ * Return the list type for listable if it is a list, or its nodeName if not.
  *
- * See comments in _maximizedRangeFrom()
+ * @param {HTML Element}    listable    A list or a top-level style element.
+ * @return {String}                     The list type or nodeName.
  */
-const _maximizedRange = function() {
-    const sel = document.getSelection();
-    const selRange = sel.getRangeAt(0);
-    const range = _maximizedRangeFrom(selRange);
-    sel.removeAllRanges();
-    sel.addRange(range);
-}
+const _listableType = function(listable) {
+    return _isListElement(listable) ? _listType(listable) : listable.nodeName;
+};
 
 /**
- * Return a range that is wrapped around an outer element if possible.
+ * Return the tag used for lists of listType.
  *
- * For example, selRange looks like:
- *      startContainer: <I>, content: \"item\"
- *      startOffset: 0
- *      endContainer: <I>, content: \"item\"
- *      endOffset: 1
- * when "item" is selected in <p>Bulleted <i>item</i> 1</p>.
- * We want to set it to be:.
- *      startContainer: <TextElement>, content: \"Bulleted \"
- *      startOffset: 9
- *      endContainer: <TextElement>, content: \"item\"
- *      endOffset: 4
+ * @param {String}  listType    'UL', 'OL', or 'CHECKLIST'.
+ * @return {String}             'UL' or 'OL'.
  */
-const _maximizedRangeFrom = function(selRange) {
-    const anchor = selRange.startContainer;
-    const anchorOffset = selRange.startOffset;
-    const focus = selRange.endContainer;
-    const focusOffset = selRange.endOffset;
-    if (anchor !== focus) { return selRange };
-    if (!_isFormatElement(anchor)) { return selRange };
-    if ((anchorOffset !== 0) || (focusOffset !== anchor.childNodes.length)) { return selRange };
-    // The entire format element was selected, which doesn't happen via normal user interaction.
-    // In _doListEnter, we previously _minimizedRange in this case, so now we want to restore the
-    // selection to select from before the anchor to the end of the text element in the anchor.
-    const range = document.createRange();
-    const startContainer = anchor.previousSibling ?? anchor;
-    const endContainer = anchor.lastChild;
-    const startOffset = _isTextNode(startContainer) ? startContainer.textContent.length : 0;
-    const endOffset = _isTextNode(endContainer) ? endContainer.length : anchor.childNodes.length;
-    range.setStart(startContainer, startOffset);
-    range.setEnd(endContainer, endOffset);
-    return range;
+const _listTag = function(listType) {
+    return (listType === 'CHECKLIST') ? 'UL' : listType;
 };
 
 /**
- * We are inside of a list and hit Enter.
+ * Return a new, empty list element of listType.
  *
- * The default behavior is to put in a div, but we want Enter to produce new list elements
- * that match the existing selection. We also have to handle the case of the selection not
- * being collapsed, by capturing the selection as a fragment, removing it, and then reinserting
- * it on undo.
+ * @param {String}  listType    'UL', 'OL', or 'CHECKLIST'.
+ * @return {HTML List Element}  The new UL or OL.
+ */
+const _createList = function(listType) {
+    const listElement = document.createElement(_listTag(listType));
+    if (listType === 'CHECKLIST') {
+        listElement.classList.add('checklist');
+    };
+    return listElement;
+};
+
+/**
+ * Replace listElement with a list of listType holding the same children, and return it.
  *
- * When we repeat _doListEnter for redo, we set undoable to false, because we don't want to
- * push anyother item onto the undo stack. However, we still need to patch up some things in
- * the undoerData if it exists from the previous _doListEnter. For example, we need to replace
- * the deletedFragment here once we delete it again, and we need to patch up the range.
+ * Lists whose tag doesn't change are left in place. Items are only checked in a checklist, but
+ * their checked state is remembered, so it shows again when the list is made back into a
+ * checklist, such as on undo.
  *
- * @return  {HTML BR Element}   The BR in the newly created LI to preventDefault handling; else, null.
+ * @param {HTML List Element}   listElement     The UL or OL to replace.
+ * @param {String}              listType        'UL', 'OL', or 'CHECKLIST'.
+ * @return {HTML List Element}                  The list of listType.
  */
-const _doListEnter = function(undoable=true, oldUndoerData) {
-    //_consoleLog("\n* _doListEnter(" + undoable + ")");
-    const redoing = !undoable && (oldUndoerData !== null);
-    //_consoleLog(" redoing: " + redoing);
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode) {
-        MUError.NoSelection.callback();
-        return null;
-    };
-    // If sel is not collapsed, delete the entire selection and reset before continuing.
-    // Track the deletedFragment and whether it came from a selection that spanned list items
-    let deletedFragment, selWithinListItem;
-    if (!sel.isCollapsed) {
-        const selRange = _minimizedRange();
-        if (redoing) {
-            // If we are redoing, join any previously split text nodes using "normalize"
-            if (selRange.startContainer.nodeType === Node.TEXT_NODE) {
-                selRange.startContainer.parentNode.normalize();
-            } else {
-                selRange.startContainer.normalize();
-            };
-            if (selRange.endContainer.nodeType === Node.TEXT_NODE) {
-                selRange.endContainer.parentNode.normalize();
-            } else {
-                selRange.endContainer.normalize();
-            };
-            sel.removeAllRanges();
-            sel.addRange(selRange);
-        }
-        const selStartListItem = _findFirstParentElementInNodeNames(selRange.startContainer, ['LI']);
-        const selEndListItem = _findFirstParentElementInNodeNames(selRange.endContainer, ['LI']);
-        selWithinListItem = selStartListItem && selEndListItem && (selStartListItem === selEndListItem);
-        deletedFragment = _extractContentsRestoreSelection(selRange);
-        if (redoing) {
-            oldUndoerData.data.deletedFragment = deletedFragment;
-        }
-        // The selection at this point is in the element that precedes what was previously selected,
-        // and what was deleted is captured as deletedFragment. Unfortunately, when the selection extends
-        // beyond the list item that the selection starts in, this does not result in the equivalent of
-        // pressing Delete on the selection, which is what we want. So, we need to patch things up a bit.
-        if (!selWithinListItem) {
-            _patchMultiListItemEnter(deletedFragment);
-        }
-        // Even now selection might not be collapsed if, for example, the selection was everything within a
-        // formatting node (like <b>).
-        const collapsedAndEmpty = document.getSelection().isCollapsed && _isEmpty(document.getSelection().anchorNode);
-        if (!document.getSelection().isCollapsed || collapsedAndEmpty) {
-            _patchEmptyFormatNodeEnter();
-        }
-        sel = document.getSelection();
-        selNode = (sel) ? sel.anchorNode : null;
-        // At this point, sel is collapsed and the document contents are the same as if we had
-        // hit Backspace (but not Enter yet) on the original non-collapsed selection.
-        //
-        // DEBUGGING TIP:
-        // By executing an 'input' callback and returning true at this point, we can debug the
-        // result of various _patch* calls and ensure the result is the same as hitting Backspace.
-        //_callbackInput();
-        //return true;
-    }
-    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
-    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
-    if (!existingList || !existingListItem) {
-        MUError.NotInList.callback();
-        return null;
+const _replaceList = function(listElement, listType) {
+    const newListElement = _replaceTag(listElement, _listTag(listType));
+    _setClass(newListElement, 'checklist', listType === 'CHECKLIST');
+    _updateChecklistItems(newListElement);
+    return newListElement;
+};
+
+/**
+ * Return the first list above node whose tag matches listType, as long as it is of listType.
+ *
+ * @param {HTML Node}   node            The node to search upward from.
+ * @param {String}      listType        'UL', 'OL', or 'CHECKLIST'.
+ * @param {[String]}    excludeNames    The nodeNames that stop the search.
+ * @return {HTML List Element}          The list of listType, or null.
+ */
+const _findFirstParentListOfType = function(node, listType, excludeNames) {
+    const listElement = _findFirstParentElementInNodeNames(node, [_listTag(listType)], excludeNames);
+    return (listElement && (_listType(listElement) === listType)) ? listElement : null;
+};
+
+/**
+ * Add or remove className from element, removing the class attribute when it is left empty.
+ *
+ * @param {HTML Element}    element     The element whose class is changing.
+ * @param {String}          className   The class to add or remove.
+ * @param {Boolean}         on          True to add className, false to remove it.
+ */
+const _setClass = function(element, className, on) {
+    element.classList.toggle(className, on);
+    if (element.classList.length === 0) {
+        element.removeAttribute('class');
     };
-    let undoerRange = sel.getRangeAt(0).cloneRange();
-    const startOffset = undoerRange.startOffset;
-    const endOffset = undoerRange.endOffset;
-    const outerHTML = existingList.outerHTML;
-    // Record the child node indices we can traverse from existingList to find selNode
-    // The childNodeIndices also reflect the state *after* a non-collapsed selection has
-    // been extracted into deletedFragment and the dom has been patched-up properly.
-    const childNodeIndices = _childNodeIndicesByName(selNode, existingList.nodeName);
-    // The selNode can be a text node or a list item
-    const textNode = _isTextNode(selNode);
-    const listItem = _isListItemElement(selNode) || (_isListItemElement(selNode.parentNode) && (!selNode.previousSibling))
-    const beginningListNode = (textNode && (startOffset === 0) && (!selNode.previousSibling)) || (listItem && (startOffset === 0))
-    const endOfTextNode = textNode && (endOffset === selNode.textContent.length);
-    const emptyNode = textNode && (selNode.textContent.length === 0);
-    const nextSib = selNode.nextSibling;
-    const nextParentSib = selNode.parentNode.nextSibling;
-    const nextParentSibIsList = (nextParentSib !== null) && ((nextParentSib.nodeName === 'LI') || (nextParentSib.nodeName === 'OL') || (nextParentSib.nodeName === 'UL'));
-    const nextParentSibIsEmpty = (nextParentSib !== null) && ((nextParentSib.nodeType === Node.TEXT_NODE) && (nextParentSib.textContent.trim().length === 0));
-    // If there is no nextParentSib or if it is empty after trim(), then we are at the end of a list element
-    const endOfListElement = endOfTextNode && !nextSib && (nextParentSibIsList || nextParentSibIsEmpty)
-    const endingListNode = (emptyNode && !nextSib) || (!emptyNode && endOfTextNode && !nextSib && !nextParentSib) || endOfListElement;
-    const emptyListItem = beginningListNode && _isEmpty(existingListItem);
-    const newListItem = document.createElement('li');
-    const blockContainer = _findFirstParentElementInNodeNames(selNode, _listStyleTags);
-    let newElement;
-    if (blockContainer) {
-        newElement = document.createElement(blockContainer.nodeName);
-    } else {
-        newElement = document.createElement('p');
-    }
-    if (emptyListItem) {
-        _doListOutdent(undoable);
-        // We return here because we want _doListOutdent to handle all the undoing logic
-        return true;
-    } else if (beginningListNode) {
-        if (redoing) {
-            oldUndoerData.range = undoerRange;
-        };
-        _newListItemBefore(newElement, newListItem, existingListItem, existingList);
-    } else if (endingListNode) {
-        if (redoing) {
-            oldUndoerData.range = undoerRange;
-        };
-        _newListItemAfter(newElement, newListItem, existingListItem, existingList);
-    } else if (selNode.nodeType === Node.TEXT_NODE) {
-        //_consoleLog("- Splitting selNode")
-        // We are somewhere in a list item
-        let sib, nextSib, innerElement, outerElement;
-        // innerElement is always the next sibling of outerElement
-        innerElement = selNode.splitText(startOffset);
-        outerElement = selNode;
-        let innerTextContent = _patchWhiteSpace(innerElement.textContent);
-        let outerTextContent = _patchWhiteSpace(outerElement.textContent);
-        if (innerTextContent.length === 0) { innerTextContent = '\u200B' }
-        if (outerTextContent.length === 0) { outerTextContent = '\u200B' }
-        innerElement.textContent = innerTextContent;
-        outerElement.textContent = outerTextContent;
-        // After patching whitespace, the undoerRange itself has to be patched
-        const selRange = document.createRange();
-        selRange.setStart(outerElement, outerElement.textContent.length);
-        selRange.setEnd(outerElement, outerElement.textContent.length);
-        sel.removeAllRanges();
-        sel.addRange(selRange);
-        undoerRange = selRange;
-        if (redoing) {
-            const redoRange = document.createRange();
-            redoRange.setStart(outerElement, outerElement.textContent.length);
-            redoRange.setEnd(outerElement, outerElement.textContent.length);
-            oldUndoerData.range = redoRange;
-        }
-        // If we split a textNode that is inside of format tags, then we need to patch up
-        // innerElement and outerElement
-        const formatTags = _getFormatTags();
-        for (let i=0; i<formatTags.length; i++) {
-            newElement = document.createElement(formatTags[i]);
-            newElement.appendChild(innerElement);
-            innerElement = newElement;
-        };
-        if (formatTags.length > 0) {
-            const outermostFormatTag = formatTags[formatTags.length - 1];
-            outerElement = _findFirstParentElementInNodeNames(outerElement, [outermostFormatTag]);
-        };
-        if (blockContainer) {
-            // Make the newElement in the same style as its container.
-            newElement = document.createElement(blockContainer.nodeName);
-            newElement.appendChild(innerElement);
-        } else if (!newElement) {
-            // The newElement already exists if we were in formatTags
-            // Otherwise, make the newElement just an unstyled text node like it started.
-            newElement = document.createTextNode(trailingContent);
-        }
-        newListItem.appendChild(newElement);
-        // With trailingContent in newElement which is in newListItem,
-        // append all of selNode's siblings to newElement
-        sib = outerElement.nextSibling;
-        while (sib) {
-            newElement.appendChild(sib);
-            sib = outerElement.nextSibling;
-        }
-        // And then make all of selNode's parentNode's siblings follow it in
-        // the same newListItem. For example, we might have nested lists
-        // below the text node we are splitting.
-        if (blockContainer) {
-            sib = blockContainer.nextSibling;
-            while (sib) {
-                newListItem.appendChild(sib);
-                sib = blockContainer.nextSibling;
-            }
-        };
-        // Then, insert the newListItem with its new children into the list before the next list element.
-        existingList.insertBefore(newListItem, existingListItem.nextElementSibling);
-        const range = document.createRange();
-        // And leave selection in the newElement
-        range.setStart(newElement, 0);
-        range.setEnd(newElement, 0);
-        sel.removeAllRanges();
-        sel.addRange(range);
+};
+
+/********************************************************************************
+ * Ordered List Numbering
+ */
+//MARK: Ordered List Numbering
+
+/**
+ * The values of the type attribute of an OL, with '1' being the default.
+ */
+const _listNumberingTypes = ['1', 'a', 'A', 'i', 'I'];
+
+/**
+ * The attributes of an OL that control its numbering.
+ */
+const _listNumberingAttributes = ['start', 'type', 'reversed'];
+
+/**
+ * Whether a list that is split in two continues its numbering in the second part.
+ *
+ * By default, the second part starts over, the same as any other new list.
+ */
+let _continueListNumbering = false;
+
+/**
+ * Set whether a list that is split in two, for example when an item in the middle of
+ * it is made into a bulleted list, continues its numbering after the split.
+ *
+ * @param {Boolean} continues   True to continue numbering; false to start over.
+ */
+MU.setContinueListNumbering = function(continues) {
+    _continueListNumbering = continues === true;
+};
+
+/**
+ * Set the numbering attributes of the ordered list at the selection.
+ *
+ * The attributes are a stringified dictionary that can hold:
+ *  - start: The integer number of the first item, or null to start at the default.
+ *  - type: One of '1', 'a', 'A', 'i', or 'I', with null or '1' being the default of numbers.
+ *  - reversed: True to number the items in descending order.
+ * Any that are not included are left as-is. If the attributes can't be parsed or start is
+ * neither an integer nor null, the list is left as-is and InvalidListAttributes is reported.
+ *
+ * @param {String}  jsonString  A stringified dictionary of the attributes to set.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.setListAttributes = function(jsonString, undoable=true) {
+    const list = _firstSelectionNodeMatching(['OL'], ['UL']);
+    if (!list) {
+        MUError.NotInList.callback();
+        return;
     };
-    _backupSelection();
+    let attributes;
+    try {
+        attributes = JSON.parse(jsonString);
+    } catch(error) {
+        attributes = null;
+    };
+    const validStart = (attributes?.start === undefined) || (attributes.start === null) || Number.isInteger(attributes.start);
+    if (!attributes || (typeof attributes !== 'object') || !validStart) {
+        MUError.InvalidListAttributes.callback();
+        return;
+    };
+    const newAttributes = {};
+    if ('start' in attributes) {
+        newAttributes.start = (attributes.start === null) ? null : attributes.start.toString();
+    };
+    if ('type' in attributes) {
+        const type = attributes.type;
+        newAttributes.type = (_listNumberingTypes.includes(type) && (type !== '1')) ? type : null;
+    };
+    if ('reversed' in attributes) {
+        newAttributes.reversed = (attributes.reversed === true) ? '' : null;
+    };
+    const oldAttributes = {};
+    for (const name of Object.keys(newAttributes)) {
+        oldAttributes[name] = list.getAttribute(name);
+    };
+    _setListNumbering(list, newAttributes);
     if (undoable) {
-        const undoerData = _undoerData(
-                                'listEnter',
-                                {
-                                    outerHTML: outerHTML,
-                                    childNodeIndices: childNodeIndices,
-                                    deletedFragment: deletedFragment,
-                                    selWithinListItem: selWithinListItem
-                                },
-                                undoerRange
-                            );
+        const ancestor = _findContentEditable(list) ?? MU.editor;
+        const indices = _childNodeIndicesByParent(list, ancestor);
+        const undoerData = _undoerData('listAttributes', {ancestor: ancestor, indices: indices, oldAttributes: oldAttributes, newAttributes: newAttributes});
         undoer.push(undoerData);
-        _restoreSelection();
-    }
+    };
     _callbackInput();
-    //_consoleLog("* Done _doListEnter")
-    return newElement;      // To preventDefault() on Enter
 };
 
 /**
- * Replace leading and/or trailing blanks with nbsp equivalent
+ * Set or remove the numbering attributes of list, removing the ones whose value is null.
+ *
+ * @param {HTML List Element}   list        The OL whose numbering is changing.
+ * @param {Object}              attributes  The attribute values keyed by name.
  */
-const _patchWhiteSpace = function(str, end='BOTH') {
-    let patchedStr;
-    switch (end) {
-        case 'LEADING':
-            patchedStr = str.replace(/ /gy, '\xA0');
-            break;
-        case 'TRAILING':
-            patchedStr = str.replace(/\s+$/g, '\xA0');
-            break;
-        case 'BOTH':
-            patchedStr = str.replace(/ /gy, '\xA0');
-            patchedStr = patchedStr.replace(/\s+$/g, '\xA0');
-            break;
+const _setListNumbering = function(list, attributes) {
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value === null) {
+            list.removeAttribute(name);
+        } else {
+            list.setAttribute(name, value);
+        };
     };
-    return patchedStr;
 };
 
 /**
- * The deletedFragment spanned list items. Leave the document looking like
- * it would if we had pressed Backspace. This means the items at the focusNode
- * get moved to be in the same list item as the anchorNode. By default, the
- * contentEditable after extractContents leaves the focusNode in a non-list-element
- * below the anchorNode list element.
+ * Replace the numbering attributes of toList with the ones from fromList.
+ *
+ * @param {HTML List Element}   fromList    The list to take numbering from.
+ * @param {HTML List Element}   toList      The list whose numbering is replaced.
  */
-const _patchMultiListItemEnter = function(deletedFragment) {
-    // The selection at this point is in the element that precedes what was previously selected,
-    // and what was deleted is captured as deletedFragment. Unfortunately, when the selection extends
-    // beyond the list item that the selection starts in, this does not result in the equivalent of
-    // pressing Delete on the selection, which is what we want. So, we need to patch things up a bit.
-    //_consoleLog("* _patchMultiListItemEnter");
-    //_consoleLog(_fragmentString(deletedFragment, "deletedFragment: "))
-    let sel = document.getSelection();
-    let newSelRange = sel.getRangeAt(0);
-    const newEndContainer = newSelRange.endContainer;
-    const newEndOffset = newSelRange.endOffset;
-    let listItem = _findFirstParentElementInNodeNames(newSelRange.startContainer, ['LI']);
-    const endListItem = _findFirstParentElementInNodeNames(newSelRange.endContainer, ['LI']);
-    let newListItem;
-    while (listItem && _isEmpty(listItem) && (listItem !== endListItem)) {
-        newListItem = listItem.nextElementSibling ?? endListItem;
-        //_consoleLog("Removing " + listItem.outerHTML);
-        listItem.parentNode.removeChild(listItem);
-        listItem = newListItem;
-    }
-    if (newListItem) {
-        newSelRange = document.createRange();
-        const firstChild = newListItem.firstChild;
-        const newStartContainer = firstChild ?? newListItem;
-        newSelRange.setStart(newStartContainer, 0);
-        newSelRange.setEnd(newEndContainer, newEndOffset);
+const _copyListNumbering = function(fromList, toList) {
+    if ((fromList.nodeName !== 'OL') || (toList.nodeName !== 'OL')) { return };
+    const attributes = {};
+    _listNumberingAttributes.forEach(name => attributes[name] = fromList.getAttribute(name));
+    _setListNumbering(toList, attributes);
+};
+
+/**
+ * Number the preList and postList that were split from oldList the same way it was.
+ *
+ * The preList starts where the oldList did. The postList starts over unless _continueListNumbering,
+ * in which case it starts after the last item in preList. A reversed list always starts over, since
+ * its default start depends on how many items it holds.
+ *
+ * @param {HTML List Element}   oldList     The list that was split.
+ * @param {HTML List Element}   preList     The list holding the items that preceded the split.
+ * @param {HTML List Element}   postList    The list holding the items that followed the split.
+ */
+const _splitListNumbering = function(oldList, preList, postList) {
+    if (oldList.nodeName !== 'OL') { return };
+    _copyListNumbering(oldList, preList);
+    _setListNumbering(postList, {type: oldList.getAttribute('type'), reversed: oldList.getAttribute('reversed')});
+    if (_continueListNumbering && !oldList.hasAttribute('reversed')) {
+        const oldStart = oldList.hasAttribute('start') ? _numberAttribute(oldList, 'start') ?? 1 : 1;
+        const start = oldStart + _childrenWithNodeNameCount(preList, 'LI');
+        postList.setAttribute('start', start.toString());
     };
-    //_consoleLog(_rangeString(newSelRange, "after newSelRange"))
-    //_consoleLog("after newSelRange.startContainer.parentNode.outerHTML: " +  newSelRange.startContainer.parentNode.outerHTML)
-    // We want to move the newSelRange endContainer to be a child of the startContainer's parentNode
-    // so that it becomes part of the same list item the startContainer is in.
-    const startContainer = newSelRange.startContainer;
-    let startContainerParent = startContainer.parentNode;
-    const styleParent = _findFirstParentElementInNodeNames(startContainer, _styleTags);
-    if (styleParent) { startContainerParent = styleParent };
-    const formatElement = _outermostFormatElement(startContainer);
-    if (formatElement) { startContainerParent = formatElement.parentNode };
-    let mergedChild = newSelRange.endContainer;
-    const mergedChildParent = mergedChild.parentNode;
-    while (mergedChild && (mergedChild !== startContainer)) {
-        let nextSib = mergedChild.nextSibling;
-        startContainerParent.insertBefore(mergedChild, startContainer.nextSibling);
-        mergedChild = nextSib;
-    }
-    startContainerParent.normalize();
-    // If after merging the mergedChild, its parentNode is empty, then remove the mergedChild parentNode
-    if (mergedChildParent.childNodes.length === 0) {
-        //_consoleLog(" removing " + mergedChildParent.outerHTML)
-        mergedChildParent.parentNode.removeChild(mergedChildParent);
-    }
-    // After we do that, if the existingList item where the selection ends is empty, then we need to remove it
-    // so that we don't end up with an empty list node.
-    const existingListItem = _findFirstParentElementInNodeNames(newSelRange.endContainer, ['LI']);
-    //_consoleLog("existingListItem.outerHTML: " + existingListItem.outerHTML)
-    if (existingListItem.childNodes.length === 0) {
-        newSelRange.endContainer.parentNode.removeChild(newSelRange.endContainer);
-    }
-    const patchRange = document.createRange();
-    patchRange.setStart(newSelRange.startContainer, newSelRange.startOffset);
-    patchRange.setEnd(newSelRange.startContainer, newSelRange.startOffset)
-    sel.removeAllRanges();
-    sel.addRange(patchRange);
-    //_consoleLog(_rangeString(patchRange, "patchRange"))
-    //_consoleLog(_rangeString(document.getSelection().getRangeAt(0), "from getSelection()"))
-    //_consoleLog("* Done _patchMultiListItemEnter")
 };
 
 /**
- * The deletedFragment contains the entire contents within a format node (like <b>).
- * We want the Enter to split the format node. To make that happen, insert a non-printing
- * character inside of the format node, and position selection after it.
- * Now when splitText happens, we end up with two text nodes and both are formatted
- * like the original we extracted the deletedFragment from.
+ * Undo or redo setting the numbering attributes of a list.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @param {Boolean} undo        True to undo the change; false to redo it.
  */
-const _patchEmptyFormatNodeEnter = function() {
-    //_consoleLog("* _patchEmptyFormatNodeEnter")
-    const sel = document.getSelection();
-    const anchorNode = sel.anchorNode;  // Selection start
-    const focusNode = sel.focusNode;    // Selection end
-    const anchorIsEmpty = anchorNode.textContent.length === 0;
-    const focusIsEmpty = focusNode.textContent.length === 0;
-    const anchorIsInTag = _tagsMatching(anchorNode, _formatTags).length > 0
-    const focusIsInTag = _tagsMatching(focusNode, _formatTags).length > 0
-    if (!anchorIsEmpty && !focusIsEmpty) {
-        MUError.PatchFormatNodeNotEmpty.callback();
-        return;
+const _undoRedoListAttributes = function(undoerData, undo) {
+    const data = undoerData.data;
+    const list = _childNodeIn(data.ancestor, data.indices);
+    if (!list || (list.nodeName !== 'OL')) { return };
+    _setListNumbering(list, undo ? data.oldAttributes : data.newAttributes);
+    _callbackInput();
+};
+
+/********************************************************************************
+ * Checklists
+ */
+//MARK: Checklists
+
+/**
+ * Return whether node is a list item in a checklist.
+ *
+ * @param {HTML Node}   node    The node to check.
+ * @return {Boolean}            True if node is an LI whose list is a checklist.
+ */
+const _isChecklistItem = function(node) {
+    return _isListItemElement(node) && _isListElement(node.parentNode) && (_listType(node.parentNode) === 'CHECKLIST');
+};
+
+/**
+ * The list items that were checked when their list stopped being a checklist, so they can be
+ * checked again if it becomes one again.
+ */
+const _uncheckedListItems = new WeakSet();
+
+/**
+ * Make the checked state of the items in listElement match whether it is a checklist.
+ *
+ * Only checklist items can be checked, so the 'checked' class is removed from the items of
+ * any other list, and it is put back on the ones that had it when they are in a checklist again.
+ *
+ * @param {HTML List Element}   listElement     The UL or OL whose type just changed.
+ */
+const _updateChecklistItems = function(listElement) {
+    const isChecklist = _listType(listElement) === 'CHECKLIST';
+    for (const listItem of listElement.children) {
+        if (isChecklist && _uncheckedListItems.has(listItem)) {
+            _setClass(listItem, 'checked', true);
+            _uncheckedListItems.delete(listItem);
+        } else if (!isChecklist && listItem.classList.contains('checked')) {
+            _setClass(listItem, 'checked', false);
+            _uncheckedListItems.add(listItem);
+        };
     };
-    const anchorParentIsSibling = anchorNode.parentNode.nextSibling !== focusNode.parentNode
-    const focusParentIsSibling = anchorNode.nextSibling !== focusNode.parentNode;
-    if (!anchorParentIsSibling && !focusParentIsSibling) {
-        MUError.PatchFormatNodeNotSiblings.callback();
-        return;
-    }
-    const npc = document.createTextNode('\u200B');
-    const range = document.createRange();
-    // The node that is an empty tag (likely) has an empty text node in it which we
-    // want to replace with the non-printing character pair so we can split them.
-    if (anchorIsInTag) {
-        if (anchorNode.parentNode.childNodes.length === 1) {
-            anchorNode.parentNode.childNodes[0].replaceWith(npc)
-        } else {
-            anchorNode.parentNode.appendChild(npc);
-        }
-        range.setStart(npc, 1);
-        range.setEnd(npc, 1);
-    } else if (focusIsInTag) {
-        if (focusNode.parentNode.childNodes.length === 1) {
-            focusNode.parentNode.childNodes[0].replaceWith(npc)
-        } else {
-            focusNode.parentNode.appendChild(npc);
-        }
-        range.setStart(npc, 1);
-        range.setEnd(npc, 1);
+};
+
+/**
+ * Return the checklist item the selection is in, or null if not in one.
+ *
+ * Only the closest LI counts, so an item in a plain list nested in a checklist item is not one.
+ */
+const _selectedChecklistItem = function() {
+    const listItem = _firstSelectionNodeMatching(['LI']);
+    return _isChecklistItem(listItem) ? listItem : null;
+};
+
+/**
+ * Return whether the selection is in a checklist item that is checked.
+ */
+const _selectionChecked = function() {
+    const listItem = _selectedChecklistItem();
+    return (listItem !== null) && listItem.classList.contains('checked');
+};
+
+/**
+ * Toggle the checked state of the checklist item the selection is in.
+ *
+ * To make a checklist, use MU.toggleListItem('CHECKLIST').
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.toggleChecked = function(undoable=true) {
+    const listItem = _selectedChecklistItem();
+    if (!listItem) { return };
+    _toggleChecked(listItem, undoable);
+};
+
+/**
+ * Toggle the checked state of listItem.
+ *
+ * The undoerData holds the indices of listItem rather than listItem itself, since the
+ * list operations that can precede or follow it in the undo stack replace list items.
+ *
+ * @param {HTML List Item Element}  listItem    The LI in a checklist.
+ * @param {Boolean}                 undoable    True if we should push undoerData onto the undo stack.
+ */
+const _toggleChecked = function(listItem, undoable=true) {
+    _setClass(listItem, 'checked', !listItem.classList.contains('checked'));
+    if (undoable) {
+        const ancestor = _findContentEditable(listItem) ?? MU.editor;
+        const undoerData = _undoerData('checked', {ancestor: ancestor, indices: _childNodeIndicesByParent(listItem, ancestor)});
+        undoer.push(undoerData);
+    };
+    _callbackInput();
+};
+
+/**
+ * Undo or redo the toggling of a checklist item, which are the same thing.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ */
+const _undoRedoChecked = function(undoerData) {
+    const listItem = _childNodeIn(undoerData.data.ancestor, undoerData.data.indices);
+    if (_isChecklistItem(listItem)) {
+        _toggleChecked(listItem, false);
+    };
+};
+
+/********************************************************************************
+ * Moving Blocks
+ */
+//MARK: Moving Blocks
+
+/**
+ * Move the block at the selection above the one that precedes it.
+ *
+ * In a list, the block is the list item, along with any sublists it holds. Otherwise,
+ * it is the top-level element.
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.moveBlockUp = function(undoable=true) {
+    _moveBlock(true, undoable);
+};
+
+/**
+ * Move the block at the selection below the one that follows it.
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.moveBlockDown = function(undoable=true) {
+    _moveBlock(false, undoable);
+};
+
+/**
+ * Move the blocks the selection spans up or down past their neighbor.
+ *
+ * Rather than move the blocks at the selection, we move their neighbor to the other side
+ * of them, so the selection is left as it was. When the selection spans blocks that are
+ * not siblings, or there is no neighbor to move past, nothing happens.
+ *
+ * @param {Boolean} up          True to move up; false to move down.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ * @return {Boolean}            True if the blocks were moved.
+ */
+const _moveBlock = function(up, undoable=true) {
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) { return false };
+    const range = sel.getRangeAt(0);
+    const startBlock = _movableBlock(range.startContainer);
+    const endBlock = _movableBlock(range.endContainer);
+    if (!startBlock || !endBlock || (startBlock.parentNode !== endBlock.parentNode)) { return false };
+    const parent = startBlock.parentNode;
+    if (up) {
+        const previousBlock = startBlock.previousElementSibling;
+        if (!previousBlock) { return false };
+        parent.insertBefore(previousBlock, endBlock.nextSibling);
     } else {
-        _consoleLog("Error - neither anchor nor focus is in a format tag");
-        return;
+        const nextBlock = endBlock.nextElementSibling;
+        if (!nextBlock) { return false };
+        parent.insertBefore(nextBlock, startBlock);
     };
-    sel.removeAllRanges();
-    sel.addRange(range);
-    //_consoleLog("* Done _patchEmptyFormatNodeEnter")
+    if (undoable) {
+        const undoerData = _undoerData('moveBlock', {up: up}, _rangeProxy());
+        undoer.push(undoerData);
+    };
+    _callbackInput();
+    return true;
 };
 
 /**
- * We are at the beginning of a list node, so insert the newListItem
+ * Return the block containing node that moves up and down, which is the innermost
+ * list item if there is one, or the top-level element otherwise.
+ *
+ * @param {HTML Node}   node    The node at the selection.
+ * @return {HTML Element}       The element to move, or null if there is none.
  */
-const _newListItemBefore = function(newElement, newListItem, existingListItem, existingList) {
-    //_consoleLog("- _newListItemBefore");
-    newElement.appendChild(document.createElement('br'));
-    newListItem.appendChild(newElement);
-    existingList.insertBefore(newListItem, existingListItem);
-    // Leave selection alone
+const _movableBlock = function(node) {
+    return _findFirstParentElementInNodeNames(node, ['LI']) ?? _topLevelElementContaining(node);
 };
 
 /**
- * Insert a new list item after the selection.
- * We are at the end of a textNode in a list item (e.g., a <p> or just naked text)
- * First, move all of the siblings of selNode's parentNode to reside in the new list,
- * leaving selNode itself alone.
+ * Undo or redo moving a block, which both start by restoring the selection it was moved with.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @param {Boolean} undo        True to undo the move; false to redo it.
  */
-const _newListItemAfter = function(newElement, newListItem, existingListItem, existingList) {
-    //_consoleLog("- _newListItemAfter")
-    const sel = document.getSelection();
-    const selNode = sel.anchorNode;
-    newElement.appendChild(document.createElement('br'));
-    newListItem.appendChild(newElement);
-    let sib = selNode.parentNode.nextElementSibling;
-    let nextElementSib;
-    while (sib && (sib.nodeName !== 'LI')) {
-        nextElementSib = sib.nextElementSibling;
-        newListItem.appendChild(sib);
-        sib = nextElementSib;
-    }
-    // Then, insert the newListItem with its new children into the list before the next list element.
-    existingList.insertBefore(newListItem, existingListItem.nextElementSibling);
-    const range = document.createRange();
-    // And leave selection in the newElement
-    range.setStart(newElement, 0);
-    range.setEnd(newElement, 0);
-    sel.removeAllRanges();
-    sel.addRange(range);
+const _undoRedoMoveBlock = function(undoerData, undo) {
+    _restoreRange(undoerData.range);
+    const up = undoerData.data.up;
+    _moveBlock(undo ? !up : up, false);
+    _backupSelection();
+};
+
+/********************************************************************************
+ * Indenting and Outdenting
+ */
+//MARK: Indenting and Outdenting
+
+const DentType = {
+    Indent: 'Indent',
+    Outdent: 'Outdent'
 };
 
 /**
- * Undo the _doListEnter operation. Redo is just to _doListEnter again.
+ * Do a context-sensitive indent.
  *
- * We were in a list when we hit Enter, and we end up be in the same list afterward.
- * The contents of the list changed, and the selection changed. The undoer.outerHTML
- * contains the list outerHTML before Enter was pressed. To undo, we first
- * restore the selection from undoer, so we are at the proper position in the list
- * we started with, before hitting Enter. Then we delete the entire list and replace
- * it with the outerHTML we captured in undoer. Now how to restore selection properly?
- * Unlike TABLE, where we hold onto the row and col to reselect, in list we will
- * identify the element to reselect based on indices into the list that were recorded
- * at undo time.
+ * If in a list, indent the item to a more nested level in the list if appropriate.
+ * If in a blockquote, add another blockquote to indent further.
+ * Else, put into a blockquote to indent.
  *
- * Because we use insertAdjacentHTML to put the outerHTML in place, we have replaced
- * the existing list with a new one that looks the same as the one that existed when
- * Enter was pressed, but is actually a different element. Thus, we need to patch up
- * the range held in the undoerData when we are done. Remember, the undoerData used
- * here reflects the state *before* _doListEnter, which is the same state as we are
- * leaving when we are done undoing in this method.
  */
-const _undoListEnter = function(undoerData) {
-    //_consoleLog("\n* _undoListEnter");
-    const oldRange = undoerData.range;
-    const oldStartContainer = oldRange.startContainer;
-    const oldStartOffset = oldRange.startOffset;
-    const oldEndContainer = oldRange.endContainer;
-    const oldEndOffset = oldRange.endOffset;
-    _restoreUndoerRange(undoerData);
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode || !sel.isCollapsed) { return null };
-    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
-    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
-    if (!existingList || !existingListItem) { return null };
-    _deleteAndResetSelection(existingList, 'BEFORE');
-    sel = document.getSelection();
-    selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode) { return null };
-    const targetNode = selNode.parentNode;
-    const parentNode = targetNode.parentNode;
-    targetNode.insertAdjacentHTML('afterend', undoerData.data.outerHTML);
-    // We need the new list that now exists at selection.
-    let newList;
-    if (sel.isCollapsed) {
-        // Normal insertion at a collapsed selection
-        newList = _getFirstChildWithNameWithin(targetNode.nextSibling, existingList.nodeName);
+MU.indent = function(undoable=true) {
+    if (_selectionSpansDentables()) { return _multiDent(DentType.Indent) };
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    const specialParent = _findFirstParentElementInNodeNames(selNode, _monitorIndentTags);
+    if (specialParent) {
+        const nodeName = specialParent.nodeName;
+        const inList = (nodeName === 'UL') || (nodeName === 'OL');
+        const inBlockQuote = nodeName === 'BLOCKQUOTE';
+        if (inList) {
+            _doListIndent(undoable);
+        } else if (inBlockQuote) {
+            _increaseQuoteLevel(undoable);
+        };
     } else {
-        // Replacement insertion at a non-collapsed selection
-        // The only reason this happens is that we ended up with nothing to select when we
-        // deleted the list which we are about to undo the deletion of. At that point, we
-        // set selection to span across a single non-printing character in a paragraph.
-        // See the code in _deleteAndResetSelection when _elementAfterDeleting returns null.
-        // To leave just the list again, we need to remove the targetNode.
-        parentNode.removeChild(targetNode);
-        newList = _getFirstChildWithNameWithin(parentNode, existingList.nodeName);
+        _backupSelection()
+        _increaseQuoteLevel(undoable);
     };
-    // Find the selected element based on the indices into the list recorded at undo time
-    const selectedElement = _childNodeIn(newList, undoerData.data.childNodeIndices);
-    if (!selectedElement) {
-        MUError.CantUndoListEnter.callback();
+};
+
+/**
+ * Do a context-sensitive outdent.
+ *
+ * If in a list, outdent the item to a less nested level in the list if appropriate.
+ * If in a blockquote, remove a blockquote to outdent further.
+ * Else, do nothing.
+ *
+ */
+MU.outdent = function(undoable=true) {
+    if (_selectionSpansDentables()) { return _multiDent(DentType.Outdent) };
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    const specialParent = _findFirstParentElementInNodeNames(selNode, _monitorIndentTags);
+    if (specialParent) {
+        const nodeName = specialParent.nodeName;
+        const inList = (nodeName === 'UL') || (nodeName === 'OL');
+        const inBlockQuote = nodeName === 'BLOCKQUOTE';
+        if (inList) {
+            _doListOutdent(undoable);
+        } else if (inBlockQuote) {
+            _decreaseQuoteLevelAtSelection(undoable);
+        };
+    };
+};
+
+/**
+ * Indent or outdent all the items within a selection that can be indented or outdented.
+ *
+ * When we outdent, we can remove a list item and the list element it is in.
+ * We need to track oldDentableTypes so we know to restore the list on outdent undo.
+ */
+const _multiDent = function(dentType, undoable=true) {
+    const selectedDentables = _selectedDentables();
+    const commonAncestor = MU.editor;
+    // Track the indices before denting so we can tell how to put lists back together
+    const originalIndices = [];
+    selectedDentables.forEach(selectedDentable => {
+        originalIndices.push(_childNodeIndicesByParent(selectedDentable, commonAncestor));
+    });
+    // For debugging:
+    const originalSiblingIndices = _siblingIndices(originalIndices);
+    // The listItems in allListItems can be nested (i.e., when a LI contains a UL or OL that
+    // itself contains LIs), but we only want to include ones that are not nested in others
+    // in the listItems. That's because when we indent or outdent, the nested items will
+    // be indented or outdented along with their parent.
+    const allListItems = selectedDentables.filter(dentable => _isListItemElement(dentable));
+    const subListItems = allListItems.filter(listItem => _hasContainerWithin(listItem, allListItems))
+    const sel = document.getSelection();
+    if (!sel || sel.rangeCount === 0) { return }
+    let _dentFunction, _listDentFunction;
+    if (dentType === DentType.Outdent) {
+        _dentFunction = _outdent;
+        _listDentFunction = _outdentListItem;
+    } else if (dentType === DentType.Indent) {
+        _dentFunction = _indent;
+        _listDentFunction = _indentListItem;
+    } else {
+        MUError.UnrecognizedDentType.callback();
         return;
-    }
-    // And then restore the range
-    let range = document.createRange();
-    range.setStart(selectedElement, oldStartOffset);
-    range.setEnd(selectedElement, oldEndOffset);
-    sel.removeAllRanges();
-    sel.addRange(range);
-    // There is a special case where sel is at the beginning of a list element, but the
-    // initial textNode has blanks in front. In that case the oldStartOffset etc are zero,
-    // but if we check the range selection immediately after setting it, it shows offset
-    // to get to the first non-blank character.
-    // At this point, the document and selection look like the did before hitting Enter,
-    // unless there was a non-collapsed selection when Enter was hit. If so, this selection
-    // is held in deletedFragment, and it may span list items. In any case, we need to put it
-    // back at the current selection and restore the range.
-    const deletedFragment = undoerData.data.deletedFragment;
-    if (deletedFragment) {
-        // After insertNode, the deletedFragment's childNodes will be in the range so we can select them.
-        // Note that these childNodes were extracted from the selection as the deletedFragment.
-        _insertInList(deletedFragment);
-        _backupUndoerRange(undoerData);
     };
-    _backupSelection();
+    const range = sel.getRangeAt(0);
+    const savedRange = _rangeProxy();
+    const indices = [];
+    const oldDentableTypes = [];
+    const oldIndices = [];
+    for (let i = 0; i < selectedDentables.length; i++) {
+        // We only track dentables that could be dented.
+        // Note that sublist outdents are always tracked, because their parent is outdented.
+        const selectedDentable = selectedDentables[i];
+        let dentedItem, dentableType, oldIndex;
+        if (_isListItemElement(selectedDentable)) {
+            const existingList = _findFirstParentElementInNodeNames(selectedDentable, ['UL', 'OL']);
+            if (dentType === DentType.Indent) {
+                dentedItem = _listDentFunction(selectedDentable, existingList);
+                dentableType = existingList.nodeName;
+            } else if (dentType === DentType.Outdent) {
+                if (subListItems.includes(selectedDentable)) {
+                    // Sublist are outdented by outdenting their parent. We track it because we
+                    // here because we need to know about it on undo. We will use the oldIndices
+                    // to figure out how to do that.
+                    dentedItem = selectedDentable;
+                } else {
+                    dentedItem = _listDentFunction(selectedDentable, existingList);
+                };
+                dentableType = existingList.nodeName;
+            };
+        } else {
+            dentedItem = _dentFunction(selectedDentable);
+            dentableType = selectedDentable.nodeName;
+        };
+        if (dentedItem) {
+            indices.push(_childNodeIndicesByParent(dentedItem, commonAncestor));
+            oldDentableTypes.push(dentableType);
+            oldIndices.push(originalIndices[i]);
+        };
+    };
+    _restoreRange(savedRange);
+    if (undoable) {
+        _backupSelection()
+        const undoerData = _undoerData('multi' + dentType, {commonAncestor: commonAncestor, indices: indices, oldDentableTypes: oldDentableTypes, oldIndices: oldIndices});
+        undoer.push(undoerData);
+        _restoreSelection()
+    };
     _callbackInput();
-    //_consoleLog("* Done _undoListEnter")
 };
 
 /**
- * Insert fragment into the current selection point somewhere inside of a list.
+ * Undo or redo the previous multiDent operation.
  *
- * When we reach this point, we have undone the Enter that preceded and now need
- * to re-insert the non-collapsed selection that we extracted and placed in fragment.
+ * For undoIndent, dentType===DentType.Outdent
+ * For redoIndent, dentType===DentType.Indent
+ * For undoOutdent, dentType===DentType.Indent
+ * For redoOutdent, dentType===DentType.Outdent
  *
- * Return the selection range in case it's needed, altho selection
- * is reset by this function.
+ * If the oldDentableType is a list element, then we have to treat an indent as
+ * a list creation, not blockquoting.
  */
-const _insertInList = function(fragment) {
-    //_consoleLog("* _insertInList(" + _fragmentString(fragment) + ")")
-    const sel = document.getSelection();
-    const range = sel.getRangeAt(0).cloneRange();
-    const anchorNode = (sel) ? sel.anchorNode : null;   // Selection is collapsed
-    if (!sel.isCollapsed || !anchorNode) {
-        MUError.CantInsertInList.callback();
+const _undoRedoMultiDent = function(dentType, undoerData) {
+    let _dentFunction, _listDentFunction;
+    if (dentType === DentType.Indent) {
+        _dentFunction = _indent;
+        _listDentFunction = _indentListItem;
+    } else if (dentType === DentType.Outdent) {
+        _dentFunction = _outdent;
+        _listDentFunction = _outdentListItem;
+    } else {
+        MUError.UnrecognizedDentType.callback();
         return;
     };
-    // Handle specially if fragment contains no elements (i.e., just text nodes).
-    const simpleFragment = fragment.childElementCount === 0;
-    const singleListItemFragment = (fragment.childElementCount === 1) && (fragment.firstElementChild.nodeName !== 'LI');
-    let newRange;
-    if (simpleFragment || singleListItemFragment) {
-        //_consoleLog("* _insertInList (simple)")
-        const firstFragChild = fragment.firstChild;
-        const lastFragChild = fragment.lastChild;
-        range.insertNode(fragment); // fragment becomes anchorNode's nextSibling
-        _stripZeroWidthChars(anchorNode.parentNode);
-        // Setting the selection is a challenge because (at least in a list) when we have
-        // trailing blank characters, we can set to encompass them, but the document.getSelection()
-        // afterward will not include the blank character. Perhaps this has to do with the nature of
-        // lists, but in any case, this forces us to use the locations surrounding the inserted
-        // fragment to set the selection and using normalize to combine text nodes.
-        const textRange = document.createRange();
-        const prevSib = firstFragChild.previousSibling;
-        const nextSib = lastFragChild.nextSibling;
-        if (prevSib) {
-            if (prevSib.nodeType === Node.TEXT_NODE) {
-                textRange.setStart(prevSib, prevSib.textContent.length);
-            } else {
-                textRange.setStart(prevSib, prevSib.childNodes.length);
-            };
-        } else {
-            textRange.setStart(firstFragChild, firstFragChild.textContent.length);
-        };
-        if (nextSib) {
-            textRange.setEnd(nextSib, 0);
-        } else {
-            textRange.setEnd(lastFragChild, lastFragChild.textContent.length);
-        }
-        anchorNode.parentNode.normalize();
-        sel.removeAllRanges();
-        sel.addRange(textRange);
-        newRange = _maximizedRange(); // Enclose the element
-        //_consoleLog("* Done _insertInList (simple)")
-        return newRange;
-    }
-    const existingList = _findFirstParentElementInNodeNames(anchorNode, ['UL', 'OL'])
-    const existingListItem = _findFirstParentElementInNodeNames(anchorNode, ['LI'])
-    const firstFragEl = fragment.firstElementChild;
-    const lastFragEl = fragment.lastElementChild;
-    if (range.startOffset === 0) {
-        //_consoleLog("At the beginning of a text node")
-        // Selection is at the beginning of a text node that we need
-        // to insert the fragment into.
-        let fragEl = fragment.firstElementChild;
-        if (_isEmpty(lastFragEl)) {     // It should be an empty placeholder
-            fragment.removeChild(lastFragEl);
-        }
-        while (fragEl) {
-            existingList.insertBefore(fragEl, existingListItem);
-            fragEl = fragment.firstElementChild;
-        }
-        newRange = document.createRange();
-        newRange.setStart(firstFragEl, 0);
-        newRange.setEnd(existingListItem, 0);
-        sel.removeAllRanges();
-        sel.addRange(newRange);
-    } else {
-        //_consoleLog("In the middle of a text node")
-        // Selection starts within a text node that needs to be split
-        // and then merged with the fragment. After splitText,
-        // anchorNode contains the textNode before the selection.
-        let trailingText = anchorNode.splitText(range.startOffset);
-        // We have a case where the selection is at the end of a textNode, so trailingText
-        // ends up with zero length. This means we have to set the target for insertBefore
-        // not to trailingText but to its parentNode's nextSibling.
-        if (trailingText.length === 0) {
-            trailingText = trailingText.parentNode.nextSibling;
-        }
-        // FIRST, insert all of the firstElFrag's childNodes before
-        // the trailingText. So, for example, if the firstElFrag is
-        // <h5 id="h5">ted <i id="i">item</i> 1.</h5>, the "ted <i id="i">item</i> 1."
-        // gets put just after anchorNode (i.e., before trailingText).
-        const anchorNodeParent = anchorNode.parentNode;
-        const anchorNodeParentName = anchorNodeParent.nodeName;
-        let firstElChild = firstFragEl.firstChild;
-        while (firstElChild) {
-            if ((firstElChild.nodeType === Node.ELEMENT_NODE) && (firstElChild.nodeName === anchorNodeParent.nodeName)) {
-                let nextChild = firstElChild.firstChild;
-                while (nextChild) {
-                    anchorNode.parentNode.appendChild(nextChild)
-                    nextChild = firstElChild.firstChild;
-                }
-                firstElChild.parentNode.removeChild(firstElChild);
-            } else {
-                trailingText.parentNode.insertBefore(firstElChild, trailingText)
-            }
-            firstElChild = firstFragEl.firstChild;
-        }
-        firstFragEl.parentNode.removeChild(firstFragEl);
-        // SECOND, all the siblings of firstFragEl need to be added as siblings of anchorNode.parentNode.
-        // The siblings start with what is now fragment.firstChild.
-        let nextFragSib = fragment.firstChild;
-        let nextSib = trailingText.parentNode.nextSibling;
-        const nextListItem = existingListItem.nextSibling;
-        while (nextFragSib) {
-            if (nextFragSib.nodeName === 'LI') {
-                // This is the case when selection spans list items within a single list type
-                existingListItem.parentNode.insertBefore(nextFragSib, nextListItem)
-            } else if ((nextFragSib.nodeName === 'OL') || (nextFragSib.nodeName === 'UL')) {
-                // The selection crosses into another list. So, we were inserting list
-                // items, and now this list item contains another list. Rather than
-                // inserting it before the nextListItem, a sublist needs to be inside
-                // of the current list item.
-                // Handle styling in list item or no styling
-                const styleElement = _findFirstParentElementInNodeNames(anchorNode, _styleTags)
-                let insertBeforeNode;
-                if (styleElement) {
-                    insertBeforeNode = styleElement.nextSibling;
+    _restoreUndoerRange(undoerData);
+    const savedRange = _rangeProxy();
+    const commonAncestor = undoerData.data.commonAncestor;
+    const indices = undoerData.data.indices;
+    const originalDentableTypes = undoerData.data.oldDentableTypes;
+    const originalIndices = undoerData.data.oldIndices;
+    // When originalContainerIndices is non-null, it identifies the index into
+    // originalIndices where we will find the array of childNodes that led to the
+    // container of the element that originalIndices pointed at.
+    // See the comments in _containerIndices.
+    const originalContainerIndices = _containerIndices(originalIndices);
+    const originalSiblingIndices = _siblingIndices(originalIndices);
+    const selectedDentables = [];
+    indices.forEach(index => {
+        selectedDentables.push(_childNodeIn(commonAncestor, index));
+    });
+    const newDentedItems = [];
+    const oldIndices = [];
+    const oldDentableTypes = [];
+    let currentList;
+    for (let i = 0; i < selectedDentables.length; i++) {
+        const selectedDentable = selectedDentables[i];
+        const dentableType = originalDentableTypes[i];
+        const index = originalIndices[i];
+        const nextExists = (i < selectedDentables.length - 1);
+        const nextDentable = nextExists && selectedDentables[i + 1];
+        const nextIndex = nextExists && originalIndices[i + 1];
+        const nextDentableType = nextExists && originalDentableTypes[i + 1];
+        const nextIsSubList = nextExists && (originalContainerIndices[i + 1] !== null);
+        const nextIsSibling = nextExists && (originalSiblingIndices[i + 1] !== null);
+        let dentedItem;
+        if (_isListItemElement(selectedDentable)) {
+            // The selectedDentable is a list item in a list, so dent it if we can.
+            // However, if it was previously part of a sublist, then instead of denting
+            // it, we need to put its parent list in the list item we find from
+            // originalContainerIndices.
+            const existingList = _findFirstParentElementInNodeNames(selectedDentable, ['UL', 'OL']);
+            const isSubList = originalContainerIndices[i] !== null;
+            if (dentType === DentType.Indent) {
+                if (isSubList) {
+                    const dentable = selectedDentables[originalContainerIndices[i]];
+                    const existingListItem = _findFirstParentElementInNodeNames(dentable, ['LI']);
+                    existingListItem.appendChild(existingList);
+                    dentedItem = selectedDentable;
                 } else {
-                    insertBeforeNode = anchorNode.nextSibling
+                    dentedItem = _listDentFunction(selectedDentable, existingList);
                 }
-                existingListItem.insertBefore(nextFragSib, insertBeforeNode);
-            } else {
-                _consoleLog("Error: unexpected nextFragSib")
-            }
-            nextFragSib = fragment.firstChild;
-        };
-        // THIRD, put the trailingText itself at the end of the lastFragEl along
-        // with all of its parentNode's nextSiblings.
-        let lastChildEl = lastFragEl.lastChild;
-        let appendTrailingTarget;
-        if (lastChildEl.nodeType === Node.TEXT_NODE) {
-            appendTrailingTarget = lastChildEl.parentNode;
-        } else if (lastChildEl.nodeType === Node.ELEMENT_NODE) {
-            const lastChildChild = lastChildEl.lastChild;
-            if (lastChildChild.nodeType === Node.TEXT_NODE) {
-                appendTrailingTarget = lastChildChild.parentNode;
-            } else {
-                appendTrailingTarget = lastChildChild;
-            }
-        }
-        // TODO: Maybe have to deal with siblings
-        const startContainer = anchorNode;
-        const startOffset = anchorNode.textContent.length;
-        const previousSib = appendTrailingTarget.lastChild;
-        // If the trailingText and its previous sibling are both
-        // textNodes, then we split them before and they should
-        // be rejoined.
-        let endContainer, endOffset;
-        if (_isTextNode(previousSib)) {
-            endContainer = previousSib;
-            endOffset = previousSib.textContent.length;
-            previousSib.textContent = previousSib.textContent + trailingText.textContent;
-            trailingText.parentNode.removeChild(trailingText);
+            } else if (dentType === DentType.Outdent) {
+                if (isSubList) {
+                    // Sublist are outdented by outdenting their parent. We track it because we
+                    // here because we need to know about it on undo. We will use the oldIndices
+                    // to figure out how to do that.
+                    dentedItem = selectedDentable;
+                } else {
+                    dentedItem = _listDentFunction(selectedDentable, existingList);
+                };
+            };
+        } else if ((_listTags.includes(dentableType)) && (dentType === DentType.Indent)) {
+            // The selectedDentable needs to become a listItem in a list. Do we create a new
+            // list for it, or put it in an existing one?
+            // If currentList is null, we have to create it as a top-level list. Afterward, we
+            // determine if we should set currentList for the next dentable based on whether
+            // the next is a sublist, or just set it to null indicating we should create a
+            // new top-level list for the next element.
+            if (!currentList) {
+                currentList = document.createElement(dentableType);
+                selectedDentable.parentNode.insertBefore(currentList, selectedDentable.nextSibling);
+            };
+            dentedItem = document.createElement('LI');
+            currentList.appendChild(dentedItem);
+            dentedItem.appendChild(selectedDentable);
+            if (nextIsSubList) {
+                // The next listable is a list item in a sublist, so we need to find the list
+                // to put it into and make that the currentList.
+                const listItemIndex = nextIndex.slice(0, -1);    // Remove the last item
+                const listItem = _childNodeIn(commonAncestor, listItemIndex);
+                currentList = _findFirstParentElementInNodeNames(listItem, _listTags);
+            } else if (!nextIsSibling) { // Only reset currentList if the next is not a sibling
+                currentList = null;
+            };
         } else {
-            endContainer = trailingText;
-            endOffset = 0;
-            appendTrailingTarget.appendChild(trailingText);
-        }
-        // FINALLY, if we ended up with two lists of the same type as siblings, then merge them
-        const currentList = _findFirstParentElementInNodeNames(lastChildEl, ['OL', 'UL']);
-        const nextList = currentList.nextSibling;
-        if (nextList && (currentList.nodeName === nextList.nodeName)) {
-            let nextListChild = nextList.firstChild;
-            while (nextListChild) {
-                currentList.appendChild(nextListChild);
-                nextListChild = nextList.firstChild;
-            }
-            nextList.parentNode.removeChild(nextList);
+            // The selectedListable is some styled element that we might be able to dent
+            dentedItem = _dentFunction(selectedDentable);
+        };
+        if (dentedItem) {
+            newDentedItems.push(dentedItem);    // Its location may change during the loop, so wait on indices
+            oldDentableTypes.push(dentableType);
+            oldIndices.push(index);
         };
-        newRange = document.createRange();
-        newRange.setStart(startContainer, startOffset);
-        newRange.setEnd(endContainer, endOffset);
-        sel.removeAllRanges();
-        sel.addRange(newRange);
     };
-    //_consoleLog("* Done _insertInList")
-    return newRange;
+    const newIndices = [];
+    newDentedItems.forEach(dentedItem => {
+        newIndices.push(_childNodeIndicesByParent(dentedItem, commonAncestor))
+    });
+    // Put the range back in place. The startContainer and endContainer will have changed
+    // location in the DOM, but the savedRange will be valid.
+    _restoreRange(savedRange);
+    // Then update undoerData for the next undo or redo.
+    undoerData.data.indices = newIndices;
+    undoerData.data.oldDentableTypes = oldDentableTypes;
+    undoerData.data.oldIndices = oldIndices;
+    undoerData.range = document.getSelection().getRangeAt(0);
+    _callbackInput();
 };
 
 /**
- * We are inside of a list and want to indent the selected item in it.
+ * Return whether the selection includes multiple list items or top-level styled elements,
+ * all of which can be acted upon in _multiDent()
  */
-const _doListIndent = function(undoable=true) {
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode) { return null };
-    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
-    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
-    if (!existingList || !existingListItem) { return null };
-    _backupSelection();
-    if (_indentListItem(existingListItem, existingList)) {
-        _restoreSelection();
-        if (undoable) {
-            _backupSelection();
-            const undoerData = _undoerData('indent');
-            undoer.push(undoerData);
-            _restoreSelection();
-        }
-        _callbackInput();
-    };
+const _selectionSpansDentables = function() {
+    const selectionDentables = _selectionDentables();
+    const startDentable = selectionDentables.startListItem ?? selectionDentables.startStyle;
+    const endDentable = selectionDentables.endListItem ?? selectionDentables.endStyle;
+    return startDentable && endDentable && (startDentable !== endDentable);
 };
 
 /**
- * Given an existingListItem in an existingList, indent the existingListItem,
- * leaving everything else (including existingListItem's sublists) at the same level.
+ * Return the top-level paragraph style or list item the selection starts in and ends in.
  *
- * @return  {HTML Node}   The existingListItem if it could be indented; else, null.
+ * Note the difference with _selectedDentables, which returns the dentable elements within
+ * the selection.
  */
-const _indentListItem = function(existingListItem, existingList) {
-    const previousListItem = existingListItem.previousElementSibling;
-    if (!previousListItem || (previousListItem.nodeName !== 'LI')) { return null };
-    // The only valid child of UL or OL is LI; however,
-    // LI can have UL or OL children to form sublists. So, indenting
-    // means taking an existing LI putting it in a new UL or OL, and then
-    // appending the new UL or OL as a child of the existing LI's
-    // previousSibling. If previousElementSibling doesn't exist or is not
-    // an LI, then the indent is not allowed. Thus, indenting the 2nd list
-    // item in:
-    //  <UL>
-    //      <LI>List item 1</LI>
-    //      <LI>List item 2</LI>
-    //  </UL>
-    // becomes:
-    //  <UL>
-    //      <LI>List item 1
-    //          <UL>
-    //              <LI>List item 2</LI>
-    //          </UL>
-    //      </LI>
-    //  </UL>
-    //
-    // Check whether to put the newListItem in its own newList, or whether to append it to
-    // the existingList at the level above in the list.
-    // Consider:
-    //  <UL>
-    //      <LI>List item 1
-    //          <UL>
-    //              <LI>Sublist item 1</LI>
-    //          </UL>
-    //      </LI>
-    //      <LI>List item 2</LI>
-    //  </UL>
-    // When indenting List item 2, we want:
-    //  <UL>
-    //      <LI>List item 1
-    //          <UL>
-    //              <LI>Sublist item 1</LI>
-    //              <LI>List item 2</LI>
-    //          </UL>
-    //      </LI>
-    //  </UL>
-    // We don't want:
-    //  <UL>
-    //      <LI>List item 1
-    //          <UL>
-    //              <LI>Sublist item 1</LI>
-    //          </UL>
-    //          <UL>
-    //              <LI>List item 2</LI>
-    //          </UL>
-    //      </LI>
-    //  </UL>
-    const prevListItemLastChild = previousListItem.lastElementChild;
-    if (prevListItemLastChild && (prevListItemLastChild.nodeName === existingList.nodeName)) {
-        // The previous list's last element is a list of the same type, so existingListItem should just be appended to it
-        prevListItemLastChild.appendChild(existingListItem);
-        
+const _selectionDentables = function() {
+    const selectionDentables = {};
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) { return selectionDentables };
+    const range = sel.getRangeAt(0);
+    const startContainer = range.startContainer;
+    const startList = _findFirstParentElementInNodeNames(startContainer, _listTags);
+    if (startList) {
+        selectionDentables.startListItem = _findFirstParentElementInNodeNames(startContainer, ['LI']);
     } else {
-        // We just need to create a newList to contain existingListItem, and then put that list
-        // as a child of previousListItem.
-        const newList = document.createElement(existingList.nodeName);
-        newList.appendChild(existingListItem);
-        previousListItem.appendChild(newList);
+        selectionDentables.startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
     };
-    // But existingListItem's list children now have to be outdented so they stay at the original level in the list
-    let existingChild = existingListItem.firstElementChild;
-    while (existingChild && (existingChild.nodeName === existingList.nodeName)) {
-        let existingSubListItem = existingChild.firstElementChild;
-        while (existingSubListItem) {
-            _outdentListItem(existingSubListItem, existingChild);
-            existingSubListItem = existingChild.firstElementChild;
-        };
-        existingChild = existingListItem.firstElementChild;
+    const endContainer = range.endContainer;
+    const endList = _findFirstParentElementInNodeNames(endContainer, _listTags);
+    if (endList) {
+        selectionDentables.endListItem = _findFirstParentElementInNodeNames(endContainer, ['LI']);
+    } else {
+        selectionDentables.endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
+    };
+    return selectionDentables;
+};
+
+/**
+ * Return the elements within the selection that we can perform multiIndent and multiOutdent operations on.
+ *
+ * Note that the caller needs to determine whether the sublists need to be acted upon. For nested sublists,
+ * we only want to "dent" the containing list. However, we want to track the sublists because on undo, we
+ * need to re-insert them as sublists if outdenting removed the containing list.
+ */
+const _selectedDentables = function() {
+    if (!_selectionSpansDentables()) { return [] };
+    const selectionDentables = _selectionDentables();
+    const startDentable = selectionDentables.startListItem ?? selectionDentables.startStyle;
+    const endDentable = selectionDentables.endListItem ?? selectionDentables.endStyle;
+    const dentableRange = document.createRange();
+    dentableRange.setStart(startDentable, 0);
+    dentableRange.setEnd(endDentable, 0);
+    const listItems = _nodesWithNamesInRange(dentableRange, ['LI']);
+    const styles = _nodesWithNamesInRangeExcluding(dentableRange, _paragraphStyleTags, _listTags);
+    const commonAncestor = dentableRange.commonAncestorContainer;
+    return _joinElementArrays(listItems, styles, commonAncestor);
+};
+
+/**
+ * Add a new BLOCKQUOTE
+ * This is a lot more like setting a style than a format, since it applies to the
+ * selected element, not to the range of the selection.
+ * However, it's important to note that while BLOCKQUOTEs can contain styled
+ * elements, styled elements cannot contain BLOCKQUOTEs.
+ *
+ * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ */
+const _increaseQuoteLevel = function(undoable=true) {
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (!sel || !selNode || !sel.rangeCount) { return null };
+    const selectionState = _getSelectionState();
+    // Capture the range settings for the selection
+    const range = sel.getRangeAt(0).cloneRange();
+    const oldStartContainer = range.startContainer;
+    const oldStartOffset = range.startOffset;
+    const oldEndContainer = range.endContainer;
+    const oldEndOffset = range.endOffset;
+    // We should be inside of style, but if we are inside of a BLOCKQUOTE
+    // then we want to increase the quote level from the style, not from the
+    // BLOCKQUOTE level. See if we can find a style tag before encountering the
+    // BLOCKQUOTE. For example:
+    // <BLOCKQUOTE>
+    //      <P>This is a paragraph</P>
+    //      <P>This is a <b>par|agraph</b> with a word bolded</P>
+    // </BLOCKQUOTE>
+    // If we select inside of the bolded paragraph at the "|" and add a
+    // <BLOCKQUOTE>, we want to end up with:
+    // <BLOCKQUOTE>
+    //      <P>This is a paragraph</P>
+    //      <BLOCKQUOTE>
+    //          <P>This is a <b>par|agraph</b> with a word bolded</P>
+    //      </BLOCKQUOTE>
+    // </BLOCKQUOTE>
+    // So...
+    // If selection is in a style, use that node as the parent to put in a
+    // BLOCKQUOTE. If not, then look for a BLOCKQUOTE and use that node
+    // as the parent to put in another BLOCKQUOTE.
+    // We should always be selecting inside of some styled element,
+    // but we don't know for sure.
+    const selStyle = selectionState['style'];
+    let selNodeParent;
+    if (selStyle) {
+        selNodeParent = _findFirstParentElementInNodeNames(selNode, [selStyle]);
+    } else {
+        const existingBlockQuote = _findFirstParentElementInNodeNames(selNode, ['BLOCKQUOTE']);
+        if (existingBlockQuote) {
+            selNodeParent = existingBlockQuote;
+        } else {
+            // Handle nested format tags
+            const outermostFormatElement = _outermostFormatElement(selNode);
+            if (outermostFormatElement) {
+                selNodeParent = outermostFormatElement;
+            } else {
+                selNodeParent = selNode.parentNode;
+            }
+        }
+    }
+    if (_indent(selNodeParent)) {
+        if (undoable) {
+            _backupSelection();
+            const undoerData = _undoerData('indent');
+            undoer.push(undoerData);
+            _restoreSelection();
+        }
+        _callbackInput();
+        return selNode;
     };
-    return existingListItem;
+    return null;
 };
-    
+
 /**
- * We are inside of a list and want to outdent the selected item in it.
- * We can only outdent if the list we are in is contained in another list.
+ * Indent node by placing it in a BLOCKQUOTE, preserve selection.
+ *
+ * Return the node if it could be indented.
  */
-const _doListOutdent = function(undoable=true) {
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode) { return null };
-    const existingList = _findFirstParentElementInNodeNames(selNode, ['UL', 'OL'])
-    const existingListItem = _findFirstParentElementInNodeNames(selNode, ['LI'])
-    if (!(existingList && existingListItem)) { return null };
-    _backupSelection();
-    const outdentedItem = _outdentListItem(existingListItem, existingList);
-    _restoreSelection();
-    // When outdenting to get out of a list, we will always end up in a
-    // paragraph style tag of some kind. If that's the case, then treat the operation
-    // like toggleListItem so we get the proper undo behavior that restores any
-    // previously nested list.
-    const outdentedFromList = outdentedItem && _paragraphStyleTags.includes(outdentedItem.nodeName);
-    if (outdentedItem && undoable) {
-        _backupSelection();
-        let undoerData;
-        if (outdentedFromList) {
-            const removedContainingList = _isListElement(outdentedItem.nextElementSibling);
-            undoerData = _undoerData('list', {newListType: existingList.nodeName, oldListType: existingList.nodeName, removedContainingList: removedContainingList});
-        } else {
-            undoerData = _undoerData('outdent');
-        };
-        undoer.push(undoerData);
-    };
-    _callbackInput();
+const _indent = function(node) {
+    if (!node.parentNode) { return null };
+    const oldRange = _rangeProxy();
+    const newParent = document.createElement('BLOCKQUOTE');
+    node.parentNode.insertBefore(newParent, node.nextSibling);
+    newParent.appendChild(node);
+    oldRange && _restoreRange(oldRange);
+    return node;
 };
 
 /**
- * Given an existingListItem in an existingList, outdent the existingListItem,
- * leaving everything else (including existingListItem's sublists) at the same level.
+ * Remove an existing BLOCKQUOTE if it exists
  *
- * @return  {HTML Node}   The existingListItem if it could be outdented; else, null.
+ * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
  */
-const _outdentListItem = function(existingListItem, existingList) {
-    // First, determine if we can outdent within an outerList, or if existingListItem
-    // should just not be in a list at all
-    const outerList = (existingList) ? _findFirstParentElementInNodeNames(existingList.parentNode, ['UL', 'OL']) : null;
-    if (!outerList) {
-        // We can't outdent in a list any further, so split the list here and then put
-        // the existingListItem contents outside of the list, and return immediately;
-        return _splitList(existingListItem)
-    };
-    // Following the comments in _indentListItem, we want to outdent
-    // Sublist item 2 in:
-    //  <UL>
-    //     <LI>List item 1
-    //         <UL>
-    //             <LI>Sublist item 1</LI>
-    //             <LI>Sublist item 2</LI>
-    //             <LI>Sublist item 3</LI>
-    //         </UL>
-    //     </LI>
-    //     <LI>List item 2</LI>
-    //  </UL>
-    // which should produce:
-    //  <UL>
-    //     <LI>List item 1
-    //         <UL>
-    //             <LI>Sublist item 1</LI>
-    //         </UL>
-    //     </LI>
-    //     <LI>Sublist item 2
-    //         <UL>
-    //             <LI>Sublist item 3</LI>
-    //         </UL>
-    //     </LI>
-    //     <LI>List item 2</LI>
-    //  </UL>
-    // To do this, find the existingListItem and the existingList it is inside of.
-    // The existingList's parentNode's nextSibling is what we want to put the
-    // existingListItem before. However, before we do that, move all of existingListItem's
-    // nextElementSiblings to be its children, thereby "moving down" any nodes below it in the
-    // existingList. When done, if existingList is empty, remove it.
-    let nextListItem = existingList.parentNode.nextElementSibling;
-    if (!_isListItemElement(nextListItem)) { nextListItem = null };
-    let sib = existingListItem.nextElementSibling;
-    if (sib) {
-        const newList = document.createElement(existingList.nodeName);
-        while (sib) {
-            newList.appendChild(sib);
-            sib = existingListItem.nextElementSibling;
+const _decreaseQuoteLevel = function(node, undoable=true) {
+    if (_outdent(node)) {
+        if (undoable) {
+            _backupSelection();
+            const undoerData = _undoerData('outdent');
+            undoer.push(undoerData);
+            _restoreSelection();
         }
-        existingListItem.appendChild(newList);
-    };
-    outerList.insertBefore(existingListItem, nextListItem);
-    if (existingList.children.length === 0) {
-        existingList.parentNode.removeChild(existingList);
+        _callbackInput();
+        return node;
     };
-    return existingListItem;
+    return null;
+};
+
+const _decreaseQuoteLevelAtSelection = function(undoable=true) {
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (!sel || !selNode || !sel.rangeCount) { return null };
+    return _decreaseQuoteLevel(selNode, undoable);
+};
+
+/**
+ * Outdent node that is already in a BLOCKQUOTE, preserve selection.
+ *
+ * Return the node if it could be outdented.
+ */
+const _outdent = function(node) {
+    const existingElement = _findFirstParentElementInNodeNames(node, ['BLOCKQUOTE']);
+    if (!existingElement) { return null };
+    const oldRange = _rangeProxy();
+    const nodeRange = document.createRange();
+    nodeRange.selectNode(existingElement);
+    _unsetTagInRange(existingElement, nodeRange);
+    oldRange && _restoreRange(oldRange);
+    return node;
 }
 
 /**
- * Given a listItemElement that we want to be in a newListType,
- * split the list it resides in so that the listItemElement is in
- * its own list of newListType, and the one it was in has been split
- * around it. So, for example, if newListType is UL and listItemElement
- * is in an OL, then we end up with two or three lists depending on
- * whether the element was in the middle or at the ends of the original.
- * Note that the listItemElement might contain an Element or a text node,
- * and it might have children, such an a sublist of UL or OL.
- * If newListType is null or not specified, then place the contents
- * of the listItemElement between the split list, but not in a UL
- * or OL at all. In this case, we need to leave any "bare text" in
- * a <P>.
+ * Handle the Enter key in Blockquotes so we always split them.
+ * Caller has to ensure we are in a blockquote.
  *
- * @param   {HTML List Item Element}    listItemElement     The LI currently in a UL or OL.
- * @param   {String | null}             newListType         OL or UL to indicate what listItemElement should be in, or null.
- * @return  {HTML List Item Element}                        The listItemElement now residing in a new list of newListType, or null.
+ * @returns {HTML Element || null}    The new trailing node in the new blockquote to preventDefault handling; else, null.
  */
-const _splitList = function(listItemElement, newListType) {
-    const oldList = listItemElement.parentNode;
-    const oldListType = oldList.nodeName;
-    const oldListItems = oldList.children;
-    const preList = document.createElement(oldListType);
-    const postList = document.createElement(oldListType);
-    // Populate the preList and postList that will surround the new list
-    // containing listItemElement or children of listItemElement
-    let listToPopulate = preList;
-    while (oldListItems.length > 1) {
-        let index = (listToPopulate === preList) ? 0 : 1;
-        let child = oldListItems[index];
-        if (child === listItemElement) {
-            listToPopulate = postList;  // Flip the listToPopulate and skip the listItemElement
-            index = 1;
-        } else {
-            listToPopulate.appendChild(child);
-        };
-    };
-    // Insert the preList and postList before and after the oldList (which now
-    // contains only the listItemElement
-    if (preList.children.length > 0) {
-        oldList.parentNode.insertBefore(preList, oldList)
-    };
-    if (postList.children.length > 0) {
-        oldList.parentNode.insertBefore(postList, oldList.nextSibling);
-    };
-    if (newListType) {
-        // We want listItemElement to be in a list of newListType
-        const newList = document.createElement(newListType);
-        newList.appendChild(listItemElement);
-        oldList.replaceWith(newList);
-        return listItemElement;
-    } else {
-        // We want the contents of listItemElement to be embedded
-        // at the right place in the document, which varies depending on
-        // whether there was a postList to mark the location.
-        let insertionPoint;
-        if (postList.children.length > 0) {
-            insertionPoint = postList;
-        } else {
-            insertionPoint = oldList.nextSibling ?? (_findContentEditable(oldList) ?? MU.editor).lastChild;
-        };
-        let child;
-        const firstChild = listItemElement.firstChild;
-        while (child = listItemElement.firstChild) {
-            if (child.nodeType === Node.TEXT_NODE) {
-                if (child.textContent.trim().length > 0) {
-                    // We want any bare text node children to be embedded in <p>
-                    const p = document.createElement('p');
-                    p.appendChild(child);
-                    insertionPoint.parentNode.insertBefore(p, insertionPoint);
-                } else {
-                    insertionPoint.parentNode.insertBefore(child, insertionPoint);
-                };
+const _doBlockquoteEnter = function(undoable=true) {
+    let sel = document.getSelection();
+    let selNode = (sel) ? sel.anchorNode : null;
+    if (!selNode || !sel.isCollapsed) { return null };
+    const range = sel.getRangeAt(0);
+    let leadingNode = range.startContainer;
+    let offset = range.startOffset;
+    let trailingNode;
+    // Neither splitTextNode nor splitElement make the resulting leadingNode and trailingNode
+    // selectable if they end up being either an empty text node or an empty element (like <p></p>).
+    // We have to patch them up here. For history, I used to do this within the split* methods,
+    // but it ends up overloading functionality in a way that prevents re-use when these methods
+    // are so convenient for just splitting things.
+    if (_isTextNode(leadingNode)) {
+        trailingNode = _splitTextNode(leadingNode, offset, 'BLOCKQUOTE', 'AFTER');
+        // We might have split leadingNode at the beginning or end, leaving one or the
+        // other empty. If there are other nodes in the empty end's parent, then we just
+        // want to delete the empty text node and reassign it to a sibling. If there are
+        // no other nodes in the empty end's parent, then we want to put in a BR.
+        if (_isEmpty(leadingNode)) {
+            if (leadingNode === leadingNode.parentNode.firstChild) {
+                const br = document.createElement('br');
+                leadingNode.parentNode.appendChild(br);
+                leadingNode.parentNode.removeChild(leadingNode);
+                leadingNode = br;
             } else {
-                // The child could be something like <p> or <h5>, or even a <ul> or <ol>
-                insertionPoint.parentNode.insertBefore(child, insertionPoint);
+                leadingNode.parentNode.removeChild(leadingNode);
+                leadingNode = trailingNode;
+            };
+        } else if (_isEmpty(trailingNode)) {
+            if (trailingNode === trailingNode.parentNode.lastChild) {
+                const br = document.createElement('br');
+                trailingNode.parentNode.appendChild(br);
+                trailingNode.parentNode.removeChild(trailingNode);
+                trailingNode = br;
+            } else {
+                const newTrailingNode = trailingNode.nextSibling;
+                trailingNode.parentNode.removeChild(trailingNode);
+                trailingNode = newTrailingNode;
+            };
+            // When we ended up with an empty trailingNode, we always want
+            // the selection to end up in its parentNode. IOW, the selection
+            // at always moves to the new element we split off, whether it
+            // was empty or not.
+            range.setStart(trailingNode.parentNode, 0);
+            range.setEnd(trailingNode.parentNode, 0);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        };
+    } else {
+        if (_isEmpty(leadingNode)) {
+            const innerBlockquote = _isBlockquoteElement(leadingNode.parentNode) && leadingNode.parentNode;
+            const isOuterBlockquote = innerBlockquote && _isBlockquoteElement(innerBlockquote.parentNode);
+            if (!isOuterBlockquote && innerBlockquote && (innerBlockquote.lastChild === leadingNode)) {
+                // We hit return in an empty element at the end of an unnested blockquote.
+                // By returning here, we let decreaseQuoteLevel deal with undo/redo
+                // Note this will also leave the style of leadingNode in place. This
+                // seems like the right thing, altho return from H1-H6 produces P
+                // normally.
+                return _decreaseQuoteLevel(leadingNode, undoable);
             };
         };
-        // But in any case, the oldList is depopulated by the time we are done, so remove it
-        oldList.parentNode.removeChild(oldList);
-        return (firstChild) ? firstChild : listItemElement; // firstChild should always exist
+        trailingNode = _splitElement(leadingNode, offset, 'BLOCKQUOTE', 'AFTER');
+        const br = document.createElement('br');
+        if (_isElementNode(leadingNode) && !_isVoidNode(leadingNode) && _isEmpty(leadingNode)) {
+            // leadingNode is an empty element
+            leadingNode.appendChild(br);
+            leadingNode = br;
+        } else if (_isElementNode(trailingNode) && !_isVoidNode(trailingNode) && _isEmpty(trailingNode)) {
+            // trailingNode is an empty element
+            trailingNode.appendChild(br);
+            trailingNode = br;
+            // and we need to reset the selection into it
+            range.setStart(trailingNode.parentNode, 0);
+            range.setEnd(trailingNode.parentNode, 0);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        } else if (_isTextNode(leadingNode) && _isEmpty(leadingNode.parentNode)) {
+            // leadingNode is "" in an otherwise empty parentNode
+            leadingNode.parentNode.appendChild(br);
+            leadingNode.parentNode.removeChild(leadingNode);
+            leadingNode = br;
+        } else if (_isTextNode(trailingNode) && _isEmpty(trailingNode.parentNode)) {
+            // trailingNode is "" in an otherwise empty parentNode
+            trailingNode.parentNode.appendChild(br);
+            trailingNode.parentNode.removeChild(trailingNode);
+            trailingNode = br;
+            // and we need to reset the selection into it
+            range.setStart(trailingNode.parentNode, 0);
+            range.setEnd(trailingNode.parentNode, 0);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        };
+    };
+    if (undoable) {
+        _backupSelection();
+        const commonAncestor = MU.editor;
+        const leadingIndices = _childNodeIndicesByParent(leadingNode, commonAncestor);
+        const trailingIndices = _childNodeIndicesByParent(trailingNode, commonAncestor);
+        // Note we track offset-1 because in splitElement, we split off the node at offset.
+        // The offset is used to find the leadingNode for undo when it is inside of an element.
+        const undoerData = _undoerData('blockquoteEnter', {leadingIndices: leadingIndices, trailingIndices: trailingIndices, commonAncestor: commonAncestor, offset: offset - 1});
+        undoer.push(undoerData);
+        _restoreSelection();
     };
+    _callbackInput();
+    return trailingNode;
 };
 
-/**
- * Given a listItemElement in a UL or OL list, examine its parent's siblings and collapse
- * as many as possible into a single list when they are of the same type. For example, if
- * listItemElement is in a UL list surrounded by two other ULs, then listItemElement's parent
- * will become be a single UL with the elements of all three ULs combined, and the
- * other ULs will be removed. Intervening white space and non-list elements are preserved.
- *
- * @param   {HTML List Item Element}    listItemElement     The LI currently in a UL or OL.
- */
-const _collapseList = function(listItemElement) {
-    const list = listItemElement.parentNode;
-    const listType = list.nodeName;
-    const firstChild = list.firstChild;
-    // Use previousElementSibling to find the list, but use childNodes
-    // to include intervening non-LI nodes as part of the collapsing process,
-    // taking from prevList and putting before the (unchanging) firstChild of list.
-    let prevList = list.previousElementSibling;
-    while (prevList && (prevList.nodeName === listType)) {
-        while (prevList.childNodes.length > 0) {
-            list.insertBefore(prevList.childNodes[0], firstChild);
-        };
-        // Now the earlier content has been collapsed into list,
-        // so remove it and move on to the previousElementSibling.
-        prevList.parentNode.removeChild(prevList);
-        prevList = prevList.previousElementSibling;
+const _undoBlockquoteEnter = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    const leadingIndices = undoerData.data.leadingIndices;
+    const trailingIndices = undoerData.data.trailingIndices;
+    const commonAncestor = undoerData.data.commonAncestor;
+    const offset = undoerData.data.offset;
+    let leadingNode = _childNodeIn(commonAncestor, leadingIndices);
+    let trailingNode = _childNodeIn(commonAncestor, trailingIndices);
+    // Because we replace any empty text node with one containing BR so it is
+    // selectable, we have to undo that on undo.
+    if (_isBRElement(leadingNode)) {
+        const emptyTextNode = document.createTextNode('');
+        leadingNode.replaceWith(emptyTextNode);
+        leadingNode = emptyTextNode;
+    } else if (_isElementNode(leadingNode) && !_isVoidNode(leadingNode)) {
+        leadingNode = leadingNode.childNodes[offset];
     };
-    // Use nextElementSibling to find the list, but use childNodes
-    // to include intervening non-LI nodes as part of the collapsing process,
-    // taking from nextList and putting at the (changing) end of list.
-    let nextList = list.nextElementSibling;
-    while (nextList && (nextList.nodeName === listType)) {
-        while (nextList.childNodes.length > 0) {
-            let lastChild = list.lastChild;
-            list.insertBefore(nextList.childNodes[0], lastChild.nextSibling);
+    if (_isBRElement(trailingNode)) {
+        const emptyTextNode = document.createTextNode('');
+        trailingNode.replaceWith(emptyTextNode);
+        trailingNode = emptyTextNode;
+    } else if (_isElementNode(trailingNode) && !_isVoidNode(trailingNode)) {
+        trailingNode = trailingNode.childNodes[0];
+    };
+    if (_isTextNode(leadingNode) && _isTextNode(trailingNode)) {
+        _joinTextNodes(leadingNode, trailingNode, 'BLOCKQUOTE');
+        // Here we have to undo the case when Enter at the end of a blockquote
+        // produced a new empty blockquote containing just an empty element with
+        // a br in it.
+        if (_isTextNode(leadingNode) && _isEmpty(leadingNode)) {
+            const br = document.createElement('br');
+            const emptyParent = leadingNode.parentNode;
+            emptyParent.appendChild(br);
+            emptyParent.removeChild(leadingNode);
+            const sel = document.getSelection();
+            const range = document.createRange();
+            range.setStart(emptyParent, 0);
+            range.setEnd(emptyParent, 0);
+            sel.removeAllRanges();
+            sel.addRange(range);
         };
-        // Now the following content has been collapsed into list,
-        // so remove it and move on to the nextElementSibling.
-        nextList.parentNode.removeChild(nextList);
-        nextList = nextList.nextElementSibling;
+    } else {
+        _joinElements(leadingNode, trailingNode, 'BLOCKQUOTE');
     };
+    _backupUndoerRange(undoerData);
+    _callbackInput();
+};
+
+const _redoBlockquoteEnter = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    _doBlockquoteEnter(false);
+    _backupUndoerRange(undoerData);
 };
 
+/********************************************************************************
+ * Range operations
+ */
+//MARK: Range Operations
+
+const _reselect = function(sel, range) {
+    sel.removeAllRanges();
+    sel.addRange(range);
+    _backupSelection();
+}
+
 /**
- * Put the contents of selNode in a list of type newListType.
+ * Return an object containing the startContainer, startOffset, endContainer, and endOffset at selection
+ * A HTML Range obtained from selection.getRangeAt(0).cloneRange() can end up being changed
+ * as focus changes, etc. So, to avoid the problem, return a range-like object with properties
+ * for the startContainer, startOffset, endContainer, and endOffset.
  *
- * @param {String}      newListType     The type of list to put selNode's contents in.
- * @param {HTML Node}   selNode         The node at the selection.
- * @return {HTML ListElement}           The new list element.
+ * @return {Object | null}     Return the object or null if selection is non-existent
  */
-const _replaceNodeWithList = function(newListType, selNode) {
-    const newListElement = document.createElement(newListType);
-    const newListItemElement = document.createElement('LI');
-    if (selNode.nodeType == Node.TEXT_NODE) {
-        newListItemElement.innerHTML = selNode.textContent;
+const _rangeProxy = function() {
+    const selection = document.getSelection();
+    if (selection && (selection.rangeCount > 0)) {
+        const range = selection.getRangeAt(0).cloneRange();
+        return {
+            'startContainer': range.startContainer,
+            'startOffset': range.startOffset,
+            'endContainer': range.endContainer,
+            'endOffset': range.endOffset
+        };
     } else {
-        newListItemElement.innerHTML = selNode.outerHTML;
-    }
-    newListElement.appendChild(newListItemElement);
-    selNode.replaceWith(newListElement);
-    return newListItemElement;
+        return null;
+    };
 };
 
 /**
- * Put the contents of selNode in a list item, and replace selNode with the new list item.
+ * Restore the selection to the range held in rangeProxy
  *
- * @param {HTML Node}   selNode     The node at the selection.
- * @return {HTML ListItemElement}   The new list item element.
+ * @param {Object}  rangeProxy      The HTML Range-like object that was populated using _rangeProxy()
  */
-const _replaceNodeWithListItem = function(selNode) {
-    const newListItemElement = document.createElement('LI');
-    if (selNode.nodeType == Node.TEXT_NODE) {
-        newListItemElement.innerHTML = selNode.textContent;
+const _restoreRange = function(rangeProxy) {
+    if (rangeProxy && (rangeProxy.startContainer)) {
+        const selection = document.getSelection();
+        const range = document.createRange();
+        range.setStart(rangeProxy.startContainer, rangeProxy.startOffset);
+        range.setEnd(rangeProxy.endContainer, rangeProxy.endOffset);
+        selection.removeAllRanges();
+        selection.addRange(range);
     } else {
-        newListItemElement.innerHTML = selNode.outerHTML;
-    }
-    selNode.replaceWith(newListItemElement);
-    return newListItemElement;
+        MUError.RestoreNullRange.callback();
+    };
 };
 
-/********************************************************************************
- * Indenting and Outdenting
+/**
+ * Called before beginning a modal popover on the Swift side, to enable the selection
+ * to be restored by endModalInput
  */
-//MARK: Indenting and Outdenting
-
-const DentType = {
-    Indent: 'Indent',
-    Outdent: 'Outdent'
-};
+MU.startModalInput = function() {
+    _backupSelection();
+}
 
 /**
- * Do a context-sensitive indent.
- *
- * If in a list, indent the item to a more nested level in the list if appropriate.
- * If in a blockquote, add another blockquote to indent further.
- * Else, put into a blockquote to indent.
- *
- */
-MU.indent = function(undoable=true) {
-    if (_selectionSpansDentables()) { return _multiDent(DentType.Indent) };
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    const specialParent = _findFirstParentElementInNodeNames(selNode, _monitorIndentTags);
-    if (specialParent) {
-        const nodeName = specialParent.nodeName;
-        const inList = (nodeName === 'UL') || (nodeName === 'OL');
-        const inBlockQuote = nodeName === 'BLOCKQUOTE';
-        if (inList) {
-            _doListIndent(undoable);
-        } else if (inBlockQuote) {
-            _increaseQuoteLevel(undoable);
-        };
-    } else {
-        _backupSelection()
-        _increaseQuoteLevel(undoable);
-    };
-};
+ * Called typically after cancelling a modal popover on the Swift side, since
+ * normally the result of using the popover is to modify the DOM and reset the
+ * selection.
+ */
+MU.endModalInput = function() {
+    _restoreSelection();
+}
 
 /**
- * Do a context-sensitive outdent.
- *
- * If in a list, outdent the item to a less nested level in the list if appropriate.
- * If in a blockquote, remove a blockquote to outdent further.
- * Else, do nothing.
- *
+ * Backup the range of the current selection into MU.currentSelection
  */
-MU.outdent = function(undoable=true) {
-    if (_selectionSpansDentables()) { return _multiDent(DentType.Outdent) };
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    const specialParent = _findFirstParentElementInNodeNames(selNode, _monitorIndentTags);
-    if (specialParent) {
-        const nodeName = specialParent.nodeName;
-        const inList = (nodeName === 'UL') || (nodeName === 'OL');
-        const inBlockQuote = nodeName === 'BLOCKQUOTE';
-        if (inList) {
-            _doListOutdent(undoable);
-        } else if (inBlockQuote) {
-            _decreaseQuoteLevelAtSelection(undoable);
-        };
+const _backupSelection = function() {
+    const rangeProxy = _rangeProxy();
+    MU.currentSelection = rangeProxy;
+    MU.currentDivID = _selectedID;
+    if (!rangeProxy) {
+        const error = MUError.BackupNullRange;
+        error.setInfo('activeElement.id: ' + document.activeElement.id + ', getSelection().rangeCount: ' + document.getSelection().rangeCount);
+        error.callback();
+        _callback('selectionChange');
     };
 };
 
 /**
- * Indent or outdent all the items within a selection that can be indented or outdented.
- *
- * When we outdent, we can remove a list item and the list element it is in.
- * We need to track oldDentableTypes so we know to restore the list on outdent undo.
+ * Restore the selection to the range held in MU.currentSelection
  */
-const _multiDent = function(dentType, undoable=true) {
-    const selectedDentables = _selectedDentables();
-    const commonAncestor = MU.editor;
-    // Track the indices before denting so we can tell how to put lists back together
-    const originalIndices = [];
-    selectedDentables.forEach(selectedDentable => {
-        originalIndices.push(_childNodeIndicesByParent(selectedDentable, commonAncestor));
-    });
-    // For debugging:
-    const originalSiblingIndices = _siblingIndices(originalIndices);
-    // The listItems in allListItems can be nested (i.e., when a LI contains a UL or OL that
-    // itself contains LIs), but we only want to include ones that are not nested in others
-    // in the listItems. That's because when we indent or outdent, the nested items will
-    // be indented or outdented along with their parent.
-    const allListItems = selectedDentables.filter(dentable => _isListItemElement(dentable));
-    const subListItems = allListItems.filter(listItem => _hasContainerWithin(listItem, allListItems))
-    const sel = document.getSelection();
-    if (!sel || sel.rangeCount === 0) { return }
-    let _dentFunction, _listDentFunction;
-    if (dentType === DentType.Outdent) {
-        _dentFunction = _outdent;
-        _listDentFunction = _outdentListItem;
-    } else if (dentType === DentType.Indent) {
-        _dentFunction = _indent;
-        _listDentFunction = _indentListItem;
+const _restoreSelection = function() {
+    _selectedID = MU.currentDivID;
+    _restoreRange(MU.currentSelection);
+};
+
+const _textString = function(node, title="") {
+    if (!node) return title + "null"
+    if (node.nodeType === Node.TEXT_NODE) {
+        return title + "[" + node.nodeName + "] \"" + node.textContent + "\""
     } else {
-        MUError.UnrecognizedDentType.callback();
-        return;
-    };
-    const range = sel.getRangeAt(0);
-    const savedRange = _rangeProxy();
-    const indices = [];
-    const oldDentableTypes = [];
-    const oldIndices = [];
-    for (let i = 0; i < selectedDentables.length; i++) {
-        // We only track dentables that could be dented.
-        // Note that sublist outdents are always tracked, because their parent is outdented.
-        const selectedDentable = selectedDentables[i];
-        let dentedItem, dentableType, oldIndex;
-        if (_isListItemElement(selectedDentable)) {
-            const existingList = _findFirstParentElementInNodeNames(selectedDentable, ['UL', 'OL']);
-            if (dentType === DentType.Indent) {
-                dentedItem = _listDentFunction(selectedDentable, existingList);
-                dentableType = existingList.nodeName;
-            } else if (dentType === DentType.Outdent) {
-                if (subListItems.includes(selectedDentable)) {
-                    // Sublist are outdented by outdenting their parent. We track it because we
-                    // here because we need to know about it on undo. We will use the oldIndices
-                    // to figure out how to do that.
-                    dentedItem = selectedDentable;
-                } else {
-                    dentedItem = _listDentFunction(selectedDentable, existingList);
-                };
-                dentableType = existingList.nodeName;
-            };
-        } else {
-            dentedItem = _dentFunction(selectedDentable);
-            dentableType = selectedDentable.nodeName;
-        };
-        if (dentedItem) {
-            indices.push(_childNodeIndicesByParent(dentedItem, commonAncestor));
-            oldDentableTypes.push(dentableType);
-            oldIndices.push(originalIndices[i]);
-        };
-    };
-    _restoreRange(savedRange);
-    if (undoable) {
-        _backupSelection()
-        const undoerData = _undoerData('multi' + dentType, {commonAncestor: commonAncestor, indices: indices, oldDentableTypes: oldDentableTypes, oldIndices: oldIndices});
-        undoer.push(undoerData);
-        _restoreSelection()
-    };
-    _callbackInput();
+        return title + "[" + node.nodeName + "] " + node.outerHTML;
+    }
+}
+
+/**
+ * Return the "innerHTML" of a fragment, with an optional title at the front
+ */
+const _fragmentString = function(fragment, title="") {
+    if (!fragment) return title + "null"
+    let div = document.createElement('div');
+    div.appendChild(fragment.cloneNode(true));
+    return title + div.innerHTML;
 };
 
 /**
- * Undo or redo the previous multiDent operation.
- *
- * For undoIndent, dentType===DentType.Outdent
- * For redoIndent, dentType===DentType.Indent
- * For undoOutdent, dentType===DentType.Indent
- * For redoOutdent, dentType===DentType.Outdent
+ * Return a reasonably informative string describing the range, for debugging purposes
  *
- * If the oldDentableType is a list element, then we have to treat an indent as
- * a list creation, not blockquoting.
+ * @param {Object | HTML Range}     range   Something holding onto the startContainer, startOffset, endContainer, and endOffset
  */
-const _undoRedoMultiDent = function(dentType, undoerData) {
-    let _dentFunction, _listDentFunction;
-    if (dentType === DentType.Indent) {
-        _dentFunction = _indent;
-        _listDentFunction = _indentListItem;
-    } else if (dentType === DentType.Outdent) {
-        _dentFunction = _outdent;
-        _listDentFunction = _outdentListItem;
+const _rangeString = function(range, title="") {
+    if (!range) return title + "\n   null"
+    const startContainer = range.startContainer;
+    const endContainer = range.endContainer;
+    let startContainerType, startContainerContent, endContainerType, endContainerContent;
+    if (startContainer.nodeType === Node.TEXT_NODE) {
+        startContainerType = '<TextElement>'
+        startContainerContent = startContainer.textContent;
     } else {
-        MUError.UnrecognizedDentType.callback();
-        return;
+        startContainerType = '<' + startContainer.nodeName + '>';
+        startContainerContent = startContainer.innerHTML;
     };
-    _restoreUndoerRange(undoerData);
-    const savedRange = _rangeProxy();
-    const commonAncestor = undoerData.data.commonAncestor;
-    const indices = undoerData.data.indices;
-    const originalDentableTypes = undoerData.data.oldDentableTypes;
-    const originalIndices = undoerData.data.oldIndices;
-    // When originalContainerIndices is non-null, it identifies the index into
-    // originalIndices where we will find the array of childNodes that led to the
-    // container of the element that originalIndices pointed at.
-    // See the comments in _containerIndices.
-    const originalContainerIndices = _containerIndices(originalIndices);
-    const originalSiblingIndices = _siblingIndices(originalIndices);
-    const selectedDentables = [];
-    indices.forEach(index => {
-        selectedDentables.push(_childNodeIn(commonAncestor, index));
-    });
-    const newDentedItems = [];
-    const oldIndices = [];
-    const oldDentableTypes = [];
-    let currentList;
-    for (let i = 0; i < selectedDentables.length; i++) {
-        const selectedDentable = selectedDentables[i];
-        const dentableType = originalDentableTypes[i];
-        const index = originalIndices[i];
-        const nextExists = (i < selectedDentables.length - 1);
-        const nextDentable = nextExists && selectedDentables[i + 1];
-        const nextIndex = nextExists && originalIndices[i + 1];
-        const nextDentableType = nextExists && originalDentableTypes[i + 1];
-        const nextIsSubList = nextExists && (originalContainerIndices[i + 1] !== null);
-        const nextIsSibling = nextExists && (originalSiblingIndices[i + 1] !== null);
-        let dentedItem;
-        if (_isListItemElement(selectedDentable)) {
-            // The selectedDentable is a list item in a list, so dent it if we can.
-            // However, if it was previously part of a sublist, then instead of denting
-            // it, we need to put its parent list in the list item we find from
-            // originalContainerIndices.
-            const existingList = _findFirstParentElementInNodeNames(selectedDentable, ['UL', 'OL']);
-            const isSubList = originalContainerIndices[i] !== null;
-            if (dentType === DentType.Indent) {
-                if (isSubList) {
-                    const dentable = selectedDentables[originalContainerIndices[i]];
-                    const existingListItem = _findFirstParentElementInNodeNames(dentable, ['LI']);
-                    existingListItem.appendChild(existingList);
-                    dentedItem = selectedDentable;
-                } else {
-                    dentedItem = _listDentFunction(selectedDentable, existingList);
-                }
-            } else if (dentType === DentType.Outdent) {
-                if (isSubList) {
-                    // Sublist are outdented by outdenting their parent. We track it because we
-                    // here because we need to know about it on undo. We will use the oldIndices
-                    // to figure out how to do that.
-                    dentedItem = selectedDentable;
-                } else {
-                    dentedItem = _listDentFunction(selectedDentable, existingList);
-                };
-            };
-        } else if ((_listTags.includes(dentableType)) && (dentType === DentType.Indent)) {
-            // The selectedDentable needs to become a listItem in a list. Do we create a new
-            // list for it, or put it in an existing one?
-            // If currentList is null, we have to create it as a top-level list. Afterward, we
-            // determine if we should set currentList for the next dentable based on whether
-            // the next is a sublist, or just set it to null indicating we should create a
-            // new top-level list for the next element.
-            if (!currentList) {
-                currentList = document.createElement(dentableType);
-                selectedDentable.parentNode.insertBefore(currentList, selectedDentable.nextSibling);
-            };
-            dentedItem = document.createElement('LI');
-            currentList.appendChild(dentedItem);
-            dentedItem.appendChild(selectedDentable);
-            if (nextIsSubList) {
-                // The next listable is a list item in a sublist, so we need to find the list
-                // to put it into and make that the currentList.
-                const listItemIndex = nextIndex.slice(0, -1);    // Remove the last item
-                const listItem = _childNodeIn(commonAncestor, listItemIndex);
-                currentList = _findFirstParentElementInNodeNames(listItem, _listTags);
-            } else if (!nextIsSibling) { // Only reset currentList if the next is not a sibling
-                currentList = null;
+    if (endContainer.nodeType === Node.TEXT_NODE) {
+        endContainerType = '<TextElement>'
+        endContainerContent = endContainer.textContent;
+    } else {
+        endContainerType = '<' + endContainer.nodeName + '>';
+        endContainerContent = endContainer.innerHTML;
+    };
+    return title + '\n   startContainer: ' + startContainerType + ', content: \"' + startContainerContent + '\"\n   startOffset: ' + range.startOffset + '\n   endContainer: ' + endContainerType + ', content: \"' + endContainerContent + '\"\n   endOffset: ' + range.endOffset;
+};
+
+/********************************************************************************
+ * Clean up to avoid ugly HTML
+ */
+//MARK: Clean Up
+
+/**
+ * Due to the presence of "-webkit-text-size-adjust: 100%;" in css,
+ * WebKit may be inserting styling for elements many places, but particularly
+ * on deletion as it tries to maintain the proper appearance. However, even
+ * with that removed, we still end up with spans that try to enforce the
+ * previous "style" (for example, H1) font size. We also end up with styles
+ * imposed on format elements. All of these need to be removed, since we
+ * don't support arbitrary font size changes.
+ * Spans need to be removed and replaced with their innerHTML.
+ */
+MU.cleanUpHTML = function() {
+    _cleanUpSpans();
+    _cleanUpAttributes('style');
+};
+
+const _cleanUpTypesWithin = function(names, node) {
+    const ucNames = names.map((name) => name.toUpperCase());
+    const childNodes = node.childNodes;
+    for (let i=0; i < childNodes.length; i++) {
+        const child = childNodes[i];
+        if (ucNames.includes(child.nodeName)) {
+            node.removeChild(child);
+        } else if (child.childNodes.length > 0) {
+            _cleanUpTypesWithin(names, child);
+        };
+    };
+};
+
+/**
+ * Remove meta tags contained in node, typically a document fragment.
+ */
+const _cleanUpMetas = function(node) {
+    const childNodes = node.childNodes;
+    for (let i=0; i < childNodes.length; i++) {
+        const child = childNodes[i];
+        if (child.nodeName === 'META') {
+            node.removeChild(child);
+        } else {
+            _cleanUpMetas(child);
+        }
+    };
+};
+
+/*
+ * Put any direct childNodes of node that are in "standalone" BRs into paragraphs
+ */
+const _cleanUpBRs = function(node) {
+    const childNodes = node.childNodes;
+    let child = node.firstChild;
+    while (child) {
+        if (_isBRElement(child)) {
+            const nextChild = child.nextSibling;
+            const nextNextChild = (nextChild) ? nextChild.nextSibling : null;
+            if ((!nextChild) || (nextChild && (!_isTextNode(nextChild) && !_isBRElement(nextChild)))) {
+                // This BR is not part of a text string, it's just sitting alone
+                const p = document.createElement('p');
+                p.appendChild(document.createElement('br'));
+                child.replaceWith(p);
             };
+            child = nextNextChild;
         } else {
-            // The selectedListable is some styled element that we might be able to dent
-            dentedItem = _dentFunction(selectedDentable);
-        };
-        if (dentedItem) {
-            newDentedItems.push(dentedItem);    // Its location may change during the loop, so wait on indices
-            oldDentableTypes.push(dentableType);
-            oldIndices.push(index);
+            child = child.nextSibling;
         };
     };
-    const newIndices = [];
-    newDentedItems.forEach(dentedItem => {
-        newIndices.push(_childNodeIndicesByParent(dentedItem, commonAncestor))
-    });
-    // Put the range back in place. The startContainer and endContainer will have changed
-    // location in the DOM, but the savedRange will be valid.
-    _restoreRange(savedRange);
-    // Then update undoerData for the next undo or redo.
-    undoerData.data.indices = newIndices;
-    undoerData.data.oldDentableTypes = oldDentableTypes;
-    undoerData.data.oldIndices = oldIndices;
-    undoerData.range = document.getSelection().getRangeAt(0);
-    _callbackInput();
 };
 
 /**
- * Return whether the selection includes multiple list items or top-level styled elements,
- * all of which can be acted upon in _multiDent()
+ * Patch up text nodes that have newlines
  */
-const _selectionSpansDentables = function() {
-    const selectionDentables = _selectionDentables();
-    const startDentable = selectionDentables.startListItem ?? selectionDentables.startStyle;
-    const endDentable = selectionDentables.endListItem ?? selectionDentables.endStyle;
-    return startDentable && endDentable && (startDentable !== endDentable);
+const _cleanUpNewlines = function(node) {
+    const childNodes = node.childNodes;
+    let child = node.firstChild;
+    while (child) {
+        if (_isTextNode(child)) {
+            _patchNewlines(child);
+        } else {
+            _cleanUpNewlines(child);
+        };
+        child = child.nextSibling;
+    };
 };
 
 /**
- * Return the top-level paragraph style or list item the selection starts in and ends in.
- *
- * Note the difference with _selectedDentables, which returns the dentable elements within
- * the selection.
+ * Patch up text nodes that have tabs
  */
-const _selectionDentables = function() {
-    const selectionDentables = {};
-    const sel = document.getSelection();
-    if (!sel || (sel.rangeCount === 0)) { return selectionDentables };
-    const range = sel.getRangeAt(0);
-    const startContainer = range.startContainer;
-    const startList = _findFirstParentElementInNodeNames(startContainer, _listTags);
-    if (startList) {
-        selectionDentables.startListItem = _findFirstParentElementInNodeNames(startContainer, ['LI']);
-    } else {
-        selectionDentables.startStyle = _findFirstParentElementInNodeNames(startContainer, _paragraphStyleTags);
+const _cleanUpTabs = function(node) {
+    let child = node.firstChild;
+    while (child) {
+        let nextChild = child.nextSibling;
+        if (_isElementNode(child)) {
+            _cleanUpTabs(child);
+        } else if (_isTextNode(child)) {
+            const rawContent = child.textContent;
+            if (rawContent.includes('\t')) {
+                child.textContent = rawContent.replaceAll('\t', '\xA0\xA0\xA0\xA0'); // Four spaces for tabs, don't @ me
+            };
+        };
+        child = nextChild;
     };
-    const endContainer = range.endContainer;
-    const endList = _findFirstParentElementInNodeNames(endContainer, _listTags);
-    if (endList) {
-        selectionDentables.endListItem = _findFirstParentElementInNodeNames(endContainer, ['LI']);
-    } else {
-        selectionDentables.endStyle = _findFirstParentElementInNodeNames(endContainer, _paragraphStyleTags);
+};
+
+/*
+ * Replace PREs with Ps if they contain a text node; else,
+ * leave their contents in place without the PRE.
+ */
+const _cleanUpPREs = function(node) {
+    const childNodes = node.childNodes;
+    for (let i=0; i < childNodes.length; i++) {
+        let child = childNodes[i];
+        if (_isPreElement(child)) {
+            const p = document.createElement('p');
+            const template = document.createElement('template');
+            template.innerHTML = child.innerHTML;
+            const newElement = template.content;
+            p.appendChild(newElement);
+            child.replaceWith(p);
+        } else if (_isElementNode(child)) {
+            _cleanUpPREs(child);
+        }
     };
-    return selectionDentables;
 };
 
 /**
- * Return the elements within the selection that we can perform multiIndent and multiOutdent operations on.
+ * Replace all elements with names we don't recognize with ones we do.
  *
- * Note that the caller needs to determine whether the sublists need to be acted upon. For nested sublists,
- * we only want to "dent" the containing list. However, we want to track the sublists because on undo, we
- * need to re-insert them as sublists if outdenting removed the containing list.
+ * These are currently <strong> -> <b> and <em> -> <i>.
  */
-const _selectedDentables = function() {
-    if (!_selectionSpansDentables()) { return [] };
-    const selectionDentables = _selectionDentables();
-    const startDentable = selectionDentables.startListItem ?? selectionDentables.startStyle;
-    const endDentable = selectionDentables.endListItem ?? selectionDentables.endStyle;
-    const dentableRange = document.createRange();
-    dentableRange.setStart(startDentable, 0);
-    dentableRange.setEnd(endDentable, 0);
-    const listItems = _nodesWithNamesInRange(dentableRange, ['LI']);
-    const styles = _nodesWithNamesInRangeExcluding(dentableRange, _paragraphStyleTags, _listTags);
-    const commonAncestor = dentableRange.commonAncestorContainer;
-    return _joinElementArrays(listItems, styles, commonAncestor);
+const _cleanUpAliases = function(node) {
+    const _aliases = {'STRONG' : 'B', 'EM' : 'I'}
+    let childNodes = node.childNodes;
+    for (let i=0; i < childNodes.length; i++) {
+        _cleanUpAliases(childNodes[i]);
+    };
+    let alias = _aliases[node.nodeName];
+    if (alias) {
+        const aliasElement = document.createElement(alias);
+        const template = document.createElement('template');
+        template.innerHTML = node.innerHTML;
+        const newElement = template.content;
+        aliasElement.appendChild(newElement);
+        node.replaceWith(aliasElement);
+    };
 };
 
 /**
- * Add a new BLOCKQUOTE
- * This is a lot more like setting a style than a format, since it applies to the
- * selected element, not to the range of the selection.
- * However, it's important to note that while BLOCKQUOTEs can contain styled
- * elements, styled elements cannot contain BLOCKQUOTEs.
- *
- * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
- */
-const _increaseQuoteLevel = function(undoable=true) {
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    if (!sel || !selNode || !sel.rangeCount) { return null };
-    const selectionState = _getSelectionState();
-    // Capture the range settings for the selection
-    const range = sel.getRangeAt(0).cloneRange();
-    const oldStartContainer = range.startContainer;
-    const oldStartOffset = range.startOffset;
-    const oldEndContainer = range.endContainer;
-    const oldEndOffset = range.endOffset;
-    // We should be inside of style, but if we are inside of a BLOCKQUOTE
-    // then we want to increase the quote level from the style, not from the
-    // BLOCKQUOTE level. See if we can find a style tag before encountering the
-    // BLOCKQUOTE. For example:
-    // <BLOCKQUOTE>
-    //      <P>This is a paragraph</P>
-    //      <P>This is a <b>par|agraph</b> with a word bolded</P>
-    // </BLOCKQUOTE>
-    // If we select inside of the bolded paragraph at the "|" and add a
-    // <BLOCKQUOTE>, we want to end up with:
-    // <BLOCKQUOTE>
-    //      <P>This is a paragraph</P>
-    //      <BLOCKQUOTE>
-    //          <P>This is a <b>par|agraph</b> with a word bolded</P>
-    //      </BLOCKQUOTE>
-    // </BLOCKQUOTE>
-    // So...
-    // If selection is in a style, use that node as the parent to put in a
-    // BLOCKQUOTE. If not, then look for a BLOCKQUOTE and use that node
-    // as the parent to put in another BLOCKQUOTE.
-    // We should always be selecting inside of some styled element,
-    // but we don't know for sure.
-    const selStyle = selectionState['style'];
-    let selNodeParent;
-    if (selStyle) {
-        selNodeParent = _findFirstParentElementInNodeNames(selNode, [selStyle]);
-    } else {
-        const existingBlockQuote = _findFirstParentElementInNodeNames(selNode, ['BLOCKQUOTE']);
-        if (existingBlockQuote) {
-            selNodeParent = existingBlockQuote;
-        } else {
-            // Handle nested format tags
-            const outermostFormatElement = _outermostFormatElement(selNode);
-            if (outermostFormatElement) {
-                selNodeParent = outermostFormatElement;
-            } else {
-                selNodeParent = selNode.parentNode;
-            }
-        }
-    }
-    if (_indent(selNodeParent)) {
-        if (undoable) {
-            _backupSelection();
-            const undoerData = _undoerData('indent');
-            undoer.push(undoerData);
-            _restoreSelection();
-        }
-        _callbackInput();
-        return selNode;
+ * Standard webkit editing may leave messy and useless SPANs all over the place.
+ * This method just cleans them all up and notifies Swift that the content
+ * has changed. Start with the selection anchorNode's parent, so as to make
+ * sure to get all its siblings. If there is no anchorNode, fix the entire
+ * editor.
+ */
+const _cleanUpSpans = function() {
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    const startNode = (selNode) ? selNode.parentNode : MU.editor;
+    if (startNode) {
+        const styleParent = _findFirstParentElementInNodeNames(startNode, _styleTags)
+        if (styleParent) {
+            const spansRemoved = _cleanUpSpansWithin(styleParent);
+            if (spansRemoved > 0) {
+                _callbackInput();
+            };
+        };
     };
-    return null;
 };
 
 /**
- * Indent node by placing it in a BLOCKQUOTE, preserve selection.
+ * Do a depth-first traversal from node, removing spans starting at the leaf nodes.
  *
- * Return the node if it could be indented.
+ * @return {Int}    The number of spans removed
  */
-const _indent = function(node) {
-    if (!node.parentNode) { return null };
-    const oldRange = _rangeProxy();
-    const newParent = document.createElement('BLOCKQUOTE');
-    node.parentNode.insertBefore(newParent, node.nextSibling);
-    newParent.appendChild(node);
-    oldRange && _restoreRange(oldRange);
-    return node;
+const _cleanUpSpansWithin = function(node, spansRemoved) {
+    return _cleanUpSpansDivsWithin(node, 'SPAN', spansRemoved);
 };
 
 /**
- * Remove an existing BLOCKQUOTE if it exists
+ * Do a depth-first traversal from node, removing divs starting at the leaf nodes.
  *
- * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ * @return {Int}    The number of divs removed
  */
-const _decreaseQuoteLevel = function(node, undoable=true) {
-    if (_outdent(node)) {
-        if (undoable) {
-            _backupSelection();
-            const undoerData = _undoerData('outdent');
-            undoer.push(undoerData);
-            _restoreSelection();
-        }
-        _callbackInput();
-        return node;
+const _cleanUpDivsWithin = function(node, divsRemoved) {
+    return _cleanUpSpansDivsWithin(node, 'DIV', divsRemoved);
+}
+
+/**
+ * Do a depth-first traversal from node, removing divs/spans starting at the leaf nodes.
+ *
+ * @return {Int}    The number of divs/spans removed
+ */
+const _cleanUpSpansDivsWithin = function(node, type, removed) {
+    removed = removed ?? 0;
+    // Nested span/divs show up as children of a span/div.
+    const children = node.children;
+    let child = (children.length > 0) ? children[0] : null;
+    while (child) {
+        let nextChild = child.nextElementSibling;
+        removed = _cleanUpSpansDivsWithin(child, type, removed);
+        child = nextChild;
     };
-    return null;
+    if (node.nodeName === type) {
+        removed++;
+        if (node.childNodes.length > 0) {   // Use childNodes because we need text nodes
+            const template = document.createElement('template');
+            template.innerHTML = node.innerHTML;
+            const newElement = template.content;
+            node.replaceWith(newElement);
+        } else {
+            node.parentNode.removeChild(node);
+        };
+    };
+    return removed;
 };
 
-const _decreaseQuoteLevelAtSelection = function(undoable=true) {
+/**
+ * Do a depth-first traversal from selection, removing attributes
+ * from the anchorNode and its siblings. If there is no anchorNode,
+ * fix the entire editor.
+ * If any attributes were removed, then notify Swift of a content change
+ */
+const _cleanUpAttributes = function(attribute) {
     const sel = document.getSelection();
     const selNode = (sel) ? sel.anchorNode : null;
-    if (!sel || !selNode || !sel.rangeCount) { return null };
-    return _decreaseQuoteLevel(selNode, undoable);
+    let startNode;
+    if (selNode === MU.editor) {
+        startNode = MU.editor;
+    } else {
+        startNode = (selNode) ? selNode.parentNode : MU.editor;
+    };
+    if (startNode) {
+        const attributesRemoved = _cleanUpAttributesWithin(attribute, startNode);
+        if (attributesRemoved > 0) {
+            _callbackInput();
+        } else if ((startNode === MU.editor) && (startNode.childNodes.length === 0)) {
+            _initializeRange();
+            _callbackInput();
+        };
+    };
 };
 
 /**
- * Outdent node that is already in a BLOCKQUOTE, preserve selection.
+ * Do a depth-first traversal from node, removing attributes starting at the leaf nodes.
  *
- * Return the node if it could be outdented.
+ * @return {Int}    The number of attributes removed
  */
-const _outdent = function(node) {
-    const existingElement = _findFirstParentElementInNodeNames(node, ['BLOCKQUOTE']);
-    if (!existingElement) { return null };
-    const oldRange = _rangeProxy();
-    const nodeRange = document.createRange();
-    nodeRange.selectNode(existingElement);
-    _unsetTagInRange(existingElement, nodeRange);
-    oldRange && _restoreRange(oldRange);
-    return node;
-}
+const _cleanUpAttributesWithin = function(attribute, node) {
+    let attributesRemoved = 0;
+    const children = node.children;
+    if (children.length > 0) {
+        for (let i=0; i<children.length; i++) {
+            attributesRemoved += _cleanUpAttributesWithin(attribute, children[i]);
+        };
+    };
+    if ((node.nodeType === Node.ELEMENT_NODE) && (node.hasAttribute(attribute))) {
+        // Table cells keep the classes that align and shade them, and checklists keep theirs
+        const keptClasses = (attribute === 'class') ? _keptClasses(node) : [];
+        if ((keptClasses.length === 0) || (keptClasses.length < node.classList.length)) {
+            attributesRemoved++;
+            node.removeAttribute(attribute);
+            keptClasses.forEach(className => node.classList.add(className));
+        };
+    };
+    return attributesRemoved;
+};
 
 /**
- * Handle the Enter key in Blockquotes so we always split them.
- * Caller has to ensure we are in a blockquote.
+ * Return the classes of node that the MarkupEditor itself sets, which clean up leaves in place.
  *
- * @returns {HTML Element || null}    The new trailing node in the new blockquote to preventDefault handling; else, null.
+ * Children are cleaned up before their parents, so a checklist item's list still has its
+ * 'checklist' class when we get here.
+ *
+ * @param {HTML Element}    node    The element whose class attribute is being cleaned up.
+ * @return {[String]}               The class names to keep.
  */
-const _doBlockquoteEnter = function(undoable=true) {
-    let sel = document.getSelection();
-    let selNode = (sel) ? sel.anchorNode : null;
-    if (!selNode || !sel.isCollapsed) { return null };
-    const range = sel.getRangeAt(0);
-    let leadingNode = range.startContainer;
-    let offset = range.startOffset;
-    let trailingNode;
-    // Neither splitTextNode nor splitElement make the resulting leadingNode and trailingNode
-    // selectable if they end up being either an empty text node or an empty element (like <p></p>).
-    // We have to patch them up here. For history, I used to do this within the split* methods,
-    // but it ends up overloading functionality in a way that prevents re-use when these methods
-    // are so convenient for just splitting things.
-    if (_isTextNode(leadingNode)) {
-        trailingNode = _splitTextNode(leadingNode, offset, 'BLOCKQUOTE', 'AFTER');
-        // We might have split leadingNode at the beginning or end, leaving one or the
-        // other empty. If there are other nodes in the empty end's parent, then we just
-        // want to delete the empty text node and reassign it to a sibling. If there are
-        // no other nodes in the empty end's parent, then we want to put in a BR.
-        if (_isEmpty(leadingNode)) {
-            if (leadingNode === leadingNode.parentNode.firstChild) {
-                const br = document.createElement('br');
-                leadingNode.parentNode.appendChild(br);
-                leadingNode.parentNode.removeChild(leadingNode);
-                leadingNode = br;
-            } else {
-                leadingNode.parentNode.removeChild(leadingNode);
-                leadingNode = trailingNode;
-            };
-        } else if (_isEmpty(trailingNode)) {
-            if (trailingNode === trailingNode.parentNode.lastChild) {
-                const br = document.createElement('br');
-                trailingNode.parentNode.appendChild(br);
-                trailingNode.parentNode.removeChild(trailingNode);
-                trailingNode = br;
-            } else {
-                const newTrailingNode = trailingNode.nextSibling;
-                trailingNode.parentNode.removeChild(trailingNode);
-                trailingNode = newTrailingNode;
-            };
-            // When we ended up with an empty trailingNode, we always want
-            // the selection to end up in its parentNode. IOW, the selection
-            // at always moves to the new element we split off, whether it
-            // was empty or not.
-            range.setStart(trailingNode.parentNode, 0);
-            range.setEnd(trailingNode.parentNode, 0);
-            sel.removeAllRanges();
-            sel.addRange(range);
-        };
+const _keptClasses = function(node) {
+    if (_listableType(node) === 'CHECKLIST') {
+        return ['checklist'];
+    } else if (_isChecklistItem(node) && node.classList.contains('checked')) {
+        return ['checked'];
     } else {
-        if (_isEmpty(leadingNode)) {
-            const innerBlockquote = _isBlockquoteElement(leadingNode.parentNode) && leadingNode.parentNode;
-            const isOuterBlockquote = innerBlockquote && _isBlockquoteElement(innerBlockquote.parentNode);
-            if (!isOuterBlockquote && innerBlockquote && (innerBlockquote.lastChild === leadingNode)) {
-                // We hit return in an empty element at the end of an unnested blockquote.
-                // By returning here, we let decreaseQuoteLevel deal with undo/redo
-                // Note this will also leave the style of leadingNode in place. This
-                // seems like the right thing, altho return from H1-H6 produces P
-                // normally.
-                return _decreaseQuoteLevel(leadingNode, undoable);
-            };
-        };
-        trailingNode = _splitElement(leadingNode, offset, 'BLOCKQUOTE', 'AFTER');
-        const br = document.createElement('br');
-        if (_isElementNode(leadingNode) && !_isVoidNode(leadingNode) && _isEmpty(leadingNode)) {
-            // leadingNode is an empty element
-            leadingNode.appendChild(br);
-            leadingNode = br;
-        } else if (_isElementNode(trailingNode) && !_isVoidNode(trailingNode) && _isEmpty(trailingNode)) {
-            // trailingNode is an empty element
-            trailingNode.appendChild(br);
-            trailingNode = br;
-            // and we need to reset the selection into it
-            range.setStart(trailingNode.parentNode, 0);
-            range.setEnd(trailingNode.parentNode, 0);
-            sel.removeAllRanges();
-            sel.addRange(range);
-        } else if (_isTextNode(leadingNode) && _isEmpty(leadingNode.parentNode)) {
-            // leadingNode is "" in an otherwise empty parentNode
-            leadingNode.parentNode.appendChild(br);
-            leadingNode.parentNode.removeChild(leadingNode);
-            leadingNode = br;
-        } else if (_isTextNode(trailingNode) && _isEmpty(trailingNode.parentNode)) {
-            // trailingNode is "" in an otherwise empty parentNode
-            trailingNode.parentNode.appendChild(br);
-            trailingNode.parentNode.removeChild(trailingNode);
-            trailingNode = br;
-            // and we need to reset the selection into it
-            range.setStart(trailingNode.parentNode, 0);
-            range.setEnd(trailingNode.parentNode, 0);
-            sel.removeAllRanges();
-            sel.addRange(range);
+        return _cellClasses(node);
+    };
+};
+
+/*
+ * Do a depth-first traversal from node, removing all empty text nodes at the leaf nodes.
+ */
+const _cleanUpEmptyTextNodes = function(node) {
+    let child = node.firstChild;
+    while (child) {
+        let nextChild = child.nextSibling;
+        if (_isElementNode(child)) {
+            _cleanUpEmptyTextNodes(child);
+        } else if (_isTextNode(child) && _isEmpty(child)) {
+            child.parentNode.removeChild(child);
         };
+        child = nextChild;
     };
-    if (undoable) {
-        _backupSelection();
-        const commonAncestor = MU.editor;
-        const leadingIndices = _childNodeIndicesByParent(leadingNode, commonAncestor);
-        const trailingIndices = _childNodeIndicesByParent(trailingNode, commonAncestor);
-        // Note we track offset-1 because in splitElement, we split off the node at offset.
-        // The offset is used to find the leadingNode for undo when it is inside of an element.
-        const undoerData = _undoerData('blockquoteEnter', {leadingIndices: leadingIndices, trailingIndices: trailingIndices, commonAncestor: commonAncestor, offset: offset - 1});
-        undoer.push(undoerData);
-        _restoreSelection();
+};
+
+/*
+ * Traverse all immediate childnodes of node. If they are not part of _topLevelNodes,
+ * then put the childNode in a <p> element and call it a day. During paste, we sometimes
+ * receive <a> and text nodes that are not properly styled (by the MarkupEditor definition),
+ * so we will put them in a "normal" paragraph so we don't lose them.
+ */
+const _cleanUpOrphanNodes = function(node) {
+    const children = node.childNodes;
+    let child = children.isEmpty ? null : children[0];
+    while (child) {
+        let nextSib = child.nextSibling;
+        if (!_topLevelTags.includes(child.nodeName)) {
+            // Create a new <p> and put this non-top-level node in it
+            const newChild = document.createElement('p');
+            node.insertBefore(newChild, nextSib);
+            newChild.appendChild(child);
+            // Keep putting children in the same p until we hit a top-level tag
+            while (nextSib && !_topLevelTags.includes(nextSib.nodeName)) {
+                let nextNextSib = nextSib.nextSibling;
+                newChild.appendChild(nextSib);
+                nextSib = nextNextSib;
+            };
+        }
+        child = nextSib;
     };
-    _callbackInput();
-    return trailingNode;
 };
 
-const _undoBlockquoteEnter = function(undoerData) {
-    _restoreUndoerRange(undoerData);
-    const leadingIndices = undoerData.data.leadingIndices;
-    const trailingIndices = undoerData.data.trailingIndices;
-    const commonAncestor = undoerData.data.commonAncestor;
-    const offset = undoerData.data.offset;
-    let leadingNode = _childNodeIn(commonAncestor, leadingIndices);
-    let trailingNode = _childNodeIn(commonAncestor, trailingIndices);
-    // Because we replace any empty text node with one containing BR so it is
-    // selectable, we have to undo that on undo.
-    if (_isBRElement(leadingNode)) {
-        const emptyTextNode = document.createTextNode('');
-        leadingNode.replaceWith(emptyTextNode);
-        leadingNode = emptyTextNode;
-    } else if (_isElementNode(leadingNode) && !_isVoidNode(leadingNode)) {
-        leadingNode = leadingNode.childNodes[offset];
+const _prepImages = function(node) {
+    const images = node.querySelectorAll('img');
+    for (let i = 0; i < images.length; i++) {
+        const image = images[i];
+        image.addEventListener('load', function() {_prepImage(image)});
+        image.addEventListener('error', function() {_prepImage(image)});
     };
-    if (_isBRElement(trailingNode)) {
-        const emptyTextNode = document.createTextNode('');
-        trailingNode.replaceWith(emptyTextNode);
-        trailingNode = emptyTextNode;
-    } else if (_isElementNode(trailingNode) && !_isVoidNode(trailingNode)) {
-        trailingNode = trailingNode.childNodes[0];
+};
+
+/**
+ * Replace newlines with <br> in a text node; return trailingText if patched, else node
+ */
+const _patchNewlines = function(node) {
+    if (node.nodeType !== Node.TEXT_NODE) {
+        return node;
     };
-    if (_isTextNode(leadingNode) && _isTextNode(trailingNode)) {
-        _joinTextNodes(leadingNode, trailingNode, 'BLOCKQUOTE');
-        // Here we have to undo the case when Enter at the end of a blockquote
-        // produced a new empty blockquote containing just an empty element with
-        // a br in it.
-        if (_isTextNode(leadingNode) && _isEmpty(leadingNode)) {
-            const br = document.createElement('br');
-            const emptyParent = leadingNode.parentNode;
-            emptyParent.appendChild(br);
-            emptyParent.removeChild(leadingNode);
-            const sel = document.getSelection();
-            const range = document.createRange();
-            range.setStart(emptyParent, 0);
-            range.setEnd(emptyParent, 0);
-            sel.removeAllRanges();
-            sel.addRange(range);
+    const rawContent = node.textContent;
+    // Ref: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split
+    // If separator appears at the beginning (or end) of the string, it still
+    // has the effect of splitting, resulting in an empty (i.e. zero length) string
+    // appearing at the first (or last) position of the returned array.
+    const lines = rawContent.split('\n');
+    if (lines.length === 1) { return node };
+    const insertTarget = node.nextSibling;
+    let line, nextLine, p, textNode;
+    for (let i = 0; i < lines.length; i++) {
+        line = lines[i];
+        nextLine = (i < lines.length - 1) ? lines[i + 1]  : null;
+        if (((i === 0) || (i === lines.length - 1)) && (line.length === 0)) {
+            // If we have a newline at beginning or end but are in a formatTag, then
+            // do nothing; otherwise, insert an editable <p><br></p> line.
+            if (!_formatTags.includes(node.parentNode.nodeName)) {
+                p = document.createElement('p');
+                textNode = document.createElement('br');
+                p.appendChild(textNode);
+                node.parentNode.insertBefore(p, insertTarget);
+            };
+        } else {
+            textNode = document.createTextNode(_patchWhiteSpace(line, 'LEADING'));
+            node.parentNode.insertBefore(textNode, insertTarget);
+            if ((i < lines.length - 1) && (nextLine && (nextLine.length > 0))) {
+                node.parentNode.insertBefore(document.createElement('br'), insertTarget);
+            };
         };
-    } else {
-        _joinElements(leadingNode, trailingNode, 'BLOCKQUOTE');
     };
-    _backupUndoerRange(undoerData);
-    _callbackInput();
-};
-
-const _redoBlockquoteEnter = function(undoerData) {
-    _restoreUndoerRange(undoerData);
-    _doBlockquoteEnter(false);
-    _backupUndoerRange(undoerData);
+    node.parentNode.removeChild(node);
+    return textNode;
 };
 
 /********************************************************************************
- * Range operations
+ * Explicit handling of multi-click
+ * TODO: Remove?
  */
-//MARK: Range Operations
-
-const _reselect = function(sel, range) {
-    sel.removeAllRanges();
-    sel.addRange(range);
-    _backupSelection();
-}
+//MARK: Explicit Handling of Multi-click
 
 /**
- * Return an object containing the startContainer, startOffset, endContainer, and endOffset at selection
- * A HTML Range obtained from selection.getRangeAt(0).cloneRange() can end up being changed
- * as focus changes, etc. So, to avoid the problem, return a range-like object with properties
- * for the startContainer, startOffset, endContainer, and endOffset.
+ * We received a double or triple click event.
+ * When switching between multiple MarkupWKWebViews, the double and triple click does
+ * not highlight immediately. So, this method highlights and sets the selection properly
+ * if needed. We can get double and triple clicks events when the selection is already
+ * set properly, in which case we do nothing.
  *
- * @return {Object | null}     Return the object or null if selection is non-existent
+ * @param {Int}     nClicks     The number of clicks in the 'click' event that got us here
  */
-const _rangeProxy = function() {
-    const selection = document.getSelection();
-    if (selection && (selection.rangeCount > 0)) {
-        const range = selection.getRangeAt(0).cloneRange();
-        return {
-            'startContainer': range.startContainer,
-            'startOffset': range.startOffset,
-            'endContainer': range.endContainer,
-            'endOffset': range.endOffset
-        };
-    } else {
-        return null;
+const _multiClickSelect = function(nClicks) {
+    const sel = document.getSelection();
+    const selNode = (sel) ? sel.anchorNode : null;
+    if (selNode) {
+        if (nClicks === 3) {
+            _tripleClickSelect(sel);
+        } else if (nClicks === 2) {
+            // For posterity, I tried just (re)dispatching a new click event,
+            // but it does not do anything for the selection.
+            _doubleClickSelect(sel, selNode);
+        }
     };
 };
 
 /**
- * Restore the selection to the range held in rangeProxy
+ * Select the word in the selNode
  *
- * @param {Object}  rangeProxy      The HTML Range-like object that was populated using _rangeProxy()
+ * @param {HTML Selection}  sel         The current selection
+ * @param {HTML Node}       selNode     The node at the selection
  */
-const _restoreRange = function(rangeProxy) {
-    if (rangeProxy && (rangeProxy.startContainer)) {
-        const selection = document.getSelection();
-        const range = document.createRange();
-        range.setStart(rangeProxy.startContainer, rangeProxy.startOffset);
-        range.setEnd(rangeProxy.endContainer, rangeProxy.endOffset);
-        selection.removeAllRanges();
-        selection.addRange(range);
+const _doubleClickSelect = function(sel, selNode) {
+    const range = sel.getRangeAt(0).cloneRange();
+    let startOffset = range.startOffset;
+    let endOffset = range.endOffset;
+    const selNodeText = selNode.textContent;
+    while ((startOffset > 0) && !_isWhiteSpace(selNodeText[startOffset - 1])) {
+        startOffset -= 1;
+    }
+    while ((endOffset < selNodeText.length) && !_isWhiteSpace(selNodeText[endOffset]))  {
+        endOffset += 1;
+    }
+    const wordRange = document.createRange();
+    wordRange.setStart(range.startContainer, startOffset);
+    wordRange.setEnd(range.endContainer, endOffset);
+    sel.removeAllRanges();
+    sel.addRange(wordRange);
+};
+
+/**
+ * Find the node that should be selected in full, and then select it
+ *
+ * @param {HTML Selection}  sel         The current selection
+ */
+const _tripleClickSelect = function(sel) {
+    const nodeToSelect = _firstSelectionNodeMatching(_styleTags);
+    if (nodeToSelect) {
+        const elementRange = document.createRange();
+        if (nodeToSelect.firstChild.nodeType === Node.TEXT_NODE) {
+            elementRange.setStart(nodeToSelect.firstChild, 0);
+        } else {
+            elementRange.setStart(nodeToSelect, 0);
+        }
+        if (nodeToSelect.lastChild.nodeType === Node.TEXT_NODE) {
+            elementRange.setEnd(nodeToSelect.lastChild, nodeToSelect.lastChild.textContent.length);
+        } else {
+            elementRange.setEnd(nodeToSelect, nodeToSelect.childNodes.length - 1);
+        }
+        sel.removeAllRanges();
+        sel.addRange(elementRange);
+    }
+};
+
+/**
+ * Placeholder
+ */
+
+MU.setPlaceholder = function(text) {
+    MU.editor.setAttribute('placeholder', text);
+};
+
+const _updatePlaceholder = function() {
+    // Do nothing if we don't have a placeholder
+    if (!MU.editor.getAttribute('placeholder')) { return };
+    // Else, add/remove the placeholder class as identified in css
+    if (_isEmptyEditor()) {
+        MU.editor.classList.add('placeholder');
     } else {
-        MUError.RestoreNullRange.callback();
+        MU.editor.classList.remove('placeholder');
     };
 };
 
+/********************************************************************************
+ * Selection
+ */
+//MARK: Selection
+
 /**
- * Called before beginning a modal popover on the Swift side, to enable the selection
- * to be restored by endModalInput
+ * Define various arrays of tags used to represent concepts on the Swift side and internally.
+ *
+ * For example, "Paragraph Style" is a MarkupEditor concept that doesn't map directly to HTML or CSS.
  */
-MU.startModalInput = function() {
-    _backupSelection();
-}
+const _paragraphStyleTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];                  // All paragraph styles
+
+const _headingTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];                              // Paragraph styles that head sections
+
+const _formatTags = ['B', 'I', 'U', 'DEL', 'SUB', 'SUP', 'CODE'];                       // All possible (nestable) formats
+
+const _listTags = ['UL', 'OL'];                                                         // Types of lists
+
+const _tableTags = ['TABLE', 'THEAD', 'TBODY', 'TD', 'TR', 'TH'];                       // All tags associated with tables
+
+const _styleTags = _paragraphStyleTags.concat(_listTags.concat(['LI', 'BLOCKQUOTE']));  // Identify insert-before point in table/list
+
+const _listStyleTags = _paragraphStyleTags.concat(['BLOCKQUOTE']);                      // Possible containing blocks in a list
+
+const _minimalStyleTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE'];           // Convert to 'P' for MU.pasteText
 
-/**
- * Called typically after cancelling a modal popover on the Swift side, since
- * normally the result of using the popover is to modify the DOM and reset the
- * selection.
- */
-MU.endModalInput = function() {
-    _restoreSelection();
-}
+const _monitorEnterTags = _listTags.concat(['TABLE', 'BLOCKQUOTE']);                    // Tags we monitor for Enter
+
+const _monitorIndentTags = _listTags.concat(['BLOCKQUOTE']);                            // Tags we monitor for Tab or Ctrl+]
+
+const _topLevelTags = _paragraphStyleTags.concat(_listTags.concat(['TABLE', 'BLOCKQUOTE']));    // Allowed top-level tags w/in editor
+
+const _voidTags = ['BR', 'IMG', 'AREA', 'COL', 'EMBED', 'HR', 'INPUT', 'LINK', 'META', 'PARAM'] // Tags that are self-closing
 
 /**
- * Backup the range of the current selection into MU.currentSelection
+ * Populate a dictionary of properties about the current selection
+ * and return it in a JSON form. This is the primary means that the
+ * Swift side finds out what the selection is in the document, so we
+ * can tell if the selection is in a bolded word or a list or a table, etc.
+ *
+ * @return {String}      The stringified dictionary of selectionState.
  */
-const _backupSelection = function() {
-    const rangeProxy = _rangeProxy();
-    MU.currentSelection = rangeProxy;
-    MU.currentDivID = _selectedID;
-    if (!rangeProxy) {
-        const error = MUError.BackupNullRange;
-        error.setInfo('activeElement.id: ' + document.activeElement.id + ', getSelection().rangeCount: ' + document.getSelection().rangeCount);
-        error.callback();
-        _callback('selectionChange');
-    };
+MU.getSelectionState = function() {
+    const state = _getSelectionState();
+    return JSON.stringify(state);
 };
 
 /**
- * Restore the selection to the range held in MU.currentSelection
+ * Populate a dictionary of properties about the current selection and return it.
+ *
+ * @return {String: String}     The dictionary of properties describing the selection
  */
-const _restoreSelection = function() {
-    _selectedID = MU.currentDivID;
-    _restoreRange(MU.currentSelection);
-};
-
-const _textString = function(node, title="") {
-    if (!node) return title + "null"
-    if (node.nodeType === Node.TEXT_NODE) {
-        return title + "[" + node.nodeName + "] \"" + node.textContent + "\""
+const _getSelectionState = function() {
+    const state = {};
+    const selection = document.getSelection();
+    if (!selection || (selection.rangeCount == 0)) {
+        state['valid'] = false;
+        return state;
+    }
+    // When we have multiple contentEditable elements within editor, we need to
+    // make sure we selected something that isContentEditable. If we didn't
+    // then just return state, which will be invalid but have the enclosing div ID.
+    // Note: _callbackInput() uses a cached value of the *contentEditable* div ID
+    // because it is called at every keystroke and change, whereas here we take
+    // the time to find the enclosing div ID from the selection so we are sure it
+    // absolutely reflects the selection state at the time of the call regardless
+    // of whether it is contentEditable or not.
+    let divID = _findContentEditableID(selection.focusNode);
+    if (divID) {
+        state['divid'] = divID;
+        state['valid'] = true;
     } else {
-        return title + "[" + node.nodeName + "] " + node.outerHTML;
+        divID = _findDivID(selection.focusNode);
+        state['divid'] = divID;
+        state['valid'] = false;
+        return state;
+    };
+    // Selected text
+    state['selection'] = _getSelectionText();
+    // The selrect tells us where the selection can be found
+    const selrect = _selrect();
+    const selrectDict = {
+        'x' : selrect.left,
+        'y' : selrect.top,
+        'width' : selrect.width,
+        'height' : selrect.height
+    };
+    state['selrect'] = selrectDict;
+    // Link
+    const linkAttributes = _getLinkAttributesAtSelection();
+    state['href'] = linkAttributes['href'];
+    state['link'] = linkAttributes['link'];
+    // Image
+    const imageAttributes = _getImageAttributes();
+    state['src'] = imageAttributes['src'];
+    state['alt'] = imageAttributes['alt'];
+    state['width'] = imageAttributes['width'];
+    state['height'] = imageAttributes['height'];
+    state['scale'] = imageAttributes['scale'];
+    // Table
+    const tableAttributes = _getTableAttributesAtSelection();
+    state['table'] = tableAttributes['table'];
+    state['thead'] = tableAttributes['thead'];
+    state['tbody'] = tableAttributes['tbody'];
+    state['header'] = tableAttributes['header'];
+    state['colspan'] = tableAttributes['colspan'];
+    state['caption'] = tableAttributes['caption'];
+    state['headerColumn'] = tableAttributes['headerColumn'];
+    state['rows'] = tableAttributes['rows'];
+    state['cols'] = tableAttributes['cols'];
+    state['row'] = tableAttributes['row'];
+    state['col'] = tableAttributes['col'];
+    state['border'] = tableAttributes['border']
+    state['align'] = tableAttributes['align'];
+    state['valign'] = tableAttributes['valign'];
+    state['shade'] = tableAttributes['shade'];
+    state['cellSelection'] = tableAttributes['cellSelection'];
+    state['startRow'] = tableAttributes['startRow'];
+    state['startCol'] = tableAttributes['startCol'];
+    state['endRow'] = tableAttributes['endRow'];
+    state['endCol'] = tableAttributes['endCol'];
+    // Style
+    state['style'] = _getParagraphStyle();
+    state['list'] = _selectionListType();
+    if (state['list']) {
+        // If we are in a list, then we might or might not be in a list item
+        state['li'] = _firstSelectionTagMatching(['LI']).length > 0;
+    } else {
+        // But if we're not in a list, we deny we are in a list item
+        state['li'] = false;
     }
-}
-
-/**
- * Return the "innerHTML" of a fragment, with an optional title at the front
- */
-const _fragmentString = function(fragment, title="") {
-    if (!fragment) return title + "null"
-    let div = document.createElement('div');
-    div.appendChild(fragment.cloneNode(true));
-    return title + div.innerHTML;
+    state['checked'] = _selectionChecked();
+    state['quote'] = _firstSelectionTagMatching(['BLOCKQUOTE']).length > 0;
+    // Format
+    const formatTags = _getFormatTags();
+    state['bold'] = formatTags.includes('B');
+    state['italic'] = formatTags.includes('I');
+    state['underline'] = formatTags.includes('U');
+    state['strike'] = formatTags.includes('DEL');
+    state['sub'] = formatTags.includes('SUB');
+    state['sup'] = formatTags.includes('SUP');
+    state['code'] = formatTags.includes('CODE');
+    // DEBUGGING
+    //const focusNode = document.getSelection().focusNode;
+    //if (focusNode) {
+    //    state['focusNodeType'] = focusNode.nodeType;
+    //}
+    //const focusOffset = document.getSelection().focusOffset;
+    //if (focusOffset) {
+    //    state['focusOffset'] = focusOffset;
+    //}
+    return state;
 };
 
 /**
- * Return a reasonably informative string describing the range, for debugging purposes
+ * Return the boundingClientRect for the selection, handling the resizableImage case.
  *
- * @param {Object | HTML Range}     range   Something holding onto the startContainer, startOffset, endContainer, and endOffset
+ * If the selection is a "zero" rectangle (e.g., for a <p><br></p>), return the selection's
+ * focusNode boundingClientRect.
  */
-const _rangeString = function(range, title="") {
-    if (!range) return title + "\n   null"
-    const startContainer = range.startContainer;
-    const endContainer = range.endContainer;
-    let startContainerType, startContainerContent, endContainerType, endContainerContent;
-    if (startContainer.nodeType === Node.TEXT_NODE) {
-        startContainerType = '<TextElement>'
-        startContainerContent = startContainer.textContent;
-    } else {
-        startContainerType = '<' + startContainer.nodeName + '>';
-        startContainerContent = startContainer.innerHTML;
-    };
-    if (endContainer.nodeType === Node.TEXT_NODE) {
-        endContainerType = '<TextElement>'
-        endContainerContent = endContainer.textContent;
+const _selrect = function() {
+    if (resizableImage.isSelected) {
+        return resizableImage.imageElement.getBoundingClientRect();
     } else {
-        endContainerType = '<' + endContainer.nodeName + '>';
-        endContainerContent = endContainer.innerHTML;
+        const sel = document.getSelection();
+        const rect = sel.getRangeAt(0).getBoundingClientRect();
+        if ((rect.x == 0) && (rect.y == 0) && (rect.width == 0) && (rect.height == 0)) {
+            return sel.focusNode.getBoundingClientRect();
+        } else {
+            return rect;
+        };
     };
-    return title + '\n   startContainer: ' + startContainerType + ', content: \"' + startContainerContent + '\"\n   startOffset: ' + range.startOffset + '\n   endContainer: ' + endContainerType + ', content: \"' + endContainerContent + '\"\n   endOffset: ' + range.endOffset;
 };
 
-/********************************************************************************
- * Clean up to avoid ugly HTML
+/**
+ * Return the paragraph style at the selection.
+ *
+ * @return {String}         Tag name that represents the selected paragraph style on the Swift side.
  */
-//MARK: Clean Up
+const _getParagraphStyle = function() {
+    if (_selectionSpansStyles()) {
+        const selectedStyleElements = _selectedStyles();
+        const selectedStyles = selectedStyleElements.map(element => element.nodeName);
+        if (selectedStyles.every(style => style === selectedStyles[0])) {
+            return selectedStyles[0];
+        } else {
+            return 'Multiple';
+        }
+    } else {
+        return _firstSelectionTagMatching(_paragraphStyleTags);
+    }
+};
 
 /**
- * Due to the presence of "-webkit-text-size-adjust: 100%;" in css,
- * WebKit may be inserting styling for elements many places, but particularly
- * on deletion as it tries to maintain the proper appearance. However, even
- * with that removed, we still end up with spans that try to enforce the
- * previous "style" (for example, H1) font size. We also end up with styles
- * imposed on format elements. All of these need to be removed, since we
- * don't support arbitrary font size changes.
- * Spans need to be removed and replaced with their innerHTML.
+ * Return an array of format tags at the selection. For example, the selection could
+ * be in the word "Hello" in <B><I><U>Hello</U></I></B>, returning ['U', 'I', 'B'],
+ * from innermost to outermost tag.
+ *
+ * For multiformatting, return formatTags such that the only the formats identified
+ * are ones that are in-place for every selected text node. This provides an indication
+ * that "unsetAll" will take place for the selection for that tag. For example, if every
+ * text node is bolded, then when the user selects bold, they will all be unbolded.
+ * Conversely, if some text nodes are unformatted, say, in bold, and some are, then
+ * formatTags will not include bold. This provides an indication that all text will be
+ * bolded if the user selects bold.
+ *
+ * @return {[String]}       Tag names that represent the selection formatting on the Swift side.
  */
-MU.cleanUpHTML = function() {
-    _cleanUpSpans();
-    _cleanUpAttributes('style');
+const _getFormatTags = function() {
+    if (_selectionSpansTextNodes()) {
+        const selectedTextNodes = _selectedTextNodes();
+        const formatTagArrays = selectedTextNodes.map(textNode => _tagsMatching(textNode, _formatTags));
+        const formatTags = [];
+        _formatTags.forEach(tag => {
+            let allHaveTag = true;
+            for (let i = 0; i < formatTagArrays.length; i++) {
+                if (!formatTagArrays[i].includes(tag)) {
+                    allHaveTag = false;
+                    break;
+                };
+            };
+            if (allHaveTag) { formatTags.push(tag) };
+        });
+        return formatTags;
+    } else {
+        return _selectionTagsMatching(_formatTags);
+    }
 };
 
-const _cleanUpTypesWithin = function(names, node) {
-    const ucNames = names.map((name) => name.toUpperCase());
-    const childNodes = node.childNodes;
-    for (let i=0; i < childNodes.length; i++) {
-        const child = childNodes[i];
-        if (ucNames.includes(child.nodeName)) {
-            node.removeChild(child);
-        } else if (child.childNodes.length > 0) {
-            _cleanUpTypesWithin(names, child);
-        };
+/**
+ * Return the outermost element at the selection that corresponds to a format tag.
+ * For example, the selection could be in the word "Hello" in <B><I><U>Hello</U></I></B>,
+ * and the outermostFormatElement would be the HTMLBoldElement in <B><I><U>Hello</U></I></B>.
+ *
+ * @return {HTMLElement || null}    The ancestor HTML Element that is outermost from the selection or null if none.
+ */
+const _outermostFormatElement = function(selNode) {
+    const formatTags = _tagsMatching(selNode, _formatTags);
+    if (formatTags.length > 0) {
+        return _findFirstParentElementInNodeNames(selNode, [formatTags[formatTags.length - 1]]);
+    } else {
+        return null;
     };
 };
 
 /**
- * Remove meta tags contained in node, typically a document fragment.
+ * Return an array of table tags at the selection. For example, if the selection is in
+ * a TD element or a TR in the TBODY, we will get ['TABLE', 'TBODY', 'TR', 'TD'].
+ *
+ * @return {[String]}       Tag names that represent the selection table elements.
  */
-const _cleanUpMetas = function(node) {
-    const childNodes = node.childNodes;
-    for (let i=0; i < childNodes.length; i++) {
-        const child = childNodes[i];
-        if (child.nodeName === 'META') {
-            node.removeChild(child);
-        } else {
-            _cleanUpMetas(child);
-        }
-    };
+const _getTableTags = function() {
+    return _selectionTagsMatching(_tableTags);
 };
 
-/*
- * Put any direct childNodes of node that are in "standalone" BRs into paragraphs
+/**
+ * Return the currently selected text.
+ *
+ * @return {String}         The selected text, which may be empty
  */
-const _cleanUpBRs = function(node) {
-    const childNodes = node.childNodes;
-    let child = node.firstChild;
-    while (child) {
-        if (_isBRElement(child)) {
-            const nextChild = child.nextSibling;
-            const nextNextChild = (nextChild) ? nextChild.nextSibling : null;
-            if ((!nextChild) || (nextChild && (!_isTextNode(nextChild) && !_isBRElement(nextChild)))) {
-                // This BR is not part of a text string, it's just sitting alone
-                const p = document.createElement('p');
-                p.appendChild(document.createElement('br'));
-                child.replaceWith(p);
-            };
-            child = nextNextChild;
-        } else {
-            child = child.nextSibling;
-        };
+const _getSelectionText = function() {
+    const sel = document.getSelection();
+    if (sel && (sel.rangeCount > 0)) {
+        // Note: sel.toString will pad with a trailing blank if one exists
+        return sel.getRangeAt(0).toString();
     };
+    return '';
 };
 
-/**
- * Patch up text nodes that have newlines
+/********************************************************************************
+ * Testing support
  */
-const _cleanUpNewlines = function(node) {
-    const childNodes = node.childNodes;
-    let child = node.firstChild;
-    while (child) {
-        if (_isTextNode(child)) {
-            _patchNewlines(child);
-        } else {
-            _cleanUpNewlines(child);
-        };
-        child = child.nextSibling;
-    };
-};
+//MARK: Testing Support
 
 /**
- * Patch up text nodes that have tabs
+ * For testing purposes, set selection based on elementIds and offsets
+ * Like range, the startOffset and endOffset are number of characters
+ * when startElement is #text; else, child number. Optionally specify
+ * startChildNodeIndex and/or endChildNodeIndex to identify a child
+ * within startElement and/or endElement. These optional params are
+ * useful for list testing particularly.
+ *
+ * @param   {String}  startElementId        The id of the element to use as startContainer for the range.
+ * @param   {Int}     startOffset           The offset into the startContainer for the range.
+ * @param   {String}  endElementId          The id of the element to use as endContainer for the range.
+ * @param   {Int}     endOffset             The offset into the endContainer for the range.
+ * @param   {Int}     startChildNodeIndex   Index into startElement.childNodes to find startChild.
+ * @param   {Int}     endChildNodeIndex     Index into endElement.childNodes to find endChild.
+ * @return  {Boolean}                       True if both elements are found; else, false.
  */
-const _cleanUpTabs = function(node) {
-    let child = node.firstChild;
-    while (child) {
-        let nextChild = child.nextSibling;
-        if (_isElementNode(child)) {
-            _cleanUpTabs(child);
-        } else if (_isTextNode(child)) {
-            const rawContent = child.textContent;
-            if (rawContent.includes('\t')) {
-                child.textContent = rawContent.replaceAll('\t', '\xA0\xA0\xA0\xA0'); // Four spaces for tabs, don't @ me
-            };
+MU.setRange = function(startElementId, startOffset, endElementId, endOffset, startChildNodeIndex, endChildNodeIndex) {
+    const startElement = document.getElementById(startElementId);
+    const endElement = document.getElementById(endElementId);
+    //_consoleLog(_textString(startElement, "startElement: ") + ", " + _textString(endElement, "endElement: "));
+    //_consoleLog("startChildNodeIndex: " + startChildNodeIndex + ", endChildNodeIndex: " + endChildNodeIndex);
+    if (!startElement || !endElement) {
+        let error = MUError.CantFindElement;
+        error.setInfo('Could not identify startElement(' + startElement + ') or endElement(' + endElement + ')');
+        error.callback();
+        return false;
+    };
+    let startContainer, endContainer;
+    if (startChildNodeIndex) {
+        const startChild = startElement.childNodes[startChildNodeIndex];
+        if (_isTextNode(startChild)) {
+            startContainer = startChild;
+        } else {
+            startContainer = _firstTextNodeChild(startChild);
         };
-        child = nextChild;
+    } else {
+        startContainer = _firstTextNodeChild(startElement);
+        if (!startContainer) {
+            startContainer = startElement;
+        }
     };
-};
-
-/*
- * Replace PREs with Ps if they contain a text node; else,
- * leave their contents in place without the PRE.
- */
-const _cleanUpPREs = function(node) {
-    const childNodes = node.childNodes;
-    for (let i=0; i < childNodes.length; i++) {
-        let child = childNodes[i];
-        if (_isPreElement(child)) {
-            const p = document.createElement('p');
-            const template = document.createElement('template');
-            template.innerHTML = child.innerHTML;
-            const newElement = template.content;
-            p.appendChild(newElement);
-            child.replaceWith(p);
-        } else if (_isElementNode(child)) {
-            _cleanUpPREs(child);
+    if (endChildNodeIndex) {
+        const endChild = endElement.childNodes[endChildNodeIndex];
+        if (_isTextNode(endChild)) {
+            endContainer = endChild;
+        } else {
+            endContainer = _firstTextNodeChild(endChild);
+        };
+    } else {
+        endContainer = _firstTextNodeChild(endElement);
+        if (!endContainer) {
+            endContainer = endElement;
         }
     };
+    if (!startContainer || !endContainer) {
+        let error = MUError.CantFindContainer;
+        error.setInfo('Could not identify startContainer(' + startContainer + ') or endContainer(' + endContainer + ')');
+        error.callback();
+        return false;
+    };
+    const range = document.createRange();
+    range.setStart(startContainer, startOffset);
+    range.setEnd(endContainer, endOffset);
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    //_consoleLog(_rangeString(range, "setRange to: "));
+    _backupSelection();
+    return true;
 };
 
 /**
- * Replace all elements with names we don't recognize with ones we do.
- *
- * These are currently <strong> -> <b> and <em> -> <i>.
+ * For testing purposes, invoke undo by direct input to undoer.
+ * Using MU.undo() from a test does not work properly.
  */
-const _cleanUpAliases = function(node) {
-    const _aliases = {'STRONG' : 'B', 'EM' : 'I'}
-    let childNodes = node.childNodes;
-    for (let i=0; i < childNodes.length; i++) {
-        _cleanUpAliases(childNodes[i]);
-    };
-    let alias = _aliases[node.nodeName];
-    if (alias) {
-        const aliasElement = document.createElement(alias);
-        const template = document.createElement('template');
-        template.innerHTML = node.innerHTML;
-        const newElement = template.content;
-        aliasElement.appendChild(newElement);
-        node.replaceWith(aliasElement);
-    };
+MU.testUndo = function() {
+    _endUndoGroups();
+    undoer.testUndo();
 };
 
 /**
- * Standard webkit editing may leave messy and useless SPANs all over the place.
- * This method just cleans them all up and notifies Swift that the content
- * has changed. Start with the selection anchorNode's parent, so as to make
- * sure to get all its siblings. If there is no anchorNode, fix the entire
- * editor.
+ * For testing purposes, invoke redo by direct input to undoer.
+ * Using MU.redo() from a test does not work properly.
  */
-const _cleanUpSpans = function() {
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    const startNode = (selNode) ? selNode.parentNode : MU.editor;
-    if (startNode) {
-        const styleParent = _findFirstParentElementInNodeNames(startNode, _styleTags)
-        if (styleParent) {
-            const spansRemoved = _cleanUpSpansWithin(styleParent);
-            if (spansRemoved > 0) {
-                _callbackInput();
-            };
-        };
-    };
+MU.testRedo = function() {
+    _endUndoGroups();
+    undoer.testRedo();
 };
 
 /**
- * Do a depth-first traversal from node, removing spans starting at the leaf nodes.
+ * For testing purposes, invoke _doBlockquoteEnter programmatically.
  *
- * @return {Int}    The number of spans removed
+ * After the _doBlockquoteEnter, subsequent ops for undo and redo need to
+ * be done using MU.testUndo
  */
-const _cleanUpSpansWithin = function(node, spansRemoved) {
-    return _cleanUpSpansDivsWithin(node, 'SPAN', spansRemoved);
+MU.testBlockquoteEnter = function() {
+    _doBlockquoteEnter()
 };
 
 /**
- * Do a depth-first traversal from node, removing divs starting at the leaf nodes.
+ * For testing purposes, invoke _doListEnter programmatically.
  *
- * @return {Int}    The number of divs removed
+ * After the _doListEnter, subsequent ops for undo and redo need to
+ * be done using MU.testUndo
  */
-const _cleanUpDivsWithin = function(node, divsRemoved) {
-    return _cleanUpSpansDivsWithin(node, 'DIV', divsRemoved);
-}
+MU.testListEnter = function() {
+    _doListEnter()
+};
 
 /**
- * Do a depth-first traversal from node, removing divs/spans starting at the leaf nodes.
+ * For testing purposes, invoke _doVerticalCell programmatically, as when pressing
+ * ArrowUp or ArrowDown, and return whether it moved the selection.
  *
- * @return {Int}    The number of divs/spans removed
- */
-const _cleanUpSpansDivsWithin = function(node, type, removed) {
-    removed = removed ?? 0;
-    // Nested span/divs show up as children of a span/div.
-    const children = node.children;
-    let child = (children.length > 0) ? children[0] : null;
-    while (child) {
-        let nextChild = child.nextElementSibling;
-        removed = _cleanUpSpansDivsWithin(child, type, removed);
-        child = nextChild;
-    };
-    if (node.nodeName === type) {
-        removed++;
-        if (node.childNodes.length > 0) {   // Use childNodes because we need text nodes
-            const template = document.createElement('template');
-            template.innerHTML = node.innerHTML;
-            const newElement = template.content;
-            node.replaceWith(newElement);
-        } else {
-            node.parentNode.removeChild(node);
-        };
-    };
-    return removed;
+ * @param {String}  direction   Either 'UP' or 'DOWN'.
+ */
+MU.testVerticalCell = function(direction) {
+    return _doVerticalCell(direction);
 };
 
 /**
- * Do a depth-first traversal from selection, removing attributes
- * from the anchorNode and its siblings. If there is no anchorNode,
- * fix the entire editor.
- * If any attributes were removed, then notify Swift of a content change
+ * For testing purposes, resize the selected image to width and height as if one of
+ * its handles was dragged.
  */
-const _cleanUpAttributes = function(attribute) {
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    let startNode;
-    if (selNode === MU.editor) {
-        startNode = MU.editor;
-    } else {
-        startNode = (selNode) ? selNode.parentNode : MU.editor;
-    };
-    if (startNode) {
-        const attributesRemoved = _cleanUpAttributesWithin(attribute, startNode);
-        if (attributesRemoved > 0) {
-            _callbackInput();
-        } else if ((startNode === MU.editor) && (startNode.childNodes.length === 0)) {
-            _initializeRange();
-            _callbackInput();
-        };
-    };
+MU.testResizeImage = function(width, height) {
+    if (!resizableImage.isSelected) { return };
+    resizableImage.startResize(new MouseEvent('mousedown'));
+    resizableImage.imageElement.setAttribute('width', width);
+    resizableImage.imageElement.setAttribute('height', height);
+    resizableImage.endResize(new MouseEvent('mouseup'));
 };
 
 /**
- * Do a depth-first traversal from node, removing attributes starting at the leaf nodes.
+ * For testing purposes, insert text at the selection in a text node and dispatch
+ * the beforeinput and input events the same way as when the user types it, so input
+ * rules are applied and the typing is recorded when the undoer is scripted. Nothing
+ * is inserted if the beforeinput event is cancelled.
  *
- * @return {Int}    The number of attributes removed
+ * After the MU.testInput, subsequent ops for undo and redo need to
+ * be done using MU.testUndo
+ *
+ * @param {String}  text    The text the user typed.
  */
-const _cleanUpAttributesWithin = function(attribute, node) {
-    let attributesRemoved = 0;
-    const children = node.children;
-    if (children.length > 0) {
-        for (let i=0; i<children.length; i++) {
-            attributesRemoved += _cleanUpAttributesWithin(attribute, children[i]);
-        };
-    };
-    if ((node.nodeType === Node.ELEMENT_NODE) && (node.hasAttribute(attribute))) {
-        attributesRemoved++;
-        node.removeAttribute(attribute);
-    };
-    return attributesRemoved;
+MU.testInput = function(text) {
+    const sel = document.getSelection();
+    const textNode = (sel && sel.rangeCount > 0) ? sel.anchorNode : null;
+    if (!textNode || (textNode.nodeType !== Node.TEXT_NODE)) { return };
+    const beforeInput = new InputEvent('beforeinput', {inputType: 'insertText', data: text, bubbles: true, cancelable: true});
+    if (!MU.editor.dispatchEvent(beforeInput)) { return };
+    const offset = sel.anchorOffset + text.length;
+    textNode.insertData(sel.anchorOffset, text);
+    const range = document.createRange();
+    range.setStart(textNode, offset);
+    range.setEnd(textNode, offset);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    MU.editor.dispatchEvent(new InputEvent('input', {inputType: 'insertText', data: text}));
 };
 
-/*
- * Do a depth-first traversal from node, removing all empty text nodes at the leaf nodes.
+/**
+ * For testing purposes, invoke extractContents() on the selected range
+ * to make sure the selection is as expected.
  */
-const _cleanUpEmptyTextNodes = function(node) {
-    let child = node.firstChild;
-    while (child) {
-        let nextChild = child.nextSibling;
-        if (_isElementNode(child)) {
-            _cleanUpEmptyTextNodes(child);
-        } else if (_isTextNode(child) && _isEmpty(child)) {
-            child.parentNode.removeChild(child);
-        };
-        child = nextChild;
-    };
+MU.testExtractContents = function() {
+    document.getSelection().getRangeAt(0).extractContents();
 };
 
-/*
- * Traverse all immediate childnodes of node. If they are not part of _topLevelNodes,
- * then put the childNode in a <p> element and call it a day. During paste, we sometimes
- * receive <a> and text nodes that are not properly styled (by the MarkupEditor definition),
- * so we will put them in a "normal" paragraph so we don't lose them.
+const _extractContentsRestoreSelection = function(range) {
+    const startContainer = range.startContainer;
+    const startOffset = range.startOffset;
+    const endContainer = range.endContainer;
+    const endOffset = range.endOffset;
+    const fragment = range.extractContents();
+    // Remove any leading or trailing empty elements in fragment.
+    // These exist just to match whatever was outside of the range and are useless.
+    if (_isEmpty(fragment.firstChild)) { fragment.removeChild(fragment.firstChild) };
+    if (_isEmpty(fragment.lastChild)) { fragment.removeChild(fragment.lastChild) };
+    if (startContainer === endContainer) { return fragment };
+    const sel = document.getSelection();
+    const restoredRange = document.createRange();
+    restoredRange.setStart(startContainer, startOffset);
+    restoredRange.setEnd(endContainer, endOffset);
+    sel.removeAllRanges();
+    sel.addRange(restoredRange);
+    return fragment;
+};
+
+/**
+ * For testing purposes, execute _patchPasteHTML and return the resulting
+ * html as a string. Testing in this way lets us do simple pasteHTML tests with
+ * clean HTML and test the _patchPasteHTML functionality separately. The
+ * purpose of _patchPasteHTML is to return "clean" HTML from arbitrary HTML
+ * (typically) obtained from the paste buffer on the Swift side.
  */
-const _cleanUpOrphanNodes = function(node) {
-    const children = node.childNodes;
-    let child = children.isEmpty ? null : children[0];
-    while (child) {
-        let nextSib = child.nextSibling;
-        if (!_topLevelTags.includes(child.nodeName)) {
-            // Create a new <p> and put this non-top-level node in it
-            const newChild = document.createElement('p');
-            node.insertBefore(newChild, nextSib);
-            newChild.appendChild(child);
-            // Keep putting children in the same p until we hit a top-level tag
-            while (nextSib && !_topLevelTags.includes(nextSib.nodeName)) {
-                let nextNextSib = nextSib.nextSibling;
-                newChild.appendChild(nextSib);
-                nextSib = nextNextSib;
-            };
-        }
-        child = nextSib;
-    };
+MU.testPasteHTMLPreprocessing = function(html) {
+    const fragment = _patchPasteHTML(html);
+    const fragmentHTML = _fragmentHTML(fragment);
+    return fragmentHTML;
 };
 
-const _prepImages = function(node) {
-    const images = node.querySelectorAll('img');
-    for (let i = 0; i < images.length; i++) {
-        const image = images[i];
-        image.addEventListener('load', function() {_prepImage(image)});
-        image.addEventListener('error', function() {_prepImage(image)});
-    };
+/**
+ * For testing purposes, execute _patchPasteHTML followed by _minimalHTML
+ * and return the resulting html as a string. Testing in this way lets us do
+ * simple pasteText tests with clean HTML and test the preprocessing functionality
+ * separately. The purpose of _patchPasteHTML is to return "clean" HTML from
+ * arbitrary HTML (typically) obtained from the paste buffer on the Swift side,
+ * which is then combined with _minimalHTML to get a MarkupEditor-equivalent of
+ * unformatted text. Delimited text becomes a table instead.
+ */
+MU.testPasteTextPreprocessing = function(html) {
+    const rows = _delimitedRows(html);
+    const fragment = (rows) ? _delimitedTable(rows) : _patchPasteHTML(html);
+    const minimalHTML = _minimalHTML(fragment);
+    return minimalHTML;
 };
 
 /**
- * Replace newlines with <br> in a text node; return trailingText if patched, else node
+ * For testing purposes, post message using _parentBridge with a stand-in for the
+ * parent window, and return the targetOrigin it was posted to.
  */
-const _patchNewlines = function(node) {
-    if (node.nodeType !== Node.TEXT_NODE) {
-        return node;
-    };
-    const rawContent = node.textContent;
-    // Ref: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split
-    // If separator appears at the beginning (or end) of the string, it still
-    // has the effect of splitting, resulting in an empty (i.e. zero length) string
-    // appearing at the first (or last) position of the returned array.
-    const lines = rawContent.split('\n');
-    if (lines.length === 1) { return node };
-    const insertTarget = node.nextSibling;
-    let line, nextLine, p, textNode;
-    for (let i = 0; i < lines.length; i++) {
-        line = lines[i];
-        nextLine = (i < lines.length - 1) ? lines[i + 1]  : null;
-        if (((i === 0) || (i === lines.length - 1)) && (line.length === 0)) {
-            // If we have a newline at beginning or end but are in a formatTag, then
-            // do nothing; otherwise, insert an editable <p><br></p> line.
-            if (!_formatTags.includes(node.parentNode.nodeName)) {
-                p = document.createElement('p');
-                textNode = document.createElement('br');
-                p.appendChild(textNode);
-                node.parentNode.insertBefore(p, insertTarget);
-            };
-        } else {
-            textNode = document.createTextNode(_patchWhiteSpace(line, 'LEADING'));
-            node.parentNode.insertBefore(textNode, insertTarget);
-            if ((i < lines.length - 1) && (nextLine && (nextLine.length > 0))) {
-                node.parentNode.insertBefore(document.createElement('br'), insertTarget);
-            };
-        };
-    };
-    node.parentNode.removeChild(node);
-    return textNode;
+MU.testPostToParent = function(message) {
+    let targetOrigin;
+    const parent = { postMessage: function(message, origin) { targetOrigin = origin } };
+    _parentBridge(parent)(message);
+    return targetOrigin;
 };
 
 /********************************************************************************
- * Explicit handling of multi-click
- * TODO: Remove?
+ * Links
  */
-//MARK: Explicit Handling of Multi-click
+//MARK: Links
 
 /**
- * We received a double or triple click event.
- * When switching between multiple MarkupWKWebViews, the double and triple click does
- * not highlight immediately. So, this method highlights and sets the selection properly
- * if needed. We can get double and triple clicks events when the selection is already
- * set properly, in which case we do nothing.
+ * Insert a link to url. When the selection is collapsed, the url is inserted
+ * at the selection point as a link.
  *
- * @param {Int}     nClicks     The number of clicks in the 'click' event that got us here
+ * When done, re-select the range and back it up.
+ *
+ * @param {String}  url             The url/href to use for the link
+ * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
  */
-const _multiClickSelect = function(nClicks) {
+MU.insertLink = function(url, undoable=true) {
+    _restoreSelection();
     const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    if (selNode) {
-        if (nClicks === 3) {
-            _tripleClickSelect(sel);
-        } else if (nClicks === 2) {
-            // For posterity, I tried just (re)dispatching a new click event,
-            // but it does not do anything for the selection.
-            _doubleClickSelect(sel, selNode);
-        }
+    if (!sel || (sel.rangeCount === 0)) { return };
+    let range;
+    if (sel.isCollapsed) {
+        range = _wordRangeAtCaret();
+    } else {
+        range = sel.getRangeAt(0);
     };
-};
-
-/**
- * Select the word in the selNode
- *
- * @param {HTML Selection}  sel         The current selection
- * @param {HTML Node}       selNode     The node at the selection
- */
-const _doubleClickSelect = function(sel, selNode) {
-    const range = sel.getRangeAt(0).cloneRange();
-    let startOffset = range.startOffset;
-    let endOffset = range.endOffset;
-    const selNodeText = selNode.textContent;
-    while ((startOffset > 0) && !_isWhiteSpace(selNodeText[startOffset - 1])) {
-        startOffset -= 1;
-    }
-    while ((endOffset < selNodeText.length) && !_isWhiteSpace(selNodeText[endOffset]))  {
-        endOffset += 1;
-    }
-    const wordRange = document.createRange();
-    wordRange.setStart(range.startContainer, startOffset);
-    wordRange.setEnd(range.endContainer, endOffset);
+    // At this point, range still might be nil, because the selection was collapsed
+    // but not within a word. In this case, we want to just insert a linked url
+    const el = document.createElement('a');
+    el.setAttribute('href', url);
+    if (range) {
+        el.appendChild(range.extractContents());
+        range.deleteContents();
+        range.insertNode(el);
+    } else {
+        // Sel is collapsed, so just put el in front of it with url as its contents
+        el.appendChild(document.createTextNode(url));
+        range = sel.getRangeAt(0);
+        const startContainer = range.startContainer;
+        if (_isTextNode(startContainer)) {
+            const trailingText = startContainer.splitText(range.startOffset);
+            trailingText.parentNode.insertBefore(el, trailingText);
+        } else {
+            startContainer.parentNode.insertBefore(el, startContainer);
+        };
+    };
+    range.setStart(el.firstChild, 0);
+    range.setEnd(el.firstChild, el.firstChild.textContent.length);
     sel.removeAllRanges();
-    sel.addRange(wordRange);
+    sel.addRange(range);
+    // Note because the selection is changing while the view is not focused,
+    // we need to backupSelection() so we can get it back when we come back
+    // into focus later.
+    _backupSelection();
+    if (undoable) {
+        const undoerData = _undoerData('insertLink', url);
+        undoer.push(undoerData);
+        _restoreSelection();
+    }
+    _callbackInput();
+    _callback('selectionChange')
 };
 
 /**
- * Find the node that should be selected in full, and then select it
+ * Remove the link at the selection.
  *
- * @param {HTML Selection}  sel         The current selection
+ * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
  */
-const _tripleClickSelect = function(sel) {
-    const nodeToSelect = _firstSelectionNodeMatching(_styleTags);
-    if (nodeToSelect) {
-        const elementRange = document.createRange();
-        if (nodeToSelect.firstChild.nodeType === Node.TEXT_NODE) {
-            elementRange.setStart(nodeToSelect.firstChild, 0);
-        } else {
-            elementRange.setStart(nodeToSelect, 0);
-        }
-        if (nodeToSelect.lastChild.nodeType === Node.TEXT_NODE) {
-            elementRange.setEnd(nodeToSelect.lastChild, nodeToSelect.lastChild.textContent.length);
-        } else {
-            elementRange.setEnd(nodeToSelect, nodeToSelect.childNodes.length - 1);
+MU.deleteLink = function(undoable=true) {
+    // When we call this method, sel is the text inside of an anchorNode
+    _restoreSelection();
+    const sel = document.getSelection();
+    if (sel && sel.anchorNode && sel.anchorNode.parentElement) {
+        const element = sel.anchorNode.parentElement;
+        if ('A' === element.nodeName) {
+            // Before we _unsetTag, we know what element is and can determine what to select
+            // after it is gone. We want to select all of the text that was linked-to
+            // as if the user had selected the entire link. After selecting it, then set that
+            // as the backed-up range before unsetting the tag. So, if we started with a caret
+            // selection inside of a link and removed the link, we will end up with the entire
+            // linked-to text selected when done. Now the undo operation knows the text selection
+            // and when undo happens, the link can be properly restored.
+            const linkRange = document.createRange();
+            const linkText = element.firstChild;
+            linkRange.setStart(linkText, 0);
+            linkRange.setEnd(linkText, linkText.length);
+            sel.removeAllRanges();
+            sel.addRange(linkRange);
+            _unsetTag(element, sel);
+            _backupSelection();
+            if (undoable) {
+                const undoerData = _undoerData('deleteLink', element.href);
+                undoer.push(undoerData);
+                _restoreSelection();
+            }
+            _callbackInput();
         }
-        sel.removeAllRanges();
-        sel.addRange(elementRange);
     }
-};
+}
 
 /**
- * Placeholder
+ * If the current selection's parent is an A tag, get the href and text.
+ *
+ * @return {String : String}        Dictionary with 'href' and 'link' as keys; empty if not a link
  */
-
-MU.setPlaceholder = function(text) {
-    MU.editor.setAttribute('placeholder', text);
-};
-
-const _updatePlaceholder = function() {
-    // Do nothing if we don't have a placeholder
-    if (!MU.editor.getAttribute('placeholder')) { return };
-    // Else, add/remove the placeholder class as identified in css
-    if (_isEmptyEditor()) {
-        MU.editor.classList.add('placeholder');
-    } else {
-        MU.editor.classList.remove('placeholder');
-    };
+const _getLinkAttributesAtSelection = function() {
+    const link = {};
+    const sel = document.getSelection();
+    if (sel && sel.anchorNode && sel.anchorNode.parentElement) {
+        const element = sel.anchorNode.parentElement;
+        if ('A' === element.nodeName) {
+            link['href'] = element.getAttribute('href');
+            link['link'] = element.text;
+        }
+    }
+    return link;
 };
 
-/********************************************************************************
- * Selection
- */
-//MARK: Selection
-
 /**
- * Define various arrays of tags used to represent concepts on the Swift side and internally.
+ * Do the insertLink operation following a deleteLink operation
+ * Used to undo the deleteLink operation and to do the insertLink operation.
  *
- * For example, "Paragraph Style" is a MarkupEditor concept that doesn't map directly to HTML or CSS.
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-const _paragraphStyleTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];                  // All paragraph styles
-
-const _formatTags = ['B', 'I', 'U', 'DEL', 'SUB', 'SUP', 'CODE'];                       // All possible (nestable) formats
-
-const _listTags = ['UL', 'OL'];                                                         // Types of lists
-
-const _tableTags = ['TABLE', 'THEAD', 'TBODY', 'TD', 'TR', 'TH'];                       // All tags associated with tables
-
-const _styleTags = _paragraphStyleTags.concat(_listTags.concat(['LI', 'BLOCKQUOTE']));  // Identify insert-before point in table/list
-
-const _listStyleTags = _paragraphStyleTags.concat(['BLOCKQUOTE']);                      // Possible containing blocks in a list
-
-const _minimalStyleTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE'];           // Convert to 'P' for MU.pasteText
-
-const _monitorEnterTags = _listTags.concat(['TABLE', 'BLOCKQUOTE']);                    // Tags we monitor for Enter
-
-const _monitorIndentTags = _listTags.concat(['BLOCKQUOTE']);                            // Tags we monitor for Tab or Ctrl+]
-
-const _topLevelTags = _paragraphStyleTags.concat(_listTags.concat(['TABLE', 'BLOCKQUOTE']));    // Allowed top-level tags w/in editor
-
-const _voidTags = ['BR', 'IMG', 'AREA', 'COL', 'EMBED', 'HR', 'INPUT', 'LINK', 'META', 'PARAM'] // Tags that are self-closing
+const _redoInsertLink = function(undoerData) {
+    // Reset the selection based on the range after the link was removed,
+    // then insert the link at that range. After the link is re-inserted,
+    // the insertLink operation leaves the selection properly set,
+    // but we have to update the undoerData.range to reflect it.
+    _restoreUndoerRange(undoerData);
+    _backupSelection();
+    MU.insertLink(undoerData.data, false);
+    _backupUndoerRange(undoerData);
+}
 
 /**
- * Populate a dictionary of properties about the current selection
- * and return it in a JSON form. This is the primary means that the
- * Swift side finds out what the selection is in the document, so we
- * can tell if the selection is in a bolded word or a list or a table, etc.
+ * Do the deleteLink operation following an insertLink operation
+ * Used to undo the insertLink operation and to do the deleteLink operation.
  *
- * @return {String}      The stringified dictionary of selectionState.
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-MU.getSelectionState = function() {
-    const state = _getSelectionState();
-    return JSON.stringify(state);
-};
+const _redoDeleteLink = function(undoerData) {
+    // Reset the selection based on the range after insert was done,
+    // then remove the link at that range. When the link is re-removed,
+    // the deleteLink operation leaves the selection properly set,
+    // but we have to update the undoerData.range to reflect it.
+    _restoreUndoerRange(undoerData);
+    _backupSelection();
+    MU.deleteLink(false);
+    _backupUndoerRange(undoerData);
+}
+
+/********************************************************************************
+ * Images
+ */
+//MARK: Images
 
 /**
- * Populate a dictionary of properties about the current selection and return it.
+ * Insert the image at src with alt text, signaling updateHeight when done loading.
+ * All insert operations that involve user interaction outside of JavaScript
+ * need to be preceded by backupSelection so that selection can be restored prior
+ * to the insert* operation.
+ * We leave the selection after the inserted image.
+ * The operation will cause a selectionChange event.
  *
- * @return {String: String}     The dictionary of properties describing the selection
+ * @param {String}              src         The url of the image.
+ * @param {String}              alt         The alt text describing the image.
+ * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
+ * @return {HTML Image Element}             The image element that was created, used for undo/redo.
  */
-const _getSelectionState = function() {
-    const state = {};
-    const selection = document.getSelection();
-    if (!selection || (selection.rangeCount == 0)) {
-        state['valid'] = false;
-        return state;
-    }
-    // When we have multiple contentEditable elements within editor, we need to
-    // make sure we selected something that isContentEditable. If we didn't
-    // then just return state, which will be invalid but have the enclosing div ID.
-    // Note: _callbackInput() uses a cached value of the *contentEditable* div ID
-    // because it is called at every keystroke and change, whereas here we take
-    // the time to find the enclosing div ID from the selection so we are sure it
-    // absolutely reflects the selection state at the time of the call regardless
-    // of whether it is contentEditable or not.
-    let divID = _findContentEditableID(selection.focusNode);
-    if (divID) {
-        state['divid'] = divID;
-        state['valid'] = true;
-    } else {
-        divID = _findDivID(selection.focusNode);
-        state['divid'] = divID;
-        state['valid'] = false;
-        return state;
-    };
-    // Selected text
-    state['selection'] = _getSelectionText();
-    // The selrect tells us where the selection can be found
-    const selrect = _selrect();
-    const selrectDict = {
-        'x' : selrect.left,
-        'y' : selrect.top,
-        'width' : selrect.width,
-        'height' : selrect.height
-    };
-    state['selrect'] = selrectDict;
-    // Link
-    const linkAttributes = _getLinkAttributesAtSelection();
-    state['href'] = linkAttributes['href'];
-    state['link'] = linkAttributes['link'];
-    // Image
-    const imageAttributes = _getImageAttributes();
-    state['src'] = imageAttributes['src'];
-    state['alt'] = imageAttributes['alt'];
-    state['width'] = imageAttributes['width'];
-    state['height'] = imageAttributes['height'];
-    state['scale'] = imageAttributes['scale'];
-    // Table
-    const tableAttributes = _getTableAttributesAtSelection();
-    state['table'] = tableAttributes['table'];
-    state['thead'] = tableAttributes['thead'];
-    state['tbody'] = tableAttributes['tbody'];
-    state['header'] = tableAttributes['header'];
-    state['colspan'] = tableAttributes['colspan'];
-    state['rows'] = tableAttributes['rows'];
-    state['cols'] = tableAttributes['cols'];
-    state['row'] = tableAttributes['row'];
-    state['col'] = tableAttributes['col'];
-    state['border'] = tableAttributes['border']
-    // Style
-    state['style'] = _getParagraphStyle();
-    state['list'] = _selectionListType();
-    if (state['list']) {
-        // If we are in a list, then we might or might not be in a list item
-        state['li'] = _firstSelectionTagMatching(['LI']).length > 0;
-    } else {
-        // But if we're not in a list, we deny we are in a list item
-        state['li'] = false;
-    }
-    state['quote'] = _firstSelectionTagMatching(['BLOCKQUOTE']).length > 0;
-    // Format
-    const formatTags = _getFormatTags();
-    state['bold'] = formatTags.includes('B');
-    state['italic'] = formatTags.includes('I');
-    state['underline'] = formatTags.includes('U');
-    state['strike'] = formatTags.includes('DEL');
-    state['sub'] = formatTags.includes('SUB');
-    state['sup'] = formatTags.includes('SUP');
-    state['code'] = formatTags.includes('CODE');
-    // DEBUGGING
-    //const focusNode = document.getSelection().focusNode;
-    //if (focusNode) {
-    //    state['focusNodeType'] = focusNode.nodeType;
-    //}
-    //const focusOffset = document.getSelection().focusOffset;
-    //if (focusOffset) {
-    //    state['focusOffset'] = focusOffset;
-    //}
-    return state;
+MU.insertImage = function(src, alt, undoable=true) {
+    const img = _insertImageAtSelection(src, alt);
+    _selectFollowingInsertImage(img, 'AFTER');
+    // Track image insertion on the undo stack if necessary and hold onto the new image element's range
+    // Note that the range tracked on the undo stack is not the same as the selection, which has been
+    // set to make continued typing easy after inserting the image.
+    if (undoable) {
+        const imgRange = document.createRange();
+        imgRange.selectNode(img);
+        const undoerData = _undoerData('insertImage', {src: src, alt: alt}, imgRange);
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
+    return img;
 };
 
 /**
- * Return the boundingClientRect for the selection, handling the resizableImage case.
+ * Modify the attributes of the image at selection.
+ * Scale is a percentage like '80' where null means 100%.
+ * Scale is always expressed relative to full scale.
  *
- * If the selection is a "zero" rectangle (e.g., for a <p><br></p>), return the selection's
- * focusNode boundingClientRect.
+ * @param {String}              src         The url of the image.
+ * @param {String}              alt         The alt text describing the image.
+ * @param {Int}                 scale       The scale as a percentage of original's naturalWidth/Height.
+ * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
  */
-const _selrect = function() {
-    if (resizableImage.isSelected) {
-        return resizableImage.imageElement.getBoundingClientRect();
+MU.modifyImage = function(src, alt, scale, undoable=true) {
+    if (!resizableImage.isSelected) { return };   // Can't modify an image that isn't selected
+    if (!src) {
+        _deleteSelectedResizableImage('AFTER', undoable);
+        return;
+    };
+    const img = resizableImage.imageElement;
+    const existingSrc = img.getAttribute('src');
+    const existingAlt = img.getAttribute('alt');
+    const existingWidth = img.getAttribute('width');
+    const existingHeight = img.getAttribute('height');
+    const oldAttributes = {alt: existingAlt, width: existingWidth, height: existingHeight};
+    let newImg = img;
+    if (src === existingSrc) {
+        if (alt !== existingAlt) { img.setAttribute('alt', alt) };
+        let width, height;
+        if (scale) {
+            width = _percentInt(scale, img.naturalWidth);
+            height = _percentInt(scale, img.naturalHeight);
+            if ((width.toString() !== existingWidth) || (height.toString() !== existingHeight)) {
+                img.setAttribute('width', width);
+                img.setAttribute('height', height);
+                resizableImage.startDimensions = resizableImage.currentDimensions;
+            };
+        };
+        _callbackInput();
+        _callback('selectionChange');
     } else {
-        const sel = document.getSelection();
-        const rect = sel.getRangeAt(0).getBoundingClientRect();
-        if ((rect.x == 0) && (rect.y == 0) && (rect.width == 0) && (rect.height == 0)) {
-            return sel.focusNode.getBoundingClientRect();
+        newImg = document.createElement('img');
+        newImg.setAttribute('alt', alt);
+        _setSrc(newImg, src, _selectedID);   // Will make newImg selected and call input/selectionChange
+    };
+    if (undoable) {
+        if (newImg === img) {
+            _pushModifyImage(img, img, oldAttributes);
         } else {
-            return rect;
+            // The newImg only replaces img and gets its width and height once it loads
+            newImg.addEventListener('load', function() {
+                _pushModifyImage(img, newImg, oldAttributes);
+            }, {once: true});
         };
     };
 };
 
 /**
- * Return the paragraph style at the selection.
+ * Push the modifyImage operation that changed oldImage with oldAttributes into newImage,
+ * unless nothing changed.
  *
- * @return {String}         Tag name that represents the selected paragraph style on the Swift side.
+ * @param {HTML Image Element}  oldImage        The image before modifyImage.
+ * @param {HTML Image Element}  newImage        The image after modifyImage, which is oldImage if src didn't change.
+ * @param {Object}              oldAttributes   The alt, width, and height of oldImage before modifyImage.
  */
-const _getParagraphStyle = function() {
-    if (_selectionSpansStyles()) {
-        const selectedStyleElements = _selectedStyles();
-        const selectedStyles = selectedStyleElements.map(element => element.nodeName);
-        if (selectedStyles.every(style => style === selectedStyles[0])) {
-            return selectedStyles[0];
-        } else {
-            return 'Multiple';
-        }
+const _pushModifyImage = function(oldImage, newImage, oldAttributes) {
+    const newAttributes = {alt: newImage.getAttribute('alt'), width: newImage.getAttribute('width'), height: newImage.getAttribute('height')};
+    const changed = (newImage !== oldImage) || Object.keys(oldAttributes).some(name => oldAttributes[name] !== newAttributes[name]);
+    if (changed) {
+        const undoerData = _undoerData('modifyImage', {oldImage: oldImage, newImage: newImage, oldAttributes: oldAttributes, newAttributes: newAttributes});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+};
+
+
+MU.cutImage = function() {
+    if (!resizableImage.isSelected) { return };   // Can't cut an image that isn't selected
+    resizableImage.copyToClipboard();
+    resizableImage.deleteImage();
+    _showCaret();
+};
+
+/**
+ * Set up load events 1) to call back to tell the Swift side the image
+ * loaded, and to select the image once it's loaded. Do the same on error
+ * to handle the case of "broken images". Then set src. Pass-along the divId
+ * the image was placed in.
+ */
+const _setSrc = function(img, src, divId) {
+    img.addEventListener('load', function() {
+        _callback(JSON.stringify({'messageType' : 'addedImage', 'src' : src, 'divId' : (divId ?? '') }));
+    });
+    img.addEventListener('load', function() {
+        _makeSelected(img);
+    });
+    img.addEventListener('error', function() {
+       _callback(JSON.stringify({'messageType' : 'addedImage', 'src' : src, 'divId' : (divId ?? '') }));
+    });
+    img.addEventListener('load', function() {
+        _makeSelected(img);
+    });
+    img.setAttribute('src', src);
+};
+
+const _makeSelected = function(img) {
+    _prepImage(img);
+    if (resizableImage.isSelected) {
+        resizableImage.replaceImage(img);
     } else {
-        return _firstSelectionTagMatching(_paragraphStyleTags);
-    }
+        resizableImage.select(img);
+        _hideCaret();
+    };
 };
 
 /**
- * Return an array of format tags at the selection. For example, the selection could
- * be in the word "Hello" in <B><I><U>Hello</U></I></B>, returning ['U', 'I', 'B'],
- * from innermost to outermost tag.
- *
- * For multiformatting, return formatTags such that the only the formats identified
- * are ones that are in-place for every selected text node. This provides an indication
- * that "unsetAll" will take place for the selection for that tag. For example, if every
- * text node is bolded, then when the user selects bold, they will all be unbolded.
- * Conversely, if some text nodes are unformatted, say, in bold, and some are, then
- * formatTags will not include bold. This provides an indication that all text will be
- * bolded if the user selects bold.
+ * Insert the image at the current selection point.
  *
- * @return {[String]}       Tag names that represent the selection formatting on the Swift side.
+ * @param {String}              src         The url of the image.
+ * @param {String}              alt         The alt text describing the image.
+ * @param {Int, Int}            dimensions  The width and height of the image.
+ * @return {HTML Image Element}             The image element that was inserted.
  */
-const _getFormatTags = function() {
-    if (_selectionSpansTextNodes()) {
-        const selectedTextNodes = _selectedTextNodes();
-        const formatTagArrays = selectedTextNodes.map(textNode => _tagsMatching(textNode, _formatTags));
-        const formatTags = [];
-        _formatTags.forEach(tag => {
-            let allHaveTag = true;
-            for (let i = 0; i < formatTagArrays.length; i++) {
-                if (!formatTagArrays[i].includes(tag)) {
-                    allHaveTag = false;
-                    break;
-                };
-            };
-            if (allHaveTag) { formatTags.push(tag) };
-        });
-        return formatTags;
-    } else {
-        return _selectionTagsMatching(_formatTags);
+const _insertImageAtSelection = function(src, alt, dimensions) {
+    const sel = document.getSelection();
+    const range = sel.getRangeAt(0);
+    const img = document.createElement('img');
+    if (alt) {
+        img.setAttribute('alt', alt);
+    };
+    if (dimensions) {
+        img.setAttribute('width', dimensions.width);
+        img.setAttribute('height', dimensions.height);
     }
+    const sib = _siblingAtSelection();
+    if (_isBRElement(sib)) {
+        sib.replaceWith(img);
+    } else {
+        range.insertNode(img);
+    };
+    _setSrc(img, src, _selectedID)   // Initiate load/error callback and prepping of image
+    return img;
 };
 
-/**
- * Return the outermost element at the selection that corresponds to a format tag.
- * For example, the selection could be in the word "Hello" in <B><I><U>Hello</U></I></B>,
- * and the outermostFormatElement would be the HTMLBoldElement in <B><I><U>Hello</U></I></B>.
+/*
+ * Reset the selection after an image has been inserted.
  *
- * @return {HTMLElement || null}    The ancestor HTML Element that is outermost from the selection or null if none.
+ * @param {HTML Image Element}  img         The image element to set selection based on
+ * @param {String || null}      direction   Whether to put the selection BEFORE, AFTER or at the image element
+ *
+ * If the direction is specified, then we need to select the proper element either
+ * before or after the image. If not, then we need to hide the caret and select
+ * the image itself.
  */
-const _outermostFormatElement = function(selNode) {
-    const formatTags = _tagsMatching(selNode, _formatTags);
-    if (formatTags.length > 0) {
-        return _findFirstParentElementInNodeNames(selNode, [formatTags[formatTags.length - 1]]);
+const _selectFollowingInsertImage = function(img, direction) {
+    // After inserting the image, we want to leave the selection either before
+    // or after it, or just select the image itself, depending on the context.
+    if ((direction !== 'AFTER') && (direction !== 'BEFORE')) {
+        resizableImage.select(img);
+        _hideCaret()
+        _callbackInput();
+        _callback('selectionChange');
     } else {
-        return null;
+        _selectFollowingInsert(img, direction);
     };
 };
 
 /**
- * Return an array of table tags at the selection. For example, if the selection is in
- * a TD element or a TR in the TBODY, we will get ['TABLE', 'TBODY', 'TR', 'TD'].
- *
- * @return {[String]}       Tag names that represent the selection table elements.
+ * Undo the previous deletion operation on an image
  */
-const _getTableTags = function() {
-    return _selectionTagsMatching(_tableTags);
+const _undoDeleteImage = function(undoerData) {
+    const src = undoerData.data.src;
+    const alt = undoerData.data.alt;
+    const dimensions = undoerData.data.dimensions;
+    // If direction is null, resizableImage was selected when we pressed Backspace
+    // or Delete. If direction==='AFTER', we Backspaced from the position after an
+    // image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
+    // before an image (which is not selected) to delete.
+    const direction = undoerData.data.direction;
+    const offset = undoerData.data.offset;
+    const newRange = undoerData.range;
+    newRange.setStart(newRange.startContainer, offset);
+    newRange.setEnd(newRange.startContainer, offset);
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(newRange);
+    const img = _insertImageAtSelection(src, alt, dimensions);
+    _selectFollowingInsertImage(img, direction);
+    undoerData.range = document.getSelection().getRangeAt(0);
 };
 
 /**
- * Return the currently selected text.
+ * Redo the previous deletion operation on an image.
  *
- * @return {String}         The selected text, which may be empty
+ * The
  */
-const _getSelectionText = function() {
-    const sel = document.getSelection();
-    if (sel && (sel.rangeCount > 0)) {
-        // Note: sel.toString will pad with a trailing blank if one exists
-        return sel.getRangeAt(0).toString();
+const _redoDeleteImage = function(undoerData) {
+    const src = undoerData.data.src;
+    const alt = undoerData.data.alt;
+    const dimensions = undoerData.data.dimensions;
+    _restoreUndoerRange(undoerData);
+    // If direction is null, resizableImage was selected when we pressed Backspace
+    // or Delete. If direction==='AFTER', we Backspaced from the position after an
+    // image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
+    // before an image (which is not selected) to delete.
+    const direction = undoerData.data.direction;
+    let sib;
+    if (resizableImage.isSelected) {
+        resizableImage.deleteImage(false)
+        _showCaret();
+    } else if (direction === 'AFTER') {
+        sib = _siblingAtSelection('BEFORE');
+        if (_isImageElement(sib)) {
+            resizableImage.select(sib);
+            // Altho we deleted the image BEFORE the selection,
+            // we want to pass 'AFTER' here to indicate where
+            // the cursor should be positioned on undo.
+            _deleteSelectedResizableImage('AFTER', false);
+        };
+    } else if (direction === 'BEFORE') {
+        sib = _siblingAtSelection('AFTER');
+        if (_isImageElement(sib)) {
+            resizableImage.select(sib);
+            // Altho we deleted the image BEFORE the selection,
+            // we want to pass 'AFTER' here to indicate where
+            // the cursor should be positioned on undo.
+            _deleteSelectedResizableImage('BEFORE', false);
+        };
     };
-    return '';
+    undoerData.range = document.getSelection().getRangeAt(0);
 };
 
-/********************************************************************************
- * Testing support
- */
-//MARK: Testing Support
-
 /**
- * For testing purposes, set selection based on elementIds and offsets
- * Like range, the startOffset and endOffset are number of characters
- * when startElement is #text; else, child number. Optionally specify
- * startChildNodeIndex and/or endChildNodeIndex to identify a child
- * within startElement and/or endElement. These optional params are
- * useful for list testing particularly.
+ * Callback invoked after the load or error event on an image
  *
- * @param   {String}  startElementId        The id of the element to use as startContainer for the range.
- * @param   {Int}     startOffset           The offset into the startContainer for the range.
- * @param   {String}  endElementId          The id of the element to use as endContainer for the range.
- * @param   {Int}     endOffset             The offset into the endContainer for the range.
- * @param   {Int}     startChildNodeIndex   Index into startElement.childNodes to find startChild.
- * @param   {Int}     endChildNodeIndex     Index into endElement.childNodes to find endChild.
- * @return  {Boolean}                       True if both elements are found; else, false.
+ * The purpose of this method is to set attributes of every image to be
+ * selectable and resizable and to have width and height preset.
  */
-MU.setRange = function(startElementId, startOffset, endElementId, endOffset, startChildNodeIndex, endChildNodeIndex) {
-    const startElement = document.getElementById(startElementId);
-    const endElement = document.getElementById(endElementId);
-    //_consoleLog(_textString(startElement, "startElement: ") + ", " + _textString(endElement, "endElement: "));
-    //_consoleLog("startChildNodeIndex: " + startChildNodeIndex + ", endChildNodeIndex: " + endChildNodeIndex);
-    if (!startElement || !endElement) {
-        let error = MUError.CantFindElement;
-        error.setInfo('Could not identify startElement(' + startElement + ') or endElement(' + endElement + ')');
-        error.callback();
-        return false;
+const _prepImage = function(img) {
+    let changedHTML = false;
+    if (img.getAttribute('class') !== 'resize-image') {
+        img.setAttribute('class', 'resize-image');          // Make it resizable
+        changedHTML = true;
+    }
+    if (img.getAttribute('tabindex') !== "-1") {
+        img.setAttribute('tabindex', -1);                   // Make it selectable
+        changedHTML = true;
+    }
+    // Per https://www.youtube.com/watch?v=YM3KszYmn58, we always want dimensions
+    if (!img.getAttribute('width')) {
+        img.setAttribute('width', Math.max(img.naturalWidth ?? 0, minImageSize));
+        changedHTML = true;
     };
-    let startContainer, endContainer;
-    if (startChildNodeIndex) {
-        const startChild = startElement.childNodes[startChildNodeIndex];
-        if (_isTextNode(startChild)) {
-            startContainer = startChild;
-        } else {
-            startContainer = _firstTextNodeChild(startChild);
-        };
-    } else {
-        startContainer = _firstTextNodeChild(startElement);
-        if (!startContainer) {
-            startContainer = startElement;
-        }
+    if (!img.getAttribute('height')) {
+        img.setAttribute('height', Math.max(img.naturalHeight ?? 0, minImageSize));
+        changedHTML = true;
     };
-    if (endChildNodeIndex) {
-        const endChild = endElement.childNodes[endChildNodeIndex];
-        if (_isTextNode(endChild)) {
-            endContainer = endChild;
-        } else {
-            endContainer = _firstTextNodeChild(endChild);
-        };
+    // For history, 'focusout' just never fires, either for image or the resizeContainer
+    img.addEventListener('focusin', _focusInImage);         // Allow resizing when focused
+    // Only notify the Swift side if we modified the HTML
+    if (changedHTML) {
+        _callbackInput() // Because we changed the html
     } else {
-        endContainer = _firstTextNodeChild(endElement);
-        if (!endContainer) {
-            endContainer = endElement;
-        }
-    };
-    if (!startContainer || !endContainer) {
-        let error = MUError.CantFindContainer;
-        error.setInfo('Could not identify startContainer(' + startContainer + ') or endContainer(' + endContainer + ')');
-        error.callback();
-        return false;
-    };
-    const range = document.createRange();
-    range.setStart(startContainer, startOffset);
-    range.setEnd(endContainer, endOffset);
-    const sel = document.getSelection();
-    sel.removeAllRanges();
-    sel.addRange(range);
-    //_consoleLog(_rangeString(range, "setRange to: "));
-    _backupSelection();
-    return true;
+        _callback('updateHeight')
+    }
 };
 
 /**
- * For testing purposes, invoke undo by direct input to undoer.
- * Using MU.undo() from a test does not work properly.
+ * Callback invoked when an image is focused on (aka clicked)
+ *
+ * We set the singleton resizableImage, which highlights the resizableImage
+ * according to markup.css. We also make hide the caret, since the image highlight
+ * is showing where the selection is.
  */
-MU.testUndo = function() {
-    undoer.testUndo();
+const _focusInImage = function(ev) {
+    const img = ev.currentTarget;
+    resizableImage.select(img);
+    _hideCaret();
+    _callbackInput()
 };
 
-/**
- * For testing purposes, invoke redo by direct input to undoer.
- * Using MU.redo() from a test does not work properly.
+/*
+ * Delete the resizableImage and reset the selection properly afterward
+ *
+ * If direction is null, resizableImage was selected when we pressed Backspace
+ * or Delete. If direction==='AFTER', we Backspaced from the position after an
+ * image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
+ * before an image (which is not selected) to delete. The direction is not used
+ * until we undo, at which point we need to know how to reset the selection.
  */
-MU.testRedo = function() {
-    undoer.testRedo();
+const _deleteSelectedResizableImage = function(direction, undoable=true) {
+    if (!resizableImage.isSelected) { return };
+    const src = resizableImage.imageElement.src;
+    const alt = resizableImage.imageElement.alt;
+    const dimensions = resizableImage.currentDimensions;
+    const range = resizableImage.deleteImage();
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    if (undoable) {
+        _backupSelection();
+        const undoerData = _undoerData('deleteImage', {src: src, alt: alt, dimensions: dimensions, direction: direction, offset: range.startOffset}, range);
+        undoer.push(undoerData);
+        _restoreSelection();
+    }
+    _showCaret();
+    _callbackInput();
+    _callback('selectionChange');
+    _callback(JSON.stringify({'messageType' : 'deletedImage', 'src' : src, 'divId' : (_selectedID ?? '') }))
 };
 
 /**
- * For testing purposes, invoke _doBlockquoteEnter programmatically.
+ * Return the imageAttributes for image. If null, return attributes for the
+ * resizableImage if it contains an image.
  *
- * After the _doBlockquoteEnter, subsequent ops for undo and redo need to
- * be done using MU.testUndo
+ * @return {String : String}        Dictionary with 'src', 'alt', etc as keys; empty if not an image.
  */
-MU.testBlockquoteEnter = function() {
-    _doBlockquoteEnter()
+const _getImageAttributes = function(image=null) {
+    const attributes = {};
+    const img = image || (resizableImage && resizableImage.imageElement);
+    if (img) {
+        attributes['src'] = img.getAttribute('src');
+        attributes['alt'] = img.getAttribute('alt');
+        let width = img.getAttribute('width');
+        let height = img.getAttribute('height');
+        attributes['width'] = width ? parseInt(width) : null;
+        attributes['height'] = height ? parseInt(height) : null;
+        attributes['scale'] = _imgScale(img);
+    }
+    return attributes;
 };
 
 /**
- * For testing purposes, invoke _doListEnter programmatically.
- *
- * After the _doListEnter, subsequent ops for undo and redo need to
- * be done using MU.testUndo
+ * Reset the resizableImage based on the undoerRange and delete it.
  */
-MU.testListEnter = function() {
-    _doListEnter()
+const _undoInsertImage = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    const sel = document.getSelection();
+    const selRange = sel?.getRangeAt(0);
+    if (!selRange) { return };
+    const startContainer = selRange.startContainer;
+    let img;
+    if (_isImageElement(startContainer)) {
+        img = startContainer;
+    } else if (_isElementNode(startContainer)) {
+        const child = startContainer.childNodes[selRange.startOffset];
+        if (_isImageElement(child)) {
+            img = child;
+        };
+    };
+    if (img) {
+        resizableImage.select(img);
+    };
+    if (resizableImage.isSelected) {
+        resizableImage.deleteImage()
+        undoerData.range = document.getSelection().getRangeAt(0);
+        _showCaret();
+        _callbackInput();
+        _callback('selectionChange');
+    };
 };
 
 /**
- * For testing purposes, invoke extractContents() on the selected range
- * to make sure the selection is as expected.
+ * Do the insertImage operation following its undo.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
  */
-MU.testExtractContents = function() {
-    document.getSelection().getRangeAt(0).extractContents();
-};
-
-const _extractContentsRestoreSelection = function(range) {
-    const startContainer = range.startContainer;
-    const startOffset = range.startOffset;
-    const endContainer = range.endContainer;
-    const endOffset = range.endOffset;
-    const fragment = range.extractContents();
-    // Remove any leading or trailing empty elements in fragment.
-    // These exist just to match whatever was outside of the range and are useless.
-    if (_isEmpty(fragment.firstChild)) { fragment.removeChild(fragment.firstChild) };
-    if (_isEmpty(fragment.lastChild)) { fragment.removeChild(fragment.lastChild) };
-    if (startContainer === endContainer) { return fragment };
-    const sel = document.getSelection();
-    const restoredRange = document.createRange();
-    restoredRange.setStart(startContainer, startOffset);
-    restoredRange.setEnd(endContainer, endOffset);
-    sel.removeAllRanges();
-    sel.addRange(restoredRange);
-    return fragment;
+const _redoInsertImage = function(undoerData) {
+    // Reset the selection based on the range after the image was removed,
+    // then insert the image at that range. After the image is re-inserted,
+    // the insertImage operation leaves the selection properly set to keep
+    // typing, but we need to update the undoerData.range with the range
+    // for the newly (re)created image element.
+    _restoreUndoerRange(undoerData);
+    _backupSelection();
+    const el = MU.insertImage(undoerData.data.src, undoerData.data.alt, undoerData.data.dimensions, false);
+    const range = document.createRange();
+    range.selectNode(el);
+    undoerData.range = range;
 };
 
 /**
- * For testing purposes, execute _patchPasteHTML and return the resulting
- * html as a string. Testing in this way lets us do simple pasteHTML tests with
- * clean HTML and test the _patchPasteHTML functionality separately. The
- * purpose of _patchPasteHTML is to return "clean" HTML from arbitrary HTML
- * (typically) obtained from the paste buffer on the Swift side.
+ * Undo or redo modifyImage from the state held in undoerData.
+ *
+ * When the src changed, modifyImage replaced the image element with a new one, so we
+ * swap the old and new image elements. Otherwise, we reset the alt, width, and height
+ * of the image element that was modified.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @param {Boolean} undo        True to undo the modification; false to redo it.
  */
-MU.testPasteHTMLPreprocessing = function(html) {
-    const fragment = _patchPasteHTML(html);
-    const fragmentHTML = _fragmentHTML(fragment);
-    return fragmentHTML;
+const _undoRedoModifyImage = function(undoerData, undo) {
+    const data = undoerData.data;
+    const fromImage = undo ? data.newImage : data.oldImage;
+    const toImage = undo ? data.oldImage : data.newImage;
+    if (fromImage !== toImage) {
+        if (resizableImage.imageElement === fromImage) {
+            resizableImage.replaceImage(toImage);
+        } else {
+            fromImage.replaceWith(toImage);
+        };
+    } else {
+        const attributes = undo ? data.oldAttributes : data.newAttributes;
+        for (const [name, value] of Object.entries(attributes)) {
+            if (value === null) {
+                toImage.removeAttribute(name);
+            } else {
+                toImage.setAttribute(name, value);
+            };
+        };
+    };
+    resizableImage.select(toImage);
+    if (toImage.hasAttribute('width') && toImage.hasAttribute('height')) {
+        resizableImage.startDimensions = resizableImage.currentDimensions;
+    };
+    _hideCaret();
+    _callbackInput();
+    _callback('selectionChange');
 };
 
 /**
- * For testing purposes, execute _patchPasteHTML followed by _minimalHTML
- * and return the resulting html as a string. Testing in this way lets us do
- * simple pasteText tests with clean HTML and test the preprocessing functionality
- * separately. The purpose of _patchPasteHTML is to return "clean" HTML from
- * arbitrary HTML (typically) obtained from the paste buffer on the Swift side,
- * which is then combined with _minimalHTML to get a MarkupEditor-equivalent of
- * unformatted text.
+ * Undo or redo resizing from the state held in undoerData.
+ *
+ * After undo or redo, the undoerData is reset to the old value, so
+ * that it holds the proper starting point for the next invocation.
  */
-MU.testPasteTextPreprocessing = function(html) {
-    const fragment = _patchPasteHTML(html);
-    const minimalHTML = _minimalHTML(fragment);
-    return minimalHTML;
+const _undoRedoResizeImage = function(undoerData) {
+    const imageElement = undoerData.data.imageElement;
+    const oldDimensions = undoerData.data.startDimensions;  // dimensions to undo/redo to
+    resizableImage.select(imageElement);
+    _hideCaret();
+    const startDimensions = resizableImage.startDimensions; // dimensions we are at now
+    resizableImage.startDimensions = oldDimensions;         // Resets the image size
+    undoerData.data.startDimensions = startDimensions;      // Change undoerData for next undo/redo
+    _callback('selectionChange');
+    _callbackInput();
 };
 
 /********************************************************************************
- * Links
+ * Tables
  */
-//MARK: Links
+//MARK: Tables
 
 /**
- * Insert a link to url. When the selection is collapsed, the url is inserted
- * at the selection point as a link.
- *
- * When done, re-select the range and back it up.
+ * Insert an empty table with the specified number of rows and cols.
+ * All insert operations that involve user interaction outside of JavaScript
+ * need to be preceded by backupSelection so that range can be restored prior
+ * to the insert* operation.
+ * We leave the selection in the first cell of the first row.
+ * The operation will cause a selectionChange event.
  *
- * @param {String}  url             The url/href to use for the link
- * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ * @param   {Int}                 rows        The number of rows in the table to be created.
+ * @param   {Int}                 cols        The number of columns in the table to be created.
+ * @param   {Boolean}             undoable    True if we should push undoerData onto the undo stack.
+ * @return  {HTML Table Element}              The table element that was created, used for undo/redo.
  */
-MU.insertLink = function(url, undoable=true) {
+MU.insertTable = function(rows, cols, undoable=true) {
+    if ((rows < 1) || (cols < 1)) { return };
     _restoreSelection();
     const sel = document.getSelection();
-    if (!sel || (sel.rangeCount === 0)) { return };
-    let range;
-    if (sel.isCollapsed) {
-        range = _wordRangeAtCaret();
-    } else {
-        range = sel.getRangeAt(0);
-    };
-    // At this point, range still might be nil, because the selection was collapsed
-    // but not within a word. In this case, we want to just insert a linked url
-    const el = document.createElement('a');
-    el.setAttribute('href', url);
-    if (range) {
-        el.appendChild(range.extractContents());
-        range.deleteContents();
-        range.insertNode(el);
-    } else {
-        // Sel is collapsed, so just put el in front of it with url as its contents
-        el.appendChild(document.createTextNode(url));
-        range = sel.getRangeAt(0);
-        const startContainer = range.startContainer;
-        if (_isTextNode(startContainer)) {
-            const trailingText = startContainer.splitText(range.startOffset);
-            trailingText.parentNode.insertBefore(el, trailingText);
-        } else {
-            startContainer.parentNode.insertBefore(el, startContainer);
+    const selNode = (sel) ? sel.anchorNode : null;
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    for (let row=0; row<rows; row++) {
+        let tr = document.createElement('tr');
+        for (let col=0; col<cols; col++) {
+            let td = document.createElement('td');
+            tr.appendChild(td);
         };
+        tbody.appendChild(tr);
     };
-    range.setStart(el.firstChild, 0);
-    range.setEnd(el.firstChild, el.firstChild.textContent.length);
-    sel.removeAllRanges();
-    sel.addRange(range);
-    // Note because the selection is changing while the view is not focused,
-    // we need to backupSelection() so we can get it back when we come back
-    // into focus later.
-    _backupSelection();
+    table.appendChild(tbody);
+    const targetNode = _findFirstParentElementInNodeNames(selNode, _styleTags);
+    if (!targetNode) { return };
+    const startRange = sel.getRangeAt(0);
+    let newTable;
+    if ((targetNode.firstChild === startRange.startContainer) && (startRange.startOffset === 0)) {
+        targetNode.insertAdjacentHTML('beforebegin', table.outerHTML);
+        // We need the new table that now exists before targetNode
+        newTable = _getFirstChildWithNameWithin(targetNode.previousSibling, 'TABLE');
+    } else {
+        targetNode.insertAdjacentHTML('afterend', table.outerHTML);
+        // We need the new table that now exists after targetNode
+        newTable = _getFirstChildWithNameWithin(targetNode.nextSibling, 'TABLE');
+    }
+    // Restore the selection to leave it at the beginning of the new table
+    _restoreTableSelection(newTable, 0, 0, false);
+    // Track table insertion on the undo stack if necessary
     if (undoable) {
-        const undoerData = _undoerData('insertLink', url);
+        const undoerData = _undoerData('insertTable', {row: 0, col: 0, inHeader: false, outerHTML: table.outerHTML, startRange: startRange});
         undoer.push(undoerData);
-        _restoreSelection();
     }
     _callbackInput();
-    _callback('selectionChange')
 };
 
 /**
- * Remove the link at the selection.
+ * Delete the entire table at the selection.
  *
- * @param {Boolean} undoable        True if we should push undoerData onto the undo stack.
+ * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
  */
-MU.deleteLink = function(undoable=true) {
-    // When we call this method, sel is the text inside of an anchorNode
-    _restoreSelection();
-    const sel = document.getSelection();
-    if (sel && sel.anchorNode && sel.anchorNode.parentElement) {
-        const element = sel.anchorNode.parentElement;
-        if ('A' === element.nodeName) {
-            // Before we _unsetTag, we know what element is and can determine what to select
-            // after it is gone. We want to select all of the text that was linked-to
-            // as if the user had selected the entire link. After selecting it, then set that
-            // as the backed-up range before unsetting the tag. So, if we started with a caret
-            // selection inside of a link and removed the link, we will end up with the entire
-            // linked-to text selected when done. Now the undo operation knows the text selection
-            // and when undo happens, the link can be properly restored.
-            const linkRange = document.createRange();
-            const linkText = element.firstChild;
-            linkRange.setStart(linkText, 0);
-            linkRange.setEnd(linkText, linkText.length);
-            sel.removeAllRanges();
-            sel.addRange(linkRange);
-            _unsetTag(element, sel);
-            _backupSelection();
-            if (undoable) {
-                const undoerData = _undoerData('deleteLink', element.href);
-                undoer.push(undoerData);
-                _restoreSelection();
+MU.deleteTable = function(undoable=true) {
+    const elements = _getTableElementsAtSelection();
+    const table = elements['table'];
+    if (table) {
+        const outerHTML = table.outerHTML;
+        const row = elements['row'];
+        const col = elements['col'];
+        const inHeader = elements['thead'] != null     // Are we in the header?
+        _deleteAndResetSelection(table, 'BEFORE');
+        if (undoable) {
+            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: inHeader, outerHTML: outerHTML});
+            undoer.push(undoerData);
+            _restoreSelection();
+        };
+        _callbackInput();
+    };
+};
+
+/**
+ * Add a row before or after the current selection, whether it's in the header or body.
+ * For rows, AFTER = below; otherwise above.
+ *
+ * @param {String}  direction   Either 'BEFORE' or 'AFTER' to identify where the new row goes relative to the selection.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.addRow = function(direction, undoable=true) {
+    _backupSelection();
+    let addedRow = false;
+    const tableElements = _getTableElementsAtSelection();
+    if (!tableElements['tr']) { return };    // Not in a row, such as in the caption
+    // There will always be a table and tr and either tbody or thead
+    const table = tableElements['table'];
+    const tbody = tableElements['tbody'];
+    const thead = tableElements['thead'];
+    const rows = tableElements['rows'];
+    const cols = tableElements['cols'];
+    const row = tableElements['row'];
+    const col = tableElements['col'];
+    const outerHTML = table.outerHTML;    // The table contents before we insert a row
+    // Create an empty row with the right number of elements
+    const newRow = document.createElement('tr');
+    for (let i=0; i<cols; i++) {
+        newRow.appendChild(_emptyTd());
+    };
+    // For reference, form of insertBefore is...
+    //  let insertedNode = parentNode.insertBefore(newNode, referenceNode)
+    if (thead) {
+        if (direction === 'AFTER') {
+            // We are in the header
+            // A row after the header is the first row of the body
+            if (rows > 0) {
+                // There is at least one row in the body, so put the new one first
+                let body = _getSection(table, 'TBODY');
+                if (body) {
+                    _insertRow(body, 0);
+                    addedRow = true;
+                }
+            } else {
+                // The body doesn't exist because rows === 0
+                // Create it and put the new row in it
+                let body = document.createElement('tbody');
+                body.appendChild(newRow);
+                table.appendChild(body)
+                addedRow = true;
             }
-            _callbackInput();
         }
+    } else if (tbody) {
+        // We are in the body, so row is the index of the selected row. When the selected
+        // cell spans rows, the new row goes below the last row it spans.
+        const td = tableElements['td'] ?? tableElements['th'];
+        if (direction === 'AFTER') {
+            _insertRow(tbody, row + _cellSpan(td, 'rowspan'));
+        } else {
+            _insertRow(tbody, row);
+        }
+        addedRow = true;
+    } else {
+        _consoleLog('Could not add row');
     }
-}
+    _restoreSelection();
+    // Track row addition on the undo stack if necessary.
+    if (undoable && addedRow) {
+        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    }
+    _callbackInput();
+};
 
 /**
- * If the current selection's parent is an A tag, get the href and text.
+ * Add a column before or after the current selection, whether it's in the header or body.
  *
- * @return {String : String}        Dictionary with 'href' and 'link' as keys; empty if not a link
+ * @param {String}  direction   Either 'BEFORE' or 'AFTER' to identify where the new column goes relative to the selection.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _getLinkAttributesAtSelection = function() {
-    const link = {};
-    const sel = document.getSelection();
-    if (sel && sel.anchorNode && sel.anchorNode.parentElement) {
-        const element = sel.anchorNode.parentElement;
-        if ('A' === element.nodeName) {
-            link['href'] = element.getAttribute('href');
-            link['link'] = element.text;
-        }
-    }
-    return link;
+MU.addCol = function(direction, undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    if (!tableElements['tr']) { return };    // Not in a row, such as in the caption
+    // There will always be a table and tr and either tbody or thead
+    const table = tableElements['table'];
+    const row = tableElements['row'];
+    const col = tableElements['col'];
+    const cols = tableElements['cols'];
+    const tbody = tableElements['tbody'];
+    const thead = tableElements['thead'];
+    const colspan = tableElements['colspan'];
+    const outerHTML = table.outerHTML;  // Table contents before we add a column
+    if (tbody || (thead && !colspan)) {
+        // We have selected the body of the table or the header.
+        // In the case of selecting the header, it is a non-colspan header,
+        // so col is meaningful (otherwise it is always 1 in a colspan header).
+        // When the selected cell spans columns, a new column after it goes
+        // after the last column it spans.
+        // A header column stays first, so a column added before it goes after it instead.
+        const cell = tableElements['td'] ?? tableElements['th'];
+        let at = (direction === 'AFTER') ? col + _cellSpan(cell, 'colspan') : col;
+        if ((at === 0) && _hasHeaderColumn(table)) { at = 1 };
+        // If the columns have been resized, the new column takes half the width of
+        // the one next to it on the side of the selection
+        if (_getSection(table, 'COLGROUP')) {
+            const widths = _columnWidths(table);
+            const from = (direction === 'AFTER') ? at - 1 : at;
+            widths[from] = widths[from] / 2;
+            widths.splice(at, 0, widths[from]);
+            _setColumnWidths(table, widths);
+        };
+        // Add a new td in each row of the body
+        const body = _getSection(table, 'TBODY');
+        if (body) {
+            _insertCol(body, at, 'td');
+        };
+        const header = _getSection(table, 'THEAD');
+        if (header) {
+            // If the header exists for this table, we need to expand it, too.
+            if (colspan) {
+                let th = header.children[0].children[0];
+                th.setAttribute('colspan', cols+1)
+            } else {
+                _insertCol(header, at, 'th');
+            };
+        };
+    };
+    _restoreSelection();
+    // Track col addition on the undo stack if necessary.
+    if (undoable) {
+        // Use restoreTable to handle addCol undo/redo
+        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
 };
 
 /**
- * Do the insertLink operation following a deleteLink operation
- * Used to undo the deleteLink operation and to do the insertLink operation.
+ * Add a header to the table at the selection.
  *
- * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @param {Boolean} colspan     Whether the header should span all columns of the table or not.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _redoInsertLink = function(undoerData) {
-    // Reset the selection based on the range after the link was removed,
-    // then insert the link at that range. After the link is re-inserted,
-    // the insertLink operation leaves the selection properly set,
-    // but we have to update the undoerData.range to reflect it.
-    _restoreUndoerRange(undoerData);
+MU.addHeader = function(colspan=true, undoable=true) {
     _backupSelection();
-    MU.insertLink(undoerData.data, false);
-    _backupUndoerRange(undoerData);
-}
+    const tableElements = _getTableElementsAtSelection();
+    if (!tableElements['table']) { return };
+    // The tbody or the caption has to be selected
+    const table = tableElements['table'];
+    const row = tableElements['row'];
+    const col = tableElements['col'];
+    const cols = tableElements['cols'];
+    const inCaption = tableElements['caption'] != null;
+    const tbody = tableElements['tbody'] ?? ((inCaption && !_getSection(table, 'THEAD')) ? _getSection(table, 'TBODY') : null);
+    const outerHTML = table.outerHTML;
+    if (tbody) {
+        const header = document.createElement('thead');
+        const tr = document.createElement('tr');
+        if (colspan) {
+            let th = _emptyTh();
+            th.setAttribute('colspan', cols);
+            tr.appendChild(th);
+            header.appendChild(tr);
+        } else {
+            for (let i=0; i<cols; i++) {
+                let th = _emptyTh();
+                tr.appendChild(th);
+            }
+            header.appendChild(tr);
+        };
+        table.insertBefore(header, tbody);
+    };
+    _restoreSelection();
+    if (undoable) {
+        // Use restoreTable to handle addHeader undo/redo
+        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: false, inCaption: inCaption, outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
+};
 
 /**
- * Do the deleteLink operation following an insertLink operation
- * Used to undo the insertLink operation and to do the deleteLink operation.
+ * Add a caption to the table at the selection, if it doesn't have one already.
  *
- * @param {Object}  undoerData  The undoerData instance created at push time.
- */
-const _redoDeleteLink = function(undoerData) {
-    // Reset the selection based on the range after insert was done,
-    // then remove the link at that range. When the link is re-removed,
-    // the deleteLink operation leaves the selection properly set,
-    // but we have to update the undoerData.range to reflect it.
-    _restoreUndoerRange(undoerData);
-    _backupSelection();
-    MU.deleteLink(false);
-    _backupUndoerRange(undoerData);
-}
-
-/********************************************************************************
- * Images
- */
-//MARK: Images
-
-/**
- * Insert the image at src with alt text, signaling updateHeight when done loading.
- * All insert operations that involve user interaction outside of JavaScript
- * need to be preceded by backupSelection so that selection can be restored prior
- * to the insert* operation.
- * We leave the selection after the inserted image.
- * The operation will cause a selectionChange event.
+ * The caption goes first in the table, as HTML requires, and holds a paragraph with
+ * text, or an empty paragraph ready to be typed into. The selection stays where it was.
  *
- * @param {String}              src         The url of the image.
- * @param {String}              alt         The alt text describing the image.
- * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
- * @return {HTML Image Element}             The image element that was created, used for undo/redo.
+ * @param {String}  text        The text of the caption, which may be empty.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.insertImage = function(src, alt, undoable=true) {
-    const img = _insertImageAtSelection(src, alt);
-    _selectFollowingInsertImage(img, 'AFTER');
-    // Track image insertion on the undo stack if necessary and hold onto the new image element's range
-    // Note that the range tracked on the undo stack is not the same as the selection, which has been
-    // set to make continued typing easy after inserting the image.
+MU.addCaption = function(text='', undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    if (!table || _getSection(table, 'CAPTION')) { return };
+    const outerHTML = table.outerHTML;
+    const caption = document.createElement('caption');
+    const p = document.createElement('p');
+    if (text.length > 0) {
+        p.textContent = text;
+    } else {
+        p.appendChild(document.createElement('br'));
+    };
+    caption.appendChild(p);
+    table.insertBefore(caption, table.firstChild);
+    _restoreSelection();
     if (undoable) {
-        const imgRange = document.createRange();
-        imgRange.selectNode(img);
-        const undoerData = _undoerData('insertImage', {src: src, alt: alt}, imgRange);
+        const inHeader = tableElements['thead'] != null;
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: inHeader, outerHTML: outerHTML});
         undoer.push(undoerData);
         _restoreSelection();
     };
     _callbackInput();
-    return img;
 };
 
 /**
- * Modify the attributes of the image at selection.
- * Scale is a percentage like '80' where null means 100%.
- * Scale is always expressed relative to full scale.
+ * Remove the caption from the table at the selection.
  *
- * @param {String}              src         The url of the image.
- * @param {String}              alt         The alt text describing the image.
- * @param {Int}                 scale       The scale as a percentage of original's naturalWidth/Height.
- * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.modifyImage = function(src, alt, scale, undoable=true) {
-    if (!resizableImage.isSelected) { return };   // Can't modify an image that isn't selected
-    if (!src) {
-        _deleteSelectedResizableImage('AFTER', undoable);
-        return;
+MU.removeCaption = function(undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    const caption = (table) ? _getSection(table, 'CAPTION') : null;
+    if (!caption) { return };
+    const outerHTML = table.outerHTML;
+    const inCaption = tableElements['caption'] != null;
+    table.removeChild(caption);
+    if (inCaption) {
+        // The selection was in the caption, so leave it at the beginning of the table
+        _selectCell(table.querySelector('td, th'));
+        _backupSelection();
     };
-    const img = resizableImage.imageElement;
-    const existingSrc = img.getAttribute('src');
-    const existingAlt = img.getAttribute('alt');
-    const existingWidth = img.getAttribute('width');
-    const existingHeight = img.getAttribute('height');
-    if (src === existingSrc) {
-        if (alt !== existingAlt) { img.setAttribute('alt', alt) };
-        let width, height;
-        if (scale) {
-            width = _percentInt(scale, img.naturalWidth);
-            height = _percentInt(scale, img.naturalHeight);
-            if ((width !== existingWidth) || (height !== existingHeight)) {
-                img.setAttribute('width', width);
-                img.setAttribute('height', height);
-            };
-        };
-        _callbackInput();
-        _callback('selectionChange');
-    } else {
-        const newImg = document.createElement('img');
-        newImg.setAttribute('alt', alt);
-        _setSrc(newImg, src, _selectedID);   // Will make newImg selected and call input/selectionChange
+    _restoreSelection();
+    if (undoable) {
+        const inHeader = tableElements['thead'] != null;
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: inHeader, inCaption: inCaption, outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
     };
-    //TODO: Make modifyImage properly undoable again
-};
-
-
-MU.cutImage = function() {
-    if (!resizableImage.isSelected) { return };   // Can't cut an image that isn't selected
-    resizableImage.copyToClipboard();
-    resizableImage.deleteImage();
-    _showCaret();
+    _callbackInput();
 };
 
 /**
- * Set up load events 1) to call back to tell the Swift side the image
- * loaded, and to select the image once it's loaded. Do the same on error
- * to handle the case of "broken images". Then set src. Pass-along the divId
- * the image was placed in.
+ * Make the cells in the first column of the table body into row headers, so the table
+ * has a header column as well as, or instead of, a header row.
+ *
+ * The cells become THs with scope="row", keeping their contents and attributes.
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _setSrc = function(img, src, divId) {
-    img.addEventListener('load', function() {
-        _callback(JSON.stringify({'messageType' : 'addedImage', 'src' : src, 'divId' : (divId ?? '') }));
-    });
-    img.addEventListener('load', function() {
-        _makeSelected(img);
-    });
-    img.addEventListener('error', function() {
-       _callback(JSON.stringify({'messageType' : 'addedImage', 'src' : src, 'divId' : (divId ?? '') }));
-    });
-    img.addEventListener('load', function() {
-        _makeSelected(img);
-    });
-    img.setAttribute('src', src);
-};
-
-const _makeSelected = function(img) {
-    _prepImage(img);
-    if (resizableImage.isSelected) {
-        resizableImage.replaceImage(img);
-    } else {
-        resizableImage.select(img);
-        _hideCaret();
-    };
+MU.addHeaderColumn = function(undoable=true) {
+    _setHeaderColumn(true, undoable);
 };
 
 /**
- * Insert the image at the current selection point.
+ * Make the row headers in the first column of the table body back into ordinary cells.
  *
- * @param {String}              src         The url of the image.
- * @param {String}              alt         The alt text describing the image.
- * @param {Int, Int}            dimensions  The width and height of the image.
- * @return {HTML Image Element}             The image element that was inserted.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _insertImageAtSelection = function(src, alt, dimensions) {
-    const sel = document.getSelection();
-    const range = sel.getRangeAt(0);
-    const img = document.createElement('img');
-    if (alt) {
-        img.setAttribute('alt', alt);
-    };
-    if (dimensions) {
-        img.setAttribute('width', dimensions.width);
-        img.setAttribute('height', dimensions.height);
-    }
-    const sib = _siblingAtSelection();
-    if (_isBRElement(sib)) {
-        sib.replaceWith(img);
-    } else {
-        range.insertNode(img);
-    };
-    _setSrc(img, src, _selectedID)   // Initiate load/error callback and prepping of image
-    return img;
+MU.removeHeaderColumn = function(undoable=true) {
+    _setHeaderColumn(false, undoable);
 };
 
-/*
- * Reset the selection after an image has been inserted.
- *
- * @param {HTML Image Element}  img         The image element to set selection based on
- * @param {String || null}      direction   Whether to put the selection BEFORE, AFTER or at the image element
+/**
+ * Replace the cells in the first column of the table body at the selection with THs when
+ * on is true, or with TDs otherwise. Cells that span rows are replaced once.
  *
- * If the direction is specified, then we need to select the proper element either
- * before or after the image. If not, then we need to hide the caret and select
- * the image itself.
+ * @param {Boolean} on          True to make a header column; false to remove it.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _selectFollowingInsertImage = function(img, direction) {
-    // After inserting the image, we want to leave the selection either before
-    // or after it, or just select the image itself, depending on the context.
-    if ((direction !== 'AFTER') && (direction !== 'BEFORE')) {
-        resizableImage.select(img);
-        _hideCaret()
-        _callbackInput();
-        _callback('selectionChange');
-    } else {
-        _selectFollowingInsert(img, direction);
+const _setHeaderColumn = function(on, undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    const tbody = (table) ? _getSection(table, 'TBODY') : null;
+    if (!tbody || (_hasHeaderColumn(table) === on)) { return };
+    const outerHTML = table.outerHTML;
+    const firstCells = new Set(_tableGrid(tbody).map(cells => cells[0]).filter(cell => cell));
+    firstCells.forEach(cell => {
+        const newCell = document.createElement((on) ? 'th' : 'td');
+        Array.from(cell.attributes).forEach(attribute => newCell.setAttribute(attribute.name, attribute.value));
+        if (on) {
+            newCell.setAttribute('scope', 'row');
+        } else {
+            newCell.removeAttribute('scope');
+        };
+        while (cell.firstChild) {
+            newCell.appendChild(cell.firstChild);
+        };
+        cell.parentNode.replaceChild(newCell, cell);
+    });
+    _restoreSelection();
+    if (undoable) {
+        const inHeader = tableElements['thead'] != null;
+        const inCaption = tableElements['caption'] != null;
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: inHeader, inCaption: inCaption, outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
     };
+    _callbackInput();
 };
 
 /**
- * Undo the previous deletion operation on an image
+ * Return whether every row of the body of table starts with a TH, making a header column.
  */
-const _undoDeleteImage = function(undoerData) {
-    const src = undoerData.data.src;
-    const alt = undoerData.data.alt;
-    const dimensions = undoerData.data.dimensions;
-    // If direction is null, resizableImage was selected when we pressed Backspace
-    // or Delete. If direction==='AFTER', we Backspaced from the position after an
-    // image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
-    // before an image (which is not selected) to delete.
-    const direction = undoerData.data.direction;
-    const offset = undoerData.data.offset;
-    const newRange = undoerData.range;
-    newRange.setStart(newRange.startContainer, offset);
-    newRange.setEnd(newRange.startContainer, offset);
-    const sel = document.getSelection();
-    sel.removeAllRanges();
-    sel.addRange(newRange);
-    const img = _insertImageAtSelection(src, alt, dimensions);
-    _selectFollowingInsertImage(img, direction);
-    undoerData.range = document.getSelection().getRangeAt(0);
+const _hasHeaderColumn = function(table) {
+    const tbody = _getSection(table, 'TBODY');
+    if (!tbody) { return false };
+    const grid = _tableGrid(tbody);
+    return (grid.length > 0) && grid.every(cells => cells[0]?.nodeName === 'TH');
 };
 
+
 /**
- * Redo the previous deletion operation on an image.
+ * Delete the row at the selection point in the table.
  *
- * The
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _redoDeleteImage = function(undoerData) {
-    const src = undoerData.data.src;
-    const alt = undoerData.data.alt;
-    const dimensions = undoerData.data.dimensions;
-    _restoreUndoerRange(undoerData);
-    // If direction is null, resizableImage was selected when we pressed Backspace
-    // or Delete. If direction==='AFTER', we Backspaced from the position after an
-    // image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
-    // before an image (which is not selected) to delete.
-    const direction = undoerData.data.direction;
-    let sib;
-    if (resizableImage.isSelected) {
-        resizableImage.deleteImage(false)
-        _showCaret();
-    } else if (direction === 'AFTER') {
-        sib = _siblingAtSelection('BEFORE');
-        if (_isImageElement(sib)) {
-            resizableImage.select(sib);
-            // Altho we deleted the image BEFORE the selection,
-            // we want to pass 'AFTER' here to indicate where
-            // the cursor should be positioned on undo.
-            _deleteSelectedResizableImage('AFTER', false);
+MU.deleteRow = function(undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    if (!tableElements['tr']) { return };    // Not in a row, such as in the caption
+    // There will always be a table and tr and either tbody or thead
+    // tr might be the row in the header or a row in the body
+    const table = tableElements['table'];
+    const thead = tableElements['thead'];
+    const tbody = tableElements['tbody'];
+    const tr = tableElements['tr'];
+    const outerHTML = table.outerHTML;
+    const row = tableElements['row'];
+    const col = tableElements['col'];
+    let newTr;
+    if (thead) {
+        // We are going to delete the header,
+        // So we will identify the first body cell
+        // for selection after deleting
+        const body = _getSection(table, 'TBODY');
+        if (body) {
+            newTr = body.firstElementChild;
+        }
+    } else if (tbody) {
+        // We are going to delete a body row,
+        // So we will choose the nextSib if there is one,
+        // or prevSib if not, or even the header if we have to
+        // for selection after deleting
+        if (tr.nextElementSibling) {
+            newTr = tr.nextElementSibling;
+        } else if (tr.previousElementSibling) {
+            newTr = tr.previousElementSibling;
+        } else if (_getSection(table, 'THEAD')) {
+            const header = _getSection(table, 'THEAD');
+            newTr = header.firstElementChild;
+        }
+    }
+    if (newTr) {
+        // There is a row left, so we will do the remove and select the first element of the newTr
+        _deleteRow(tr);
+        _selectCol(newTr, 0);
+        if (undoable) {
+            const undoerData = _undoerData('restoreTable', {outerHTML: outerHTML, row: row, col: col, inHeader: (thead != null)});
+            undoer.push(undoerData);
+            _restoreSelection();
         };
-    } else if (direction === 'BEFORE') {
-        sib = _siblingAtSelection('AFTER');
-        if (_isImageElement(sib)) {
-            resizableImage.select(sib);
-            // Altho we deleted the image BEFORE the selection,
-            // we want to pass 'AFTER' here to indicate where
-            // the cursor should be positioned on undo.
-            _deleteSelectedResizableImage('BEFORE', false);
+    } else {
+        // We just removed everything in the table, so let's just get rid of it.
+        _deleteAndResetSelection(table, 'BEFORE');
+        if (undoable) {
+            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+            undoer.push(undoerData);
+            _restoreSelection();
         };
-    };
-    undoerData.range = document.getSelection().getRangeAt(0);
+    }
+    _callbackInput();
 };
 
 /**
- * Callback invoked after the load or error event on an image
+ * Delete the column at the selection point in the table.
  *
- * The purpose of this method is to set attributes of every image to be
- * selectable and resizable and to have width and height preset.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _prepImage = function(img) {
-    let changedHTML = false;
-    if (img.getAttribute('class') !== 'resize-image') {
-        img.setAttribute('class', 'resize-image');          // Make it resizable
-        changedHTML = true;
-    }
-    if (img.getAttribute('tabindex') !== "-1") {
-        img.setAttribute('tabindex', -1);                   // Make it selectable
-        changedHTML = true;
+MU.deleteCol = function(undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    if (!tableElements['tr']) { return };    // Not in a row, such as in the caption
+    // There will always be a table and tr and either tbody or thead
+    // tr might be the row in the header or a row in the body
+    const table = tableElements['table'];
+    const thead = tableElements['thead'];
+    const tbody = tableElements['tbody'];
+    const newTr = tableElements['tr'];
+    const cols = tableElements['cols'];
+    const col = tableElements['col'];
+    const colspan = tableElements['colspan'];
+    const outerHTML = table.outerHTML;
+    const row = tableElements['row'];
+    let newCol;
+    if ((tbody || (thead && !colspan)) && cols > 1) {
+        // newCol identifies the column to select in newTr after deleting
+        if (col === cols - 1) {
+            newCol = col - 1;   // In the last col, so decrement 1
+        } else {
+            newCol = col;       // Leave in the same column (i.e., the one after the col being deleted)
+        }
+    } else if ((cols > 1) && thead && colspan) {
+        // We really can't do anything when delete column is selected when in header w/colspan
+        // since we have no idea what column to delete unless there is only one
+        return;
+    } else if (cols === 1) {
+        // We are deleting the last column of the table
+        _deleteAndResetSelection(table, 'BEFORE');
+        if (undoable) {
+            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+            undoer.push(undoerData);
+            _restoreSelection();
+        };
+        _callbackInput();
+        return;
     }
-    // Per https://www.youtube.com/watch?v=YM3KszYmn58, we always want dimensions
-    if (!img.getAttribute('width')) {
-        img.setAttribute('width', Math.max(img.naturalWidth ?? 0, minImageSize));
-        changedHTML = true;
+    // newCol should be non-null if we got here; iow, we will be deleting a column and leaving
+    // the remaining table in place with a cell selected.
+    // Now delete the column elements from each row and the header
+    const widths = (_getSection(table, 'COLGROUP')) ? _columnWidths(table) : null;
+    const body = _getSection(table, 'TBODY');
+    if (body) {
+        _deleteCol(body, col);
     };
-    if (!img.getAttribute('height')) {
-        img.setAttribute('height', Math.max(img.naturalHeight ?? 0, minImageSize));
-        changedHTML = true;
+    const header = _getSection(table, 'THEAD');
+    if (header) {
+        if (colspan) {
+            const th = header.children[0].children[0];
+            th.setAttribute('colspan', cols-1);
+        } else {
+            _deleteCol(header, col);
+        };
     };
-    // For history, 'focusout' just never fires, either for image or the resizeContainer
-    img.addEventListener('focusin', _focusInImage);         // Allow resizing when focused
-    // Only notify the Swift side if we modified the HTML
-    if (changedHTML) {
-        _callbackInput() // Because we changed the html
-    } else {
-        _callback('updateHeight')
-    }
+    // If the columns have been resized, the width of the deleted column goes to newCol
+    if (widths) {
+        const width = widths.splice(col, 1)[0];
+        widths[newCol] += width;
+        _setColumnWidths(table, widths);
+    };
+    // Then, since newTr still exists, select the newCol child in it
+    _selectCol(newTr, newCol)
+    if (undoable) {
+        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
 };
 
 /**
- * Callback invoked when an image is focused on (aka clicked)
+ * Merge the cells selected in the body of the table into a single cell that spans
+ * their rows and columns.
  *
- * We set the singleton resizableImage, which highlights the resizableImage
- * according to markup.css. We also make hide the caret, since the image highlight
- * is showing where the selection is.
+ * The rectangle of selected cells includes the full extent of cells that already
+ * span rows or columns. The contents of the non-empty cells are moved into the
+ * top-left cell, which is the one that remains.
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _focusInImage = function(ev) {
-    const img = ev.currentTarget;
-    resizableImage.select(img);
-    _hideCaret();
-    _callbackInput()
+MU.mergeCells = function(undoable=true) {
+    _backupSelection();
+    const cellRange = _selectedCellRange();
+    if (!cellRange || (cellRange.section.nodeName !== 'TBODY')) { return };
+    const tableElements = _getTableElementsAtSelection();
+    const table = cellRange.section.parentNode;
+    const outerHTML = table.outerHTML;
+    const cells = cellRange.cells;
+    if (cells.length < 2) { return };
+    const mergedCell = cells[0];
+    for (let i=1; i<cells.length; i++) {
+        const cell = cells[i];
+        if (!_isEmpty(cell)) {
+            if (_isEmpty(mergedCell)) {
+                mergedCell.innerHTML = '';
+            };
+            while (cell.firstChild) {
+                mergedCell.appendChild(cell.firstChild);
+            };
+        };
+        cell.parentNode.removeChild(cell);
+    };
+    _setCellSpan(mergedCell, 'rowspan', cellRange.bottom - cellRange.top + 1);
+    _setCellSpan(mergedCell, 'colspan', cellRange.right - cellRange.left + 1);
+    _selectCell(mergedCell);
+    if (undoable) {
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: false, outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
 };
 
-/*
- * Delete the resizableImage and reset the selection properly afterward
+/**
+ * Return [top, left, bottom, right] for the smallest rectangle in grid that holds
+ * startCell and endCell and every cell that spans into it.
+ *
+ * @param {[[HTML Table Cell Element]]} grid        The grid returned from _tableGrid.
+ * @param {HTML Table Cell Element}     startCell   A cell at one corner of the rectangle.
+ * @param {HTML Table Cell Element}     endCell     A cell at the opposite corner of the rectangle.
+ * @return {[Int]}                                  The first and last rows and cols of the rectangle.
+ */
+const _cellRangeBounds = function(grid, startCell, endCell) {
+    let top = grid.length;
+    let left = _gridWidth(grid);
+    let bottom = -1;
+    let right = -1;
+    const include = function(cell) {
+        const [row, col] = _cellPosition(grid, cell);
+        const lastRow = Math.min(row + _cellSpan(cell, 'rowspan'), grid.length) - 1;
+        const lastCol = col + _cellSpan(cell, 'colspan') - 1;
+        if ((row >= top) && (col >= left) && (lastRow <= bottom) && (lastCol <= right)) { return false };
+        top = Math.min(top, row);
+        left = Math.min(left, col);
+        bottom = Math.max(bottom, lastRow);
+        right = Math.max(right, lastCol);
+        return true;
+    };
+    include(startCell);
+    include(endCell);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (let row=top; row<=bottom; row++) {
+            for (let col=left; col<=right; col++) {
+                const cell = grid[row][col];
+                if (cell && include(cell)) { grew = true };
+            };
+        };
+    };
+    return [top, left, bottom, right];
+};
+
+/**
+ * Split the cell at the selection that spans rows or columns, so that every place it
+ * spanned except its top-left one holds a new empty cell. The contents of the cell
+ * remain in it.
  *
- * If direction is null, resizableImage was selected when we pressed Backspace
- * or Delete. If direction==='AFTER', we Backspaced from the position after an
- * image (which is not selected) to delete; if 'BEFORE', we Deleted from the position
- * before an image (which is not selected) to delete. The direction is not used
- * until we undo, at which point we need to know how to reset the selection.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _deleteSelectedResizableImage = function(direction, undoable=true) {
-    if (!resizableImage.isSelected) { return };
-    const src = resizableImage.imageElement.src;
-    const alt = resizableImage.imageElement.alt;
-    const dimensions = resizableImage.currentDimensions;
-    const range = resizableImage.deleteImage();
-    const sel = document.getSelection();
-    sel.removeAllRanges();
-    sel.addRange(range);
+MU.splitCell = function(undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    const cell = tableElements['td'] ?? tableElements['th'];
+    const tbody = tableElements['tbody'];
+    if (!cell || !tbody) { return };
+    const rowspan = _cellSpan(cell, 'rowspan');
+    const colspan = _cellSpan(cell, 'colspan');
+    if ((rowspan === 1) && (colspan === 1)) { return };
+    const table = tableElements['table'];
+    const row = tableElements['row'];
+    const col = tableElements['col'];
+    const outerHTML = table.outerHTML;
+    const headerColumn = _hasHeaderColumn(table);
+    const grid = _tableGrid(tbody);
+    const rows = tbody.children;
+    for (let r=row; (r<row+rowspan) && (r<rows.length); r++) {
+        const tr = rows[r];
+        if (r === row) {
+            for (let i=1; i<colspan; i++) {
+                tr.insertBefore(_emptyTd(), cell.nextElementSibling);
+            };
+        } else {
+            // Rows below a row header that is split keep one of their own
+            const nextCell = _cellAtOrAfter(grid, tr, r, col + colspan);
+            for (let i=0; i<colspan; i++) {
+                const newCell = ((col + i === 0) && headerColumn) ? _emptyTh() : _emptyTd();
+                if (newCell.nodeName === 'TH') { newCell.setAttribute('scope', 'row') };
+                tr.insertBefore(newCell, nextCell);
+            };
+        };
+    };
+    _setCellSpan(cell, 'rowspan', 1);
+    _setCellSpan(cell, 'colspan', 1);
+    _restoreSelection();
     if (undoable) {
-        _backupSelection();
-        const undoerData = _undoerData('deleteImage', {src: src, alt: alt, dimensions: dimensions, direction: direction, offset: range.startOffset}, range);
+        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: false, outerHTML: outerHTML});
         undoer.push(undoerData);
         _restoreSelection();
-    }
-    _showCaret();
+    };
     _callbackInput();
-    _callback('selectionChange');
-    _callback(JSON.stringify({'messageType' : 'deletedImage', 'src' : src, 'divId' : (_selectedID ?? '') }))
 };
 
 /**
- * Return the imageAttributes for image. If null, return attributes for the
- * resizableImage if it contains an image.
+ * Sort the rows of the table body by the contents of their cells in column col.
  *
- * @return {String : String}        Dictionary with 'src', 'alt', etc as keys; empty if not an image.
- */
-const _getImageAttributes = function(image=null) {
-    const attributes = {};
-    const img = image || (resizableImage && resizableImage.imageElement);
-    if (img) {
-        attributes['src'] = img.getAttribute('src');
-        attributes['alt'] = img.getAttribute('alt');
-        let width = img.getAttribute('width');
-        let height = img.getAttribute('height');
-        attributes['width'] = width ? parseInt(width) : null;
-        attributes['height'] = height ? parseInt(height) : null;
-        attributes['scale'] = _imgScale(img);
-    }
-    return attributes;
-};
-
-/**
- * Reset the resizableImage based on the undoerRange and delete it.
+ * The header is left alone. Rows whose cells in col are empty or can't be read as the
+ * type being compared go last, whatever the direction. Rows that compare the same keep
+ * their order. Text is compared ignoring case, with runs of digits compared as numbers.
+ * The selection moves with the cell it's in.
+ *
+ * Rows can't be sorted when cells in the body span rows, since the rows they span
+ * would no longer be next to each other.
+ *
+ * @param {Int}     col         The column to sort by.
+ * @param {String}  direction   Either 'ASCENDING' or 'DESCENDING'.
+ * @param {String}  type        How to compare the cells, either 'TEXT', 'NUMBER', or 'DATE'.
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-const _undoInsertImage = function(undoerData) {
-    _restoreUndoerRange(undoerData);
-    const sel = document.getSelection();
-    const selRange = sel?.getRangeAt(0);
-    if (!selRange) { return };
-    const startContainer = selRange.startContainer;
-    let img;
-    if (_isImageElement(startContainer)) {
-        img = startContainer;
-    } else if (_isElementNode(startContainer)) {
-        const child = startContainer.childNodes[selRange.startOffset];
-        if (_isImageElement(child)) {
-            img = child;
-        };
-    };
-    if (img) {
-        resizableImage.select(img);
+MU.sortTable = function(col, direction='ASCENDING', type='TEXT', undoable=true) {
+    _backupSelection();
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    if (!table) { return };
+    const tbody = _getSection(table, 'TBODY');
+    if (!tbody || (col < 0) || (col >= tableElements['cols'])) { return };
+    if (tbody.querySelector('td[rowspan], th[rowspan]')) {
+        MUError.CantSortTable.callback();
+        return;
     };
-    if (resizableImage.isSelected) {
-        resizableImage.deleteImage()
-        undoerData.range = document.getSelection().getRangeAt(0);
-        _showCaret();
-        _callbackInput();
-        _callback('selectionChange');
+    const outerHTML = table.outerHTML;
+    const grid = _tableGrid(tbody);
+    const rows = Array.from(tbody.children).map(function(tr, row) {
+        const cell = grid[row][col];
+        return {tr: tr, key: _sortKey(cell ? cell.textContent.trim() : '', type)};
+    });
+    const ascending = direction !== 'DESCENDING';
+    rows.sort(function(a, b) {
+        if (a.key === null) { return (b.key === null) ? 0 : 1 };
+        if (b.key === null) { return -1 };
+        let order;
+        if (type === 'TEXT') {
+            order = a.key.localeCompare(b.key, undefined, {numeric: true, sensitivity: 'base'});
+        } else {
+            order = a.key - b.key;
+        };
+        return ascending ? order : -order;
+    });
+    if (rows.every((row, index) => row.tr === tbody.children[index])) { return };
+    rows.forEach(row => tbody.appendChild(row.tr));
+    _restoreSelection();
+    if (undoable) {
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: (tableElements['thead'] != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
     };
+    _callbackInput();
 };
 
 /**
- * Do the insertImage operation following a modifyImage operation
- * Used to undo the modifyImage/remove operation and to do the insertImage operation.
+ * Return the value to sort a cell by, given its text, or null if it is empty or
+ * can't be read as type.
  *
- * @param {Object}  undoerData  The undoerData instance created at push time.
+ * Numbers can include grouping separators, currency symbols, and percent signs, which
+ * are ignored. Dates are anything that Date.parse understands.
+ *
+ * @param {String}  text    The trimmed textContent of the cell.
+ * @param {String}  type    Either 'TEXT', 'NUMBER', or 'DATE'.
+ * @return {String | Number | null}     The text, number, or time in milliseconds to compare.
  */
-const _redoInsertImage = function(undoerData) {
-    // Reset the selection based on the range after the image was removed,
-    // then insert the image at that range. After the image is re-inserted,
-    // the insertImage operation leaves the selection properly set to keep
-    // typing, but we need to update the undoerData.range with the range
-    // for the newly (re)created image element.
-    _restoreUndoerRange(undoerData);
-    _backupSelection();
-    const el = MU.insertImage(undoerData.data.src, undoerData.data.alt, undoerData.data.dimensions, false);
-    const range = document.createRange();
-    range.selectNode(el);
-    undoerData.range = range;
+const _sortKey = function(text, type) {
+    if (text.length === 0) { return null };
+    let key;
+    switch (type) {
+        case 'NUMBER':
+            key = parseFloat(text.replace(/[^0-9eE.+-]/g, ''));
+            break;
+        case 'DATE':
+            key = Date.parse(text);
+            break;
+        default:
+            return text;
+    };
+    return isNaN(key) ? null : key;
 };
 
 /**
- * Do the modifyImage operation following an insertImage operation
- * Used to undo the insertImage operation and to do the modifyImage/remove operation.
+ * Return the data in the table at the selection, or in every table in the div identified
+ * by divID, as text in format.
  *
- * @param {Object}  undoerData  The undoerData instance created at push time.
+ * The formats are:
+ * 1. 'CSV' and 'TSV', which quote fields holding the delimiter, double quotes, or newlines.
+ * 2. 'JSON', an array with an object for each table, holding the 2-D array of its text
+ *      in 'rows' and the number of those rows that come from the header in 'headerRows'.
+ * 3. 'MARKDOWN', a GFM table, keeping the inline formatting of the cells. The header
+ *      row is empty when the table has no header, as it is for MU.getMarkdown.
+ *
+ * Cells that span rows or columns, including a header that spans all columns, provide
+ * their contents at their top-left place, and the other places they span are empty.
+ * In all formats other than JSON, the tables are separated by a blank line.
+ *
+ * @param {String}  format  One of 'CSV', 'TSV', 'JSON', or 'MARKDOWN'.
+ * @param {String}  divID   The id of the div to get all the tables from; the table at the selection if not specified.
+ * @return {String}         The table data, which is empty if there is no table.
  */
-const _redoModifyImage = function(undoerData) {
-    // The undoerData has the range to select to remove the image;
-    // iow, the image exists when modifyImage is called.
-    // Once the image is removed, the selection is set properly, and
-    // we don't want to update the undoerData.
-    // Remove image is done with modifyImage but with src=null.
-    _restoreUndoerRange(undoerData);
-    _backupSelection();
-    MU.modifyImage(null, null, null, false);
+MU.getTableData = function(format='CSV', divID) {
+    let tables;
+    if (divID) {
+        const div = document.getElementById(divID);
+        if (!div) {
+            MUError.NoDiv.callback();
+            return "";
+        };
+        tables = Array.from(div.querySelectorAll('table'));
+    } else {
+        const table = _getTableElementsAtSelection()['table'];
+        tables = (table) ? [table] : [];
+    };
+    switch (format) {
+        case 'JSON':
+            return JSON.stringify(tables.map(table => _tableData(table, _cellText)));
+        case 'MARKDOWN':
+            return tables.map(table => _tableDataMarkdown(_tableData(table, _markdownTableCell))).join('\n\n');
+        default:
+            const delimiter = (format === 'TSV') ? '\t' : ',';
+            return tables.map(table => _tableDataDelimited(_tableData(table, _cellText), delimiter)).join('\n\n');
+    };
 };
 
 /**
- * Undo or redo resizing from the state held in undoerData.
+ * Return the rows of table as a 2-D array of the strings that cellString returns for
+ * each cell, along with the number of rows that come from the header.
  *
- * After undo or redo, the undoerData is reset to the old value, so
- * that it holds the proper starting point for the next invocation.
+ * @param {HTML Table Element}  table       The table to get the data from.
+ * @param {Function}            cellString  Returns the string for a TD or TH.
+ * @return {Object}                         The headerRows and rows of the table.
  */
-const _undoRedoResizeImage = function(undoerData) {
-    const imageElement = undoerData.data.imageElement;
-    const oldDimensions = undoerData.data.startDimensions;  // dimensions to undo/redo to
-    resizableImage.select(imageElement);
-    _hideCaret();
-    const startDimensions = resizableImage.startDimensions; // dimensions we are at now
-    resizableImage.startDimensions = oldDimensions;         // Resets the image size
-    undoerData.data.startDimensions = startDimensions;      // Change undoerData for next undo/redo
-    _callback('selectionChange');
-    _callbackInput();
+const _tableData = function(table, cellString) {
+    const cols = _getRowsCols(table)[1];
+    const rows = [];
+    let headerRows = 0;
+    ['THEAD', 'TBODY'].forEach(name => {
+        const section = _getSection(table, name);
+        if (!section) { return };
+        const grid = _tableGrid(section);
+        grid.forEach((cells, row) => {
+            const strings = [];
+            for (let col=0; col<cols; col++) {
+                const cell = cells[col];
+                const [cellRow, cellCol] = (cell) ? _cellPosition(grid, cell) : [-1, -1];
+                strings.push(((cellRow === row) && (cellCol === col)) ? cellString(cell) : '');
+            };
+            rows.push(strings);
+        });
+        if (name === 'THEAD') { headerRows = rows.length };
+    });
+    return {headerRows: headerRows, rows: rows};
 };
 
-/********************************************************************************
- * Tables
+/**
+ * Return the plain text of cell, with a line for each paragraph and line break.
  */
-//MARK: Tables
+const _cellText = function(cell) {
+    const lines = [];
+    let line = '';
+    const addText = function(node) {
+        node.childNodes.forEach((child, index) => {
+            if (child.nodeName === 'BR') {
+                // A BR that ends an element only makes it selectable
+                if (index < node.childNodes.length - 1) { line += '\n' };
+            } else if (_isElementNode(child)) {
+                addText(child);
+            } else {
+                line += child.textContent;
+            };
+        });
+    };
+    cell.childNodes.forEach(child => {
+        if (_isTextNode(child) || _isInlined(child)) {
+            addText({childNodes: [child]});
+        } else {
+            if (line.length > 0) { lines.push(line) };
+            line = '';
+            addText(child);
+            lines.push(line);
+            line = '';
+        };
+    });
+    if (line.length > 0) { lines.push(line) };
+    return lines.join('\n').trim();
+};
 
 /**
- * Insert an empty table with the specified number of rows and cols.
- * All insert operations that involve user interaction outside of JavaScript
- * need to be preceded by backupSelection so that range can be restored prior
- * to the insert* operation.
- * We leave the selection in the first cell of the first row.
- * The operation will cause a selectionChange event.
- *
- * @param   {Int}                 rows        The number of rows in the table to be created.
- * @param   {Int}                 cols        The number of columns in the table to be created.
- * @param   {Boolean}             undoable    True if we should push undoerData onto the undo stack.
- * @return  {HTML Table Element}              The table element that was created, used for undo/redo.
+ * Return the tableData rows as text with fields separated by delimiter and rows by
+ * newlines, quoting fields that hold the delimiter, double quotes, or newlines.
  */
-MU.insertTable = function(rows, cols, undoable=true) {
-    if ((rows < 1) || (cols < 1)) { return };
-    _restoreSelection();
-    const sel = document.getSelection();
-    const selNode = (sel) ? sel.anchorNode : null;
-    const table = document.createElement('table');
-    const tbody = document.createElement('tbody');
-    for (let row=0; row<rows; row++) {
-        let tr = document.createElement('tr');
-        for (let col=0; col<cols; col++) {
-            let td = document.createElement('td');
-            tr.appendChild(td);
-        };
-        tbody.appendChild(tr);
-    };
-    table.appendChild(tbody);
-    const targetNode = _findFirstParentElementInNodeNames(selNode, _styleTags);
-    if (!targetNode) { return };
-    const startRange = sel.getRangeAt(0);
-    let newTable;
-    if ((targetNode.firstChild === startRange.startContainer) && (startRange.startOffset === 0)) {
-        targetNode.insertAdjacentHTML('beforebegin', table.outerHTML);
-        // We need the new table that now exists before targetNode
-        newTable = _getFirstChildWithNameWithin(targetNode.previousSibling, 'TABLE');
-    } else {
-        targetNode.insertAdjacentHTML('afterend', table.outerHTML);
-        // We need the new table that now exists after targetNode
-        newTable = _getFirstChildWithNameWithin(targetNode.nextSibling, 'TABLE');
-    }
-    // Restore the selection to leave it at the beginning of the new table
-    _restoreTableSelection(newTable, 0, 0, false);
-    // Track table insertion on the undo stack if necessary
-    if (undoable) {
-        const undoerData = _undoerData('insertTable', {row: 0, col: 0, inHeader: false, outerHTML: table.outerHTML, startRange: startRange});
-        undoer.push(undoerData);
-    }
-    _callbackInput();
+const _tableDataDelimited = function(tableData, delimiter) {
+    return tableData.rows.map(fields => {
+        return fields.map(field => {
+            const needsQuotes = field.includes(delimiter) || field.includes('"') || field.includes('\n');
+            return (needsQuotes) ? '"' + field.replaceAll('"', '""') + '"' : field;
+        }).join(delimiter);
+    }).join('\n');
 };
 
 /**
- * Delete the entire table at the selection.
- *
- * @param {Boolean}             undoable    True if we should push undoerData onto the undo stack.
+ * Return the tableData rows as a GFM table, using the first header row as the GFM
+ * header row, or an empty one if there is no header.
  */
-MU.deleteTable = function(undoable=true) {
-    const elements = _getTableElementsAtSelection();
-    const table = elements['table'];
-    if (table) {
-        const outerHTML = table.outerHTML;
-        const row = elements['row'];
-        const col = elements['col'];
-        const inHeader = elements['thead'] != null     // Are we in the header?
-        _deleteAndResetSelection(table, 'BEFORE');
-        if (undoable) {
-            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: inHeader, outerHTML: outerHTML});
-            undoer.push(undoerData);
-            _restoreSelection();
-        };
-        _callbackInput();
+const _tableDataMarkdown = function(tableData) {
+    const rows = tableData.rows;
+    const cols = (rows.length > 0) ? rows[0].length : 0;
+    const rowText = function(fields) {
+        return '| ' + fields.join(' | ') + ' |';
     };
+    const headerFields = (tableData.headerRows > 0) ? rows[0] : Array(cols).fill('');
+    const lines = [rowText(headerFields), '|' + ' --- |'.repeat(cols)];
+    rows.slice((tableData.headerRows > 0) ? 1 : 0).forEach(fields => lines.push(rowText(fields)));
+    return lines.join('\n');
 };
 
 /**
- * Add a row before or after the current selection, whether it's in the header or body.
- * For rows, AFTER = below; otherwise above.
+ * Replace the table at the selection with a paragraph for each of its rows, with the
+ * contents of the cells in the row separated by delimiter.
  *
- * @param {String}  direction   Either 'BEFORE' or 'AFTER' to identify where the new row goes relative to the selection.
+ * The inline formatting in the cells is kept, and when a cell holds more than one
+ * paragraph, they are separated by line breaks in the row's paragraph.
+ *
+ * @param {String}  delimiter   The text to separate the contents of the cells in each row.
  * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.addRow = function(direction, undoable=true) {
-    _backupSelection();
-    let addedRow = false;
-    const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
-    // There will always be a table and tr and either tbody or thead
-    const table = tableElements['table'];
-    const tr = tableElements['tr'];
-    const tbody = tableElements['tbody'];
-    const thead = tableElements['thead'];
-    const rows = tableElements['rows'];
-    const cols = tableElements['cols'];
-    const row = tableElements['row'];
-    const col = tableElements['col'];
-    const outerHTML = table.outerHTML;    // The table contents before we insert a row
-    // Create an empty row with the right number of elements
-    const newRow = document.createElement('tr');
-    for (let i=0; i<cols; i++) {
-        newRow.appendChild(_emptyTd());
-    };
-    // For reference, form of insertBefore is...
-    //  let insertedNode = parentNode.insertBefore(newNode, referenceNode)
-    if (thead) {
-        if (direction === 'AFTER') {
-            // We are in the header
-            // A row after the header is the first row of the body
-            if (rows > 0) {
-                // There is at least one row in the body, so put the new one first
-                let body = _getSection(table, 'TBODY');
-                if (body) {
-                    let firstRow = body.children[0];
-                    body.insertBefore(newRow, firstRow);
-                    addedRow = true;
-                }
-            } else {
-                // The body doesn't exist because rows === 0
-                // Create it and put the new row in it
-                let body = document.createElement('tbody');
-                body.appendChild(newRow);
-                table.appendChild(body)
-                addedRow = true;
-            }
-        }
-    } else if (tbody) {
-        if (direction === 'AFTER') {
-            // We are in the body, so tr is the selected row
-            // If tr.nextElementSibling is null, newRow will be inserted
-            // after tr.
-            tbody.insertBefore(newRow, tr.nextElementSibling);
-        } else {
-            tbody.insertBefore(newRow, tr)
-        }
-        addedRow = true;
-    } else {
-        _consoleLog('Could not add row');
-    }
-    _restoreSelection();
-    // Track row addition on the undo stack if necessary.
-    if (undoable && addedRow) {
-        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
-        undoer.push(undoerData);
-        _restoreSelection();
-    }
-    _callbackInput();
+MU.convertTableToParagraphs = function(delimiter='\t', undoable=true) {
+    const table = _getTableElementsAtSelection()['table'];
+    if (!table) { return };
+    // Build from a copy, so the table is intact when its outerHTML is held for undo
+    const tableCopy = table.cloneNode(true);
+    const paragraphs = Array.from(tableCopy.querySelectorAll('tr')).map(tr => {
+        const p = document.createElement('p');
+        Array.from(tr.children).forEach((cell, index) => {
+            if (index > 0) { p.appendChild(document.createTextNode(delimiter)) };
+            _appendCellContents(p, cell);
+        });
+        if (!p.firstChild) { p.appendChild(document.createElement('br')) };
+        return p;
+    });
+    // The caption goes first, in a paragraph of its own
+    const caption = _getSection(tableCopy, 'CAPTION');
+    if (caption && !_isEmpty(caption)) {
+        const p = document.createElement('p');
+        _appendCellContents(p, caption);
+        paragraphs.unshift(p);
+    };
+    _convertBlocks([table], paragraphs, undoable);
 };
 
 /**
- * Add a column before or after the current selection, whether it's in the header or body.
+ * Move the inline contents of the blocks in cell to the end of p, separating the
+ * blocks with line breaks. Blocks that are not paragraph styles, like lists, only
+ * provide their text.
+ */
+const _appendCellContents = function(p, cell) {
+    let separate = false;
+    Array.from(cell.childNodes).forEach(block => {
+        const nodes = (_isParagraphStyleElement(block)) ? Array.from(block.childNodes) : [document.createTextNode(block.textContent)];
+        // A BR that ends a paragraph only makes it selectable
+        if ((nodes.length > 0) && (nodes[nodes.length - 1].nodeName === 'BR')) { nodes.pop() };
+        if (nodes.length === 0) { return };
+        if (separate) { p.appendChild(document.createElement('br')) };
+        nodes.forEach(node => p.appendChild(node));
+        separate = true;
+    });
+};
+
+/**
+ * Replace the list at the selection with a table that has a row for each of its items.
+ *
+ * The first column holds the contents of each item, and when an item has a sublist, each
+ * of the sublist's items goes in a following column of the same row, so a two-level
+ * outline becomes a table. Lists nested more deeply stay in the cell of their sublist item.
+ * The table has as many columns as the item with the longest sublist needs.
  *
- * @param {String}  direction   Either 'BEFORE' or 'AFTER' to identify where the new column goes relative to the selection.
  * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.addCol = function(direction, undoable=true) {
-    _backupSelection();
-    const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
-    // There will always be a table and tr and either tbody or thead
-    const table = tableElements['table'];
-    const row = tableElements['row'];
-    const col = tableElements['col'];
-    const cols = tableElements['cols'];
-    const tbody = tableElements['tbody'];
-    const thead = tableElements['thead'];
-    const colspan = tableElements['colspan'];
-    const outerHTML = table.outerHTML;  // Table contents before we add a column
-    if (tbody || (thead && !colspan)) {
-        // We have selected the body of the table or the header.
-        // In the case of selecting the header, it is a non-colspan header,
-        // so col is meaningful (otherwise it is always 1 in a colspan header).
-        // Loop over all rows in the body, adding a new td in each one
-        const body = _getSection(table, 'TBODY');
-        if (body) {
-            const rows = body.children;       // Only tr elements
-            for (let j=0; j<rows.length; j++) {
-                let tr = rows[j];
-                let td = tr.children[col];  // Only td elements
-                // Then insert a new td before or after
-                let newTd = _emptyTd();
-                // For reference, form of insertBefore is...
-                //  let insertedNode = parentNode.insertBefore(newNode, referenceNode)
-                if (direction === 'AFTER') {
-                    tr.insertBefore(newTd, td.nextElementSibling);
-                } else {
-                    tr.insertBefore(newTd, td);
-                };
+MU.convertListToTable = function(undoable=true) {
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) {
+        MUError.NoSelection.callback();
+        return;
+    };
+    const list = _convertibleBlock(sel.getRangeAt(0).startContainer);
+    if (!list || !_isListElement(list)) {
+        MUError.NotInList.callback();
+        return;
+    };
+    // Build from a copy, so the list is intact when its outerHTML is held for undo
+    const rows = Array.from(list.cloneNode(true).children).filter(child => _isListItemElement(child)).map(listItem => {
+        const itemNodes = [];
+        const cells = [];
+        Array.from(listItem.childNodes).forEach(node => {
+            if (_isListElement(node)) {
+                Array.from(node.children).forEach(subItem => cells.push(_cellFromNodes(Array.from(subItem.childNodes))));
+            } else {
+                itemNodes.push(node);
             };
+        });
+        cells.unshift(_cellFromNodes(itemNodes));
+        return cells;
+    });
+    const cols = Math.max(...rows.map(cells => cells.length));
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach(cell => tr.appendChild(cell));
+        for (let col=cells.length; col<cols; col++) {
+            tr.appendChild(_emptyTd());
         };
-        const header = _getSection(table, 'THEAD');
-        if (header) {
-            // If the header exists for this table, we need to expand it, too.
-            let tr = header.children[0];    // Only tr elements
-            let th = tr.children[0];
-            if (colspan) {
-                th.setAttribute('colspan', cols+1)
-            } else {
-                th = tr.children[col];           // Only th elements
-                // Then insert a new td before or after
-                let newTh = _emptyTh();
-                // For reference, form of insertBefore is...
-                //  let insertedNode = parentNode.insertBefore(newNode, referenceNode)
-                if (direction === 'AFTER') {
-                    th.insertBefore(newTh, th.nextElementSibling);
-                } else {
-                    th.insertBefore(newTh, th);
-                };
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    _convertBlocks([list], [table], undoable);
+};
+
+/**
+ * Return a TD holding nodes, with text and inline elements that are not already in
+ * a paragraph put into one.
+ */
+const _cellFromNodes = function(nodes) {
+    const td = document.createElement('td');
+    let p = null;
+    nodes.forEach(node => {
+        if (_isTextNode(node) || _isInlined(node)) {
+            if (_isEmpty(node)) { return };
+            if (!p) {
+                p = document.createElement('p');
+                td.appendChild(p);
             };
+            p.appendChild(node);
+        } else {
+            td.appendChild(node);
+            p = null;
         };
-    };
-    _restoreSelection();
-    // Track col addition on the undo stack if necessary.
-    if (undoable) {
-        // Use restoreTable to handle addCol undo/redo
-        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
-        undoer.push(undoerData);
-        _restoreSelection();
-    };
-    _callbackInput();
+    });
+    return (td.firstChild) ? td : _emptyTd();
 };
 
 /**
- * Add a header to the table at the selection.
+ * Replace the paragraphs the selection spans with a table that has a row for each of them,
+ * with the contents of each paragraph split into cells at every occurrence of delimiter.
  *
- * @param {Boolean} colspan     Whether the header should span all columns of the table or not.
+ * The inline formatting of the paragraphs is kept in the cells. Empty paragraphs are
+ * dropped. The table has as many columns as the paragraph with the most fields needs.
+ *
+ * @param {String}  delimiter   The text that separates the contents of the cells in each paragraph.
  * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
  */
-MU.addHeader = function(colspan=true, undoable=true) {
-    _backupSelection();
-    const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
-    // There will always be a table and tbody has to be selected
-    const table = tableElements['table'];
-    const row = tableElements['row'];
-    const col = tableElements['col'];
-    const cols = tableElements['cols'];
-    const tbody = tableElements['tbody'];
-    const outerHTML = table.outerHTML;
-    if (tbody) {
-        const header = document.createElement('thead');
+MU.convertSelectionToTable = function(delimiter='\t', undoable=true) {
+    if ((typeof delimiter !== 'string') || (delimiter.length === 0)) {
+        MUError.InvalidDelimiter.callback();
+        return;
+    };
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) {
+        MUError.NoSelection.callback();
+        return;
+    };
+    const range = sel.getRangeAt(0);
+    const startBlock = _convertibleBlock(range.startContainer);
+    const endBlock = _convertibleBlock(range.endContainer);
+    const blocks = [];
+    let block = startBlock;
+    while (block && endBlock) {
+        if (_isElementNode(block)) { blocks.push(block) };
+        if (block === endBlock) { break };
+        block = block.nextSibling;
+    };
+    if ((blocks.length === 0) || !blocks.every(element => _isParagraphStyleElement(element))) {
+        MUError.CantConvertToTable.callback();
+        return;
+    };
+    const rows = blocks.filter(element => !_isEmpty(element)).map(element => _delimitedCells(element, delimiter));
+    if (rows.length === 0) { return };
+    const cols = Math.max(...rows.map(cells => cells.length));
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
         const tr = document.createElement('tr');
-        if (colspan) {
-            let th = _emptyTh();
-            th.setAttribute('colspan', cols);
-            tr.appendChild(th);
-            header.appendChild(tr);
+        cells.forEach(cell => tr.appendChild(cell));
+        for (let col=cells.length; col<cols; col++) {
+            tr.appendChild(_emptyTd());
+        };
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    _convertBlocks(blocks, [table], undoable);
+};
+
+/**
+ * Return an array of TDs holding the contents of the paragraph-styled element between
+ * occurrences of delimiter, in a paragraph of the same style.
+ *
+ * Each cell's contents are cloned from a range, so formatting that spans a delimiter
+ * is split along with the text. Whitespace around the delimiters is trimmed.
+ */
+const _delimitedCells = function(element, delimiter) {
+    const boundaries = [{container: element, offset: 0}];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const textNode = walker.currentNode;
+        let index = textNode.textContent.indexOf(delimiter);
+        while (index >= 0) {
+            boundaries.push({container: textNode, offset: index});
+            boundaries.push({container: textNode, offset: index + delimiter.length});
+            index = textNode.textContent.indexOf(delimiter, index + delimiter.length);
+        };
+    };
+    boundaries.push({container: element, offset: element.childNodes.length});
+    const cells = [];
+    const range = document.createRange();
+    for (let i=0; i<boundaries.length; i+=2) {
+        range.setStart(boundaries[i].container, boundaries[i].offset);
+        range.setEnd(boundaries[i + 1].container, boundaries[i + 1].offset);
+        const p = document.createElement(element.nodeName);
+        p.appendChild(range.cloneContents());
+        _trimText(p);
+        if (_isEmpty(p)) {
+            cells.push(_emptyTd());
         } else {
-            for (let i=0; i<cols; i++) {
-                let th = _emptyTh();
-                tr.appendChild(th);
-            }
-            header.appendChild(tr);
+            const td = document.createElement('td');
+            td.appendChild(p);
+            cells.push(td);
         };
-        table.insertBefore(header, tbody);
     };
-    _restoreSelection();
-    if (undoable) {
-        // Use restoreTable to handle addHeader undo/redo
-        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: false, outerHTML: outerHTML});
-        undoer.push(undoerData);
-        _restoreSelection();
+    return cells;
+};
+
+/**
+ * Remove the whitespace at the beginning and end of the text in element, which can
+ * span more than one text node.
+ */
+const _trimText = function(element) {
+    const textNodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    };
+    for (let i=0; i<textNodes.length; i++) {
+        textNodes[i].textContent = textNodes[i].textContent.trimStart();
+        if (textNodes[i].textContent.length > 0) { break };
+    };
+    for (let i=textNodes.length-1; i>=0; i--) {
+        textNodes[i].textContent = textNodes[i].textContent.trimEnd();
+        if (textNodes[i].textContent.length > 0) { break };
     };
-    _callbackInput();
 };
 
 /**
- * Delete the row at the selection point in the table.
+ * Return the element containing node that is a child of the contentEditable element
+ * node is in, which is the block that a conversion replaces.
+ */
+const _convertibleBlock = function(node) {
+    const ancestor = _findContentEditable(node) ?? MU.editor;
+    let block = node;
+    while (block && (block.parentNode !== ancestor)) {
+        block = block.parentNode;
+    };
+    return block;
+};
+
+/**
+ * Replace the sibling blocks in oldElements with newElements, leaving the selection at
+ * the beginning of the first of newElements.
  *
- * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ * The undoerData holds the outerHTML of the elements before and after along with where
+ * they are, so undo and redo replace one with the other as a single step.
+ *
+ * @param {[HTML Element]}  oldElements     The blocks to replace, in order.
+ * @param {[HTML Element]}  newElements     The blocks to replace them with.
+ * @param {Boolean}         undoable        True if we should push undoerData onto the undo stack.
  */
-MU.deleteRow = function(undoable=true) {
-    _backupSelection();
-    const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
-    // There will always be a table and tr and either tbody or thead
-    // tr might be the row in the header or a row in the body
-    const table = tableElements['table'];
-    const thead = tableElements['thead'];
-    const tbody = tableElements['tbody'];
-    const tr = tableElements['tr'];
-    const outerHTML = table.outerHTML;
-    const row = tableElements['row'];
-    const col = tableElements['col'];
-    let newTr;
-    if (thead) {
-        // We are going to delete the header,
-        // So we will identify the first body cell
-        // for selection after deleting
-        const body = _getSection(table, 'TBODY');
-        if (body) {
-            newTr = body.firstElementChild;
-        }
-    } else if (tbody) {
-        // We are going to delete a body row,
-        // So we will choose the nextSib if there is one,
-        // or prevSib if not, or even the header if we have to
-        // for selection after deleting
-        if (tr.nextElementSibling) {
-            newTr = tr.nextElementSibling;
-        } else if (tr.previousElementSibling) {
-            newTr = tr.previousElementSibling;
-        } else if (_getSection(table, 'THEAD')) {
-            const header = _getSection(table, 'THEAD');
-            newTr = header.firstElementChild;
-        }
-    }
-    if (newTr) {
-        // There is a row left, so we will do the remove and select the first element of the newTr
-        tr.parentNode.removeChild(tr);
-        _selectCol(newTr, 0);
-        if (undoable) {
-            const undoerData = _undoerData('restoreTable', {outerHTML: outerHTML, row: row, col: col, inHeader: (thead != null)});
-            undoer.push(undoerData);
-            _restoreSelection();
-        };
-    } else {
-        // We just removed everything in the table, so let's just get rid of it.
-        _deleteAndResetSelection(table, 'BEFORE');
-        if (undoable) {
-            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
-            undoer.push(undoerData);
-            _restoreSelection();
-        };
-    }
+const _convertBlocks = function(oldElements, newElements, undoable=true) {
+    const ancestor = oldElements[0].parentNode;
+    const sel = document.getSelection();
+    const oldRangeIndices = (sel && (sel.rangeCount > 0)) ? _rangeIndices(sel.getRangeAt(0), ancestor) : null;
+    const oldHTML = oldElements.map(element => element.outerHTML);
+    const index = _childNodeIndex(oldElements[0]);
+    // Remove any text between the old elements, too, so each undo and redo replaces
+    // exactly as many nodes as there are elements
+    const lastElement = oldElements[oldElements.length - 1];
+    let node = oldElements[0];
+    while (node) {
+        const nextNode = node.nextSibling;
+        ancestor.removeChild(node);
+        node = (node === lastElement) ? null : nextNode;
+    };
+    const nextNode = ancestor.childNodes[index] ?? null;
+    newElements.forEach(element => ancestor.insertBefore(element, nextNode));
+    const location = _firstSelectableLocation(newElements[0]);
+    if (location) {
+        const range = document.createRange();
+        range.setStart(location.container, location.offset);
+        range.setEnd(location.container, location.offset);
+        sel.removeAllRanges();
+        sel.addRange(range);
+    };
+    if (undoable) {
+        const newRangeIndices = (sel.rangeCount > 0) ? _rangeIndices(sel.getRangeAt(0), ancestor) : null;
+        const newHTML = newElements.map(element => element.outerHTML);
+        const undoerData = _undoerData('convert', {ancestorIndices: _childNodeIndicesByParent(ancestor, MU.editor), index: index, oldHTML: oldHTML, newHTML: newHTML, oldRangeIndices: oldRangeIndices, newRangeIndices: newRangeIndices});
+        undoer.push(undoerData);
+    };
     _callbackInput();
 };
 
 /**
- * Delete the column at the selection point in the table.
+ * Undo or redo a conversion by replacing the elements that are there now with the
+ * ones that were there before, and restoring the selection that went with them.
  *
- * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @param {Boolean} undo        True to undo the conversion; false to redo it.
  */
-MU.deleteCol = function(undoable=true) {
-    _backupSelection();
-    const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
-    // There will always be a table and tr and either tbody or thead
-    // tr might be the row in the header or a row in the body
-    const table = tableElements['table'];
-    const thead = tableElements['thead'];
-    const tbody = tableElements['tbody'];
-    const newTr = tableElements['tr'];
-    const cols = tableElements['cols'];
-    const col = tableElements['col'];
-    const colspan = tableElements['colspan'];
-    const outerHTML = table.outerHTML;
-    const row = tableElements['row'];
-    let newCol;
-    if ((tbody || (thead && !colspan)) && cols > 1) {
-        // newCol identifies the column to select in newTr after deleting
-        if (col === cols - 1) {
-            newCol = col - 1;   // In the last col, so decrement 1
-        } else {
-            newCol = col;       // Leave in the same column (i.e., the one after the col being deleted)
-        }
-    } else if ((cols > 1) && thead && colspan) {
-        // We really can't do anything when delete column is selected when in header w/colspan
-        // since we have no idea what column to delete unless there is only one
-        return;
-    } else if (cols === 1) {
-        // We are deleting the last column of the table
-        _deleteAndResetSelection(table, 'BEFORE');
-        if (undoable) {
-            const undoerData = _undoerData('deleteTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
-            undoer.push(undoerData);
-            _restoreSelection();
-        };
-        _callbackInput();
-        return;
-    }
-    // newCol should be non-null if we got here; iow, we will be deleting a column and leaving
-    // the remaining table in place with a cell selected.
-    // Now delete the column elements from each row and the header
-    let tr, td, th;
-    const body = _getSection(table, 'TBODY');
-    if (body) {
-        const rows = body.children;
-        for (let j=0; j<rows.length; j++) {
-            tr = rows[j];
-            td = tr.children[col];
-            tr.removeChild(td);
-        }
+const _undoRedoConvert = function(undoerData, undo) {
+    const data = undoerData.data;
+    const ancestor = _childNodeIn(MU.editor, data.ancestorIndices);
+    const removeHTML = (undo) ? data.newHTML : data.oldHTML;
+    const insertHTML = (undo) ? data.oldHTML : data.newHTML;
+    const rangeIndices = (undo) ? data.oldRangeIndices : data.newRangeIndices;
+    for (let i=0; i<removeHTML.length; i++) {
+        ancestor.removeChild(ancestor.childNodes[data.index]);
     };
-    const header = _getSection(table, 'THEAD');
-    if (header) {
-        tr = header.children[0];
-        th = tr.children[0];
-        if (colspan) {
-            th.setAttribute('colspan', cols-1);
-        } else {
-            tr.removeChild(th);
+    const template = document.createElement('template');
+    template.innerHTML = insertHTML.join('');
+    ancestor.insertBefore(template.content, ancestor.childNodes[data.index] ?? null);
+    if (rangeIndices) {
+        const range = _rangeFromIndices({...rangeIndices, ancestor: ancestor});
+        if (range) {
+            const sel = document.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
         };
     };
-    // Then, since newTr still exists, select the newCol child in it
-    _selectCol(newTr, newCol)
+    _backupSelection();
+    _callbackInput();
+};
+
+/**
+ * Fill the cells of the table at the selection with the fields of rows, starting at the
+ * selected cell, or the top-left of the selected cells. Rows are added to the body and
+ * columns to the table as needed. Fields that land in a place a cell spans into, rather
+ * than the place it starts in, are dropped.
+ *
+ * When the selection is in the header, the first row fills it, and the rest fill the body.
+ *
+ * Use restoreTable to handle undo/redo, the same as for other changes to the table.
+ *
+ * @param {[[String]]}  rows        The fields of each row, from _delimitedRows.
+ * @param {Boolean}     undoable    True if we should push undoerData onto the undo stack.
+ */
+const _pasteRowsInTable = function(rows, undoable=true) {
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    const outerHTML = table.outerHTML;
+    const cellRange = _selectedCellRange();
+    const startCell = (cellRange) ? cellRange.grid[cellRange.top][cellRange.left] : (tableElements['td'] ?? tableElements['th']);
+    let section = startCell.parentNode.parentNode;
+    let [row, startCol] = _cellPosition(_tableGrid(section), startCell);
+    const cols = Math.max(...rows.map(fields => fields.length));
+    if (startCol + cols > tableElements['cols']) {
+        _appendCols(table, startCol + cols - tableElements['cols']);
+    };
+    let lastCell = startCell;
+    rows.forEach(fields => {
+        if ((section.nodeName === 'THEAD') && (row >= section.children.length)) {
+            section = _getSection(table, 'TBODY');
+            if (!section) {
+                section = document.createElement('tbody');
+                table.appendChild(section);
+            };
+            row = 0;
+        };
+        while (row >= section.children.length) {
+            _appendRow(section, _getRowsCols(table)[1]);
+        };
+        const grid = _tableGrid(section);
+        const filled = [];
+        fields.forEach((field, i) => {
+            const cell = grid[row][startCol + i];
+            if (!cell || filled.includes(cell) || (_cellPosition(grid, cell)[0] !== row)) { return };
+            filled.push(cell);
+            _setCellText(cell, field);
+            lastCell = cell;
+        });
+        row++;
+    });
+    _selectCell(lastCell);
     if (undoable) {
-        const undoerData = _undoerData('restoreTable', {row: row, col: col, inHeader: (thead != null), outerHTML: outerHTML});
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: (tableElements['thead'] != null), outerHTML: outerHTML});
         undoer.push(undoerData);
         _restoreSelection();
     };
@@ -8923,7 +13766,7 @@ MU.deleteCol = function(undoable=true) {
 MU.borderTable = function(border, undoable=true) {
     _backupSelection();
     const tableElements = _getTableElementsAtSelection();
-    if (tableElements.length === 0) { return };
+    if (!tableElements['table']) { return };
     const table = tableElements['table'];
     const oldBorder = table.getAttribute('class');
     _setBorder(border, table);
@@ -8937,13 +13780,13 @@ MU.borderTable = function(border, undoable=true) {
 };
 
 const _undoBorderTable = function(undoerData) {
-    _restoreUndoerRange(undoerData);
+    _restoreUndoerTableRange(undoerData);
     const oldBorder = undoerData.data.oldBorder;
     MU.borderTable(oldBorder, false);
 };
 
 const _redoBorderTable = function(undoerData) {
-    _restoreUndoerRange(undoerData);
+    _restoreUndoerTableRange(undoerData);
     const border = undoerData.data.border;
     MU.borderTable(border, false);
 };
@@ -8991,6 +13834,164 @@ const _getBorder = function(table) {
     return border;
 };
 
+/**
+ * The values that can follow 'cell-align-', 'cell-valign-', and 'cell-shade-' in the
+ * class of a TD or TH. The classes are styled in markup.css.
+ */
+const _cellClassValues = {
+    align: ['left', 'center', 'right'],
+    valign: ['top', 'middle', 'bottom'],
+    shade: ['gray', 'red', 'orange', 'yellow', 'green', 'blue', 'purple']
+};
+
+/**
+ * Set the horizontal alignment of the cells in scope.
+ *
+ * @param {String | null}   alignment   One of 'left', 'center', or 'right', or null for the default.
+ * @param {String}          scope       'CELL' for the selected cells, or 'ROW' or 'COL' for their rows or columns.
+ * @param {Boolean}         undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.alignCells = function(alignment, scope='CELL', undoable=true) {
+    _setCellClass('align', alignment, scope, undoable);
+};
+
+/**
+ * Set the vertical alignment of the cells in scope.
+ *
+ * @param {String | null}   alignment   One of 'top', 'middle', or 'bottom', or null for the default.
+ * @param {String}          scope       'CELL' for the selected cells, or 'ROW' or 'COL' for their rows or columns.
+ * @param {Boolean}         undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.valignCells = function(alignment, scope='CELL', undoable=true) {
+    _setCellClass('valign', alignment, scope, undoable);
+};
+
+/**
+ * Set the background shade of the cells in scope.
+ *
+ * @param {String | null}   shade       One of the values in _cellClassValues.shade, or null for no shade.
+ * @param {String}          scope       'CELL' for the selected cells, or 'ROW' or 'COL' for their rows or columns.
+ * @param {Boolean}         undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.shadeCells = function(shade, scope='CELL', undoable=true) {
+    _setCellClass('shade', shade, scope, undoable);
+};
+
+/**
+ * Replace the 'cell-<property>-*' class of each cell in scope with 'cell-<property>-<value>',
+ * or just remove it when value is null.
+ *
+ * Use restoreTable to handle undo/redo, the same as for other changes to the table.
+ *
+ * @param {String}          property    One of the keys of _cellClassValues.
+ * @param {String | null}   value       One of the values for property in _cellClassValues, or null.
+ * @param {String}          scope       'CELL', 'ROW', or 'COL'.
+ * @param {Boolean}         undoable    True if we should push undoerData onto the undo stack.
+ */
+const _setCellClass = function(property, value, scope, undoable) {
+    if (value && !_cellClassValues[property].includes(value)) { return };
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    if (!table) { return };
+    if (!tableElements['td'] && !tableElements['th']) { return };    // Not in a cell, such as in the caption
+    const outerHTML = table.outerHTML;
+    _cellsInScope(scope, tableElements).forEach(cell => {
+        _cellClassValues[property].forEach(otherValue => {
+            _setClass(cell, 'cell-' + property + '-' + otherValue, otherValue === value);
+        });
+    });
+    if (outerHTML === table.outerHTML) { return };
+    if (undoable) {
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: (tableElements['thead'] != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+    };
+    _callbackInput();
+};
+
+/**
+ * Return the cells that an operation on scope applies to.
+ *
+ * For 'CELL', they are the selected cells, or the cell the selection is in. For 'ROW' and
+ * 'COL', they are the cells in the rows or columns those cells occupy, in the header as well
+ * as the body for columns. A cell that spans beyond those rows or columns is left out, so
+ * that, for example, aligning a column doesn't align a header that spans all of them.
+ *
+ * @param {String}      scope           'CELL', 'ROW', or 'COL'.
+ * @param {String : T}  tableElements   The elements returned from _getTableElementsAtSelection.
+ * @return {[HTML Table Cell Element]}  The TD and TH elements in scope.
+ */
+const _cellsInScope = function(scope, tableElements) {
+    const cellRange = _selectedCellRange();
+    if (scope === 'CELL') {
+        return (cellRange) ? cellRange.cells : [tableElements['td'] ?? tableElements['th']];
+    };
+    const table = tableElements['table'];
+    const cell = tableElements['td'] ?? tableElements['th'];
+    const section = cell.parentNode.parentNode;
+    let top, left, bottom, right;
+    if (cellRange) {
+        [top, left, bottom, right] = [cellRange.top, cellRange.left, cellRange.bottom, cellRange.right];
+    } else {
+        const [row, col] = _cellPosition(_tableGrid(section), cell);
+        [top, left] = [row, col];
+        bottom = row + _cellSpan(cell, 'rowspan') - 1;
+        right = col + _cellSpan(cell, 'colspan') - 1;
+    };
+    const sections = (scope === 'ROW') ? [section] : [_getSection(table, 'THEAD'), _getSection(table, 'TBODY')];
+    const cells = [];
+    sections.forEach(scopeSection => {
+        if (!scopeSection) { return };
+        const grid = _tableGrid(scopeSection);
+        const firstRow = (scope === 'ROW') ? top : 0;
+        const lastRow = (scope === 'ROW') ? bottom : grid.length - 1;
+        const firstCol = (scope === 'ROW') ? 0 : left;
+        const lastCol = (scope === 'ROW') ? _gridWidth(grid) - 1 : right;
+        for (let row=firstRow; row<=lastRow; row++) {
+            for (let col=firstCol; col<=lastCol; col++) {
+                const scopeCell = grid[row][col];
+                if (!scopeCell || cells.includes(scopeCell)) { continue };
+                const [cellRow, cellCol] = _cellPosition(grid, scopeCell);
+                const inRows = (cellRow >= firstRow) && (cellRow + _cellSpan(scopeCell, 'rowspan') - 1 <= lastRow);
+                const inCols = (cellCol >= firstCol) && (cellCol + _cellSpan(scopeCell, 'colspan') - 1 <= lastCol);
+                if (inRows && inCols) { cells.push(scopeCell) };
+            };
+        };
+    });
+    return cells;
+};
+
+/**
+ * Return the value of the 'cell-<property>-*' class that all of cells share, or null
+ * if they don't share one.
+ *
+ * @param {[HTML Table Cell Element]}   cells       The TD and TH elements being examined.
+ * @param {String}                      property    One of the keys of _cellClassValues.
+ * @return {String | null}                          The shared value for property.
+ */
+const _cellClassValue = function(cells, property) {
+    if (cells.length === 0) { return null };
+    const valueOf = function(cell) {
+        return _cellClassValues[property].find(value => cell.classList.contains('cell-' + property + '-' + value)) ?? null;
+    };
+    const value = valueOf(cells[0]);
+    return cells.every(cell => valueOf(cell) === value) ? value : null;
+};
+
+/**
+ * Return the 'cell-*' classes of node that we use to align and shade table cells,
+ * which are the only classes we keep when cleaning up.
+ *
+ * @param {HTML Element}    node    The element being cleaned up.
+ * @return {[String]}               The cell classes of node, which is empty unless it's a TD or TH.
+ */
+const _cellClasses = function(node) {
+    if (!['TD', 'TH'].includes(node.nodeName)) { return [] };
+    return Array.from(node.classList).filter(className => {
+        const [prefix, property, value] = className.split('-');
+        return (prefix === 'cell') && (_cellClassValues[property] ?? []).includes(value);
+    });
+};
+
 const _emptyTd = function() {
     return _emptyCell('td');
 };
@@ -9007,6 +14008,28 @@ const _emptyCell = function(cellType) {
     return cell;
 };
 
+/**
+ * Replace the contents of cell with a paragraph for each line of text, or with an
+ * empty paragraph if text is empty.
+ *
+ * @param {HTML Table Cell Element} cell    The TD or TH to fill.
+ * @param {String}                  text    The plain text to put in cell.
+ */
+const _setCellText = function(cell, text) {
+    while (cell.firstChild) {
+        cell.removeChild(cell.firstChild);
+    };
+    text.split('\n').forEach(line => {
+        const p = document.createElement('p');
+        if (line.length > 0) {
+            p.textContent = line;
+        } else {
+            p.appendChild(document.createElement('br'));
+        };
+        cell.appendChild(p);
+    });
+};
+
 /*
  * If the selection is inside a TABLE, populate attributes with the information
  * about the table and what is selected in it.
@@ -9017,7 +14040,9 @@ const _emptyCell = function(cellType) {
  * the elements['thead'] is the HTML Table Header Element, whereas attributes['thead']
  * is either true or false indicating whether the selection is in the header.
  * Similarly, elements['header'] and ['colspan'] are true or false so
- * can be stored in attributes directly.
+ * can be stored in attributes directly. When cells are selected, attributes
+ * also holds the rows and cols at the edges of the cell selection. The align,
+ * valign, and shade of the cells are null unless all the selected cells share them.
  *
  * @return {String : T}     Dictionary with keys of various types consumable in Swift
  */
@@ -9036,6 +14061,21 @@ const _getTableAttributesAtSelection = function() {
     attributes['row'] = elements['row'];
     attributes['col'] = elements['col'];
     attributes['border'] = _getBorder(table);
+    attributes['caption'] = _getSection(table, 'CAPTION') != null;
+    attributes['headerColumn'] = _hasHeaderColumn(table);
+    const cellRange = _selectedCellRange();
+    const cell = elements['td'] ?? elements['th'];
+    const cells = (cellRange) ? cellRange.cells : ((cell) ? [cell] : []);
+    attributes['align'] = _cellClassValue(cells, 'align');
+    attributes['valign'] = _cellClassValue(cells, 'valign');
+    attributes['shade'] = _cellClassValue(cells, 'shade');
+    attributes['cellSelection'] = cellRange != null;
+    if (cellRange) {
+        attributes['startRow'] = cellRange.top;
+        attributes['startCol'] = cellRange.left;
+        attributes['endRow'] = cellRange.bottom;
+        attributes['endCol'] = cellRange.right;
+    };
     return attributes;
 };
 
@@ -9045,7 +14085,8 @@ const _getTableAttributesAtSelection = function() {
  * walk up the parent chain to TABLE, populating elements
  * as we go. We compute the row and col of the selection, too.
  * If anything is unexpected along the way, we return an empty
- * dictionary.
+ * dictionary. When the selection is in the caption, we track the
+ * caption and the table it belongs to, but there is no cell, row, or col.
  *
  * @return {String : T}     Dictionary with keys of types consumable here in JavaScript
  */
@@ -9053,20 +14094,12 @@ const _getTableElementsAtSelection = function() {
     const elements = {};
     const cell = _firstSelectionNodeMatching(['TD', 'TH']);
     if (cell) {
-        let _cell = cell;
         // Track the cell the selection is in
         if (cell.nodeName === 'TD') {
             elements['td'] = cell;
         } else {
             elements['th'] = cell;
         }
-        // Find the column the selection is in, since we know it immediately
-        let colCount = 0;
-        while (_cell.previousElementSibling) {
-            _cell = _cell.previousElementSibling;
-            if (_cell.nodeType === cell.nodeType) { colCount++; };
-        };
-        elements['col'] = colCount;
         // Track the row the selection is in
         const row = cell.parentNode;
         if (row.nodeName === 'TR') {
@@ -9091,6 +14124,9 @@ const _getTableElementsAtSelection = function() {
         } else {
             return {};
         };
+        // Find the column the selection is in, which depends on the cells that
+        // span columns to the left of it or span rows from above it
+        elements['col'] = _cellPosition(_tableGrid(section), cell)[1];
         // Track the selected table
         const table = section.parentNode;
         if (table.nodeName === 'TABLE') {
@@ -9104,84 +14140,420 @@ const _getTableElementsAtSelection = function() {
         elements['cols'] = cols;
         elements['header'] = header
         elements['colspan'] = colspan;
+    } else {
+        const caption = _firstSelectionNodeMatching(['CAPTION']);
+        const table = caption?.parentNode;
+        if (table?.nodeName === 'TABLE') {
+            elements['caption'] = caption;
+            elements['table'] = table;
+            const [rows, cols, header, colspan] = _getRowsCols(table);
+            elements['rows'] = rows;
+            elements['cols'] = cols;
+            elements['header'] = header
+            elements['colspan'] = colspan;
+        };
+    };
+    return elements;
+};
+
+/**
+ * Since we might select an element in the header or the body of table, we need a single
+ * way to get the size of the table body in terms rows and cols regardless of what was
+ * selected. The header always has one row that is not counted in terms of the table size.
+ * When we have a TBODY, it always defines rowCount and colCount. If we have a THEAD and
+ * no TBODY, then THEAD defines colcount either using the value in colspan if it exists, or
+ * by the number of TH children of THEAD. In both of those cases (no TBODY), rowCount
+ * is zero. The colspan value is returned so we know if the header spans columns.
+ * Externally, we only need to know if a header exists. Internally in JavaScript, we can
+ * always _getSection for the table to find out.
+ *
+ * @param {HTML Table Element}  table   The table being examined
+ * @return {[T]}                        Array with number of rows and cols and whether a header with or without colSpan exists
+ */
+const _getRowsCols = function(table) {
+    let rowCount = 0;
+    let colCount = 0;
+    let headerExists = false;
+    let colspan = null;
+    const children = table.children;
+    for (let i=0; i<children.length; i++) {
+        let section = children[i];
+        let rows = section.children;
+        if (rows.length > 0) {
+            let row = rows[0];
+            let cols = row.children;
+            if (section.nodeName === 'TBODY') {
+                rowCount = rows.length;
+                colCount = 0;
+                for (let j=0; j<cols.length; j++) {
+                    colCount += _cellSpan(cols[j], 'colspan');
+                };
+            } else if (section.nodeName === 'THEAD') {
+                headerExists = true;
+                if ((cols.length > 0) && cols[0].hasAttribute('colspan')) {
+                    colspan = _numberAttribute(cols[0], 'colspan');
+                };
+                if (colspan && (colCount === 0)) {
+                    colCount = colspan;
+                } else if (colCount === 0) {
+                    colCount = cols.length;
+                };
+            };
+        };
+    };
+    const colSpanExists = colspan != null;
+    return [ rowCount, colCount, headerExists, colSpanExists ];
+}
+
+/**
+ * Return the section of the table identified by node name
+ *
+ * @param {HTML Table Element}  table   The table being examined.
+ * @param {String}              name    The desired section, either 'THEAD', 'TBODY', or 'COLGROUP'.
+ * @return {HTML Table Header | HTML Table Body | HTML Table Column Group | null}
+ */
+const _getSection = function(table, name) {
+    const children = table.children;
+    for (let i=0; i<children.length; i++) {
+        let section = children[i];
+        if (section.nodeName === name) {
+            return section;
+        };
+    };
+    return null;
+};
+
+/**
+ * Return the span of cell for attribute, either 'rowspan' or 'colspan', which
+ * is 1 when the attribute is missing.
+ *
+ * @param {HTML Table Cell Element} cell        The TD or TH being examined.
+ * @param {String}                  attribute   Either 'rowspan' or 'colspan'.
+ * @return {Int}                                The number of rows or columns cell spans.
+ */
+const _cellSpan = function(cell, attribute) {
+    const span = cell.hasAttribute(attribute) ? _numberAttribute(cell, attribute) : 1;
+    return Math.max(span ?? 1, 1);
+};
+
+/**
+ * Set the span of cell for attribute, removing the attribute when it's 1.
+ *
+ * @param {HTML Table Cell Element} cell        The TD or TH being modified.
+ * @param {String}                  attribute   Either 'rowspan' or 'colspan'.
+ * @param {Int}                     span        The number of rows or columns cell should span.
+ */
+const _setCellSpan = function(cell, attribute, span) {
+    if (span > 1) {
+        cell.setAttribute(attribute, span);
+    } else {
+        cell.removeAttribute(attribute);
+    };
+};
+
+/**
+ * Return the grid of cells for section, a THEAD or TBODY, as an array of rows, each
+ * of which is an array of the cells that occupy each column in that row.
+ *
+ * A cell that spans rows or columns occupies more than one place in the grid, so the
+ * grid is what we use to map between the row/col the user sees and the TD or TH elements,
+ * which are only children of the TR that their top row is in.
+ *
+ * @param {HTML Table Section Element}  section     The THEAD or TBODY being examined.
+ * @return {[[HTML Table Cell Element]]}            The grid of cells by row and col.
+ */
+const _tableGrid = function(section) {
+    const rows = section.children;
+    const grid = [];
+    for (let row=0; row<rows.length; row++) {
+        grid[row] = grid[row] ?? [];
+    };
+    for (let row=0; row<rows.length; row++) {
+        const cells = rows[row].children;
+        let col = 0;
+        for (let i=0; i<cells.length; i++) {
+            const cell = cells[i];
+            // Skip the places occupied by cells that span rows from above
+            while (grid[row][col]) { col++ };
+            const rowspan = _cellSpan(cell, 'rowspan');
+            const colspan = _cellSpan(cell, 'colspan');
+            for (let r=row; (r<row+rowspan) && (r<rows.length); r++) {
+                for (let c=col; c<col+colspan; c++) {
+                    grid[r][c] = cell;
+                };
+            };
+            col += colspan;
+        };
+    };
+    return grid;
+};
+
+/**
+ * Return the [row, col] of the top-left place cell occupies in grid.
+ *
+ * @param {[[HTML Table Cell Element]]} grid    The grid returned from _tableGrid.
+ * @param {HTML Table Cell Element}     cell    The TD or TH to find.
+ * @return {[Int]}                              The row and col of cell, or [-1, -1] if not found.
+ */
+const _cellPosition = function(grid, cell) {
+    for (let row=0; row<grid.length; row++) {
+        const col = grid[row].indexOf(cell);
+        if (col >= 0) { return [row, col] };
+    };
+    return [-1, -1];
+};
+
+/**
+ * Return the number of columns in grid, which is the length of its longest row.
+ */
+const _gridWidth = function(grid) {
+    return grid.reduce((width, cells) => Math.max(width, cells.length), 0);
+};
+
+/**
+ * Return the cell in row of grid that the TR at that row holds and which begins
+ * at or after col, so we can insert cells before it. Return null if there is none,
+ * because then we want to append to the TR.
+ */
+const _cellAtOrAfter = function(grid, tr, row, col) {
+    const cells = grid[row];
+    for (let c=col; c<cells.length; c++) {
+        const cell = cells[c];
+        if (cell && (cell.parentNode === tr) && (cells[c-1] !== cell)) { return cell };
+    };
+    return null;
+};
+
+/**
+ * Insert a new row at index at in section. Cells that span rows across the place
+ * where the new row goes are extended to span it, too; otherwise, the new row gets
+ * an empty TD in each column.
+ *
+ * @param {HTML Table Section Element}  section     The TBODY to insert the row into.
+ * @param {Int}                         at          The index the new row will have in section.
+ * @return {HTML Table Row Element}                 The new row.
+ */
+const _insertRow = function(section, at) {
+    const rows = section.children;
+    const grid = _tableGrid(section);
+    const cols = _gridWidth(grid);
+    const rowHeader = (section.nodeName === 'TBODY') && _hasHeaderColumn(section.parentNode);
+    const newRow = document.createElement('tr');
+    const extended = [];
+    for (let col=0; col<cols; col++) {
+        const cell = (at > 0) && (at < rows.length) ? grid[at][col] : null;
+        if (cell && (cell === grid[at-1][col])) {
+            if (!extended.includes(cell)) {
+                _setCellSpan(cell, 'rowspan', _cellSpan(cell, 'rowspan') + 1);
+                extended.push(cell);
+            };
+        } else if ((col === 0) && rowHeader) {
+            const th = _emptyTh();
+            th.setAttribute('scope', 'row');
+            newRow.appendChild(th);
+        } else {
+            newRow.appendChild(_emptyTd());
+        };
+    };
+    section.insertBefore(newRow, rows[at] ?? null);
+    return newRow;
+};
+
+/**
+ * Insert a new column at index at in section. Cells that span columns across the place
+ * where the new column goes are extended to span it, too; otherwise, each row gets an
+ * empty cell of cellType in the new column.
+ *
+ * @param {HTML Table Section Element}  section     The THEAD or TBODY to insert the column into.
+ * @param {Int}                         at          The index the new column will have.
+ * @param {String}                      cellType    Either 'td' or 'th'.
+ */
+const _insertCol = function(section, at, cellType) {
+    const rows = section.children;
+    const grid = _tableGrid(section);
+    const extended = [];
+    for (let row=0; row<rows.length; row++) {
+        const cell = (at > 0) ? grid[row][at] : null;
+        if (cell && (cell === grid[row][at-1])) {
+            if (!extended.includes(cell)) {
+                _setCellSpan(cell, 'colspan', _cellSpan(cell, 'colspan') + 1);
+                extended.push(cell);
+            };
+        } else {
+            const tr = rows[row];
+            tr.insertBefore(_emptyCell(cellType), _cellAtOrAfter(grid, tr, row, at));
+        };
+    };
+};
+
+/**
+ * Remove tr from its section. Cells that span rows into tr from above span one
+ * less row, and cells in tr that span rows below it move to the next row.
+ *
+ * @param {HTML Table Row Element}  tr  The row to remove.
+ */
+const _deleteRow = function(tr) {
+    const section = tr.parentNode;
+    const rows = section.children;
+    const grid = _tableGrid(section);
+    const row = Array.from(rows).indexOf(tr);
+    const nextTr = rows[row+1];
+    const cells = grid[row];
+    for (let col=0; col<cells.length; col++) {
+        const cell = cells[col];
+        if (!cell || (cells[col-1] === cell)) { continue };
+        const rowspan = _cellSpan(cell, 'rowspan');
+        if (rowspan > 1) {
+            _setCellSpan(cell, 'rowspan', rowspan - 1);
+            if ((cell.parentNode === tr) && nextTr) {
+                nextTr.insertBefore(cell, _cellAtOrAfter(grid, nextTr, row+1, col));
+            };
+        };
+    };
+    section.removeChild(tr);
+};
+
+/**
+ * Remove column col from section. Cells that span columns across col span one
+ * less column, and the others are removed.
+ *
+ * @param {HTML Table Section Element}  section     The THEAD or TBODY to remove the column from.
+ * @param {Int}                         col         The index of the column to remove.
+ */
+const _deleteCol = function(section, col) {
+    const grid = _tableGrid(section);
+    const removed = [];
+    for (let row=0; row<grid.length; row++) {
+        const cell = grid[row][col];
+        if (!cell || removed.includes(cell)) { continue };
+        removed.push(cell);
+        const colspan = _cellSpan(cell, 'colspan');
+        if (colspan > 1) {
+            _setCellSpan(cell, 'colspan', colspan - 1);
+        } else {
+            cell.parentNode.removeChild(cell);
+        };
+    };
+};
+
+/**
+ * Append a row of cols empty TDs to section, which may be empty.
+ *
+ * @param {HTML Table Section Element}  section     The TBODY to append the row to.
+ * @param {Int}                         cols        The number of columns in the table.
+ */
+const _appendRow = function(section, cols) {
+    if (section.children.length > 0) {
+        _insertRow(section, section.children.length);
+    } else {
+        const tr = document.createElement('tr');
+        for (let col=0; col<cols; col++) {
+            tr.appendChild(_emptyTd());
+        };
+        section.appendChild(tr);
+    };
+};
+
+/**
+ * Append count empty columns to table, extending a header that spans all columns
+ * and sharing the width among the columns if they have been resized.
+ *
+ * @param {HTML Table Element}  table   The table to add columns to.
+ * @param {Int}                 count   The number of columns to add.
+ */
+const _appendCols = function(table, count) {
+    const cols = _getRowsCols(table)[1];
+    const colspan = _getRowsCols(table)[3];
+    if (_getSection(table, 'COLGROUP')) {
+        const widths = _columnWidths(table).map(width => width * cols / (cols + count));
+        _setColumnWidths(table, widths.concat(Array(count).fill(100 / (cols + count))));
+    };
+    const body = _getSection(table, 'TBODY');
+    const thead = _getSection(table, 'THEAD');
+    for (let i=0; i<count; i++) {
+        if (body) {
+            _insertCol(body, cols + i, 'td');
+        };
+        if (thead && !colspan) {
+            _insertCol(thead, cols + i, 'th');
+        };
+    };
+    if (thead && colspan) {
+        thead.children[0].children[0].setAttribute('colspan', cols + count);
     };
-    return elements;
 };
 
 /**
- * Since we might select an element in the header or the body of table, we need a single
- * way to get the size of the table body in terms rows and cols regardless of what was
- * selected. The header always has one row that is not counted in terms of the table size.
- * When we have a TBODY, it always defines rowCount and colCount. If we have a THEAD and
- * no TBODY, then THEAD defines colcount either using the value in colspan if it exists, or
- * by the number of TH children of THEAD. In both of those cases (no TBODY), rowCount
- * is zero. The colspan value is returned so we know if the header spans columns.
- * Externally, we only need to know if a header exists. Internally in JavaScript, we can
- * always _getSection for the table to find out.
+ * Return the width of each column of table as a percentage of the table width.
  *
- * @param {HTML Table Element}  table   The table being examined
- * @return {[T]}                        Array with number of rows and cols and whether a header with or without colSpan exists
+ * The widths come from the COL elements in the table's COLGROUP. Without them, or when
+ * they don't match the number of columns, the columns share the width equally, which
+ * is how they are laid out.
+ *
+ * @param {HTML Table Element}  table   The table being examined.
+ * @return {[Number]}                   The width of each column in percent.
  */
-const _getRowsCols = function(table) {
-    let rowCount = 0;
-    let colCount = 0;
-    let headerExists = false;
-    let colspan = null;
-    const children = table.children;
-    for (let i=0; i<children.length; i++) {
-        let section = children[i];
-        let rows = section.children;
-        if (rows.length > 0) {
-            let row = rows[0];
-            let cols = row.children;
-            if (section.nodeName === 'TBODY') {
-                rowCount = rows.length;
-                colCount = cols.length;
-            } else if (section.nodeName === 'THEAD') {
-                headerExists = true;
-                if (cols.length > 0) {
-                    colspan = _numberAttribute(cols[0], 'colspan');
-                };
-                if (colspan && (colCount === 0)) {
-                    colCount = colspan;
-                } else if (colCount === 0) {
-                    colCount = cols.length;
-                };
-            };
-        };
+const _columnWidths = function(table) {
+    const cols = _getRowsCols(table)[1];
+    const colgroup = _getSection(table, 'COLGROUP');
+    const colElements = (colgroup) ? colgroup.children : [];
+    const widths = [];
+    for (let i=0; i<colElements.length; i++) {
+        widths.push(parseFloat(colElements[i].getAttribute('width')));
     };
-    const colSpanExists = colspan != null;
-    return [ rowCount, colCount, headerExists, colSpanExists ];
-}
+    if ((widths.length !== cols) || widths.some(width => isNaN(width))) {
+        return Array(cols).fill(100 / cols);
+    };
+    return widths;
+};
 
 /**
- * Return the section of the table identified by node name
+ * Set the width of each column of table, replacing the COLGROUP that holds them or
+ * inserting one at the beginning of the table.
  *
- * @param {HTML Table Element}  table   The table being examined.
- * @param {String}              name    The desired section, either 'THEAD' or 'TBODY'.
- * @return {HTML Table Header | HTML Table Body | null}
+ * @param {HTML Table Element}  table   The table to modify.
+ * @param {[Number]}            widths  The width of each column in percent.
  */
-const _getSection = function(table, name) {
-    const children = table.children;
-    for (let i=0; i<children.length; i++) {
-        let section = children[i];
-        if (section.nodeName === name) {
-            return section;
-        };
+const _setColumnWidths = function(table, widths) {
+    const colgroup = document.createElement('colgroup');
+    widths.forEach(width => {
+        const col = document.createElement('col');
+        col.setAttribute('width', (Math.round(width * 10) / 10).toString() + '%');
+        colgroup.appendChild(col);
+    });
+    const existingColgroup = _getSection(table, 'COLGROUP');
+    if (existingColgroup) {
+        table.replaceChild(colgroup, existingColgroup);
+    } else {
+        // The colgroup has to follow the caption if there is one
+        const caption = _getSection(table, 'CAPTION');
+        table.insertBefore(colgroup, (caption) ? caption.nextSibling : table.firstChild);
     };
-    return null;
 };
 
 /**
- * Given a row, tr, select at the beginning of the first text element in col, or
- * the entire first element if not a text element.
+ * Given a row, tr, select at the beginning of the first text element in the cell
+ * that occupies col, or the entire first element if not a text element.
  *
  * @param {HTML Row Element}    tr      The row that holds the TD or TH cell in column col to be selected.
  * @param {Int}                 col     The column to be selected
  * @returns {HTML Node | null}          The selected node at row/col or header in table
  */
 const _selectCol = function(tr, col) {
-    const cell = tr.children[col];
+    const section = tr.parentNode;
+    const row = Array.from(section.children).indexOf(tr);
+    const cells = _tableGrid(section)[row];
+    return _selectCell(cells ? cells[col] : null);
+};
+
+/**
+ * Select at the beginning of the first text element in cell, or the entire
+ * first element if not a text element.
+ *
+ * @param {HTML Table Cell Element | null}  cell    The TD or TH to select in, or the CAPTION.
+ * @returns {HTML Node | null}                      The selected node in cell
+ */
+const _selectCell = function(cell) {
     let selectedNode = null;
     if (cell) { // The cell is either a th or td
         const sel = document.getSelection();
@@ -9213,13 +14585,19 @@ const _selectCol = function(tr, col) {
  * reset the selection to the row/col in the table.
  * Used after doInsertTable to restore the selection to the same row/col it
  * started it, but will be at the beginning of the first child in it.
+ * When inCaption is true, the selection goes in the caption instead.
  *
- * @param {HTML Table Element}  table   The table to put the selection in.
- * @param {Int}                 row     The row number to select the TD cell in.
- * @param {Int}                 col     The column number to select the TD or TH cell in.
- * @returns {HTML Node | null}          The selected node at row/col or header in table
+ * @param {HTML Table Element}  table       The table to put the selection in.
+ * @param {Int}                 row         The row number to select the TD cell in.
+ * @param {Int}                 col         The column number to select the TD or TH cell in.
+ * @param {Boolean}             inHeader    True to select col in the header.
+ * @param {Boolean}             inCaption   True to select in the caption.
+ * @returns {HTML Node | null}              The selected node at row/col or header in table
  */
-const _restoreTableSelection = function(table, row, col, inHeader) {
+const _restoreTableSelection = function(table, row, col, inHeader, inCaption=false) {
+    if (inCaption) {
+        return _selectCell(_getSection(table, 'CAPTION'));
+    };
     let tr;
     if (inHeader) {
         const header = _getSection(table, 'THEAD');
@@ -9254,9 +14632,14 @@ const _redoInsertTable = function(undoerData) {
     } else {
         selNode = startContainer
     };
-    const targetNode = _findFirstParentElementInNodeNames(selNode, _topLevelTags);
+    const targetNode = selNode && _findFirstParentElementInNodeNames(selNode, _topLevelTags);
     let table;
-    if ((targetNode === selNode) || (targetNode.firstChild === startRange.startContainer) && (startRange.startOffset === 0)) {
+    if (!targetNode) {
+        // The range is at the end of startContainer, which is where the table was when it
+        // was the last element (e.g., in the document)
+        startContainer.insertAdjacentHTML('beforeend', undoerData.data.outerHTML);
+        table = _getFirstChildWithNameWithin(startContainer.lastChild, 'TABLE');
+    } else if ((targetNode === selNode) || (targetNode.firstChild === startRange.startContainer) && (startRange.startOffset === 0)) {
         targetNode.insertAdjacentHTML('beforebegin', undoerData.data.outerHTML);
         // We need the new table that now exists before targetNode
         table = _getFirstChildWithNameWithin(targetNode.previousSibling, 'TABLE');
@@ -9270,7 +14653,7 @@ const _redoInsertTable = function(undoerData) {
     // it was at when originally deleted. Then reset the undoerData range to hold
     // onto the new range.
     if (table) {
-        _restoreTableSelection(table, undoerData.data.row, undoerData.data.col, undoerData.data.inHeader)
+        _restoreTableSelection(table, undoerData.data.row, undoerData.data.col, undoerData.data.inHeader, undoerData.data.inCaption)
         _backupUndoerRange(undoerData);
     };
 };
@@ -9285,7 +14668,7 @@ const _redoDeleteTable = function(undoerData) {
     // The undoerData has the range to select to remove the table;
     // iow, the table exists when deleteTable is called. Leave the
     // undoerData.range set to the selection after deleting the table.
-    _restoreUndoerRange(undoerData);
+    _restoreUndoerTableRange(undoerData);
     _backupSelection();
     MU.deleteTable(false);
     const startRange = undoerData.data.startRange ?? undoerData.range;
@@ -9295,6 +14678,29 @@ const _redoDeleteTable = function(undoerData) {
     _backupUndoerRange(undoerData);
 };
 
+/**
+ * Restore the undoerData.range and return the table it is in, or null if there is none.
+ *
+ * If another operation replaced the table after undoerData was pushed (e.g., restoreTable
+ * or redoing insertTable), the range collapsed to where that table was, which is where the
+ * new one is now. In that case, select the first cell of the new table and back up the range
+ * so undoerData holds onto the new table.
+ *
+ * @param {Object}  undoerData  The undoerData instance created at push time.
+ * @return {HTML Table Element | null}  The table at the restored range.
+ */
+const _restoreUndoerTableRange = function(undoerData) {
+    _restoreUndoerRange(undoerData);
+    const table = _getTableElementsAtSelection()['table'];
+    if (table) { return table };
+    const range = undoerData.range;
+    const node = (range && _isElementNode(range.startContainer)) ? range.startContainer.childNodes[range.startOffset] : null;
+    if (!node || (node.nodeName !== 'TABLE')) { return null };
+    _selectCell(node.querySelector('td, th'));
+    _backupUndoerRange(undoerData);
+    return node;
+};
+
 /**
  * Restore the previous table by deleting the existing table and
  * inserting the one held in undoerData. This is a lazy way to
@@ -9315,19 +14721,58 @@ const _redoDeleteTable = function(undoerData) {
  * @param {Object}  undoerData  The undoerData instance created at push time.
  */
 const _restoreTable = function(undoerData) {
-    _restoreUndoerRange(undoerData);
+    if (!_restoreUndoerTableRange(undoerData)) { return };
     const tableElements = _getTableElementsAtSelection();
     const table = tableElements['table'];
     const outerHTML = table.outerHTML;
     const row = tableElements['row'];
     const col = tableElements['col'];
     const inHeader = tableElements['thead'] != null
+    const inCaption = tableElements['caption'] != null;
     _redoDeleteTable(undoerData);
     _redoInsertTable(undoerData);
     undoerData.data.outerHTML = outerHTML;
     undoerData.data.row = row;
     undoerData.data.col = col;
     undoerData.data.inHeader = inHeader;
+    undoerData.data.inCaption = inCaption;
+};
+
+/**
+ * Return the cell before or after cell in its section, skipping any rows that
+ * hold no cells because cells from above span them. Because cells that span
+ * rows or columns are only children of their top row, this is the order that
+ * Tab and Shift-Tab move through the cells.
+ *
+ * @param {HTML Table Cell Element} cell        The TD or TH to start from.
+ * @param {String}                  direction   Either 'BEFORE' or 'AFTER'.
+ * @return {HTML Table Cell Element | null}     The adjacent cell, or null if cell is first or last.
+ */
+const _adjacentCell = function(cell, direction) {
+    const after = direction === 'AFTER';
+    const sibling = after ? cell.nextElementSibling : cell.previousElementSibling;
+    if (sibling) { return sibling };
+    let tr = after ? cell.parentNode.nextElementSibling : cell.parentNode.previousElementSibling;
+    while (tr) {
+        const adjacent = after ? tr.firstElementChild : tr.lastElementChild;
+        if (adjacent) { return adjacent };
+        tr = after ? tr.nextElementSibling : tr.previousElementSibling;
+    };
+    return null;
+};
+
+/**
+ * Move the selection to the next cell in the table, as when pressing Tab.
+ */
+MU.nextCell = function() {
+    _doNextCell();
+};
+
+/**
+ * Move the selection to the previous cell in the table, as when pressing Shift+Tab.
+ */
+MU.prevCell = function() {
+    _doPrevCell();
 };
 
 /**
@@ -9339,12 +14784,18 @@ const _restoreTable = function(undoerData) {
 const _doNextCell = function() {
     const tableElements = _getTableElementsAtSelection();
     const table = tableElements['table'];
+    if (!table) { return null };
+    if (!tableElements['td'] && !tableElements['th']) {
+        // In the caption, so move into the first cell
+        return _restoreTableSelection(table, 0, 0, _getSection(table, 'THEAD') != null);
+    };
     const row = tableElements['row'];
     const col = tableElements['col'];
     const rows = tableElements['rows'];
     const cols = tableElements['cols'];
     const inHeader = tableElements['thead'] != null
     const colspan = tableElements['colspan']
+    const nextCell = inHeader ? null : _adjacentCell(tableElements['td'] ?? tableElements['th'], 'AFTER');
     let nextElement = null;
     if (inHeader) {
         if (!colspan && (col < cols-1)) {
@@ -9357,11 +14808,10 @@ const _doNextCell = function() {
             const newTable = newTableElements['table'];
             nextElement = _restoreTableSelection(newTable, 0, 0, false);
         };
-    } else if (col < cols-1) {
-        nextElement = _restoreTableSelection(table, row, col+1, false);
-    } else if (row < rows-1) {
-        nextElement = _restoreTableSelection(table, row+1, 0, false);
-    } else if ((row === rows-1) && (col === cols-1)) {
+    } else if (nextCell) {
+        nextElement = _selectCell(nextCell);
+    } else {
+        // We are in the last cell of the table
         MU.addRow('AFTER');
         const newTableElements = _getTableElementsAtSelection();
         const newTable = newTableElements['table'];
@@ -9378,22 +14828,23 @@ const _doNextCell = function() {
 const _doPrevCell = function() {
     const tableElements = _getTableElementsAtSelection();
     const table = tableElements['table'];
+    if (!table) { return null };
+    if (!tableElements['td'] && !tableElements['th']) { return null };    // In the caption, which has nothing before it
     const row = tableElements['row'];
     const col = tableElements['col'];
     const cols = tableElements['cols'];
     const header = _getSection(table, 'THEAD');
     const inHeader = tableElements['thead'] != null
     const colspan = tableElements['colspan']
+    const prevCell = inHeader ? null : _adjacentCell(tableElements['td'] ?? tableElements['th'], 'BEFORE');
     let nextElement = null;
     if (inHeader) {
         if (!colspan && (col > 0)) {
             nextElement = _restoreTableSelection(table, row, col-1, true);
         };
-    } else if (col > 0) {
-        nextElement = _restoreTableSelection(table, row, col-1, false);
-    } else if ((col === 0) && (row > 0)) {
-        nextElement = _restoreTableSelection(table, row-1, cols-1, false);
-    } else if (header && (col === 0) && (row === 0)) {
+    } else if (prevCell) {
+        nextElement = _selectCell(prevCell);
+    } else if (header) {
         if (!colspan) {
             nextElement = _restoreTableSelection(table, 0, cols-1, true);
         } else {
@@ -9403,6 +14854,442 @@ const _doPrevCell = function() {
     return nextElement
 }
 
+/**
+ * Move the selection to the cell above or below the one it is in, in the same column,
+ * going between the header and body as needed. From the first row going up or the last
+ * row going down, the selection leaves the table for the element before or after it.
+ *
+ * Unless anyLine is true, we only move when the selection is on the first line of the
+ * cell going up or the last line going down, so the arrow keys still move between the
+ * lines of a cell with multi-line contents. Going up leaves the selection at the end of
+ * the cell we move to, and going down leaves it at the beginning.
+ *
+ * @param {String}  direction   Either 'UP' or 'DOWN'.
+ * @param {Boolean} anyLine     True to move no matter which line of the cell the selection is on.
+ * @return {Boolean}            True if we moved the selection, so the key should not be handled further.
+ */
+const _doVerticalCell = function(direction, anyLine=false) {
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) { return false };
+    const tableElements = _getTableElementsAtSelection();
+    const table = tableElements['table'];
+    const cell = tableElements['td'] ?? tableElements['th'];
+    if (!table || !cell) { return false };
+    const up = direction === 'UP';
+    if (!anyLine && !_isAtCellEdgeLine(cell, sel.focusNode, sel.focusOffset, up)) { return false };
+    // Find the cell in the row past the edge of the selected one, which may span rows,
+    // moving between the header and body when we run out of rows in one of them
+    const section = cell.parentNode.parentNode;
+    const grid = _tableGrid(section);
+    const [row, col] = _cellPosition(grid, cell);
+    const targetRow = up ? row - 1 : row + _cellSpan(cell, 'rowspan');
+    let target = grid[targetRow]?.[col];
+    if (!target) {
+        const otherSection = (section.nodeName === 'THEAD') ? (up ? null : _getSection(table, 'TBODY')) : (up ? _getSection(table, 'THEAD') : null);
+        const otherGrid = (otherSection) ? _tableGrid(otherSection) : [];
+        const otherCells = (up) ? otherGrid[otherGrid.length - 1] : otherGrid[0];
+        target = otherCells?.[Math.min(col, otherCells.length - 1)];
+    };
+    const location = (target) ? (up ? _lastSelectableLocation(target) : _firstSelectableLocation(target)) : (up ? _firstSelectableLocationBefore(table) : _firstSelectableLocationAfter(table));
+    // With nowhere to go outside the table, let the browser do what it does
+    if (!location) { return false };
+    const offset = (_isElementNode(location.container)) ? 0 : location.offset;
+    const range = document.createRange();
+    range.setStart(location.container, offset);
+    range.setEnd(location.container, offset);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return true;
+};
+
+/**
+ * Return whether the location at container and offset is on the first line of cell when
+ * up is true, or on its last line otherwise, by comparing its position with that of the
+ * beginning or end of the cell's contents.
+ */
+const _isAtCellEdgeLine = function(cell, container, offset, up) {
+    const edge = (up) ? _firstSelectableLocation(cell) : _lastSelectableLocation(cell);
+    if (!edge) { return true };
+    const edgeOffset = (_isElementNode(edge.container)) ? 0 : edge.offset;
+    const caretRect = _caretRect(container, offset);
+    const edgeRect = _caretRect(edge.container, edgeOffset);
+    // Compare against half a line, so caret rects of different heights on the same line match
+    const tolerance = Math.max(edgeRect.height, caretRect.height, 1) / 2;
+    return (up) ? (caretRect.top - edgeRect.top < tolerance) : (edgeRect.bottom - caretRect.bottom < tolerance);
+};
+
+/**
+ * Return the client rect of a caret at container and offset, falling back to the rect of
+ * the element containing it when the collapsed range has none, as in an empty paragraph.
+ */
+const _caretRect = function(container, offset) {
+    const range = document.createRange();
+    range.setStart(container, offset);
+    range.setEnd(container, offset);
+    const rects = range.getClientRects();
+    if (rects.length > 0) { return rects[0] };
+    const element = (_isElementNode(container)) ? container : container.parentElement;
+    return element.getBoundingClientRect();
+};
+
+/********************************************************************************
+ * Cell Selection
+ */
+//MARK: Cell Selection
+
+/**
+ * Return the rectangle of cells selected in a table, or null if the selection is
+ * not a cell selection.
+ *
+ * We have a cell selection when the anchor and focus of the selection are in different
+ * cells of the same THEAD or TBODY, which is what we get when the user drags across cells
+ * and what _setCellSelection produces for Shift+arrow. The rectangle runs from the anchor
+ * cell to the focus cell, grown to include the full extent of cells that span rows or
+ * columns. Its top, left, bottom, and right are the rows and cols at its edges, and cells
+ * holds the cells in it from left to right and top to bottom.
+ *
+ * @return {Object | null}  The section, grid, anchorCell, focusCell, top, left, bottom, right, and cells.
+ */
+const _selectedCellRange = function() {
+    const sel = document.getSelection();
+    if (!sel || (sel.rangeCount === 0)) { return null };
+    const anchorCell = _findFirstParentElementInNodeNames(sel.anchorNode, ['TD', 'TH']);
+    const focusCell = _findFirstParentElementInNodeNames(sel.focusNode, ['TD', 'TH']);
+    if (!anchorCell || !focusCell || (anchorCell === focusCell)) { return null };
+    const section = anchorCell.parentNode.parentNode;
+    if (focusCell.parentNode.parentNode !== section) { return null };
+    const grid = _tableGrid(section);
+    const [top, left, bottom, right] = _cellRangeBounds(grid, anchorCell, focusCell);
+    const cells = [];
+    for (let row=top; row<=bottom; row++) {
+        for (let col=left; col<=right; col++) {
+            const cell = grid[row][col];
+            if (cell && !cells.includes(cell)) { cells.push(cell) };
+        };
+    };
+    return {
+        section: section,
+        grid: grid,
+        anchorCell: anchorCell,
+        focusCell: focusCell,
+        top: top,
+        left: left,
+        bottom: bottom,
+        right: right,
+        cells: cells
+    };
+};
+
+/**
+ * Set the selection to the rectangle of cells from anchorCell to focusCell, or to
+ * the beginning of anchorCell if they are the same.
+ *
+ * The selection runs from the edge of anchorCell to the opposite edge of focusCell, so
+ * that the range it holds encloses all of the selected cells in document order.
+ *
+ * @param {HTML Table Cell Element} anchorCell  The cell the cell selection starts from.
+ * @param {HTML Table Cell Element} focusCell   The cell the cell selection extends to.
+ */
+const _setCellSelection = function(anchorCell, focusCell) {
+    if (anchorCell === focusCell) {
+        _selectCell(anchorCell);
+    } else {
+        const sel = document.getSelection();
+        const forward = (anchorCell.compareDocumentPosition(focusCell) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+        if (forward) {
+            sel.setBaseAndExtent(anchorCell, 0, focusCell, focusCell.childNodes.length);
+        } else {
+            sel.setBaseAndExtent(anchorCell, anchorCell.childNodes.length, focusCell, 0);
+        };
+        _backupSelection();
+    };
+    _highlightCellSelection();
+};
+
+/**
+ * Highlight the cells in the cell selection, if any.
+ *
+ * Like search results, we use the CSS Custom Highlight API so nothing is added to the
+ * HTML being edited. The 'cell-selection' class on the body hides the normal selection,
+ * which otherwise shows every cell between the anchor and focus in document order rather
+ * than the rectangle. Without the highlight API, we leave the normal selection showing,
+ * since otherwise nothing would show the selected cells.
+ */
+const _highlightCellSelection = function() {
+    if (!CSS.highlights) { return };
+    const cellRange = _selectedCellRange();
+    document.body.classList.toggle('cell-selection', cellRange != null);
+    if (cellRange) {
+        const ranges = cellRange.cells.map(function(cell) {
+            const range = document.createRange();
+            range.selectNodeContents(cell);
+            return range;
+        });
+        CSS.highlights.set('selected-cells', new Highlight(...ranges));
+    } else {
+        CSS.highlights.delete('selected-cells');
+    };
+};
+
+/**
+ * Extend the cell selection by one cell in the direction of the arrow key, returning
+ * true if we handled the key so its default action should be prevented.
+ *
+ * When there is no cell selection yet, we only start one when the selection is within a
+ * single cell and the key would otherwise move out of it, so that Shift+arrow keeps
+ * selecting text inside of a cell. Once we have a cell selection, we handle the key even
+ * at the edge of the table, so the selection doesn't spill out of it.
+ *
+ * @param {String}  key     One of 'ArrowLeft', 'ArrowRight', 'ArrowUp', or 'ArrowDown'.
+ * @return {Boolean}        True if the key was handled.
+ */
+const _extendCellSelection = function(key) {
+    const cellRange = _selectedCellRange();
+    let anchorCell, focusCell, grid;
+    if (cellRange) {
+        anchorCell = cellRange.anchorCell;
+        focusCell = cellRange.focusCell;
+        grid = cellRange.grid;
+    } else {
+        const sel = document.getSelection();
+        if (!sel || (sel.rangeCount === 0)) { return false };
+        focusCell = _findFirstParentElementInNodeNames(sel.focusNode, ['TD', 'TH']);
+        anchorCell = _findFirstParentElementInNodeNames(sel.anchorNode, ['TD', 'TH']);
+        if (!focusCell || (anchorCell !== focusCell) || !_atCellEdge(focusCell, key)) { return false };
+        grid = _tableGrid(focusCell.parentNode.parentNode);
+    };
+    const nextCell = _cellInDirection(grid, focusCell, key);
+    if (!nextCell) { return cellRange != null };
+    _setCellSelection(anchorCell, nextCell);
+    _callback('selectionChange');
+    return true;
+};
+
+/**
+ * Return whether the focus of the selection is at the edge of cell that the arrow key
+ * moves toward. For left and right, there must be no text between the focus and the edge.
+ * For up and down, the focus must be in the first or last block in cell.
+ */
+const _atCellEdge = function(cell, key) {
+    const sel = document.getSelection();
+    const focusNode = sel.focusNode;
+    if ((key === 'ArrowLeft') || (key === 'ArrowRight')) {
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        if (key === 'ArrowLeft') {
+            range.setEnd(focusNode, sel.focusOffset);
+        } else {
+            range.setStart(focusNode, sel.focusOffset);
+        };
+        return range.toString().length === 0;
+    };
+    let block = focusNode;
+    while (block && (block.parentNode !== cell)) { block = block.parentNode };
+    if (!block) { return focusNode === cell };
+    return (key === 'ArrowUp') ? (block === cell.firstChild) : (block === cell.lastChild);
+};
+
+/**
+ * Return the cell next to cell in grid in the direction of the arrow key, or null if cell
+ * is at the edge of the grid.
+ */
+const _cellInDirection = function(grid, cell, key) {
+    let [row, col] = _cellPosition(grid, cell);
+    switch (key) {
+        case 'ArrowLeft':
+            col = col - 1;
+            break;
+        case 'ArrowRight':
+            col = col + _cellSpan(cell, 'colspan');
+            break;
+        case 'ArrowUp':
+            row = row - 1;
+            break;
+        case 'ArrowDown':
+            row = row + _cellSpan(cell, 'rowspan');
+            break;
+    };
+    const cells = grid[row];
+    return (cells && cells[col]) ?? null;
+};
+
+/**
+ * Do operation in each of the selected cells in turn with the contents of that cell
+ * selected, and then restore the cell selection.
+ *
+ * The operation should not push anything onto the undo stack itself. Instead, like the
+ * other table operations, we use restoreTable to undo and redo all of the changes at once.
+ *
+ * @param {Object}      cellRange   The cell selection returned from _selectedCellRange.
+ * @param {Function}    operation   The function to call with each cell.
+ * @param {Boolean}     undoable    True if we should push undoerData onto the undo stack.
+ */
+const _doInSelectedCells = function(cellRange, operation, undoable=true) {
+    const tableElements = _getTableElementsAtSelection();
+    const outerHTML = cellRange.section.parentNode.outerHTML;
+    cellRange.cells.forEach(function(cell) {
+        _selectCellContents(cell);
+        operation(cell);
+    });
+    _setCellSelection(cellRange.anchorCell, cellRange.focusCell);
+    if (undoable) {
+        const undoerData = _undoerData('restoreTable', {row: tableElements['row'], col: tableElements['col'], inHeader: (tableElements['thead'] != null), outerHTML: outerHTML});
+        undoer.push(undoerData);
+        _restoreSelection();
+    };
+    _callbackInput();
+};
+
+/**
+ * Select from the beginning of the first text in cell to the end of the last text, or
+ * put the selection at the beginning of cell if it holds no text.
+ *
+ * @param {HTML Table Cell Element} cell    The TD or TH whose contents we want to select.
+ * @return {Boolean}                        True if cell holds any text.
+ */
+const _selectCellContents = function(cell) {
+    const textNodes = _textNodesWithin(cell);
+    const range = document.createRange();
+    if (textNodes.length > 0) {
+        const lastTextNode = textNodes[textNodes.length - 1];
+        range.setStart(textNodes[0], 0);
+        range.setEnd(lastTextNode, lastTextNode.textContent.length);
+    } else {
+        range.setStart(cell.firstElementChild ?? cell, 0);
+        range.setEnd(cell.firstElementChild ?? cell, 0);
+    };
+    const sel = document.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return textNodes.length > 0;
+};
+
+/**
+ * Return the non-empty text nodes within element in document order.
+ */
+const _textNodesWithin = function(element) {
+    const textNodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        if (!_isEmpty(walker.currentNode)) { textNodes.push(walker.currentNode) };
+    };
+    return textNodes;
+};
+
+/**
+ * Toggle the format of type in every selected cell, based on whether all of them already
+ * have it. Cells that are already in the state we are toggling to are left alone, so we
+ * don't flip cells that differ from the others.
+ *
+ * @param {String}  type        The format tag, e.g., 'B'.
+ * @param {Object}  cellRange   The cell selection returned from _selectedCellRange.
+ */
+const _toggleCellFormat = function(type, cellRange) {
+    const hasFormat = function(cell) {
+        return _textNodesWithin(cell).every(textNode => _findFirstParentElementInNodeNames(textNode, [type]) != null);
+    };
+    const formatOn = !cellRange.cells.every(hasFormat);
+    _doInSelectedCells(cellRange, function(cell) {
+        if (hasFormat(cell) === formatOn) { return };
+        if (_selectionSpansTextNodes()) {
+            _multiFormat(type, false);
+        } else {
+            _toggleFormat(type, false);
+        };
+    });
+};
+
+/**
+ * Clear the contents of the selected cells, leaving each of them holding an empty paragraph.
+ * Used for Delete and Backspace when cells are selected, and for cutting them.
+ *
+ * @param {Boolean} undoable    True if we should push undoerData onto the undo stack.
+ */
+MU.clearCells = function(undoable=true) {
+    const cellRange = _selectedCellRange();
+    if (!cellRange) { return };
+    _doInSelectedCells(cellRange, function(cell) {
+        const emptyCell = _emptyCell(cell.nodeName);
+        while (cell.firstChild) {
+            cell.removeChild(cell.firstChild);
+        };
+        cell.appendChild(emptyCell.firstChild);
+    }, undoable);
+};
+
+/**
+ * Return a table holding copies of the selected cells.
+ *
+ * @param {Object}  cellRange   The cell selection returned from _selectedCellRange.
+ * @return {HTML Table Element} A new table with the selected rows and cols.
+ */
+const _cellRangeTable = function(cellRange) {
+    const table = document.createElement('table');
+    const section = document.createElement(cellRange.section.nodeName);
+    const grid = cellRange.grid;
+    for (let row=cellRange.top; row<=cellRange.bottom; row++) {
+        const tr = document.createElement('tr');
+        for (let col=cellRange.left; col<=cellRange.right; col++) {
+            const cell = grid[row][col];
+            const [cellRow, cellCol] = _cellPosition(grid, cell);
+            if ((cellRow === row) && (cellCol === col)) {
+                tr.appendChild(cell.cloneNode(true));
+            };
+        };
+        section.appendChild(tr);
+    };
+    table.appendChild(section);
+    return table;
+};
+
+/**
+ * Return the selected cells as tab-separated text, one line per row. A cell that spans
+ * rows or columns provides the text at its top-left, leaving the others empty.
+ *
+ * @param {Object}  cellRange   The cell selection returned from _selectedCellRange.
+ * @return {String}             The text of the selected cells.
+ */
+const _cellRangeText = function(cellRange) {
+    const grid = cellRange.grid;
+    const lines = [];
+    for (let row=cellRange.top; row<=cellRange.bottom; row++) {
+        const texts = [];
+        for (let col=cellRange.left; col<=cellRange.right; col++) {
+            const cell = grid[row][col];
+            const [cellRow, cellCol] = _cellPosition(grid, cell);
+            const isOrigin = (cellRow === row) && (cellCol === col);
+            texts.push(isOrigin ? _textNodesWithin(cell).map(textNode => textNode.textContent).join(' ') : '');
+        };
+        lines.push(texts.join('\t'));
+    };
+    return lines.join('\n');
+};
+
+/**
+ * Copy the selected cells to the clipboard as a table and as tab-separated text,
+ * instead of the cells that happen to lie between the anchor and focus.
+ */
+MU.editor.addEventListener('copy', function(ev) {
+    const cellRange = _selectedCellRange();
+    if (!cellRange) { return };
+    ev.preventDefault();
+    ev.clipboardData.setData('text/html', _cellRangeTable(cellRange).outerHTML);
+    ev.clipboardData.setData('text/plain', _cellRangeText(cellRange));
+});
+
+/**
+ * Cut the selected cells by copying them and then clearing their contents, which
+ * leaves the shape of the table unchanged.
+ */
+MU.editor.addEventListener('cut', function(ev) {
+    const cellRange = _selectedCellRange();
+    if (!cellRange) { return };
+    ev.preventDefault();
+    ev.clipboardData.setData('text/html', _cellRangeTable(cellRange).outerHTML);
+    ev.clipboardData.setData('text/plain', _cellRangeText(cellRange));
+    MU.clearCells();
+});
+
 /********************************************************************************
  * Common private functions
  */
@@ -10861,8 +16748,8 @@ const _rangeFromIndices = function(rangeIndices) {
     const startOffset = rangeIndices.startOffset;
     const endContainer = _childNodeIn(ancestor, rangeIndices.endIndices);
     const endOffset = rangeIndices.endOffset;
-    const startIsValid = startContainer && (_isTextNode(startContainer) && (startOffset <= startContainer.textContent.length)) || (startOffset <= startContainer.childNodes.length)
-    const endIsValid = endContainer && (_isTextNode(endContainer) && (endOffset <= endContainer.textContent.length)) || (endOffset <= endContainer.childNodes.length)
+    const startIsValid = startContainer && ((_isTextNode(startContainer) && (startOffset <= startContainer.textContent.length)) || (startOffset <= startContainer.childNodes.length))
+    const endIsValid = endContainer && ((_isTextNode(endContainer) && (endOffset <= endContainer.textContent.length)) || (endOffset <= endContainer.childNodes.length))
     if (startIsValid && endIsValid) {
         range = document.createRange();
         range.setStart(startContainer, startOffset);
@@ -11493,11 +17380,11 @@ const _childrenWithNodeNameCount = function(element, nodeName) {
  * @return  {HTML Text Node | null}         The text node whose textContent matches container's; else null.
  */
 const _firstChildMatchingContainer = function(element, container) {
-    // For our purposes here, container is always a #text node.
+    // For our purposes here, container is usually a #text node, but it can be an empty element like a P.
     const childNodes = element.childNodes;    // Include text nodes and comment nodes
     for (let i=0; i<childNodes.length; i++) {
         let node = childNodes[i];
-        if (node.nodeType === container.nodeType) {
+        if ((node.nodeType === container.nodeType) && (node.nodeName === container.nodeName)) {
             if (node.textContent === container.textContent) {
                 return node;
             }
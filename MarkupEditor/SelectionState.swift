@@ -32,15 +32,26 @@ public class SelectionState: ObservableObject, Identifiable, CustomStringConvert
     @Published public var tbody: Bool = false
     @Published public var header: Bool = false
     @Published public var colspan: Bool = false
+    @Published public var caption: Bool = false
+    @Published public var headerColumn: Bool = false
     @Published public var rows: Int = 0
     @Published public var cols: Int = 0
     @Published public var row: Int = 0
     @Published public var col: Int = 0
     @Published public var border: MarkupEditor.TableBorder = .cell
+    @Published public var align: MarkupEditor.CellAlignment? = nil
+    @Published public var valign: MarkupEditor.CellVerticalAlignment? = nil
+    @Published public var shade: MarkupEditor.CellShade? = nil
+    @Published public var cellSelection: Bool = false
+    @Published public var startRow: Int = 0
+    @Published public var startCol: Int = 0
+    @Published public var endRow: Int = 0
+    @Published public var endCol: Int = 0
     // Styles
     @Published public var style: StyleContext = StyleContext.Undefined
     @Published public var list: ListContext = ListContext.Undefined
     @Published public var li: Bool = false
+    @Published public var checked: Bool = false
     @Published public var quote: Bool = false
     // Formates
     @Published public var bold: Bool = false
@@ -146,14 +157,25 @@ public class SelectionState: ObservableObject, Identifiable, CustomStringConvert
         tbody = selectionState?.tbody ?? false          // Is selection in table body
         header = selectionState?.header ?? false        // Does table have a header
         colspan = selectionState?.colspan ?? false      // If so, does header have colspan
+        caption = selectionState?.caption ?? false      // Does table have a caption
+        headerColumn = selectionState?.headerColumn ?? false    // Does table have row headers in its first column
         rows = selectionState?.rows ?? 0                // Number of rows in table if selected
         cols = selectionState?.cols ?? 0                // Number of cols in table if selected
         row = selectionState?.row ?? 0                  // Row number selected in body (0 if header)
         col = selectionState?.col ?? 0                  // Col number selected in body or header
         border = selectionState?.border ?? .cell        // TableBorder for selected table
+        align = selectionState?.align                   // CellAlignment shared by selected cells
+        valign = selectionState?.valign                 // CellVerticalAlignment shared by selected cells
+        shade = selectionState?.shade                   // CellShade shared by selected cells
+        cellSelection = selectionState?.cellSelection ?? false  // Are multiple cells selected
+        startRow = selectionState?.startRow ?? 0        // First row of selected cells
+        startCol = selectionState?.startCol ?? 0        // First col of selected cells
+        endRow = selectionState?.endRow ?? 0            // Last row of selected cells
+        endCol = selectionState?.endCol ?? 0            // Last col of selected cells
         style = selectionState?.style ?? StyleContext.Undefined
         list = selectionState?.list ?? ListContext.Undefined
         li = selectionState?.li ?? false
+        checked = selectionState?.checked ?? false
         quote = selectionState?.quote ?? false
         bold = selectionState?.bold ?? false
         italic = selectionState?.italic ?? false
@@ -200,7 +222,10 @@ public class SelectionState: ObservableObject, Identifiable, CustomStringConvert
         guard table else { return "none" }
         let tableSize = "\(rows)x\(cols)"
         let headerType = header ? (colspan ? "spanning header" : "non-spanning header") : "no header"
-        if tbody {
+        if cellSelection {
+            let section = thead ? "header" : "body"
+            return "cells in \(section) rows \(startRow)-\(endRow), cols \(startCol)-\(endCol) of \(tableSize) table with \(headerType), border: \(border)"
+        } else if tbody {
             return "in body row \(row), col \(col) of \(tableSize) table with \(headerType), border: \(border)"
         } else if thead {
             if colspan {
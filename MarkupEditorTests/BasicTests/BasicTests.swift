@@ -17,6 +17,7 @@ class BasicTests: XCTestCase, MarkupDelegate {
     var loadedExpectation: XCTestExpectation = XCTestExpectation(description: "Loaded")
     var undoSetHandler: (()->Void)?
     var inputHandler: (()->Void)?
+    var searchedHandler: ((SearchResults)->Void)?
     
     override func setUpWithError() throws {
         continueAfterFailure = false
@@ -56,6 +57,15 @@ class BasicTests: XCTestCase, MarkupDelegate {
         self.undoSetHandler = nil
     }
     
+    /// Execute the searchedHandler once if defined, then nil it out
+    func markupSearched(_ view: MarkupWKWebView, results: SearchResults) {
+        guard let searchedHandler = searchedHandler else {
+            return
+        }
+        searchedHandler(results)
+        self.searchedHandler = nil
+    }
+    
     override func tearDownWithError() throws {
         // Put teardown code here. This method is called after the invocation of each test method in the class.
     }
@@ -2684,6 +2694,15 @@ class BasicTests: XCTestCase, MarkupDelegate {
                 endId: "p",
                 endOffset: 0
             ),
+            HtmlTest(
+                description: "Keep the classes of a checklist and its checked item, but not others",
+                startHtml: "<ul class=\"checklist todo\"><li class=\"checked done\"><p id=\"p\">Call Bob</p></li><li class=\"todo\"><p>Call Alice</p></li></ul>",
+                endHtml: "<ul class=\"checklist\"><li class=\"checked\"><p id=\"p\">Call Bob</p></li><li><p>Call Alice</p></li></ul>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
             HtmlTest(
                 description: "Copy/paste from VSCode",
                 startHtml: "<meta charset='utf-8'><div style=\"color: #d4d4d4;background-color: #1e1e1e;font-family: Menlo, Monaco, 'Courier New', monospace;font-weight: normal;font-size: 12px;line-height: 18px;white-space: pre;\"><div><span style=\"color: #d4d4d4;\">Hello </span><span style=\"color: #808080;\">&lt;</span><span style=\"color: #569cd6;\">b</span><span style=\"color: #808080;\">&gt;</span><span style=\"color: #d4d4d4;\">bold</span><span style=\"color: #808080;\">&lt;/</span><span style=\"color: #569cd6;\">b</span><span style=\"color: #808080;\">&gt;</span><span style=\"color: #d4d4d4;\"> world</span></div></div>",
@@ -3700,6 +3719,17 @@ class BasicTests: XCTestCase, MarkupDelegate {
                 endOffset: 26,
                 pasteString: "simple"   // Search for
             ),
+            HtmlTest(
+                description: "Match across formatting",
+                startHtml: "<p id=\"p\">This is just a <b>si</b>mple paragraph.</p>",
+                endHtml: "simple",      // Search forward result
+                undoHtml: "simple",     // Search backward result
+                startId: "p",           // Select "|This"
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "simple"   // Search for
+            ),
         ]
         for test in htmlTests {
             test.printDescription()
@@ -3730,5 +3760,1921 @@ class BasicTests: XCTestCase, MarkupDelegate {
             wait(for: [expectation], timeout: 30)
         }
     }
+    
+    func testGetMarkdown() throws {
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Paragraph styles",
+                startHtml: "<h1>Title</h1><h3>Subtitle</h3><p>A paragraph.</p><p><br></p><p>After an empty paragraph.</p>",
+                endHtml: "# Title\n\n### Subtitle\n\nA paragraph.\n\nAfter an empty paragraph.",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Formats, with HTML fallback for U, SUB, and SUP",
+                startHtml: "<p><b>Bold</b>, <i>italic</i>, <u>underline</u>, <del>strike</del>, x<sub>2</sub>, x<sup>2</sup>, and <code>code</code>.</p>",
+                endHtml: "**Bold**, *italic*, <u>underline</u>, ~~strike~~, x<sub>2</sub>, x<sup>2</sup>, and `code`.",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Links, images, and escaped characters",
+                startHtml: "<p>A <a href=\"https://foo.com\">link</a> and *stars*.</p><p><img src=\"foo.png\" alt=\"Foo\" width=\"20\" height=\"30\"></p>",
+                endHtml: "A [link](https://foo.com) and \\*stars\\*.\n\n<img src=\"foo.png\" alt=\"Foo\" width=\"20\" height=\"30\">",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Nested lists and blockquotes",
+                startHtml: "<ul><li><p>One</p><ol><li><p>Nested</p></li></ol></li><li><p>Two</p></li></ul><blockquote><p>Quote</p><blockquote><p>Inner</p></blockquote></blockquote>",
+                endHtml: "- One\n  1. Nested\n- Two\n\n> Quote\n>\n> > Inner",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Tables with and without a header",
+                startHtml: "<table><thead><tr><th><p>A</p></th><th><p>B</p></th></tr></thead><tbody><tr><td><p>1</p></td><td><p>2</p></td></tr></tbody></table><table><tbody><tr><td><p>1</p></td><td><p>2</p></td></tr></tbody></table>",
+                endHtml: "| A | B |\n| --- | --- |\n| 1 | 2 |\n\n|  |  |\n| --- | --- |\n| 1 | 2 |",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let startHtml = test.startHtml
+            let endHtml = test.endHtml
+            let expectation = XCTestExpectation(description: "Getting Markdown")
+            webView.setTestHtml(value: startHtml) {
+                self.webView.getMarkdown { markdown in
+                    self.assertEqualStrings(expected: endHtml, saw: markdown)
+                    expectation.fulfill()
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testSetMarkdown() throws {
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Headings and paragraphs",
+                startHtml: "# Title\n\nSubtitle\n---\n\nA paragraph\nthat continues.",
+                endHtml: "<h1>Title</h1><h2>Subtitle</h2><p>A paragraph that continues.</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Formats, links, and inline HTML",
+                startHtml: "**Bold** *italic* <u>underline</u> ~~strike~~ `code` [link](https://foo.com) \\*not italic\\*",
+                endHtml: "<p><b>Bold</b> <i>italic</i> <u>underline</u> <del>strike</del> <code>code</code> <a href=\"https://foo.com\">link</a> *not italic*</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Nested lists, blockquotes, and an empty list item",
+                startHtml: "- One\n  1. Nested\n- Two\n-\n\n> Quote\n>\n> > Inner",
+                endHtml: "<ul><li><p>One</p><ol><li><p>Nested</p></li></ol></li><li><p>Two</p></li><li><p><br></p></li></ul><blockquote><p>Quote</p><blockquote><p>Inner</p></blockquote></blockquote>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Tables with and without a header",
+                startHtml: "| A | B |\n| --- | --- |\n| 1 |\n\n|  |  |\n| --- | --- |\n| 1 | 2 |",
+                endHtml: "<table><thead><tr><th><p>A</p></th><th><p>B</p></th></tr></thead><tbody><tr><td><p>1</p></td><td><p><br></p></td></tr></tbody></table><table><tbody><tr><td><p>1</p></td><td><p>2</p></td></tr></tbody></table>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Code block",
+                startHtml: "```\nlet a = 1\n  a += 1\n```",
+                endHtml: "<p><code>let a = 1<br>&nbsp;&nbsp;a += 1</code></p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Hard breaks, including at the end of the first line",
+                startHtml: "One  \nTwo\\\nThree",
+                endHtml: "<p>One<br>Two<br>Three</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Empty Markdown",
+                startHtml: "",
+                endHtml: "<p><br></p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "An HTML comment block",
+                startHtml: "<!-- comment -->\n\nText",
+                endHtml: "<!-- comment --><p>Text</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let startMarkdown = test.startHtml
+            let endHtml = test.endHtml
+            let expectation = XCTestExpectation(description: "Setting Markdown")
+            webView.setMarkdown(startMarkdown) {
+                self.webView.getRawHtml { contents in
+                    self.assertEqualStrings(expected: endHtml, saw: contents)
+                    expectation.fulfill()
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+
+
+    func testSearchOptions() throws {
+        // Each test searches forward from the beginning of the paragraph, and endHtml is the selection afterward
+        let optionTests: [(test: HtmlTest, caseSensitive: Bool, wholeWord: Bool, regex: Bool)] = [
+            (HtmlTest(
+                description: "Case sensitive",
+                startHtml: "<p id=\"p\">This is just a SiMpLe word in a simple paragraph.</p>",
+                endHtml: "simple",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "simple"
+            ), true, false, false),
+            (HtmlTest(
+                description: "Whole word",
+                startHtml: "<p id=\"p\">The simpleton is a simple person.</p>",
+                endHtml: "simple",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "simple"
+            ), false, true, false),
+            (HtmlTest(
+                description: "Regular expression",
+                startHtml: "<p id=\"p\">Call 555-1234 for details.</p>",
+                endHtml: "555-1234",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "\\d{3}-\\d{4}"
+            ), false, false, true),
+            (HtmlTest(
+                description: "Regular expression across formatting",
+                startHtml: "<p id=\"p\">This is <i>just</i> a <b>si</b>mple paragraph.</p>",
+                endHtml: "simple",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "s\\w+e\\b"
+            ), false, false, true),
+        ]
+        for optionTest in optionTests {
+            let test = optionTest.test
+            test.printDescription()
+            let startHtml = test.startHtml
+            let searchString = test.pasteString ?? ""
+            let expectation = XCTestExpectation(description: "Search with options")
+            webView.setTestHtml(value: startHtml) {
+                self.webView.getRawHtml { contents in
+                    self.assertEqualStrings(expected: startHtml, saw: contents)
+                    self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                        self.webView.search(for: searchString, direction: .forward, caseSensitive: optionTest.caseSensitive, wholeWord: optionTest.wholeWord, regex: optionTest.regex) {
+                            self.webView.getSelectionState() { state in
+                                XCTAssertTrue(state.selection == test.endHtml)
+                                self.webView.cancelSearch() {
+                                    expectation.fulfill()
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+
+    func testSearchResults() throws {
+        let startHtml = "<h1>Intro</h1><p id=\"p\">This is a <b>si</b>mple paragraph.</p><h2>Details</h2><p>Another simple paragraph.</p>"
+        let expectation = XCTestExpectation(description: "Search results reported to the MarkupDelegate")
+        webView.setTestHtml(value: startHtml) {
+            self.webView.setTestRange(startId: "p", startOffset: 0, endId: "p", endOffset: 0) { result in
+                self.searchedHandler = { results in
+                    XCTAssertTrue(results.count == 2)
+                    XCTAssertTrue(results.index == 0)
+                    XCTAssertTrue(results.matches[0].snippet == "This is a simple paragraph.")
+                    XCTAssertTrue(results.matches[0].range == NSRange(location: 10, length: 6))
+                    XCTAssertTrue(results.matches[0].heading == "Intro")
+                    XCTAssertTrue(results.matches[1].heading == "Details")
+                    self.webView.cancelSearch() {
+                        expectation.fulfill()
+                    }
+                }
+                self.webView.search(for: "simple", direction: .forward)
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testInputRules() throws {
+        // Each test types its pasteString at the selection, and undo restores the markers
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Header from \"# \"",
+                startHtml: "<p id=\"p\">#Title</p>",
+                endHtml: "<h1>Title</h1>",
+                undoHtml: "<p># Title</p>",
+                startId: "p",
+                startOffset: 1,
+                endId: "p",
+                endOffset: 1,
+                pasteString: " "
+            ),
+            HtmlTest(
+                description: "Bulleted list from \"- \" in an empty paragraph",
+                startHtml: "<p id=\"p\">-</p>",
+                endHtml: "<ul><li><p id=\"p\"><br></p></li></ul>",
+                undoHtml: "<p id=\"p\">- </p>",
+                startId: "p",
+                startOffset: 1,
+                endId: "p",
+                endOffset: 1,
+                pasteString: " "
+            ),
+            HtmlTest(
+                description: "Bold from \"**bold**\"",
+                startHtml: "<p id=\"p\">This is **bold* text</p>",
+                endHtml: "<p id=\"p\">This is <b>bold</b> text</p>",
+                undoHtml: "<p id=\"p\">This is **bold** text</p>",
+                startId: "p",
+                startOffset: 15,
+                endId: "p",
+                endOffset: 15,
+                pasteString: "*"
+            ),
+            HtmlTest(
+                description: "No italic from \"snake_case_\"",
+                startHtml: "<p id=\"p\">snake_case</p>",
+                endHtml: "<p id=\"p\">snake_case_</p>",
+                startId: "p",
+                startOffset: 10,
+                endId: "p",
+                endOffset: 10,
+                pasteString: "_"
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Typing Markdown shortcuts")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.testInput(test.pasteString!) {
+                        self.webView.getRawHtml { formatted in
+                            self.assertEqualStrings(expected: test.endHtml, saw: formatted)
+                            guard let undoHtml = test.undoHtml else {
+                                expectation.fulfill()
+                                return
+                            }
+                            self.addUndoSetHandler {
+                                self.webView.getRawHtml { unformatted in
+                                    self.assertEqualStrings(expected: undoHtml, saw: unformatted)
+                                    expectation.fulfill()
+                                }
+                            }
+                            self.webView.testUndo()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testInvalidInputRules() throws {
+        // Setting input rules that aren't a dictionary reports an error and leaves the rules as-is
+        let test = HtmlTest(
+            description: "Header from \"# \" after setting invalid input rules",
+            startHtml: "<p id=\"p\">#Title</p>",
+            endHtml: "<h1>Title</h1>",
+            startId: "p",
+            startOffset: 1,
+            endId: "p",
+            endOffset: 1,
+            pasteString: " "
+        )
+        for jsonString in ["Not JSON", "[\\\"H1\\\"]", "5"] {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Setting invalid input rules")
+            webView.evaluateJavaScript("MU.setInputRules('\(jsonString)')") { _, error in
+                XCTAssertNil(error)
+                self.webView.setTestHtml(value: test.startHtml) {
+                    self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                        self.webView.testInput(test.pasteString!) {
+                            self.webView.getRawHtml { formatted in
+                                self.assertEqualStrings(expected: test.endHtml, saw: formatted)
+                                expectation.fulfill()
+                            }
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testChecklist() throws {
+        let test = HtmlTest(
+            description: "Make a paragraph into a checklist and check its item",
+            startHtml: "<p id=\"p\">Call Bob</p>",
+            endHtml: "<ul class=\"checklist\"><li class=\"checked\"><p id=\"p\">Call Bob</p></li></ul>",
+            undoHtml: "<ul class=\"checklist\"><li><p id=\"p\">Call Bob</p></li></ul>",
+            startId: "p",
+            startOffset: 2,
+            endId: "p",
+            endOffset: 2
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Checklist")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.toggleListItem(type: .CHECKLIST) {
+                    self.webView.toggleChecked() {
+                        self.webView.getRawHtml { checked in
+                            self.assertEqualStrings(expected: test.endHtml, saw: checked)
+                            self.webView.getSelectionState() { state in
+                                XCTAssertTrue(state.list == .CHECKLIST)
+                                XCTAssertTrue(state.checked)
+                                self.addUndoSetHandler {
+                                    self.webView.getRawHtml { unchecked in
+                                        self.assertEqualStrings(expected: test.undoHtml!, saw: unchecked)
+                                        expectation.fulfill()
+                                    }
+                                }
+                                self.webView.testUndo()
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testChecklistToOrderedList() throws {
+        let test = HtmlTest(
+            description: "Make a checklist with a checked item into an ordered list, and undo",
+            startHtml: "<ul class=\"checklist\"><li class=\"checked\"><p id=\"p\">Call Bob</p></li><li><p id=\"p2\">Call Alice</p></li></ul>",
+            endHtml: "<ol><li><p id=\"p\">Call Bob</p></li><li><p id=\"p2\">Call Alice</p></li></ol>",
+            startId: "p",
+            startOffset: 2,
+            endId: "p2",
+            endOffset: 2
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Checklist to ordered list")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.toggleListItem(type: .OL) {
+                    self.webView.getRawHtml { ordered in
+                        self.assertEqualStrings(expected: test.endHtml, saw: ordered)
+                        self.addUndoSetHandler {
+                            self.webView.getRawHtml { checklist in
+                                self.assertEqualStrings(expected: test.startHtml, saw: checklist)
+                                expectation.fulfill()
+                            }
+                        }
+                        self.webView.testUndo()
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testListAttributes() throws {
+        let test = HtmlTest(
+            description: "Number an ordered list with roman numerals starting at 4",
+            startHtml: "<ol><li><p id=\"p\">Scope</p></li><li><p>Terms</p></li></ol>",
+            endHtml: "<ol start=\"4\" type=\"i\"><li><p id=\"p\">Scope</p></li><li><p>Terms</p></li></ol>",
+            startId: "p",
+            startOffset: 2,
+            endId: "p",
+            endOffset: 2
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Set list attributes")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.setListAttributes(start: 4, type: .lowerRoman) {
+                    self.webView.getRawHtml { numbered in
+                        self.assertEqualStrings(expected: test.endHtml, saw: numbered)
+                        self.addUndoSetHandler {
+                            self.webView.getRawHtml { unnumbered in
+                                self.assertEqualStrings(expected: test.startHtml, saw: unnumbered)
+                                expectation.fulfill()
+                            }
+                        }
+                        self.webView.testUndo()
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testInvalidListAttributes() throws {
+        // Attributes that can't be parsed or whose start isn't an integer or null leave the list as-is
+        let list = "<ol start=\"4\"><li><p id=\"p\">Scope</p></li><li><p>Terms</p></li></ol>"
+        let attributesAndEndHtml: [(String, String)] = [
+            ("Not JSON", list),
+            ("{\\\"start\\\": \\\"7\\\"}", list),
+            ("{\\\"start\\\": 2.5}", list),
+            ("{\\\"start\\\": null}", "<ol><li><p id=\"p\">Scope</p></li><li><p>Terms</p></li></ol>"),
+        ]
+        for (jsonString, endHtml) in attributesAndEndHtml {
+            let expectation = XCTestExpectation(description: "Set invalid list attributes")
+            webView.setTestHtml(value: list) {
+                self.webView.setTestRange(startId: "p", startOffset: 2, endId: "p", endOffset: 2) { result in
+                    self.webView.evaluateJavaScript("MU.setListAttributes('\(jsonString)')") { _, error in
+                        XCTAssertNil(error)
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testContinueListNumbering() throws {
+        let test = HtmlTest(
+            description: "Continue numbering after making a middle item bulleted",
+            startHtml: "<ol type=\"A\"><li><p>One</p></li><li><p id=\"p\">Two</p></li><li><p>Three</p></li></ol>",
+            endHtml: "<ol type=\"A\"><li><p>One</p></li></ol><ul><li><p id=\"p\">Two</p></li></ul><ol type=\"A\" start=\"2\"><li><p>Three</p></li></ol>",
+            startId: "p",
+            startOffset: 1,
+            endId: "p",
+            endOffset: 1
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Continue list numbering")
+        webView.setContinueListNumbering(true) {
+            self.webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.toggleListItem(type: .UL) {
+                        self.webView.getRawHtml { split in
+                            self.assertEqualStrings(expected: test.endHtml, saw: split)
+                            self.webView.setContinueListNumbering(false) {
+                                expectation.fulfill()
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testMoveBlocks() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Move a paragraph up past a header",
+                    startHtml: "<h1>Title</h1><p id=\"p\">Hello <b>world</b></p>",
+                    endHtml: "<p id=\"p\">Hello <b>world</b></p><h1>Title</h1>",
+                    startId: "p",
+                    startOffset: 2,
+                    endId: "p",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.moveBlockUp {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Move a list item and its sublist down",
+                    startHtml: "<ul><li><p id=\"p\">One</p><ol><li><p>Sub</p></li></ol></li><li><p>Two</p></li></ul>",
+                    endHtml: "<ul><li><p>Two</p></li><li><p id=\"p\">One</p><ol><li><p>Sub</p></li></ol></li></ul>",
+                    startId: "p",
+                    startOffset: 1,
+                    endId: "p",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.moveBlockDown {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Don't move the first list item out of its list",
+                    startHtml: "<p>Before</p><ul><li><p id=\"p\">One</p></li><li><p>Two</p></li></ul>",
+                    endHtml: "<p>Before</p><ul><li><p id=\"p\">One</p></li><li><p>Two</p></li></ul>",
+                    startId: "p",
+                    startOffset: 1,
+                    endId: "p",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.moveBlockUp {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Moving blocks")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { moved in
+                            self.assertEqualStrings(expected: test.endHtml, saw: moved)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testMergeAndSplitCells() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Merge a 2x2 block of cells",
+                    startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td rowspan=\"2\" colspan=\"2\"><p id=\"00\">Row 0, Col 0</p><p id=\"01\">Row 0, Col 1</p><p id=\"10\">Row 1, Col 0</p><p id=\"11\">Row 1, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "11",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.mergeCells {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a row inside a merged cell, extending it",
+                    startHtml: "<table><tbody><tr><td rowspan=\"2\" colspan=\"2\"><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td rowspan=\"3\" colspan=\"2\"><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p><br></p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "12",
+                    startOffset: 2,
+                    endId: "12",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.addRow(.before) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Delete a column that a merged cell spans",
+                    startHtml: "<table><tbody><tr><td rowspan=\"2\" colspan=\"2\"><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td rowspan=\"2\"><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.deleteCol {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Split a merged cell",
+                    startHtml: "<table><tbody><tr><td rowspan=\"2\" colspan=\"2\"><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p><br></p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p><br></p></td><td><p><br></p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.splitCell {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Merging and splitting cells")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testNextAndPrevCell() throws {
+        let table = "<table><thead><tr><th><p id=\"h0\">Header 0</p></th><th><p id=\"h1\">Header 1</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr></tbody></table>"
+        let captionedTable = "<table><caption><p id=\"c\">Caption</p></caption><thead><tr><th><p id=\"h0\">Header 0</p></th><th><p id=\"h1\">Header 1</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr></tbody></table>"
+        // Each test is followed by the action and whether the selection ends up in the table, in its header, and at which col
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void), Bool, Bool, Int)] = [
+            (
+                HtmlTest(
+                    description: "Shift+Tab from the second header cell to the first",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "h1",
+                    startOffset: 2,
+                    endId: "h1",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.prevCell {
+                        handler()
+                    }
+                },
+                true, true, 0
+            ),
+            (
+                HtmlTest(
+                    description: "Shift+Tab from the first body cell to the last header cell",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.prevCell {
+                        handler()
+                    }
+                },
+                true, true, 1
+            ),
+            (
+                HtmlTest(
+                    description: "Tab from the last header cell to the first body cell",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "h1",
+                    startOffset: 2,
+                    endId: "h1",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.nextCell {
+                        handler()
+                    }
+                },
+                true, false, 0
+            ),
+            (
+                HtmlTest(
+                    description: "Tab from the caption to the first header cell",
+                    startHtml: captionedTable,
+                    endHtml: captionedTable,
+                    startId: "c",
+                    startOffset: 2,
+                    endId: "c",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.nextCell {
+                        handler()
+                    }
+                },
+                true, true, 0
+            ),
+            (
+                HtmlTest(
+                    description: "Shift+Tab does nothing in the caption",
+                    startHtml: captionedTable,
+                    endHtml: captionedTable,
+                    startId: "c",
+                    startOffset: 2,
+                    endId: "c",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.prevCell {
+                        handler()
+                    }
+                },
+                true, false, 0
+            ),
+            (
+                HtmlTest(
+                    description: "Tab and Shift+Tab do nothing outside of a table",
+                    startHtml: "<p id=\"p\">Hello</p>",
+                    endHtml: "<p id=\"p\">Hello</p>",
+                    startId: "p",
+                    startOffset: 2,
+                    endId: "p",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.nextCell {
+                        self.webView.prevCell {
+                            handler()
+                        }
+                    }
+                },
+                false, false, 0
+            ),
+        ]
+        for (test, action, inTable, inHeader, col) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Moving to the next and previous cell")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            self.webView.getSelectionState { state in
+                                XCTAssert(state.table == inTable)
+                                XCTAssert(state.thead == inHeader)
+                                XCTAssert(state.col == col)
+                                expectation.fulfill()
+                            }
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testVerticalCell() throws {
+        let table = "<p id=\"before\">Before</p><table><thead><tr><th><p id=\"h0\">Header 0</p></th><th><p id=\"h1\">Header 1</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p id=\"after\">After</p>"
+        let lastTable = "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td></tr></tbody></table>"
+        let focus = "(function() { const sel = document.getSelection(); const node = (sel.focusNode.nodeType === Node.TEXT_NODE) ? sel.focusNode.parentElement : sel.focusNode; return node.id + ':' + sel.focusOffset })()"
+        // Each test is followed by whether to move up, whether the selection should move, and the id and offset where it should end up
+        let htmlTestsAndMoves: [(HtmlTest, Bool, Bool, String, Int)] = [
+            (
+                HtmlTest(
+                    description: "Move down from the first row to the second",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                false, true, "10", 0
+            ),
+            (
+                HtmlTest(
+                    description: "Move up from the second row to the end of the first",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "10",
+                    startOffset: 2,
+                    endId: "10",
+                    endOffset: 2
+                ),
+                true, true, "00", 12
+            ),
+            (
+                HtmlTest(
+                    description: "Move up from the body into the header",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                true, true, "h0", 8
+            ),
+            (
+                HtmlTest(
+                    description: "Move down from the header into the body",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "h1",
+                    startOffset: 2,
+                    endId: "h1",
+                    endOffset: 2
+                ),
+                false, true, "01", 0
+            ),
+            (
+                HtmlTest(
+                    description: "Leave the table going up from the header",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "h0",
+                    startOffset: 2,
+                    endId: "h0",
+                    endOffset: 2
+                ),
+                true, true, "before", 6
+            ),
+            (
+                HtmlTest(
+                    description: "Leave the table going down from the last row",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "10",
+                    startOffset: 2,
+                    endId: "10",
+                    endOffset: 2
+                ),
+                false, true, "after", 0
+            ),
+            (
+                HtmlTest(
+                    description: "Stay in the last row when there is nothing after the table",
+                    startHtml: lastTable,
+                    endHtml: lastTable,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                false, false, "00", 2
+            ),
+        ]
+        for (test, up, moved, focusId, focusOffset) in htmlTestsAndMoves {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Moving up and down between cells")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.testVerticalCell(up: up) { didMove in
+                        XCTAssert(didMove == moved)
+                        self.webView.evaluateJavaScript(focus) { result, error in
+                            self.assertEqualStrings(expected: "\(focusId):\(focusOffset)", saw: result as? String)
+                            self.webView.getRawHtml { html in
+                                self.assertEqualStrings(expected: test.endHtml, saw: html)
+                                expectation.fulfill()
+                            }
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testCellSelection() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Bold only the selected cells",
+                    startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td><p id=\"00\"><b>Row 0, Col 0</b></p></td><td><p id=\"01\"><b>Row 0, Col 1</b></p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"10\"><b>Row 1, Col 0</b></p></td><td><p id=\"11\"><b>Row 1, Col 1</b></p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "11",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.bold {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Set the paragraph style of each selected cell",
+                    startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td><h2>Row 0, Col 0</h2></td><td><h2>Row 0, Col 1</h2></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><h2>Row 1, Col 0</h2></td><td><h2>Row 1, Col 1</h2></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "11",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.replaceStyle(.P, with: .H2) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Clear the selected cells",
+                    startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><td><p><br></p></td><td><p><br></p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr><tr><td><p><br></p></td><td><p><br></p></td><td><p id=\"12\">Row 1, Col 2</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "11",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.clearCells {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Operating on selected cells")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.getSelectionState { state in
+                        XCTAssertTrue(state.cellSelection)
+                        XCTAssertEqual([state.startRow, state.startCol, state.endRow, state.endCol], [0, 0, 1, 1])
+                        action() {
+                            self.webView.getRawHtml { html in
+                                self.assertEqualStrings(expected: test.endHtml, saw: html)
+                                expectation.fulfill()
+                            }
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testColumnWidths() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Add a column after a resized column, splitting its width",
+                    startHtml: "<table><colgroup><col width=\"20%\"><col width=\"50%\"><col width=\"30%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><colgroup><col width=\"20%\"><col width=\"25%\"><col width=\"25%\"><col width=\"30%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p><br></p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.addCol(.after) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a column before a resized column, splitting its width",
+                    startHtml: "<table><colgroup><col width=\"20%\"><col width=\"50%\"><col width=\"30%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><colgroup><col width=\"20%\"><col width=\"25%\"><col width=\"25%\"><col width=\"30%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p><br></p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.addCol(.before) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Delete a resized column, giving its width to the next one",
+                    startHtml: "<table><colgroup><col width=\"20%\"><col width=\"50%\"><col width=\"30%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    endHtml: "<table><colgroup><col width=\"20%\"><col width=\"80%\"></colgroup><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"02\">Row 0, Col 2</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.deleteCol {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Adding and deleting resized columns")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testCellAlignmentAndShading() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Center the selected cell",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-align-center\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.alignCells(.center) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Shade the row of the selected cell",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td class=\"cell-shade-blue\"><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-shade-blue\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.shadeCells(.blue, scope: .row) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Bottom-align the column of the selected cell, but not the spanning header",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-valign-bottom\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-valign-bottom\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.valignCells(.bottom, scope: .col) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Remove the shade from the selected cell",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-shade-red\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Header</p></th></tr></thead><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.shadeCells(nil) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Aligning and shading do nothing in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Caption</p></caption><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Caption</p></caption><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 2,
+                    endId: "c",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.alignCells(.center) {
+                        self.webView.valignCells(.bottom, scope: .row) {
+                            self.webView.shadeCells(.blue, scope: .col) {
+                                handler()
+                            }
+                        }
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Aligning and shading cells")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testCellAttributesState() throws {
+        let table = "<table><tbody><tr><td class=\"cell-align-center cell-valign-bottom cell-shade-blue\"><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-align-center\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table>"
+        // Each test is followed by the align, valign, and shade that the selection state should report
+        let htmlTestsAndStates: [(HtmlTest, MarkupEditor.CellAlignment?, MarkupEditor.CellVerticalAlignment?, MarkupEditor.CellShade?)] = [
+            (
+                HtmlTest(
+                    description: "Report the alignment and shading of the selected cell",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "00",
+                    endOffset: 2
+                ),
+                .center, .bottom, .blue
+            ),
+            (
+                HtmlTest(
+                    description: "Report only the alignment and shading that the selected cells share",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "00",
+                    startOffset: 2,
+                    endId: "01",
+                    endOffset: 2
+                ),
+                .center, nil, nil
+            ),
+            (
+                HtmlTest(
+                    description: "Report nothing for a cell with default alignment and no shading",
+                    startHtml: table,
+                    endHtml: table,
+                    startId: "11",
+                    startOffset: 2,
+                    endId: "11",
+                    endOffset: 2
+                ),
+                nil, nil, nil
+            ),
+        ]
+        for (test, align, valign, shade) in htmlTestsAndStates {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Selection state of cell alignment and shading")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.getSelectionState { state in
+                        XCTAssert(state.align == align)
+                        XCTAssert(state.valign == valign)
+                        XCTAssert(state.shade == shade)
+                        expectation.fulfill()
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testSortTable() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Sort by the first column as text",
+                    startHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr></tbody></table>",
+                    startId: "1a",
+                    startOffset: 2,
+                    endId: "1a",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.sortTable(col: 0) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Sort by the second column as numbers",
+                    startHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr></tbody></table>",
+                    startId: "1a",
+                    startOffset: 2,
+                    endId: "1a",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.sortTable(col: 1, type: .number) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Sort by the second column as text, descending",
+                    startHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th><p id=\"h\">Name</p></th><th><p id=\"n\">Amount</p></th></tr></thead><tbody><tr><td><p id=\"2a\">Fig</p></td><td><p id=\"2b\">100</p></td></tr><tr><td><p id=\"0a\">Pear</p></td><td><p id=\"0b\">10</p></td></tr><tr><td><p id=\"1a\">apple</p></td><td><p id=\"1b\">9</p></td></tr></tbody></table>",
+                    startId: "1a",
+                    startOffset: 2,
+                    endId: "1a",
+                    endOffset: 2
+                ),
+                { handler in
+                    self.webView.sortTable(col: 1, direction: .descending) {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Sorting table rows")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testPasteDelimitedText() throws {
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Paste tab-separated text into an empty paragraph as a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<table><tbody><tr><td><p>Name</p></td><td><p>Amount</p></td></tr><tr><td><p>Pear</p></td><td><p>10</p></td></tr></tbody></table>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "Name\tAmount\nPear\t10"
+            ),
+            HtmlTest(
+                description: "Paste comma-separated text with quoted fields after a paragraph as a table",
+                startHtml: "<p id=\"p\">Fruit</p>",
+                endHtml: "<p id=\"p\">Fruit</p><table><tbody><tr><td><p>Name</p></td><td><p>Amount</p></td></tr><tr><td><p>Fig, dried</p></td><td><p>1,000</p></td></tr></tbody></table>",
+                startId: "p",
+                startOffset: 5,
+                endId: "p",
+                endOffset: 5,
+                pasteString: "Name,Amount\n\"Fig, dried\",\"1,000\""
+            ),
+            HtmlTest(
+                description: "Paste tab-separated text in a table, filling cells and adding a row and column",
+                startHtml: "<table><tbody><tr><td><p id=\"00\">A</p></td><td><p id=\"01\">B</p></td></tr><tr><td><p id=\"10\">C</p></td><td><p id=\"11\">D</p></td></tr></tbody></table>",
+                endHtml: "<table><tbody><tr><td><p id=\"00\">A</p></td><td><p id=\"01\">B</p></td><td><p><br></p></td></tr><tr><td><p id=\"10\">C</p></td><td><p>x</p></td><td><p>y</p></td></tr><tr><td><p><br></p></td><td><p>1</p></td><td><p>2</p></td></tr></tbody></table>",
+                startId: "11",
+                startOffset: 0,
+                endId: "11",
+                endOffset: 0,
+                pasteString: "x\ty\n1\t2"
+            ),
+            HtmlTest(
+                description: "Paste numbers with commas between their thousands as text, not a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<p>1,000<br>2,500<br>12,750</p>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "1,000\n2,500\n12,750"
+            ),
+            HtmlTest(
+                description: "Paste lines that end in commas as text, not a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<p>Dear Bob,<br>Thanks for the pears,</p>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "Dear Bob,\nThanks for the pears,"
+            ),
+            HtmlTest(
+                description: "Paste comma-separated text with three-digit numbers as a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<table><tbody><tr><td><p>Item</p></td><td><p>Qty</p></td><td><p>Price</p></td></tr><tr><td><p>Pens</p></td><td><p>12</p></td><td><p>100</p></td></tr><tr><td><p>Pads</p></td><td><p>3</p></td><td><p>250</p></td></tr></tbody></table>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "Item,Qty,Price\nPens,12,100\nPads,3,250"
+            ),
+            HtmlTest(
+                description: "Paste comma-separated numbers after a header as a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<table><tbody><tr><td><p>id</p></td><td><p>count</p></td></tr><tr><td><p>1</p></td><td><p>200</p></td></tr></tbody></table>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "id,count\n1,200"
+            ),
+            HtmlTest(
+                description: "Paste comma-separated numbers with a quoted field as a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<table><tbody><tr><td><p>id</p></td><td><p>count</p></td></tr><tr><td><p>1</p></td><td><p>200</p></td></tr></tbody></table>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "id,count\n1,\"200\""
+            ),
+            HtmlTest(
+                description: "Paste text that ends in numbers with commas between their thousands as text, not a table",
+                startHtml: "<p id=\"blank\"><br></p>",
+                endHtml: "<p>Total: 1,250<br>Tax: 3,100</p>",
+                startId: "blank",
+                startOffset: 0,
+                endId: "blank",
+                endOffset: 0,
+                pasteString: "Total: 1,250\nTax: 3,100"
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Paste delimited text as a table")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.pasteText(test.pasteString) {
+                        self.webView.getRawHtml() { pasted in
+                            self.assertEqualStrings(expected: test.endHtml, saw: pasted)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testGetTableData() throws {
+        let htmlTestAndFormats: [(HtmlTest, MarkupEditor.TableDataFormat)] = [
+            (
+                HtmlTest(
+                    description: "CSV with quoted fields and an expanded header",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear, <b>ripe</b></p></td><td><p id=\"0b\">10</p><p>kg</p></td></tr><tr><td><p id=\"1a\">Fig</p></td><td><p id=\"1b\">\"5\"</p></td></tr></tbody></table>",
+                    endHtml: "Fruit,\n\"Pear, ripe\",\"10\nkg\"\nFig,\"\"\"5\"\"\"",
+                    startId: "0a",
+                    startOffset: 2,
+                    endId: "0a",
+                    endOffset: 2
+                ),
+                .csv
+            ),
+            (
+                HtmlTest(
+                    description: "TSV",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear, <b>ripe</b></p></td><td><p id=\"0b\">10</p><p>kg</p></td></tr><tr><td><p id=\"1a\">Fig</p></td><td><p id=\"1b\">\"5\"</p></td></tr></tbody></table>",
+                    endHtml: "Fruit\t\nPear, ripe\t\"10\nkg\"\nFig\t\"\"\"5\"\"\"",
+                    startId: "0a",
+                    startOffset: 2,
+                    endId: "0a",
+                    endOffset: 2
+                ),
+                .tsv
+            ),
+            (
+                HtmlTest(
+                    description: "JSON with the header row flagged",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear, <b>ripe</b></p></td><td><p id=\"0b\">10</p><p>kg</p></td></tr><tr><td><p id=\"1a\">Fig</p></td><td><p id=\"1b\">\"5\"</p></td></tr></tbody></table>",
+                    endHtml: "[{\"headerRows\":1,\"rows\":[[\"Fruit\",\"\"],[\"Pear, ripe\",\"10\\nkg\"],[\"Fig\",\"\\\"5\\\"\"]]}]",
+                    startId: "0a",
+                    startOffset: 2,
+                    endId: "0a",
+                    endOffset: 2
+                ),
+                .json
+            ),
+            (
+                HtmlTest(
+                    description: "Markdown",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"0a\">Pear, <b>ripe</b></p></td><td><p id=\"0b\">10</p><p>kg</p></td></tr><tr><td><p id=\"1a\">Fig</p></td><td><p id=\"1b\">\"5\"</p></td></tr></tbody></table>",
+                    endHtml: "| Fruit |  |\n| --- | --- |\n| Pear, **ripe** | 10<br>kg |\n| Fig | \"5\" |",
+                    startId: "0a",
+                    startOffset: 2,
+                    endId: "0a",
+                    endOffset: 2
+                ),
+                .markdown
+            ),
+        ]
+        for (test, format) in htmlTestAndFormats {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Getting table data")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.getTableData(format: format) { data in
+                        self.assertEqualStrings(expected: test.endHtml, saw: data)
+                        expectation.fulfill()
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testConvertTables() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Paragraphs split at commas into a table",
+                    startHtml: "<p id=\"p1\">Name, <b>Qty</b></p><p id=\"p2\">Pear, 10</p>",
+                    endHtml: "<table><tbody><tr><td><p>Name</p></td><td><p><b>Qty</b></p></td></tr><tr><td><p>Pear</p></td><td><p>10</p></td></tr></tbody></table>",
+                    startId: "p1",
+                    startOffset: 0,
+                    endId: "p2",
+                    endOffset: 0
+                ),
+                { handler in
+                    self.webView.convertSelectionToTable(delimiter: ",") {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Paragraphs are left as-is with an empty delimiter",
+                    startHtml: "<p id=\"p1\">Name, <b>Qty</b></p><p id=\"p2\">Pear, 10</p>",
+                    endHtml: "<p id=\"p1\">Name, <b>Qty</b></p><p id=\"p2\">Pear, 10</p>",
+                    startId: "p1",
+                    startOffset: 0,
+                    endId: "p2",
+                    endOffset: 0
+                ),
+                { handler in
+                    self.webView.convertSelectionToTable(delimiter: "") {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "List with a sublist into a table",
+                    startHtml: "<ul><li><p id=\"p1\">One</p><ul><li><p>1a</p></li><li><p>1b</p></li></ul></li><li><p id=\"p2\">Two</p></li></ul>",
+                    endHtml: "<table><tbody><tr><td><p id=\"p1\">One</p></td><td><p>1a</p></td><td><p>1b</p></td></tr><tr><td><p id=\"p2\">Two</p></td><td><p><br></p></td><td><p><br></p></td></tr></tbody></table>",
+                    startId: "p2",
+                    startOffset: 1,
+                    endId: "p2",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.convertListToTable() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Table into paragraphs",
+                    startHtml: "<table><tbody><tr><td><p id=\"p1\">Name</p></td><td><p><b>Qty</b></p></td></tr><tr><td><p id=\"p2\">Pear</p></td><td><p>10</p></td></tr></tbody></table>",
+                    endHtml: "<p>Name, <b>Qty</b></p><p>Pear, 10</p>",
+                    startId: "p1",
+                    startOffset: 0,
+                    endId: "p1",
+                    endOffset: 0
+                ),
+                { handler in
+                    self.webView.convertTableToParagraphs(delimiter: ", ") {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Converting tables")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testCaptionAndHeaderColumn() throws {
+        let htmlTestAndActions: [(HtmlTest, ((@escaping ()->Void)->Void))] = [
+            (
+                HtmlTest(
+                    description: "Add a caption",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"00\">Pear</p></td><td><p id=\"01\">10</p></td></tr><tr><td><p id=\"10\">Fig</p></td><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"00\">Pear</p></td><td><p id=\"01\">10</p></td></tr><tr><td><p id=\"10\">Fig</p></td><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 1,
+                    endId: "01",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addCaption("Prices") {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a header column",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"00\">Pear</p></td><td><p id=\"01\">10</p></td></tr><tr><td><p id=\"10\">Fig</p></td><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 1,
+                    endId: "01",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addHeaderColumn() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Remove the caption",
+                    startHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 1,
+                    endId: "01",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.removeCaption() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Remove the header column",
+                    startHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><td><p id=\"00\">Pear</p></td><td><p id=\"01\">10</p></td></tr><tr><td><p id=\"10\">Fig</p></td><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 1,
+                    endId: "01",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.removeHeaderColumn() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a row to a table with a header column",
+                    startHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p>Prices</p></caption><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p><br></p></th><td><p><br></p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "01",
+                    startOffset: 1,
+                    endId: "01",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addRow(.after) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a column before the header column, which stays first",
+                    startHtml: "<table><thead><tr><th colspan=\"2\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><thead><tr><th colspan=\"3\"><p id=\"h\">Fruit</p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p><br></p></td><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p><br></p></td><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 1,
+                    endId: "00",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addCol(.before) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Split a row header that spans rows, keeping the header column",
+                    startHtml: "<table><tbody><tr><th scope=\"row\" rowspan=\"2\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p><br></p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "00",
+                    startOffset: 1,
+                    endId: "00",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.splitCell() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add a header with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Prices</p></caption><thead><tr><th colspan=\"2\"><p><br></p></th></tr></thead><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addHeader() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Border the table with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table class=\"bordered-table-cell\"><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.borderTable(.cell) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Remove the caption with the selection in it",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.removeCaption() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add no row with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addRow(.after) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Add no column with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.addCol(.after) {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Delete no row with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.deleteRow() {
+                        handler()
+                    }
+                }
+            ),
+            (
+                HtmlTest(
+                    description: "Delete no column with the selection in the caption",
+                    startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    endHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+                    startId: "c",
+                    startOffset: 1,
+                    endId: "c",
+                    endOffset: 1
+                ),
+                { handler in
+                    self.webView.deleteCol() {
+                        handler()
+                    }
+                }
+            ),
+        ]
+        for (test, action) in htmlTestAndActions {
+            test.printDescription()
+            let expectation = XCTestExpectation(description: "Adding and removing captions and header columns")
+            webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    action() {
+                        self.webView.getRawHtml { html in
+                            self.assertEqualStrings(expected: test.endHtml, saw: html)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testCaptionSelectionState() throws {
+        let test = HtmlTest(
+            description: "Report the table when the selection is in its caption",
+            startHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+            endHtml: "<table><caption><p id=\"c\">Prices</p></caption><tbody><tr><th scope=\"row\"><p id=\"00\">Pear</p></th><td><p id=\"01\">10</p></td></tr><tr><th scope=\"row\"><p id=\"10\">Fig</p></th><td><p id=\"11\">5</p></td></tr></tbody></table>",
+            startId: "c",
+            startOffset: 1,
+            endId: "c",
+            endOffset: 1
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Selection state in a caption")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.getSelectionState { state in
+                    XCTAssertTrue(state.table)
+                    XCTAssertTrue(state.caption)
+                    XCTAssertTrue(state.headerColumn)
+                    XCTAssertFalse(state.thead)
+                    XCTAssertFalse(state.tbody)
+                    XCTAssert(state.rows == 2)
+                    XCTAssert(state.cols == 2)
+                    expectation.fulfill()
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testHostOrigin() throws {
+        let originsAndExpected: [(String?, String)] = [
+            (nil, "/"),
+            ("https://example.com", "https://example.com"),
+            (nil, "/"),
+        ]
+        for (origin, expected) in originsAndExpected {
+            let expectation = XCTestExpectation(description: "Posting to the parent window at the host origin")
+            let setOrigin = origin == nil ? "MU.setHostOrigin(null)" : "MU.setHostOrigin('\(origin!)')"
+            webView.evaluateJavaScript(setOrigin) { _, _ in
+                self.webView.testPostToParent("input") { targetOrigin in
+                    XCTAssertEqual(targetOrigin, expected)
+                    expectation.fulfill()
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testMarkdownRoundTrip() throws {
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Paragraphs that look like thematic breaks or setext underlines",
+                startHtml: "<p>Above</p><p>---</p><p>===</p><p>- - -</p><p>***</p><p>Before<br>---</p><p>Heading?<br>==</p>",
+                endHtml: "Above\n\n\\---\n\n\\===\n\n\\- - -\n\n\\*\\*\\*\n\nBefore\\\n\\---\n\nHeading?\\\n\\==",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Thematic break",
+                startHtml: "<p>Above</p><hr><p>Below</p>",
+                endHtml: "Above\n\n---\n\nBelow",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+            HtmlTest(
+                description: "Checklists as task lists, and a bulleted item that looks like a task",
+                startHtml: "<ul class=\"checklist\"><li><p>Buy pears</p></li><li class=\"checked\"><p>Eat figs</p><ul class=\"checklist\"><li class=\"checked\"><p>Nested</p></li></ul></li></ul><p>Then</p><ul><li><p>[ ] Not a task</p></li></ul>",
+                endHtml: "- [ ] Buy pears\n- [x] Eat figs\n  - [x] Nested\n\nThen\n\n- \\[ \\] Not a task",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let startHtml = test.startHtml
+            let endMarkdown = test.endHtml
+            let expectation = XCTestExpectation(description: "Round-tripping Markdown")
+            webView.setTestHtml(value: startHtml) {
+                self.webView.getMarkdown { markdown in
+                    self.assertEqualStrings(expected: endMarkdown, saw: markdown)
+                    self.webView.setMarkdown(markdown ?? "") {
+                        self.webView.getRawHtml { contents in
+                            self.assertEqualStrings(expected: startHtml, saw: contents)
+                            expectation.fulfill()
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testSearchDivs() throws {
+        struct TestDiv: HtmlDivHolder {
+            var htmlDiv: HtmlDiv
+            init(id: String, htmlContents: String) {
+                htmlDiv = HtmlDiv(id: id, cssClass: "editor", attributes: EditableAttributes.standard, htmlContents: htmlContents)
+            }
+        }
+        let startHtml = "<h1>Intro</h1><p id=\"p\">A simple start.</p>"
+        let div1 = TestDiv(id: "div1", htmlContents: "<p id=\"d1\">Another simple one.</p>")
+        let div2 = TestDiv(id: "div2", htmlContents: "<p id=\"d2\">The last simple one.</p>")
+        // Search from the beginning of "p" for text, only in divId if not nil, and check the
+        // divId of each match and the id of the div that is selected afterward
+        let searchTests: [(text: String, divId: String?, matchDivIds: [String], selectedId: String)] = [
+            ("simple", nil, ["editor", "div1", "div2"], "editor"),
+            ("simple", "div2", ["div2"], "div2"),
+            ("another", nil, ["div1"], "div1"),
+        ]
+        for searchTest in searchTests {
+            Logger.test.info("Search for \"\(searchTest.text)\" in \(searchTest.divId ?? "all divs")")
+            let expectation = XCTestExpectation(description: "Searching in multiple divs")
+            webView.setTestHtml(value: startHtml) {
+                self.webView.addDiv(div1) {
+                    self.webView.addDiv(div2) {
+                        self.webView.setTestRange(startId: "p", startOffset: 0, endId: "p", endOffset: 0) { result in
+                            self.searchedHandler = { results in
+                                XCTAssertEqual(results.matches.compactMap { $0.divId }, searchTest.matchDivIds)
+                                self.webView.evaluateJavaScript("_selectedID") { selectedId, _ in
+                                    XCTAssertEqual(selectedId as? String, searchTest.selectedId)
+                                    self.webView.cancelSearch() {
+                                        expectation.fulfill()
+                                    }
+                                }
+                            }
+                            self.webView.search(for: searchTest.text, direction: .forward, divId: searchTest.divId)
+                        }
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
 
 }
@@ -15,6 +15,8 @@ class UndoTests: XCTestCase, MarkupDelegate {
     var loadedExpectation: XCTestExpectation = XCTestExpectation(description: "Loaded")
     var undoSetHandler: (()->Void)?
     var inputHandler: (()->Void)?
+    var canUndo: Bool = false
+    var canRedo: Bool = false
     
     override func setUpWithError() throws {
         continueAfterFailure = false
@@ -52,6 +54,13 @@ class UndoTests: XCTestCase, MarkupDelegate {
         self.undoSetHandler = nil
     }
     
+    /// Track whether anything can be undone or redone before using the undoSetHandler
+    func markupUndoSet(_ view: MarkupWKWebView, canUndo: Bool, canRedo: Bool) {
+        self.canUndo = canUndo
+        self.canRedo = canRedo
+        markupUndoSet(view)
+    }
+    
     override func tearDownWithError() throws {
         // Put teardown code here. This method is called after the invocation of each test method in the class.
     }
@@ -2420,6 +2429,66 @@ class UndoTests: XCTestCase, MarkupDelegate {
                  }
              }
             ),
+            (HtmlTest(
+                description: "Center the row of the selected cell",
+                startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                endHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td class=\"cell-align-center\"><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red cell-align-center\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                startId: "11",
+                startOffset: 3,
+                endId: "11",
+                endOffset: 3
+            ),
+             { handler in
+                 self.webView.alignCells(.center, scope: .row) {
+                     handler()
+                 }
+             }
+            ),
+            (HtmlTest(
+                description: "Bottom-align the selected cell",
+                startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                endHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red cell-valign-bottom\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                startId: "11",
+                startOffset: 3,
+                endId: "11",
+                endOffset: 3
+            ),
+             { handler in
+                 self.webView.valignCells(.bottom) {
+                     handler()
+                 }
+             }
+            ),
+            (HtmlTest(
+                description: "Shade the column of the selected cell",
+                startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                endHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td class=\"cell-shade-blue\"><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-blue\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                startId: "11",
+                startOffset: 3,
+                endId: "11",
+                endOffset: 3
+            ),
+             { handler in
+                 self.webView.shadeCells(.blue, scope: .col) {
+                     handler()
+                 }
+             }
+            ),
+            (HtmlTest(
+                description: "Remove the shading from the row of the selected cell",
+                startHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td class=\"cell-shade-red\"><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                endHtml: "<table><tbody><tr><td><p id=\"00\">Row 0, Col 0</p></td><td><p id=\"01\">Row 0, Col 1</p></td></tr><tr><td><p id=\"10\">Row 1, Col 0</p></td><td><p id=\"11\">Row 1, Col 1</p></td></tr></tbody></table><p>Hello</p>",
+                startId: "11",
+                startOffset: 3,
+                endId: "11",
+                endOffset: 3
+            ),
+             { handler in
+                 self.webView.shadeCells(nil, scope: .row) {
+                     handler()
+                 }
+             }
+            ),
         ]
         for (test, action) in htmlTestAndActions {
             test.printDescription()
@@ -3280,4 +3349,525 @@ class UndoTests: XCTestCase, MarkupDelegate {
         }
     }
 
+    func testUndoReplaceAll() throws {
+        let htmlTests: [HtmlTest] = [
+            HtmlTest(
+                description: "Replace all in multiple paragraphs",
+                startHtml: "<p id=\"p\">This is a simple paragraph.</p><p>Another simple paragraph.</p>",
+                endHtml: "<p id=\"p\">This is a plain paragraph.</p><p>Another plain paragraph.</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "simple"
+            ),
+            HtmlTest(
+                description: "Replace all across formatting",
+                startHtml: "<p id=\"p\">This is a <b>si</b>mple paragraph.</p><p>Another <i>simple</i> paragraph.</p>",
+                endHtml: "<p id=\"p\">This is a <b>plain</b> paragraph.</p><p>Another <i>plain</i> paragraph.</p>",
+                startId: "p",
+                startOffset: 0,
+                endId: "p",
+                endOffset: 0,
+                pasteString: "simple"
+            ),
+        ]
+        for test in htmlTests {
+            test.printDescription()
+            let startHtml = test.startHtml
+            let undoHtml = test.undoHtml ?? test.startHtml
+            let expectation = XCTestExpectation(description: "Undo replace all")
+            webView.setTestHtml(value: startHtml) {
+                self.webView.getRawHtml { contents in
+                    self.assertEqualStrings(expected: startHtml, saw: contents)
+                    self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                        // Define the handler to execute after input is received (i.e., once the replacements
+                        // are done and the undoData has been pushed to the stack).
+                        self.addInputHandler {
+                            self.webView.getRawHtml { replaced in
+                                self.assertEqualStrings(expected: test.endHtml, saw: replaced)
+                                // Define the handler after undoSet is received (i.e., once the undo is complete)
+                                self.addUndoSetHandler {
+                                    self.webView.getRawHtml { unreplaced in
+                                        self.assertEqualStrings(expected: undoHtml, saw: unreplaced)
+                                        expectation.fulfill()
+                                    }
+                                }
+                                // Kick off the undo operation on the replacements
+                                self.webView.testUndo()
+                            }
+                        }
+                        // Kick off the replace all operation
+                        self.webView.replaceAll(test.pasteString!, with: "plain")
+                    }
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testScriptedUndoRedo() throws {
+        // With scriptedUndo, undo and redo go through the undoer's own stack rather than the native one
+        let test = HtmlTest(
+            description: "Scripted undo and redo of replace all",
+            startHtml: "<p id=\"p\">This is a simple paragraph.</p><p>Another <i>simple</i> paragraph.</p>",
+            endHtml: "<p id=\"p\">This is a plain paragraph.</p><p>Another <i>plain</i> paragraph.</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0,
+            pasteString: "simple"
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Scripted undo and redo")
+        webView.markupConfiguration?.scriptedUndo = true
+        webView.setUndoConfiguration() {
+            self.webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.addInputHandler {
+                        self.webView.getRawHtml { replaced in
+                            self.assertEqualStrings(expected: test.endHtml, saw: replaced)
+                            self.addUndoSetHandler {
+                                self.webView.getRawHtml { unreplaced in
+                                    self.assertEqualStrings(expected: test.startHtml, saw: unreplaced)
+                                    self.addUndoSetHandler {
+                                        self.webView.getRawHtml { rereplaced in
+                                            self.assertEqualStrings(expected: test.endHtml, saw: rereplaced)
+                                            expectation.fulfill()
+                                        }
+                                    }
+                                    self.webView.redo()
+                                }
+                            }
+                            self.webView.undo()
+                        }
+                    }
+                    self.webView.replaceAll(test.pasteString!, with: "plain")
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testUndoHistoryAndState() throws {
+        // Replace all, save the undo state and HTML, load the HTML again, restore the undo state, and undo
+        let test = HtmlTest(
+            description: "Restore undo state after reloading HTML",
+            startHtml: "<p id=\"p\">This is a simple paragraph.</p><p>Another <i>simple</i> paragraph.</p>",
+            endHtml: "<p id=\"p\">This is a plain paragraph.</p><p>Another <i>plain</i> paragraph.</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0,
+            pasteString: "simple"
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo history and state")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.addInputHandler {
+                    self.webView.getUndoHistory { history in
+                        XCTAssert(history?.entries.count == 1)
+                        XCTAssert(history?.entries.first?.operation == "replace")
+                        XCTAssert(history?.index == 0)
+                        XCTAssert(history?.canUndo == true)
+                        XCTAssert(history?.canRedo == false)
+                        self.webView.getUndoState { state in
+                            XCTAssertNotNil(state)
+                            self.webView.getHtml { html in
+                                self.webView.setHtml(html!) {
+                                    self.webView.setUndoState(state!) { restored in
+                                        XCTAssert(restored)
+                                        self.addUndoSetHandler {
+                                            self.webView.getRawHtml { unreplaced in
+                                                self.assertEqualStrings(expected: test.startHtml, saw: unreplaced)
+                                                expectation.fulfill()
+                                            }
+                                        }
+                                        self.webView.testUndo()
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+                self.webView.replaceAll(test.pasteString!, with: "plain")
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testInvalidUndoState() throws {
+        // Each state is rejected without changing the undo stack
+        let html = "<p id=\"p\">Hello</p>"
+        let states = [
+            "Not JSON",
+            "null",
+            "{\"text\":\"Hello\",\"index\":0,\"stack\":[],\"detached\":null}",
+            "{\"text\":\"Hello\",\"index\":\"0\",\"stack\":[],\"detached\":[]}",
+            "{\"text\":\"Goodbye\",\"index\":-1,\"stack\":[],\"detached\":[]}",
+        ]
+        for state in states {
+            let expectation = XCTestExpectation(description: "Invalid undo state")
+            webView.setTestHtml(value: html) {
+                self.webView.setUndoState(state) { restored in
+                    XCTAssertFalse(restored)
+                    expectation.fulfill()
+                }
+            }
+            wait(for: [expectation], timeout: 30)
+        }
+    }
+    
+    func testUndoGroup() throws {
+        // Replace twice within a group, and then undo both replacements in one step
+        let test = HtmlTest(
+            description: "Undo a group of replacements",
+            startHtml: "<p id=\"p\">This is a simple paragraph.</p><p>Another <i>simple</i> paragraph.</p>",
+            endHtml: "<p id=\"p\">This is a plain section.</p><p>Another <i>plain</i> section.</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo group")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.beginUndoGroup() {
+                    self.webView.replaceAll("simple", with: "plain") { count in
+                        self.webView.replaceAll("paragraph", with: "section") { count in
+                            self.webView.endUndoGroup() {
+                                self.webView.getRawHtml { replaced in
+                                    self.assertEqualStrings(expected: test.endHtml, saw: replaced)
+                                    self.webView.getUndoHistory { history in
+                                        XCTAssert(history?.entries.count == 1)
+                                        XCTAssert(history?.entries.first?.operation == "group")
+                                        self.addUndoSetHandler {
+                                            self.webView.getRawHtml { unreplaced in
+                                                self.assertEqualStrings(expected: test.startHtml, saw: unreplaced)
+                                                expectation.fulfill()
+                                            }
+                                        }
+                                        self.webView.testUndo()
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testUndoTableGroup() throws {
+        // Insert a table, add a header, and border it within a group, and then undo and redo all three in one step
+        let test = HtmlTest(
+            description: "Undo and redo a group of table operations",
+            startHtml: "<p id=\"p\">Hello</p>",
+            endHtml: "<p id=\"p\">Hello</p><table class=\"bordered-table-cell\"><thead><tr><th colspan=\"2\"><p><br></p></th></tr></thead><tbody><tr><td><br></td><td></td></tr><tr><td></td><td></td></tr></tbody></table>",
+            startId: "p",
+            startOffset: 5,
+            endId: "p",
+            endOffset: 5
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo table group")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.beginUndoGroup() {
+                    self.webView.insertTable(rows: 2, cols: 2) {
+                        self.webView.addHeader() {
+                            self.webView.borderTable(.cell) {
+                                self.webView.endUndoGroup() {
+                                    self.webView.getRawHtml { grouped in
+                                        self.assertEqualStrings(expected: test.endHtml, saw: grouped)
+                                        self.webView.getUndoHistory { history in
+                                            XCTAssert(history?.entries.count == 1)
+                                            XCTAssert(history?.entries.first?.operation == "group")
+                                            self.addUndoSetHandler {
+                                                self.webView.getRawHtml { undone in
+                                                    self.assertEqualStrings(expected: test.startHtml, saw: undone)
+                                                    self.addUndoSetHandler {
+                                                        self.webView.getRawHtml { redone in
+                                                            self.assertEqualStrings(expected: test.endHtml, saw: redone)
+                                                            expectation.fulfill()
+                                                        }
+                                                    }
+                                                    self.webView.testRedo()
+                                                }
+                                            }
+                                            self.webView.testUndo()
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testUndoEndsOpenGroup() throws {
+        // Undo ends a group that was never ended, and then undoes the whole group
+        let test = HtmlTest(
+            description: "Undo a group that was never ended",
+            startHtml: "<p id=\"p\">This is a simple paragraph.</p>",
+            endHtml: "<p id=\"p\">This is a plain section.</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo open group")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.webView.beginUndoGroup() {
+                    self.webView.replaceAll("simple", with: "plain") { count in
+                        self.webView.replaceAll("paragraph", with: "section") { count in
+                            self.webView.getRawHtml { replaced in
+                                self.assertEqualStrings(expected: test.endHtml, saw: replaced)
+                                self.addUndoSetHandler {
+                                    self.webView.getRawHtml { unreplaced in
+                                        self.assertEqualStrings(expected: test.startHtml, saw: unreplaced)
+                                        self.webView.getUndoHistory { history in
+                                            XCTAssert(history?.entries.count == 1)
+                                            XCTAssert(history?.entries.first?.operation == "group")
+                                            expectation.fulfill()
+                                        }
+                                    }
+                                }
+                                self.webView.testUndo()
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testScriptedTyping() throws {
+        // With scriptedUndo, consecutive typing is recorded as one "typing" operation that undo and redo as a whole
+        let test = HtmlTest(
+            description: "Scripted undo and redo of typing",
+            startHtml: "<p id=\"p\">Hello</p>",
+            endHtml: "<p id=\"p\">Hello world</p>",
+            startId: "p",
+            startOffset: 5,
+            endId: "p",
+            endOffset: 5
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Scripted typing")
+        webView.markupConfiguration?.scriptedUndo = true
+        webView.setUndoConfiguration() {
+            self.webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.testInput(" ") {
+                        self.webView.testInput("wor") {
+                            self.webView.testInput("ld") {
+                                self.webView.getRawHtml { typed in
+                                    self.assertEqualStrings(expected: test.endHtml, saw: typed)
+                                    self.webView.getUndoHistory { history in
+                                        XCTAssert(history?.entries.count == 1)
+                                        XCTAssert(history?.entries.first?.operation == "typing")
+                                        self.webView.undo() {
+                                            self.webView.getRawHtml { untyped in
+                                                self.assertEqualStrings(expected: test.startHtml, saw: untyped)
+                                                self.webView.redo() {
+                                                    self.webView.getRawHtml { retyped in
+                                                        self.assertEqualStrings(expected: test.endHtml, saw: retyped)
+                                                        expectation.fulfill()
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testScriptedTypingCancelled() throws {
+        // When a beforeinput listener cancels typing, nothing is recorded and the TypingRecorder stops observing
+        let test = HtmlTest(
+            description: "Cancelled typing is not recorded",
+            startHtml: "<p id=\"p\">Hello</p>",
+            endHtml: "<p id=\"p\">Hello</p>",
+            startId: "p",
+            startOffset: 5,
+            endId: "p",
+            endOffset: 5
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Cancelled scripted typing")
+        webView.markupConfiguration?.scriptedUndo = true
+        webView.setUndoConfiguration() {
+            self.webView.setTestHtml(value: test.startHtml) {
+                self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                    self.webView.evaluateJavaScript("MU.editor.addEventListener('beforeinput', ev => ev.preventDefault(), {once: true})") { _, _ in
+                        self.webView.testInput("x") {
+                            self.webView.getRawHtml { contents in
+                                self.assertEqualStrings(expected: test.endHtml, saw: contents)
+                                self.webView.evaluateJavaScript("typingRecorder._pending === null") { stopped, _ in
+                                    XCTAssert(stopped as? Bool == true)
+                                    self.webView.getUndoHistory { history in
+                                        XCTAssert(history?.entries.count == 0)
+                                        expectation.fulfill()
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testUndoSetAfterPush() throws {
+        // Every change to the undo stack is reported, not just undo and redo
+        let test = HtmlTest(
+            description: "Report canUndo after bolding and canRedo after undoing it",
+            startHtml: "<p id=\"p\">This is a start.</p>",
+            endHtml: "<p id=\"p\">This <b>is</b> a start.</p>",
+            startId: "p",
+            startOffset: 5,
+            endId: "p",
+            endOffset: 7
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo set after push")
+        webView.setTestHtml(value: test.startHtml) {
+            self.webView.setTestRange(startId: test.startId, startOffset: test.startOffset, endId: test.endId, endOffset: test.endOffset) { result in
+                self.addUndoSetHandler {
+                    XCTAssertTrue(self.canUndo)
+                    XCTAssertFalse(self.canRedo)
+                    self.webView.getRawHtml { formatted in
+                        self.assertEqualStrings(expected: test.endHtml, saw: formatted)
+                        self.addUndoSetHandler {
+                            XCTAssertFalse(self.canUndo)
+                            XCTAssertTrue(self.canRedo)
+                            self.webView.getRawHtml { unformatted in
+                                self.assertEqualStrings(expected: test.startHtml, saw: unformatted)
+                                expectation.fulfill()
+                            }
+                        }
+                        self.webView.testUndo()
+                    }
+                }
+                self.webView.bold()
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    /// The src of a 1x1 PNG, which loads without any resources
+    let pngSrc = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="
+    /// The src of a 1x1 GIF, which loads without any resources
+    let gifSrc = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+    
+    /// Select the first image in the document, as if the user clicked on it
+    func selectImage(handler: @escaping ()->Void) {
+        webView.evaluateJavaScript("resizableImage.select(MU.editor.querySelector('img'))") { _, _ in handler() }
+    }
+    
+    /// Return the outerHTML of the first image in the document, which doesn't include the handles around it when selected
+    func getImageHtml(handler: @escaping (String?)->Void) {
+        webView.evaluateJavaScript("MU.editor.querySelector('img').outerHTML") { result, _ in handler(result as? String) }
+    }
+    
+    func testUndoRedoModifyImageSrc() throws {
+        // The modifyImage operation is pushed once the new image loads, and undo and redo swap the images
+        let startImage = "<img src=\"\(pngSrc)\" alt=\"PNG\" class=\"resize-image\" tabindex=\"-1\" width=\"20\" height=\"20\">"
+        let endImage = "<img alt=\"GIF\" src=\"\(gifSrc)\" class=\"resize-image\" tabindex=\"-1\" width=\"20\" height=\"20\">"
+        let test = HtmlTest(
+            description: "Undo and redo changing the src of an image",
+            startHtml: "<p id=\"p\">Hello\(startImage)</p>",
+            endHtml: "<p id=\"p\">Hello\(endImage)</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo and redo modifyImage src")
+        webView.setTestHtml(value: test.startHtml) {
+            self.selectImage {
+                self.addUndoSetHandler {
+                    self.getImageHtml { modified in
+                        self.assertEqualStrings(expected: endImage, saw: modified)
+                        self.addUndoSetHandler {
+                            self.getImageHtml { unmodified in
+                                self.assertEqualStrings(expected: startImage, saw: unmodified)
+                                self.addUndoSetHandler {
+                                    self.getImageHtml { remodified in
+                                        self.assertEqualStrings(expected: endImage, saw: remodified)
+                                        expectation.fulfill()
+                                    }
+                                }
+                                self.webView.testRedo()
+                            }
+                        }
+                        self.webView.testUndo()
+                    }
+                }
+                self.webView.modifyImage(src: self.gifSrc, alt: "GIF", handler: nil)
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+    
+    func testUndoRedoResizeImage() throws {
+        // Consecutive resizes of the same image are undone in one step
+        let startImage = "<img src=\"\(pngSrc)\" alt=\"PNG\" class=\"resize-image\" tabindex=\"-1\" width=\"20\" height=\"20\">"
+        let endImage = "<img src=\"\(pngSrc)\" alt=\"PNG\" class=\"resize-image\" tabindex=\"-1\" width=\"60\" height=\"60\">"
+        let test = HtmlTest(
+            description: "Undo and redo two resizes of an image",
+            startHtml: "<p id=\"p\">Hello\(startImage)</p>",
+            endHtml: "<p id=\"p\">Hello\(endImage)</p>",
+            startId: "p",
+            startOffset: 0,
+            endId: "p",
+            endOffset: 0
+        )
+        test.printDescription()
+        let expectation = XCTestExpectation(description: "Undo and redo resizeImage")
+        webView.setTestHtml(value: test.startHtml) {
+            self.selectImage {
+                self.webView.testResizeImage(width: 40, height: 40) {
+                    self.webView.testResizeImage(width: 60, height: 60) {
+                        self.getImageHtml { resized in
+                            self.assertEqualStrings(expected: endImage, saw: resized)
+                            self.addUndoSetHandler {
+                                self.getImageHtml { undone in
+                                    self.assertEqualStrings(expected: startImage, saw: undone)
+                                    self.addUndoSetHandler {
+                                        self.getImageHtml { redone in
+                                            self.assertEqualStrings(expected: endImage, saw: redone)
+                                            expectation.fulfill()
+                                        }
+                                    }
+                                    self.webView.testRedo()
+                                }
+                            }
+                            self.webView.testUndo()
+                        }
+                    }
+                }
+            }
+        }
+        wait(for: [expectation], timeout: 30)
+    }
+
 }